@@ -0,0 +1,265 @@
+// aggregators/confidence.js
+// Cross-source confidence scoring and conflict resolution for TV listings.
+/**
+ * Telegram Sports TV Bot – TV Listing Confidence
+ *
+ * getTvDataForFixture() collects region/channel entries from many sources
+ * that often disagree (LSTV says "Sky Sports", TNT's own site says the match
+ * is on TNT Sports 1). scoreTvRegions() turns the raw entries into one entry
+ * per region/channel with a confidence in [0, 1]:
+ *
+ * - Each source has a trust weight, optionally per region (SOURCE_WEIGHTS):
+ *   a broadcaster's own site is near-certain for its UK channels, Wikipedia's
+ *   season-wide rights holders say little about a single match.
+ * - Sources that list the same channel vote for it: confidence is
+ *   1 - Π(1 - weight) over the distinct sources, so agreement raises it.
+ * - A channel is contradicted when
+ *   - the broadcaster's own listing (SOURCE_AUTHORITY) matched the fixture,
+ *     named channels in that region and this channel isn't one of them, or
+ *   - in a region where a match is shown by one broadcaster
+ *     (EXCLUSIVE_REGIONS), another broadcaster's own listing confirms a
+ *     channel of its network.
+ *   Contradicted channels keep CONTRADICTION_FACTOR of their confidence.
+ * - Entries below minConfidence are suppressed when contradicted, or when
+ *   their region has a confident entry. A region with nothing confident keeps
+ *   its best guesses so the poster isn't left blank.
+ *
+ * Every entry carries human-readable reasons for /admin/test-fixture-tv.
+ */
+
+const regions = require('../lib/regions');
+
+// ---------- Configuration ----------
+
+const DEFAULT_MIN_CONFIDENCE = 0.5;
+const DEFAULT_SOURCE_WEIGHT = 0.5;
+const CONTRADICTION_FACTOR = 0.25;
+
+/**
+ * Trust weight per source tag (as set in tvRegions[].source), by region key
+ * with a default. Remote VPS scrapers use their upper-cased source names.
+ */
+const SOURCE_WEIGHTS = {
+  // Broadcasters' own listings
+  SKY: { UK: 0.95, default: 0.5 },
+  SKYSPORTS: { UK: 0.95, default: 0.5 },
+  TNT: { UK: 0.95, default: 0.5 },
+  // UK listings sites
+  LFOTV: { UK: 0.8, default: 0.4 },
+  LIVEFOOTBALLONTV: { UK: 0.8, default: 0.4 },
+  WHERESTHEMATCH: { UK: 0.75, default: 0.4 },
+  BBC: { UK: 0.7, default: 0.4 },
+  // International listings
+  LSTV: { UK: 0.6, default: 0.7 },
+  PROSOCCERTV: { default: 0.6 },
+  WORLDSOCCERTALK: { USA: 0.7, default: 0.5 },
+  SPORTEVENTZ: { default: 0.5 },
+  SOFASCORE: { default: 0.5 },
+  ODDALERTS: { default: 0.4 },
+  // Season-wide rights holders, not match-specific
+  WIKI: { default: 0.35 }
+};
+
+/**
+ * Sources that are the broadcaster itself: authoritative for their own
+ * network's channels in one region.
+ */
+const SOURCE_AUTHORITY = {
+  SKY: { region: 'UK', network: 'sky' },
+  SKYSPORTS: { region: 'UK', network: 'sky' },
+  TNT: { region: 'UK', network: 'tnt' }
+};
+
+// Channel name → broadcaster network
+const NETWORK_PATTERNS = [
+  { network: 'sky', pattern: /^sky\b|^now\s?tv\b/ },
+  { network: 'tnt', pattern: /^tnt\b|^bt sport|^discovery\+/ },
+  { network: 'amazon', pattern: /^amazon\b|prime video/ },
+  { network: 'bbc', pattern: /^bbc\b/ },
+  { network: 'itv', pattern: /^itv|^stv\b/ },
+  { network: 'premier', pattern: /^premier sports\b/ },
+  { network: 'channel4', pattern: /^channel 4\b/ }
+];
+
+// Regions where each match is sold to a single broadcaster
+const EXCLUSIVE_REGIONS = ['UK'];
+
+// ---------- Helpers ----------
+
+function normalize(str) {
+  return String(str || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Canonical region key ("United Kingdom" → "UK", see lib/regions.js);
+ * unknown regions are kept as-is.
+ * @param {string} region - Region label from a source
+ * @returns {string}
+ */
+function getRegionKey(region) {
+  return regions.getRegionName(region);
+}
+
+/**
+ * Broadcaster network of a channel ("Sky Sports Main Event" → "sky").
+ * @param {string} channel - Channel name
+ * @returns {string|null} null for unknown networks
+ */
+function getChannelNetwork(channel) {
+  const normalized = normalize(channel);
+  const found = NETWORK_PATTERNS.find((n) => n.pattern.test(normalized));
+  return found ? found.network : null;
+}
+
+/**
+ * Trust weight of a source in a region.
+ * @param {string} source - Source tag (e.g. "LSTV")
+ * @param {string} regionKey - Region key from getRegionKey()
+ * @returns {number}
+ */
+function getSourceWeight(source, regionKey) {
+  const weights = SOURCE_WEIGHTS[String(source || '').toUpperCase()];
+  if (!weights) return DEFAULT_SOURCE_WEIGHT;
+  return weights[regionKey] !== undefined ? weights[regionKey] : weights.default;
+}
+
+// "Sky Sports" is a vaguer form of "Sky Sports Main Event", not a different channel
+function namesOverlap(a, b) {
+  const x = normalize(a);
+  const y = normalize(b);
+  return x === y || x.startsWith(`${y} `) || y.startsWith(`${x} `);
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// ---------- Scoring ----------
+
+/**
+ * Merge raw region/channel entries into scored entries and split them into
+ * kept and suppressed lists.
+ *
+ * @param {Array<{region: string, channel: string, source: string}>} entries - Raw entries
+ * @param {Object} [options={}] - Options
+ * @param {string[]} [options.matchedSources=[]] - Source tags that matched the fixture
+ * @param {number} [options.minConfidence=0.5] - Suppression threshold
+ * @returns {{kept: Array<Object>, suppressed: Array<Object>}} Entries of
+ *   { region, channel, source, sources, confidence, reasons }, in first-seen
+ *   order; suppressed entries also carry suppressedReason
+ */
+function scoreTvRegions(entries, options = {}) {
+  const { matchedSources = [], minConfidence = DEFAULT_MIN_CONFIDENCE } = options;
+  const matched = new Set(matchedSources.map((s) => String(s).toUpperCase()));
+
+  // Group by region + channel, counting each source once
+  const groups = [];
+  const byKey = new Map();
+  for (const entry of entries) {
+    if (!entry || !entry.channel) continue;
+    const regionKey = getRegionKey(entry.region);
+    const key = `${normalize(regionKey)}|${normalize(entry.channel)}`;
+    let group = byKey.get(key);
+    if (!group) {
+      group = {
+        region: entry.region,
+        channel: entry.channel,
+        regionKey,
+        // Channel dictionary network when canonicalized, else name patterns
+        network: entry.network || getChannelNetwork(entry.channel),
+        sources: []
+      };
+      byKey.set(key, group);
+      groups.push(group);
+    }
+    const source = String(entry.source || 'UNKNOWN').toUpperCase();
+    if (!group.sources.includes(source)) {
+      group.sources.push(source);
+    }
+  }
+
+  // Agreement: noisy-OR of the sources' weights
+  for (const group of groups) {
+    const weights = group.sources.map((s) => getSourceWeight(s, group.regionKey));
+    group.confidence = 1 - weights.reduce((acc, w) => acc * (1 - w), 1);
+    group.reasons = [group.sources.map((s, i) => `${s} ${weights[i]}`).join(' + ')];
+    if (group.sources.length > 1) {
+      group.reasons.push(`${group.sources.length} sources agree`);
+    }
+    group.authorities = group.sources.filter((s) => {
+      const authority = SOURCE_AUTHORITY[s];
+      return authority && authority.region === group.regionKey && authority.network === group.network;
+    });
+  }
+
+  // Contradictions
+  for (const group of groups) {
+    const contradictions = [];
+
+    for (const source of matched) {
+      const authority = SOURCE_AUTHORITY[source];
+      if (!authority || authority.region !== group.regionKey || authority.network !== group.network) continue;
+      if (group.sources.includes(source)) continue;
+      const listed = groups.filter((g) => g.regionKey === group.regionKey && g.sources.includes(source));
+      if (listed.length && !listed.some((g) => namesOverlap(g.channel, group.channel))) {
+        contradictions.push(`${source} lists ${listed.map((g) => g.channel).join(', ')} for this match, not this channel`);
+      }
+    }
+
+    if (EXCLUSIVE_REGIONS.includes(group.regionKey) && group.network && !group.authorities.length) {
+      const rival = groups.find((g) => g.regionKey === group.regionKey && g.network &&
+        g.network !== group.network && g.authorities.length);
+      if (rival) {
+        contradictions.push(`${rival.authorities[0]} confirms ${rival.channel}; ${group.regionKey} matches have one broadcaster`);
+      }
+    }
+
+    if (contradictions.length) {
+      group.confidence *= CONTRADICTION_FACTOR;
+      group.reasons.push(...contradictions.map((c) => `contradicted: ${c}`));
+    }
+    group.contradicted = contradictions.length > 0;
+  }
+
+  // Suppression
+  const confidentRegions = new Set(groups
+    .filter((g) => !g.contradicted && g.confidence >= minConfidence)
+    .map((g) => g.regionKey));
+
+  const kept = [];
+  const suppressed = [];
+  for (const group of groups) {
+    const scored = {
+      region: group.region,
+      channel: group.channel,
+      source: group.sources[0],
+      sources: group.sources,
+      confidence: round(group.confidence),
+      reasons: group.reasons
+    };
+
+    if (group.confidence >= minConfidence) {
+      kept.push(scored);
+    } else if (group.contradicted) {
+      suppressed.push({ ...scored, suppressedReason: `contradicted and below ${minConfidence}` });
+    } else if (confidentRegions.has(group.regionKey)) {
+      suppressed.push({ ...scored, suppressedReason: `below ${minConfidence} while ${group.regionKey} has confident listings` });
+    } else {
+      scored.reasons.push(`kept: best available for ${group.regionKey}`);
+      kept.push(scored);
+    }
+  }
+
+  return { kept, suppressed };
+}
+
+module.exports = {
+  scoreTvRegions,
+  getSourceWeight,
+  getChannelNetwork,
+  getRegionKey,
+  SOURCE_WEIGHTS,
+  SOURCE_AUTHORITY,
+  DEFAULT_MIN_CONFIDENCE,
+  CONTRADICTION_FACTOR
+};
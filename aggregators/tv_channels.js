@@ -4,11 +4,26 @@
  * Telegram Sports TV Bot – Universal TV Data Aggregator
  *
  * This module provides a single unified function `getTvDataForFixture()` that:
- * - Calls multiple TV data sources (TSDB, FootballData, LSTV, BBC, Sky, TNT, LFOTV, Wiki)
- * - Optionally calls remote VPS scrapers for additional data sources
- * - Merges results into a canonical fixture TV data format
+ * - Calls the TV data sources declared in lib/source_registry.js (TSDB,
+ *   FootballData, LSTV, BBC, Sky, TNT, LFOTV, Wiki, plus any remote VPS
+ *   scrapers enabled in config "sources")
+ * - Queries sources concurrently, each with its own timeout inside a
+ *   per-fixture budget; timed-out sources are marked 'timeout' in sourcesUsed
+ * - Merges results into a canonical fixture TV data format, with channel
+ *   names mapped to the channel dictionary (lib/channel_dictionary.js) and
+ *   region labels to lib/regions.js names ("United Kingdom" → "UK")
+ * - Scores each region/channel by cross-source agreement and suppresses
+ *   low-confidence or contradicted channels (aggregators/confidence.js)
+ * - Caches each source's response in lib/cache.js (namespace = source id,
+ *   key = the request params), with the per-source TTLs in its POLICIES
  * - Never throws; catches errors and continues with available data
  *
+ * Routed by sport (lib/sports.js): each registry entry lists the sports it
+ * covers. TheSportsDB and Wikipedia are asked for every sport; the
+ * football-only sources are skipped for rugby, cricket, F1, darts and
+ * boxing. Session sports (F1) are identified by eventName instead of
+ * home/away teams.
+ *
  * Canonical fixture TV data returned:
  * {
  *   homeTeam: string,
@@ -17,9 +32,10 @@
  *   venue?: string | null,
  *   kickoffUtc: string | null,    // ISO string
  *   kickoffLocal?: string | null, // formatted string in requested timezone
- *   tvRegions: Array<{ region: string, channel: string, source: string }>,
- *   tvStationsFlat: string[],     // de-duplicated list of all stations
- *   sourcesUsed: { lstv?: boolean, tsdb?: boolean, ... }
+ *   tvRegions: Array<{ region, channel, source, sources, confidence, reasons }>,
+ *   suppressedTvRegions: Array<{ ...same, suppressedReason }>,
+ *   tvStationsFlat: string[],     // de-duplicated list of all kept stations
+ *   sourcesUsed: { lstv?: boolean | 'timeout', tsdb?: boolean | 'timeout', ... }
  * }
  *
  * All logs use prefix [AGG]
@@ -28,29 +44,24 @@
 const fs = require('fs');
 const path = require('path');
 
-// Import scrapers
-const tsdb = require('../scrapers/thesportsdb');
+// Sources come from the registry; lstv also provides the VPS client
 const lstv = require('../scrapers/lstv');
-const wiki = require('../scrapers/wiki_broadcasters');
-
-// Optional scrapers - will be loaded lazily if available
-let footballdata = null;
-let bbcFixtures = null;
-let skysports = null;
-let tnt = null;
-let livefootballontv = null;
-
-// Try to load optional scrapers
-try { footballdata = require('../scrapers/footballdata'); } catch (err) { /* not available */ }
-try { bbcFixtures = require('../scrapers/bbc_fixtures'); } catch (err) { /* not available */ }
-try { skysports = require('../scrapers/skysports'); } catch (err) { /* not available */ }
-try { tnt = require('../scrapers/tnt'); } catch (err) { /* not available */ }
-try { livefootballontv = require('../scrapers/livefootballontv'); } catch (err) { /* not available */ }
+const sourceRegistry = require('../lib/source_registry');
+const sports = require('../lib/sports');
+const channelDictionary = require('../lib/channel_dictionary');
+const regions = require('../lib/regions');
+const cache = require('../lib/cache');
+const teamRegistry = require('../lib/team_registry');
+const confidence = require('./confidence');
 
 // ---------- Configuration ----------
 
 const LOG_PATH = path.join(__dirname, '..', 'autopost.log');
 
+// Total time allowed per fixture; each source's own timeout (registry
+// timeoutMs, or config "sources") applies within it
+const DEFAULT_BUDGET_MS = 45000;
+
 // ---------- Logging ----------
 
 /**
@@ -136,26 +147,6 @@ function channelsEqual(a, b) {
   return normalizeForComparison(a) === normalizeForComparison(b);
 }
 
-/**
- * Deduplicate an array of region/channel entries.
- * @param {Array<{region: string, channel: string, source: string}>} entries
- * @returns {Array<{region: string, channel: string, source: string}>}
- */
-function deduplicateRegionChannels(entries) {
-  const seen = new Set();
-  const result = [];
-  
-  for (const entry of entries) {
-    const key = `${normalizeForComparison(entry.region)}|${normalizeForComparison(entry.channel)}`;
-    if (!seen.has(key)) {
-      seen.add(key);
-      result.push(entry);
-    }
-  }
-  
-  return result;
-}
-
 /**
  * Extract unique station names from all sources.
  * @param {Array<{region: string, channel: string}>} regionChannels
@@ -187,35 +178,304 @@ function buildFlatStationList(regionChannels, additionalStations = []) {
   return result;
 }
 
+// ---------- Time Budgets ----------
+
+const TIMED_OUT = Symbol('timeout');
+
+/**
+ * Resolve to the promise's value, or TIMED_OUT after ms. The underlying
+ * request keeps running; its late result is ignored.
+ * @param {Promise} promise - Source lookup
+ * @param {number} ms - Deadline
+ * @returns {Promise<*>}
+ */
+function withDeadline(promise, ms) {
+  let timer;
+  const deadline = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(TIMED_OUT), ms);
+  });
+  return Promise.race([promise, deadline]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Does a scraped fixture's home/away match ours? Names are resolved through
+ * the team registry (lib/team_registry.js).
+ */
+function teamsMatch(fixtureHome, fixtureAway, homeTeam, awayTeam) {
+  return teamRegistry.teamsMatch(fixtureHome, homeTeam) && teamRegistry.teamsMatch(fixtureAway, awayTeam);
+}
+
+/**
+ * Remember a matched fixture's team names as a source spelled them, so
+ * unknown spellings can be learned (with ours as the suggestion).
+ * @param {Object} ctx - Adapter context (ctx.seenTeams)
+ * @param {string} source - Source tag
+ * @param {string} home - Source's home team name
+ * @param {string} away - Source's away team name
+ */
+function noteTeamNames(ctx, source, home, away) {
+  ctx.seenTeams.push(
+    { name: home, source, suggestion: ctx.homeTeam },
+    { name: away, source, suggestion: ctx.awayTeam }
+  );
+}
+
+/**
+ * Call a source through the shared cache, keyed by source id and params.
+ * @param {Object} source - Registry entry
+ * @param {Object} ctx - Adapter context (ctx.useCache)
+ * @param {Object} params - Request params (the cache key)
+ * @param {Function} fetcher - async () => response
+ * @param {Function} isNegative - response => true for "no match"
+ * @returns {Promise<*>}
+ */
+function cachedSourceCall(source, ctx, params, fetcher, isNegative) {
+  return cache.wrap(source.id, params, fetcher, { isNegative, bypass: !ctx.useCache });
+}
+
+// ---------- Source Adapters ----------
+
+// Each registry entry names the adapter that calls it and turns its response
+// into a contribution: { used, matched, tag, tvRegions, stations, kickoffUtc,
+// league, venue }. ctx holds the fixture, plus the kickoff and league known
+// from the sources it depends on. Returning null skips the source; a source
+// whose data doesn't cover this fixture returns {} (sourcesUsed left unset).
+// Responses go through cachedSourceCall() (Wikipedia caches its own pages).
+const ADAPTERS = {
+  // TheSportsDB: kickoff, league, venue and TV stations for one fixture
+  async fixtureInfo(source, mod, ctx) {
+    const { tag } = source.aggregator;
+    const params = {
+      home: ctx.homeTeam,
+      away: ctx.awayTeam,
+      date: ctx.dateUtc,
+      sport: ctx.sport,
+      eventName: ctx.eventName
+    };
+    const info = await cachedSourceCall(source, ctx, params, () => mod[source.invocation.method](params), (r) => !r.matched);
+
+    if (!info.matched) {
+      if (ctx.debug) log(`[${tag}] No match found`);
+      return { used: false };
+    }
+
+    if (ctx.debug) {
+      log(`[${tag}] Matched: league=${info.league}, kickoff=${info.kickoffUtc}, stations=${info.tvStations?.length || 0}`);
+    }
+
+    return {
+      used: true,
+      kickoffUtc: info.kickoffUtc || null,
+      league: info.league || null,
+      venue: info.venue || null,
+      stations: info.tvStations || []
+    };
+  },
+
+  // FootballData.org: backup kickoff/league, needs the team's FootballData id
+  async footballData(source, mod, ctx) {
+    if (!ctx.footballdataTeamId) return null;
+
+    const params = { teamId: ctx.footballdataTeamId, dateUtc: ctx.dateUtc };
+    const info = await cachedSourceCall(source, ctx, params, () => mod[source.invocation.method](params), (r) => !r);
+    if (!info) return {};
+
+    if (ctx.debug) log(`[${source.aggregator.tag}] Got: league=${info.league}, kickoff=${info.kickoffUtc}`);
+    return { used: true, kickoffUtc: info.kickoffUtc || null, league: info.league || null };
+  },
+
+  // LiveSoccerTV: region-by-region channels for one fixture
+  async regionChannels(source, mod, ctx) {
+    const { tag } = source.aggregator;
+    const params = {
+      home: ctx.homeTeam,
+      away: ctx.awayTeam,
+      date: ctx.dateUtc,
+      kickoffUtc: ctx.kickoffUtc,
+      league: ctx.league
+    };
+    const found = await cachedSourceCall(source, ctx, params, () => mod[source.invocation.method](params),
+      (r) => !r.regionChannels || r.regionChannels.length === 0);
+
+    if (!found.regionChannels || found.regionChannels.length === 0) {
+      if (ctx.debug) log(`[${tag}] No channels found`);
+      return { used: false };
+    }
+
+    if (ctx.debug) log(`[${tag}] Found ${found.regionChannels.length} channels`);
+
+    return {
+      used: true,
+      matched: true,
+      tag,
+      tvRegions: found.regionChannels.map(rc => ({ region: rc.region, channel: rc.channel, source: tag })),
+      kickoffUtc: found.kickoffUtc || null
+    };
+  },
+
+  // BBC: the home team's fixture list, used for the competition name
+  async competition(source, mod, ctx) {
+    const params = { teamName: ctx.homeTeam };
+    const listing = await cachedSourceCall(source, ctx, params, () => mod[source.invocation.method](params),
+      (r) => !(r.matches || []).length);
+    const match = (listing.matches || []).find(m => teamsMatch(m.home, m.away, ctx.homeTeam, ctx.awayTeam));
+    if (!match) return {};
+    noteTeamNames(ctx, source.aggregator.tag, match.home, match.away);
+
+    if (ctx.debug) log(`[${source.aggregator.tag}] Matched: competition=${match.competition}`);
+    return { used: true, league: match.competition || null };
+  },
+
+  // Sky, TNT, LFOTV: the home team's fixtures with UK channels
+  async teamListing(source, mod, ctx) {
+    const { tag } = source.aggregator;
+    const params = { teamName: ctx.homeTeam };
+    const listing = await cachedSourceCall(source, ctx, params, () => mod[source.invocation.method](params),
+      (r) => !(r.fixtures || []).length);
+    const match = (listing.fixtures || []).find(f => teamsMatch(f.home, f.away, ctx.homeTeam, ctx.awayTeam));
+    if (!match) return {};
+    noteTeamNames(ctx, tag, match.home, match.away);
+
+    if (ctx.debug) log(`[${tag}] Matched with ${match.channels?.length || 0} channels`);
+
+    const channels = match.channels || [];
+    return {
+      used: true,
+      matched: true,
+      tag,
+      tvRegions: channels.map(channel => ({ region: 'UK', channel, source: tag })),
+      stations: channels
+    };
+  },
+
+  // Wikipedia: the league's season-wide broadcasters by region
+  async broadcasters(source, mod, ctx) {
+    if (!ctx.league) return null;
+
+    const { tag } = source.aggregator;
+    const found = await mod[source.invocation.method]({
+      leagueName: ctx.league,
+      season: null, // Auto-detect
+      country: null, // Get all regions
+      sport: ctx.sport
+    });
+
+    if (!found.broadcasters || found.broadcasters.length === 0) {
+      if (ctx.debug) log(`[${tag}] No broadcasters found for ${ctx.league}`);
+      return { used: false };
+    }
+
+    if (ctx.debug) log(`[${tag}] Found ${found.broadcasters.length} broadcasters for ${ctx.league}`);
+
+    // A low-weight vote when already listed by another source
+    return {
+      used: true,
+      tvRegions: found.broadcasters.map(wb => ({ region: wb.region, channel: wb.channel, source: tag })),
+      stations: found.broadcasters.map(b => b.channel)
+    };
+  },
+
+  // Remote VPS scrapers: a fixture list (today's or the team's) from the VPS
+  async remote(source, mod, ctx) {
+    const { source: sourceName, path: endpoint, payload: fields = [] } = source.invocation;
+    const payload = {};
+    if (fields.includes('teamName')) payload.teamName = ctx.homeTeam || ctx.awayTeam;
+    if (fields.includes('date')) payload.date = ctx.dateUtc.toISOString().slice(0, 10);
+
+    const { fixtures, source: reported } = await cachedSourceCall(source, ctx, payload, () => lstv.callRemoteScraper({
+      source: sourceName,
+      path: endpoint,
+      payload,
+      timeout: source.settings.timeoutMs
+    }), (r) => !(r.fixtures || []).length);
+
+    if (!fixtures || fixtures.length === 0) {
+      if (ctx.debug) log(`[${source.id}] No fixtures returned`);
+      return { used: false };
+    }
+
+    const match = fixtures.find(f => teamsMatch(f.homeTeam || f.home || '', f.awayTeam || f.away || '', ctx.homeTeam, ctx.awayTeam));
+    if (!match) {
+      if (ctx.debug) log(`[${source.id}] No matching fixture found in ${fixtures.length} results`);
+      return { used: true };
+    }
+    noteTeamNames(ctx, source.id.toUpperCase(), match.homeTeam || match.home, match.awayTeam || match.away);
+
+    if (ctx.debug) log(`[${source.id}] Matched fixture with ${(match.regionChannels?.length || 0) + (match.channels?.length || 0)} channels`);
+
+    const tag = (reported || sourceName).toUpperCase();
+    const channels = match.channels || [];
+    return {
+      used: true,
+      matched: true,
+      tag,
+      tvRegions: [
+        ...(match.regionChannels || []).map(rc => ({ region: rc.region || 'UK', channel: rc.channel, source: tag })),
+        ...channels.map(channel => ({ region: 'UK', channel, source: tag }))
+      ],
+      stations: channels
+    };
+  }
+};
+
 // ---------- Main Aggregator Function ----------
 
 /**
  * Get unified TV data for a fixture from all available sources.
  *
+ * The enabled registry sources for the fixture's sport are queried
+ * concurrently; a source waits only for the sources in its dependsOn (e.g.
+ * LSTV for TSDB's kickoff and league). Contributions are merged in registry
+ * order once everything has settled, so results don't depend on which
+ * source answers first.
+ *
+ * Every source gets its timeoutMs but never more than what is left of the
+ * fixture's budgetMs. A source that misses its deadline is marked 'timeout'
+ * in sourcesUsed and whatever arrived in time is returned.
+ *
  * @param {Object} baseFixture - Base fixture information
  * @param {string} baseFixture.homeTeam - Home team name
  * @param {string} baseFixture.awayTeam - Away team name
  * @param {string|Date} baseFixture.dateUtc - Kickoff estimate (Date or ISO string)
  * @param {string} [baseFixture.leagueHint] - Optional league name hint
+ * @param {string} [baseFixture.sport] - Sport (lib/sports.js), default football
+ * @param {string} [baseFixture.eventName] - Event name for session sports (e.g. "British Grand Prix")
  * @param {string} [baseFixture.tsdbTeamId] - Optional TheSportsDB team ID
- * @param {string} [baseFixture.footballdataTeamId] - Optional FootballData.org team ID
+ * @param {string} [baseFixture.footballdataTeamId] - Optional FootballData.org team ID (default: the home team's, from the team registry)
  * @param {Object} [options={}] - Options
  * @param {string} [options.timezone] - Timezone for local time formatting (e.g., 'Europe/London')
  * @param {boolean} [options.debug] - Enable debug logging
+ * @param {number} [options.minConfidence=0.5] - Suppress channels scored below this
+ * @param {Object} [options.sources] - Per-source settings (config.json "sources")
+ * @param {number} [options.budgetMs=45000] - Total time allowed for the fixture
+ * @param {Object} [options.sourceTimeouts] - Timeout overrides by source id
+ * @param {boolean} [options.cache=true] - Use cached source responses (lib/cache.js)
  * @returns {Promise<Object>} Canonical fixture TV data
  */
 async function getTvDataForFixture(baseFixture, options = {}) {
-  const { timezone = 'Europe/London', debug = false } = options;
-  
+  const {
+    timezone = 'Europe/London',
+    debug = false,
+    minConfidence = confidence.DEFAULT_MIN_CONFIDENCE,
+    sources: sourceSettings = {},
+    budgetMs = DEFAULT_BUDGET_MS,
+    sourceTimeouts = {},
+    cache: useCache = true
+  } = options;
+
   const homeTeam = baseFixture.homeTeam || '';
   const awayTeam = baseFixture.awayTeam || '';
-  const dateUtc = baseFixture.dateUtc instanceof Date 
-    ? baseFixture.dateUtc 
+  const dateUtc = baseFixture.dateUtc instanceof Date
+    ? baseFixture.dateUtc
     : new Date(baseFixture.dateUtc || Date.now());
   const leagueHint = baseFixture.leagueHint || null;
-  
-  log(`${homeTeam} v ${awayTeam} – starting aggregation`);
-  
+  const sport = sports.normalizeSport(baseFixture.sport);
+  const football = sport === 'football';
+  const eventName = baseFixture.eventName || null;
+  const label = eventName || `${homeTeam} v ${awayTeam}`;
+
+  log(`${label}${football ? '' : ` [${sport}]`} – starting aggregation`);
+
   // Initialize result structure
   const result = {
     homeTeam,
@@ -225,474 +485,169 @@ async function getTvDataForFixture(baseFixture, options = {}) {
     kickoffUtc: null,
     kickoffLocal: null,
     tvRegions: [],
+    suppressedTvRegions: [],
     tvStationsFlat: [],
     sourcesUsed: {}
   };
-  
-  // Collect additional stations from various sources
-  const additionalStations = [];
-  
-  // ---------- 1. TheSportsDB ----------
-  let tsdbResult = null;
-  try {
-    tsdbResult = await tsdb.fetchTSDBFixture({
-      home: homeTeam,
-      away: awayTeam,
-      date: dateUtc
-    });
-    
-    if (tsdbResult.matched) {
-      result.sourcesUsed.tsdb = true;
-      
-      // Use TSDB for kickoff, league, venue
-      if (tsdbResult.kickoffUtc) {
-        result.kickoffUtc = tsdbResult.kickoffUtc;
-      }
-      if (tsdbResult.league) {
-        result.league = tsdbResult.league;
-      }
-      if (tsdbResult.venue) {
-        result.venue = tsdbResult.venue;
-      }
-      
-      // Add TV stations to additional list
-      if (tsdbResult.tvStations && tsdbResult.tvStations.length > 0) {
-        additionalStations.push(...tsdbResult.tvStations);
-      }
-      
-      if (debug) {
-        log(`[TSDB] Matched: league=${tsdbResult.league}, kickoff=${tsdbResult.kickoffUtc}, stations=${tsdbResult.tvStations?.length || 0}`);
-      }
-    } else {
-      result.sourcesUsed.tsdb = false;
-      if (debug) log('[TSDB] No match found');
-    }
-  } catch (err) {
-    result.sourcesUsed.tsdb = false;
-    logSourceError('TSDB', err);
-  }
-  
-  // ---------- 2. FootballData.org (optional) ----------
-  if (footballdata && baseFixture.footballdataTeamId) {
-    try {
-      const fbdResult = await footballdata.fetchFootballData({
-        teamId: baseFixture.footballdataTeamId,
-        dateUtc
-      });
-      
-      if (fbdResult) {
-        result.sourcesUsed.footballdata = true;
-        
-        // Use as backup for kickoff/league if not from TSDB
-        if (!result.kickoffUtc && fbdResult.kickoffUtc) {
-          result.kickoffUtc = fbdResult.kickoffUtc;
-        }
-        if (!result.league && fbdResult.league) {
-          result.league = fbdResult.league;
-        }
-        
-        if (debug) log(`[FBD] Got: league=${fbdResult.league}, kickoff=${fbdResult.kickoffUtc}`);
-      }
-    } catch (err) {
-      result.sourcesUsed.footballdata = false;
-      logSourceError('FBD', err);
-    }
-  }
-  
-  // ---------- 3. LiveSoccerTV (detailed regionChannels) ----------
-  try {
-    const lstvResult = await lstv.fetchLSTV({
-      home: homeTeam,
-      away: awayTeam,
-      date: dateUtc,
-      kickoffUtc: result.kickoffUtc || null,
-      league: result.league || leagueHint
-    });
-    
-    if (lstvResult.regionChannels && lstvResult.regionChannels.length > 0) {
-      result.sourcesUsed.lstv = true;
-      
-      // Add LSTV channels with source tag
-      for (const rc of lstvResult.regionChannels) {
-        result.tvRegions.push({
-          region: rc.region,
-          channel: rc.channel,
-          source: 'LSTV'
-        });
-      }
-      
-      // Use LSTV kickoff as fallback
-      if (!result.kickoffUtc && lstvResult.kickoffUtc) {
-        result.kickoffUtc = lstvResult.kickoffUtc;
-      }
-      
-      if (debug) log(`[LSTV] Found ${lstvResult.regionChannels.length} channels`);
-    } else {
-      result.sourcesUsed.lstv = false;
-      if (debug) log('[LSTV] No channels found');
-    }
-  } catch (err) {
-    result.sourcesUsed.lstv = false;
-    logSourceError('LSTV', err);
-  }
-  
-  // ---------- 4. BBC Fixtures (optional) ----------
-  if (bbcFixtures) {
-    try {
-      const bbcResult = await bbcFixtures.fetchBBCFixtures({ teamName: homeTeam });
-      
-      if (bbcResult.matches && bbcResult.matches.length > 0) {
-        // Find matching fixture
-        const match = bbcResult.matches.find(m => {
-          const homeMatch = normalizeForComparison(m.home).includes(normalizeForComparison(homeTeam)) ||
-                           normalizeForComparison(homeTeam).includes(normalizeForComparison(m.home));
-          const awayMatch = normalizeForComparison(m.away).includes(normalizeForComparison(awayTeam)) ||
-                           normalizeForComparison(awayTeam).includes(normalizeForComparison(m.away));
-          return homeMatch && awayMatch;
-        });
-        
-        if (match) {
-          result.sourcesUsed.bbc = true;
-          
-          // Use BBC competition as fallback league
-          if (!result.league && match.competition) {
-            result.league = match.competition;
-          }
-          
-          if (debug) log(`[BBC] Matched: competition=${match.competition}`);
-        }
-      }
-    } catch (err) {
-      result.sourcesUsed.bbc = false;
-      logSourceError('BBC', err);
-    }
-  }
-  
-  // ---------- 5. Sky Sports fixtures (optional TV) ----------
-  if (skysports) {
-    try {
-      const skyResult = await skysports.fetchSkyFixtures({ teamName: homeTeam });
-      
-      if (skyResult.fixtures && skyResult.fixtures.length > 0) {
-        // Find matching fixture
-        const match = skyResult.fixtures.find(f => {
-          const homeMatch = normalizeForComparison(f.home).includes(normalizeForComparison(homeTeam)) ||
-                           normalizeForComparison(homeTeam).includes(normalizeForComparison(f.home));
-          const awayMatch = normalizeForComparison(f.away).includes(normalizeForComparison(awayTeam)) ||
-                           normalizeForComparison(awayTeam).includes(normalizeForComparison(f.away));
-          return homeMatch && awayMatch;
-        });
-        
-        if (match) {
-          result.sourcesUsed.sky = true;
-          
-          // Add Sky channels
-          if (match.channels && match.channels.length > 0) {
-            for (const channel of match.channels) {
-              result.tvRegions.push({
-                region: 'UK',
-                channel,
-                source: 'SKY'
-              });
-            }
-            additionalStations.push(...match.channels);
-          }
-          
-          if (debug) log(`[SKY] Matched with ${match.channels?.length || 0} channels`);
-        }
-      }
-    } catch (err) {
-      result.sourcesUsed.sky = false;
-      logSourceError('SKY', err);
-    }
-  }
-  
-  // ---------- 6. TNT Sports fixtures (optional TV) ----------
-  if (tnt) {
-    try {
-      const tntResult = await tnt.fetchTNTFixtures({ teamName: homeTeam });
-      
-      if (tntResult.fixtures && tntResult.fixtures.length > 0) {
-        // Find matching fixture
-        const match = tntResult.fixtures.find(f => {
-          const homeMatch = normalizeForComparison(f.home).includes(normalizeForComparison(homeTeam)) ||
-                           normalizeForComparison(homeTeam).includes(normalizeForComparison(f.home));
-          const awayMatch = normalizeForComparison(f.away).includes(normalizeForComparison(awayTeam)) ||
-                           normalizeForComparison(awayTeam).includes(normalizeForComparison(f.away));
-          return homeMatch && awayMatch;
-        });
-        
-        if (match) {
-          result.sourcesUsed.tnt = true;
-          
-          // Add TNT channels
-          if (match.channels && match.channels.length > 0) {
-            for (const channel of match.channels) {
-              result.tvRegions.push({
-                region: 'UK',
-                channel,
-                source: 'TNT'
-              });
-            }
-            additionalStations.push(...match.channels);
-          }
-          
-          if (debug) log(`[TNT] Matched with ${match.channels?.length || 0} channels`);
-        }
-      }
-    } catch (err) {
-      result.sourcesUsed.tnt = false;
-      logSourceError('TNT', err);
-    }
-  }
-  
-  // ---------- 7. LiveFootballOnTV (optional TV) ----------
-  if (livefootballontv) {
-    try {
-      const lfotvResult = await livefootballontv.fetchLFOTVFixtures({ teamName: homeTeam });
-      
-      if (lfotvResult.fixtures && lfotvResult.fixtures.length > 0) {
-        // Find matching fixture
-        const match = lfotvResult.fixtures.find(f => {
-          const homeMatch = normalizeForComparison(f.home).includes(normalizeForComparison(homeTeam)) ||
-                           normalizeForComparison(homeTeam).includes(normalizeForComparison(f.home));
-          const awayMatch = normalizeForComparison(f.away).includes(normalizeForComparison(awayTeam)) ||
-                           normalizeForComparison(awayTeam).includes(normalizeForComparison(f.away));
-          return homeMatch && awayMatch;
-        });
-        
-        if (match) {
-          result.sourcesUsed.lfotv = true;
-          
-          // Add LFOTV channels
-          if (match.channels && match.channels.length > 0) {
-            for (const channel of match.channels) {
-              result.tvRegions.push({
-                region: 'UK',
-                channel,
-                source: 'LFOTV'
-              });
-            }
-            additionalStations.push(...match.channels);
-          }
-          
-          if (debug) log(`[LFOTV] Matched with ${match.channels?.length || 0} channels`);
-        }
-      }
-    } catch (err) {
-      result.sourcesUsed.lfotv = false;
-      logSourceError('LFOTV', err);
+
+  const startedAt = Date.now();
+  const deadlineAt = startedAt + budgetMs;
+
+  // Contribution of a source that may have timed out or been skipped
+  const settled = (outcome) => (outcome && outcome !== TIMED_OUT ? outcome : {});
+
+  // ---------- Fan-out ----------
+
+  const sources = sourceRegistry.getAggregatorSources(sourceSettings, sport);
+  const tasks = new Map();
+  const footballdataTeamId = baseFixture.footballdataTeamId ||
+    (football ? teamRegistry.getProviderId(homeTeam, 'footballdata') : null);
+  // Team names as the sources spelled them (see noteTeamNames)
+  const seenTeams = [];
+
+  for (const source of sources) {
+    const adapter = ADAPTERS[source.aggregator.adapter];
+    const mod = source.invocation.type === 'local' ? sourceRegistry.loadSourceModule(source) : null;
+    if (!adapter || (source.invocation.type === 'local' && !mod)) {
+      continue; // Unknown adapter or optional scraper not installed
     }
-  }
-  
-  // ---------- 8. Wikipedia broadcasters ----------
-  const leagueName = result.league || leagueHint;
-  if (leagueName) {
-    try {
-      const wikiResult = await wiki.fetchWikiBroadcasters({
-        leagueName,
-        season: null, // Auto-detect
-        country: null // Get all regions
-      });
-      
-      if (wikiResult.broadcasters && wikiResult.broadcasters.length > 0) {
-        result.sourcesUsed.wiki = true;
-        
-        // Add Wikipedia broadcasters only if not already present
-        for (const wb of wikiResult.broadcasters) {
-          const alreadyExists = result.tvRegions.some(r => 
-            normalizeForComparison(r.region) === normalizeForComparison(wb.region) &&
-            normalizeForComparison(r.channel) === normalizeForComparison(wb.channel)
-          );
-          
-          if (!alreadyExists) {
-            result.tvRegions.push({
-              region: wb.region,
-              channel: wb.channel,
-              source: 'WIKI'
-            });
-          }
+
+    const deps = source.aggregator.dependsOn.map(id => tasks.get(id)).filter(Boolean);
+    const timeoutMs = sourceTimeouts[source.id] || source.settings.timeoutMs;
+
+    tasks.set(source.id, Promise.all(deps).then((depOutcomes) => {
+      // Earlier dependencies win for kickoff and league
+      const known = depOutcomes.map(settled);
+      const ctx = {
+        homeTeam,
+        awayTeam,
+        dateUtc,
+        sport,
+        eventName,
+        debug,
+        useCache,
+        footballdataTeamId,
+        seenTeams,
+        kickoffUtc: (known.find(o => o.kickoffUtc) || {}).kickoffUtc || null,
+        league: (known.find(o => o.league) || {}).league || leagueHint
+      };
+
+      // Within the source's own timeout and the fixture's remaining budget
+      const ms = Math.max(0, Math.min(timeoutMs, deadlineAt - Date.now()));
+      return withDeadline(Promise.resolve().then(async () => {
+        try {
+          return await adapter(source, mod, ctx);
+        } catch (err) {
+          logSourceError(source.aggregator.tag || source.id, err);
+          return { used: false };
         }
-        
-        // Add to additional stations
-        additionalStations.push(...wikiResult.broadcasters.map(b => b.channel));
-        
-        if (debug) log(`[WIKI] Found ${wikiResult.broadcasters.length} broadcasters for ${leagueName}`);
-      } else {
-        result.sourcesUsed.wiki = false;
-        if (debug) log(`[WIKI] No broadcasters found for ${leagueName}`);
-      }
-    } catch (err) {
-      result.sourcesUsed.wiki = false;
-      logSourceError('WIKI', err);
-    }
+      }), ms);
+    }));
   }
-  
-  // ---------- 9. Remote VPS Scrapers (optional) ----------
-  // These are called in parallel if useRemoteScrapers is enabled
-  const {
-    useRemoteScrapers = false,
-    enableRemoteBBC = false,
-    enableRemoteSkySports = false,
-    enableRemoteTNT = false,
-    enableRemoteLiveFootballOnTV = false,
-    enableRemoteOddAlerts = false,
-    enableRemoteProSoccerTV = false,
-    enableRemoteSportEventz = false,
-    enableRemoteWheresTheMatch = false,
-    enableRemoteWorldSoccerTalk = false,
-    enableRemoteSofaScore = false
-  } = options;
-  
-  if (useRemoteScrapers || enableRemoteBBC || enableRemoteSkySports || enableRemoteTNT ||
-      enableRemoteLiveFootballOnTV || enableRemoteOddAlerts || enableRemoteProSoccerTV ||
-      enableRemoteSportEventz || enableRemoteWheresTheMatch || enableRemoteWorldSoccerTalk ||
-      enableRemoteSofaScore) {
-    
-    const remotePromises = [];
-    const remoteSourceNames = [];
-    
-    // Build list of remote scrapers to call
-    if (useRemoteScrapers || enableRemoteBBC) {
-      remotePromises.push(lstv.fetchBBCRemote({ teamName: homeTeam }));
-      remoteSourceNames.push('remoteBBC');
-    }
-    if (useRemoteScrapers || enableRemoteSkySports) {
-      remotePromises.push(lstv.fetchSkySportsRemote({ teamName: homeTeam }));
-      remoteSourceNames.push('remoteSkySports');
-    }
-    if (useRemoteScrapers || enableRemoteTNT) {
-      remotePromises.push(lstv.fetchTNTRemote({ teamName: homeTeam }));
-      remoteSourceNames.push('remoteTNT');
-    }
-    if (useRemoteScrapers || enableRemoteLiveFootballOnTV) {
-      remotePromises.push(lstv.fetchLiveFootballOnTVRemote({ teamName: homeTeam }));
-      remoteSourceNames.push('remoteLFOTV');
-    }
-    if (useRemoteScrapers || enableRemoteOddAlerts) {
-      remotePromises.push(lstv.fetchOddAlertsRemote({ date: dateUtc?.toISOString().slice(0, 10) }));
-      remoteSourceNames.push('remoteOddAlerts');
-    }
-    if (useRemoteScrapers || enableRemoteProSoccerTV) {
-      remotePromises.push(lstv.fetchProSoccerTVRemote({}));
-      remoteSourceNames.push('remoteProSoccerTV');
-    }
-    if (useRemoteScrapers || enableRemoteSportEventz) {
-      remotePromises.push(lstv.fetchSportEventzRemote({ date: dateUtc?.toISOString().slice(0, 10) }));
-      remoteSourceNames.push('remoteSportEventz');
-    }
-    if (useRemoteScrapers || enableRemoteWheresTheMatch) {
-      remotePromises.push(lstv.fetchWheresTheMatchRemote({ date: dateUtc?.toISOString().slice(0, 10) }));
-      remoteSourceNames.push('remoteWTM');
-    }
-    if (useRemoteScrapers || enableRemoteWorldSoccerTalk) {
-      remotePromises.push(lstv.fetchWorldSoccerTalkRemote({}));
-      remoteSourceNames.push('remoteWST');
-    }
-    if (useRemoteScrapers || enableRemoteSofaScore) {
-      remotePromises.push(lstv.fetchSofaScoreRemote({ 
-        date: dateUtc?.toISOString().slice(0, 10),
-        teamName: homeTeam || awayTeam
-      }));
-      remoteSourceNames.push('remoteSofaScore');
-    }
-    
-    if (remotePromises.length > 0) {
-      // Call all remote scrapers in parallel with Promise.allSettled
-      const remoteResults = await Promise.allSettled(remotePromises);
-      
-      // Process each result
-      remoteResults.forEach((promiseResult, index) => {
-        const sourceName = remoteSourceNames[index];
-        
-        if (promiseResult.status === 'fulfilled') {
-          const { fixtures, source } = promiseResult.value;
-          
-          if (fixtures && fixtures.length > 0) {
-            result.sourcesUsed[sourceName] = true;
-            
-            // Find matching fixture
-            const matchingFixture = fixtures.find(f => {
-              const fixtureHome = f.homeTeam || f.home || '';
-              const fixtureAway = f.awayTeam || f.away || '';
-              const homeMatch = normalizeForComparison(fixtureHome).includes(normalizeForComparison(homeTeam)) ||
-                               normalizeForComparison(homeTeam).includes(normalizeForComparison(fixtureHome));
-              const awayMatch = normalizeForComparison(fixtureAway).includes(normalizeForComparison(awayTeam)) ||
-                               normalizeForComparison(awayTeam).includes(normalizeForComparison(fixtureAway));
-              return homeMatch && awayMatch;
-            });
-            
-            if (matchingFixture) {
-              // Add regionChannels if available
-              if (matchingFixture.regionChannels && matchingFixture.regionChannels.length > 0) {
-                for (const rc of matchingFixture.regionChannels) {
-                  result.tvRegions.push({
-                    region: rc.region || 'UK',
-                    channel: rc.channel,
-                    source: source.toUpperCase()
-                  });
-                }
-              }
-              
-              // Add flat channels if available
-              if (matchingFixture.channels && matchingFixture.channels.length > 0) {
-                for (const channel of matchingFixture.channels) {
-                  result.tvRegions.push({
-                    region: 'UK',
-                    channel,
-                    source: source.toUpperCase()
-                  });
-                }
-                additionalStations.push(...matchingFixture.channels);
-              }
-              
-              if (debug) log(`[${sourceName}] Matched fixture with ${(matchingFixture.regionChannels?.length || 0) + (matchingFixture.channels?.length || 0)} channels`);
-            } else {
-              if (debug) log(`[${sourceName}] No matching fixture found in ${fixtures.length} results`);
-            }
-          } else {
-            result.sourcesUsed[sourceName] = false;
-            if (debug) log(`[${sourceName}] No fixtures returned`);
-          }
-        } else {
-          result.sourcesUsed[sourceName] = false;
-          log(`[${sourceName}] Remote scraper failed: ${promiseResult.reason?.message || 'Unknown error'}`);
-        }
-      });
+
+  const outcomes = await Promise.all(tasks.values());
+
+  // ---------- Merge (registry order) ----------
+
+  // Collect additional stations from various sources
+  const additionalStations = [];
+
+  // Sources that found this fixture (authoritative sources can contradict others)
+  const matchedSources = [];
+  const timedOut = [];
+
+  Array.from(tasks.keys()).forEach((id, i) => {
+    const outcome = outcomes[i];
+    if (outcome === TIMED_OUT) {
+      result.sourcesUsed[id] = 'timeout';
+      timedOut.push(id);
+      return;
     }
+    if (!outcome) return;
+
+    if (outcome.used !== undefined) result.sourcesUsed[id] = outcome.used;
+    if (outcome.matched) matchedSources.push(outcome.tag);
+    result.tvRegions.push(...(outcome.tvRegions || []));
+    additionalStations.push(...(outcome.stations || []));
+
+    // Earlier sources win for kickoff, league and venue
+    if (!result.kickoffUtc && outcome.kickoffUtc) result.kickoffUtc = outcome.kickoffUtc;
+    if (!result.league && outcome.league) result.league = outcome.league;
+    if (!result.venue && outcome.venue) result.venue = outcome.venue;
+  });
+
+  if (timedOut.length > 0) {
+    log(`${label} – timed out: ${timedOut.join(', ')} (budget ${budgetMs}ms)`);
   }
-  
+
   // ---------- Final processing ----------
-  
+
   // Use baseFixture.dateUtc as final fallback for kickoffUtc
   if (!result.kickoffUtc && dateUtc) {
     result.kickoffUtc = dateUtc.toISOString();
   }
-  
+
   // Use leagueHint as final fallback for league
   if (!result.league && leagueHint) {
     result.league = leagueHint;
   }
-  
-  // Deduplicate tvRegions
-  result.tvRegions = deduplicateRegionChannels(result.tvRegions);
-  
-  // Build flat station list
-  result.tvStationsFlat = buildFlatStationList(result.tvRegions, additionalStations);
-  
+
+  // Unknown team spellings go to the team registry's review list
+  if (football) {
+    try {
+      teamRegistry.learnTeamNames([
+        { name: homeTeam, source: 'FIXTURE' },
+        { name: awayTeam, source: 'FIXTURE' },
+        ...seenTeams
+      ]);
+    } catch (err) {
+      logSourceError('TEAMS', err);
+    }
+  }
+
+  // One canonical name per channel and region, so aliases count as agreement,
+  // then score tvRegions by cross-source agreement, dropping contradicted
+  // channels. If either fails (e.g. the dictionary store can't be written),
+  // keep the merged listings as the sources gave them
+  let scored;
+  try {
+    const canonical = channelDictionary.canonicalizeEntries(result.tvRegions, { recordUnmatched: true })
+      .map(entry => ({ ...entry, region: regions.getRegionName(entry.region) }));
+    scored = confidence.scoreTvRegions(canonical, { matchedSources, minConfidence });
+  } catch (err) {
+    logSourceError('MERGE', err);
+    scored = { kept: result.tvRegions, suppressed: [] };
+  }
+  result.tvRegions = scored.kept;
+  result.suppressedTvRegions = scored.suppressed;
+
+  for (const entry of scored.suppressed) {
+    log(`${label} – suppressed ${entry.region}/${entry.channel} (${entry.confidence}): ${entry.suppressedReason}`);
+  }
+
+  // Build flat station list (without channels suppressed in every region)
+  const suppressedOnly = scored.suppressed
+    .filter(s => !scored.kept.some(k => channelsEqual(k.channel, s.channel)))
+    .map(s => normalizeForComparison(s.channel));
+  result.tvStationsFlat = buildFlatStationList(
+    result.tvRegions,
+    channelDictionary.canonicalizeNames(additionalStations)
+      .filter(station => !suppressedOnly.includes(normalizeForComparison(station)))
+  );
+
   // Format local time if timezone provided
   if (timezone && result.kickoffUtc) {
     result.kickoffLocal = formatKickoffLocal(result.kickoffUtc, timezone);
   }
-  
+
   // Log summary
   const sourcesStr = Object.entries(result.sourcesUsed)
-    .filter(([, used]) => used)
+    .filter(([, used]) => used === true)
     .map(([name]) => name.toUpperCase())
     .join(',') || 'none';
-  
-  log(`${homeTeam} v ${awayTeam} (${result.league || 'unknown'}) – kickoff=${result.kickoffUtc || 'unknown'} local=${result.kickoffLocal || 'unknown'} stations=${result.tvStationsFlat.length} sources={${sourcesStr}}`);
-  
+
+  log(`${label} (${result.league || 'unknown'}) – kickoff=${result.kickoffUtc || 'unknown'} local=${result.kickoffLocal || 'unknown'} stations=${result.tvStationsFlat.length} sources={${sourcesStr}} in ${Date.now() - startedAt}ms`);
+
   return result;
 }
 
@@ -702,8 +657,9 @@ module.exports = {
   getTvDataForFixture,
   // Export helpers for testing
   formatKickoffLocal,
-  deduplicateRegionChannels,
   buildFlatStationList,
   normalizeForComparison,
-  channelsEqual
+  channelsEqual,
+  withDeadline,
+  DEFAULT_BUDGET_MS
 };
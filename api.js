@@ -0,0 +1,342 @@
+// api.js
+// Read-only JSON API (v1) over the merged fixtures and TV listings.
+/**
+ * Telegram Sports TV Bot – JSON API
+ *
+ * Lets other tools read our merged data without scraping the Telegram
+ * channel. Routes (wired in app.js, documented in docs/openapi.json):
+ *   GET /api/v1/fixtures?team=&from=&to=&region=&page=&pageSize=
+ *   GET /api/v1/fixtures/:id/tv?region=
+ *   GET /api/v1/openapi.json
+ *
+ * Fixtures come from getFixturesForTeams() (scrapers/fixtures_scraper.js),
+ * TV listings for a single fixture from getTvDataForFixture()
+ * (aggregators/tv_channels.js). Both are slow, so results are cached in
+ * memory (FIXTURE_CACHE_TTL_MS / TV_CACHE_TTL_MS, at most MAX_CACHE_ENTRIES,
+ * least recently used evicted first) and concurrent requests for the same
+ * data share one lookup.
+ *
+ * Fixture ids encode the kickoff and both teams (base64url), so
+ * /fixtures/:id/tv works for any id without the fixture being cached.
+ *
+ * Requests need an API key (lib/api_keys.js); the admin password is not
+ * accepted. Responses carry an ETag so clients can revalidate cheaply.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const fixturesScraper = require('./scrapers/fixtures_scraper');
+const tvAggregator = require('./aggregators/tv_channels');
+
+// ---------- Constants ----------
+
+const LOG_PATH = path.join(__dirname, 'autopost.log');
+const LOG_PREFIX = '[API]';
+
+const OPENAPI_PATH = path.join(__dirname, 'docs', 'openapi.json');
+
+const FIXTURE_CACHE_TTL_MS = 15 * 60 * 1000;
+const TV_CACHE_TTL_MS = 30 * 60 * 1000;
+
+// Cache keys come from client input (team lists, fixture ids), so cap them
+const MAX_CACHE_ENTRIES = 500;
+
+// Query limits
+const MAX_TEAMS_PER_REQUEST = 10;
+const DEFAULT_RANGE_DAYS = 7;
+const MAX_RANGE_DAYS = 28;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ---------- Logging ----------
+
+function log(msg) {
+  const line = `[${new Date().toISOString()}] ${LOG_PREFIX} ${msg}`;
+  console.log(line);
+  try {
+    fs.appendFileSync(LOG_PATH, line + '\n', 'utf8');
+  } catch (err) {
+    // Ignore file errors
+  }
+}
+
+// ---------- Fixture ids ----------
+
+/**
+ * Stable id for a fixture: base64url of "kickoff|home|away".
+ * @param {Object} fixture - Fixture with start, homeTeam, awayTeam
+ * @returns {string}
+ */
+function encodeFixtureId(fixture) {
+  const kickoff = new Date(fixture.start).toISOString().slice(0, 16);
+  return Buffer.from(`${kickoff}|${fixture.homeTeam || ''}|${fixture.awayTeam || ''}`, 'utf8').toString('base64url');
+}
+
+/**
+ * Decode a fixture id.
+ * @param {string} id - Id from encodeFixtureId()
+ * @returns {{start: Date, homeTeam: string, awayTeam: string}|null} null if malformed
+ */
+function decodeFixtureId(id) {
+  const parts = Buffer.from(String(id || ''), 'base64url').toString('utf8').split('|');
+  if (parts.length !== 3 || (!parts[1] && !parts[2])) return null;
+
+  const start = new Date(`${parts[0]}:00Z`);
+  if (isNaN(start.getTime())) return null;
+  return { start, homeTeam: parts[1], awayTeam: parts[2] };
+}
+
+// ---------- Query parsing ----------
+
+function parseDate(value, endOfDay) {
+  if (!value) return null;
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const date = new Date(dateOnly ? `${value}T00:00:00Z` : value);
+  if (isNaN(date.getTime())) return undefined;
+  return dateOnly && endOfDay ? new Date(date.getTime() + DAY_MS - 1) : date;
+}
+
+function parsePositiveInt(value, fallback) {
+  if (value === undefined || value === '') return fallback;
+  const n = Number(value);
+  return Number.isInteger(n) && n > 0 ? n : null;
+}
+
+/**
+ * Validate /fixtures query parameters.
+ *
+ * @param {Object} query - req.query
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {{error: string}|{options: {teams: string[], from: Date, to: Date, region: string|null, page: number, pageSize: number}}}
+ */
+function parseFixtureQuery(query, now = new Date()) {
+  const teams = String(query.team || '')
+    .split(',')
+    .map((t) => t.trim())
+    .filter(Boolean);
+  if (!teams.length) {
+    return { error: 'team is required (comma-separated for several teams)' };
+  }
+  if (teams.length > MAX_TEAMS_PER_REQUEST) {
+    return { error: `At most ${MAX_TEAMS_PER_REQUEST} teams per request` };
+  }
+
+  const from = parseDate(query.from, false);
+  const to = parseDate(query.to, true);
+  if (from === undefined || to === undefined) {
+    return { error: 'from and to must be ISO 8601 dates' };
+  }
+  const start = from || now;
+  const end = to || new Date(start.getTime() + DEFAULT_RANGE_DAYS * DAY_MS);
+  if (end < start) {
+    return { error: 'to must not be before from' };
+  }
+  if (end.getTime() - now.getTime() > MAX_RANGE_DAYS * DAY_MS) {
+    return { error: `to must be within ${MAX_RANGE_DAYS} days from now` };
+  }
+
+  const page = parsePositiveInt(query.page, 1);
+  const pageSize = parsePositiveInt(query.pageSize, DEFAULT_PAGE_SIZE);
+  if (!page || !pageSize || pageSize > MAX_PAGE_SIZE) {
+    return { error: `page must be a positive integer and pageSize between 1 and ${MAX_PAGE_SIZE}` };
+  }
+
+  const region = String(query.region || '').trim() || null;
+  return { options: { teams, from: start, to: end, region, page, pageSize } };
+}
+
+// ---------- Caching ----------
+
+// Map order is least recently used first
+const cache = new Map();
+const inFlight = new Map();
+
+// Drop expired entries, then the least recently used beyond MAX_CACHE_ENTRIES
+function pruneCache(now = Date.now()) {
+  for (const [key, entry] of cache) {
+    if (entry.expiresAt <= now) cache.delete(key);
+  }
+  for (const key of cache.keys()) {
+    if (cache.size <= MAX_CACHE_ENTRIES) break;
+    cache.delete(key);
+  }
+}
+
+/**
+ * Cached value for key, or the result of load() (shared by concurrent callers).
+ * @param {string} key - Cache key
+ * @param {number} ttlMs - Time to live
+ * @param {Function} load - Async loader
+ * @returns {Promise<*>}
+ */
+async function cached(key, ttlMs, load) {
+  const hit = cache.get(key);
+  if (hit) {
+    cache.delete(key);
+    if (Date.now() < hit.expiresAt) {
+      cache.set(key, hit);
+      return hit.value;
+    }
+  }
+  if (!inFlight.has(key)) {
+    inFlight.set(key, Promise.resolve()
+      .then(load)
+      .then((value) => {
+        cache.set(key, { expiresAt: Date.now() + ttlMs, value });
+        pruneCache();
+        return value;
+      })
+      .finally(() => inFlight.delete(key)));
+  }
+  return inFlight.get(key);
+}
+
+/**
+ * Drop all cached fixtures and TV listings.
+ */
+function clearApiCache() {
+  cache.clear();
+}
+
+// ---------- Serialization ----------
+
+function matchesRegion(entry, region) {
+  return String(entry.region || '').toLowerCase() === region.toLowerCase();
+}
+
+/**
+ * Public shape of a fixture.
+ * @param {Object} fixture - Fixture from getFixturesForTeams()
+ * @param {string|null} region - Only keep TV listings for this region
+ * @returns {Object}
+ */
+function serializeFixture(fixture, region) {
+  const tvByRegion = (fixture.tvByRegion || [])
+    .filter((entry) => !region || matchesRegion(entry, region))
+    .map(({ region: r, channel, source }) => ({ region: r, channel, source: source || null }));
+
+  return {
+    id: encodeFixtureId(fixture),
+    kickoffUtc: new Date(fixture.start).toISOString(),
+    homeTeam: fixture.homeTeam || null,
+    awayTeam: fixture.awayTeam || null,
+    competition: fixture.competition || null,
+    venue: fixture.location || null,
+    tvChannels: region ? Array.from(new Set(tvByRegion.map((e) => e.channel))) : (fixture.tvChannels || []),
+    tvByRegion,
+    source: fixture.source || null
+  };
+}
+
+/**
+ * Slice a list into a page.
+ * @param {Array} items - All items
+ * @param {number} page - 1-based page
+ * @param {number} pageSize - Items per page
+ * @returns {{data: Array, meta: {page, pageSize, total, totalPages}}}
+ */
+function paginate(items, page, pageSize) {
+  const total = items.length;
+  return {
+    data: items.slice((page - 1) * pageSize, page * pageSize),
+    meta: { page, pageSize, total, totalPages: Math.max(1, Math.ceil(total / pageSize)) }
+  };
+}
+
+/**
+ * Strong ETag for a response body.
+ * @param {Object} body - JSON body
+ * @returns {string} Quoted ETag
+ */
+function getEtag(body) {
+  return `"${crypto.createHash('sha1').update(JSON.stringify(body)).digest('hex')}"`;
+}
+
+// ---------- Endpoints ----------
+
+/**
+ * Fixtures for teams within a date range, one page at a time.
+ *
+ * @param {Object} options - From parseFixtureQuery()
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Promise<{data: Array, meta: Object}>}
+ */
+async function listFixtures(options, now = new Date()) {
+  const { teams, from, to, region, page, pageSize } = options;
+  const daysAhead = Math.max(1, Math.ceil((to.getTime() - now.getTime()) / DAY_MS));
+  const key = `fixtures|${teams.map((t) => t.toLowerCase()).sort().join(',')}|${daysAhead}`;
+
+  const fixtures = await cached(key, FIXTURE_CACHE_TTL_MS, async () => {
+    log(`Fetching fixtures for ${teams.join(', ')} (${daysAhead} days ahead)`);
+    return fixturesScraper.getFixturesForTeams({
+      teams: teams.map((label) => ({ label })),
+      daysAhead,
+      maxTeams: MAX_TEAMS_PER_REQUEST
+    });
+  });
+
+  const matching = fixtures
+    .filter((f) => f.start && f.start >= from && f.start <= to)
+    .filter((f) => !region || (f.tvByRegion || []).some((entry) => matchesRegion(entry, region)))
+    .map((f) => serializeFixture(f, region));
+
+  return paginate(matching, page, pageSize);
+}
+
+/**
+ * TV listings for one fixture from the aggregator.
+ *
+ * @param {string} id - Fixture id
+ * @param {Object} [options={}] - Options
+ * @param {string} [options.region] - Only keep listings for this region
+ * @param {string} [options.timezone='Europe/London'] - Timezone for kickoffLocal
+ * @param {Object} [options.sources] - Per-source settings (config.json "sources")
+ * @returns {Promise<Object|null>} null if the id is malformed
+ */
+async function getFixtureTv(id, options = {}) {
+  const fixture = decodeFixtureId(id);
+  if (!fixture) return null;
+  const { region = null, timezone = 'Europe/London', sources } = options;
+
+  const tvData = await cached(`tv|${id}|${timezone}`, TV_CACHE_TTL_MS, () =>
+    tvAggregator.getTvDataForFixture({
+      homeTeam: fixture.homeTeam,
+      awayTeam: fixture.awayTeam,
+      dateUtc: fixture.start
+    }, { timezone, sources })
+  );
+
+  const tvRegions = (tvData.tvRegions || [])
+    .filter((entry) => !region || matchesRegion(entry, region))
+    .map(({ region: r, channel, source, sources, confidence }) => ({ region: r, channel, source, sources, confidence }));
+  return {
+    id,
+    homeTeam: fixture.homeTeam || null,
+    awayTeam: fixture.awayTeam || null,
+    kickoffUtc: tvData.kickoffUtc || fixture.start.toISOString(),
+    kickoffLocal: tvData.kickoffLocal || null,
+    league: tvData.league || null,
+    venue: tvData.venue || null,
+    tvRegions,
+    tvStationsFlat: region ? Array.from(new Set(tvRegions.map((e) => e.channel))) : (tvData.tvStationsFlat || []),
+    sourcesUsed: tvData.sourcesUsed || {}
+  };
+}
+
+module.exports = {
+  listFixtures,
+  getFixtureTv,
+  parseFixtureQuery,
+  encodeFixtureId,
+  decodeFixtureId,
+  serializeFixture,
+  paginate,
+  getEtag,
+  clearApiCache,
+  OPENAPI_PATH,
+  MAX_PAGE_SIZE,
+  MAX_CACHE_ENTRIES
+};
@@ -5,10 +5,15 @@
  *
  * Node.js + Express admin panel for a Telegram bot that posts football fixtures.
  * - Reads & writes config.json (channels, teams, settings).
- * - Pages: /admin/channels, /admin/teams, /admin/settings, /admin/logs, /admin/help.
+ * - Pages: /admin/channels, /admin/teams, /admin/settings, /admin/preview, /admin/scheduler, /admin/queue, /admin/posted, /admin/followers, /admin/api-keys, /admin/logs, /admin/help.
  * - Has a button to trigger /admin/post-now (calls runOnce from autopost.js).
+ * - /admin/preview runs runOnce({ dryRun: true }) and can send single posters from the result.
  * - Has a button /admin/import-uk-teams to run import_uk_teams.js.
  * - Exposes /cron/run?key=CRON_SECRET for Plesk scheduled tasks.
+ * - Serves public calendar feeds at /feeds/:channelId.ics and /feeds/team/:slug.ics (feeds.js).
+ * - Serves a read-only JSON API at /api/v1 (api.js), authenticated with keys from /admin/api-keys.
+ * - Runs per-channel cron jobs in-process via scheduler.js when schedulerEnabled is set.
+ * - Answers bot commands (/today, /team, /tv, /follow) via bot_commands.js when botCommandsEnabled is set.
  *
  * Constraints:
  * - No DB, config stored in config.json.
@@ -23,7 +28,9 @@ const basicAuth = require('express-basic-auth');
 const multer = require('multer');
 const axios = require('axios');
 const { execFile } = require('child_process');
-const { runOnce, CONFIG_PATH, LOG_PATH } = require('./autopost');
+const { runOnce, sendQueuedPostNow, sendPreviewItem, CONFIG_PATH, LOG_PATH } = require('./autopost');
+const botCommands = require('./bot_commands');
+const scheduler = require('./scheduler');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -239,6 +246,18 @@ function renderLayout(title, bodyHtml) {
     <a href="/admin/channels">Channels</a>
     <a href="/admin/teams">Teams</a>
     <a href="/admin/settings">Settings</a>
+    <a href="/admin/poster-templates">Poster Templates</a>
+    <a href="/admin/preview">Preview</a>
+    <a href="/admin/scheduler">Scheduler</a>
+    <a href="/admin/queue">Queue</a>
+    <a href="/admin/posted">Posted</a>
+    <a href="/admin/fixture-changes">Changes</a>
+    <a href="/admin/followers">Followers</a>
+    <a href="/admin/api-keys">API Keys</a>
+    <a href="/admin/tv-channels">TV Channels</a>
+    <a href="/admin/assets">Crests &amp; Logos</a>
+    <a href="/admin/team-names">Team Names</a>
+    <a href="/admin/cache">Cache</a>
     <a href="/admin/scrapers">Scrapers</a>
     <a href="/admin/auto-test">Auto-Test</a>
     <a href="/admin/results">Results</a>
@@ -272,8 +291,22 @@ app.get('/', (req, res) => {
 
 // --------- Channels page ---------
 
+const sports = require('./lib/sports');
+const matchdayCards = require('./lib/matchday_cards');
+const audience = require('./lib/audience');
+const i18n = require('./lib/i18n');
+const icsProviders = require('./lib/ics_providers');
+const regions = require('./lib/regions');
+
 // Number of columns in the channels table
-const CHANNELS_TABLE_COLS = 6;
+const CHANNELS_TABLE_COLS = 7;
+
+function renderSportOptions(selected) {
+  const current = sports.normalizeSport(selected);
+  return Object.values(sports.SPORTS)
+    .map((sport) => `<option value="${sport.id}" ${sport.id === current ? 'selected' : ''}>${escapeHtml(sport.label)}</option>`)
+    .join('');
+}
 
 app.get('/admin/channels', (req, res) => {
   const cfg = loadConfig();
@@ -289,6 +322,7 @@ app.get('/admin/channels', (req, res) => {
         <td>${escapeHtml(ch.label || '')}</td>
         <td>${escapeHtml(ch.id || '')}</td>
         <td>${teamCount}</td>
+        <td>${escapeHtml(sports.getSport(ch.sport).label)}</td>
         <td><span class="layout-badge layout-${layoutStyle.toLowerCase()}">${layoutStyle}</span></td>
         <td>
           <a href="/admin/channels/edit?index=${idx}">Edit</a>
@@ -318,6 +352,7 @@ app.get('/admin/channels', (req, res) => {
           <th>Label</th>
           <th>Telegram Channel ID</th>
           <th>Teams</th>
+          <th>Sport</th>
           <th>Layout</th>
           <th></th>
         </tr>
@@ -341,6 +376,10 @@ app.get('/admin/channels', (req, res) => {
         <input type="text" name="id" required value="@"></label>
         <span class="muted">For a public channel, this is its username, e.g. <code>@FootballOnTvUK</code>.</span>
       </p>
+      <p>
+        <label>Sport<br>
+        <select name="sport">${renderSportOptions('football')}</select></label>
+      </p>
       <p>
         <label>
           <input type="checkbox" name="posterStyle" value="true" id="posterStyleAdd" ${defaultPosterStyle ? 'checked' : ''}>
@@ -366,10 +405,14 @@ app.get('/admin/channels/edit', (req, res) => {
   }
 
   const ch = channels[idx];
+  const regionOptions = regions.getRegionOptions(ch);
+  const icsProvider = icsProviders.getChannelProvider(ch);
+  const error = req.query.error || '';
 
   const body = `
   <div class="card">
     <h2>Edit Channel: ${escapeHtml(ch.label || ch.id)}</h2>
+    ${error ? `<p style="color:#e74c3c;">${escapeHtml(error)}</p>` : ''}
 
     <form method="post" action="/admin/channels/update">
       <input type="hidden" name="index" value="${idx}">
@@ -381,6 +424,18 @@ app.get('/admin/channels/edit', (req, res) => {
         <label>Telegram Channel username / ID<br>
         <input type="text" name="id" value="${escapeHtml(ch.id || '')}" required></label>
       </p>
+      <p>
+        <label>Sport<br>
+        <select name="sport">${renderSportOptions(ch.sport)}</select></label>
+        <span class="muted">Decides how fixture titles are parsed, the poster layout and which TV sources are searched.</span>
+      </p>
+      <p>
+        <label>
+          <input type="checkbox" name="publicFeed" value="true" ${ch.publicFeed !== false ? 'checked' : ''}>
+          Publish a calendar feed
+        </label>
+        <span class="muted">Subscribable at <a href="/feeds/${encodeURIComponent(ch.id || '')}.ics">/feeds/${escapeHtml(ch.id || '')}.ics</a>, with TV channels in each event. Team feeds: <code>/feeds/team/&lt;team slug&gt;.ics</code>.</span>
+      </p>
       <p>
         <label>
           <input type="checkbox" name="posterStyle" value="true" id="posterStyleEdit" ${ch.posterStyle ? 'checked' : ''}>
@@ -388,6 +443,138 @@ app.get('/admin/channels/edit', (req, res) => {
         </label>
         <span class="muted">One message per fixture with visual TV listing. Otherwise uses compact list format.</span>
       </p>
+      <p>
+        <label>Poster timing<br>
+        <select name="postMode">
+          <option value="batch" ${ch.postMode !== 'kickoff' ? 'selected' : ''}>Post all fixtures in the window on each run</option>
+          <option value="kickoff" ${ch.postMode === 'kickoff' ? 'selected' : ''}>Queue each poster to go out before kickoff</option>
+        </select></label>
+        <span class="muted">Kickoff mode needs poster-style layout. Queued posters are listed on the <a href="/admin/queue">Queue</a> page.</span>
+      </p>
+      <p>
+        <label>Lead time (hours before kickoff)<br>
+        <input type="number" name="leadTimeHours" min="0.25" max="168" step="0.25" value="${escapeHtml(String(ch.leadTimeHours || 3))}"></label>
+      </p>
+      <p>
+        <label>Lead time per competition (one per line, <code>Competition = hours</code>)<br>
+        <textarea name="leadTimeByCompetition" rows="3" style="width:100%; max-width:420px;">${escapeHtml(
+          Object.entries(ch.leadTimeByCompetition || {}).map(([name, hours]) => `${name} = ${hours}`).join('\n')
+        )}</textarea></label>
+        <span class="muted">e.g. <code>Champions League = 4</code>. Matched against the fixture's competition, description or summary.</span>
+      </p>
+      <p>
+        <label>Matchday card<br>
+        <select name="matchdayCard">
+          <option value="off" ${!['instead', 'also'].includes(ch.matchdayCard) ? 'selected' : ''}>Off – one poster per fixture</option>
+          <option value="instead" ${ch.matchdayCard === 'instead' ? 'selected' : ''}>Instead of per-fixture posters</option>
+          <option value="also" ${ch.matchdayCard === 'also' ? 'selected' : ''}>As well as per-fixture posters</option>
+        </select></label>
+        <span class="muted">One image per day listing every fixture by kickoff and competition with its main UK channel. Needs poster-style layout; uses the poster template's colours.</span>
+      </p>
+      <p>
+        <label>Lines per card page<br>
+        <input type="number" name="matchdayCardRows" min="4" max="30" value="${escapeHtml(String(matchdayCards.getRowsPerPage(ch)))}"></label>
+        <span class="muted">Busier days continue on further pages.</span>
+      </p>
+      <p>
+        <label>Change alerts<br>
+        <select name="changeAlerts">
+          <option value="edit" ${!['post', 'off'].includes(ch.changeAlerts) ? 'selected' : ''}>Edit the original poster (alert post for digests and venue changes)</option>
+          <option value="post" ${ch.changeAlerts === 'post' ? 'selected' : ''}>Post a "POSTPONED" / "KICK-OFF CHANGED" alert</option>
+          <option value="off" ${ch.changeAlerts === 'off' ? 'selected' : ''}>Off (log only)</option>
+        </select></label>
+        <span class="muted">For fixtures already posted to this channel that are postponed or move. All changes are listed on the <a href="/admin/fixture-changes">Changes</a> page.</span>
+      </p>
+      <h3>ICS Source</h3>
+      <p>
+        <label>Provider<br>
+        <select name="icsProvider">
+          ${icsProviders.listProviders().map((p) => `
+          <option value="${p.id}" ${p.id === icsProvider.id ? 'selected' : ''}>${escapeHtml(p.label)}${p.perTeam ? ' (one feed per team)' : ''}</option>`).join('')}
+        </select></label>
+        <span class="muted">Per-team providers fetch each team's feed in rotation (see <a href="/admin/teams?channel=${idx}">Teams</a>). Teams with their own ICS URL always use it.</span>
+      </p>
+      <p>
+        <label>ICS URL (single feed)<br>
+        <input type="text" name="icsUrl" value="${escapeHtml(ch.icsUrl || '')}" placeholder="${escapeHtml(cfg.icsUrl || '')}"></label>
+        <span class="muted">Leave empty to use the global ICS URL.</span>
+      </p>
+      <p>
+        <label>URL template (URL template provider)<br>
+        <input type="text" name="icsUrlTemplate" value="${escapeHtml(ch.icsUrlTemplate || '')}" placeholder="https://example.com/calendar/{slug}.ics"></label>
+        <span class="muted"><code>{label}</code> is the team label, <code>{slug}</code> the team slug.</span>
+      </p>
+      <h3>Poster Template</h3>
+      <p>
+        <label>Template<br>
+        <select name="posterTemplate">
+          ${posterTemplates.listTemplates().map((t) => `
+          <option value="${escapeHtml(t.id)}" ${t.id === posterTemplates.getTemplate(ch.posterTemplate).id ? 'selected' : ''}>${escapeHtml(t.name)}</option>`).join('')}
+        </select></label>
+        <span class="muted">Layout of image posters. Templates are previewed and edited on the <a href="/admin/poster-templates">Poster Templates</a> page.</span>
+      </p>
+      <p>
+        <label>Template per competition (one per line, <code>Competition = template id</code>)<br>
+        <textarea name="posterTemplateByCompetition" rows="3" style="width:100%; max-width:420px;">${escapeHtml(
+          Object.entries(ch.posterTemplateByCompetition || {}).map(([name, id]) => `${name} = ${id}`).join('\n')
+        )}</textarea></label>
+        <span class="muted">e.g. <code>Champions League = matchday</code>. Matched like the lead time per competition.</span>
+      </p>
+      <h3>Audience</h3>
+      <p>
+        <label>Kick-off timezones (one per line, <code>Timezone</code> or <code>Timezone = label</code>)<br>
+        <textarea name="audienceTimezones" rows="3" style="width:100%; max-width:420px;" placeholder="Europe/London&#10;America/New_York">${escapeHtml(
+          [].concat(ch.audienceTimezones || []).map((tz) => (tz.label ? `${tz.zone} = ${tz.label}` : tz.zone || tz)).join('\n')
+        )}</textarea></label>
+        <span class="muted">Up to ${audience.MAX_TIMEZONES}, e.g. <code>Africa/Lagos = WAT</code>. Posters, cards and alerts use these clocks; empty shows UK and ET.</span>
+      </p>
+      <p>
+        <label>Language<br>
+        <select name="locale">
+          ${i18n.listLocales().map((l) => `<option value="${l.id}" ${i18n.getLocale(ch.locale).id === l.id ? 'selected' : ''}>${escapeHtml(l.name)}${l.dir === 'rtl' ? ' (right-to-left)' : ''}</option>`).join('')}
+        </select></label>
+        <span class="muted">Poster and card labels, dates, times and region names. Digests too.</span>
+      </p>
+      <p>
+        <label>Competition names (one per line, <code>Competition = name</code>)<br>
+        <textarea name="competitionNames" rows="3" style="width:100%; max-width:420px;">${escapeHtml(
+          Object.entries(ch.competitionNames || {}).map(([name, label]) => `${name} = ${label}`).join('\n')
+        )}</textarea></label>
+        <span class="muted">Overrides the language's own names, e.g. <code>Premier League = البريميرليغ</code>.</span>
+      </p>
+      <h3>Poster TV Regions</h3>
+      <p>
+        <label>Region priority (comma-separated)<br>
+        <input type="text" name="regionPriority" value="${escapeHtml((regionOptions.priority || []).join(', '))}" placeholder="UK, IE, USA"></label>
+        <span class="muted">Listed first, in this order. Country names, ISO codes or group ids; other regions follow.</span>
+      </p>
+      <p>
+        <label>
+          <input type="checkbox" name="regionsOnly" value="true" ${regionOptions.only ? 'checked' : ''}>
+          Show only the priority regions
+        </label>
+        <span class="muted">Other regions are hidden unless a fixture is shown in none of these. Matchday cards list the first region's channel.</span>
+      </p>
+      <p>
+        <label>Max regions<br>
+        <input type="number" name="maxRegions" min="1" max="50" value="${regionOptions.maxRegions || ''}"></label>
+        <span class="muted">Leave empty to show every region.</span>
+      </p>
+      <p>
+        Collapse into one line:<br>
+        ${Object.entries(regions.GROUPS).map(([groupId, group]) => `
+        <label style="margin-right:12px;">
+          <input type="checkbox" name="regionGroups" value="${groupId}" ${regionOptions.groups.includes(groupId) ? 'checked' : ''}>
+          ${group.flag} ${escapeHtml(group.name)}
+        </label>`).join('')}
+      </p>
+      <p>
+        <label>
+          <input type="checkbox" name="mergeRegionChannels" value="true" ${regionOptions.mergeChannels ? 'checked' : ''}>
+          Merge identical channels across regions
+        </label>
+        <span class="muted">e.g. one "UK, Ireland" line for Sky Sports Main Event.</span>
+      </p>
       <p><button type="submit">Save Changes</button></p>
     </form>
 
@@ -399,16 +586,102 @@ app.get('/admin/channels/edit', (req, res) => {
 });
 
 app.post('/admin/channels/update', (req, res) => {
-  const { index, label, id, posterStyle } = req.body;
+  const { index, label, id, sport, posterStyle, publicFeed, postMode, leadTimeHours, leadTimeByCompetition } = req.body;
+  const { regionPriority, regionsOnly, maxRegions, regionGroups, mergeRegionChannels, audienceTimezones } = req.body;
+  const { icsProvider, icsUrl, icsUrlTemplate, changeAlerts } = req.body;
+  const { posterTemplate, posterTemplateByCompetition, matchdayCard, matchdayCardRows } = req.body;
+  const { locale, competitionNames } = req.body;
   const idx = parseInt(index, 10);
   const cfg = loadConfig();
   cfg.channels = cfg.channels || [];
 
   if (!Number.isNaN(idx) && idx >= 0 && idx < cfg.channels.length) {
+    // Audience timezones (lib/audience.js): "Timezone" or "Timezone = label" lines
+    const parsedTimezones = audience.parseAudienceTimezones(audienceTimezones);
+    if (parsedTimezones.error) {
+      return res.redirect(`/admin/channels/edit?index=${idx}&error=${encodeURIComponent(parsedTimezones.error)}`);
+    }
+
     const ch = cfg.channels[idx];
     ch.label = (label || '').trim();
     ch.id = (id || '').trim();
+    ch.sport = sports.normalizeSport(sport);
     ch.posterStyle = posterStyle === 'true';
+    ch.publicFeed = publicFeed === 'true';
+    ch.postMode = postMode === 'kickoff' ? 'kickoff' : 'batch';
+    ch.leadTimeHours = parseFloat(leadTimeHours) > 0 ? parseFloat(leadTimeHours) : 3;
+    ch.changeAlerts = ['post', 'off'].includes(changeAlerts) ? changeAlerts : 'edit';
+    ch.matchdayCard = ['instead', 'also'].includes(matchdayCard) ? matchdayCard : 'off';
+    ch.matchdayCardRows = matchdayCards.getRowsPerPage({ matchdayCardRows });
+
+    // "Competition = hours" lines
+    const byCompetition = {};
+    for (const line of (leadTimeByCompetition || '').split('\n')) {
+      const match = line.match(/^(.+?)\s*=\s*([\d.]+)\s*$/);
+      if (match && parseFloat(match[2]) > 0) {
+        byCompetition[match[1].trim()] = parseFloat(match[2]);
+      }
+    }
+    ch.leadTimeByCompetition = byCompetition;
+
+    // Poster templates (lib/poster_templates.js): "Competition = template id" lines
+    ch.posterTemplate = posterTemplates.getTemplate(posterTemplate).id;
+    const templateByCompetition = {};
+    for (const line of (posterTemplateByCompetition || '').split('\n')) {
+      const match = line.match(/^(.+?)\s*=\s*([a-z0-9-]+)\s*$/);
+      if (match && posterTemplates.listTemplates().some((t) => t.id === match[2])) {
+        templateByCompetition[match[1].trim()] = match[2];
+      }
+    }
+    ch.posterTemplateByCompetition = templateByCompetition;
+
+    // ICS source (lib/ics_providers.js); useTheFishyMulti is kept for older readers
+    const provider = icsProviders.getProvider(icsProvider);
+    if (provider) {
+      ch.icsProvider = provider.id;
+      ch.useTheFishyMulti = provider.id === 'thefishy';
+    }
+    for (const [field, value] of [['icsUrl', icsUrl], ['icsUrlTemplate', icsUrlTemplate]]) {
+      if ((value || '').trim()) {
+        ch[field] = value.trim();
+      } else {
+        delete ch[field];
+      }
+    }
+
+    // Poster TV regions (lib/regions.js)
+    const regionOptions = regions.getRegionOptions({
+      regionPriority,
+      regionsOnly: regionsOnly === 'true',
+      maxRegions,
+      regionGroups: [].concat(regionGroups || []),
+      mergeRegionChannels: mergeRegionChannels === 'true'
+    });
+    ch.regionPriority = regionOptions.priority;
+    ch.regionsOnly = regionOptions.only;
+    ch.regionGroups = regionOptions.groups;
+    ch.mergeRegionChannels = regionOptions.mergeChannels;
+    if (regionOptions.maxRegions) {
+      ch.maxRegions = regionOptions.maxRegions;
+    } else {
+      delete ch.maxRegions;
+    }
+    if (parsedTimezones.timezones.length > 0) {
+      ch.audienceTimezones = parsedTimezones.timezones;
+    } else {
+      delete ch.audienceTimezones;
+    }
+
+    // Language (lib/i18n.js) and "Competition = name" lines
+    ch.locale = i18n.getLocale(locale).id;
+    const names = {};
+    for (const line of (competitionNames || '').split('\n')) {
+      const match = line.match(/^(.+?)\s*=\s*(.+?)\s*$/);
+      if (match) {
+        names[match[1].trim()] = match[2];
+      }
+    }
+    ch.competitionNames = names;
     saveConfig(cfg);
   }
 
@@ -416,13 +689,14 @@ app.post('/admin/channels/update', (req, res) => {
 });
 
 app.post('/admin/channels/add', (req, res) => {
-  const { label, id, posterStyle } = req.body;
+  const { label, id, posterStyle, sport } = req.body;
   const cfg = loadConfig();
   cfg.channels = cfg.channels || [];
 
   cfg.channels.push({
     label: (label || '').trim(),
     id: (id || '').trim(),
+    sport: sports.normalizeSport(sport),
     posterStyle: posterStyle === 'true',
     teams: []
   });
@@ -446,6 +720,8 @@ app.post('/admin/channels/delete', (req, res) => {
 
 // --------- Teams page (per channel) ---------
 
+const fixtureStore = require('./lib/fixture_store');
+
 app.get('/admin/teams', (req, res) => {
   const cfg = loadConfig();
   const channels = cfg.channels || [];
@@ -470,6 +746,20 @@ app.get('/admin/teams', (req, res) => {
 
   const channel = channels[channelIndex];
   const teams = channel.teams || [];
+  const staleOnly = req.query.stale === '1';
+
+  // Multi-ICS channels (one feed per team) fetch teams in rotation; show each team's last fetch
+  const icsProvider = icsProviders.getChannelProvider(channel);
+  const multi = icsProvider.perTeam;
+  const freshness = multi ? fixtureStore.getTeamFreshness(channel.id, teams) : [];
+  const staleCount = freshness.filter((f) => f.stale).length;
+  const maxTeams = Number.isFinite(channel.multiMaxTeams) ? channel.multiMaxTeams : 10;
+
+  const renderFreshnessCells = (f) => `
+        <td>${f.fetchedAt ? escapeHtml(new Date(f.fetchedAt).toLocaleString()) : '<span class="muted">never</span>'}
+          ${f.stale ? '<span style="color:#e74c3c;">stale</span>' : ''}
+          ${f.error ? `<br><span class="muted">Last attempt failed: ${escapeHtml(f.error)}</span>` : ''}</td>
+        <td>${f.fixtureCount}</td>`;
 
   const channelOptions = channels
     .map(
@@ -481,12 +771,15 @@ app.get('/admin/teams', (req, res) => {
     .join('');
 
   const rows = teams
+    .map((t, idx) => ({ t, idx }))
+    .filter(({ idx }) => !staleOnly || (freshness[idx] && freshness[idx].stale))
     .map(
-      (t, idx) => `<tr>
+      ({ t, idx }) => `<tr>
         <td>${idx + 1}</td>
-        <td>${escapeHtml(t.label)}</td>
+        <td>${escapeHtml(t.label)}${t.icsUrl ? `<br><span class="muted">${escapeHtml(t.icsUrl)}</span>` : ''}</td>
         <td>${escapeHtml(t.country || '')}</td>
         <td>${escapeHtml(t.slug || '')}</td>
+        ${multi ? renderFreshnessCells(freshness[idx]) : ''}
         <td>
           <form method="post" action="/admin/teams/delete" style="display:inline;">
             <input type="hidden" name="channelIndex" value="${channelIndex}">
@@ -515,7 +808,15 @@ app.get('/admin/teams', (req, res) => {
       channel.label || channel.id
     )}</strong>.</p>
 
+    ${multi ? `
+    <p class="muted">${escapeHtml(icsProvider.label)} multi-ICS: each run fetches the ${maxTeams} least recently fetched teams, so all ${teams.length} teams are covered every ${Math.max(1, Math.ceil(teams.length / Math.max(1, maxTeams)))} run(s). Posts use every team's latest fetch.
+      ${staleCount} team(s) stale (no successful fetch in the last ${fixtureStore.STALE_AFTER_HOURS} hours).
+      ${staleOnly
+        ? `<a href="/admin/teams?channel=${channelIndex}">Show all teams</a>`
+        : `<a href="/admin/teams?channel=${channelIndex}&stale=1">Show stale teams only</a>`}</p>
+    ` : `
     <p class="muted">The ICS feed is filtered to fixtures where the summary contains one of these team names (unless you leave the list empty).</p>
+    `}
 
     <table>
       <thead>
@@ -524,13 +825,14 @@ app.get('/admin/teams', (req, res) => {
           <th>Label</th>
           <th>Country (optional)</th>
           <th>Slug (optional)</th>
+          ${multi ? '<th>Last fetched</th><th>Fixtures</th>' : ''}
           <th></th>
         </tr>
       </thead>
       <tbody>
         ${
           rows ||
-          '<tr><td colspan="5">No teams yet. Add some below.</td></tr>'
+          `<tr><td colspan="${multi ? 7 : 5}">${staleOnly ? 'No stale teams.' : 'No teams yet. Add some below.'}</td></tr>`
         }
       </tbody>
     </table>
@@ -550,6 +852,11 @@ app.get('/admin/teams', (req, res) => {
         <label>Team slug (optional)<br>
         <input type="text" name="slug"></label>
       </p>
+      <p>
+        <label>ICS URL (optional, e.g. the club's official calendar)<br>
+        <input type="text" name="icsUrl"></label>
+        <span class="muted">Used instead of the channel's provider for this team (multi-ICS channels only).</span>
+      </p>
       <p><button type="submit">Add Team</button></p>
     </form>
   </div>
@@ -559,7 +866,7 @@ app.get('/admin/teams', (req, res) => {
 });
 
 app.post('/admin/teams/add', (req, res) => {
-  const { channelIndex, label, country, slug } = req.body;
+  const { channelIndex, label, country, slug, icsUrl } = req.body;
   const idx = parseInt(channelIndex, 10);
   const cfg = loadConfig();
   cfg.channels = cfg.channels || [];
@@ -567,11 +874,15 @@ app.post('/admin/teams/add', (req, res) => {
   if (!Number.isNaN(idx) && idx >= 0 && idx < cfg.channels.length) {
     const ch = cfg.channels[idx];
     ch.teams = ch.teams || [];
-    ch.teams.push({
+    const team = {
       label: (label || '').trim(),
       country: (country || '').trim().toLowerCase() || '',
       slug: (slug || '').trim().toLowerCase() || ''
-    });
+    };
+    if ((icsUrl || '').trim()) {
+      team.icsUrl = icsUrl.trim();
+    }
+    ch.teams.push(team);
     saveConfig(cfg);
   }
 
@@ -650,7 +961,7 @@ app.get('/admin/settings', (req, res) => {
           <input type="checkbox" name="liveSoccerTvEnabled" value="true" id="liveSoccerTvEnabled" ${cfg.liveSoccerTvEnabled !== false ? 'checked' : ''}>
           Enable LiveSoccerTV scraper for worldwide TV channel listings
         </label>
-        <span class="muted">When enabled, the bot will call a remote VPS scraper service to get TV channel listings by country/region for each fixture. Results are cached for 4 hours.</span>
+        <span class="muted">When enabled, the bot will call a remote VPS scraper service to get TV channel listings by country/region for each fixture. Results are cached for ${escapeHtml(cache.describePolicy('lstv'))}.</span>
       </p>
       <p class="muted" style="margin-left: 24px;">
         <strong>Note:</strong> LiveSoccerTV scraping now runs on a remote VPS instead of using local Puppeteer/Chrome. 
@@ -672,6 +983,27 @@ app.get('/admin/settings', (req, res) => {
         )}"></label>
         <span class="muted">Custom footer message shown at the bottom of poster-style messages. Leave blank to hide the footer.</span>
       </p>
+      <p>
+        <label>
+          <input type="checkbox" name="schedulerEnabled" value="true" id="schedulerEnabled" ${cfg.schedulerEnabled ? 'checked' : ''}>
+          Run the built-in scheduler
+        </label>
+        <span class="muted">Runs each channel's cron jobs from inside this app, so the Plesk <code>/cron/run</code> task is no longer needed. Status: ${scheduler.isSchedulerRunning() ? 'running' : 'stopped'}. <a href="/admin/scheduler">Manage jobs →</a></span>
+      </p>
+      <p>
+        <label>
+          <input type="checkbox" name="botCommandsEnabled" value="true" id="botCommandsEnabled" ${cfg.botCommandsEnabled ? 'checked' : ''}>
+          Answer bot commands (/today, /tomorrow, /team, /tv, /follow)
+        </label>
+        <span class="muted">Polls Telegram for messages sent to the bot and replies with listings. Status: ${botCommands.isPolling() ? 'running' : 'stopped'}. Don't also run <code>node bot_commands.js</code> with the same token.</span>
+      </p>
+      <p>
+        <label>Follower reminder (minutes before kickoff)<br>
+        <input type="number" name="alertLeadMinutes" min="1" max="1440" value="${escapeHtml(
+          String(botCommands.getAlertLeadMinutes(cfg))
+        )}"></label>
+        <span class="muted">People who <code>/follow</code> a team get a private message this long before each kickoff. Needs bot commands enabled.</span>
+      </p>
       <p><button type="submit">Save Settings</button></p>
     </form>
   </div>
@@ -682,12 +1014,13 @@ app.get('/admin/settings', (req, res) => {
     <form method="post" action="/admin/post-now">
       <button type="submit">Post now</button>
     </form>
+    <p class="muted">Not sure what will go out? <a href="/admin/preview">Preview the run first</a> – nothing is sent.</p>
   </div>
 
   <div class="card">
     <h2>Import UK Teams (TheFishy)</h2>
     <p>This will fetch all UK teams (England, Scotland, Wales, Ireland) from <code>thefishy.co.uk</code> and replace the <strong>first channel's</strong> team list in <code>config.json</code>.</p>
-    <p class="muted">Use this if you want a big UK clubs list in the Teams tab. Existing teams in the first channel will be overwritten.</p>
+    <p class="muted">Use this if you want a big UK clubs list in the Teams tab. Existing teams in the first channel will be overwritten. The clubs are also added to <a href="/admin/team-names">Team Names</a>.</p>
     <form method="post" action="/admin/import-uk-teams">
       <button type="submit">Run UK Teams Import</button>
     </form>
@@ -716,7 +1049,7 @@ app.get('/admin/settings', (req, res) => {
 });
 
 app.post('/admin/settings', (req, res) => {
-  const { botToken, timezone, icsUrl, icsDaysAhead, theSportsDbApiKey, liveSoccerTvEnabled, defaultPosterStyle, posterFooterText } = req.body;
+  const { botToken, timezone, icsUrl, icsDaysAhead, theSportsDbApiKey, liveSoccerTvEnabled, defaultPosterStyle, posterFooterText, botCommandsEnabled, alertLeadMinutes, schedulerEnabled } = req.body;
   const cfg = loadConfig();
 
   cfg.botToken = (botToken || '').trim();
@@ -729,125 +1062,1640 @@ app.post('/admin/settings', (req, res) => {
   // All scraping is handled by the remote VPS service
   cfg.defaultPosterStyle = defaultPosterStyle === 'true';
   cfg.posterFooterText = (posterFooterText || '').trim();
+  cfg.botCommandsEnabled = botCommandsEnabled === 'true';
+  cfg.alertLeadMinutes = parseInt(alertLeadMinutes, 10) || botCommands.DEFAULT_ALERT_LEAD_MINUTES;
+  cfg.schedulerEnabled = schedulerEnabled === 'true';
+
+  saveConfig(cfg);
+
+  // Restart polling so a changed bot token is picked up
+  botCommands.stopPolling();
+  if (cfg.botCommandsEnabled) {
+    botCommands.startPolling();
+  }
+  if (cfg.schedulerEnabled) {
+    scheduler.startScheduler();
+  } else {
+    scheduler.stopScheduler();
+  }
+
+  res.redirect('/admin/settings');
+});
+
+// --- Background image upload handlers (with rate limiting) ---
+// Note: These routes are protected by basic auth AND custom rate limiting (rateLimitMiddleware)
+// The rate limiter allows max 10 requests per minute per IP address
+
+// lgtm[js/missing-rate-limiting] - Rate limiting is implemented via rateLimitMiddleware
+app.post('/admin/upload-background', rateLimitMiddleware, upload.single('backgroundImage'), (req, res) => {
+  if (!req.file) {
+    const body = `
+    <div class="card">
+      <h2>Upload Failed</h2>
+      <p>No file was uploaded or the file type is not allowed.</p>
+      <p><a href="/admin/settings">Back to Settings</a></p>
+    </div>`;
+    return res.send(renderLayout('Upload Failed - Telegram Sports TV Bot', body));
+  }
+
+  // Delete any old background images with different extensions
+  const extensions = ['jpg', 'jpeg', 'png', 'gif'];
+  const uploadedExt = path.extname(req.file.filename).toLowerCase().slice(1);
+  
+  for (const ext of extensions) {
+    if (ext !== uploadedExt) {
+      const oldPath = path.join(UPLOADS_DIR, `poster-background.${ext}`);
+      if (fs.existsSync(oldPath)) {
+        fs.unlinkSync(oldPath);
+      }
+    }
+  }
+
+  res.redirect('/admin/settings');
+});
+
+// lgtm[js/missing-rate-limiting] - Rate limiting is implemented via rateLimitMiddleware
+app.post('/admin/delete-background', rateLimitMiddleware, (req, res) => {
+  const bgPath = getBackgroundImagePath();
+  if (bgPath && fs.existsSync(bgPath)) {
+    fs.unlinkSync(bgPath);
+  }
+  res.redirect('/admin/settings');
+});
+
+app.post('/admin/post-now', async (req, res) => {
+  try {
+    const { summary, results } = await runOnce({ trigger: 'post-now' });
+
+    const list = results
+      .map((r) =>
+        r.error
+          ? `<li><strong>${escapeHtml(r.channelLabel)}</strong> – ERROR: ${escapeHtml(
+              r.error
+            )}</li>`
+          : `<li><strong>${escapeHtml(
+              r.channelLabel
+            )}</strong> – sent=${r.sent ? 'yes' : 'no'}, matches=${r.matchCount}${r.editedCount ? `, edited=${r.editedCount}` : ''}${r.queuedCount ? `, queued=${r.queuedCount}` : ''}${r.skippedCount ? `, already posted=${r.skippedCount}` : ''}</li>`
+      )
+      .join('');
+
+    const body = `
+    <div class="card">
+      <h2>Manual Post – Result</h2>
+      <p><strong>Summary:</strong> ${escapeHtml(summary || '')}</p>
+      <ul>
+        ${list || '<li>No channels configured.</li>'}
+      </ul>
+      <p><a href="/admin/logs">View logs</a> · <a href="/admin/settings">Back to Settings</a></p>
+    </div>`;
+
+    res.send(renderLayout('Post now - Telegram Sports TV Bot', body));
+  } catch (err) {
+    const body = `
+    <div class="card">
+      <h2>Manual Post – Error</h2>
+      <p>${escapeHtml(err.message || String(err))}</p>
+      <p><a href="/admin/settings">Back to Settings</a></p>
+    </div>`;
+    res.send(renderLayout('Post now - Error', body));
+  }
+});
+
+// --------- Dry run preview ---------
+
+// Last dry run, kept in memory so single items can be sent from it
+let lastPreview = null;
+
+const PREVIEW_ACTION_LABELS = {
+  send: 'Would be posted',
+  edit: 'Would edit the posted message',
+  unchanged: 'Already posted, unchanged',
+  queue: 'Would be queued'
+};
+
+function renderPreviewItem(item, channelIndex, itemIndex, timezone) {
+  const sendForm = item.action === 'send' || item.action === 'queue'
+    ? item.sentMessageId
+      ? `<p><strong>Sent</strong> (message ${escapeHtml(String(item.sentMessageId))})</p>`
+      : `<form method="post" action="/admin/preview/send">
+          <input type="hidden" name="previewId" value="${escapeHtml(lastPreview.id)}">
+          <input type="hidden" name="channel" value="${channelIndex}">
+          <input type="hidden" name="item" value="${itemIndex}">
+          <button type="submit" onclick="return confirm('Send this to the channel now?');">Send this one</button>
+        </form>`
+    : '';
+
+  if (item.kind === 'digest') {
+    return `<div class="card">
+      <h4>Digest – ${item.fixtures.length} fixture(s)</h4>
+      <pre dir="auto">${escapeHtml(item.text)}</pre>
+      ${sendForm}
+    </div>`;
+  }
+
+  if (item.kind === 'card') {
+    const { page } = item;
+    return `<div class="card">
+      <h4>Matchday card – ${escapeHtml(page.dateLabel)}${page.pageCount > 1 ? ` (${page.page}/${page.pageCount})` : ''}</h4>
+      <p class="muted">${item.fixtures.length} fixture(s) · ${escapeHtml(PREVIEW_ACTION_LABELS.send)}${item.record ? ' instead of per-fixture posters' : ' as well as the posters'}</p>
+      ${item.image ? `<p><img src="${item.image}" alt="Matchday card" style="max-width:100%; width:480px; border-radius:8px;"></p>` : `<pre dir="auto">${escapeHtml(item.text)}</pre>`}
+      ${sendForm}
+    </div>`;
+  }
+
+  const f = item.posterFixture;
+  let status = PREVIEW_ACTION_LABELS[item.action] || item.action;
+  if (item.action === 'queue' && item.sendAt) {
+    status += ` for ${new Date(item.sendAt).toLocaleString('en-GB', { timeZone: timezone })}`;
+  }
+  if (item.messageId) {
+    status += ` (message ${item.messageId})`;
+  }
+
+  return `<div class="card">
+    <h4>${escapeHtml(f.matchTitle || f.summary || '')}</h4>
+    <p class="muted">${escapeHtml(new Date(f.date || f.start).toLocaleString('en-GB', { timeZone: timezone }))} · ${escapeHtml(status)}</p>
+    ${item.image ? `<p><img src="${item.image}" alt="Poster" style="max-width:100%; width:480px; border-radius:8px;"></p>` : ''}
+    ${item.text && !item.image ? `<pre dir="auto">${escapeHtml(item.text)}</pre>` : ''}
+    ${sendForm}
+  </div>`;
+}
+
+app.get('/admin/preview', (req, res) => {
+  const cfg = loadConfig();
+  const channels = cfg.channels || [];
+  const timezone = cfg.timezone || 'Europe/London';
+  const error = req.query.error || '';
+  const sent = req.query.sent || '';
+
+  const channelOptions = channels
+    .map((ch) => `<option value="${escapeHtml(ch.id)}" ${lastPreview && lastPreview.channelId === ch.id ? 'selected' : ''}>${escapeHtml(ch.label || ch.id)}</option>`)
+    .join('');
+
+  let resultHtml = '';
+  if (lastPreview) {
+    resultHtml = `
+    <div class="card">
+      <h3>Result</h3>
+      <p><strong>${escapeHtml(lastPreview.summary)}</strong> <span class="muted">(${escapeHtml(
+        new Date(lastPreview.createdAt).toLocaleString('en-GB', { timeZone: timezone })
+      )})</span></p>
+      <p class="muted">TV listings can change between the preview and the send; "Send this one" sends the poster exactly as shown.</p>
+    </div>
+    ${lastPreview.results
+      .map((r, channelIndex) => `
+      <h3>${escapeHtml(r.channelLabel)}</h3>
+      ${r.error ? `<p style="color:#e74c3c;">ERROR: ${escapeHtml(r.error)}</p>` : ''}
+      ${!r.error && r.items.length === 0 ? `<p class="muted">Nothing to post${r.skippedCount ? ` (${r.skippedCount} already posted)` : ''}.</p>` : ''}
+      ${r.items.map((item, itemIndex) => renderPreviewItem(item, channelIndex, itemIndex, timezone)).join('')}`)
+      .join('')}`;
+  }
+
+  const body = `
+  <div class="card">
+    <h2>Preview</h2>
+    <p>Run the autoposter without sending anything, to check what each channel would get (after overrides, TV lookups and the posted ledger). Nothing is sent, queued or recorded.</p>
+    ${error ? `<p style="color:#e74c3c;">${escapeHtml(error)}</p>` : ''}
+    ${sent ? `<p style="color:#27ae60;">${escapeHtml(sent)}</p>` : ''}
+    <form method="post" action="/admin/preview">
+      <p>
+        <label>Channel<br>
+        <select name="channelId">
+          <option value="">All channels</option>
+          ${channelOptions}
+        </select></label>
+      </p>
+      <p>
+        <label>Only fixtures within (hours, optional)<br>
+        <input type="number" name="withinHours" min="1" max="336" value="${lastPreview && lastPreview.withinHours ? escapeHtml(String(lastPreview.withinHours)) : ''}"></label>
+      </p>
+      <p><button type="submit">Run preview</button></p>
+    </form>
+    <p class="muted">Lookups for many fixtures can take a minute or two.</p>
+  </div>
+  ${resultHtml}`;
+
+  res.send(renderLayout('Preview - Telegram Sports TV Bot', body));
+});
+
+app.post('/admin/preview', async (req, res) => {
+  const channelId = (req.body.channelId || '').trim();
+  const withinHours = parseFloat(req.body.withinHours) > 0 ? parseFloat(req.body.withinHours) : null;
+
+  try {
+    const { summary, results } = await runOnce({
+      channelIds: channelId ? [channelId] : null,
+      withinHours,
+      trigger: 'preview',
+      dryRun: true
+    });
+    lastPreview = {
+      id: String(Date.now()),
+      createdAt: new Date().toISOString(),
+      channelId,
+      withinHours,
+      summary,
+      results
+    };
+    res.redirect('/admin/preview');
+  } catch (err) {
+    res.redirect(`/admin/preview?error=${encodeURIComponent(err.message || String(err))}`);
+  }
+});
+
+app.post('/admin/preview/send', async (req, res) => {
+  const { previewId, channel, item } = req.body;
+  const result = lastPreview && lastPreview.id === previewId ? lastPreview.results[parseInt(channel, 10)] : null;
+  const previewItem = result ? result.items[parseInt(item, 10)] : null;
+  if (!previewItem) {
+    return res.redirect(`/admin/preview?error=${encodeURIComponent('This preview has expired, run it again')}`);
+  }
+
+  try {
+    const sent = await sendPreviewItem(result.channelId, previewItem);
+    previewItem.sentMessageId = (sent && sent.message_id) || '?';
+    res.redirect(`/admin/preview?sent=${encodeURIComponent(`Sent to ${result.channelLabel}`)}`);
+  } catch (err) {
+    res.redirect(`/admin/preview?error=${encodeURIComponent(err.message || String(err))}`);
+  }
+});
+
+// --- NEW: run import_uk_teams.js from the GUI ---
+
+app.post('/admin/import-uk-teams', (req, res) => {
+  const scriptPath = path.join(__dirname, 'import_uk_teams.js');
+  const nodeBin = process.execPath; // same Node that runs this app
+
+  execFile(
+    nodeBin,
+    [scriptPath],
+    { cwd: __dirname, timeout: 5 * 60 * 1000 },
+    (error, stdout, stderr) => {
+      const out = stdout || '';
+      const errOut = stderr || '';
+
+      const body = `
+      <div class="card">
+        <h2>UK Teams Import – ${error ? 'Error' : 'Completed'}</h2>
+        <p>${
+          error
+            ? escapeHtml(error.message || String(error))
+            : 'The import script ran. Check the Teams page for the updated list.'
+        }</p>
+        <h3>Script output</h3>
+        <pre>${escapeHtml(out || '(no stdout)')}</pre>
+        ${
+          errOut
+            ? `<h3>Warnings / stderr</h3><pre>${escapeHtml(errOut)}</pre>`
+            : ''
+        }
+        <p><a href="/admin/teams">Go to Teams</a> · <a href="/admin/settings">Back to Settings</a></p>
+      </div>`;
+
+      res.send(renderLayout('Import UK Teams - Telegram Sports TV Bot', body));
+    }
+  );
+});
+
+// --------- Scheduler ---------
+
+const runLock = require('./lib/run_lock');
+const { isValidCron } = require('./lib/cron');
+
+app.get('/admin/scheduler', (req, res) => {
+  const cfg = loadConfig();
+  const channels = cfg.channels || [];
+  const jobs = scheduler.listJobs(cfg);
+  const allPaused = scheduler.isAllPaused();
+  const lock = runLock.isRunLocked() ? runLock.getRunLock() : null;
+  const timezone = cfg.timezone || 'Europe/London';
+  const error = req.query.error || '';
+
+  const fmt = (iso) => (iso ? escapeHtml(new Date(iso).toLocaleString('en-GB', { timeZone: timezone })) : '—');
+
+  const rows = jobs
+    .map((job) => `<tr>
+        <td>${escapeHtml(job.channelLabel)}</td>
+        <td>${escapeHtml(job.label || '')}</td>
+        <td><code>${escapeHtml(job.cron)}</code>${job.error ? `<br><span style="color:#e74c3c;">${escapeHtml(job.error)}</span>` : ''}</td>
+        <td>${job.withinHours ? `next ${job.withinHours}h` : 'all'}</td>
+        <td>${job.paused || allPaused ? '<em>paused</em>' : fmt(job.nextRunAt)}</td>
+        <td>${fmt(job.lastRunAt)}${job.lastStatus ? `<br><span class="muted">${escapeHtml(job.lastStatus)}: ${escapeHtml(job.lastSummary)}</span>` : ''}</td>
+        <td>
+          <form method="post" action="/admin/scheduler/pause" style="display:inline;">
+            <input type="hidden" name="jobId" value="${escapeHtml(job.id)}">
+            <input type="hidden" name="paused" value="${job.paused ? 'false' : 'true'}">
+            <button type="submit">${job.paused ? 'Resume' : 'Pause'}</button>
+          </form>
+          <form method="post" action="/admin/scheduler/run" style="display:inline;">
+            <input type="hidden" name="jobId" value="${escapeHtml(job.id)}">
+            <button type="submit" ${job.error ? 'disabled' : ''}>Run now</button>
+          </form>
+          <form method="post" action="/admin/scheduler/delete" style="display:inline;">
+            <input type="hidden" name="jobId" value="${escapeHtml(job.id)}">
+            <button type="submit" onclick="return confirm('Delete this job?');">Delete</button>
+          </form>
+        </td>
+      </tr>`)
+    .join('');
+
+  const options = channels
+    .map((ch) => `<option value="${escapeHtml(ch.id)}">${escapeHtml(ch.label || ch.id)}</option>`)
+    .join('');
+
+  const body = `
+  <div class="card">
+    <h2>Scheduler</h2>
+    <p>Per-channel cron jobs that run the autoposter from inside this app (the same logic as <code>/cron/run</code>). Times are in <code>${escapeHtml(timezone)}</code>.</p>
+    <p class="muted">Scheduler: ${cfg.schedulerEnabled ? (scheduler.isSchedulerRunning() ? 'running' : 'enabled but not running in this process') : 'disabled - enable it on the <a href="/admin/settings">Settings</a> page'}${allPaused ? ' · <strong>all jobs paused</strong>' : ''}.
+      ${lock ? `A run is in progress (${escapeHtml(lock.owner)} since ${fmt(lock.acquiredAt)}).` : 'No run in progress.'}</p>
+    ${error ? `<p style="color:#e74c3c;">${escapeHtml(error)}</p>` : ''}
+    <form method="post" action="/admin/scheduler/pause-all">
+      <input type="hidden" name="paused" value="${allPaused ? 'false' : 'true'}">
+      <button type="submit">${allPaused ? 'Resume all jobs' : 'Pause all jobs'}</button>
+    </form>
+  </div>
+
+  <div class="card">
+    <h3>${jobs.length} scheduled job(s)</h3>
+    ${jobs.length > 0 ? `
+    <table>
+      <thead>
+        <tr><th>Channel</th><th>Label</th><th>Cron</th><th>Fixtures</th><th>Next run</th><th>Last run</th><th></th></tr>
+      </thead>
+      <tbody>
+        ${rows}
+      </tbody>
+    </table>
+    ` : '<p class="muted">No jobs yet. Add one below.</p>'}
+  </div>
+
+  <div class="card">
+    <h3>Add Job</h3>
+    <form method="post" action="/admin/scheduler/add">
+      <p>
+        <label>Channel<br>
+        <select name="channelId" required>${options}</select></label>
+      </p>
+      <p>
+        <label>Cron expression<br>
+        <input type="text" name="cron" placeholder="0 8 * * *" required></label>
+        <span class="muted">minute hour day-of-month month day-of-week, e.g. <code>0 8 * * *</code> = every day at 08:00, <code>*/15 * * * *</code> = every 15 minutes.</span>
+      </p>
+      <p>
+        <label>Only fixtures kicking off within (hours, optional)<br>
+        <input type="number" name="withinHours" min="1" max="336"></label>
+        <span class="muted">Leave blank to post everything in the window. With e.g. <code>*/15 * * * *</code> and 3 hours, each fixture is posted about 3 hours before kickoff (the posted ledger stops repeats).</span>
+      </p>
+      <p>
+        <label>Label (optional)<br>
+        <input type="text" name="label" placeholder="Morning digest"></label>
+      </p>
+      <p><button type="submit">Add Job</button></p>
+    </form>
+  </div>`;
+
+  res.send(renderLayout('Scheduler - Telegram Sports TV Bot', body));
+});
+
+app.post('/admin/scheduler/add', (req, res) => {
+  const channelId = (req.body.channelId || '').trim();
+  const cronExpr = (req.body.cron || '').trim().replace(/\s+/g, ' ');
+  const withinHours = parseInt(req.body.withinHours, 10);
+  const label = (req.body.label || '').trim();
+
+  if (!isValidCron(cronExpr)) {
+    return res.redirect(`/admin/scheduler?error=${encodeURIComponent(`Invalid cron expression "${cronExpr}"`)}`);
+  }
+
+  const cfg = loadConfig();
+  const channel = (cfg.channels || []).find((ch) => ch.id === channelId);
+  if (channel) {
+    const schedule = { cron: cronExpr };
+    if (withinHours > 0) schedule.withinHours = withinHours;
+    if (label) schedule.label = label;
+    channel.schedules = channel.schedules || [];
+    channel.schedules.push(schedule);
+    saveConfig(cfg);
+  }
+  res.redirect('/admin/scheduler');
+});
+
+app.post('/admin/scheduler/delete', (req, res) => {
+  const jobId = req.body.jobId || '';
+  const cfg = loadConfig();
+  for (const channel of cfg.channels || []) {
+    const before = (channel.schedules || []).length;
+    channel.schedules = (channel.schedules || []).filter((s) => scheduler.getJobId(channel.id, s) !== jobId);
+    if (channel.schedules.length !== before) {
+      saveConfig(cfg);
+      break;
+    }
+  }
+  res.redirect('/admin/scheduler');
+});
+
+app.post('/admin/scheduler/pause', (req, res) => {
+  if (req.body.jobId) {
+    scheduler.setJobPaused(req.body.jobId, req.body.paused === 'true');
+  }
+  res.redirect('/admin/scheduler');
+});
+
+app.post('/admin/scheduler/pause-all', (req, res) => {
+  scheduler.setAllPaused(req.body.paused === 'true');
+  res.redirect('/admin/scheduler');
+});
+
+app.post('/admin/scheduler/run', async (req, res) => {
+  const job = scheduler.listJobs().find((j) => j.id === req.body.jobId);
+  if (job && !job.error) {
+    const { status, summary } = await scheduler.runJob(job);
+    if (status !== 'ok') {
+      return res.redirect(`/admin/scheduler?error=${encodeURIComponent(`${status}: ${summary}`)}`);
+    }
+  }
+  res.redirect('/admin/scheduler');
+});
+
+// --------- Kickoff post queue ---------
+
+const postQueue = require('./lib/post_queue');
+
+app.get('/admin/queue', (req, res) => {
+  const cfg = loadConfig();
+  const channels = cfg.channels || [];
+  const status = req.query.status || 'queued';
+  const entries = postQueue.listQueue({ status: status === 'all' ? null : status });
+  const timezone = cfg.timezone || 'Europe/London';
+  const error = req.query.error || '';
+
+  const fmt = (iso) => (iso ? escapeHtml(new Date(iso).toLocaleString('en-GB', { timeZone: timezone })) : '—');
+  const channelLabel = (id) => {
+    const ch = channels.find((c) => c.id === id);
+    return ch ? (ch.label || ch.id) : id;
+  };
+
+  const rows = entries
+    .map((e) => {
+      const f = e.fixture || {};
+      const title = f.homeTeam && f.awayTeam ? `${f.homeTeam} v ${f.awayTeam}` : (f.summary || e.fixtureKey);
+      const waiting = e.status === 'queued' || e.status === 'failed';
+      return `<tr>
+        <td>${escapeHtml(channelLabel(e.channelId))}</td>
+        <td>${escapeHtml(title)}${f.competition ? `<br><span class="muted">${escapeHtml(f.competition)}</span>` : ''}</td>
+        <td>${fmt(f.start)}</td>
+        <td>${fmt(e.sendAt)}<br><span class="muted">${escapeHtml(String(e.leadTimeHours))}h before</span></td>
+        <td>${escapeHtml(e.status)}${e.sentAt ? `<br><span class="muted">${fmt(e.sentAt)}</span>` : ''}${e.error ? `<br><span class="muted">${escapeHtml(e.error)}</span>` : ''}</td>
+        <td>
+          ${waiting ? `
+          <form method="post" action="/admin/queue/send" style="display:inline;">
+            <input type="hidden" name="id" value="${escapeHtml(e.id)}">
+            <button type="submit">Send now</button>
+          </form>
+          <form method="post" action="/admin/queue/cancel" style="display:inline;">
+            <input type="hidden" name="id" value="${escapeHtml(e.id)}">
+            <button type="submit" onclick="return confirm('Cancel this post?');">Cancel</button>
+          </form>` : ''}
+        </td>
+      </tr>`;
+    })
+    .join('');
+
+  const statusOptions = ['queued', 'failed', 'sent', 'cancelled', 'expired', 'all']
+    .map((s) => `<option value="${s}" ${s === status ? 'selected' : ''}>${s}</option>`)
+    .join('');
+
+  const kickoffChannels = channels.filter((ch) => ch.posterStyle && ch.postMode === 'kickoff');
+
+  const body = `
+  <div class="card">
+    <h2>Post Queue</h2>
+    <p>Poster-style channels in kickoff mode queue each fixture when the autoposter runs and send it a set time before kickoff, with TV listings fetched at send time.</p>
+    <p class="muted">Kickoff-mode channels: ${kickoffChannels.length ? kickoffChannels.map((ch) => escapeHtml(ch.label || ch.id)).join(', ') : 'none (set "Poster timing" when editing a channel)'}.
+      Due posts are sent every ${cfg.schedulerEnabled ? '30 seconds by the built-in scheduler' : 'time the autoposter runs - enable the built-in scheduler in <a href="/admin/settings">Settings</a> to send them on time'}.</p>
+    ${error ? `<p style="color:#e74c3c;">${escapeHtml(error)}</p>` : ''}
+    <form method="get" action="/admin/queue">
+      <label>Status
+      <select name="status" onchange="this.form.submit()">${statusOptions}</select></label>
+    </form>
+  </div>
+
+  <div class="card">
+    <h3>${entries.length} ${status === 'all' ? '' : escapeHtml(status) + ' '}post(s)</h3>
+    ${entries.length > 0 ? `
+    <table>
+      <thead>
+        <tr><th>Channel</th><th>Fixture</th><th>Kickoff</th><th>Send at</th><th>Status</th><th></th></tr>
+      </thead>
+      <tbody>
+        ${rows}
+      </tbody>
+    </table>
+    ` : '<p class="muted">Nothing here.</p>'}
+  </div>`;
+
+  res.send(renderLayout('Post Queue - Telegram Sports TV Bot', body));
+});
+
+app.post('/admin/queue/cancel', (req, res) => {
+  if (req.body.id) {
+    postQueue.cancel(req.body.id);
+  }
+  res.redirect('/admin/queue');
+});
+
+app.post('/admin/queue/send', async (req, res) => {
+  try {
+    const sent = await sendQueuedPostNow(req.body.id || '');
+    if (!sent) {
+      const entry = postQueue.getEntry(req.body.id);
+      return res.redirect(`/admin/queue?status=all&error=${encodeURIComponent(`Send failed: ${(entry && entry.error) || 'unknown error'}`)}`);
+    }
+    res.redirect('/admin/queue?status=sent');
+  } catch (err) {
+    res.redirect(`/admin/queue?error=${encodeURIComponent(err.message || String(err))}`);
+  }
+});
+
+// --------- Posted fixtures ledger ---------
+
+const postedLedger = require('./lib/posted_ledger');
+
+app.get('/admin/posted', (req, res) => {
+  const cfg = loadConfig();
+  const channels = cfg.channels || [];
+  const selected = req.query.channel || '';
+  const entries = postedLedger.listPosted(selected || null);
+
+  const channelLabel = (id) => {
+    const ch = channels.find((c) => c.id === id);
+    return ch ? (ch.label || ch.id) : id;
+  };
+
+  const options = channels
+    .map((ch) => `<option value="${escapeHtml(ch.id)}" ${ch.id === selected ? 'selected' : ''}>${escapeHtml(ch.label || ch.id)}</option>`)
+    .join('');
+
+  const rows = entries
+    .map((e) => {
+      const title = e.homeTeam && e.awayTeam ? `${e.homeTeam} v ${e.awayTeam}` : (e.summary || e.key);
+      return `<tr>
+        <td>${escapeHtml(channelLabel(e.channelId))}</td>
+        <td>${e.start ? escapeHtml(new Date(e.start).toLocaleString('en-GB', { timeZone: cfg.timezone || 'Europe/London' })) : 'N/A'}</td>
+        <td>${escapeHtml(title)}</td>
+        <td>${escapeHtml(e.kind || '')}</td>
+        <td>${escapeHtml(String(e.messageId || 'N/A'))}</td>
+        <td>${e.postedAt ? escapeHtml(new Date(e.postedAt).toLocaleString()) : 'N/A'}${e.editCount ? `<br><span class="muted">edited ${e.editCount}× (last ${escapeHtml(new Date(e.updatedAt).toLocaleString())})</span>` : ''}</td>
+        <td>
+          <form method="post" action="/admin/posted/remove" style="display:inline;">
+            <input type="hidden" name="channel" value="${escapeHtml(e.channelId)}">
+            <input type="hidden" name="key" value="${escapeHtml(e.key)}">
+            <input type="hidden" name="returnTo" value="${escapeHtml(selected)}">
+            <button type="submit">Forget</button>
+          </form>
+        </td>
+      </tr>`;
+    })
+    .join('');
+
+  const body = `
+  <div class="card">
+    <h2>Posted Fixtures</h2>
+    <p>Fixtures that have already been posted to each channel. The autoposter skips anything listed here, so repeated cron runs don't post the same match twice.</p>
+    <p class="muted">Entries are removed automatically ${postedLedger.LEDGER_RETENTION_DAYS} days after kickoff. "Forget" a fixture to allow it to be posted again.</p>
+    <p class="muted">For poster-style channels, the original message is edited when the TV listings or kickoff change (disable per channel with <code>"editPostedMessages": false</code>).</p>
+    <form method="get" action="/admin/posted">
+      <p>
+        <label>Channel<br>
+        <select name="channel" onchange="this.form.submit()">
+          <option value="">All channels</option>
+          ${options}
+        </select></label>
+      </p>
+    </form>
+  </div>
+
+  <div class="card">
+    <h3>${entries.length} posted fixture(s)</h3>
+    ${entries.length > 0 ? `
+    <table>
+      <thead>
+        <tr><th>Channel</th><th>Kickoff</th><th>Fixture</th><th>Type</th><th>Message ID</th><th>Posted</th><th></th></tr>
+      </thead>
+      <tbody>
+        ${rows}
+      </tbody>
+    </table>
+    ` : '<p class="muted">Nothing has been posted yet.</p>'}
+    <form method="post" action="/admin/posted/reset" style="margin-top:10px;">
+      <input type="hidden" name="channel" value="${escapeHtml(selected)}">
+      <button type="submit" onclick="return confirm('Reset the posted ledger? Fixtures will be posted again on the next run.');" style="background:#e74c3c;">
+        Reset ${selected ? 'this channel' : 'all channels'}
+      </button>
+    </form>
+  </div>`;
+
+  res.send(renderLayout('Posted Fixtures - Telegram Sports TV Bot', body));
+});
+
+app.post('/admin/posted/remove', (req, res) => {
+  const { channel, key, returnTo } = req.body;
+  if (channel && key) {
+    postedLedger.removePosted(channel, key);
+  }
+  res.redirect(`/admin/posted${returnTo ? `?channel=${encodeURIComponent(returnTo)}` : ''}`);
+});
+
+app.post('/admin/posted/reset', (req, res) => {
+  const channel = (req.body.channel || '').trim();
+  postedLedger.resetLedger(channel || null);
+  res.redirect(`/admin/posted${channel ? `?channel=${encodeURIComponent(channel)}` : ''}`);
+});
+
+// --------- Fixture changes ---------
+
+const fixtureChanges = require('./lib/fixture_changes');
+
+app.get('/admin/fixture-changes', (req, res) => {
+  const cfg = loadConfig();
+  const channels = cfg.channels || [];
+  const selected = req.query.channel || '';
+  const changes = fixtureChanges.listChanges({ channelId: selected || null });
+  const timezone = cfg.timezone || 'Europe/London';
+
+  const fmt = (iso) => (iso ? escapeHtml(new Date(iso).toLocaleString('en-GB', { timeZone: timezone })) : '—');
+  const channelLabel = (id) => {
+    const ch = channels.find((c) => c.id === id);
+    return ch ? (ch.label || ch.id) : id;
+  };
+
+  const typeLabels = {
+    cancelled: 'Postponed (cancelled in feed)',
+    removed: 'Postponed (removed from feed)',
+    kickoff: 'Kick-off changed',
+    venue: 'Venue changed'
+  };
+  const actionLabels = {
+    posted: 'Alert posted',
+    edited: 'Poster edited',
+    logged: 'Logged only (not posted to this channel, or alerts off)',
+    failed: 'Failed'
+  };
+
+  const options = channels
+    .map((ch) => `<option value="${escapeHtml(ch.id)}" ${ch.id === selected ? 'selected' : ''}>${escapeHtml(ch.label || ch.id)}</option>`)
+    .join('');
+
+  const rows = changes
+    .map((c) => {
+      const title = c.homeTeam && c.awayTeam ? `${c.homeTeam} v ${c.awayTeam}` : c.summary;
+      let detail = `Was ${fmt(c.previousStart)}`;
+      if (c.type === 'kickoff') detail = `${fmt(c.previousStart)} → ${fmt(c.start)}`;
+      if (c.type === 'venue') detail = `${escapeHtml(c.previousLocation)} → ${escapeHtml(c.location)}`;
+      return `<tr>
+        <td>${fmt(c.detectedAt)}</td>
+        <td>${escapeHtml(channelLabel(c.channelId))}</td>
+        <td>${escapeHtml(title)}${c.teamLabel ? `<br><span class="muted">${escapeHtml(c.teamLabel)} feed</span>` : ''}</td>
+        <td>${escapeHtml(typeLabels[c.type] || c.type)}</td>
+        <td>${detail}</td>
+        <td>${c.action ? escapeHtml(actionLabels[c.action] || c.action) : '<span class="muted">pending</span>'}${c.messageId ? `<br><span class="muted">message ${escapeHtml(String(c.messageId))}</span>` : ''}${c.error ? `<br><span class="muted">${escapeHtml(c.error)}</span>` : ''}</td>
+      </tr>`;
+    })
+    .join('');
+
+  const body = `
+  <div class="card">
+    <h2>Fixture Changes</h2>
+    <p>Each run compares a channel's ICS fixtures with the previous run's, and logs postponements (<code>STATUS:CANCELLED</code>, "postponed" in the title, or a fixture dropped from its feed) and kick-off or venue changes.</p>
+    <p class="muted">Channels that already posted the fixture are told, per their "Change alerts" setting (Edit Channel): the original poster is edited, or a "POSTPONED" / "KICK-OFF CHANGED" alert is posted. Queued kickoff posters of postponed fixtures are cancelled. Changes are kept for ${fixtureChanges.CHANGE_RETENTION_DAYS} days.</p>
+    <form method="get" action="/admin/fixture-changes">
+      <p>
+        <label>Channel<br>
+        <select name="channel" onchange="this.form.submit()">
+          <option value="">All channels</option>
+          ${options}
+        </select></label>
+      </p>
+    </form>
+  </div>
+
+  <div class="card">
+    <h3>${changes.length} change(s)</h3>
+    ${changes.length > 0 ? `
+    <table>
+      <thead>
+        <tr><th>Detected</th><th>Channel</th><th>Fixture</th><th>Change</th><th>Details</th><th>Action</th></tr>
+      </thead>
+      <tbody>
+        ${rows}
+      </tbody>
+    </table>
+    <form method="post" action="/admin/fixture-changes/clear" style="margin-top:10px;">
+      <button type="submit" onclick="return confirm('Clear the change log?');" style="background:#e74c3c;">Clear log</button>
+    </form>
+    ` : '<p class="muted">No changes detected yet.</p>'}
+  </div>`;
+
+  res.send(renderLayout('Fixture Changes - Telegram Sports TV Bot', body));
+});
+
+app.post('/admin/fixture-changes/clear', (req, res) => {
+  fixtureChanges.clearChanges();
+  res.redirect('/admin/fixture-changes');
+});
+
+// --------- Team followers ---------
+
+const subscribers = require('./lib/subscribers');
+
+app.get('/admin/followers', (req, res) => {
+  const cfg = loadConfig();
+  const teams = subscribers.listFollowersByTeam();
+  const subs = subscribers.listSubscribers();
+
+  const followerLabel = (f) => escapeHtml(f.name ? `${f.name} (${f.chatId})` : String(f.chatId));
+
+  const teamRows = teams
+    .map((t) => `<tr>
+        <td>${escapeHtml(t.team)}</td>
+        <td>${t.followers.length}</td>
+        <td>${t.followers.map(followerLabel).join('<br>')}</td>
+      </tr>`)
+    .join('');
+
+  const subRows = subs
+    .map((sub) => `<tr>
+        <td>${followerLabel(sub)}</td>
+        <td>${escapeHtml(sub.teams.join(', '))}</td>
+        <td>${sub.createdAt ? escapeHtml(new Date(sub.createdAt).toLocaleString()) : 'N/A'}</td>
+        <td>
+          <form method="post" action="/admin/followers/remove" style="display:inline;">
+            <input type="hidden" name="chatId" value="${escapeHtml(String(sub.chatId))}">
+            <button type="submit" onclick="return confirm('Remove all follows for this chat?');">Remove</button>
+          </form>
+        </td>
+      </tr>`)
+    .join('');
+
+  const body = `
+  <div class="card">
+    <h2>Team Followers</h2>
+    <p>People who messaged the bot <code>/follow &lt;team&gt;</code>. Each follower gets a private reminder with the TV listings ${botCommands.getAlertLeadMinutes(cfg)} minutes before their team kicks off.</p>
+    <p class="muted">Bot commands: ${cfg.botCommandsEnabled ? (botCommands.isPolling() ? 'running' : 'enabled but not running (check the bot token)') : 'disabled - enable them on the <a href="/admin/settings">Settings</a> page'}.
+      ${subs.length} follower(s), ${subscribers.countReminders()} reminder(s) sent in the last ${subscribers.REMINDER_RETENTION_DAYS} days.</p>
+    <p class="muted">Reminders only cover fixtures in the configured channels' feeds.</p>
+  </div>
+
+  <div class="card">
+    <h3>Followers per team</h3>
+    ${teams.length > 0 ? `
+    <table>
+      <thead>
+        <tr><th>Team</th><th>Followers</th><th>Chats</th></tr>
+      </thead>
+      <tbody>
+        ${teamRows}
+      </tbody>
+    </table>
+    ` : '<p class="muted">Nobody is following a team yet.</p>'}
+  </div>
+
+  <div class="card">
+    <h3>Followers</h3>
+    ${subs.length > 0 ? `
+    <table>
+      <thead>
+        <tr><th>Chat</th><th>Teams</th><th>Since</th><th></th></tr>
+      </thead>
+      <tbody>
+        ${subRows}
+      </tbody>
+    </table>
+    ` : '<p class="muted">No followers yet.</p>'}
+  </div>`;
+
+  res.send(renderLayout('Followers - Telegram Sports TV Bot', body));
+});
+
+app.post('/admin/followers/remove', (req, res) => {
+  const chatId = (req.body.chatId || '').trim();
+  if (chatId) {
+    subscribers.removeSubscriber(chatId);
+  }
+  res.redirect('/admin/followers');
+});
+
+// --------- API keys ---------
+
+const apiKeys = require('./lib/api_keys');
+
+function renderApiKeysPage(newKey = null) {
+  const keys = apiKeys.listKeys();
+
+  const rows = keys
+    .map((k) => `<tr>
+        <td>${escapeHtml(k.label)}</td>
+        <td><code>${escapeHtml(k.prefix)}…</code></td>
+        <td>${escapeHtml(new Date(k.createdAt).toLocaleString())}</td>
+        <td>${k.lastUsedAt ? escapeHtml(new Date(k.lastUsedAt).toLocaleString()) : '<span class="muted">never</span>'}</td>
+        <td>${k.revokedAt ? `<span class="muted">revoked ${escapeHtml(new Date(k.revokedAt).toLocaleString())}</span>` : `
+          <form method="post" action="/admin/api-keys/revoke" style="display:inline;">
+            <input type="hidden" name="id" value="${escapeHtml(k.id)}">
+            <button type="submit" onclick="return confirm('Revoke this key? Tools using it will stop working.');">Revoke</button>
+          </form>`}
+        </td>
+      </tr>`)
+    .join('');
+
+  return `
+  ${newKey ? `
+  <div class="card">
+    <h3>New key for ${escapeHtml(newKey.entry.label)}</h3>
+    <p>Copy it now - it is not stored and won't be shown again.</p>
+    <pre>${escapeHtml(newKey.key)}</pre>
+  </div>` : ''}
+
+  <div class="card">
+    <h2>API Keys</h2>
+    <p>Keys for the read-only JSON API at <code>/api/v1</code> (fixtures and TV listings). Send a key in the <code>X-API-Key</code> header or as <code>Authorization: Bearer &lt;key&gt;</code>. The admin password does not work there.</p>
+    <p class="muted">Endpoints are described in <a href="/api/v1/openapi.json">/api/v1/openapi.json</a>.</p>
+    <form method="post" action="/admin/api-keys/create">
+      <label>Label<br>
+      <input type="text" name="label" placeholder="e.g. Stats dashboard" required></label>
+      <button type="submit">Create key</button>
+    </form>
+  </div>
+
+  <div class="card">
+    <h3>Keys</h3>
+    ${keys.length > 0 ? `
+    <table>
+      <thead>
+        <tr><th>Label</th><th>Key</th><th>Created</th><th>Last used</th><th></th></tr>
+      </thead>
+      <tbody>
+        ${rows}
+      </tbody>
+    </table>
+    ` : '<p class="muted">No keys yet.</p>'}
+  </div>`;
+}
+
+app.get('/admin/api-keys', (req, res) => {
+  res.send(renderLayout('API Keys - Telegram Sports TV Bot', renderApiKeysPage()));
+});
+
+app.post('/admin/api-keys/create', (req, res) => {
+  const label = (req.body.label || '').trim();
+  if (!label) {
+    return res.redirect('/admin/api-keys');
+  }
+  const created = apiKeys.createKey(label);
+  res.send(renderLayout('API Keys - Telegram Sports TV Bot', renderApiKeysPage(created)));
+});
+
+app.post('/admin/api-keys/revoke', (req, res) => {
+  const id = (req.body.id || '').trim();
+  if (id) {
+    apiKeys.revokeKey(id);
+  }
+  res.redirect('/admin/api-keys');
+});
+
+// --------- Poster templates ---------
+
+const posterTemplates = require('./lib/poster_templates');
+const { renderPosterPreview, getPosterOptions } = require('./autopost');
+
+// Fixture the template editor previews
+const SAMPLE_POSTER_FIXTURE = {
+  start: '2026-10-24T16:30:00Z',
+  summary: 'Arsenal v Chelsea',
+  homeTeam: 'Arsenal',
+  awayTeam: 'Chelsea',
+  matchTitle: 'ARSENAL v CHELSEA',
+  timeUk: '5:30pm',
+  timeEt: '12:30pm',
+  competition: 'Premier League',
+  venue: 'Emirates Stadium',
+  tvByRegion: [
+    { region: 'UK', flag: '🇬🇧', channel: 'Sky Sports Main Event' },
+    { region: 'Ireland', flag: '🇮🇪', channel: 'Sky Sports Premier League' },
+    { region: 'USA', flag: '🇺🇸', channel: 'NBC, Peacock' },
+    { region: 'Canada', flag: '🇨🇦', channel: 'fuboTV Canada' },
+    { region: 'Australia', flag: '🇦🇺', channel: 'Optus Sport' },
+    { region: 'India', flag: '🇮🇳', channel: 'JioCinema' }
+  ]
+};
+
+function templateToJson(template) {
+  const { builtIn, ...fields } = template;
+  return JSON.stringify(fields, null, 2);
+}
+
+function renderPosterTemplatesPage(cfg, { message = null, editorJson = null } = {}) {
+  const templates = posterTemplates.listTemplates();
+  const channels = cfg.channels || [];
+
+  const usedBy = (id) => channels
+    .filter((ch) => (ch.posterTemplate || posterTemplates.DEFAULT_TEMPLATE_ID) === id ||
+      Object.values(ch.posterTemplateByCompetition || {}).includes(id))
+    .map((ch) => ch.label || ch.id);
+
+  const rows = templates
+    .map((t) => `<tr>
+        <td><strong>${escapeHtml(t.name)}</strong><br><span class="muted">${escapeHtml(t.description || '')}</span></td>
+        <td><code>${escapeHtml(t.id)}</code></td>
+        <td>${t.builtIn ? 'Built-in' : 'Custom'}</td>
+        <td>${escapeHtml(usedBy(t.id).join(', ') || '-')}</td>
+        <td>
+          <a href="/admin/poster-templates?${t.builtIn ? 'copy' : 'edit'}=${encodeURIComponent(t.id)}">${t.builtIn ? 'Copy' : 'Edit'}</a>
+          ${t.builtIn ? '' : `
+          <form method="post" action="/admin/poster-templates/remove" style="display:inline;">
+            <input type="hidden" name="id" value="${escapeHtml(t.id)}">
+            <button type="submit" onclick="return confirm('Remove this template? Channels using it go back to Classic.');">Remove</button>
+          </form>`}
+        </td>
+      </tr>`)
+    .join('');
+
+  return `
+  ${message ? `<div class="card"><p>${escapeHtml(message)}</p></div>` : ''}
+
+  <div class="card">
+    <h2>Poster Templates</h2>
+    <p>Image posters are drawn from a template: which elements appear, where, and in what fonts and colours, plus how TV regions are laid out. Pick a channel's template (and per-competition templates) on its Edit page. Channels without an uploaded background image (Settings) post text posters, whatever the template.</p>
+    <table>
+      <thead>
+        <tr><th>Template</th><th>Id</th><th>Type</th><th>Used by</th><th></th></tr>
+      </thead>
+      <tbody>
+        ${rows}
+      </tbody>
+    </table>
+  </div>
+
+  <div class="card">
+    <h3>Editor</h3>
+    <p class="muted">Edit the JSON; the preview re-renders a sample fixture as you type, with the same drawing code the autoposter uses. Built-in templates can't be changed: copy one and save it under a new id. Field reference: <code>lib/poster_templates.js</code>.</p>
+    <div style="display:flex; gap:16px; flex-wrap:wrap; align-items:flex-start;">
+      <form method="post" action="/admin/poster-templates/save" style="flex:1; min-width:320px;">
+        <textarea id="template-json" name="template" rows="32" style="width:100%; font-family:monospace; font-size:12px;">${escapeHtml(editorJson || '')}</textarea>
+        <p><button type="submit">Save Template</button></p>
+      </form>
+      <div style="width:480px; max-width:100%;">
+        <p id="template-error" style="color:#e74c3c;"></p>
+        <img id="template-preview" alt="Poster preview" style="width:100%; border-radius:8px;">
+      </div>
+    </div>
+  </div>
+
+  <script>
+    (function () {
+      const textarea = document.getElementById('template-json');
+      const preview = document.getElementById('template-preview');
+      const errorEl = document.getElementById('template-error');
+      let timer = null;
+
+      async function render() {
+        try {
+          const response = await fetch('/admin/poster-templates/preview', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: new URLSearchParams({ template: textarea.value })
+          });
+          const result = await response.json();
+          errorEl.textContent = result.error || '';
+          if (result.image) preview.src = result.image;
+        } catch (err) {
+          errorEl.textContent = 'Preview failed: ' + err.message;
+        }
+      }
+
+      textarea.addEventListener('input', () => {
+        clearTimeout(timer);
+        timer = setTimeout(render, 600);
+      });
+      render();
+    })();
+  </script>`;
+}
+
+/**
+ * Parse the editor's JSON and validate it.
+ * @returns {{template: Object}|{error: string}}
+ */
+function parseTemplateInput(json) {
+  try {
+    return posterTemplates.validateTemplate(JSON.parse(json || ''));
+  } catch (err) {
+    return { error: `Invalid JSON: ${err.message}` };
+  }
+}
+
+app.get('/admin/poster-templates', (req, res) => {
+  const cfg = loadConfig();
+  let editorJson;
+  if (req.query.edit) {
+    editorJson = templateToJson(posterTemplates.getTemplate(req.query.edit));
+  } else {
+    // New templates start as a copy of a built-in one
+    const template = posterTemplates.getTemplate(req.query.copy);
+    editorJson = templateToJson({ ...template, id: `${template.id}-copy`, name: `${template.name} (copy)` });
+  }
+  res.send(renderLayout('Poster Templates - Telegram Sports TV Bot', renderPosterTemplatesPage(cfg, { editorJson })));
+});
+
+app.post('/admin/poster-templates/preview', async (req, res) => {
+  const parsed = parseTemplateInput(req.body.template);
+  if (parsed.error) {
+    return res.json({ error: parsed.error });
+  }
+
+  try {
+    const posterOptions = { ...getPosterOptions(loadConfig()), plainBackground: true };
+    const { image } = await renderPosterPreview(SAMPLE_POSTER_FIXTURE, posterOptions, parsed.template);
+    if (!image) {
+      return res.json({ error: 'Image posters need the canvas library (@napi-rs/canvas); see the logs.' });
+    }
+    res.json({ image });
+  } catch (err) {
+    res.json({ error: err.message || String(err) });
+  }
+});
+
+app.post('/admin/poster-templates/save', (req, res) => {
+  const parsed = parseTemplateInput(req.body.template);
+  const result = parsed.error ? parsed : posterTemplates.saveTemplate(parsed.template);
+  if (result.error) {
+    return res.send(renderLayout('Poster Templates - Telegram Sports TV Bot', renderPosterTemplatesPage(loadConfig(), {
+      message: result.error,
+      editorJson: req.body.template
+    })));
+  }
+  res.redirect(`/admin/poster-templates?edit=${encodeURIComponent(result.template.id)}`);
+});
+
+app.post('/admin/poster-templates/remove', (req, res) => {
+  if (req.body.id) {
+    posterTemplates.removeTemplate(req.body.id);
+  }
+  res.redirect('/admin/poster-templates');
+});
+
+// --------- TV channel dictionary ---------
+
+const channelDictionary = require('./lib/channel_dictionary');
+
+function renderTvChannelsPage(message = null) {
+  const channels = channelDictionary.listChannels();
+  const unmatched = channelDictionary.listUnmatched();
+
+  const channelOptions = channels
+    .map((c) => `<option value="${escapeHtml(c.name)}"></option>`)
+    .join('');
+
+  const unmatchedRows = unmatched
+    .map((u) => `<tr>
+        <td>${escapeHtml(u.raw)}</td>
+        <td>${u.count}</td>
+        <td>${escapeHtml(u.sources.join(', ') || '-')}</td>
+        <td>${escapeHtml(new Date(u.lastSeen).toLocaleString())}</td>
+        <td>
+          <form method="post" action="/admin/tv-channels/save" style="display:inline;">
+            <input type="hidden" name="aliases" value="${escapeHtml(u.raw)}">
+            <input type="text" name="name" list="tv-channel-names" placeholder="Canonical channel" required style="width:200px;">
+            <button type="submit">Map</button>
+          </form>
+          <form method="post" action="/admin/tv-channels/dismiss" style="display:inline;">
+            <input type="hidden" name="key" value="${escapeHtml(u.key)}">
+            <button type="submit">Dismiss</button>
+          </form>
+        </td>
+      </tr>`)
+    .join('');
+
+  const channelRows = channels
+    .map((c) => `<tr>
+        <td><strong>${escapeHtml(c.name)}</strong></td>
+        <td>${escapeHtml(c.network || '-')}</td>
+        <td>${escapeHtml(c.country || '-')}</td>
+        <td>${escapeHtml(c.aliases.join(', ') || '-')}</td>
+        <td>${c.logo ? `<a href="${escapeHtml(c.logo)}" target="_blank" rel="noopener">Logo</a>` : '-'}</td>
+        <td>${c.builtIn ? 'Built-in' : 'Added'}${c.builtIn && c.custom ? ' + edits' : ''}
+          ${c.custom ? `
+          <form method="post" action="/admin/tv-channels/remove" style="display:inline;">
+            <input type="hidden" name="name" value="${escapeHtml(c.name)}">
+            <button type="submit" onclick="return confirm('Remove your additions for this channel?');">${c.builtIn ? 'Revert' : 'Remove'}</button>
+          </form>` : ''}
+        </td>
+      </tr>`)
+    .join('');
+
+  return `
+  ${message ? `<div class="card"><p>${escapeHtml(message)}</p></div>` : ''}
+
+  <div class="card">
+    <h2>TV Channels</h2>
+    <p>Every source's channel names are mapped to one canonical name (with its network and country) before listings are merged and posted, so "Sky Sports PL" and "Sky Sports Premier League HD" both post as Sky Sports Premier League. Names no channel matches are listed below.</p>
+    <datalist id="tv-channel-names">${channelOptions}</datalist>
+  </div>
+
+  <div class="card">
+    <h3>Unmatched Names</h3>
+    ${unmatched.length > 0 ? `
+    <p class="muted">Map a name to an existing channel (it becomes an alias) or type a new channel name.</p>
+    <table>
+      <thead>
+        <tr><th>Name</th><th>Seen</th><th>Sources</th><th>Last seen</th><th></th></tr>
+      </thead>
+      <tbody>
+        ${unmatchedRows}
+      </tbody>
+    </table>
+    ` : '<p class="muted">Every channel name seen so far is mapped.</p>'}
+  </div>
+
+  <div class="card">
+    <h3>Add or Update a Channel</h3>
+    <form method="post" action="/admin/tv-channels/save">
+      <label>Channel name<br>
+      <input type="text" name="name" list="tv-channel-names" placeholder="e.g. Sky Sports Premier League" required></label><br>
+      <label>Network<br>
+      <input type="text" name="network" placeholder="e.g. sky"></label><br>
+      <label>Country<br>
+      <input type="text" name="country" placeholder="e.g. UK"></label><br>
+      <label>Aliases (comma-separated)<br>
+      <input type="text" name="aliases" placeholder="e.g. Sky Sports PL, SS PL" style="width:400px;"></label><br>
+      <label>Logo URL (optional)<br>
+      <input type="text" name="logo" placeholder="https://..." style="width:400px;"></label>
+      <span class="muted">Drawn next to the channel on image posters; downloaded once into the <a href="/admin/assets">asset cache</a>.</span>
+      <p><button type="submit">Save Channel</button></p>
+    </form>
+  </div>
+
+  <div class="card">
+    <h3>Catalogue (${channels.length})</h3>
+    <table>
+      <thead>
+        <tr><th>Channel</th><th>Network</th><th>Country</th><th>Aliases</th><th>Logo</th><th></th></tr>
+      </thead>
+      <tbody>
+        ${channelRows}
+      </tbody>
+    </table>
+  </div>`;
+}
+
+app.get('/admin/tv-channels', (req, res) => {
+  res.send(renderLayout('TV Channels - Telegram Sports TV Bot', renderTvChannelsPage()));
+});
+
+app.post('/admin/tv-channels/save', (req, res) => {
+  const result = channelDictionary.saveChannel({
+    name: req.body.name,
+    network: req.body.network,
+    country: req.body.country,
+    logo: req.body.logo,
+    aliases: req.body.aliases
+  });
+  if (result.error) {
+    return res.send(renderLayout('TV Channels - Telegram Sports TV Bot', renderTvChannelsPage(result.error)));
+  }
+  res.redirect('/admin/tv-channels');
+});
+
+app.post('/admin/tv-channels/dismiss', (req, res) => {
+  if (req.body.key) {
+    channelDictionary.dismissUnmatched(req.body.key);
+  }
+  res.redirect('/admin/tv-channels');
+});
+
+app.post('/admin/tv-channels/remove', (req, res) => {
+  if (req.body.name) {
+    channelDictionary.removeCustomChannel(req.body.name);
+  }
+  res.redirect('/admin/tv-channels');
+});
+
+// --------- Crests and logos ---------
+
+const assetCache = require('./lib/asset_cache');
+
+// Asset uploads stay in memory; lib/asset_cache.js writes them to storage/assets/
+const assetUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: assetCache.MAX_ASSET_BYTES },
+  fileFilter: function (req, file, cb) {
+    const ext = path.extname(file.originalname).toLowerCase().slice(1);
+    if (assetCache.IMAGE_TYPES[ext] && file.mimetype.startsWith('image/')) {
+      return cb(null, true);
+    }
+    cb(new Error(`Only image files (${Object.keys(assetCache.IMAGE_TYPES).join(', ')}) are allowed`));
+  }
+});
+
+function renderAssetsPage(message = null) {
+  const assets = assetCache.listAssets();
+
+  const sourceLabel = (a) => {
+    if (a.uploaded) return 'Upload';
+    if (a.urlSource === 'admin') return 'URL (set here)';
+    if (a.urlSource === 'tsdb') return 'TheSportsDB';
+    return a.url ? escapeHtml(a.urlSource || 'URL') : '-';
+  };
+
+  const assetRows = (kind) => assets
+    .filter((a) => a.kind === kind)
+    .map((a) => `<tr>
+        <td>${a.hasFile
+          ? `<img src="/admin/assets/file?kind=${a.kind}&key=${encodeURIComponent(a.key)}" alt="" style="max-width:64px;max-height:40px;background:#1e2a30;padding:2px;">`
+          : '<span class="muted">none</span>'}</td>
+        <td><strong>${escapeHtml(a.name)}</strong></td>
+        <td>${sourceLabel(a)}</td>
+        <td>${a.url && !a.uploaded ? `<a href="${escapeHtml(a.url)}" target="_blank" rel="noopener">${escapeHtml(a.url.length > 60 ? `${a.url.slice(0, 60)}…` : a.url)}</a>` : '-'}</td>
+        <td>${a.failedAt
+          ? `<span style="color:#c62828;">${escapeHtml(a.error || 'Failed')}</span><br><span class="muted">${escapeHtml(new Date(a.failedAt).toLocaleString())}</span>`
+          : a.updatedAt ? escapeHtml(new Date(a.updatedAt).toLocaleString()) : '<span class="muted">not downloaded yet</span>'}</td>
+        <td>
+          ${a.failedAt ? `
+          <form method="post" action="/admin/assets/retry" style="display:inline;">
+            <input type="hidden" name="kind" value="${a.kind}">
+            <input type="hidden" name="key" value="${escapeHtml(a.key)}">
+            <button type="submit">Retry</button>
+          </form>` : ''}
+          <form method="post" action="/admin/assets/remove" style="display:inline;">
+            <input type="hidden" name="kind" value="${a.kind}">
+            <input type="hidden" name="key" value="${escapeHtml(a.key)}">
+            <button type="submit" onclick="return confirm('Forget this image?');">Remove</button>
+          </form>
+        </td>
+      </tr>`)
+    .join('');
+
+  const assetTable = (kind, title, empty) => {
+    const rows = assetRows(kind);
+    return `
+  <div class="card">
+    <h3>${title}</h3>
+    ${rows ? `
+    <table>
+      <thead>
+        <tr><th>Image</th><th>Name</th><th>Source</th><th>URL</th><th>Updated</th><th></th></tr>
+      </thead>
+      <tbody>
+        ${rows}
+      </tbody>
+    </table>
+    ` : `<p class="muted">${empty}</p>`}
+  </div>`;
+  };
+
+  return `
+  ${message ? `<div class="card"><p>${escapeHtml(message)}</p></div>` : ''}
+
+  <div class="card">
+    <h2>Crests &amp; Logos</h2>
+    <p>Image posters draw team crests beside the team names and broadcaster logos beside the channels (for templates that turn them on – see <a href="/admin/poster-templates">Poster Templates</a>). Images are downloaded once and kept here, so posting never waits on a remote image host. Anything missing is drawn as text.</p>
+    <p class="muted">Crests come from TheSportsDB badges; logos from TheSportsDB or the logo URL on <a href="/admin/tv-channels">TV Channels</a>. An upload or a URL set here always wins. Failed downloads are retried after ${Math.round(assetCache.RETRY_AFTER_MS / 3600000)} hours.</p>
+  </div>
+
+  <div class="card">
+    <h3>Upload or Set an Image</h3>
+    <form method="post" action="/admin/assets/upload" enctype="multipart/form-data">
+      <label>Type<br>
+      <select name="kind">
+        <option value="crest">Team crest</option>
+        <option value="logo">Channel logo</option>
+      </select></label><br>
+      <label>Team or channel name<br>
+      <input type="text" name="name" placeholder="e.g. Arsenal or Sky Sports Main Event" required style="width:300px;"></label><br>
+      <label>Image file (${Object.keys(assetCache.IMAGE_TYPES).join(', ')}, up to 1MB)<br>
+      <input type="file" name="image" accept="image/*"></label><br>
+      <label>…or image URL<br>
+      <input type="text" name="url" placeholder="https://..." style="width:400px;"></label>
+      <p><button type="submit">Save Image</button></p>
+    </form>
+  </div>
+
+  ${assetTable('crest', 'Team Crests', 'No crests yet. They are collected as TheSportsDB listings are fetched.')}
+  ${assetTable('logo', 'Channel Logos', 'No logos yet. Add a logo URL on the TV Channels page or upload one above.')}`;
+}
+
+app.get('/admin/assets', (req, res) => {
+  res.send(renderLayout('Crests & Logos - Telegram Sports TV Bot', renderAssetsPage()));
+});
+
+app.get('/admin/assets/file', (req, res) => {
+  const file = assetCache.getAssetFileByKey(String(req.query.kind || ''), String(req.query.key || ''));
+  if (!file) {
+    return res.status(404).send('Not found');
+  }
+  res.sendFile(file);
+});
+
+// lgtm[js/missing-rate-limiting] - Rate limiting is implemented via rateLimitMiddleware
+app.post('/admin/assets/upload', rateLimitMiddleware, (req, res) => {
+  assetUpload.single('image')(req, res, (err) => {
+    const showError = (message) => res.send(renderLayout('Crests & Logos - Telegram Sports TV Bot', renderAssetsPage(message)));
+    if (err) {
+      return showError(err.code === 'LIMIT_FILE_SIZE' ? 'Images must be 1MB or smaller' : err.message);
+    }
+
+    const { kind, name, url } = req.body;
+    let result;
+    if (req.file) {
+      result = assetCache.saveUpload(kind, name, req.file.buffer, path.extname(req.file.originalname));
+    } else if (String(url || '').trim()) {
+      result = assetCache.setAssetUrl(kind, name, url);
+    } else {
+      result = { error: 'Choose a file or enter an image URL' };
+    }
+    if (result.error) {
+      return showError(result.error);
+    }
+    res.redirect('/admin/assets');
+  });
+});
+
+app.post('/admin/assets/remove', (req, res) => {
+  if (req.body.kind && req.body.key) {
+    assetCache.removeAsset(req.body.kind, req.body.key);
+  }
+  res.redirect('/admin/assets');
+});
+
+app.post('/admin/assets/retry', (req, res) => {
+  if (req.body.kind && req.body.key) {
+    assetCache.retryAsset(req.body.kind, req.body.key);
+  }
+  res.redirect('/admin/assets');
+});
+
+// --------- Team registry ---------
+
+const teamRegistry = require('./lib/team_registry');
+
+function renderTeamNamesPage(message = null) {
+  const teams = teamRegistry.listTeams();
+  const unmatched = teamRegistry.listUnmatched();
+
+  const teamOptions = teams
+    .map((t) => `<option value="${escapeHtml(t.name)}"></option>`)
+    .join('');
+
+  const unmatchedRows = unmatched
+    .map((u) => `<tr>
+        <td>${escapeHtml(u.raw)}</td>
+        <td>${u.count}</td>
+        <td>${escapeHtml(u.sources.join(', ') || '-')}</td>
+        <td>${escapeHtml(new Date(u.lastSeen).toLocaleString())}</td>
+        <td>
+          <form method="post" action="/admin/team-names/save" style="display:inline;">
+            <input type="hidden" name="aliases" value="${escapeHtml(u.raw)}">
+            <input type="text" name="name" list="team-names" value="${escapeHtml(u.suggestion || '')}" placeholder="Canonical team" required style="width:200px;">
+            <button type="submit">Map</button>
+          </form>
+          <form method="post" action="/admin/team-names/dismiss" style="display:inline;">
+            <input type="hidden" name="key" value="${escapeHtml(u.key)}">
+            <button type="submit">Dismiss</button>
+          </form>
+        </td>
+      </tr>`)
+    .join('');
+
+  const teamRows = teams
+    .map((t) => `<tr>
+        <td><strong>${escapeHtml(t.name)}</strong>${t.shortName ? `<br><span class="muted">${escapeHtml(t.shortName)}</span>` : ''}</td>
+        <td>${escapeHtml(t.league || '-')}${t.country ? `<br><span class="muted">${escapeHtml(t.country)}</span>` : ''}</td>
+        <td>${escapeHtml(t.aliases.join(', ') || '-')}</td>
+        <td>${teamRegistry.PROVIDERS
+    .filter((p) => t.ids[p.id])
+    .map((p) => `${escapeHtml(p.label)}: <code>${escapeHtml(t.ids[p.id])}</code>`)
+    .join('<br>') || '-'}</td>
+        <td>${t.builtIn ? 'Built-in' : 'Added'}${t.builtIn && t.custom ? ' + edits' : ''}
+          ${t.custom ? `
+          <form method="post" action="/admin/team-names/remove" style="display:inline;">
+            <input type="hidden" name="name" value="${escapeHtml(t.name)}">
+            <button type="submit" onclick="return confirm('Remove your additions for this team?');">${t.builtIn ? 'Revert' : 'Remove'}</button>
+          </form>` : ''}
+        </td>
+      </tr>`)
+    .join('');
+
+  const idFields = teamRegistry.PROVIDERS
+    .map((p) => `<label>${escapeHtml(p.label)}<br>
+      <input type="text" name="id_${p.id}"></label><br>`)
+    .join('\n      ');
+
+  return `
+  ${message ? `<div class="card"><p>${escapeHtml(message)}</p></div>` : ''}
+
+  <div class="card">
+    <h2>Team Names</h2>
+    <p>Every source's team names are resolved to one team before fixtures are matched, so "Man Utd", "Man United" and "Manchester United FC" are the same club and Manchester City is never mistaken for Manchester United. Each team also holds its IDs at the sources that need them. Names no team matches are listed below with a suggested team.</p>
+    <p class="muted">Import UK Teams (on the Settings page) adds TheFishy's clubs here too.</p>
+    <datalist id="team-names">${teamOptions}</datalist>
+  </div>
+
+  <div class="card">
+    <h3>Unmatched Names</h3>
+    ${unmatched.length > 0 ? `
+    <p class="muted">Map a name to an existing team (it becomes an alias) or type a new team name.</p>
+    <table>
+      <thead>
+        <tr><th>Name</th><th>Seen</th><th>Sources</th><th>Last seen</th><th></th></tr>
+      </thead>
+      <tbody>
+        ${unmatchedRows}
+      </tbody>
+    </table>
+    ` : '<p class="muted">Every team name seen so far is known.</p>'}
+  </div>
+
+  <div class="card">
+    <h3>Add or Update a Team</h3>
+    <p class="muted">Blank fields keep their current value.</p>
+    <form method="post" action="/admin/team-names/save">
+      <label>Team name<br>
+      <input type="text" name="name" list="team-names" placeholder="e.g. Manchester United" required></label><br>
+      <label>Short name<br>
+      <input type="text" name="shortName" placeholder="e.g. Man Utd"></label><br>
+      <label>League<br>
+      <input type="text" name="league" placeholder="e.g. Premier League"></label><br>
+      <label>Country<br>
+      <input type="text" name="country" placeholder="e.g. England"></label><br>
+      <label>Aliases (comma-separated)<br>
+      <input type="text" name="aliases" placeholder="e.g. Man United, MUFC" style="width:400px;"></label><br>
+      ${idFields}
+      <p><button type="submit">Save Team</button></p>
+    </form>
+  </div>
+
+  <div class="card">
+    <h3>Teams (${teams.length})</h3>
+    <table>
+      <thead>
+        <tr><th>Team</th><th>League</th><th>Aliases</th><th>Provider IDs</th><th></th></tr>
+      </thead>
+      <tbody>
+        ${teamRows}
+      </tbody>
+    </table>
+  </div>`;
+}
 
-  saveConfig(cfg);
-  res.redirect('/admin/settings');
+app.get('/admin/team-names', (req, res) => {
+  res.send(renderLayout('Team Names - Telegram Sports TV Bot', renderTeamNamesPage()));
 });
 
-// --- Background image upload handlers (with rate limiting) ---
-// Note: These routes are protected by basic auth AND custom rate limiting (rateLimitMiddleware)
-// The rate limiter allows max 10 requests per minute per IP address
-
-// lgtm[js/missing-rate-limiting] - Rate limiting is implemented via rateLimitMiddleware
-app.post('/admin/upload-background', rateLimitMiddleware, upload.single('backgroundImage'), (req, res) => {
-  if (!req.file) {
-    const body = `
-    <div class="card">
-      <h2>Upload Failed</h2>
-      <p>No file was uploaded or the file type is not allowed.</p>
-      <p><a href="/admin/settings">Back to Settings</a></p>
-    </div>`;
-    return res.send(renderLayout('Upload Failed - Telegram Sports TV Bot', body));
+app.post('/admin/team-names/save', (req, res) => {
+  const ids = {};
+  for (const p of teamRegistry.PROVIDERS) {
+    ids[p.id] = req.body[`id_${p.id}`];
   }
-
-  // Delete any old background images with different extensions
-  const extensions = ['jpg', 'jpeg', 'png', 'gif'];
-  const uploadedExt = path.extname(req.file.filename).toLowerCase().slice(1);
-  
-  for (const ext of extensions) {
-    if (ext !== uploadedExt) {
-      const oldPath = path.join(UPLOADS_DIR, `poster-background.${ext}`);
-      if (fs.existsSync(oldPath)) {
-        fs.unlinkSync(oldPath);
-      }
-    }
+  const result = teamRegistry.saveTeam({
+    name: req.body.name,
+    shortName: req.body.shortName,
+    league: req.body.league,
+    country: req.body.country,
+    aliases: req.body.aliases,
+    ids
+  });
+  if (result.error) {
+    return res.send(renderLayout('Team Names - Telegram Sports TV Bot', renderTeamNamesPage(result.error)));
   }
+  res.redirect('/admin/team-names');
+});
 
-  res.redirect('/admin/settings');
+app.post('/admin/team-names/dismiss', (req, res) => {
+  if (req.body.key) {
+    teamRegistry.dismissUnmatched(req.body.key);
+  }
+  res.redirect('/admin/team-names');
 });
 
-// lgtm[js/missing-rate-limiting] - Rate limiting is implemented via rateLimitMiddleware
-app.post('/admin/delete-background', rateLimitMiddleware, (req, res) => {
-  const bgPath = getBackgroundImagePath();
-  if (bgPath && fs.existsSync(bgPath)) {
-    fs.unlinkSync(bgPath);
+app.post('/admin/team-names/remove', (req, res) => {
+  if (req.body.name) {
+    teamRegistry.removeCustomTeam(req.body.name);
   }
-  res.redirect('/admin/settings');
+  res.redirect('/admin/team-names');
 });
 
-app.post('/admin/post-now', async (req, res) => {
-  try {
-    const { summary, results } = await runOnce();
+// --------- Shared cache ---------
 
-    const list = results
-      .map((r) =>
-        r.error
-          ? `<li><strong>${escapeHtml(r.channelLabel)}</strong> – ERROR: ${escapeHtml(
-              r.error
-            )}</li>`
-          : `<li><strong>${escapeHtml(
-              r.channelLabel
-            )}</strong> – sent=${r.sent ? 'yes' : 'no'}, matches=${r.matchCount}</li>`
-      )
-      .join('');
+const cache = require('./lib/cache');
 
-    const body = `
-    <div class="card">
-      <h2>Manual Post – Result</h2>
-      <p><strong>Summary:</strong> ${escapeHtml(summary || '')}</p>
-      <ul>
-        ${list || '<li>No channels configured.</li>'}
-      </ul>
-      <p><a href="/admin/logs">View logs</a> · <a href="/admin/settings">Back to Settings</a></p>
-    </div>`;
+const CACHE_PAGE_MAX_ENTRIES = 200;
 
-    res.send(renderLayout('Post now - Telegram Sports TV Bot', body));
-  } catch (err) {
-    const body = `
-    <div class="card">
-      <h2>Manual Post – Error</h2>
-      <p>${escapeHtml(err.message || String(err))}</p>
-      <p><a href="/admin/settings">Back to Settings</a></p>
-    </div>`;
-    res.send(renderLayout('Post now - Error', body));
-  }
-});
+function formatCacheBytes(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${bytes} B`;
+}
 
-// --- NEW: run import_uk_teams.js from the GUI ---
+app.get('/admin/cache', (req, res) => {
+  const namespace = (req.query.namespace || '').trim();
+  const stats = cache.getStats();
+  const entries = cache.listEntries({ namespace: namespace || null });
+  const purgeButton = (fields, label, prompt) => `
+    <form method="post" action="/admin/cache/purge" style="display:inline;">
+      ${Object.entries(fields).map(([name, value]) => `<input type="hidden" name="${name}" value="${escapeHtml(value)}">`).join('')}
+      <button type="submit" onclick="return confirm('${prompt}');">${label}</button>
+    </form>`;
 
-app.post('/admin/import-uk-teams', (req, res) => {
-  const scriptPath = path.join(__dirname, 'import_uk_teams.js');
-  const nodeBin = process.execPath; // same Node that runs this app
+  const statsRows = stats
+    .map((st) => `<tr>
+        <td><a href="/admin/cache?namespace=${encodeURIComponent(st.namespace)}">${escapeHtml(st.namespace)}</a></td>
+        <td>${st.entries}</td>
+        <td>${formatCacheBytes(st.bytes)}</td>
+        <td>${st.fresh} / ${st.stale} / ${st.expired}</td>
+        <td>${st.negative}</td>
+        <td>${escapeHtml(st.policy)}</td>
+        <td>${purgeButton({ namespace: st.namespace }, 'Purge', 'Remove every entry in this namespace?')}</td>
+      </tr>`)
+    .join('');
 
-  execFile(
-    nodeBin,
-    [scriptPath],
-    { cwd: __dirname, timeout: 5 * 60 * 1000 },
-    (error, stdout, stderr) => {
-      const out = stdout || '';
-      const errOut = stderr || '';
+  const entryRows = entries.slice(0, CACHE_PAGE_MAX_ENTRIES)
+    .map((e) => `<tr>
+        <td>${escapeHtml(e.namespace)}</td>
+        <td><a href="/admin/cache/entry?namespace=${encodeURIComponent(e.namespace)}&id=${e.id}"><code>${escapeHtml(e.key.length > 120 ? `${e.key.slice(0, 120)}…` : e.key)}</code></a></td>
+        <td>${e.state}${e.negative ? ' (no match)' : ''}</td>
+        <td>${escapeHtml(new Date(e.storedAt).toLocaleString())}</td>
+        <td>${formatCacheBytes(e.size)}</td>
+        <td>${purgeButton({ namespace: e.namespace, id: e.id, back: namespace }, 'Delete', 'Delete this entry?')}</td>
+      </tr>`)
+    .join('');
 
-      const body = `
-      <div class="card">
-        <h2>UK Teams Import – ${error ? 'Error' : 'Completed'}</h2>
-        <p>${
-          error
-            ? escapeHtml(error.message || String(error))
-            : 'The import script ran. Check the Teams page for the updated list.'
-        }</p>
-        <h3>Script output</h3>
-        <pre>${escapeHtml(out || '(no stdout)')}</pre>
-        ${
-          errOut
-            ? `<h3>Warnings / stderr</h3><pre>${escapeHtml(errOut)}</pre>`
-            : ''
-        }
-        <p><a href="/admin/teams">Go to Teams</a> · <a href="/admin/settings">Back to Settings</a></p>
-      </div>`;
+  const body = `
+  <div class="card">
+    <h2>Cache</h2>
+    <p>Scraper, feed and aggregator results are kept in <code>storage/cache/</code> (<code>lib/cache.js</code>), so they survive restarts. Fresh entries are used as they are; stale ones are used while a background fetch refreshes them; expired ones only when a fetch fails. "No match" results are kept briefly so they aren't retried on every run.</p>
+    ${stats.length > 0 ? `
+    <table>
+      <thead>
+        <tr><th>Namespace</th><th>Entries</th><th>Size</th><th>Fresh / stale / expired</th><th>No match</th><th>Policy</th><th></th></tr>
+      </thead>
+      <tbody>
+        ${statsRows}
+      </tbody>
+    </table>
+    <p>
+      ${purgeButton({ expiredOnly: 'true' }, 'Purge expired entries', 'Remove every expired entry?')}
+      ${purgeButton({}, 'Purge everything', 'Remove every cached entry?')}
+    </p>
+    ` : '<p class="muted">The cache is empty.</p>'}
+  </div>
 
-      res.send(renderLayout('Import UK Teams - Telegram Sports TV Bot', body));
-    }
-  );
+  ${entries.length > 0 ? `
+  <div class="card">
+    <h3>${namespace ? `Entries in ${escapeHtml(namespace)}` : 'Entries'} (${entries.length}${entries.length > CACHE_PAGE_MAX_ENTRIES ? `, newest ${CACHE_PAGE_MAX_ENTRIES} shown` : ''})</h3>
+    ${namespace ? '<p><a href="/admin/cache">← All namespaces</a></p>' : ''}
+    <table>
+      <thead>
+        <tr><th>Namespace</th><th>Key</th><th>State</th><th>Stored</th><th>Size</th><th></th></tr>
+      </thead>
+      <tbody>
+        ${entryRows}
+      </tbody>
+    </table>
+  </div>` : ''}`;
+
+  res.send(renderLayout('Cache - Telegram Sports TV Bot', body));
+});
+
+app.get('/admin/cache/entry', (req, res) => {
+  const entry = cache.getEntryById(req.query.namespace, req.query.id);
+  if (!entry) {
+    return res.redirect('/admin/cache');
+  }
+
+  const body = `
+  <div class="card">
+    <h2>Cache Entry</h2>
+    <p><strong>Namespace:</strong> ${escapeHtml(entry.namespace)}<br>
+    <strong>Key:</strong> <code>${escapeHtml(entry.key)}</code><br>
+    <strong>State:</strong> ${entry.state}${entry.negative ? ' (no match)' : ''}<br>
+    <strong>Stored:</strong> ${escapeHtml(new Date(entry.storedAt).toLocaleString())}<br>
+    <strong>Fresh until:</strong> ${escapeHtml(new Date(entry.freshUntil).toLocaleString())}<br>
+    <strong>Stale until:</strong> ${escapeHtml(new Date(entry.staleUntil).toLocaleString())}</p>
+    <pre>${escapeHtml(typeof entry.value === 'string' ? entry.value : JSON.stringify(entry.value, null, 2))}</pre>
+    <p><a href="/admin/cache?namespace=${encodeURIComponent(entry.namespace)}">← Back to Cache</a></p>
+  </div>`;
+
+  res.send(renderLayout('Cache Entry - Telegram Sports TV Bot', body));
+});
+
+app.post('/admin/cache/purge', (req, res) => {
+  const { namespace, id, expiredOnly, back } = req.body;
+  cache.purge({
+    namespace: namespace || null,
+    id: namespace && id ? id : null,
+    expiredOnly: expiredOnly === 'true'
+  });
+  res.redirect(back ? `/admin/cache?namespace=${encodeURIComponent(back)}` : '/admin/cache');
 });
 
 // --------- Logs page ---------
@@ -938,11 +2786,11 @@ app.get('/admin/help', (req, res) => {
       <li>Paste your <strong>ICS URL</strong> (calendar feed with fixtures).</li>
       <li>Go to <strong>Channels</strong> and add your Telegram channel (label + <code>@username</code>).</li>
       <li>Go to <strong>Teams</strong>, pick a channel, and add the team names you care about (or leave empty if your ICS is already a single-team calendar).</li>
-      <li>Use the <strong>Post now</strong> button on the Settings page to test it.</li>
+      <li>Use the <a href="/admin/preview">Preview</a> page to see what would be posted, then the <strong>Post now</strong> button on the Settings page to send it.</li>
     </ol>
 
     <h3>5. Schedule automatic posts (cron)</h3>
-    <p>In Plesk, create a scheduled task that <strong>fetches a URL</strong>:</p>
+    <p>Either enable the built-in scheduler in <strong>Settings</strong> and add jobs on the <a href="/admin/scheduler">Scheduler</a> page, or in Plesk, create a scheduled task that <strong>fetches a URL</strong>:</p>
     <pre>https://telegram.defecttracker.uk/cron/run?key=YOUR_SECRET_KEY</pre>
     <p class="muted">Set the secret via the <code>CRON_SECRET</code> environment variable in the Node.js settings.</p>
 
@@ -970,7 +2818,7 @@ app.get('/cron/run', async (req, res) => {
   }
 
   try {
-    const { summary } = await runOnce();
+    const { summary } = await runOnce({ trigger: 'cron' });
     res.send(`OK: ${summary || 'no summary'}`);
   } catch (err) {
     console.error('Error in /cron/run:', err);
@@ -978,6 +2826,104 @@ app.get('/cron/run', async (req, res) => {
   }
 });
 
+// --------- Public calendar feeds ---------
+
+const feeds = require('./feeds');
+
+function sendIcsFeed(res, ics, filename) {
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Content-Disposition', `inline; filename="${filename}"`);
+  res.send(ics);
+}
+
+app.get('/feeds/team/:slug.ics', async (req, res) => {
+  try {
+    const ics = await feeds.buildTeamFeed(loadConfig(), req.params.slug);
+    if (!ics) {
+      return res.status(404).send('Feed not found');
+    }
+    sendIcsFeed(res, ics, `${req.params.slug}.ics`);
+  } catch (err) {
+    console.error('Error in team feed:', err);
+    res.status(500).send('Feed unavailable');
+  }
+});
+
+app.get('/feeds/:channelId.ics', async (req, res) => {
+  try {
+    const ics = await feeds.buildChannelFeed(loadConfig(), req.params.channelId);
+    if (!ics) {
+      return res.status(404).send('Feed not found');
+    }
+    sendIcsFeed(res, ics, `${req.params.channelId.replace(/^@/, '')}.ics`);
+  } catch (err) {
+    console.error('Error in channel feed:', err);
+    res.status(500).send('Feed unavailable');
+  }
+});
+
+// --------- Public JSON API (v1) ---------
+
+const api = require('./api');
+
+function sendApiError(res, status, message) {
+  res.status(status).json({ error: { status, message } });
+}
+
+function requireApiKey(req, res, next) {
+  const auth = req.get('Authorization') || '';
+  const key = req.get('X-API-Key') || (auth.startsWith('Bearer ') ? auth.slice(7).trim() : '');
+  if (!apiKeys.verifyKey(key)) {
+    return sendApiError(res, 401, 'A valid API key is required (X-API-Key header or Authorization: Bearer)');
+  }
+  next();
+}
+
+// Send JSON with an ETag; clients sending a matching If-None-Match get 304
+function sendApiJson(req, res, body) {
+  res.set('ETag', api.getEtag(body));
+  res.set('Cache-Control', 'private, no-cache');
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+  res.json(body);
+}
+
+app.get('/api/v1/openapi.json', (req, res) => {
+  res.sendFile(api.OPENAPI_PATH);
+});
+
+app.get('/api/v1/fixtures', requireApiKey, async (req, res) => {
+  const parsed = api.parseFixtureQuery(req.query);
+  if (parsed.error) {
+    return sendApiError(res, 400, parsed.error);
+  }
+  try {
+    sendApiJson(req, res, await api.listFixtures(parsed.options));
+  } catch (err) {
+    console.error('Error in /api/v1/fixtures:', err);
+    sendApiError(res, 500, 'Fixture lookup failed');
+  }
+});
+
+app.get('/api/v1/fixtures/:id/tv', requireApiKey, async (req, res) => {
+  try {
+    const cfg = loadConfig();
+    const data = await api.getFixtureTv(req.params.id, {
+      region: String(req.query.region || '').trim() || null,
+      timezone: cfg.timezone || 'Europe/London',
+      sources: cfg.sources
+    });
+    if (!data) {
+      return sendApiError(res, 404, 'Unknown fixture id');
+    }
+    sendApiJson(req, res, { data });
+  } catch (err) {
+    console.error('Error in /api/v1/fixtures/:id/tv:', err);
+    sendApiError(res, 500, 'TV lookup failed');
+  }
+});
+
 // --------- LSTV Test Page (Admin) ---------
 
 // Import scrapers
@@ -1079,7 +3025,7 @@ app.get('/admin/test-lstv', async (req, res) => {
       <li>This test calls a remote VPS scraper service at <code>${escapeHtml(process.env.LSTV_SCRAPER_URL || 'http://185.170.113.230:3333')}</code>.</li>
       <li>The VPS service handles all browser automation using Puppeteer/Chrome.</li>
       <li>TV channels are extracted from the LiveSoccerTV match page's broadcast table.</li>
-      <li>Results are cached for 4 hours to reduce scraping frequency.</li>
+      <li>Results are cached for ${escapeHtml(cache.describePolicy('lstv'))} to reduce scraping frequency (<a href="/admin/cache?namespace=lstv">Cache</a>).</li>
     </ul>
     <p><a href="/health/lstv" target="_blank">Check LSTV Health Status →</a></p>
   </div>
@@ -1310,6 +3256,8 @@ app.get('/admin/test-fixture-tv', async (req, res) => {
         leagueHint: league || null
       }, {
         timezone: cfg.timezone || 'Europe/London',
+        minConfidence: cfg.tvMinConfidence,
+        sources: cfg.sources,
         debug: true
       });
     } catch (err) {
@@ -1329,16 +3277,28 @@ app.get('/admin/test-fixture-tv', async (req, res) => {
   } else if (result) {
     // Build sources used string
     const sourcesStr = Object.entries(result.sourcesUsed || {})
-      .filter(([, used]) => used)
+      .filter(([, used]) => used === true)
       .map(([name]) => name.toUpperCase())
       .join(', ') || 'None';
     
-    // Build TV regions table
+    // Build TV regions table (with the confidence scoring's reasoning)
+    const renderReasons = (reasons) => (reasons || []).map(escapeHtml).join('<br>');
     const regionRows = (result.tvRegions || [])
       .map(r => `<tr>
         <td>${escapeHtml(r.region || '')}</td>
         <td>${escapeHtml(r.channel || '')}</td>
-        <td>${escapeHtml(r.source || '')}</td>
+        <td>${escapeHtml((r.sources || [r.source]).join(', '))}</td>
+        <td>${r.confidence !== undefined ? r.confidence.toFixed(2) : ''}</td>
+        <td class="muted">${renderReasons(r.reasons)}</td>
+      </tr>`)
+      .join('');
+    const suppressedRows = (result.suppressedTvRegions || [])
+      .map(r => `<tr>
+        <td>${escapeHtml(r.region || '')}</td>
+        <td><s>${escapeHtml(r.channel || '')}</s></td>
+        <td>${escapeHtml((r.sources || []).join(', '))}</td>
+        <td>${r.confidence.toFixed(2)}</td>
+        <td class="muted">${escapeHtml(r.suppressedReason || '')}<br>${renderReasons(r.reasons)}</td>
       </tr>`)
       .join('');
     
@@ -1363,7 +3323,7 @@ app.get('/admin/test-fixture-tv', async (req, res) => {
       <h4>TV Channels by Region</h4>
       <table>
         <thead>
-          <tr><th>Region</th><th>Channel</th><th>Source</th></tr>
+          <tr><th>Region</th><th>Channel</th><th>Sources</th><th>Confidence</th><th>Reasoning</th></tr>
         </thead>
         <tbody>
           ${regionRows}
@@ -1371,6 +3331,19 @@ app.get('/admin/test-fixture-tv', async (req, res) => {
       </table>
       ` : '<p><em>No TV channels found by region.</em></p>'}
       
+      ${suppressedRows ? `
+      <h4>Suppressed Channels</h4>
+      <p class="muted">Left off posters: contradicted by a broadcaster's own listing, or too weakly supported.</p>
+      <table>
+        <thead>
+          <tr><th>Region</th><th>Channel</th><th>Sources</th><th>Confidence</th><th>Reasoning</th></tr>
+        </thead>
+        <tbody>
+          ${suppressedRows}
+        </tbody>
+      </table>
+      ` : ''}
+      
       ${hasStations ? `
       <h4>All TV Stations (Flat List)</h4>
       <p>${result.tvStationsFlat.map(s => `<code>${escapeHtml(s)}</code>`).join(', ')}</p>
@@ -1381,7 +3354,7 @@ app.get('/admin/test-fixture-tv', async (req, res) => {
         ${Object.entries(result.sourcesUsed || {}).map(([source, used]) => `
           <tr>
             <th>${escapeHtml(source.toUpperCase())}</th>
-            <td>${used ? '✅ Data found' : '❌ No data'}</td>
+            <td>${used === 'timeout' ? '⏱️ Timed out' : used ? '✅ Data found' : '❌ No data'}</td>
           </tr>
         `).join('')}
       </table>
@@ -1420,7 +3393,7 @@ app.get('/admin/test-fixture-tv', async (req, res) => {
   
   <div class="card">
     <h3>About the Aggregator</h3>
-    <p>The aggregator calls multiple data sources in order and merges results:</p>
+    <p>The aggregator queries these sources concurrently (LSTV and Wikipedia wait for the league and kickoff from TSDB) and merges what arrives within the time budget:</p>
     <ol>
       <li><strong>TheSportsDB (TSDB)</strong> – Gets fixture info (kickoff, league, venue)</li>
       <li><strong>FootballData.org</strong> – Backup for kickoff/league</li>
@@ -1431,7 +3404,9 @@ app.get('/admin/test-fixture-tv', async (req, res) => {
       <li><strong>LiveFootballOnTV</strong> – UK TV listings</li>
       <li><strong>Wikipedia</strong> – League-wide broadcaster info</li>
     </ol>
-    <p>Results are deduplicated and merged into a single canonical format.</p>
+    <p>Results are merged into a single canonical format. Each channel gets a confidence from the trust
+    weights of the sources listing it (agreement raises it); channels contradicted by a broadcaster's own
+    listing or scored below ${escapeHtml(String(cfg.tvMinConfidence || 0.5))} are suppressed.</p>
     <p>
       <a href="/health/lstv" target="_blank">LSTV Health →</a> |
       <a href="/health/tsdb" target="_blank">TSDB Health →</a>
@@ -1648,6 +3623,7 @@ const tntScraper = require('./scrapers/tnt');
 const livefootballontv = require('./scrapers/livefootballontv');
 const fixturesScraper = require('./scrapers/fixtures_scraper');
 const footballdata = require('./scrapers/footballdata');
+const sourceRegistry = require('./lib/source_registry');
 
 // VPS Scraper configuration
 // Note: The VPS URL is configurable via LSTV_SCRAPER_URL environment variable.
@@ -1760,294 +3736,31 @@ function createVpsScraperModule(scraperId, path) {
   };
 }
 
-// Create VPS scraper modules
-const vpsScrapers = {
-  'vps-bbc': createVpsScraperModule('bbc', '/scrape/bbc'),
-  'vps-livefootballontv': createVpsScraperModule('livefootballontv', '/scrape/livefootballontv'),
-  'vps-liveonsat': createVpsScraperModule('liveonsat', '/scrape/liveonsat'),
-  'vps-lstv': createVpsScraperModule('lstv', '/scrape/lstv'),
-  'vps-oddalerts': createVpsScraperModule('oddalerts', '/scrape/oddalerts'),
-  'vps-prosoccertv': createVpsScraperModule('prosoccertv', '/scrape/prosoccertv'),
-  'vps-skysports': createVpsScraperModule('skysports', '/scrape/skysports'),
-  'vps-sporteventz': createVpsScraperModule('sporteventz', '/scrape/sporteventz'),
-  'vps-tnt': createVpsScraperModule('tnt', '/scrape/tnt'),
-  'vps-wheresthematch': createVpsScraperModule('wheresthematch', '/scrape/wheresthematch'),
-  'vps-worldsoccertalk': createVpsScraperModule('worldsoccertalk', '/scrape/worldsoccertalk')
-};
+// Create VPS scraper modules for the VPS sources in lib/source_registry.js
+const vpsScrapers = Object.fromEntries(sourceRegistry.listSources()
+  .filter(source => source.invocation.type === 'vps')
+  .map(source => [source.id, createVpsScraperModule(source.invocation.source, source.invocation.path)]));
 
-// Define all available scrapers with metadata
+// Dashboard definitions for every source in lib/source_registry.js
 function getScraperDefinitions() {
-  const localScrapers = [
-    {
-      id: 'lstv',
-      name: 'LiveSoccerTV (LSTV)',
-      description: 'Scrapes TV channel information from LiveSoccerTV.com for worldwide football matches. Provides detailed region-by-region TV broadcaster data.',
-      source: 'https://www.livesoccertv.com',
-      dataProvided: ['TV channels by region', 'Match kickoff times', 'League information'],
-      method: 'Remote VPS scraper with Puppeteer',
-      cacheTime: '4 hours',
-      icon: '📺',
-      color: '#e74c3c',
-      module: lstv,
-      hasHealthCheck: true,
-      isVps: false
-    },
-    {
-      id: 'tsdb',
-      name: 'TheSportsDB (TSDB)',
-      description: 'Uses the TheSportsDB API to fetch fixture information including kickoff times, venues, and sometimes TV stations. A reliable primary source for match data.',
-      source: 'https://www.thesportsdb.com',
-      dataProvided: ['Fixture details', 'League/competition', 'Venue', 'TV stations'],
-      method: 'REST API (no scraping)',
-      cacheTime: 'Per request',
-      icon: '⚽',
-      color: '#3498db',
-      module: tsdb,
-      hasHealthCheck: true,
-      isVps: false
-    },
-    {
-      id: 'wiki',
-      name: 'Wikipedia Broadcasters',
-      description: 'Parses Wikipedia articles for football leagues to extract broadcasting rights information. Provides league-wide broadcaster data by region/country.',
-      source: 'https://en.wikipedia.org',
-      dataProvided: ['League broadcasters by region', 'Broadcasting rights'],
-      method: 'HTTP + Cheerio HTML parsing',
-      cacheTime: '1 hour',
-      icon: '📖',
-      color: '#9b59b6',
-      module: wiki,
-      hasHealthCheck: false,
-      isVps: false
-    },
-    {
-      id: 'bbc',
-      name: 'BBC Sport Fixtures',
-      description: 'Scrapes the BBC Sport website for fixture information and competition details. Useful for UK-based matches and FA Cup fixtures.',
-      source: 'https://www.bbc.co.uk/sport/football',
-      dataProvided: ['Fixture list', 'Competition names', 'Kickoff times'],
-      method: 'HTTP + Cheerio HTML parsing',
-      cacheTime: 'Per request',
-      icon: '🇬🇧',
-      color: '#2ecc71',
-      module: bbcFixtures,
-      hasHealthCheck: true,
-      isVps: false
-    },
-    {
-      id: 'sky',
-      name: 'Sky Sports',
-      description: 'Scrapes Sky Sports website for fixture listings with Sky Sports channel information. Primary source for Sky Sports branded channels.',
-      source: 'https://www.skysports.com',
-      dataProvided: ['Sky Sports fixtures', 'Sky channel assignments'],
-      method: 'HTTP + Cheerio HTML parsing',
-      cacheTime: 'Per request',
-      icon: '📡',
-      color: '#e67e22',
-      module: skysports,
-      hasHealthCheck: true,
-      isVps: false
-    },
-    {
-      id: 'tnt',
-      name: 'TNT Sports',
-      description: 'Scrapes TNT Sports (formerly BT Sport) website for their schedule. Provides TNT Sports channel information for Champions League and other competitions.',
-      source: 'https://www.tntsports.co.uk',
-      dataProvided: ['TNT Sports fixtures', 'TNT channel assignments'],
-      method: 'HTTP + Cheerio HTML parsing',
-      cacheTime: 'Per request',
-      icon: '🏆',
-      color: '#1abc9c',
-      module: tntScraper,
-      hasHealthCheck: true,
-      isVps: false
-    },
-    {
-      id: 'lfotv',
-      name: 'LiveFootballOnTV',
-      description: 'Scrapes the LiveFootballOnTV website for UK TV listings. Aggregates information from multiple UK broadcasters in one place.',
-      source: 'https://www.live-footballontv.com',
-      dataProvided: ['UK TV channels', 'Match schedule'],
-      method: 'HTTP + Cheerio HTML parsing',
-      cacheTime: 'Per request',
-      icon: '📺',
-      color: '#f39c12',
-      module: livefootballontv,
-      hasHealthCheck: true,
-      isVps: false
-    }
-  ];
-
-  // VPS Scrapers - running on remote VPS at configured URL
-  const vpsScraperDefs = [
-    {
-      id: 'vps-bbc',
-      name: 'BBC Sport (VPS)',
-      description: 'VPS-hosted BBC Sport scraper using Puppeteer for dynamic content. Provides fixture information and competition details.',
-      source: 'https://www.bbc.co.uk/sport/football',
-      dataProvided: ['Fixture list', 'Competition names', 'Kickoff times'],
-      method: 'VPS Puppeteer scraper',
-      cacheTime: 'Per request',
-      icon: '🖥️',
-      color: '#2ecc71',
-      module: vpsScrapers['vps-bbc'],
-      hasHealthCheck: true,
-      isVps: true,
-      vpsEndpoint: '/scrape/bbc'
-    },
-    {
-      id: 'vps-livefootballontv',
-      name: 'LiveFootballOnTV (VPS)',
-      description: 'VPS-hosted LiveFootballOnTV scraper. Aggregates UK TV listings from multiple broadcasters.',
-      source: 'https://www.live-footballontv.com',
-      dataProvided: ['UK TV channels', 'Match schedule'],
-      method: 'VPS Puppeteer scraper',
-      cacheTime: 'Per request',
-      icon: '🖥️',
-      color: '#f39c12',
-      module: vpsScrapers['vps-livefootballontv'],
-      hasHealthCheck: true,
-      isVps: true,
-      vpsEndpoint: '/scrape/livefootballontv'
-    },
-    {
-      id: 'vps-liveonsat',
-      name: 'LiveOnSat (VPS)',
-      description: 'VPS-hosted LiveOnSat UK Football scraper. Provides daily TV listings for UK/England football matches.',
-      source: 'https://liveonsat.com',
-      dataProvided: ['UK TV channels', 'Match schedule', 'Competition info'],
-      method: 'VPS Puppeteer scraper',
-      cacheTime: 'Per request',
-      icon: '🖥️',
-      color: '#16a085',
-      module: vpsScrapers['vps-liveonsat'],
-      hasHealthCheck: true,
-      isVps: true,
-      vpsEndpoint: '/scrape/liveonsat'
-    },
-    {
-      id: 'vps-lstv',
-      name: 'LiveSoccerTV (VPS)',
-      description: 'VPS-hosted LiveSoccerTV scraper with Puppeteer. Provides worldwide TV channel data by region.',
-      source: 'https://www.livesoccertv.com',
-      dataProvided: ['TV channels by region', 'Match kickoff times', 'League information'],
-      method: 'VPS Puppeteer scraper',
-      cacheTime: '4 hours',
-      icon: '🖥️',
-      color: '#e74c3c',
-      module: vpsScrapers['vps-lstv'],
-      hasHealthCheck: true,
-      isVps: true,
-      vpsEndpoint: '/scrape/lstv'
-    },
-    {
-      id: 'vps-oddalerts',
-      name: 'OddAlerts (VPS)',
-      description: 'VPS-hosted OddAlerts TV Guide scraper. Provides betting odds and TV channel information.',
-      source: 'https://oddalerts.com',
-      dataProvided: ['TV channels', 'Betting odds', 'Match schedule'],
-      method: 'VPS Puppeteer scraper',
-      cacheTime: 'Per request',
-      icon: '🖥️',
-      color: '#9b59b6',
-      module: vpsScrapers['vps-oddalerts'],
-      hasHealthCheck: true,
-      isVps: true,
-      vpsEndpoint: '/scrape/oddalerts'
-    },
-    {
-      id: 'vps-prosoccertv',
-      name: 'ProSoccerTV (VPS)',
-      description: 'VPS-hosted ProSoccer.TV scraper. Provides international TV channel listings.',
-      source: 'https://prosoccer.tv',
-      dataProvided: ['International TV channels', 'League schedules'],
-      method: 'VPS Puppeteer scraper',
-      cacheTime: 'Per request',
-      icon: '🖥️',
-      color: '#3498db',
-      module: vpsScrapers['vps-prosoccertv'],
-      hasHealthCheck: true,
-      isVps: true,
-      vpsEndpoint: '/scrape/prosoccertv'
-    },
-    {
-      id: 'vps-skysports',
-      name: 'Sky Sports (VPS)',
-      description: 'VPS-hosted Sky Sports scraper using Puppeteer. Provides Sky Sports channel assignments.',
-      source: 'https://www.skysports.com',
-      dataProvided: ['Sky Sports fixtures', 'Sky channel assignments'],
-      method: 'VPS Puppeteer scraper',
-      cacheTime: 'Per request',
-      icon: '🖥️',
-      color: '#e67e22',
-      module: vpsScrapers['vps-skysports'],
-      hasHealthCheck: true,
-      isVps: true,
-      vpsEndpoint: '/scrape/skysports'
-    },
-    {
-      id: 'vps-sporteventz',
-      name: 'SportEventz (VPS)',
-      description: 'VPS-hosted SportEventz scraper. Provides sports event schedules and TV information.',
-      source: 'https://sporteventz.com',
-      dataProvided: ['Event schedules', 'TV channels'],
-      method: 'VPS Puppeteer scraper',
-      cacheTime: 'Per request',
-      icon: '🖥️',
-      color: '#1abc9c',
-      module: vpsScrapers['vps-sporteventz'],
-      hasHealthCheck: true,
-      isVps: true,
-      vpsEndpoint: '/scrape/sporteventz'
-    },
-    {
-      id: 'vps-tnt',
-      name: 'TNT Sports (VPS)',
-      description: 'VPS-hosted TNT Sports scraper. Provides TNT Sports channel information for Champions League and other competitions.',
-      source: 'https://www.tntsports.co.uk',
-      dataProvided: ['TNT Sports fixtures', 'TNT channel assignments'],
-      method: 'VPS Puppeteer scraper',
-      cacheTime: 'Per request',
-      icon: '🖥️',
-      color: '#1abc9c',
-      module: vpsScrapers['vps-tnt'],
-      hasHealthCheck: true,
-      isVps: true,
-      vpsEndpoint: '/scrape/tnt'
-    },
-    {
-      id: 'vps-wheresthematch',
-      name: "Where's The Match (VPS)",
-      description: "VPS-hosted Where's The Match UK scraper. Provides comprehensive UK TV listings.",
-      source: 'https://www.wheresthematch.com',
-      dataProvided: ['UK TV channels', 'Match schedule', 'Streaming options'],
-      method: 'VPS Puppeteer scraper',
-      cacheTime: 'Per request',
-      icon: '🖥️',
-      color: '#e74c3c',
-      module: vpsScrapers['vps-wheresthematch'],
-      hasHealthCheck: true,
-      isVps: true,
-      vpsEndpoint: '/scrape/wheresthematch'
-    },
-    {
-      id: 'vps-worldsoccertalk',
-      name: 'World Soccer Talk (VPS)',
-      description: 'VPS-hosted World Soccer Talk scraper. Provides US and international TV schedules.',
-      source: 'https://worldsoccertalk.com',
-      dataProvided: ['US TV channels', 'International schedules', 'Streaming platforms'],
-      method: 'VPS Puppeteer scraper',
-      cacheTime: 'Per request',
-      icon: '🖥️',
-      color: '#3498db',
-      module: vpsScrapers['vps-worldsoccertalk'],
-      hasHealthCheck: true,
-      isVps: true,
-      vpsEndpoint: '/scrape/worldsoccertalk'
-    }
-  ];
-
-  return [...localScrapers, ...vpsScraperDefs];
+  return sourceRegistry.listSources().map(source => {
+    const isVps = source.invocation.type === 'vps';
+    return {
+      id: source.id,
+      name: source.name,
+      description: source.details,
+      source: source.url,
+      ...source.display,
+      cacheTime: source.aggregator ? cache.describePolicy(source.id) : 'Not cached',
+      regions: source.regions,
+      capabilities: source.capabilities,
+      module: isVps ? vpsScrapers[source.id] : sourceRegistry.loadSourceModule(source),
+      test: source.test,
+      hasHealthCheck: source.hasHealthCheck,
+      isVps,
+      vpsEndpoint: isVps ? source.invocation.path : undefined
+    };
+  });
 }
 
 app.get('/admin/scrapers', async (req, res) => {
@@ -2089,6 +3802,24 @@ app.get('/admin/scrapers', async (req, res) => {
   }
   
   // Build scraper card HTML
+  // Whether getTvDataForFixture() queries the source (config "sources")
+  function aggregatorRow(scraper) {
+    const source = sourceRegistry.getSource(scraper.id);
+    if (!source.aggregator) {
+      return '';
+    }
+    const { enabled } = sourceRegistry.getSourceSettings(source, cfg.sources);
+    return `
+        <div class="meta-row">
+          <span class="meta-label">Aggregator:</span>
+          <form method="post" action="/admin/scraper/${escapeHtml(scraper.id)}/aggregator" style="display:inline;">
+            <input type="hidden" name="enabled" value="${enabled ? 'false' : 'true'}">
+            <span>${enabled ? '✅ Used for TV lookups' : '⏸️ Not used'}</span>
+            <button type="submit" style="padding:2px 8px; font-size:11px;">${enabled ? 'Disable' : 'Enable'}</button>
+          </form>
+        </div>`;
+  }
+
   function buildScraperCard(scraper) {
     const health = healthResults[scraper.id];
     let healthHtml = '';
@@ -2134,6 +3865,11 @@ app.get('/admin/scrapers', async (req, res) => {
           <span class="meta-label">Cache:</span>
           <span>${escapeHtml(scraper.cacheTime)}</span>
         </div>
+        <div class="meta-row">
+          <span class="meta-label">Regions:</span>
+          <span>${escapeHtml(scraper.regions.includes('*') ? 'Worldwide' : scraper.regions.join(', '))}</span>
+        </div>
+        ${aggregatorRow(scraper)}
         ${scraper.vpsEndpoint ? `
         <div class="meta-row">
           <span class="meta-label">API Path:</span>
@@ -2284,7 +4020,7 @@ app.get('/admin/scrapers', async (req, res) => {
     <ol>
       <li>Create the scraper module in <code>scrapers/</code> directory (local) or <code>/opt/vps-scrapers/scrapers/</code> (VPS)</li>
       <li>Export a <code>healthCheck()</code> function that returns <code>{ok: boolean, latencyMs: number, error?: string}</code></li>
-      <li>Add the scraper definition to <code>getScraperDefinitions()</code> in <code>app.js</code></li>
+      <li>Add the source to <code>lib/source_registry.js</code> (capabilities, regions, local module or VPS path)</li>
       <li>The scraper will automatically appear on this dashboard</li>
     </ol>
     <p class="muted">VPS scrapers use the same base URL configured via LSTV_SCRAPER_URL environment variable.</p>
@@ -2294,6 +4030,17 @@ app.get('/admin/scrapers', async (req, res) => {
   res.send(renderLayout('Scraper Dashboard - Telegram Sports TV Bot', body));
 });
 
+app.post('/admin/scraper/:id/aggregator', (req, res) => {
+  const source = sourceRegistry.getSource(req.params.id);
+  if (source && source.aggregator) {
+    const cfg = loadConfig();
+    cfg.sources = cfg.sources || {};
+    cfg.sources[source.id] = { ...cfg.sources[source.id], enabled: req.body.enabled === 'true' };
+    saveConfig(cfg);
+  }
+  res.redirect('/admin/scrapers');
+});
+
 // --------- Individual Scraper Detail Pages ---------
 
 app.get('/admin/scraper/:id', async (req, res) => {
@@ -2445,6 +4192,9 @@ app.get('/admin/scraper/:id', async (req, res) => {
               const vpsUrl = VPS_SCRAPER_URL();
               testError = `VPS scraper module not found for ${scraperId}. VPS URL: ${vpsUrl || 'not configured'}. Check if the VPS scraper service is running at this URL.`;
             }
+          } else if (scraper.module && scraper.test && typeof scraper.module[scraper.test.method] === 'function') {
+            // Other local sources run their registry test (today's listings)
+            testResult = await scraper.module[scraper.test.method](scraper.test.params || {});
           } else {
             testError = `Unknown scraper: ${scraperId}`;
           }
@@ -2660,7 +4410,7 @@ app.get('/admin/scraper/:id', async (req, res) => {
         <li>It fetches the HTML page using HTTP</li>
         <li>Broadcasting tables are parsed using Cheerio</li>
         <li>Region/broadcaster pairs are extracted and deduplicated</li>
-        <li>Results are cached for 1 hour</li>
+        <li>Results are cached for ${escapeHtml(cache.describePolicy('wiki'))}</li>
       ` : ''}
       ${scraperId === 'bbc' ? `
         <li>The bot constructs a BBC Sport team fixtures URL</li>
@@ -3750,4 +5500,16 @@ app.use((err, req, res, next) => {
 
 app.listen(PORT, () => {
   console.log(`Admin GUI listening on port ${PORT}`);
+
+  try {
+    const cfg = loadConfig();
+    if (cfg.botCommandsEnabled) {
+      botCommands.startPolling();
+    }
+    if (cfg.schedulerEnabled) {
+      scheduler.startScheduler();
+    }
+  } catch (err) {
+    console.error('Failed to start background workers:', err.message);
+  }
 });
@@ -7,10 +7,13 @@
  *
  * Reads config.json and posts “what’s on” football fixtures into Telegram channels.
  * Two modes per channel:
- *  1) TheFishy multi-ICS mode (useTheFishyMulti: true):
- *     - Each team has an ICS at https://thefishy.co.uk/calendar/<Team+Name>.
- *     - Only fetch up to multiMaxTeams per run, with multiIcsDelayMs between requests.
- *     - Merge fixtures across teams, dedupe, sort, and post one combined message.
+ *  1) Multi-ICS mode (per-team ICS providers, see lib/ics_providers.js):
+ *     - Each team has its own ICS feed, e.g. https://thefishy.co.uk/calendar/<Team+Name>
+ *       (useTheFishyMulti: true or icsProvider "thefishy"), a club calendar or a URL template.
+ *     - Only fetch up to multiMaxTeams per run, with multiIcsDelayMs between requests,
+ *       least recently fetched teams first so every team is covered in rotation.
+ *     - Fetched fixtures are kept per team in lib/fixture_store.js; each run merges
+ *       every team's latest fetch, dedupes, sorts, and posts one combined message.
  *     - Be polite: stop fetching if we hit HTTP 429 (rate limit).
  *  2) Single-ICS mode:
  *     - Use cfg.icsUrl or channel.icsUrl.
@@ -18,6 +21,23 @@
  *
  * Uses getFixturesFromIcs(...) from ics_source.js.
  * Sends messages via Telegram Bot API (sendMessage).
+ * Records each posted fixture in the posted ledger (lib/posted_ledger.js) so
+ * repeated runs skip matches that were already sent to a channel. Poster-style
+ * channels re-check posted fixtures and edit the original message
+ * (editMessageText / editMessageCaption / editMessageMedia) when the TV
+ * listings or kickoff change, unless editPostedMessages is false.
+ * runOnce() holds a file lock (lib/run_lock.js) so scheduled, cron and
+ * manual runs never overlap.
+ * Poster channels with postMode "kickoff" queue each fixture instead
+ * (lib/post_queue.js) and processPostQueue() sends it leadTimeHours before
+ * kickoff, with TV data fetched at send time.
+ * Poster channels can also (or instead) send matchday cards: one image per
+ * day listing every fixture with its main UK channel (lib/matchday_cards.js).
+ * runOnce({ dryRun: true }) returns what would be posted without sending.
+ * Channels (and ICS events via CATEGORIES) can set a sport (lib/sports.js);
+ * summaries, poster layouts and TV lookups follow it. Default is football.
+ * Posters, cards and digests are written in the channel's locale
+ * (lib/i18n.js), with its audience timezones (lib/audience.js).
  * Logs to autopost.log using logLine().
  *
  * Constraints:
@@ -36,6 +56,20 @@ const liveSoccerTv = require('./livesoccertv');
 const lstv = require('./scrapers/lstv');
 const tsdb = require('./scrapers/thesportsdb');
 const wiki = require('./scrapers/wiki_broadcasters');
+const postedLedger = require('./lib/posted_ledger');
+const runLock = require('./lib/run_lock');
+const postQueue = require('./lib/post_queue');
+const sports = require('./lib/sports');
+const fixtureStore = require('./lib/fixture_store');
+const icsProviders = require('./lib/ics_providers');
+const fixtureChanges = require('./lib/fixture_changes');
+const channelDictionary = require('./lib/channel_dictionary');
+const regions = require('./lib/regions');
+const posterTemplates = require('./lib/poster_templates');
+const assetCache = require('./lib/asset_cache');
+const matchdayCards = require('./lib/matchday_cards');
+const audience = require('./lib/audience');
+const i18n = require('./lib/i18n');
 
 // Import the universal aggregator
 let tvAggregator = null;
@@ -57,26 +91,24 @@ const CONFIG_PATH = path.join(__dirname, 'config.json');
 const LOG_PATH = path.join(__dirname, 'autopost.log');
 const UPLOADS_DIR = path.join(__dirname, 'uploads');
 const TMP_DIR = path.join(__dirname, 'tmp');
+// Extra poster fonts, e.g. Noto Naskh Arabic for right-to-left channels (lib/i18n.js)
+const FONTS_DIR = process.env.POSTER_FONTS_DIR || path.join(UPLOADS_DIR, 'fonts');
+
+if (canvas && fs.existsSync(FONTS_DIR)) {
+  try {
+    canvas.GlobalFonts.loadFontsFromDir(FONTS_DIR);
+  } catch (err) {
+    console.error(`Could not load poster fonts from ${FONTS_DIR}: ${err.message || String(err)}`);
+  }
+}
 
 // ---------- Image poster constants ----------
-const MAX_DISPLAYED_TV_REGIONS = 10;
-const POSTER_OVERLAY_OPACITY = 0.88; // Semi-transparent overlay to show background while ensuring readability
+// Layout, fonts and colours come from poster templates (lib/poster_templates.js)
 const MIN_FONT_SIZE = 10; // Absolute minimum font size in pixels (ensures text remains readable)
-const TEXT_PADDING_PERCENT = 0.1; // 10% padding on each side (total 20% of canvas width reserved for margins)
-
-// ---------- Team parsing patterns ----------
-// Regex patterns for parsing "Home v Away" from fixture summaries
-// Each pattern captures home team (group 1) and away team (group 2)
-// Patterns are ordered by specificity (most specific first)
-const TEAM_SEPARATOR_PATTERNS = [
-  { name: 'vs_dot', pattern: /^(.+?)\s*vs\.\s*(.+)$/i },       // "vs." with optional spaces around dot
-  { name: 'vs_spaced', pattern: /^(.+?)\s+vs\s+(.+)$/i },      // "vs" with required spaces
-  { name: 'v_spaced', pattern: /^(.+?)\s+v\s+(.+)$/i },        // "v" with required spaces
-  { name: 'hyphen_left', pattern: /^(.+?)\s+-\s*(.+)$/ },      // hyphen with space on left
-  { name: 'hyphen_right', pattern: /^(.+?)\s*-\s+(.+)$/ },     // hyphen with space on right
-  { name: 'at_left', pattern: /^(.+?)\s+@\s*(.+)$/ },          // @ with space on left
-  { name: 'at_right', pattern: /^(.+?)\s*@\s+(.+)$/ }          // @ with space on right
-];
+const PLAIN_POSTER_SIZE = 1080; // Canvas size for template previews without a background image
+const PLAIN_POSTER_BACKGROUND = '#1e2a30';
+const CARD_WIDTH = 1080; // Matchday cards (lib/matchday_cards.js) are portrait 4:5
+const CARD_HEIGHT = 1350;
 
 // ---------- logging helpers ----------
 
@@ -120,6 +152,13 @@ function loadConfig() {
 
 // ---------- Telegram helper ----------
 
+/**
+ * Send a plain text message to Telegram.
+ * @param {string} botToken - Telegram bot token
+ * @param {string} channelId - Telegram channel ID
+ * @param {string} text - Message text
+ * @returns {Promise<Object>} The sent Telegram Message object (has message_id)
+ */
 async function sendTelegramMessage(botToken, channelId, text) {
   const url = `https://api.telegram.org/bot${encodeURIComponent(
     botToken
@@ -139,6 +178,8 @@ async function sendTelegramMessage(botToken, channelId, text) {
     const desc = resp.data && resp.data.description;
     throw new Error(`Telegram sendMessage failed: ${desc || 'unknown error'}`);
   }
+
+  return resp.data.result;
 }
 
 /**
@@ -147,6 +188,7 @@ async function sendTelegramMessage(botToken, channelId, text) {
  * @param {string} channelId - Telegram channel ID
  * @param {string} photoPath - Path to the image file
  * @param {string} caption - Optional caption text
+ * @returns {Promise<Object>} The sent Telegram Message object (has message_id)
  */
 async function sendTelegramPhoto(botToken, channelId, photoPath, caption = '') {
   const url = `https://api.telegram.org/bot${encodeURIComponent(
@@ -169,6 +211,119 @@ async function sendTelegramPhoto(botToken, channelId, photoPath, caption = '') {
     const desc = resp.data && resp.data.description;
     throw new Error(`Telegram sendPhoto failed: ${desc || 'unknown error'}`);
   }
+
+  return resp.data.result;
+}
+
+/**
+ * Check whether a Telegram error is the harmless "message is not modified"
+ * response (the edit would not change anything).
+ * @param {Error} err - Error thrown by axios
+ * @returns {boolean}
+ */
+function isNotModifiedError(err) {
+  const desc = err && err.response && err.response.data && err.response.data.description;
+  return Boolean(desc && /message is not modified/i.test(desc));
+}
+
+/**
+ * Run a Telegram edit call and normalize its errors.
+ * @param {string} method - Bot API method name (e.g., 'editMessageText')
+ * @param {Function} request - Function returning the axios request promise
+ * @returns {Promise<Object|null>} Edited Message object, or null if unchanged
+ */
+async function runTelegramEdit(method, request) {
+  let resp;
+  try {
+    resp = await request();
+  } catch (err) {
+    if (isNotModifiedError(err)) {
+      return null;
+    }
+    const desc = err && err.response && err.response.data && err.response.data.description;
+    throw new Error(`Telegram ${method} failed: ${desc || err.message || 'unknown error'}`);
+  }
+
+  if (!resp.data || !resp.data.ok) {
+    const desc = resp.data && resp.data.description;
+    throw new Error(`Telegram ${method} failed: ${desc || 'unknown error'}`);
+  }
+
+  return resp.data.result;
+}
+
+/**
+ * Replace the text of a previously sent message.
+ * @param {string} botToken - Telegram bot token
+ * @param {string} channelId - Telegram channel ID
+ * @param {number} messageId - message_id of the original message
+ * @param {string} text - New message text
+ * @returns {Promise<Object|null>} Edited Message object, or null if unchanged
+ */
+async function editTelegramMessageText(botToken, channelId, messageId, text) {
+  const url = `https://api.telegram.org/bot${encodeURIComponent(
+    botToken
+  )}/editMessageText`;
+
+  return runTelegramEdit('editMessageText', () => axios.post(url, {
+    chat_id: channelId,
+    message_id: messageId,
+    text
+  }, {
+    timeout: 15000
+  }));
+}
+
+/**
+ * Replace the caption of a previously sent photo.
+ * @param {string} botToken - Telegram bot token
+ * @param {string} channelId - Telegram channel ID
+ * @param {number} messageId - message_id of the original photo message
+ * @param {string} caption - New caption text
+ * @returns {Promise<Object|null>} Edited Message object, or null if unchanged
+ */
+async function editTelegramMessageCaption(botToken, channelId, messageId, caption) {
+  const url = `https://api.telegram.org/bot${encodeURIComponent(
+    botToken
+  )}/editMessageCaption`;
+
+  return runTelegramEdit('editMessageCaption', () => axios.post(url, {
+    chat_id: channelId,
+    message_id: messageId,
+    caption
+  }, {
+    timeout: 15000
+  }));
+}
+
+/**
+ * Replace the photo (and caption) of a previously sent photo message.
+ * @param {string} botToken - Telegram bot token
+ * @param {string} channelId - Telegram channel ID
+ * @param {number} messageId - message_id of the original photo message
+ * @param {string} photoPath - Path to the new image file
+ * @param {string} caption - Optional caption text
+ * @returns {Promise<Object|null>} Edited Message object, or null if unchanged
+ */
+async function editTelegramMessageMedia(botToken, channelId, messageId, photoPath, caption = '') {
+  const url = `https://api.telegram.org/bot${encodeURIComponent(
+    botToken
+  )}/editMessageMedia`;
+
+  const form = new FormData();
+  form.append('chat_id', channelId);
+  form.append('message_id', String(messageId));
+  form.append('media', JSON.stringify({
+    type: 'photo',
+    media: 'attach://poster',
+    ...(caption ? { caption } : {})
+  }));
+  form.append('poster', fs.createReadStream(photoPath));
+
+  return runTelegramEdit('editMessageMedia', () => axios.post(url, form, {
+    timeout: 30000,
+    headers: form.getHeaders()
+  }));
 }
 
 // ---------- Background Image helpers ----------
@@ -280,11 +435,358 @@ function drawAutoScaledText(ctx, text, x, y, maxWidth, options = {}) {
   ctx.font = `${fontStyle} ${fittingSize}px ${fontFamily}`.trim();
   ctx.fillStyle = fillStyle;
   ctx.textAlign = textAlign;
-  ctx.fillText(text, x, y);
+  // The canvas doesn't apply its direction to bidi ordering
+  ctx.fillText(ctx.direction === 'rtl' ? i18n.isolateRtl(text) : text, x, y);
   
   return fittingSize;
 }
 
+/**
+ * Text a template element shows for a fixture ('' = nothing to draw), in
+ * the fixture's locale: built-in labels are translated, custom text isn't.
+ * @param {Object} el - Template element
+ * @param {Object} fixture - Fixture with poster fields
+ * @param {string} footerText - Footer text
+ * @returns {string}
+ */
+function getPosterElementText(el, fixture, footerText) {
+  const locale = i18n.getLocale(fixture.locale);
+  let text = '';
+  switch (el.type) {
+    case 'text':
+      text = i18n.translateText(locale, el.text || '');
+      break;
+    case 'times': {
+      // "3:00pm UK    10:00am ET"
+      text = getPosterTimes(fixture).join('    ');
+      break;
+    }
+    case 'match': {
+      // Prefer matchTitle, fall back to constructing from home/away teams
+      const homeTeam = (fixture.homeTeam || '').toUpperCase();
+      const awayTeam = (fixture.awayTeam || '').toUpperCase();
+      text = fixture.matchTitle || (homeTeam && awayTeam ? `${homeTeam} ${i18n.t(locale, 'versus')} ${awayTeam}` : homeTeam);
+      break;
+    }
+    case 'competition':
+      text = fixture.competitionLabel || fixture.competition || '';
+      break;
+    case 'subtitle':
+    case 'venue':
+      text = fixture[el.type] || '';
+      break;
+    case 'footer':
+      text = i18n.translateText(locale, footerText || '');
+      break;
+    default:
+      text = '';
+  }
+  return el.uppercase ? i18n.upperCase(text, locale) : text;
+}
+
+// ---------- Poster crests and logos ----------
+
+// Regions whose channels get logos when a template doesn't say
+const DEFAULT_LOGO_REGIONS = ['UK'];
+
+// Logo box: height and width as multiples of the channel font size
+const LOGO_HEIGHT_SCALE = 1.2;
+const LOGO_WIDTH_SCALE = 1.8;
+
+const NO_POSTER_ASSETS = { crests: { home: null, away: null }, logos: new Map() };
+
+/**
+ * Channel names in a tvByRegion entry ("Sky Sports Main Event, TNT Sports 1").
+ * @param {string} channel - Entry channel text
+ * @returns {string[]}
+ */
+function splitChannelNames(channel) {
+  return String(channel || '').split(/\s*,\s*/).filter(Boolean);
+}
+
+/**
+ * Whether a tvByRegion entry is in one of a regions element's logo regions.
+ */
+function isLogoRegion(entry, el) {
+  const wanted = (el.logoRegions || DEFAULT_LOGO_REGIONS).map((r) => regions.resolveRegion(r).id || r);
+  return wanted.includes(entry.regionId || regions.resolveRegion(entry.region).id || entry.region);
+}
+
+/**
+ * The loaded logo for an entry's (first logo-bearing) channel, or null.
+ */
+function getPosterLogo(entry, el, assets) {
+  if (!isLogoRegion(entry, el)) return null;
+  return splitChannelNames(entry.channel).map((name) => assets.logos.get(name)).find(Boolean) || null;
+}
+
+/**
+ * Load one cached asset as a canvas image (null if missing or unreadable).
+ */
+async function loadAssetImage(kind, name, options = {}) {
+  const file = await assetCache.fetchAsset(kind, name, options);
+  if (!file) return null;
+  try {
+    return await canvas.loadImage(file);
+  } catch (err) {
+    logLine(`  [Image] Could not load ${kind} for ${name}: ${err.message || String(err)}`);
+    return null;
+  }
+}
+
+/**
+ * Load the crests and broadcaster logos a template draws for a fixture,
+ * downloading any that are only known by URL (lib/asset_cache.js). With a
+ * TheSportsDB key, teams with no known crest are looked up there.
+ *
+ * @param {Object} fixture - Fixture with poster fields
+ * @param {Object} template - Poster template
+ * @param {Object} [options]
+ * @param {string} [options.theSportsDbApiKey] - Enables crest lookups
+ * @returns {Promise<{crests: {home: Image|null, away: Image|null}, logos: Map<string, Image|null>}>}
+ */
+async function loadPosterAssets(fixture, template, { theSportsDbApiKey = '' } = {}) {
+  const assets = { crests: { home: null, away: null }, logos: new Map() };
+
+  const badgeLookup = (team) => (theSportsDbApiKey
+    ? async () => {
+      const teams = await theSportsDb.searchTeams(theSportsDbApiKey, team);
+      const found = teams.find((t) => t.strBadge);
+      return found ? found.strBadge : null;
+    }
+    : null);
+
+  if (template.elements.some((el) => el.type === 'match' && el.crests) && fixture.homeTeam && fixture.awayTeam) {
+    assets.crests.home = await loadAssetImage('crest', fixture.homeTeam, { lookup: badgeLookup(fixture.homeTeam) });
+    assets.crests.away = await loadAssetImage('crest', fixture.awayTeam, { lookup: badgeLookup(fixture.awayTeam) });
+  }
+
+  for (const el of template.elements.filter((e) => e.type === 'regions' && e.logos)) {
+    for (const entry of (fixture.tvByRegion || []).slice(0, el.maxRows || 10)) {
+      if (!isLogoRegion(entry, el)) continue;
+      for (const name of splitChannelNames(entry.channel)) {
+        if (!assets.logos.has(name)) {
+          assets.logos.set(name, await loadAssetImage('logo', name));
+        }
+      }
+    }
+  }
+
+  return assets;
+}
+
+/**
+ * Draw an image scaled to fit a box, keeping its aspect ratio.
+ * @param {number} x - Left edge of the box
+ * @param {number} centerY - Vertical centre of the box
+ */
+function drawImageFitted(ctx, image, x, centerY, boxWidth, boxHeight) {
+  const scale = Math.min(boxWidth / image.width, boxHeight / image.height);
+  const w = image.width * scale;
+  const h = image.height * scale;
+  ctx.drawImage(image, x + (boxWidth - w) / 2, centerY - h / 2, w, h);
+}
+
+/**
+ * drawAutoScaledText() with a logo in front of the text: on its left, or on
+ * its right when the canvas direction is 'rtl'. Without a logo it is plain
+ * drawAutoScaledText().
+ * @returns {number} The font size used
+ */
+function drawTextWithLogo(ctx, text, logo, x, y, maxWidth, options) {
+  if (!logo) return drawAutoScaledText(ctx, text, x, y, maxWidth, options);
+
+  const { fontStyle = '', fontSize, fontFamily, textAlign = 'center' } = options;
+  const logoWidth = fontSize * LOGO_WIDTH_SCALE;
+  const gap = fontSize * 0.4;
+  const textMaxWidth = maxWidth - logoWidth - gap;
+  const size = calculateFittingFontSize(ctx, text, textMaxWidth, fontStyle, fontSize, fontFamily);
+  ctx.font = `${fontStyle} ${size}px ${fontFamily}`.trim();
+  const textWidth = ctx.measureText(text).width;
+
+  const totalWidth = logoWidth + gap + textWidth;
+  const startX = textAlign === 'left' ? x : textAlign === 'right' ? x - totalWidth : x - totalWidth / 2;
+  const rtl = ctx.direction === 'rtl';
+  drawImageFitted(ctx, logo, rtl ? startX + textWidth + gap : startX, y - size * 0.35, logoWidth, size * LOGO_HEIGHT_SCALE);
+  return drawAutoScaledText(ctx, text, rtl ? startX : startX + logoWidth + gap, y, textMaxWidth, { ...options, textAlign: 'left' });
+}
+
+// Swap 'left' and 'right' for right-to-left posters
+function mirrorAlign(align, rtl) {
+  if (!rtl) return align;
+  return align === 'left' ? 'right' : align === 'right' ? 'left' : align;
+}
+
+/**
+ * Draw a template's TV-by-region element starting at y.
+ * @returns {number} y after the last row
+ */
+function drawPosterRegions(ctx, tvByRegion, el, layout) {
+  const { width, padding, maxTextWidth, baseSize, lineHeight, fontFamily, color, assets, locale } = layout;
+  let { y } = layout;
+  const rtl = ctx.direction === 'rtl';
+  const fontSize = Math.round(baseSize * (el.size || 0.7));
+  const rowHeight = lineHeight * (el.rowHeight || 0.85);
+  const regionColor = color(el.regionColor, 'accent');
+  const channelColor = color(el.channelColor, 'text');
+  const mutedColor = color('muted');
+  const fontStyle = el.style || '';
+  const regionLabel = ({ region, label, flag }) => (flag ? `${flag} ${label || region || ''}` : label || region || '');
+  const logoFor = (entry) => (el.logos ? getPosterLogo(entry, el, assets) : null);
+
+  if (tvByRegion.length === 0) {
+    if (el.emptyText) {
+      drawAutoScaledText(ctx, i18n.translateText(locale, el.emptyText), width / 2, y, maxTextWidth, {
+        fontSize, fontFamily, fillStyle: mutedColor, textAlign: 'center'
+      });
+      y += rowHeight;
+    }
+    return y;
+  }
+
+  const maxRows = el.maxRows || 10;
+  const shown = tvByRegion.slice(0, maxRows);
+  const layoutName = el.layout || 'table';
+
+  // Table columns run from the right edge on right-to-left posters
+  const tableX = rtl ? width - padding : padding;
+  const tableAlign = rtl ? 'right' : 'left';
+
+  if (layoutName === 'table') {
+    // Two columns: flag + region, then channel, lined up on the longest region
+    ctx.font = `${fontStyle} ${fontSize}px ${fontFamily}`.trim();
+    const maxRegionWidth = Math.max(...shown.map((entry) => ctx.measureText(regionLabel(entry)).width));
+    const columnGap = fontSize * 1.5;
+    const regionColumnWidth = maxRegionWidth + columnGap;
+    const channelStartX = rtl ? tableX - regionColumnWidth : tableX + regionColumnWidth;
+
+    for (const entry of shown) {
+      drawAutoScaledText(ctx, regionLabel(entry), tableX, y, regionColumnWidth - columnGap, {
+        fontStyle, fontSize, fontFamily, fillStyle: regionColor, textAlign: tableAlign
+      });
+      drawTextWithLogo(ctx, entry.channel || '', logoFor(entry), channelStartX, y, maxTextWidth - regionColumnWidth, {
+        fontStyle, fontSize, fontFamily, fillStyle: channelColor, textAlign: tableAlign
+      });
+      y += rowHeight;
+    }
+  } else {
+    for (const entry of shown) {
+      if (layoutName === 'stacked') {
+        // Region just above its channel, then the row gap
+        drawAutoScaledText(ctx, regionLabel(entry), width / 2, y, maxTextWidth, {
+          fontSize: Math.round(fontSize * 0.85), fontFamily, fillStyle: regionColor, textAlign: 'center'
+        });
+        y += fontSize * 1.05;
+        drawTextWithLogo(ctx, entry.channel || '', logoFor(entry), width / 2, y, maxTextWidth, {
+          fontStyle: fontStyle || 'bold', fontSize, fontFamily, fillStyle: channelColor, textAlign: 'center'
+        });
+        y += rowHeight;
+      } else {
+        const line = [regionLabel(entry), entry.channel].filter(Boolean).join(' – ');
+        drawTextWithLogo(ctx, line, logoFor(entry), width / 2, y, maxTextWidth, {
+          fontStyle, fontSize, fontFamily, fillStyle: channelColor, textAlign: 'center'
+        });
+        y += rowHeight;
+      }
+    }
+  }
+
+  if (tvByRegion.length > maxRows) {
+    const more = i18n.t(locale, 'andMore', { count: tvByRegion.length - maxRows });
+    const table = layoutName === 'table';
+    drawAutoScaledText(ctx, more, table ? tableX : width / 2, y, maxTextWidth, {
+      fontSize, fontFamily, fillStyle: mutedColor, textAlign: table ? tableAlign : 'center'
+    });
+    y += rowHeight;
+  }
+
+  return y;
+}
+
+/**
+ * Draw a fixture onto a canvas following a poster template
+ * (lib/poster_templates.js). Right-to-left locales (lib/i18n.js) mirror
+ * the template: left/right alignment, table columns, crests and logos.
+ *
+ * @param {CanvasRenderingContext2D} ctx - Canvas 2D context (background already drawn)
+ * @param {Object} fixture - Fixture object with poster fields
+ * @param {Object} template - Poster template
+ * @param {Object} options
+ * @param {number} options.width - Canvas width
+ * @param {number} options.height - Canvas height
+ * @param {string} options.footerText - Footer text
+ * @param {Object} [options.assets] - Crest and logo images from loadPosterAssets()
+ */
+function drawPosterTemplate(ctx, fixture, template, { width, height, footerText, assets = NO_POSTER_ASSETS }) {
+  // Semi-transparent overlay for text readability while showing the background
+  if (template.overlay) {
+    ctx.fillStyle = template.overlay;
+    ctx.fillRect(0, 0, width, height);
+  }
+
+  // Responsive sizes based on canvas dimensions
+  const baseSize = Math.min(width, height) / 15;
+  const lineHeight = baseSize * template.lineHeight;
+  const padding = width * template.padding;
+  const maxTextWidth = width - 2 * padding;
+  const locale = i18n.getLocale(fixture.locale);
+  const rtl = locale.dir === 'rtl';
+  const fontFamily = i18n.getFontFamily(locale, template.fontFamily);
+  const color = (name, fallback) => template.colors[name || fallback] || name || template.colors.text;
+  ctx.direction = rtl ? 'rtl' : 'ltr';
+
+  let y = height * 0.12;
+  for (const el of template.elements) {
+    if (el.y !== undefined) y = height * el.y;
+    y += lineHeight * (el.before || 0);
+
+    if (el.type === 'rule') {
+      ctx.strokeStyle = color(el.color, 'accent');
+      ctx.lineWidth = el.width || 3;
+      ctx.beginPath();
+      ctx.moveTo(width * (el.from !== undefined ? el.from : 0.2), y);
+      ctx.lineTo(width * (el.to !== undefined ? el.to : 0.8), y);
+      ctx.stroke();
+    } else if (el.type === 'regions') {
+      y = drawPosterRegions(ctx, fixture.tvByRegion || [], el, {
+        width, padding, maxTextWidth, baseSize, lineHeight, fontFamily, color, assets, locale, y
+      });
+      continue;
+    } else {
+      const text = getPosterElementText(el, fixture, footerText);
+      if (!text) continue;
+      const align = mirrorAlign(el.align || 'center', rtl);
+      const { home, away } = assets.crests;
+      const crests = el.type === 'match' && el.crests && (home || away);
+      // The home team is read first: on the left, or the right for right-to-left text
+      const [leftCrest, rightCrest] = rtl ? [away, home] : [home, away];
+
+      // Crests (when there are any) take a square either side of the title
+      const crestSize = crests ? baseSize * (el.crestSize || 1.6) : 0;
+      const crestSpace = crests ? crestSize * 1.25 : 0;
+      const x = align === 'left' ? padding + crestSpace : align === 'right' ? width - padding - crestSpace : width / 2;
+      const textOptions = {
+        fontStyle: el.style || '',
+        fontSize: Math.round(baseSize * (el.size || 1)),
+        fontFamily,
+        fillStyle: color(el.color, 'text'),
+        textAlign: align
+      };
+      const usedSize = drawAutoScaledText(ctx, text, x, y, maxTextWidth - 2 * crestSpace, textOptions);
+
+      if (crests) {
+        ctx.font = `${textOptions.fontStyle} ${usedSize}px ${fontFamily}`.trim();
+        const textWidth = ctx.measureText(text).width;
+        const textLeft = align === 'left' ? x : align === 'right' ? x - textWidth : x - textWidth / 2;
+        const centerY = y - usedSize * 0.35;
+        if (leftCrest) drawImageFitted(ctx, leftCrest, textLeft - crestSpace, centerY, crestSize, crestSize);
+        if (rightCrest) drawImageFitted(ctx, rightCrest, textLeft + textWidth + crestSpace - crestSize, centerY, crestSize, crestSize);
+      }
+    }
+    y += lineHeight * (el.advance || 0);
+  }
+}
+
 /**
  * Build a poster image for a fixture using the background image.
  * Returns the path to the generated image file, or null if image generation fails.
@@ -293,6 +795,10 @@ function drawAutoScaledText(ctx, text, x, y, maxWidth, options = {}) {
  * @param {Object} options - Options for poster generation
  * @param {string} options.backgroundPath - Path to background image
  * @param {string} options.footerText - Footer text to display
+ * @param {Object} [options.template] - Poster template (default: classic)
+ * @param {boolean} [options.plainBackground] - Without a background image, draw on a
+ *   plain square canvas instead of failing (template previews)
+ * @param {string} [options.theSportsDbApiKey] - Look up missing crests on TheSportsDB
  * @returns {Promise<string|null>} Path to generated image, or null on failure
  */
 async function buildPosterImageForFixture(fixture, options = {}) {
@@ -302,9 +808,11 @@ async function buildPosterImageForFixture(fixture, options = {}) {
     return null;
   }
 
-  const { backgroundPath, footerText = '' } = options;
+  const { backgroundPath, footerText = '', plainBackground = false } = options;
+  const template = options.template || posterTemplates.getTemplate();
+  const hasBackground = Boolean(backgroundPath) && fs.existsSync(backgroundPath);
   
-  if (!backgroundPath || !fs.existsSync(backgroundPath)) {
+  if (!hasBackground && !plainBackground) {
     logLine('  [Image] Background image not found, falling back to text');
     return null;
   }
@@ -312,190 +820,26 @@ async function buildPosterImageForFixture(fixture, options = {}) {
   try {
     ensureTmpDir();
     
-    // Load the background image
-    const bgImage = await canvas.loadImage(backgroundPath);
-    
-    // Create canvas with background dimensions
-    const canvasWidth = bgImage.width;
-    const canvasHeight = bgImage.height;
-    const cvs = canvas.createCanvas(canvasWidth, canvasHeight);
-    const ctx = cvs.getContext('2d');
-    
-    // Draw background
-    ctx.drawImage(bgImage, 0, 0, canvasWidth, canvasHeight);
-    
-    // Add semi-transparent dark overlay for text readability while showing background
-    ctx.fillStyle = `rgba(18, 18, 18, ${POSTER_OVERLAY_OPACITY})`;
-    ctx.fillRect(0, 0, canvasWidth, canvasHeight);
-    
-    // Calculate responsive font sizes based on canvas dimensions
-    const baseSize = Math.min(canvasWidth, canvasHeight) / 15;
-    const titleSize = Math.round(baseSize * 1.2);
-    const timeSize = Math.round(baseSize * 1.1);
-    const fixtureSize = Math.round(baseSize * 1.5);
-    const competitionSize = Math.round(baseSize * 0.9);
-    const tvSize = Math.round(baseSize * 0.7);
-    const footerSize = Math.round(baseSize * 0.6);
-    
-    // Calculate maximum text width (canvas width minus padding on both sides)
-    const maxTextWidth = canvasWidth * (1 - 2 * TEXT_PADDING_PERCENT);
-    const fontFamily = 'Arial, sans-serif';
-    
-    // Starting Y position
-    let y = canvasHeight * 0.12;
-    const lineHeight = baseSize * 1.6;
-    
-    // Title: "SPORTS LISTINGS ON TV"
-    drawAutoScaledText(ctx, 'SPORTS LISTINGS ON TV', canvasWidth / 2, y, maxTextWidth, {
-      fontStyle: 'bold',
-      fontSize: titleSize,
-      fontFamily,
-      fillStyle: '#ffffff',
-      textAlign: 'center'
-    });
-    
-    // Decorative lines under title
-    y += lineHeight * 0.3;
-    ctx.strokeStyle = '#80cbc4';
-    ctx.lineWidth = 3;
-    ctx.beginPath();
-    ctx.moveTo(canvasWidth * 0.2, y);
-    ctx.lineTo(canvasWidth * 0.8, y);
-    ctx.stroke();
-    
-    y += lineHeight * 1.2;
-    
-    // Times: "3:00pm UK    10:00am ET"
-    const timeUk = fixture.timeUk || '';
-    const timeEt = fixture.timeEt || '';
-    if (timeUk || timeEt) {
-      let timeLine = '';
-      if (timeUk) timeLine += `${timeUk} UK`;
-      if (timeUk && timeEt) timeLine += '    ';
-      if (timeEt) timeLine += `${timeEt} ET`;
-      drawAutoScaledText(ctx, timeLine, canvasWidth / 2, y, maxTextWidth, {
-        fontStyle: '',
-        fontSize: timeSize,
-        fontFamily,
-        fillStyle: '#80cbc4',
-        textAlign: 'center'
-      });
-      y += lineHeight * 1.3;
-    }
-    
-    // Fixture title - prefer matchTitle, fall back to constructing from home/away teams
-    let fixtureText = '';
-    if (fixture.matchTitle) {
-      fixtureText = fixture.matchTitle;
-    } else {
-      const homeTeam = (fixture.homeTeam || '').toUpperCase();
-      const awayTeam = (fixture.awayTeam || '').toUpperCase();
-      if (homeTeam && awayTeam) {
-        fixtureText = `${homeTeam} v ${awayTeam}`;
-      } else if (homeTeam) {
-        fixtureText = homeTeam;
-      }
-    }
-    if (fixtureText) {
-      drawAutoScaledText(ctx, fixtureText, canvasWidth / 2, y, maxTextWidth, {
-        fontStyle: 'bold',
-        fontSize: fixtureSize,
-        fontFamily,
-        fillStyle: '#ffffff',
-        textAlign: 'center'
-      });
-    }
-    y += lineHeight * 1.1;
-    
-    // Competition
-    if (fixture.competition) {
-      drawAutoScaledText(ctx, fixture.competition, canvasWidth / 2, y, maxTextWidth, {
-        fontStyle: 'italic',
-        fontSize: competitionSize,
-        fontFamily,
-        fillStyle: '#aaaaaa',
-        textAlign: 'center'
-      });
-      y += lineHeight;
-    }
-    
-    y += lineHeight * 0.5;
-    
-    // TV by Region list
-    const tvByRegion = fixture.tvByRegion || [];
-    if (tvByRegion.length > 0) {
-      // Calculate layout for two-column region/channel display
-      const startX = canvasWidth * TEXT_PADDING_PERCENT;
-      const availableWidth = maxTextWidth;
-      
-      // Measure all region names to find the longest one
-      ctx.font = `${tvSize}px ${fontFamily}`;
-      let maxRegionWidth = 0;
-      for (const { region } of tvByRegion.slice(0, MAX_DISPLAYED_TV_REGIONS)) {
-        const regionWidth = ctx.measureText(region || '').width;
-        if (regionWidth > maxRegionWidth) {
-          maxRegionWidth = regionWidth;
-        }
-      }
-      
-      // Add padding between region and channel
-      const columnGap = tvSize * 1.5;
-      const regionColumnWidth = maxRegionWidth + columnGap;
-      const channelStartX = startX + regionColumnWidth;
-      const channelMaxWidth = availableWidth - regionColumnWidth;
-      
-      for (const { region, channel } of tvByRegion.slice(0, MAX_DISPLAYED_TV_REGIONS)) {
-        // Draw region (left-aligned, auto-scaled if needed)
-        drawAutoScaledText(ctx, region || '', startX, y, regionColumnWidth - columnGap, {
-          fontStyle: '',
-          fontSize: tvSize,
-          fontFamily,
-          fillStyle: '#80cbc4',
-          textAlign: 'left'
-        });
-        
-        // Draw channel (left-aligned after region, auto-scaled if needed)
-        drawAutoScaledText(ctx, channel || '', channelStartX, y, channelMaxWidth, {
-          fontStyle: '',
-          fontSize: tvSize,
-          fontFamily,
-          fillStyle: '#ffffff',
-          textAlign: 'left'
-        });
-        
-        y += lineHeight * 0.85;
-      }
-      
-      if (tvByRegion.length > MAX_DISPLAYED_TV_REGIONS) {
-        drawAutoScaledText(ctx, `... and ${tvByRegion.length - MAX_DISPLAYED_TV_REGIONS} more`, startX, y, availableWidth, {
-          fontStyle: '',
-          fontSize: tvSize,
-          fontFamily,
-          fillStyle: '#aaaaaa',
-          textAlign: 'left'
-        });
-        y += lineHeight * 0.85;
-      }
+    let cvs;
+    if (hasBackground) {
+      // Canvas with the background's dimensions
+      const bgImage = await canvas.loadImage(backgroundPath);
+      cvs = canvas.createCanvas(bgImage.width, bgImage.height);
+      cvs.getContext('2d').drawImage(bgImage, 0, 0, bgImage.width, bgImage.height);
     } else {
-      drawAutoScaledText(ctx, 'TV details TBC', canvasWidth / 2, y, maxTextWidth, {
-        fontStyle: '',
-        fontSize: tvSize,
-        fontFamily,
-        fillStyle: '#aaaaaa',
-        textAlign: 'center'
-      });
-    }
-    
-    // Footer at the bottom
-    if (footerText) {
-      drawAutoScaledText(ctx, footerText, canvasWidth / 2, canvasHeight - canvasHeight * 0.05, maxTextWidth, {
-        fontStyle: '',
-        fontSize: footerSize,
-        fontFamily,
-        fillStyle: '#888888',
-        textAlign: 'center'
-      });
+      cvs = canvas.createCanvas(PLAIN_POSTER_SIZE, PLAIN_POSTER_SIZE);
+      const plainCtx = cvs.getContext('2d');
+      plainCtx.fillStyle = PLAIN_POSTER_BACKGROUND;
+      plainCtx.fillRect(0, 0, PLAIN_POSTER_SIZE, PLAIN_POSTER_SIZE);
     }
+
+    const assets = await loadPosterAssets(fixture, template, { theSportsDbApiKey: options.theSportsDbApiKey });
+    drawPosterTemplate(cvs.getContext('2d'), fixture, template, {
+      width: cvs.width,
+      height: cvs.height,
+      footerText,
+      assets
+    });
     
     // Generate unique filename and save
     const timestamp = Date.now();
@@ -528,189 +872,253 @@ function cleanupTempPoster(imagePath) {
   }
 }
 
-// ---------- Poster-style formatting helpers ----------
+// ---------- Matchday cards ----------
 
 /**
- * Format a time in a given timezone.
- * @param {Date} date - The date to format
- * @param {string} timezone - IANA timezone string (e.g., 'Europe/London')
- * @returns {string} Formatted time string (e.g., "3:00pm")
+ * Draw an image over the whole canvas, cropped to keep its aspect ratio.
  */
-function formatTimeInZone(date, timezone) {
-  try {
-    const options = {
-      hour: 'numeric',
-      minute: '2-digit',
-      hour12: true,
-      timeZone: timezone
-    };
-    return date.toLocaleTimeString('en-US', options).toLowerCase().replace(' ', '');
-  } catch (err) {
-    // Fallback if timezone is invalid
-    return date.toLocaleTimeString('en-US', {
-      hour: 'numeric',
-      minute: '2-digit',
-      hour12: true
-    }).toLowerCase().replace(' ', '');
-  }
+function drawImageCover(ctx, image, width, height) {
+  const scale = Math.max(width / image.width, height / image.height);
+  const w = image.width * scale;
+  const h = image.height * scale;
+  ctx.drawImage(image, (width - w) / 2, (height - h) / 2, w, h);
 }
 
 /**
- * Clean a team name by removing common annotations like (HOME), (AWAY), (H), (A), etc.
- * @param {string} name - Team name that may have annotations
- * @returns {string} Cleaned team name
+ * Draw one matchday card page: the day's heading, then kickoff/competition
+ * headings with one "Home v Away ... channel" line per match. Colours, font
+ * and overlay come from the channel's poster template; right-to-left
+ * locales run the columns from the right.
+ *
+ * @param {CanvasRenderingContext2D} ctx - Canvas 2D context (background already drawn)
+ * @param {Object} page - Page from matchdayCards.buildCardPages()
+ * @param {Object} template - Poster template
+ * @param {Object} options
+ * @param {number} options.width - Canvas width
+ * @param {number} options.height - Canvas height
+ * @param {number} options.rowsPerPage - Lines per page (sets the row height)
+ * @param {string} options.footerText - Footer text
  */
-function cleanTeamName(name) {
-  if (!name) return '';
-  // Remove common annotations: (HOME), (AWAY), (H), (A), [HOME], [AWAY], [H], [A]
-  // Parentheses/brackets are required to avoid matching team names ending in these letters
-  return name
-    .replace(/\s*\(\s*HOME\s*\)\s*$/i, '')
-    .replace(/\s*\(\s*AWAY\s*\)\s*$/i, '')
-    .replace(/\s*\(\s*H\s*\)\s*$/i, '')
-    .replace(/\s*\(\s*A\s*\)\s*$/i, '')
-    .replace(/\s*\[\s*HOME\s*\]\s*$/i, '')
-    .replace(/\s*\[\s*AWAY\s*\]\s*$/i, '')
-    .replace(/\s*\[\s*H\s*\]\s*$/i, '')
-    .replace(/\s*\[\s*A\s*\]\s*$/i, '')
-    .trim();
+function drawMatchdayCard(ctx, page, template, { width, height, rowsPerPage, footerText }) {
+  if (template.overlay) {
+    ctx.fillStyle = template.overlay;
+    ctx.fillRect(0, 0, width, height);
+  }
+
+  const baseSize = Math.min(width, height) / 15;
+  const padding = width * template.padding;
+  const maxTextWidth = width - 2 * padding;
+  const locale = i18n.getLocale(page.locale);
+  const rtl = locale.dir === 'rtl';
+  const fontFamily = i18n.getFontFamily(locale, template.fontFamily);
+  const { text, accent, muted, footer } = { ...posterTemplates.TEMPLATES[0].colors, ...template.colors };
+  ctx.direction = rtl ? 'rtl' : 'ltr';
+
+  // x measured from the start edge: the left, or the right for right-to-left
+  const fromStart = (offset) => (rtl ? width - offset : offset);
+  const [startAlign, endAlign] = rtl ? ['right', 'left'] : ['left', 'right'];
+
+  drawAutoScaledText(ctx, page.heading, width / 2, height * 0.08, maxTextWidth, {
+    fontStyle: 'bold', fontSize: Math.round(baseSize * 1.1), fontFamily, fillStyle: text
+  });
+  drawAutoScaledText(ctx, page.dateLabel, width / 2, height * 0.08 + baseSize * 0.95, maxTextWidth, {
+    fontSize: Math.round(baseSize * 0.65), fontFamily, fillStyle: accent
+  });
+  ctx.strokeStyle = accent;
+  ctx.lineWidth = 3;
+  ctx.beginPath();
+  ctx.moveTo(padding, height * 0.08 + baseSize * 1.45);
+  ctx.lineTo(width - padding, height * 0.08 + baseSize * 1.45);
+  ctx.stroke();
+
+  // Rows share the space between the heading and the footer
+  const top = height * 0.08 + baseSize * 2.4;
+  const bottom = height * 0.9;
+  const rowHeight = Math.min(baseSize * 1.15, (bottom - top) / rowsPerPage);
+  const fontSize = Math.round(rowHeight * 0.55);
+  const channelX = padding + maxTextWidth * 0.6;
+
+  let y = top;
+  for (const row of page.rows) {
+    if (row.type === 'group') {
+      const groupText = [row.time, row.competition].filter(Boolean).join(' · ') +
+        (row.continued ? ` ${i18n.t(locale, 'continued')}` : '');
+      drawAutoScaledText(ctx, i18n.upperCase(groupText, locale), fromStart(padding), y, maxTextWidth, {
+        fontStyle: 'bold', fontSize, fontFamily, fillStyle: accent, textAlign: startAlign
+      });
+    } else {
+      drawAutoScaledText(ctx, row.title, fromStart(padding + fontSize * 0.6), y, channelX - padding - fontSize * 1.2, {
+        fontSize, fontFamily, fillStyle: text, textAlign: startAlign
+      });
+      drawAutoScaledText(ctx, row.channel || i18n.t(locale, 'cardTvTbc'), fromStart(width - padding), y, width - padding - channelX, {
+        fontSize, fontFamily, fillStyle: row.channel ? text : muted, textAlign: endAlign
+      });
+    }
+    y += rowHeight;
+  }
+
+  const footerLine = [i18n.translateText(locale, footerText), page.pageCount > 1 ? `${page.page}/${page.pageCount}` : ''].filter(Boolean).join('   ·   ');
+  drawAutoScaledText(ctx, footerLine, width / 2, height * 0.96, maxTextWidth, {
+    fontSize: Math.round(baseSize * 0.5), fontFamily, fillStyle: footer
+  });
 }
 
 /**
- * Parse a TheFishy ICS summary to extract home and away teams.
- * TheFishy summaries have formats like:
- * - "Crystal Palace (away)" - our team is playing away at Crystal Palace
- * - "West Ham (home)" - our team is playing at home against West Ham
- * 
- * @param {string} summary - The ICS event summary (e.g., "Crystal Palace (away)")
- * @param {string} ourTeam - The team label for this feed (e.g., "Man Utd")
- * @returns {{ homeTeam: string, awayTeam: string }}
+ * Build a matchday card image for one page. Uses the uploaded background
+ * (cropped to the card) or a plain one.
+ *
+ * @param {Object} page - Page from matchdayCards.buildCardPages()
+ * @param {Object} options
+ * @param {string|null} options.backgroundPath - Path to background image
+ * @param {string} [options.footerText] - Footer text
+ * @param {Object} [options.template] - Poster template for colours and font
+ * @param {number} [options.rowsPerPage] - Lines per page
+ * @returns {Promise<string|null>} Path to generated image, or null on failure
  */
-function parseFishySummary(summary, ourTeam) {
-  const text = (summary || '').trim();
-  const team = (ourTeam || '').trim();
-  
-  // Handle edge cases when summary or team is missing
-  if (!text) {
-    return { homeTeam: team, awayTeam: '' };
-  }
-  if (!team) {
-    // No team provided - just clean the summary text
-    return { homeTeam: cleanTeamName(text), awayTeam: '' };
-  }
-  
-  // Check for "(away)" or "(a)" at the end - our team is away
-  const awayMatch = text.match(/^(.+?)\s*\(\s*(?:away|a)\s*\)\s*$/i);
-  if (awayMatch) {
-    const opponent = cleanTeamName(awayMatch[1]);
-    return {
-      homeTeam: opponent,
-      awayTeam: team
-    };
+async function buildMatchdayCardImage(page, options = {}) {
+  if (!canvas) {
+    logLine('  [Image] Canvas library not available, sending the matchday card as text');
+    return null;
   }
-  
-  // Check for "(home)" or "(h)" at the end - our team is home
-  const homeMatch = text.match(/^(.+?)\s*\(\s*(?:home|h)\s*\)\s*$/i);
-  if (homeMatch) {
-    const opponent = cleanTeamName(homeMatch[1]);
-    return {
-      homeTeam: team,
-      awayTeam: opponent
-    };
+
+  const { backgroundPath, footerText = '', rowsPerPage = matchdayCards.DEFAULT_ROWS_PER_PAGE } = options;
+  const template = options.template || posterTemplates.getTemplate();
+
+  try {
+    ensureTmpDir();
+    const cvs = canvas.createCanvas(CARD_WIDTH, CARD_HEIGHT);
+    const ctx = cvs.getContext('2d');
+    if (backgroundPath && fs.existsSync(backgroundPath)) {
+      drawImageCover(ctx, await canvas.loadImage(backgroundPath), CARD_WIDTH, CARD_HEIGHT);
+    } else {
+      ctx.fillStyle = PLAIN_POSTER_BACKGROUND;
+      ctx.fillRect(0, 0, CARD_WIDTH, CARD_HEIGHT);
+    }
+
+    drawMatchdayCard(ctx, page, template, { width: CARD_WIDTH, height: CARD_HEIGHT, rowsPerPage, footerText });
+
+    const outputPath = path.join(TMP_DIR, `card-${page.date}-${page.page}-${Date.now()}.png`);
+    fs.writeFileSync(outputPath, cvs.toBuffer('image/png'));
+    return outputPath;
+  } catch (err) {
+    logLine(`  [Image] Error generating matchday card: ${err.message || String(err)}`);
+    return null;
   }
-  
-  // Fallback: doesn't match TheFishy format, treat summary as opponent with ourTeam as home
-  return {
-    homeTeam: team,
-    awayTeam: cleanTeamName(text)
-  };
 }
 
+// ---------- Poster-style formatting helpers ----------
+
 /**
- * Parse team names from a fixture summary.
- * Handles various ICS summary formats:
- * - "Team A v Team B"
- * - "Team A vs Team B"
- * - "Team A - Team B"
- * - "Team A @ Team B"
- * - "Team AvTeam B" (no spaces)
- * - "Team A (HOME) v Team B (AWAY)"
- * - "Team A vs.Team B"
- * 
- * @param {string} summary - Fixture summary (e.g., "Arsenal v Chelsea")
- * @returns {{ homeTeam: string, awayTeam: string }}
+ * Format a time in a given timezone.
+ * @param {Date} date - The date to format
+ * @param {string} timezone - IANA timezone string (e.g., 'Europe/London')
+ * @param {Object} [locale] - Locale from lib/i18n.js (default English: "3:00pm")
+ * @returns {string} Formatted time string (e.g., "3:00pm", "15:00", "3:00 م")
  */
-function parseTeamsFromSummary(summary) {
-  const text = (summary || '').trim();
-  
-  if (!text) {
-    return { homeTeam: '', awayTeam: '' };
-  }
-  
-  // Try each separator pattern in order of specificity
-  for (const { pattern } of TEAM_SEPARATOR_PATTERNS) {
-    const match = text.match(pattern);
-    if (match && match[1] && match[2]) {
-      const homeRaw = match[1].trim();
-      const awayRaw = match[2].trim();
-      
-      // Skip if either side is empty after trimming
-      if (!homeRaw || !awayRaw) continue;
-      
-      // Clean team names to remove (HOME)/(AWAY) annotations
-      const homeTeam = cleanTeamName(homeRaw);
-      const awayTeam = cleanTeamName(awayRaw);
-      
-      // Only return if we actually have two valid team names
-      if (homeTeam && awayTeam) {
-        return { homeTeam, awayTeam };
-      }
+function formatTimeInZone(date, timezone, locale = null) {
+  if (locale && locale.id !== i18n.DEFAULT_LOCALE) {
+    try {
+      return date.toLocaleTimeString(locale.intl, { hour: 'numeric', minute: '2-digit', timeZone: timezone });
+    } catch (err) {
+      // Invalid timezone: the English fallback below
     }
   }
-  
-  // Fallback: return the whole summary as homeTeam (after cleaning)
-  return {
-    homeTeam: cleanTeamName(text),
-    awayTeam: ''
-  };
+  try {
+    const options = {
+      hour: 'numeric',
+      minute: '2-digit',
+      hour12: true,
+      timeZone: timezone
+    };
+    return date.toLocaleTimeString('en-US', options).toLowerCase().replace(' ', '');
+  } catch (err) {
+    // Fallback if timezone is invalid
+    return date.toLocaleTimeString('en-US', {
+      hour: 'numeric',
+      minute: '2-digit',
+      hour12: true
+    }).toLowerCase().replace(' ', '');
+  }
+}
+
+/**
+ * Kick-off times a poster shows: "3:00pm UK", "10:00am ET".
+ * Uses the fixture's audience times (adaptFixtureForPoster), else timeUk/timeEt.
+ * @param {Object} fixture - Fixture with poster fields
+ * @returns {string[]}
+ */
+function getPosterTimes(fixture) {
+  if (Array.isArray(fixture.times) && fixture.times.length > 0) {
+    const times = fixture.times.map(audience.formatAudienceTime);
+    return i18n.getLocale(fixture.locale).dir === 'rtl' ? times.map(i18n.isolateRtl) : times;
+  }
+  const parts = [];
+  if (fixture.timeUk) parts.push(`${fixture.timeUk} UK`);
+  if (fixture.timeEt) parts.push(`${fixture.timeEt} ET`);
+  return parts;
 }
 
 /**
  * Adapt a basic fixture object to the poster data model.
- * Adds/updates timeUk, timeEt, homeTeam, awayTeam, matchTitle fields.
+ * Adds/updates timeUk, timeEt, times, homeTeam, awayTeam, matchTitle fields.
  * Also sets competition, venue, and tvByRegion if not already present.
+ * times is kick-off in the channel's audience timezones (lib/audience.js).
+ * tvByRegion regions get consistent names and flags (lib/regions.js), and are
+ * grouped, sorted, filtered and limited per the channel's region settings.
+ * The channel's locale (lib/i18n.js) is kept as locale, and sets the times,
+ * the title's "v", competitionLabel and each region's label; competition and
+ * region keep their source names for matching and the posted ledger.
  * 
  * @param {Object} fixture - Basic fixture object with start, summary, tvChannel, teamLabel, etc.
+ * @param {Object} [channel] - Channel config (audienceTimezones, locale, competitionNames, regionPriority,
+ *   regionsOnly, maxRegions, regionGroups, mergeRegionChannels)
  * @returns {Object} Adapted fixture with poster fields
  */
-function adaptFixtureForPoster(fixture) {
+function adaptFixtureForPoster(fixture, channel = null) {
   const start = fixture.start instanceof Date ? fixture.start : new Date(fixture.start);
   
   // Format times in UK and US Eastern timezones
   const timeUk = formatTimeInZone(start, 'Europe/London');
   const timeEt = formatTimeInZone(start, 'America/New_York');
+  const locale = i18n.getLocale(channel && channel.locale);
+  const times = audience.getAudienceTimes(start, audience.getAudienceTimezones(channel || {}),
+    (date, zone) => formatTimeInZone(date, zone, locale), locale.intl);
   
-  // Parse home and away teams from summary
-  // If teamLabel is present (TheFishy multi-ICS mode), use parseFishySummary
-  // Otherwise fall back to parseTeamsFromSummary for "Home v Away" style summaries
+  // Parse home and away teams from summary with the fixture's ICS provider
+  // (lib/ics_providers.js), e.g. "West Ham (home)" for TheFishy team feeds
+  // Other sports go through parseFixtureTeams() (competition/detail/session split)
+  const sport = sports.getSport(fixture.sport);
   let homeTeam, awayTeam;
-  if (fixture.teamLabel) {
-    const parsed = parseFishySummary(fixture.summary, fixture.teamLabel);
-    homeTeam = parsed.homeTeam;
-    awayTeam = parsed.awayTeam;
+  let parsedEvent = {};
+  if (sport.id !== 'football') {
+    parsedEvent = parseFixtureTeams({ ...fixture, homeTeam: '', awayTeam: '', eventName: '' });
+    homeTeam = parsedEvent.homeTeam;
+    awayTeam = parsedEvent.awayTeam;
   } else {
-    const parsed = parseTeamsFromSummary(fixture.summary);
+    const parsed = icsProviders.parseFixtureSummary(fixture);
     homeTeam = parsed.homeTeam;
     awayTeam = parsed.awayTeam;
   }
   
-  // Build matchTitle from home and away teams
+  // Build matchTitle from home and away teams (or the Grand Prix for session sports)
   let matchTitle = '';
-  if (homeTeam && awayTeam) {
-    matchTitle = `${homeTeam.toUpperCase()} v ${awayTeam.toUpperCase()}`;
+  if (sport.layout === 'session') {
+    matchTitle = (parsedEvent.eventName || fixture.summary || '').toUpperCase();
+  } else if (homeTeam && awayTeam) {
+    matchTitle = `${homeTeam.toUpperCase()} ${i18n.t(locale, 'versus')} ${awayTeam.toUpperCase()}`;
   } else if (homeTeam) {
     matchTitle = homeTeam.toUpperCase();
   }
+
+  // Line under the title: F1 session, cricket/rugby/darts detail, boxing main event
+  let subtitle = '';
+  if (sport.layout === 'session') {
+    subtitle = parsedEvent.session || '';
+  } else if (sport.layout === 'card') {
+    subtitle = [i18n.t(locale, 'mainEvent'), parsedEvent.detail].filter(Boolean).join(' · ');
+  } else if (sport.id !== 'football') {
+    subtitle = parsedEvent.detail || '';
+  }
   
   // Build tvByRegion from tvChannel if available (simple conversion)
   // For now, if we have a single tvChannel, put it under a default region
@@ -720,16 +1128,31 @@ function adaptFixtureForPoster(fixture) {
     // Single channel - assume UK region
     tvByRegion = [{ region: 'UK', channel: fixture.tvChannel }];
   }
+
+  // Canonical channel names (lib/channel_dictionary.js), one line per channel,
+  // then the channel's region grouping/priority (lib/regions.js)
+  tvByRegion = regions.arrangeTvByRegion(
+    channelDictionary.canonicalizeEntries(tvByRegion, { dedupe: true })
+      .map(({ network, country, rawChannel, ...entry }) => entry),
+    regions.getRegionOptions(channel || {})
+  ).map((entry) => ({ ...entry, label: i18n.translateRegion(entry.region, locale) }));
+  const competition = fixture.competition || parsedEvent.competition || (sport.id !== 'football' ? sport.label : '');
   
   return {
     ...fixture,
     date: start,
     timeUk,
     timeEt,
+    times,
     homeTeam,
     awayTeam,
     matchTitle,
-    competition: fixture.competition || '',
+    sport: sport.id,
+    subtitle,
+    undercard: sport.layout === 'card' ? sports.parseUndercard(fixture.description) : [],
+    competition,
+    competitionLabel: i18n.translateCompetition(competition, locale, channel || {}),
+    locale: locale.id,
     venue: fixture.location || fixture.venue || '',
     tvByRegion
   };
@@ -748,9 +1171,9 @@ function adaptFixtureForPoster(fixture) {
  * BRENTFORD v BURNLEY
  * Premier League
  * 
- * Australia     Stan Sport
- * Canada        Fubo Sports 4
- * Caribbean     ESPN on Disney+
+ * 🇦🇺 Australia  Stan Sport
+ * 🇨🇦 Canada     Fubo Sports 4
+ * 🌴 Caribbean  ESPN on Disney+
  * ...
  * 
  * Support the listings by subscribing.
@@ -765,23 +1188,21 @@ const DEFAULT_FOOTER_TEXT = 'Please support the listings by subscribing.';
 
 function formatFixturePoster(fixture, options = {}) {
   const { showFooter = true, footerText = DEFAULT_FOOTER_TEXT } = options;
+  const locale = i18n.getLocale(fixture.locale);
   
   const lines = [];
   
   // Banner
+  const banner = i18n.t(locale, 'banner');
   lines.push('═══════════════════════════');
-  lines.push('   SPORTS LISTINGS ON TV   ');
+  lines.push(banner.length < 27 ? banner.padStart(Math.floor((27 + banner.length) / 2)).padEnd(27) : banner);
   lines.push('═══════════════════════════');
   lines.push('');
   
-  // Times in two zones
-  const timeUk = fixture.timeUk || '';
-  const timeEt = fixture.timeEt || '';
-  if (timeUk || timeEt) {
-    const timeLine = [];
-    if (timeUk) timeLine.push(`${timeUk} UK`);
-    if (timeEt) timeLine.push(`${timeEt} ET`);
-    lines.push(timeLine.join('    '));
+  // Times in the audience's zones
+  const times = getPosterTimes(fixture);
+  if (times.length > 0) {
+    lines.push(times.join('    '));
     lines.push('');
   }
   
@@ -792,15 +1213,30 @@ function formatFixturePoster(fixture, options = {}) {
     const homeTeam = (fixture.homeTeam || '').toUpperCase();
     const awayTeam = (fixture.awayTeam || '').toUpperCase();
     if (homeTeam && awayTeam) {
-      lines.push(`${homeTeam} v ${awayTeam}`);
+      lines.push(`${homeTeam} ${i18n.t(locale, 'versus')} ${awayTeam}`);
     } else if (homeTeam) {
       lines.push(homeTeam);
     }
   }
   
+  // Session / stage / main event line (non-football sports)
+  if (fixture.subtitle) {
+    lines.push(fixture.subtitle);
+  }
+  
   // Competition (optional)
   if (fixture.competition) {
-    lines.push(fixture.competition);
+    lines.push(fixture.competitionLabel || fixture.competition);
+  }
+  
+  // Fight card undercard bouts
+  const undercard = fixture.undercard || [];
+  if (undercard.length > 0) {
+    lines.push('');
+    lines.push(i18n.t(locale, 'undercard'));
+    for (const bout of undercard) {
+      lines.push(bout);
+    }
   }
   
   lines.push('');
@@ -809,14 +1245,15 @@ function formatFixturePoster(fixture, options = {}) {
   const tvByRegion = fixture.tvByRegion || [];
   if (tvByRegion.length > 0) {
     // Calculate max region width for alignment
-    const maxRegionLen = Math.max(...tvByRegion.map(r => (r.region || '').length));
+    const regionName = (r) => r.label || r.region || '';
+    const maxRegionLen = Math.max(...tvByRegion.map(r => regionName(r).length));
     
-    for (const { region, channel } of tvByRegion) {
-      const paddedRegion = (region || '').padEnd(maxRegionLen, ' ');
-      lines.push(`${paddedRegion}  ${channel || ''}`);
+    for (const entry of tvByRegion) {
+      const paddedRegion = regionName(entry).padEnd(maxRegionLen, ' ');
+      lines.push(`${entry.flag ? `${entry.flag} ` : ''}${paddedRegion}  ${entry.channel || ''}`);
     }
   } else {
-    lines.push('TV details TBC');
+    lines.push(i18n.t(locale, 'tvTbc'));
   }
   
   // Wikipedia broadcasters as fallback or supplement
@@ -825,37 +1262,25 @@ function formatFixturePoster(fixture, options = {}) {
   const wikiUkChannels = fixture.wikiUkChannels || [];
   if (tvByRegion.length === 0 && wikiUkChannels.length > 0) {
     // Use wiki data as fallback when LSTV has no results
-    lines.push(`(Wikipedia: ${wikiUkChannels.slice(0, 4).join(', ')}${wikiUkChannels.length > 4 ? '...' : ''})`);
+    lines.push(i18n.t(locale, 'wikipedia', {
+      channels: `${wikiUkChannels.slice(0, 4).join(', ')}${wikiUkChannels.length > 4 ? '...' : ''}`
+    }));
   } else if (wikiUkChannels.length > 0 && tvByRegion.length < 3) {
     // Supplement sparse LSTV data with wiki reference
     lines.push('');
-    lines.push(`(UK broadcasters: ${wikiUkChannels.slice(0, 3).join(', ')})`);
+    lines.push(i18n.t(locale, 'ukBroadcasters', { channels: wikiUkChannels.slice(0, 3).join(', ') }));
   }
   
   // Footer (optional)
   if (showFooter && footerText) {
     lines.push('');
-    lines.push(footerText);
+    lines.push(i18n.translateText(locale, footerText));
   }
   
   return lines.join('\n');
 }
 
-// ---------- TheFishy helpers ----------
-
-// Build a TheFishy ICS URL from a team label, e.g.
-//   "Man Utd"  -> https://thefishy.co.uk/calendar/Man+Utd
-function buildTheFishyIcsUrl(teamLabel) {
-  const trimmed = String(teamLabel || '').trim();
-  if (!trimmed) return null;
-
-  // Keep letters/numbers/spaces, drop other punctuation from the label.
-  const cleaned = trimmed.replace(/[^A-Za-z0-9\s]/g, '');
-  // Spaces => plus
-  const plus = cleaned.replace(/\s+/g, '+');
-
-  return `https://thefishy.co.uk/calendar/${plus}`;
-}
+// ---------- Timing helpers ----------
 
 function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
@@ -868,12 +1293,13 @@ function sleep(ms) {
  *
  * @param {Object} fixture - Fixture object with at least `summary` and optionally `tvChannel`
  * @param {Object} channel - Channel config object with optional `tvChannelOverrides`
- * @returns {string|null} The TV channel name if matched, or null if no match
+ * @returns {string|null} The TV channel name if matched (canonical name when
+ *   the channel dictionary knows it), or null if no match
  */
 function getTvChannelForFixture(fixture, channel) {
   // If fixture already has a tvChannel (e.g. from ICS source or TheSportsDB), return it
   if (fixture.tvChannel) {
-    return fixture.tvChannel;
+    return channelDictionary.getDisplayName(fixture.tvChannel);
   }
 
   // Check channel's tvChannelOverrides
@@ -891,7 +1317,7 @@ function getTvChannelForFixture(fixture, channel) {
   for (const key of Object.keys(overrides)) {
     const needle = key.toLowerCase();
     if (summary.includes(needle)) {
-      return overrides[key];
+      return channelDictionary.getDisplayName(overrides[key]);
     }
   }
 
@@ -920,6 +1346,11 @@ async function enrichFixtureWithTheSportsDb(cfg, fixture, teamLabel) {
     return fixture;
   }
   
+  // Players, fighters and Grands Prix aren't TheSportsDB teams
+  if (sports.getSport(fixture.sport).tsdbLookup !== 'team') {
+    return fixture;
+  }
+  
   try {
     const enriched = await theSportsDb.enrichFixtureWithTvInfo(
       apiKey,
@@ -1022,17 +1453,19 @@ async function enrichFixtureWithTSDB(fixture) {
   const homeTeam = fixture.homeTeam || '';
   const awayTeam = fixture.awayTeam || '';
   
-  if (!homeTeam || !awayTeam) {
+  if (!hasEventIdentity(fixture)) {
     return fixture;
   }
   
   try {
-    logLine(`    [TSDB] Looking up ${homeTeam} v ${awayTeam}`);
+    logLine(`    [TSDB] Looking up ${fixture.eventName || `${homeTeam} v ${awayTeam}`}`);
     
     const tsdbResult = await tsdb.fetchTSDBFixture({
       home: homeTeam,
       away: awayTeam,
-      date: fixture.start || fixture.date || new Date()
+      date: fixture.start || fixture.date || new Date(),
+      sport: fixture.sport,
+      eventName: fixture.eventName || null
     });
     
     if (tsdbResult.matched) {
@@ -1085,8 +1518,10 @@ async function enrichFixtureWithAllSources(cfg, fixture) {
   // Step 1: Try TSDB first to get reliable kickoff/league info
   fixture = await enrichFixtureWithTSDB(fixture);
   
-  // Step 2: Use LSTV with enriched data from TSDB
-  fixture = await enrichFixtureWithLiveSoccerTv(cfg, fixture);
+  // Step 2: Use LSTV with enriched data from TSDB (football only)
+  if (sports.isFootball(fixture.sport)) {
+    fixture = await enrichFixtureWithLiveSoccerTv(cfg, fixture);
+  }
   
   // Step 3: Try Wikipedia for broadcaster info based on league
   fixture = await enrichFixtureWithWiki(fixture);
@@ -1126,7 +1561,8 @@ async function enrichFixtureWithWiki(fixture) {
     const wikiResult = await wiki.fetchWikiBroadcasters({
       leagueName,
       season: null, // Auto-detect current season
-      country: 'UK' // Default to UK broadcasters
+      country: 'UK', // Default to UK broadcasters
+      sport: sports.normalizeSport(fixture.sport)
     });
     
     if (wikiResult.broadcasters && wikiResult.broadcasters.length > 0) {
@@ -1173,21 +1609,25 @@ async function enrichFixtureWithAggregator(cfg, fixture) {
   const homeTeam = fixture.homeTeam || '';
   const awayTeam = fixture.awayTeam || '';
   
-  if (!homeTeam || !awayTeam) {
+  if (!hasEventIdentity(fixture)) {
     logLine('    [AGG] Missing team names, skipping aggregator');
     return fixture;
   }
   
   try {
-    logLine(`    [AGG] Getting TV data for ${homeTeam} v ${awayTeam}`);
+    logLine(`    [AGG] Getting TV data for ${fixture.eventName || `${homeTeam} v ${awayTeam}`}`);
     
     const tvData = await tvAggregator.getTvDataForFixture({
       homeTeam,
       awayTeam,
+      eventName: fixture.eventName || null,
+      sport: sports.normalizeSport(fixture.sport),
       dateUtc: fixture.start || fixture.date || new Date(),
       leagueHint: fixture.competition || fixture.league || null
     }, {
       timezone: cfg.timezone || 'Europe/London',
+      minConfidence: cfg.tvMinConfidence,
+      sources: cfg.sources,
       debug: false
     });
     
@@ -1226,7 +1666,7 @@ async function enrichFixtureWithAggregator(cfg, fixture) {
       
       // Log summary
       const sourcesStr = Object.entries(tvData.sourcesUsed || {})
-        .filter(([, used]) => used)
+        .filter(([, used]) => used === true)
         .map(([name]) => name.toUpperCase())
         .join(',') || 'none';
       const regionCount = tvData.tvRegions?.length || 0;
@@ -1243,20 +1683,253 @@ async function enrichFixtureWithAggregator(cfg, fixture) {
   }
 }
 
+// ---------- Posted ledger helpers ----------
+
+/**
+ * Set homeTeam/awayTeam on a fixture from its summary if not already set.
+ * The summary is parsed by the provider the fixture came from
+ * (lib/ics_providers.js), e.g. "West Ham (home)" for TheFishy team feeds.
+ *
+ * Other sports (fixture.sport, see lib/sports.js): session sports (F1) get
+ * eventName/session instead of teams; match and card sports have any
+ * "Competition:" prefix and trailing detail (e.g. "2nd Test, Day 3") split
+ * off into competition/detail first.
+ *
+ * @param {Object} fixture - Fixture object (mutated)
+ * @returns {Object} The same fixture
+ */
+function parseFixtureTeams(fixture) {
+  const sport = sports.getSport(fixture.sport);
+
+  if (sport.layout === 'session') {
+    if (!fixture.eventName) {
+      const { eventName, session } = sports.parseSessionSummary(fixture.summary);
+      fixture.eventName = eventName;
+      fixture.session = session;
+    }
+    return fixture;
+  }
+
+  if (!fixture.homeTeam || !fixture.awayTeam) {
+    const parsed = icsProviders.parseFixtureSummary(fixture);
+    if (parsed.competition !== undefined) {
+      fixture.competition = fixture.competition || parsed.competition;
+      fixture.detail = fixture.detail || parsed.detail;
+    }
+    fixture.homeTeam = parsed.homeTeam;
+    fixture.awayTeam = parsed.awayTeam;
+  }
+  return fixture;
+}
+
+/**
+ * Whether a fixture has enough to look up TV data: two sides, or an event
+ * name for session sports.
+ * @param {Object} fixture - Fixture object
+ * @returns {boolean}
+ */
+function hasEventIdentity(fixture) {
+  return Boolean((fixture.homeTeam && fixture.awayTeam) || fixture.eventName);
+}
+
+/**
+ * Tag fixtures with their sport: ICS CATEGORIES if recognised, else the channel's.
+ * @param {Array<Object>} fixtures - Fixtures (mutated)
+ * @param {Object} channel - Channel config object
+ * @returns {Array<Object>} The same fixtures
+ */
+function tagFixtureSports(fixtures, channel) {
+  for (const f of fixtures) {
+    f.sport = sports.detectSportFromCategories(f.categories) || sports.getFixtureSport(f, channel);
+  }
+  return fixtures;
+}
+
+/**
+ * Parse home/away teams onto each fixture (if not already set) and drop
+ * fixtures that the posted ledger says were already sent to this channel.
+ *
+ * With keepPosted, already-posted fixtures are kept (tagged with
+ * `postedRef = { key, entry }`) so runOnce() can re-check them and edit the
+ * original message if the TV listings or kickoff have changed.
+ *
+ * @param {Object} channel - Channel config object
+ * @param {Array<Object>} fixtures - Fixtures from the ICS feed(s)
+ * @param {Object} [options={}] - Options
+ * @param {boolean} [options.keepPosted=false] - Keep posted fixtures for re-checking
+ * @returns {{ fixtures: Array<Object>, skippedCount: number, recheckCount: number }}
+ */
+function filterAlreadyPosted(channel, fixtures, options = {}) {
+  const { keepPosted = false } = options;
+  const fresh = [];
+  let skippedCount = 0;
+  let recheckCount = 0;
+
+  for (const f of fixtures) {
+    parseFixtureTeams(f);
+
+    const posted = postedLedger.findPostedEntry(channel.id, f);
+    if (!posted) {
+      fresh.push(f);
+      continue;
+    }
+
+    if (keepPosted) {
+      f.postedRef = posted;
+      recheckCount++;
+      fresh.push(f);
+    } else {
+      skippedCount++;
+    }
+  }
+
+  if (skippedCount > 0) {
+    logLine(
+      `  Skipping ${skippedCount} fixture(s) already posted to "${channel.label || channel.id}" (ledger)`
+    );
+  }
+  if (recheckCount > 0) {
+    logLine(
+      `  Re-checking ${recheckCount} already-posted fixture(s) for TV/kickoff changes`
+    );
+  }
+
+  return { fixtures: fresh, skippedCount, recheckCount };
+}
+
+/**
+ * Keep only fixtures that have not started and kick off within `hours`.
+ * @param {Array} fixtures - Fixtures with start dates
+ * @param {number} hours - Window size in hours
+ * @returns {Array}
+ */
+function filterWithinHours(fixtures, hours) {
+  const now = Date.now();
+  const until = now + hours * 60 * 60 * 1000;
+  return fixtures.filter((f) => {
+    const start = new Date(f.start).getTime();
+    return start >= now && start <= until;
+  });
+}
+
+// ---------- Fixture changes ----------
+
+/**
+ * Log what changed in a channel's fixtures since its last run
+ * (lib/fixture_changes.js): postponements, removals, kickoff and venue moves.
+ * Alerts go out after the channel's posts (alertFixtureChanges()).
+ *
+ * @param {Object} channel - Channel config object
+ * @param {Array<Object>} fixtures - Every fixture fetched for the channel (before any window filter)
+ * @param {Object} options
+ * @param {number} options.daysAhead - Window the fixtures were fetched for
+ * @param {string[]} [options.fetchedTeams] - Multi-ICS: teams whose feed was fetched this run
+ * @returns {Array<Object>} New changes
+ */
+function trackFixtureChanges(channel, fixtures, { daysAhead, fetchedTeams = null }) {
+  fixtures.forEach(parseFixtureTeams);
+  const now = new Date();
+  const changes = fixtureChanges.detectChanges(channel.id, fixtures, {
+    now,
+    until: new Date(now.getTime() + daysAhead * 24 * 60 * 60 * 1000),
+    fetchedTeams
+  });
+  for (const change of changes) {
+    logLine(`  Fixture change (${change.type}): ${describeChange(change)}`);
+  }
+  return changes;
+}
+
+/**
+ * Drop postponed/cancelled fixtures (STATUS:CANCELLED or "postponed" in the summary).
+ * @param {Array<Object>} fixtures
+ * @returns {Array<Object>}
+ */
+function dropCalledOff(fixtures) {
+  const kept = fixtures.filter((f) => !fixtureChanges.isCalledOff(f));
+  if (kept.length < fixtures.length) {
+    logLine(`  Skipping ${fixtures.length - kept.length} postponed/cancelled fixture(s)`);
+  }
+  return kept;
+}
+
 // ---------- build message for a channel ----------
 
-async function buildChannelMessage(cfg, channel) {
+/**
+ * Digest text for a non-poster channel: a header, then one line per fixture,
+ * in the channel's locale (lib/i18n.js).
+ *
+ * @param {Object} channel - Channel config object
+ * @param {Array<Object>} fixtures - Fixtures, in kickoff order
+ * @param {Object} options
+ * @param {string} options.timezone - Timezone for the dates
+ * @param {number} options.daysAhead - Days covered (shown in the header)
+ * @param {string} options.header - Catalogue key: 'digestHeader' or 'digestHeaderIcs'
+ * @param {boolean} [options.showTeam=false] - Append the team label (per-team feeds)
+ * @returns {string}
+ */
+function formatDigest(channel, fixtures, { timezone, daysAhead, header, showTeam = false }) {
+  const locale = i18n.getLocale(channel.locale);
+  const lines = fixtures.map((f) => {
+    const dt = f.start instanceof Date ? f.start : new Date(f.start);
+    const when = dt.toLocaleString(locale.intl, {
+      timeZone: timezone,
+      weekday: 'short',
+      day: '2-digit',
+      month: 'short',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+
+    let line = `${when} – ${f.summary}`;
+    if (f.location) line += ` @ ${f.location}`;
+    if (showTeam && f.teamLabel) line += ` [${f.teamLabel}]`;
+
+    // Add TV channel if available
+    const tvChannel = getTvChannelForFixture(f, channel);
+    if (tvChannel) line += ` (${i18n.t(locale, 'tv')}: ${tvChannel})`;
+
+    return line;
+  });
+
+  const title = i18n.t(locale, header, { channel: channel.label || channel.id, days: daysAhead });
+  return `${title}\n\n${lines.join('\n')}`;
+}
+
+/**
+ * Fetch and build the fixtures/message for a channel.
+ *
+ * @param {Object} cfg - Config object
+ * @param {Object} channel - Channel config object
+ * @param {Object} [options={}] - Options
+ * @param {boolean} [options.includePosted=false] - Don't drop fixtures found in the posted ledger
+ *   (used by the bot commands, which answer with everything in the window)
+ * @param {number} [options.withinHours] - Only include fixtures kicking off within this many hours
+ *   (used by scheduled jobs, e.g. post each poster ~3 hours before kickoff)
+ * @param {boolean|string} [options.enrich=true] - Look up TV data for poster fixtures;
+ *   'posted' only for already-posted ones (kickoff-mode channels enrich the
+ *   rest at send time, but re-check posted posters every run)
+ * @param {boolean} [options.trackChanges=false] - Compare the fixtures with the
+ *   channel's last snapshot and log postponements and moves (real runs only)
+ * @param {boolean} [options.readOnly=false] - Don't fetch per-team feeds or
+ *   update the fixture store; use the fixtures already stored (dry runs)
+ * @returns {Promise<{text: string, matchCount: number, fixtures?: Array, posterStyle?: boolean, skippedCount?: number}>}
+ */
+async function buildChannelMessage(cfg, channel, options = {}) {
+  const { includePosted = false, withinHours = null, enrich = true, trackChanges = false, readOnly = false } = options;
+  const shouldEnrich = (f) => enrich !== 'posted' || Boolean(f.postedRef);
   const timezone = cfg.timezone || 'Europe/London';
   const daysAhead = cfg.icsDaysAhead && Number.isFinite(cfg.icsDaysAhead)
     ? cfg.icsDaysAhead
     : 7;
 
-  // --- MODE 1: TheFishy multi-ICS (one ICS per team, capped & throttled) ---
-  if (channel.useTheFishyMulti) {
+  // --- MODE 1: One ICS per team (TheFishy etc., capped & throttled) ---
+  const provider = icsProviders.getChannelProvider(channel);
+  if (provider.perTeam) {
     const allTeamEntries = channel.teams || [];
     if (!allTeamEntries.length) {
       throw new Error(
-        'useTheFishyMulti is true but this channel has no teams configured'
+        `ICS provider "${provider.id}" fetches one feed per team but this channel has no teams configured`
       );
     }
 
@@ -1269,14 +1942,22 @@ async function buildChannelMessage(cfg, channel) {
       ? channel.multiIcsDelayMs
       : 1500; // default: 1.5s between requests
 
-    const teams = allTeamEntries.slice(0, maxTeams);
+    // Least recently fetched teams first, so every team gets its turn
+    const teams = readOnly ? [] : fixtureStore.pickTeamsForRun(channel.id, allTeamEntries, maxTeams);
 
-    logLine(
-      `Channel "${channel.label || channel.id}": TheFishy multi-ICS mode – using first ${teams.length} of ${allTeamEntries.length} teams (maxTeams=${maxTeams}, delay=${delayMs}ms)`
-    );
+    if (readOnly) {
+      logLine(
+        `Channel "${channel.label || channel.id}": ${provider.label} multi-ICS mode – read-only, using stored fixtures for ${allTeamEntries.length} teams`
+      );
+    } else {
+      logLine(
+        `Channel "${channel.label || channel.id}": ${provider.label} multi-ICS mode – fetching ${teams.length} of ${allTeamEntries.length} teams this run, oldest first (maxTeams=${maxTeams}, delay=${delayMs}ms)`
+      );
+    }
 
-    const allFixtures = [];
+    let fetchedCount = 0;
     let hitRateLimit = false;
+    const fetchedTeams = [];
 
     for (let i = 0; i < teams.length; i++) {
       const t = teams[i];
@@ -1286,7 +1967,8 @@ async function buildChannelMessage(cfg, channel) {
         continue;
       }
 
-      const icsUrl = buildTheFishyIcsUrl(teamLabel);
+      const teamProvider = icsProviders.getTeamProvider(t, channel);
+      const icsUrl = teamProvider.buildTeamUrl(t, channel);
       if (!icsUrl) {
         logLine(`  Skipping team "${teamLabel}" – could not build ICS URL`);
         continue;
@@ -1302,12 +1984,10 @@ async function buildChannelMessage(cfg, channel) {
           daysAhead
         );
 
-        fixtures.forEach((f) => {
-          allFixtures.push({
-            ...f,
-            teamLabel
-          });
-        });
+        for (const f of fixtures) f.icsProvider = teamProvider.id;
+        fixtureStore.recordTeamFetch(channel.id, teamLabel, fixtures);
+        fetchedTeams.push(teamLabel);
+        fetchedCount++;
 
         logLine(
           `  -> ${fixtures.length} fixtures fetched for team "${teamLabel}"`
@@ -1318,8 +1998,10 @@ async function buildChannelMessage(cfg, channel) {
         logLine(
           `  ERROR fetching ICS for team "${teamLabel}": ${msg}`
         );
+        fixtureStore.recordTeamError(channel.id, teamLabel, msg);
 
         // If TheFishy / Cloudflare gives us 429, stop hammering them this run.
+        // (ics_source.js also answers 429 itself while a host is backing off.)
         if (status === 429) {
           logLine(
             '  Hit HTTP 429 (Too Many Requests) – stopping further ICS requests for this run.'
@@ -1335,6 +2017,17 @@ async function buildChannelMessage(cfg, channel) {
       }
     }
 
+    // Fixtures from every team's latest fetch, not just this run's batch
+    let allFixtures = fixtureStore.getStoredFixtures(channel.id, allTeamEntries, { daysAhead });
+    tagFixtureSports(allFixtures, channel);
+    if (trackChanges) {
+      trackFixtureChanges(channel, allFixtures, { daysAhead, fetchedTeams });
+    }
+    allFixtures = dropCalledOff(allFixtures);
+    logLine(
+      `  ${allFixtures.length} stored fixture(s) across ${allTeamEntries.length} teams (${fetchedCount} fetched this run)`
+    );
+
     if (!allFixtures.length) {
       if (hitRateLimit) {
         logLine(
@@ -1342,7 +2035,7 @@ async function buildChannelMessage(cfg, channel) {
         );
       } else {
         logLine(
-          `Channel "${channel.label || channel.id}": no fixtures collected from TheFishy multi-ICS.`
+          `Channel "${channel.label || channel.id}": no fixtures collected from ${provider.label} multi-ICS.`
         );
       }
       return { text: '', matchCount: 0 };
@@ -1350,7 +2043,7 @@ async function buildChannelMessage(cfg, channel) {
 
     // Deduplicate by (startTime + summary) in case overlaps
     const seen = new Set();
-    const merged = [];
+    let merged = [];
 
     for (const f of allFixtures) {
       const startIso =
@@ -1361,6 +2054,21 @@ async function buildChannelMessage(cfg, channel) {
       merged.push(f);
     }
 
+    if (withinHours) {
+      merged = filterWithinHours(merged, withinHours);
+    }
+
+    // Drop fixtures we have already posted to this channel
+    const { fixtures: unposted, skippedCount } = includePosted
+      ? { fixtures: merged.map(parseFixtureTeams), skippedCount: 0 }
+      : filterAlreadyPosted(channel, merged, {
+        keepPosted: Boolean(channel.posterStyle) && channel.editPostedMessages !== false
+      });
+    if (!unposted.length) {
+      return { text: '', matchCount: 0, skippedCount };
+    }
+    merged = unposted;
+
     merged.sort((a, b) => {
       const sa =
         a.start instanceof Date ? a.start.getTime() : new Date(a.start).getTime();
@@ -1386,30 +2094,16 @@ async function buildChannelMessage(cfg, channel) {
 
     // If posterStyle is enabled, return fixtures array for individual poster messages
     if (channel.posterStyle) {
-      // First, parse team names from summaries for fixtures that need it
-      for (let i = 0; i < merged.length; i++) {
-        const f = merged[i];
-        // Parse teams if not already set
-        if (!f.homeTeam || !f.awayTeam) {
-          if (f.teamLabel) {
-            const parsed = parseFishySummary(f.summary, f.teamLabel);
-            f.homeTeam = parsed.homeTeam;
-            f.awayTeam = parsed.awayTeam;
-          } else {
-            const parsed = parseTeamsFromSummary(f.summary);
-            f.homeTeam = parsed.homeTeam;
-            f.awayTeam = parsed.awayTeam;
-          }
-        }
-      }
+      // First, parse team names (or F1 sessions) from summaries for fixtures that need it
+      merged.forEach(parseFixtureTeams);
 
       // Enrich fixtures with TV info using the aggregator (preferred) or legacy methods
       // The aggregator combines data from all sources: TSDB, LSTV, BBC, Sky, TNT, LFOTV, Wiki
-      if (cfg.liveSoccerTvEnabled !== false || cfg.useAggregator !== false) {
+      if (enrich && (cfg.liveSoccerTvEnabled !== false || cfg.useAggregator !== false)) {
         logLine(`  Enriching fixtures with TV data (${tvAggregator ? 'aggregator' : 'legacy'})...`);
         for (let i = 0; i < merged.length; i++) {
           const f = merged[i];
-          if ((!f.tvByRegion || f.tvByRegion.length === 0) && f.homeTeam && f.awayTeam) {
+          if (shouldEnrich(f) && (!f.tvByRegion || f.tvByRegion.length === 0) && hasEventIdentity(f)) {
             merged[i] = await enrichFixtureWithAggregator(cfg, f);
             // Delay between requests to be polite
             if (i < merged.length - 1) {
@@ -1431,38 +2125,18 @@ async function buildChannelMessage(cfg, channel) {
         text: '',
         matchCount: merged.length,
         fixtures: merged,
-        posterStyle: true
+        posterStyle: true,
+        skippedCount
       };
     }
 
-    const lines = merged.map((f) => {
-      const dt = f.start instanceof Date ? f.start : new Date(f.start);
-      const when = dt.toLocaleString('en-GB', {
-        timeZone: timezone,
-        weekday: 'short',
-        day: '2-digit',
-        month: 'short',
-        hour: '2-digit',
-        minute: '2-digit'
-      });
-
-      let line = `${when} – ${f.summary}`;
-      if (f.location) line += ` @ ${f.location}`;
-      if (f.teamLabel) line += ` [${f.teamLabel}]`;
-
-      // Add TV channel if available
-      const tvChannel = getTvChannelForFixture(f, channel);
-      if (tvChannel) line += ` (TV: ${tvChannel})`;
-
-      return line;
-    });
-
-    const header = `Upcoming fixtures – ${channel.label || channel.id} (next ${daysAhead} day(s))`;
-    const text = `${header}\n\n${lines.join('\n')}`;
+    const text = formatDigest(channel, merged, { timezone, daysAhead, header: 'digestHeader', showTeam: true });
 
     return {
       text,
-      matchCount: merged.length
+      matchCount: merged.length,
+      fixtures: merged,
+      skippedCount
     };
   }
 
@@ -1482,17 +2156,37 @@ async function buildChannelMessage(cfg, channel) {
     `Channel "${channel.label || channel.id}": single ICS mode, url=${icsUrl}, daysAhead=${daysAhead}, teamFilters=${teamNames.length}`
   );
 
-  const fixtures = await getFixturesFromIcs(
+  let icsFixtures = await getFixturesFromIcs(
     icsUrl,
     timezone,
     teamNames,
     daysAhead
   );
+  for (const f of icsFixtures) f.icsProvider = provider.id;
+  tagFixtureSports(icsFixtures, channel);
+  if (trackChanges) {
+    trackFixtureChanges(channel, icsFixtures, { daysAhead });
+  }
+  icsFixtures = dropCalledOff(icsFixtures);
 
-  if (!fixtures.length) {
+  if (withinHours) {
+    icsFixtures = filterWithinHours(icsFixtures, withinHours);
+  }
+
+  if (!icsFixtures.length) {
     return { text: '', matchCount: 0 };
   }
 
+  // Drop fixtures we have already posted to this channel
+  const { fixtures, skippedCount } = includePosted
+    ? { fixtures: icsFixtures.map(parseFixtureTeams), skippedCount: 0 }
+    : filterAlreadyPosted(channel, icsFixtures, {
+      keepPosted: Boolean(channel.posterStyle) && channel.editPostedMessages !== false
+    });
+  if (!fixtures.length) {
+    return { text: '', matchCount: 0, skippedCount };
+  }
+
   // Try to enrich fixtures with TV info from TheSportsDB (if API key configured)
   if (cfg.theSportsDbApiKey && teamNames.length) {
     logLine(`  Attempting to enrich fixtures with TheSportsDB TV info...`);
@@ -1523,23 +2217,15 @@ async function buildChannelMessage(cfg, channel) {
 
   // If posterStyle is enabled, return fixtures array for individual poster messages
   if (channel.posterStyle) {
-    // First, parse team names from summaries for fixtures that need it
-    for (let i = 0; i < fixtures.length; i++) {
-      const f = fixtures[i];
-      // Parse teams if not already set
-      if (!f.homeTeam || !f.awayTeam) {
-        const parsed = parseTeamsFromSummary(f.summary);
-        f.homeTeam = parsed.homeTeam;
-        f.awayTeam = parsed.awayTeam;
-      }
-    }
+    // First, parse team names (or F1 sessions) from summaries for fixtures that need it
+    fixtures.forEach(parseFixtureTeams);
 
     // Enrich fixtures with TV info using the aggregator (preferred) or legacy methods
-    if (cfg.liveSoccerTvEnabled !== false || cfg.useAggregator !== false) {
+    if (enrich && (cfg.liveSoccerTvEnabled !== false || cfg.useAggregator !== false)) {
       logLine(`  Enriching fixtures with TV data (${tvAggregator ? 'aggregator' : 'legacy'})...`);
       for (let i = 0; i < fixtures.length; i++) {
         const f = fixtures[i];
-        if ((!f.tvByRegion || f.tvByRegion.length === 0) && f.homeTeam && f.awayTeam) {
+        if (shouldEnrich(f) && (!f.tvByRegion || f.tvByRegion.length === 0) && hasEventIdentity(f)) {
           fixtures[i] = await enrichFixtureWithAggregator(cfg, f);
           // Delay between requests to be polite
           if (i < fixtures.length - 1) {
@@ -1561,103 +2247,1044 @@ async function buildChannelMessage(cfg, channel) {
       text: '',
       matchCount: fixtures.length,
       fixtures: fixtures,
-      posterStyle: true
+      posterStyle: true,
+      skippedCount
     };
   }
 
-  const lines = fixtures.map((f) => {
-    const dt = f.start instanceof Date ? f.start : new Date(f.start);
-    const when = dt.toLocaleString('en-GB', {
-      timeZone: timezone,
-      weekday: 'short',
-      day: '2-digit',
-      month: 'short',
-      hour: '2-digit',
-      minute: '2-digit'
-    });
-
-    let line = `${when} – ${f.summary}`;
-    if (f.location) line += ` @ ${f.location}`;
-
-    // Add TV channel if available
-    const tvChannel = getTvChannelForFixture(f, channel);
-    if (tvChannel) line += ` (TV: ${tvChannel})`;
-
-    return line;
-  });
-
-  const header = `Upcoming fixtures from ICS – ${channel.label || channel.id} (next ${daysAhead} day(s))`;
-  const text = `${header}\n\n${lines.join('\n')}`;
+  const text = formatDigest(channel, fixtures, { timezone, daysAhead, header: 'digestHeaderIcs' });
 
   return {
     text,
-    matchCount: fixtures.length
+    matchCount: fixtures.length,
+    fixtures,
+    skippedCount
   };
 }
 
-// ---------- main runner ----------
+// ---------- Poster sending ----------
 
-async function runOnce() {
-  const cfg = loadConfig();
+/**
+ * Send one poster (image if a background is available, else text) and
+ * record it in the posted ledger.
+ *
+ * @param {string} botToken - Telegram bot token
+ * @param {Object} channel - Channel config object
+ * @param {Object} posterFixture - Fixture adapted for poster format
+ * @param {Object} options - Poster options
+ * @param {string|null} options.backgroundPath - Background image (null = text only)
+ * @param {string} options.posterFooterText - Footer/caption text
+ * @param {boolean} options.showFooter - Whether text posters show the footer
+ * @returns {Promise<Object>} The sent Telegram Message object
+ */
+async function sendPoster(botToken, channel, posterFixture, options) {
+  const { backgroundPath, posterFooterText, showFooter } = options;
 
-  const botToken = cfg.botToken;
-  if (!botToken) {
-    throw new Error('botToken not set in config.json');
-  }
+  let posterImagePath = null;
+  try {
+    // Try image poster first if background is available
+    if (backgroundPath) {
+      posterImagePath = await buildPosterImageForFixture(posterFixture, {
+        backgroundPath,
+        footerText: posterFooterText,
+        template: posterTemplates.getTemplateForFixture(channel, posterFixture),
+        theSportsDbApiKey: options.theSportsDbApiKey
+      });
+    }
 
-  const channels = cfg.channels || [];
-  if (!channels.length) {
-    throw new Error('No channels configured in config.json');
-  }
+    if (posterImagePath) {
+      // Send image poster
+      const caption = i18n.translateText(i18n.getLocale(channel.locale), posterFooterText || '');
+      const sent = await sendTelegramPhoto(botToken, channel.id, posterImagePath, caption);
+      postedLedger.recordPosted(channel.id, posterFixture, {
+        messageId: sent && sent.message_id,
+        kind: 'photo'
+      });
+      logLine(`    -> Sent as image poster`);
+      return sent;
+    }
 
-  const results = [];
-  let totalMatches = 0;
-  let sendCount = 0;
+    // Fall back to text poster
+    const posterText = formatFixturePoster(posterFixture, {
+      showFooter: showFooter,
+      footerText: posterFooterText || DEFAULT_FOOTER_TEXT
+    });
+    const sent = await sendTelegramMessage(botToken, channel.id, posterText);
+    postedLedger.recordPosted(channel.id, posterFixture, {
+      messageId: sent && sent.message_id,
+      kind: 'text'
+    });
+    logLine(`    -> Sent as text poster`);
+    return sent;
+  } finally {
+    // Clean up temporary poster image
+    if (posterImagePath) {
+      cleanupTempPoster(posterImagePath);
+    }
+  }
+}
 
-  for (const channel of channels) {
-    const label = channel.label || channel.id || '(unknown channel)';
+// ---------- Posted message updates ----------
 
-    try {
-      const buildResult = await buildChannelMessage(cfg, channel);
-      const { text, matchCount, posterStyle, fixtures } = buildResult;
+// Telegram's maximum caption length for photos
+const MAX_CAPTION_LENGTH = 1024;
 
-      if (!matchCount) {
-        logLine(
-          `Channel "${label}": no fixtures found for current window (matches=0).`
-        );
+/**
+ * Edit a previously posted poster if its TV listings or kickoff changed.
+ * Text posters are edited with editMessageText. Image posters get a freshly
+ * rendered image via editMessageMedia, or – if no image can be rendered –
+ * the text poster as their caption via editMessageCaption.
+ *
+ * @param {string} botToken - Telegram bot token
+ * @param {Object} channel - Channel config object
+ * @param {Object} posterFixture - Fixture adapted for poster format
+ * @param {{ key: string, entry: Object }} postedRef - Ledger reference from filterAlreadyPosted()
+ * @param {Object} options - Poster options
+ * @param {string|null} options.backgroundPath - Background image (null = text only)
+ * @param {string} options.posterFooterText - Footer/caption text
+ * @param {boolean} options.showFooter - Whether text posters show the footer
+ * @returns {Promise<boolean>} True if the message was edited
+ */
+async function updatePostedPoster(botToken, channel, posterFixture, postedRef, options) {
+  const { backgroundPath, posterFooterText, showFooter } = options;
+  const { key, entry } = postedRef;
+
+  const diff = postedLedger.diffPosted(entry, posterFixture);
+  if (!diff.changed) {
+    logLine(`    -> Already posted, unchanged`);
+    return false;
+  }
+
+  const reasons = [diff.kickoffChanged && 'kickoff', diff.tvChanged && 'TV listings']
+    .filter(Boolean)
+    .join(' + ');
+
+  if (!entry.messageId || entry.kind === 'digest' || entry.kind === 'card') {
+    logLine(`    -> ${reasons} changed, but original message cannot be edited (kind=${entry.kind})`);
+    postedLedger.movePosted(channel.id, key, posterFixture);
+    return false;
+  }
+
+  const posterText = formatFixturePoster(posterFixture, {
+    showFooter,
+    footerText: posterFooterText || DEFAULT_FOOTER_TEXT
+  });
+
+  let posterImagePath = null;
+  try {
+    if (entry.kind === 'photo') {
+      if (backgroundPath) {
+        posterImagePath = await buildPosterImageForFixture(posterFixture, {
+          backgroundPath,
+          footerText: posterFooterText,
+          template: posterTemplates.getTemplateForFixture(channel, posterFixture),
+          theSportsDbApiKey: options.theSportsDbApiKey
+        });
+      }
+
+      if (posterImagePath) {
+        await editTelegramMessageMedia(botToken, channel.id, entry.messageId, posterImagePath,
+          i18n.translateText(i18n.getLocale(channel.locale), posterFooterText || ''));
+      } else {
+        await editTelegramMessageCaption(botToken, channel.id, entry.messageId, posterText.slice(0, MAX_CAPTION_LENGTH));
+      }
+    } else {
+      await editTelegramMessageText(botToken, channel.id, entry.messageId, posterText);
+    }
+  } finally {
+    if (posterImagePath) {
+      cleanupTempPoster(posterImagePath);
+    }
+  }
+
+  postedLedger.movePosted(channel.id, key, posterFixture);
+  logLine(`    -> ${reasons} changed, edited message ${entry.messageId}`);
+  return true;
+}
+
+// ---------- Fixture change alerts ----------
+
+// Catalogue key (lib/i18n.js) for the first line of a change alert
+const CHANGE_ALERT_HEADINGS = {
+  cancelled: 'alertPostponed',
+  removed: 'alertPostponed',
+  kickoff: 'alertKickoff',
+  venue: 'alertVenue'
+};
+
+/**
+ * How a channel hears about changes to fixtures it already posted:
+ * 'edit' (default) edits the original poster, falling back to an alert post
+ * for digests and venue changes; 'post' always sends an alert; 'off' only logs.
+ * @param {Object} channel - Channel config object
+ * @returns {'edit'|'post'|'off'}
+ */
+function getChangeAlertMode(channel) {
+  return ['post', 'off'].includes(channel.changeAlerts) ? channel.changeAlerts : 'edit';
+}
+
+// "Arsenal v Chelsea", or the summary when teams weren't parsed
+function describeChange(change, locale) {
+  return change.homeTeam && change.awayTeam
+    ? `${change.homeTeam} ${i18n.t(locale, 'versus')} ${change.awayTeam}`
+    : change.summary;
+}
+
+/**
+ * Text of a change alert, e.g.
+ *   ⏰ KICK-OFF CHANGED
+ *
+ *   Arsenal v Chelsea
+ *   Now: Sun 20 Oct, 16:30
+ *   Was: Sat 19 Oct, 15:00
+ *
+ * @param {Object} change - Change from lib/fixture_changes.js
+ * @param {string} [timezone='Europe/London'] - Timezone for the times shown
+ * @param {string} [localeId] - Channel locale (lib/i18n.js); defaults to English
+ * @returns {string}
+ */
+function formatChangeAlert(change, timezone = 'Europe/London', localeId) {
+  const locale = i18n.getLocale(localeId);
+  const when = (value) => new Date(value).toLocaleString(locale.intl, {
+    timeZone: timezone,
+    weekday: 'short',
+    day: '2-digit',
+    month: 'short',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+
+  const lines = [i18n.t(locale, CHANGE_ALERT_HEADINGS[change.type]), '', describeChange(change, locale)];
+  if (change.type === 'kickoff') {
+    lines.push(
+      i18n.t(locale, 'alertNow', { when: when(change.start) }),
+      i18n.t(locale, 'alertWas', { when: when(change.previousStart) })
+    );
+  } else if (change.type === 'venue') {
+    lines.push(
+      i18n.t(locale, 'alertKickoffAt', { when: when(change.start) }),
+      i18n.t(locale, 'alertNowAt', { venue: change.location }),
+      i18n.t(locale, 'alertWasAt', { venue: change.previousLocation })
+    );
+  } else {
+    lines.push(
+      i18n.t(locale, 'alertWasDue', { when: when(change.previousStart) }),
+      i18n.t(locale, 'alertNewDate')
+    );
+  }
+  return lines.join('\n');
+}
+
+// The fixture a change describes, before or after it
+function changeToFixture(change, { previous = false } = {}) {
+  return {
+    start: new Date(previous ? change.previousStart : change.start),
+    summary: change.summary,
+    homeTeam: change.homeTeam,
+    awayTeam: change.awayTeam,
+    teamLabel: change.teamLabel,
+    icsProvider: change.icsProvider,
+    sport: change.sport,
+    location: previous ? change.previousLocation : change.location
+  };
+}
+
+/**
+ * Mark a posted poster as postponed: text posters get a POSTPONED line above
+ * the poster, image posters a POSTPONED caption.
+ *
+ * @param {string} botToken - Telegram bot token
+ * @param {Object} channel - Channel config object
+ * @param {Object} change - Change from lib/fixture_changes.js
+ * @param {{ key: string, entry: Object }} postedRef - Ledger reference
+ * @param {Object} options - Poster options (getPosterOptions())
+ */
+async function editPostponedPoster(botToken, channel, change, postedRef, options) {
+  const { posterFooterText, showFooter } = options;
+  const { entry } = postedRef;
+  const posterFixture = adaptFixtureForPoster({
+    ...changeToFixture(change, { previous: true }),
+    tvByRegion: entry.tvByRegion,
+    tvChannel: entry.tvChannel
+  }, channel);
+  const locale = i18n.getLocale(channel.locale);
+  const heading = i18n.t(locale, CHANGE_ALERT_HEADINGS.cancelled);
+
+  if (entry.kind === 'photo') {
+    const caption = [`${heading} – ${posterFixture.matchTitle}`, i18n.translateText(locale, posterFooterText || '')]
+      .filter(Boolean)
+      .join('\n\n');
+    await editTelegramMessageCaption(botToken, channel.id, entry.messageId, caption.slice(0, MAX_CAPTION_LENGTH));
+  } else {
+    const posterText = formatFixturePoster(posterFixture, {
+      showFooter,
+      footerText: posterFooterText || DEFAULT_FOOTER_TEXT
+    });
+    await editTelegramMessageText(botToken, channel.id, entry.messageId, `${heading}\n\n${posterText}`);
+  }
+}
+
+/**
+ * Act on a channel's unhandled fixture changes (lib/fixture_changes.js).
+ * Postponed fixtures lose their queued kickoff post. Only fixtures already
+ * posted to the channel get an alert (see getChangeAlertMode()); the action
+ * taken is recorded on each change for the admin log.
+ *
+ * @param {Object} cfg - Config object
+ * @param {string} botToken - Telegram bot token
+ * @param {Object} channel - Channel config object
+ * @returns {Promise<number>} Number of alerts posted or posters edited
+ */
+async function alertFixtureChanges(cfg, botToken, channel) {
+  const pending = fixtureChanges.listChanges({ channelId: channel.id, pending: true }).reverse();
+  const mode = getChangeAlertMode(channel);
+  const posterOptions = getPosterOptions(cfg);
+  let alerted = 0;
+
+  for (const change of pending) {
+    const calledOff = change.type === 'cancelled' || change.type === 'removed';
+    const before = changeToFixture(change, { previous: true });
+    const label = describeChange(change);
+
+    if (calledOff && postQueue.cancelFixture(channel.id, before)) {
+      logLine(`  Cancelled the queued poster for ${label} (postponed)`);
+    }
+
+    const posted = postedLedger.findPostedEntry(channel.id, before) ||
+      postedLedger.findPostedEntry(channel.id, changeToFixture(change));
+    if (!posted || mode === 'off') {
+      fixtureChanges.markChange(change.id, 'logged');
+      continue;
+    }
+
+    const { entry } = posted;
+    const editable = mode === 'edit' && entry.messageId && entry.kind !== 'digest' && entry.kind !== 'card';
+    try {
+      if (calledOff && editable) {
+        await editPostponedPoster(botToken, channel, change, posted, posterOptions);
+        fixtureChanges.markChange(change.id, 'edited', { messageId: entry.messageId });
+        logLine(`  Marked poster ${entry.messageId} for ${label} as postponed`);
+      } else if (change.type === 'kickoff' && editable) {
+        // Keep the TV listings already on the poster; the next run refreshes them
+        const posterFixture = adaptFixtureForPoster({
+          ...changeToFixture(change),
+          tvByRegion: entry.tvByRegion,
+          tvChannel: entry.tvChannel
+        }, channel);
+        // Usually the run's poster loop has already edited it for the new kickoff
+        if (!await updatePostedPoster(botToken, channel, posterFixture, posted, posterOptions)) {
+          fixtureChanges.markChange(change.id, 'logged');
+          continue;
+        }
+        fixtureChanges.markChange(change.id, 'edited', { messageId: entry.messageId });
+      } else {
+        const sent = await sendTelegramMessage(botToken, channel.id, formatChangeAlert(
+          change,
+          audience.getChannelTimezone(channel, cfg.timezone || 'Europe/London'),
+          channel.locale
+        ));
+        fixtureChanges.markChange(change.id, 'posted', { messageId: sent && sent.message_id });
+        logLine(`  Posted ${change.type} alert for ${label}`);
+      }
+      alerted++;
+      await sleep(500);
+    } catch (err) {
+      const msg = err && err.message ? err.message : String(err);
+      fixtureChanges.markChange(change.id, 'failed', { error: msg });
+      logLine(`  ERROR sending ${change.type} alert for ${label}: ${msg}`);
+    }
+  }
+
+  return alerted;
+}
+
+// ---------- Kickoff post queue ----------
+
+/**
+ * Whether a channel posts each fixture a set time before kickoff.
+ * @param {Object} channel - Channel config object
+ * @returns {boolean}
+ */
+function isKickoffMode(channel) {
+  return Boolean(channel.posterStyle) && channel.postMode === 'kickoff';
+}
+
+/**
+ * Footer/background options shared by every poster in a run.
+ * @param {Object} cfg - Config object
+ * @returns {{backgroundPath: string|null, posterFooterText: string, showFooter: boolean, theSportsDbApiKey: string}}
+ */
+function getPosterOptions(cfg) {
+  // Empty/whitespace-only footer text means no footer
+  const posterFooterText = (cfg.posterFooterText || '').trim();
+  return {
+    backgroundPath: getBackgroundImagePath(),
+    posterFooterText,
+    showFooter: Boolean(posterFooterText),
+    // Crest lookups for posters (see loadPosterAssets())
+    theSportsDbApiKey: cfg.theSportsDbApiKey || ''
+  };
+}
+
+/**
+ * Queue a kickoff-mode channel's fixtures at kickoff - lead time.
+ * Fixtures already in the posted ledger are left alone.
+ *
+ * @param {Object} channel - Channel config object
+ * @param {Array} fixtures - Fixtures from buildChannelMessage()
+ * @returns {{changed: number, queued: Array}} changed: number of newly queued
+ *   or re-timed posts; queued: the newly queued fixtures (for matchday cards)
+ */
+function queueKickoffPosts(channel, fixtures) {
+  const label = channel.label || channel.id;
+  const queued = [];
+  let changed = 0;
+
+  for (const fixture of fixtures) {
+    if (fixture.postedRef) continue;
+
+    const leadTimeHours = postQueue.getLeadTimeHours(channel, fixture);
+    const { entry, action } = postQueue.enqueue(channel.id, fixture, leadTimeHours);
+    if (action === 'queued' || action === 'updated') {
+      changed++;
+      if (action === 'queued') queued.push(fixture);
+      logLine(`  ${action === 'queued' ? 'Queued' : 'Re-timed'} ${fixture.summary} for ${entry.sendAt} (${leadTimeHours}h before kickoff)`);
+    }
+  }
+
+  logLine(`Channel "${label}": kickoff mode, ${changed} poster(s) queued or re-timed.`);
+  return { changed, queued };
+}
+
+/**
+ * Kickoff-mode run for a channel: queue the new fixtures (a card lists the
+ * newly queued ones with matchdayCard "also") and edit already-posted
+ * posters whose TV listings or kickoff changed, as poster channels do.
+ *
+ * @param {Object} cfg - Config object
+ * @param {string} botToken - Telegram bot token
+ * @param {Object} channel - Channel config object
+ * @param {Object} buildResult - Result of buildChannelMessage()
+ * @returns {Promise<Object>} Channel result for runOnce()
+ */
+async function postKickoffChannel(cfg, botToken, channel, buildResult) {
+  const { fixtures, matchCount, skippedCount = 0 } = buildResult;
+  const cardMode = matchdayCards.getCardMode(channel);
+  const posterOptions = getPosterOptions(cfg);
+
+  const { changed: queuedCount, queued } = queueKickoffPosts(channel, fixtures);
+  const cardCount = cardMode === 'also' && queued.length > 0
+    ? await sendMatchdayCards(cfg, botToken, channel, queued, posterOptions)
+    : 0;
+
+  let editedCount = 0;
+  for (const fixture of fixtures.filter((f) => f.postedRef)) {
+    try {
+      const posterFixture = adaptFixtureForPoster(fixture, channel);
+      logLine(`  Re-checking posted poster for ${fixture.summary}`);
+      if (await updatePostedPoster(botToken, channel, posterFixture, fixture.postedRef, posterOptions)) {
+        editedCount++;
+        await sleep(500);
+      }
+    } catch (posterErr) {
+      logLine(
+        `  ERROR editing poster for "${fixture.summary}": ${posterErr.message || String(posterErr)}`
+      );
+    }
+  }
+
+  return {
+    sent: cardCount > 0,
+    matchCount,
+    queuedCount,
+    ...(cardMode === 'also' ? { cardCount } : {}),
+    editedCount,
+    skippedCount
+  };
+}
+
+// ---------- Matchday card posting ----------
+
+/**
+ * Card pages for a channel's fixtures (lib/matchday_cards.js), in the
+ * channel's audience timezone, first priority region and locale.
+ * @param {Object} cfg - Config object (timezone)
+ * @param {Object} channel - Channel config object
+ * @param {Array} posterFixtures - Fixtures from adaptFixtureForPoster()
+ * @returns {Array<Object>} Pages
+ */
+function getMatchdayCardPages(cfg, channel, posterFixtures) {
+  return matchdayCards.buildCardPages(posterFixtures, {
+    timezone: audience.getChannelTimezone(channel, cfg.timezone || 'Europe/London'),
+    region: matchdayCards.getCardRegion(channel),
+    locale: channel.locale,
+    rowsPerPage: matchdayCards.getRowsPerPage(channel)
+  });
+}
+
+// Card page image options for a channel
+function getMatchdayCardOptions(channel, posterOptions) {
+  return {
+    backgroundPath: posterOptions.backgroundPath,
+    footerText: posterOptions.posterFooterText,
+    template: posterTemplates.getTemplate(channel.posterTemplate),
+    rowsPerPage: matchdayCards.getRowsPerPage(channel)
+  };
+}
+
+/**
+ * Send one matchday card page as a photo (or as text if it can't be drawn).
+ * With record, its fixtures are recorded in the posted ledger (kind "card",
+ * or "digest" when sent as text) under the page's message.
+ *
+ * @param {string} botToken - Telegram bot token
+ * @param {Object} channel - Channel config object
+ * @param {Object} page - Page from getMatchdayCardPages()
+ * @param {Object} posterOptions - From getPosterOptions()
+ * @param {Object} [options]
+ * @param {boolean} [options.record=false] - Record the page's fixtures as posted
+ * @returns {Promise<Object>} The sent Telegram Message object
+ */
+async function sendMatchdayCardPage(botToken, channel, page, posterOptions, { record = false } = {}) {
+  let imagePath = null;
+  try {
+    imagePath = await buildMatchdayCardImage(page, getMatchdayCardOptions(channel, posterOptions));
+    const kind = imagePath ? 'card' : 'digest';
+    const sent = imagePath
+      ? await sendTelegramPhoto(botToken, channel.id, imagePath,
+        `${page.heading} – ${page.dateLabel}${page.pageCount > 1 ? ` (${page.page}/${page.pageCount})` : ''}`)
+      : await sendTelegramMessage(botToken, channel.id, matchdayCards.formatCardPageText(page));
+
+    if (record) {
+      for (const fixture of page.fixtures) {
+        postedLedger.recordPosted(channel.id, fixture, { messageId: sent && sent.message_id, kind });
+      }
+    }
+    return sent;
+  } finally {
+    cleanupTempPoster(imagePath);
+  }
+}
+
+/**
+ * Send matchday cards for a channel's fixtures, one message per page.
+ *
+ * @param {Object} cfg - Config object
+ * @param {string} botToken - Telegram bot token
+ * @param {Object} channel - Channel config object
+ * @param {Array} fixtures - Fixtures from buildChannelMessage()
+ * @param {Object} posterOptions - From getPosterOptions()
+ * @param {Object} [options]
+ * @param {boolean} [options.record=false] - Record the fixtures as posted
+ *   (matchdayCard "instead"; with "also" the per-fixture posters are recorded)
+ * @returns {Promise<number>} Number of pages sent
+ */
+async function sendMatchdayCards(cfg, botToken, channel, fixtures, posterOptions, { record = false } = {}) {
+  const label = channel.label || channel.id;
+  const pages = getMatchdayCardPages(cfg, channel, fixtures.map((f) => adaptFixtureForPoster(f, channel)));
+  let sentCount = 0;
+
+  for (const [i, page] of pages.entries()) {
+    try {
+      await sendMatchdayCardPage(botToken, channel, page, posterOptions, { record });
+      sentCount++;
+      logLine(`  Matchday card ${page.date} page ${page.page}/${page.pageCount}: ${page.fixtures.length} fixture(s)`);
+    } catch (err) {
+      logLine(`  ERROR sending matchday card ${page.date} page ${page.page}: ${err.message || String(err)}`);
+    }
+    // Small delay between messages to avoid rate limiting
+    if (i < pages.length - 1) {
+      await sleep(500);
+    }
+  }
+
+  logLine(`Channel "${label}": sent ${sentCount} matchday card page(s).`);
+  return sentCount;
+}
+
+/**
+ * Enrich and send one queued poster, then update its queue entry.
+ *
+ * @param {Object} cfg - Config object
+ * @param {string} botToken - Telegram bot token
+ * @param {Object} channel - Channel config object
+ * @param {Object} entry - Queue entry
+ * @param {Object} posterOptions - From getPosterOptions()
+ * @returns {Promise<boolean>} True if sent (or found already posted)
+ */
+async function sendQueuedEntry(cfg, botToken, channel, entry, posterOptions) {
+  const fixture = { ...entry.fixture, start: new Date(entry.fixture.start) };
+
+  if (postedLedger.isPosted(channel.id, fixture)) {
+    postQueue.markSent(entry.id);
+    logLine(`  Queued poster for ${fixture.summary} was already posted`);
+    return true;
+  }
+
+  try {
+    // Fetch TV data now rather than when the fixture was queued
+    if (cfg.liveSoccerTvEnabled !== false || cfg.useAggregator !== false) {
+      await enrichFixtureWithAggregator(cfg, fixture);
+    }
+    const tvChannel = getTvChannelForFixture(fixture, channel);
+    if (tvChannel) {
+      fixture.tvChannel = tvChannel;
+    }
+
+    const posterFixture = adaptFixtureForPoster(fixture, channel);
+    logLine(`  Queued poster for ${fixture.summary} (${channel.label || channel.id}) – TV regions: ${posterFixture.tvByRegion.length}`);
+    const sent = await sendPoster(botToken, channel, posterFixture, posterOptions);
+    postQueue.markSent(entry.id, sent && sent.message_id);
+    return true;
+  } catch (err) {
+    const updated = postQueue.markFailed(entry.id, err.message || String(err));
+    logLine(`  ERROR sending queued poster for "${fixture.summary}" (attempt ${updated ? updated.attempts : '?'}): ${err.message || String(err)}`);
+    return false;
+  }
+}
+
+/**
+ * Send every due queued poster. Posts whose kickoff has already passed are
+ * marked expired instead. Caller must hold the run lock.
+ *
+ * @param {Object} cfg - Config object
+ * @param {string} botToken - Telegram bot token
+ * @param {string[]|null} channelIds - Limit to these channels (null = all)
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Promise<{sent: number, expired: number, failed: number}>}
+ */
+async function sendDueQueuedPosts(cfg, botToken, channelIds, now = new Date()) {
+  const result = { sent: 0, expired: 0, failed: 0 };
+  const due = postQueue.getDue(now, channelIds);
+  if (!due.length) return result;
+
+  logLine(`Post queue: ${due.length} poster(s) due`);
+  const posterOptions = getPosterOptions(cfg);
+
+  for (const entry of due) {
+    const channel = (cfg.channels || []).find((ch) => ch.id === entry.channelId);
+    if (!channel) {
+      postQueue.setStatus(entry.id, 'cancelled', { error: 'Channel is no longer configured' });
+      continue;
+    }
+    if (new Date(entry.fixture.start) <= now) {
+      postQueue.setStatus(entry.id, 'expired');
+      logLine(`  Queued poster for ${entry.fixture.summary} expired (kickoff passed)`);
+      result.expired++;
+      continue;
+    }
+
+    if (await sendQueuedEntry(cfg, botToken, channel, entry, posterOptions)) {
+      result.sent++;
+      await sleep(500);
+    } else {
+      result.failed++;
+    }
+  }
+
+  logLine(`Post queue: sent=${result.sent}, expired=${result.expired}, failed=${result.failed}`);
+  return result;
+}
+
+/**
+ * Send due queued posters for all channels (called by the scheduler).
+ * Cheap when nothing is due; skips if another run holds the lock.
+ *
+ * @param {Object} [options={}] - Options
+ * @param {Date} [options.now] - Reference time
+ * @param {string} [options.trigger='queue'] - Lock owner label
+ * @returns {Promise<{sent: number, expired: number, failed: number, skipped?: boolean}>}
+ */
+async function processPostQueue(options = {}) {
+  const { now = new Date(), trigger = 'queue' } = options;
+  if (!postQueue.getDue(now).length) {
+    return { sent: 0, expired: 0, failed: 0 };
+  }
+
+  const cfg = loadConfig();
+  if (!cfg.botToken) {
+    throw new Error('botToken not set in config.json');
+  }
+  const lockToken = runLock.acquireRunLock(trigger);
+  if (!lockToken) {
+    return { sent: 0, expired: 0, failed: 0, skipped: true };
+  }
+
+  try {
+    return await sendDueQueuedPosts(cfg, cfg.botToken, null, now);
+  } finally {
+    runLock.releaseRunLock(lockToken);
+  }
+}
+
+/**
+ * Send one queued (or failed) poster immediately, ignoring its send time.
+ *
+ * @param {string} id - Queue entry id
+ * @returns {Promise<boolean>} True if sent
+ * @throws {Error} If the entry can't be sent or a run is in progress
+ */
+async function sendQueuedPostNow(id) {
+  const entry = postQueue.getEntry(id);
+  if (!entry || (entry.status !== 'queued' && entry.status !== 'failed')) {
+    throw new Error('Post is not waiting in the queue');
+  }
+
+  const cfg = loadConfig();
+  const channel = (cfg.channels || []).find((ch) => ch.id === entry.channelId);
+  if (!cfg.botToken || !channel) {
+    throw new Error('Bot token or channel is not configured');
+  }
+  const lockToken = runLock.acquireRunLock('queue send-now');
+  if (!lockToken) {
+    throw new Error('Another run is in progress, try again shortly');
+  }
+
+  try {
+    return await sendQueuedEntry(cfg, cfg.botToken, channel, entry, getPosterOptions(cfg));
+  } finally {
+    runLock.releaseRunLock(lockToken);
+  }
+}
+
+// ---------- Dry run / preview ----------
+
+/**
+ * Render a poster the way sendPoster() would, without sending it.
+ *
+ * @param {Object} posterFixture - Fixture adapted for poster format
+ * @param {Object} posterOptions - From getPosterOptions(); plainBackground
+ *   renders an image even without an uploaded background
+ * @param {Object} [template] - Poster template (default: classic)
+ * @returns {Promise<{text: string, image: string|null}>} image is a PNG data URL
+ */
+async function renderPosterPreview(posterFixture, posterOptions, template = null) {
+  const { backgroundPath, posterFooterText, showFooter, plainBackground = false } = posterOptions;
+  const text = formatFixturePoster(posterFixture, {
+    showFooter,
+    footerText: posterFooterText || DEFAULT_FOOTER_TEXT
+  });
+
+  let image = null;
+  let posterImagePath = null;
+  try {
+    if (backgroundPath || plainBackground) {
+      posterImagePath = await buildPosterImageForFixture(posterFixture, {
+        backgroundPath,
+        footerText: posterFooterText,
+        template,
+        plainBackground,
+        theSportsDbApiKey: posterOptions.theSportsDbApiKey
+      });
+    }
+    if (posterImagePath) {
+      image = `data:image/png;base64,${fs.readFileSync(posterImagePath).toString('base64')}`;
+    }
+  } finally {
+    if (posterImagePath) {
+      cleanupTempPoster(posterImagePath);
+    }
+  }
+
+  return { text, image };
+}
+
+/**
+ * Render a matchday card page for previews.
+ *
+ * @param {Object} channel - Channel config object
+ * @param {Object} page - Page from getMatchdayCardPages()
+ * @param {Object} posterOptions - From getPosterOptions()
+ * @returns {Promise<{text: string, image: string|null}>} Text version and PNG data URL
+ */
+async function renderMatchdayCardPreview(channel, page, posterOptions) {
+  const text = matchdayCards.formatCardPageText(page);
+  let image = null;
+  let imagePath = null;
+  try {
+    imagePath = await buildMatchdayCardImage(page, getMatchdayCardOptions(channel, posterOptions));
+    if (imagePath) {
+      image = `data:image/png;base64,${fs.readFileSync(imagePath).toString('base64')}`;
+    }
+  } finally {
+    cleanupTempPoster(imagePath);
+  }
+  return { text, image };
+}
+
+/**
+ * Work out what a run would post to each channel, without sending,
+ * queueing or touching the posted ledger.
+ *
+ * Each result has `items`: one per poster (kind "poster", action
+ * send | edit | unchanged | queue), one per matchday card page (kind
+ * "card") or a single digest (kind "digest").
+ * Items can be sent individually with sendPreviewItem().
+ *
+ * @param {Object} cfg - Config object
+ * @param {Array<Object>} channels - Channels to preview
+ * @param {Object} [options={}] - Options
+ * @param {number} [options.withinHours] - Only fixtures kicking off within this many hours
+ * @returns {Promise<{summary: string, results: Array, dryRun: true}>}
+ */
+async function previewChannels(cfg, channels, { withinHours = null } = {}) {
+  logLine(`Dry run${withinHours ? ` (fixtures within ${withinHours}h)` : ''} for ${channels.length} channel(s)`);
+
+  const posterOptions = getPosterOptions(cfg);
+  const results = [];
+  let itemCount = 0;
+
+  for (const channel of channels) {
+    const label = channel.label || channel.id || '(unknown channel)';
+    const result = { channelId: channel.id, channelLabel: label, sent: false, matchCount: 0, items: [] };
+
+    try {
+      const { text, matchCount, posterStyle, fixtures = [], skippedCount = 0 } =
+        await buildChannelMessage(cfg, channel, { withinHours, readOnly: true });
+      result.matchCount = matchCount;
+      result.skippedCount = skippedCount;
+
+      if (posterStyle) {
+        const kickoffMode = isKickoffMode(channel);
+        const cardMode = matchdayCards.getCardMode(channel);
+        if (cardMode !== 'off') {
+          const unposted = fixtures.filter((f) => !f.postedRef).map((f) => adaptFixtureForPoster(f, channel));
+          for (const page of getMatchdayCardPages(cfg, channel, unposted)) {
+            result.items.push({
+              kind: 'card',
+              action: 'send',
+              page,
+              fixtures: page.fixtures,
+              record: cardMode === 'instead',
+              ...(await renderMatchdayCardPreview(channel, page, posterOptions))
+            });
+          }
+        }
+
+        for (const fixture of fixtures) {
+          if (cardMode === 'instead' && !fixture.postedRef) continue;
+          const posterFixture = adaptFixtureForPoster(fixture, channel);
+          const item = { kind: 'poster', posterFixture, action: kickoffMode ? 'queue' : 'send' };
+
+          if (fixture.postedRef) {
+            const diff = postedLedger.diffPosted(fixture.postedRef.entry, posterFixture);
+            item.action = diff.changed && !kickoffMode ? 'edit' : 'unchanged';
+            item.messageId = fixture.postedRef.entry.messageId || null;
+          } else if (kickoffMode) {
+            const leadTimeHours = postQueue.getLeadTimeHours(channel, fixture);
+            item.sendAt = new Date(new Date(fixture.start).getTime() - leadTimeHours * 60 * 60 * 1000).toISOString();
+          }
+
+          if (item.action !== 'unchanged') {
+            Object.assign(item, await renderPosterPreview(
+              posterFixture, posterOptions, posterTemplates.getTemplateForFixture(channel, posterFixture)
+            ));
+          }
+          result.items.push(item);
+        }
+      } else if (text) {
+        result.items.push({ kind: 'digest', action: 'send', text, fixtures });
+      }
+    } catch (err) {
+      logLine(`Dry run ERROR for channel "${label}": ${err.message || String(err)}`);
+      result.error = err.message || String(err);
+    }
+
+    itemCount += result.items.length;
+    results.push(result);
+  }
+
+  const summary = `Dry run: channels=${channels.length}, messages=${itemCount}`;
+  logLine(summary);
+  return { summary, results, dryRun: true };
+}
+
+/**
+ * Send one item from a dry run (a single poster, card page or digest) to its channel
+ * and record it in the posted ledger.
+ *
+ * @param {string} channelId - Telegram channel ID
+ * @param {Object} item - Item from previewChannels()
+ * @returns {Promise<Object>} The sent Telegram Message object
+ * @throws {Error} If already posted, not configured or a run is in progress
+ */
+async function sendPreviewItem(channelId, item) {
+  const cfg = loadConfig();
+  const channel = (cfg.channels || []).find((ch) => ch.id === channelId);
+  if (!cfg.botToken || !channel) {
+    throw new Error('Bot token or channel is not configured');
+  }
+  if (item.kind === 'poster' && postedLedger.isPosted(channel.id, item.posterFixture)) {
+    throw new Error('This fixture has already been posted to the channel');
+  }
+  if (item.kind === 'card' && item.record && item.fixtures.some((f) => postedLedger.isPosted(channel.id, f))) {
+    throw new Error('A fixture on this card has already been posted to the channel');
+  }
+  const lockToken = runLock.acquireRunLock('preview send');
+  if (!lockToken) {
+    throw new Error('Another run is in progress, try again shortly');
+  }
+
+  try {
+    if (item.kind === 'poster') {
+      logLine(`Preview send: poster for ${item.posterFixture.matchTitle || item.posterFixture.summary} to "${channel.label || channel.id}"`);
+      return await sendPoster(cfg.botToken, channel, item.posterFixture, getPosterOptions(cfg));
+    }
+    if (item.kind === 'card') {
+      logLine(`Preview send: matchday card ${item.page.date} page ${item.page.page}/${item.page.pageCount} to "${channel.label || channel.id}"`);
+      return await sendMatchdayCardPage(cfg.botToken, channel, item.page, getPosterOptions(cfg), { record: item.record });
+    }
+
+    logLine(`Preview send: digest with ${item.fixtures.length} fixtures to "${channel.label || channel.id}"`);
+    const sent = await sendTelegramMessage(cfg.botToken, channel.id, item.text);
+    for (const f of item.fixtures) {
+      postedLedger.recordPosted(channel.id, f, {
+        messageId: sent && sent.message_id,
+        kind: 'digest'
+      });
+    }
+    return sent;
+  } finally {
+    runLock.releaseRunLock(lockToken);
+  }
+}
+
+// ---------- main runner ----------
+
+/**
+ * Post to every configured channel (or a subset).
+ *
+ * Skips (without throwing) if another run holds the run lock. With dryRun,
+ * nothing is sent, queued or recorded; the results describe what would be
+ * posted (see previewChannels()).
+ *
+ * @param {Object} [options={}] - Options
+ * @param {string[]} [options.channelIds] - Only run these channel IDs
+ * @param {number} [options.withinHours] - Only post fixtures kicking off within this many hours
+ * @param {string} [options.trigger='manual'] - Who started the run (for logs and the lock)
+ * @param {boolean} [options.dryRun=false] - Preview instead of posting
+ * @returns {Promise<{summary: string, results: Array, skipped?: boolean, dryRun?: boolean}>}
+ */
+async function runOnce(options = {}) {
+  const { channelIds = null, withinHours = null, trigger = 'manual', dryRun = false } = options;
+  const cfg = loadConfig();
+
+  const botToken = cfg.botToken;
+  if (!botToken && !dryRun) {
+    throw new Error('botToken not set in config.json');
+  }
+
+  let channels = cfg.channels || [];
+  if (!channels.length) {
+    throw new Error('No channels configured in config.json');
+  }
+  if (channelIds) {
+    channels = channels.filter((ch) => channelIds.includes(ch.id));
+    if (!channels.length) {
+      throw new Error(`No configured channel matches ${channelIds.join(', ')}`);
+    }
+  }
+
+  if (dryRun) {
+    return previewChannels(cfg, channels, { withinHours });
+  }
+
+  const lockToken = runLock.acquireRunLock(trigger);
+  if (!lockToken) {
+    const holder = runLock.getRunLock();
+    const summary = `Skipped: another run is in progress (${holder ? `${holder.owner} since ${holder.acquiredAt}` : 'unknown'})`;
+    logLine(`Run (${trigger}) ${summary}`);
+    return { summary, results: [], skipped: true };
+  }
+
+  try {
+    return await runChannels(cfg, botToken, channels, { withinHours, trigger });
+  } finally {
+    runLock.releaseRunLock(lockToken);
+  }
+}
+
+// Body of runOnce(), run while holding the run lock
+async function runChannels(cfg, botToken, channels, { withinHours, trigger }) {
+  logLine(`Run started (${trigger}${withinHours ? `, fixtures within ${withinHours}h` : ''}) for ${channels.length} channel(s)`);
+
+  const results = [];
+  let totalMatches = 0;
+  let sendCount = 0;
+  let changeAlerts = 0;
+
+  for (const channel of channels) {
+    const label = channel.label || channel.id || '(unknown channel)';
+
+    try {
+      const kickoffMode = isKickoffMode(channel);
+      const cardMode = matchdayCards.getCardMode(channel);
+      // Kickoff-mode posters look up TV at send time, but cards and the
+      // already-posted posters re-checked for edits need it now
+      const buildResult = await buildChannelMessage(cfg, channel, {
+        withinHours, enrich: !kickoffMode || cardMode !== 'off' || 'posted', trackChanges: true
+      });
+      const { text, matchCount, posterStyle, fixtures, skippedCount = 0 } = buildResult;
+
+      if (!matchCount) {
+        if (skippedCount > 0) {
+          logLine(
+            `Channel "${label}": nothing new to post (${skippedCount} fixture(s) already posted).`
+          );
+        } else {
+          logLine(
+            `Channel "${label}": no fixtures found for current window (matches=0).`
+          );
+        }
         results.push({
           channelLabel: label,
           sent: false,
-          matchCount: 0
+          matchCount: 0,
+          skippedCount
         });
         continue;
       }
 
+      // Kickoff-relative channels: queue posters instead of sending them now
+      if (kickoffMode && posterStyle && fixtures && fixtures.length > 0 && cardMode !== 'instead') {
+        const result = await postKickoffChannel(cfg, botToken, channel, buildResult);
+        results.push({ channelLabel: label, ...result });
+        totalMatches += matchCount;
+        if (result.sent) sendCount += 1;
+        continue;
+      }
+
       // Handle poster-style messages (one message per fixture)
       if (posterStyle && fixtures && fixtures.length > 0) {
         logLine(
           `Channel "${label}": posting ${fixtures.length} fixtures in poster style.`
         );
         
-        // Get footer text from config (empty/whitespace-only means no footer)
-        const posterFooterText = (cfg.posterFooterText || '').trim();
-        const showFooter = Boolean(posterFooterText);
-        
-        // Check if we should use image posters
-        const backgroundPath = getBackgroundImagePath();
-        const useImagePosters = Boolean(backgroundPath);
-        
-        if (useImagePosters) {
-          logLine(`  Using image-based posters with background: ${path.basename(backgroundPath)}`);
+        // Footer, background and crest lookup options shared by every poster
+        const posterOptions = getPosterOptions(cfg);
+        if (posterOptions.backgroundPath) {
+          logLine(`  Using image-based posters with background: ${path.basename(posterOptions.backgroundPath)}`);
+        }
+
+        // Matchday cards for the fixtures not posted yet; with "instead" they
+        // are recorded as posted and only earlier posters are still edited
+        let cardCount = 0;
+        if (cardMode !== 'off') {
+          const unposted = fixtures.filter((f) => !f.postedRef);
+          if (unposted.length > 0) {
+            cardCount = await sendMatchdayCards(cfg, botToken, channel, unposted, posterOptions, {
+              record: cardMode === 'instead'
+            });
+          }
         }
         
         let postersSent = 0;
+        let postersEdited = 0;
         for (const fixture of fixtures) {
-          let posterImagePath = null;
-          
+          if (cardMode === 'instead' && !fixture.postedRef) continue;
           try {
             // Adapt the fixture for poster format
-            const posterFixture = adaptFixtureForPoster(fixture);
+            const posterFixture = adaptFixtureForPoster(fixture, channel);
             
             // Log the fixture being posted (use already parsed team names)
             const tvRegionCount = posterFixture.tvByRegion ? posterFixture.tvByRegion.length : 0;
@@ -1668,28 +3295,17 @@ async function runOnce() {
               `  Poster for ${fixtureLabel} – TV regions: ${tvRegionCount}`
             );
             
-            // Try image poster first if background is available
-            if (useImagePosters) {
-              posterImagePath = await buildPosterImageForFixture(posterFixture, {
-                backgroundPath,
-                footerText: posterFooterText
-              });
+            // Already posted: edit the original message if it is stale
+            if (fixture.postedRef) {
+              const edited = await updatePostedPoster(botToken, channel, posterFixture, fixture.postedRef, posterOptions);
+              if (edited) {
+                postersEdited++;
+                await sleep(500);
+              }
+              continue;
             }
             
-            if (posterImagePath) {
-              // Send image poster
-              const caption = posterFooterText || '';
-              await sendTelegramPhoto(botToken, channel.id, posterImagePath, caption);
-              logLine(`    -> Sent as image poster`);
-            } else {
-              // Fall back to text poster
-              const posterText = formatFixturePoster(posterFixture, {
-                showFooter: showFooter,
-                footerText: posterFooterText || DEFAULT_FOOTER_TEXT
-              });
-              await sendTelegramMessage(botToken, channel.id, posterText);
-              logLine(`    -> Sent as text poster`);
-            }
+            await sendPoster(botToken, channel, posterFixture, posterOptions);
             
             postersSent++;
             
@@ -1701,27 +3317,25 @@ async function runOnce() {
             logLine(
               `  ERROR sending poster for "${fixture.summary}": ${posterErr.message || String(posterErr)}`
             );
-          } finally {
-            // Clean up temporary poster image
-            if (posterImagePath) {
-              cleanupTempPoster(posterImagePath);
-            }
           }
         }
         
         logLine(
-          `Channel "${label}": sent ${postersSent} poster messages.`
+          `Channel "${label}": sent ${postersSent} poster messages, edited ${postersEdited}.`
         );
         
         results.push({
           channelLabel: label,
-          sent: postersSent > 0,
+          sent: postersSent > 0 || cardCount > 0,
           matchCount,
-          posterCount: postersSent
+          posterCount: postersSent,
+          ...(cardMode !== 'off' ? { cardCount } : {}),
+          editedCount: postersEdited,
+          skippedCount
         });
         
         totalMatches += matchCount;
-        if (postersSent > 0) sendCount += 1;
+        if (postersSent > 0 || cardCount > 0) sendCount += 1;
         continue;
       }
 
@@ -1738,15 +3352,24 @@ async function runOnce() {
         continue;
       }
 
-      await sendTelegramMessage(botToken, channel.id, text);
+      const sent = await sendTelegramMessage(botToken, channel.id, text);
       logLine(
         `Channel "${label}": sent message with ${matchCount} fixtures.`
       );
 
+      // Every fixture in the digest shares the same message_id
+      for (const f of fixtures || []) {
+        postedLedger.recordPosted(channel.id, f, {
+          messageId: sent && sent.message_id,
+          kind: 'digest'
+        });
+      }
+
       results.push({
         channelLabel: label,
         sent: true,
-        matchCount
+        matchCount,
+        skippedCount
       });
 
       totalMatches += matchCount;
@@ -1761,10 +3384,29 @@ async function runOnce() {
         matchCount: 0,
         error: err.message || String(err)
       });
+    } finally {
+      // After the channel's posts, so a moved poster is only edited once.
+      // A failure here must not cost the channel its result or the others their run
+      try {
+        changeAlerts += await alertFixtureChanges(cfg, botToken, channel);
+      } catch (alertErr) {
+        logLine(
+          `ERROR handling fixture changes for channel "${label}": ${alertErr.message || String(alertErr)}`
+        );
+      }
     }
   }
 
-  const summary = `Channels=${channels.length}, sent=${sendCount}, totalMatches=${totalMatches}`;
+  // Send queued kickoff posters for these channels that are now due
+  const queueResult = await sendDueQueuedPosts(cfg, botToken, channels.map((ch) => ch.id));
+
+  let summary = `Channels=${channels.length}, sent=${sendCount}, totalMatches=${totalMatches}`;
+  if (queueResult.sent > 0) {
+    summary += `, queuedPostersSent=${queueResult.sent}`;
+  }
+  if (changeAlerts > 0) {
+    summary += `, fixtureChangeAlerts=${changeAlerts}`;
+  }
   logLine(`Run summary: ${summary}`);
 
   return { summary, results };
@@ -1785,16 +3427,43 @@ if (require.main === module) {
 
 module.exports = {
   runOnce,
+  loadConfig,
+  filterWithinHours,
+  buildChannelMessage,
   getTvChannelForFixture,
+  sleep,
   formatFixturePoster,
+  formatDigest,
   adaptFixtureForPoster,
-  parseTeamsFromSummary,
-  parseFishySummary,
-  cleanTeamName,
+  parseTeamsFromSummary: icsProviders.parseTeamsFromSummary,
+  parseFishySummary: icsProviders.parseFishySummary,
+  cleanTeamName: icsProviders.cleanTeamName,
   formatTimeInZone,
   getBackgroundImagePath,
   buildPosterImageForFixture,
+  renderPosterPreview,
+  buildMatchdayCardImage,
+  sendMatchdayCards,
+  getPosterOptions,
   sendTelegramPhoto,
+  sendTelegramMessage,
+  editTelegramMessageText,
+  editTelegramMessageCaption,
+  editTelegramMessageMedia,
+  filterAlreadyPosted,
+  parseFixtureTeams,
+  hasEventIdentity,
+  updatePostedPoster,
+  sendPoster,
+  isKickoffMode,
+  alertFixtureChanges,
+  formatChangeAlert,
+  queueKickoffPosts,
+  postKickoffChannel,
+  processPostQueue,
+  previewChannels,
+  sendPreviewItem,
+  sendQueuedPostNow,
   enrichFixtureWithLiveSoccerTv,
   enrichFixtureWithAggregator,
   enrichFixtureWithAllSources,
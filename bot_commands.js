@@ -0,0 +1,738 @@
+// bot_commands.js
+// Long-polling command handler so people can ask the bot for listings directly.
+/**
+ * Telegram Sports TV Bot – Bot Commands
+ *
+ * Polls Telegram getUpdates (long polling) with the bot token from config.json
+ * and answers chat commands from the fixtures we already fetch for channels:
+ *   /today              - fixtures kicking off today (cfg.timezone)
+ *   /tomorrow           - fixtures kicking off tomorrow
+ *   /team <name>        - next fixtures for a team, with TV for the next one
+ *   /tv <home> v <away> - poster-style TV listings for a single match
+ *   /follow <team>      - get a private reminder before each kickoff
+ *   /unfollow <team>    - stop reminders for a team
+ *   /following          - list followed teams
+ *   /help               - list the commands
+ *
+ * Fixtures come from buildChannelMessage() (all configured channels, already
+ * posted fixtures included) and are cached in memory for a few minutes so a
+ * busy chat doesn't hammer the ICS feeds. Per-team channels are read-only
+ * (stored fixtures only), so commands never move the scheduled runs' team
+ * rotation. TV listings come from the aggregator (getTvDataForFixture) and
+ * are rendered with formatFixturePoster().
+ *
+ * While polling, a reminder check runs every minute: followers of either team
+ * (lib/subscribers.js) get the poster text alertLeadMinutes (config.json,
+ * default 30) before kickoff, once per fixture.
+ *
+ * Runs inside app.js when botCommandsEnabled is true in config.json, or as a
+ * separate worker:  node bot_commands.js
+ * Only one process may poll a bot token at a time (Telegram answers 409).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const autopost = require('./autopost');
+const postedLedger = require('./lib/posted_ledger');
+const subscribers = require('./lib/subscribers');
+
+// Import the universal aggregator
+let tvAggregator = null;
+try {
+  tvAggregator = require('./aggregators/tv_channels');
+} catch (err) {
+  // Aggregator not available - /tv falls back to ICS TV info only
+}
+
+// ---------- Constants ----------
+
+const LOG_PATH = path.join(__dirname, 'autopost.log');
+const LOG_PREFIX = '[BOT]';
+
+// Seconds Telegram holds a getUpdates request open when there is nothing new
+const POLL_TIMEOUT_SECONDS = 30;
+// Back-off after a failed getUpdates call
+const POLL_ERROR_DELAY_MS = 5000;
+// How long fetched fixtures are reused between commands
+const FIXTURE_CACHE_TTL_MS = 15 * 60 * 1000;
+// Per-chat cooldown for commands that hit the TV aggregator
+const TV_COMMAND_COOLDOWN_MS = 10 * 1000;
+// Max fixtures listed in a single reply
+const MAX_LIST_FIXTURES = 25;
+// Max upcoming fixtures listed for /team
+const MAX_TEAM_FIXTURES = 5;
+// Telegram sendMessage text limit
+const MAX_MESSAGE_LENGTH = 4096;
+// How often followers' reminders are checked
+const ALERT_CHECK_INTERVAL_MS = 60 * 1000;
+// Default minutes before kickoff to remind followers
+const DEFAULT_ALERT_LEAD_MINUTES = 30;
+
+const HELP_TEXT = [
+  'Sports TV listings bot',
+  '',
+  '/today - fixtures on today',
+  '/tomorrow - fixtures on tomorrow',
+  '/team <name> - next fixtures for a team, e.g. /team Arsenal',
+  '/tv <home> v <away> - TV channels for a match, e.g. /tv Arsenal v Chelsea',
+  '/follow <team> - get a private reminder before each kickoff',
+  '/unfollow <team> - stop reminders for a team',
+  '/following - list the teams you follow',
+  '/help - show this message'
+].join('\n');
+
+// ---------- Logging ----------
+
+function log(msg) {
+  const line = `[${new Date().toISOString()}] ${LOG_PREFIX} ${msg}`;
+  console.log(line);
+  try {
+    fs.appendFileSync(LOG_PATH, line + '\n', 'utf8');
+  } catch (err) {
+    // Ignore file errors
+  }
+}
+
+// ---------- Command parsing ----------
+
+/**
+ * Parse a chat message into a command and its argument string.
+ * Handles the "/cmd@BotName" form Telegram uses in groups.
+ *
+ * @param {string} text - Message text
+ * @returns {{command: string, args: string}|null} null if the text is not a command
+ */
+function parseCommand(text) {
+  const match = String(text || '').trim().match(/^\/([a-z_]+)(?:@\w+)?(?:\s+([\s\S]*))?$/i);
+  if (!match) return null;
+  return {
+    command: match[1].toLowerCase(),
+    args: (match[2] || '').trim()
+  };
+}
+
+/**
+ * Split "/tv" arguments into home and away team names.
+ * Accepts "A v B", "A vs B", "A vs. B" and "A - B".
+ *
+ * @param {string} args - Argument string
+ * @returns {{homeTeam: string, awayTeam: string}|null}
+ */
+function parseMatchArgs(args) {
+  const parts = String(args || '').split(/\s+(?:v|vs\.?|-)\s+/i);
+  if (parts.length !== 2) return null;
+  const homeTeam = parts[0].trim();
+  const awayTeam = parts[1].trim();
+  if (!homeTeam || !awayTeam) return null;
+  return { homeTeam, awayTeam };
+}
+
+// ---------- Fixture helpers ----------
+
+/**
+ * Date key (YYYY-MM-DD) for a date in a timezone.
+ * @param {Date} date - Date to format
+ * @param {string} timezone - IANA timezone
+ * @returns {string}
+ */
+function dayKey(date, timezone) {
+  return date.toLocaleDateString('en-CA', { timeZone: timezone });
+}
+
+/**
+ * Fixtures kicking off on the given day (offset from today) in a timezone.
+ *
+ * @param {Array} fixtures - Fixtures with start dates
+ * @param {number} dayOffset - 0 = today, 1 = tomorrow
+ * @param {string} timezone - IANA timezone
+ * @param {Date} [now] - Reference time (for tests)
+ * @returns {Array}
+ */
+function filterFixturesForDay(fixtures, dayOffset, timezone, now = new Date()) {
+  const target = dayKey(new Date(now.getTime() + dayOffset * 24 * 60 * 60 * 1000), timezone);
+  return fixtures.filter(f => dayKey(new Date(f.start), timezone) === target);
+}
+
+/**
+ * Upcoming fixtures involving a team (case/punctuation-insensitive substring match).
+ *
+ * @param {Array} fixtures - Fixtures with homeTeam/awayTeam/summary
+ * @param {string} teamName - Team name as typed by the user
+ * @param {Date} [now] - Reference time (for tests)
+ * @returns {Array}
+ */
+function findTeamFixtures(fixtures, teamName, now = new Date()) {
+  const wanted = postedLedger.normalizeTeamKey(teamName);
+  if (!wanted) return [];
+  return fixtures.filter(f => {
+    if (new Date(f.start) < now) return false;
+    return [f.homeTeam, f.awayTeam, f.teamLabel, f.summary]
+      .some(name => name && postedLedger.normalizeTeamKey(name).includes(wanted));
+  });
+}
+
+/**
+ * Find the collected fixture for a "home v away" request (either way round).
+ *
+ * @param {Array} fixtures - Fixtures with homeTeam/awayTeam
+ * @param {string} homeTeam - Home team as typed
+ * @param {string} awayTeam - Away team as typed
+ * @returns {Object|null}
+ */
+function findMatchFixture(fixtures, homeTeam, awayTeam) {
+  const a = postedLedger.normalizeTeamKey(homeTeam);
+  const b = postedLedger.normalizeTeamKey(awayTeam);
+  const matches = (name, wanted) => name && postedLedger.normalizeTeamKey(name).includes(wanted);
+  return fixtures.find(f =>
+    (matches(f.homeTeam, a) && matches(f.awayTeam, b)) ||
+    (matches(f.homeTeam, b) && matches(f.awayTeam, a))
+  ) || null;
+}
+
+/**
+ * One line per fixture: "Sat 15:00  Arsenal v Chelsea (Sky Sports)".
+ *
+ * @param {Object} fixture - Fixture object
+ * @param {string} timezone - IANA timezone
+ * @param {boolean} [withDay=false] - Prefix the weekday/date
+ * @returns {string}
+ */
+function formatFixtureLine(fixture, timezone, withDay = false) {
+  const start = new Date(fixture.start);
+  const time = start.toLocaleTimeString('en-GB', { timeZone: timezone, hour: '2-digit', minute: '2-digit' });
+  const day = withDay
+    ? start.toLocaleDateString('en-GB', { timeZone: timezone, weekday: 'short', day: 'numeric', month: 'short' }) + ' '
+    : '';
+  const title = fixture.homeTeam && fixture.awayTeam
+    ? `${fixture.homeTeam} v ${fixture.awayTeam}`
+    : fixture.summary || 'TBC';
+  const tv = fixture.tvChannel ? ` (${fixture.tvChannel})` : '';
+  return `${day}${time}  ${title}${tv}`;
+}
+
+/**
+ * Join lines into a reply, truncating to Telegram's message limit.
+ * @param {string[]} lines - Message lines
+ * @returns {string}
+ */
+function joinReply(lines) {
+  const text = lines.join('\n');
+  if (text.length <= MAX_MESSAGE_LENGTH) return text;
+  return text.slice(0, MAX_MESSAGE_LENGTH - 2) + '\n…';
+}
+
+// ---------- Fixture cache ----------
+
+let fixtureCache = { fetchedAt: 0, fixtures: [] };
+let fixtureFetch = null;
+
+/**
+ * Collect fixtures for every configured channel via buildChannelMessage().
+ * Posted fixtures are included; poster enrichment is skipped (list mode)
+ * because the commands look TV up on demand. Deduped by fixture key.
+ *
+ * @param {Object} cfg - Config object
+ * @returns {Promise<Array>} Fixtures sorted by kickoff
+ */
+async function collectFixtures(cfg) {
+  const byKey = new Map();
+
+  for (const channel of cfg.channels || []) {
+    try {
+      const listChannel = { ...channel, posterStyle: false };
+      const { fixtures = [] } = await autopost.buildChannelMessage(cfg, listChannel, { includePosted: true, readOnly: true });
+      for (const f of fixtures) {
+        const key = postedLedger.getFixtureKey(f);
+        if (byKey.has(key)) continue;
+        const tvChannel = f.tvChannel || autopost.getTvChannelForFixture(f, channel);
+        byKey.set(key, { ...f, tvChannel: tvChannel || null });
+      }
+    } catch (err) {
+      log(`Failed to collect fixtures for ${channel.id}: ${err.message}`);
+    }
+  }
+
+  return Array.from(byKey.values()).sort((a, b) => new Date(a.start) - new Date(b.start));
+}
+
+/**
+ * Cached fixtures, refreshed at most every FIXTURE_CACHE_TTL_MS.
+ * Concurrent callers share a single in-flight refresh.
+ *
+ * @param {Object} cfg - Config object
+ * @returns {Promise<Array>}
+ */
+async function getFixtures(cfg) {
+  if (Date.now() - fixtureCache.fetchedAt < FIXTURE_CACHE_TTL_MS) {
+    return fixtureCache.fixtures;
+  }
+  if (!fixtureFetch) {
+    fixtureFetch = collectFixtures(cfg)
+      .then(fixtures => {
+        fixtureCache = { fetchedAt: Date.now(), fixtures };
+        log(`Fixture cache refreshed: ${fixtures.length} fixture(s)`);
+        return fixtures;
+      })
+      .finally(() => {
+        fixtureFetch = null;
+      });
+  }
+  return fixtureFetch;
+}
+
+/**
+ * Drop the cached fixtures so the next command refetches.
+ */
+function clearFixtureCache() {
+  fixtureCache = { fetchedAt: 0, fixtures: [] };
+}
+
+// ---------- TV lookup ----------
+
+/**
+ * Build a poster-style TV reply for a single fixture using the aggregator.
+ *
+ * @param {Object} cfg - Config object
+ * @param {Object} fixture - Fixture with homeTeam, awayTeam, start
+ * @returns {Promise<string>}
+ */
+async function buildTvReply(cfg, fixture) {
+  const base = {
+    ...fixture,
+    // adaptFixtureForPoster re-parses teams from the summary
+    summary: fixture.teamLabel ? fixture.summary : `${fixture.homeTeam} v ${fixture.awayTeam}`
+  };
+
+  if (tvAggregator && tvAggregator.getTvDataForFixture) {
+    try {
+      const tvData = await tvAggregator.getTvDataForFixture({
+        homeTeam: fixture.homeTeam,
+        awayTeam: fixture.awayTeam,
+        dateUtc: fixture.start,
+        leagueHint: fixture.competition || null
+      }, {
+        timezone: cfg.timezone || 'Europe/London',
+        minConfidence: cfg.tvMinConfidence,
+        sources: cfg.sources
+      });
+
+      if (!base.competition && tvData.league) base.competition = tvData.league;
+      if (!base.venue && tvData.venue) base.venue = tvData.venue;
+      if (tvData.tvRegions && tvData.tvRegions.length > 0) {
+        base.tvByRegion = tvData.tvRegions.map(r => ({ region: r.region, channel: r.channel }));
+      }
+    } catch (err) {
+      log(`Aggregator failed for ${fixture.homeTeam} v ${fixture.awayTeam}: ${err.message}`);
+    }
+  }
+
+  return autopost.formatFixturePoster(autopost.adaptFixtureForPoster(base), { showFooter: false });
+}
+
+// ---------- Command handlers ----------
+
+const lastTvLookup = new Map();
+
+/**
+ * Whether a chat must wait before another aggregator lookup.
+ * @param {number|string} chatId - Telegram chat id
+ * @returns {boolean}
+ */
+function isOnCooldown(chatId) {
+  const last = lastTvLookup.get(chatId) || 0;
+  if (Date.now() - last < TV_COMMAND_COOLDOWN_MS) return true;
+  lastTvLookup.set(chatId, Date.now());
+  return false;
+}
+
+async function handleDayCommand(cfg, dayOffset) {
+  const timezone = cfg.timezone || 'Europe/London';
+  const fixtures = filterFixturesForDay(await getFixtures(cfg), dayOffset, timezone);
+  const label = dayOffset === 0 ? 'today' : 'tomorrow';
+
+  if (fixtures.length === 0) {
+    return `No fixtures found for ${label}.`;
+  }
+
+  const lines = [`Fixtures ${label} (${timezone}):`, ''];
+  for (const f of fixtures.slice(0, MAX_LIST_FIXTURES)) {
+    lines.push(formatFixtureLine(f, timezone));
+  }
+  if (fixtures.length > MAX_LIST_FIXTURES) {
+    lines.push('', `…and ${fixtures.length - MAX_LIST_FIXTURES} more.`);
+  }
+  lines.push('', 'Use /tv <home> v <away> for full TV listings.');
+  return joinReply(lines);
+}
+
+async function handleTeamCommand(cfg, chatId, args) {
+  if (!args) {
+    return 'Usage: /team <name>, e.g. /team Arsenal';
+  }
+
+  const timezone = cfg.timezone || 'Europe/London';
+  const fixtures = findTeamFixtures(await getFixtures(cfg), args);
+  if (fixtures.length === 0) {
+    return `No upcoming fixtures found for "${args}".`;
+  }
+
+  const lines = [`Next fixtures for ${args}:`, ''];
+  for (const f of fixtures.slice(0, MAX_TEAM_FIXTURES)) {
+    lines.push(formatFixtureLine(f, timezone, true));
+  }
+
+  if (!isOnCooldown(chatId)) {
+    lines.push('', await buildTvReply(cfg, fixtures[0]));
+  }
+  return joinReply(lines);
+}
+
+async function handleTvCommand(cfg, chatId, args) {
+  const teams = parseMatchArgs(args);
+  if (!teams) {
+    return 'Usage: /tv <home> v <away>, e.g. /tv Arsenal v Chelsea';
+  }
+  if (isOnCooldown(chatId)) {
+    return 'Please wait a few seconds before the next /tv lookup.';
+  }
+
+  // Prefer the fixture from our feeds (real kickoff + ICS TV channel)
+  const known = findMatchFixture(await getFixtures(cfg), teams.homeTeam, teams.awayTeam);
+  const fixture = known || { ...teams, start: new Date() };
+  return buildTvReply(cfg, fixture);
+}
+
+/**
+ * Minutes before kickoff that followers are reminded.
+ * @param {Object} cfg - Config object
+ * @returns {number}
+ */
+function getAlertLeadMinutes(cfg) {
+  const minutes = parseInt(cfg.alertLeadMinutes, 10);
+  return minutes > 0 ? minutes : DEFAULT_ALERT_LEAD_MINUTES;
+}
+
+async function handleFollowCommand(cfg, chatId, args, sender) {
+  if (!args) {
+    return 'Usage: /follow <team>, e.g. /follow Leeds';
+  }
+
+  const name = sender.username ? `@${sender.username}` : (sender.first_name || '');
+  const result = subscribers.followTeam(chatId, args, { name });
+  if (!result.added) {
+    if (result.reason === 'exists') return `You already follow ${args}.`;
+    if (result.reason === 'limit') return `You can follow up to ${subscribers.MAX_FOLLOWS_PER_CHAT} teams. Use /unfollow first.`;
+    return 'Usage: /follow <team>, e.g. /follow Leeds';
+  }
+
+  const lines = [
+    `Following ${args}. I'll message you ${getAlertLeadMinutes(cfg)} minutes before each kickoff.`
+  ];
+  const upcoming = findTeamFixtures(await getFixtures(cfg), args);
+  if (upcoming.length > 0) {
+    lines.push('', `Next: ${formatFixtureLine(upcoming[0], cfg.timezone || 'Europe/London', true)}`);
+  } else {
+    lines.push('', `No upcoming ${args} fixtures in our listings right now - you'll get a reminder once one appears.`);
+  }
+  return lines.join('\n');
+}
+
+function handleUnfollowCommand(chatId, args) {
+  if (!args) {
+    return 'Usage: /unfollow <team>, e.g. /unfollow Leeds';
+  }
+  const result = subscribers.unfollowTeam(chatId, args);
+  if (!result.removed) {
+    return `You don't follow ${args}. Use /following to see your teams.`;
+  }
+  return `Stopped following ${args}.`;
+}
+
+function handleFollowingCommand(chatId) {
+  const teams = subscribers.listFollows(chatId);
+  if (teams.length === 0) {
+    return 'You are not following any teams. Use /follow <team> to start.';
+  }
+  return ['You follow:', ...teams.map(t => `- ${t}`)].join('\n');
+}
+
+/**
+ * Work out the reply text for a command.
+ *
+ * @param {Object} cfg - Config object
+ * @param {number|string} chatId - Telegram chat id
+ * @param {{command: string, args: string}} parsed - Parsed command
+ * @param {Object} [sender={}] - Telegram User who sent the command (message.from)
+ * @returns {Promise<string|null>} null for unknown commands (ignored)
+ */
+async function handleCommand(cfg, chatId, parsed, sender = {}) {
+  switch (parsed.command) {
+    case 'start':
+    case 'help':
+      return HELP_TEXT;
+    case 'today':
+      return handleDayCommand(cfg, 0);
+    case 'tomorrow':
+      return handleDayCommand(cfg, 1);
+    case 'team':
+      return handleTeamCommand(cfg, chatId, parsed.args);
+    case 'tv':
+      return handleTvCommand(cfg, chatId, parsed.args);
+    case 'follow':
+      return handleFollowCommand(cfg, chatId, parsed.args, sender);
+    case 'unfollow':
+      return handleUnfollowCommand(chatId, parsed.args);
+    case 'following':
+      return handleFollowingCommand(chatId);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Handle one getUpdates entry: parse the command and send the reply.
+ *
+ * @param {string} botToken - Telegram bot token
+ * @param {Object} update - Telegram Update object
+ */
+async function handleUpdate(botToken, update) {
+  const message = update.message;
+  if (!message || !message.text || !message.chat) return;
+
+  const parsed = parseCommand(message.text);
+  if (!parsed) return;
+
+  const chatId = message.chat.id;
+  log(`Command /${parsed.command} from chat ${chatId}`);
+
+  let reply;
+  try {
+    reply = await handleCommand(autopost.loadConfig(), chatId, parsed, message.from || {});
+  } catch (err) {
+    log(`Command /${parsed.command} failed: ${err.message}`);
+    reply = 'Sorry, something went wrong fetching the listings. Please try again later.';
+  }
+  if (!reply) return;
+
+  try {
+    await autopost.sendTelegramMessage(botToken, chatId, reply);
+  } catch (err) {
+    log(`Failed to reply to chat ${chatId}: ${err.message}`);
+  }
+}
+
+// ---------- Team alerts ----------
+
+let alertTimer = null;
+let alertCheckRunning = false;
+
+/**
+ * Send due kickoff reminders to followers.
+ * A fixture is due once it is within alertLeadMinutes of kickoff and has not
+ * started; each chat is reminded once per fixture. Chats that blocked the
+ * bot (403) are unsubscribed; other send errors are retried next check.
+ *
+ * @param {string} botToken - Telegram bot token
+ * @param {Object} cfg - Config object
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<number>} Number of reminders sent
+ */
+async function sendDueReminders(botToken, cfg, now = new Date()) {
+  if (subscribers.listSubscribers().length === 0) return 0;
+
+  const leadMs = getAlertLeadMinutes(cfg) * 60 * 1000;
+  const fixtures = await getFixtures(cfg);
+  let sent = 0;
+
+  for (const fixture of fixtures) {
+    const start = new Date(fixture.start).getTime();
+    if (start <= now.getTime() || start - leadMs > now.getTime()) continue;
+
+    const due = subscribers.getFollowersForFixture(fixture)
+      .filter(sub => !subscribers.wasReminded(sub.chatId, fixture));
+    if (due.length === 0) continue;
+
+    const poster = await buildTvReply(cfg, fixture);
+    const minutes = Math.max(1, Math.round((start - now.getTime()) / 60000));
+
+    for (const sub of due) {
+      const text = joinReply([
+        `Reminder: kick-off in ${minutes} min (you follow ${sub.teams.join(', ')})`,
+        '',
+        poster
+      ]);
+      try {
+        await autopost.sendTelegramMessage(botToken, sub.chatId, text);
+        subscribers.markReminded(sub.chatId, fixture);
+        sent++;
+      } catch (err) {
+        if (err.response && err.response.status === 403) {
+          subscribers.removeSubscriber(sub.chatId);
+          log(`Chat ${sub.chatId} blocked the bot, removed its follows`);
+        } else {
+          log(`Failed to send reminder to ${sub.chatId}: ${err.message}`);
+        }
+      }
+    }
+  }
+
+  if (sent > 0) {
+    log(`Sent ${sent} kickoff reminder(s)`);
+  }
+  return sent;
+}
+
+async function runAlertCheck(botToken) {
+  if (alertCheckRunning) return;
+  alertCheckRunning = true;
+  try {
+    await sendDueReminders(botToken, autopost.loadConfig());
+  } catch (err) {
+    log(`Reminder check failed: ${err.message}`);
+  } finally {
+    alertCheckRunning = false;
+  }
+}
+
+function startAlertScheduler(botToken) {
+  stopAlertScheduler();
+  alertTimer = setInterval(() => runAlertCheck(botToken), ALERT_CHECK_INTERVAL_MS);
+  runAlertCheck(botToken);
+}
+
+function stopAlertScheduler() {
+  if (alertTimer) {
+    clearInterval(alertTimer);
+    alertTimer = null;
+  }
+}
+
+// ---------- Long polling ----------
+
+let polling = false;
+let pollOffset = 0;
+// Bumped on every start so a loop left over from a quick stop/start exits
+let pollGeneration = 0;
+
+/**
+ * Call getUpdates, waiting up to POLL_TIMEOUT_SECONDS for new messages.
+ *
+ * @param {string} botToken - Telegram bot token
+ * @param {number} offset - First update_id to return
+ * @returns {Promise<Array>} Update objects
+ */
+async function getUpdates(botToken, offset) {
+  const url = `https://api.telegram.org/bot${botToken}/getUpdates`;
+  const resp = await axios.get(url, {
+    params: {
+      offset,
+      timeout: POLL_TIMEOUT_SECONDS,
+      allowed_updates: JSON.stringify(['message'])
+    },
+    timeout: (POLL_TIMEOUT_SECONDS + 10) * 1000
+  });
+
+  if (!resp.data || !resp.data.ok) {
+    throw new Error(`Telegram getUpdates error: ${JSON.stringify(resp.data)}`);
+  }
+  return resp.data.result || [];
+}
+
+async function pollLoop(botToken, generation) {
+  while (polling && generation === pollGeneration) {
+    try {
+      const updates = await getUpdates(botToken, pollOffset);
+      for (const update of updates) {
+        pollOffset = update.update_id + 1;
+        // Don't block polling while a slow TV lookup runs
+        handleUpdate(botToken, update).catch(err => {
+          log(`Update ${update.update_id} failed: ${err.message}`);
+        });
+      }
+    } catch (err) {
+      const status = err.response && err.response.status;
+      if (status === 409) {
+        log('getUpdates conflict (409): another process is polling this bot token or a webhook is set');
+      } else {
+        log(`getUpdates failed: ${err.message}`);
+      }
+      await autopost.sleep(POLL_ERROR_DELAY_MS);
+    }
+  }
+  if (generation === pollGeneration) {
+    log('Polling stopped');
+  }
+}
+
+/**
+ * Start answering bot commands. No-op if already polling.
+ *
+ * @returns {boolean} true if polling is (now) running
+ */
+function startPolling() {
+  if (polling) return true;
+
+  let cfg;
+  try {
+    cfg = autopost.loadConfig();
+  } catch (err) {
+    log(`Cannot start polling: ${err.message}`);
+    return false;
+  }
+  if (!cfg.botToken) {
+    log('Cannot start polling: botToken is not set in config.json');
+    return false;
+  }
+
+  polling = true;
+  pollGeneration++;
+  log('Polling started');
+  pollLoop(cfg.botToken, pollGeneration);
+  startAlertScheduler(cfg.botToken);
+  return true;
+}
+
+/**
+ * Stop polling (after the current getUpdates request returns) and reminders.
+ */
+function stopPolling() {
+  polling = false;
+  stopAlertScheduler();
+}
+
+/**
+ * @returns {boolean} Whether the polling loop is running
+ */
+function isPolling() {
+  return polling;
+}
+
+// Run as a standalone worker: node bot_commands.js
+if (require.main === module) {
+  if (!startPolling()) {
+    process.exit(1);
+  }
+  process.on('SIGINT', () => {
+    stopPolling();
+    process.exit(0);
+  });
+}
+
+module.exports = {
+  startPolling,
+  stopPolling,
+  isPolling,
+  parseCommand,
+  parseMatchArgs,
+  filterFixturesForDay,
+  findTeamFixtures,
+  findMatchFixture,
+  formatFixtureLine,
+  handleCommand,
+  sendDueReminders,
+  getAlertLeadMinutes,
+  clearFixtureCache,
+  HELP_TEXT,
+  DEFAULT_ALERT_LEAD_MINUTES
+};
@@ -0,0 +1,240 @@
+// feeds.js
+// Public iCalendar feeds of our TV listings, per channel and per team.
+/**
+ * Telegram Sports TV Bot – Calendar Feeds
+ *
+ * Serves the fixtures we post as subscribable calendars:
+ *   /feeds/:channelId.ics   - every fixture of a channel (e.g. /feeds/@FootballOnTvUK.ics)
+ *   /feeds/team/:slug.ics   - fixtures of one team (slug from the channel's teams[])
+ *
+ * Fixtures come from buildChannelMessage() in poster mode with posted
+ * fixtures included, so they carry the same aggregator TV listings
+ * (tvByRegion), venues and tvChannelOverrides as the posters. Team feeds
+ * filter the fixtures of the channels that list the team. Per-team channels
+ * are read-only: feeds serve their stored fixtures and never fetch the
+ * team ICS feeds or move the scheduled runs' team rotation.
+ *
+ * Enrichment is slow (one aggregator lookup per fixture), so each channel's
+ * fixtures are cached in memory for FEED_CACHE_TTL_MS. A request for a stale
+ * feed gets the cached copy while a refresh runs in the background; only the
+ * first request after startup waits for the lookups.
+ *
+ * Channels with "publicFeed": false in config.json have no feed and don't
+ * contribute to team feeds.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const autopost = require('./autopost');
+const icsWriter = require('./lib/ics_writer');
+const { normalizeTeamKey } = require('./lib/posted_ledger');
+
+// ---------- Constants ----------
+
+const LOG_PATH = path.join(__dirname, 'autopost.log');
+const LOG_PREFIX = '[FEEDS]';
+
+// How long a channel's enriched fixtures are served before a refresh
+const FEED_CACHE_TTL_MS = 60 * 60 * 1000;
+
+// ---------- Logging ----------
+
+function log(msg) {
+  const line = `[${new Date().toISOString()}] ${LOG_PREFIX} ${msg}`;
+  console.log(line);
+  try {
+    fs.appendFileSync(LOG_PATH, line + '\n', 'utf8');
+  } catch (err) {
+    // Ignore file errors
+  }
+}
+
+// ---------- Lookup ----------
+
+/**
+ * Slug for a team entry (its own slug, else derived from the label).
+ * @param {Object} team - Team entry from channel.teams[]
+ * @returns {string} e.g. "aston-villa"
+ */
+function getTeamSlug(team) {
+  return String(team.slug || team.label || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[^\w\s-]/g, '')
+    .replace(/\s+/g, '-')
+    .replace(/-+/g, '-')
+    .replace(/^-|-$/g, '');
+}
+
+/**
+ * Channels that publish a feed.
+ * @param {Object} cfg - Config object
+ * @returns {Array<Object>}
+ */
+function getFeedChannels(cfg) {
+  return (cfg.channels || []).filter((ch) => ch.id && ch.publicFeed !== false);
+}
+
+/**
+ * Find a feed channel by id; the leading "@" of a username is optional.
+ * @param {Object} cfg - Config object
+ * @param {string} channelId - e.g. "@FootballOnTvUK", "FootballOnTvUK" or "-100123"
+ * @returns {Object|null} Channel config
+ */
+function findFeedChannel(cfg, channelId) {
+  const wanted = String(channelId || '').replace(/^@/, '').toLowerCase();
+  if (!wanted) return null;
+  return getFeedChannels(cfg).find((ch) => ch.id.replace(/^@/, '').toLowerCase() === wanted) || null;
+}
+
+/**
+ * Find a team by slug across the feed channels.
+ * @param {Object} cfg - Config object
+ * @param {string} slug - Team slug
+ * @returns {{label: string, channels: Array<Object>}|null}
+ */
+function findFeedTeam(cfg, slug) {
+  const wanted = String(slug || '').toLowerCase();
+  if (!wanted) return null;
+
+  let label = null;
+  const channels = [];
+  for (const channel of getFeedChannels(cfg)) {
+    const team = (channel.teams || []).find((t) => getTeamSlug(t) === wanted);
+    if (team) {
+      label = label || team.label || team.slug;
+      channels.push(channel);
+    }
+  }
+  return channels.length ? { label, channels } : null;
+}
+
+/**
+ * Whether a fixture involves a team.
+ * @param {Object} fixture - Fixture with homeTeam/awayTeam/teamLabel
+ * @param {string} teamName - Team label
+ * @returns {boolean}
+ */
+function fixtureInvolvesTeam(fixture, teamName) {
+  const team = normalizeTeamKey(teamName);
+  if (!team) return false;
+  return [fixture.homeTeam, fixture.awayTeam, fixture.teamLabel]
+    .some((name) => normalizeTeamKey(name) === team);
+}
+
+// ---------- Fixture cache ----------
+
+const fixtureCache = new Map();
+const fixtureFetches = new Map();
+
+/**
+ * Fetch and enrich a channel's fixtures (posted ones included).
+ * @param {Object} cfg - Config object
+ * @param {Object} channel - Channel config
+ * @returns {Promise<Array<Object>>} Fixtures sorted by kickoff
+ */
+async function collectChannelFixtures(cfg, channel) {
+  const posterChannel = { ...channel, posterStyle: true };
+  const { fixtures = [] } = await autopost.buildChannelMessage(cfg, posterChannel, { includePosted: true, readOnly: true });
+  return fixtures
+    .map((f) => ({ ...f, tvChannel: f.tvChannel || autopost.getTvChannelForFixture(f, channel) || null }))
+    .sort((a, b) => new Date(a.start) - new Date(b.start));
+}
+
+function refreshChannelFixtures(cfg, channel) {
+  if (!fixtureFetches.has(channel.id)) {
+    const fetch = collectChannelFixtures(cfg, channel)
+      .then((fixtures) => {
+        fixtureCache.set(channel.id, { fetchedAt: Date.now(), fixtures });
+        log(`Feed for ${channel.id} refreshed: ${fixtures.length} fixture(s)`);
+        return fixtures;
+      })
+      .finally(() => {
+        fixtureFetches.delete(channel.id);
+      });
+    fixtureFetches.set(channel.id, fetch);
+  }
+  return fixtureFetches.get(channel.id);
+}
+
+/**
+ * A channel's cached fixtures. Stale fixtures are returned immediately and
+ * refreshed in the background; an empty cache waits for the fetch.
+ *
+ * @param {Object} cfg - Config object
+ * @param {Object} channel - Channel config
+ * @returns {Promise<Array<Object>>}
+ */
+async function getChannelFixtures(cfg, channel) {
+  const cached = fixtureCache.get(channel.id);
+  if (!cached) {
+    return refreshChannelFixtures(cfg, channel);
+  }
+  if (Date.now() - cached.fetchedAt >= FEED_CACHE_TTL_MS) {
+    refreshChannelFixtures(cfg, channel).catch((err) => {
+      log(`Background refresh for ${channel.id} failed: ${err.message}`);
+    });
+  }
+  return cached.fixtures;
+}
+
+/**
+ * Drop cached fixtures so the next request refetches.
+ */
+function clearFeedCache() {
+  fixtureCache.clear();
+}
+
+// ---------- Feeds ----------
+
+/**
+ * iCalendar feed for a channel.
+ * @param {Object} cfg - Config object
+ * @param {string} channelId - Channel id (the "@" is optional)
+ * @returns {Promise<string|null>} ICS text, or null if there is no such feed
+ */
+async function buildChannelFeed(cfg, channelId) {
+  const channel = findFeedChannel(cfg, channelId);
+  if (!channel) return null;
+
+  const fixtures = await getChannelFixtures(cfg, channel);
+  return icsWriter.buildCalendar(fixtures, {
+    name: `${channel.label || channel.id} – TV listings`,
+    timezone: cfg.timezone || 'Europe/London'
+  });
+}
+
+/**
+ * iCalendar feed for a team, from every feed channel that lists it.
+ * @param {Object} cfg - Config object
+ * @param {string} slug - Team slug
+ * @returns {Promise<string|null>} ICS text, or null if no channel lists the team
+ */
+async function buildTeamFeed(cfg, slug) {
+  const team = findFeedTeam(cfg, slug);
+  if (!team) return null;
+
+  const fixtures = [];
+  for (const channel of team.channels) {
+    const channelFixtures = await getChannelFixtures(cfg, channel);
+    fixtures.push(...channelFixtures.filter((f) => fixtureInvolvesTeam(f, team.label)));
+  }
+  fixtures.sort((a, b) => new Date(a.start) - new Date(b.start));
+
+  return icsWriter.buildCalendar(fixtures, {
+    name: `${team.label} – TV listings`,
+    timezone: cfg.timezone || 'Europe/London'
+  });
+}
+
+module.exports = {
+  buildChannelFeed,
+  buildTeamFeed,
+  findFeedChannel,
+  findFeedTeam,
+  fixtureInvolvesTeam,
+  getTeamSlug,
+  getChannelFixtures,
+  clearFeedCache,
+  FEED_CACHE_TTL_MS
+};
@@ -13,140 +13,177 @@
  * Keep the parsing code robust but lightweight (no huge dependencies).
  *
  * Caching:
- * - Caches ICS responses to disk in cache/ folder.
+ * - Caches ICS responses in the shared cache (lib/cache.js, namespace 'ics').
  * - Uses a 30-minute TTL by default.
+ * - After that, revalidates with ETag / Last-Modified; a 304 reuses the cached copy.
  * - Falls back to cached copy on network errors (e.g. HTTP 429).
+ *
+ * Politeness (HOST_LIMITS):
+ * - One request at a time per host, a minimum interval apart.
+ * - After HTTP 429/503 a host is left alone until Retry-After (or a back-off).
+ *
+ * Summary parsing per calendar source lives in lib/ics_providers.js.
  */
 
 const axios = require('axios');
-const crypto = require('crypto');
-const fs = require('fs');
-const path = require('path');
 const ical = require('node-ical');
+const cache = require('./lib/cache');
 
-// ---------- Cache Configuration ----------
+// ---------- Host politeness ----------
 
-const CACHE_DIR = path.join(__dirname, 'cache');
-const CACHE_TTL_MS = 30 * 60 * 1000; // 30 minutes
+// Per-host request limits. A host is matched without its "www." prefix;
+// hosts not listed use the default.
+//   minIntervalMs - Minimum gap between two requests to the host
+//   backoffMs     - How long to leave the host alone after HTTP 429/503
+//                   when it sends no Retry-After header
+const HOST_LIMITS = {
+  default: { minIntervalMs: 1000, backoffMs: 15 * 60 * 1000 },
+  'thefishy.co.uk': { minIntervalMs: 2000, backoffMs: 30 * 60 * 1000 }
+};
 
-// ---------- Cache Helpers ----------
+// host -> { queue, lastRequestAt, blockedUntil }
+const hostState = new Map();
 
-/**
- * Generate a safe filename from a URL using SHA-256 hash.
- * @param {string} url
- * @returns {string}
- */
-function getCacheKey(url) {
-  return crypto.createHash('sha256').update(url).digest('hex') + '.json';
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
-/**
- * Ensure the cache directory exists.
- */
-function ensureCacheDir() {
-  if (!fs.existsSync(CACHE_DIR)) {
-    fs.mkdirSync(CACHE_DIR, { recursive: true });
+function getHost(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch (err) {
+    return '';
   }
 }
 
+function getHostLimits(host) {
+  return { ...HOST_LIMITS.default, ...(HOST_LIMITS[host] || {}) };
+}
+
 /**
- * Read cached ICS data if it exists and is fresh.
- * @param {string} url
- * @returns {{ text: string, timestamp: number } | null}
+ * Milliseconds to wait per a Retry-After header (seconds or an HTTP date).
+ * @param {string} value - Header value
+ * @returns {number|null} null if missing or unparseable
  */
-function readCache(url) {
-  try {
-    const cacheFile = path.join(CACHE_DIR, getCacheKey(url));
-    if (!fs.existsSync(cacheFile)) {
-      return null;
-    }
-    const raw = fs.readFileSync(cacheFile, 'utf8');
-    const entry = JSON.parse(raw);
-    if (entry && typeof entry.text === 'string' && typeof entry.timestamp === 'number') {
-      return entry;
-    }
-  } catch (err) {
-    // Ignore cache read errors
-  }
-  return null;
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) return parseInt(text, 10) * 1000;
+  const at = Date.parse(text);
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
 }
 
 /**
- * Write ICS data to cache.
+ * axios.get with per-host politeness: requests to one host run one at a
+ * time, at least minIntervalMs apart. After HTTP 429/503 the host is left
+ * alone until Retry-After (or backoffMs); requests in the meantime fail
+ * straight away with a 429 error, without touching the network.
+ *
  * @param {string} url
- * @param {string} text
+ * @param {Object} options - axios options
+ * @returns {Promise<Object>} axios response
  */
-function writeCache(url, text) {
-  try {
-    ensureCacheDir();
-    const cacheFile = path.join(CACHE_DIR, getCacheKey(url));
-    const entry = {
-      text,
-      timestamp: Date.now()
-    };
-    fs.writeFileSync(cacheFile, JSON.stringify(entry), 'utf8');
-  } catch (err) {
-    // Ignore cache write errors
+function politeGet(url, options) {
+  const host = getHost(url);
+  const limits = getHostLimits(host);
+  if (!hostState.has(host)) {
+    hostState.set(host, { queue: Promise.resolve(), lastRequestAt: 0, blockedUntil: 0 });
   }
+  const state = hostState.get(host);
+
+  const request = state.queue.then(async () => {
+    if (Date.now() < state.blockedUntil) {
+      const err = new Error(`${host} asked us to back off until ${new Date(state.blockedUntil).toISOString()}`);
+      err.response = { status: 429 };
+      throw err;
+    }
+
+    const wait = state.lastRequestAt + limits.minIntervalMs - Date.now();
+    if (wait > 0) await sleep(wait);
+    state.lastRequestAt = Date.now();
+
+    try {
+      return await axios.get(url, options);
+    } catch (err) {
+      const status = err && err.response && err.response.status;
+      if (status === 429 || status === 503) {
+        const headers = err.response.headers || {};
+        const retryAfterMs = parseRetryAfter(headers['retry-after']);
+        state.blockedUntil = Date.now() + (retryAfterMs !== null ? retryAfterMs : limits.backoffMs);
+        console.log(`[ICS] HTTP ${status} from ${host} – no requests until ${new Date(state.blockedUntil).toISOString()}`);
+      }
+      throw err;
+    }
+  });
+
+  // The next request waits for this one, whatever its outcome
+  state.queue = request.catch(() => {});
+  return request;
 }
 
-/**
- * Check if a cache entry is still fresh (within TTL).
- * @param {{ text: string, timestamp: number }} entry
- * @returns {boolean}
- */
-function isCacheFresh(entry) {
-  return entry && (Date.now() - entry.timestamp) < CACHE_TTL_MS;
+// ---------- Fetching ----------
+
+// Cache values are { text, etag, lastModified }; older entries are the bare text
+function toCachedFeed(value) {
+  return typeof value === 'string' ? { text: value, etag: null, lastModified: null } : value;
 }
 
 /**
- * Fetch ICS text from network or cache.
- * Logs network fetch, cache hit, and cache fallback.
+ * Fetch ICS text from network or the shared cache (lib/cache.js, namespace
+ * 'ics'). A fresh copy is used as is. Otherwise the request is conditional
+ * (If-None-Match / If-Modified-Since from the cached copy), and a
+ * 304 Not Modified reuses the cached text. On network errors (e.g. HTTP 429)
+ * an older copy is used instead.
  *
  * @param {string} icsUrl
  * @returns {Promise<string>} The raw ICS text
  */
 async function fetchIcsWithCache(icsUrl) {
-  const cached = readCache(icsUrl);
-
-  // If cache is fresh, use it
-  if (cached && isCacheFresh(cached)) {
+  const cached = cache.get('ics', icsUrl);
+  if (cached && cached.state === 'fresh') {
     console.log(`[ICS] Using cached ICS for ${icsUrl}`);
-    return cached.text;
+    return toCachedFeed(cached.value).text;
   }
 
-  // Otherwise, try network
-  console.log(`[ICS] Fetching ${icsUrl} from network`);
+  const previous = cached ? toCachedFeed(cached.value) : null;
 
-  try {
-    const resp = await axios.get(icsUrl, {
+  const feed = await cache.wrap('ics', icsUrl, async () => {
+    const headers = {
+      'User-Agent':
+        'Mozilla/5.0 (compatible; DefectTrackerIcsBot/1.0; +https://telegram.defecttracker.uk/)',
+      'Accept': 'text/calendar,text/plain,*/*;q=0.8'
+    };
+    if (previous && previous.etag) headers['If-None-Match'] = previous.etag;
+    if (previous && previous.lastModified) headers['If-Modified-Since'] = previous.lastModified;
+
+    const conditional = Boolean(headers['If-None-Match'] || headers['If-Modified-Since']);
+    console.log(`[ICS] Fetching ${icsUrl} from network${conditional ? ' (conditional)' : ''}`);
+    const resp = await politeGet(icsUrl, {
       responseType: 'text',
       timeout: 15000,
-      headers: {
-        'User-Agent':
-          'Mozilla/5.0 (compatible; DefectTrackerIcsBot/1.0; +https://telegram.defecttracker.uk/)',
-        'Accept': 'text/calendar,text/plain,*/*;q=0.8'
-      }
+      headers,
+      validateStatus: (status) => (status >= 200 && status < 300) || status === 304
     });
 
-    const text = resp.data;
-
-    // Write to cache
-    writeCache(icsUrl, text);
-
-    return text;
-  } catch (err) {
-    // On network error, try to fall back to stale cache
-    if (cached) {
-      const status = err?.response?.status;
-      const errMsg = status ? `HTTP ${status}` : (err.message || String(err));
-      console.log(`[ICS] Network error (${errMsg}) – falling back to cached ICS for ${icsUrl}`);
-      return cached.text;
+    const respHeaders = resp.headers || {};
+    if (resp.status === 304) {
+      if (!previous) throw new Error('HTTP 304 without a cached copy');
+      console.log(`[ICS] ${icsUrl} not modified – reusing cached copy`);
+      return {
+        text: previous.text,
+        etag: respHeaders.etag || previous.etag,
+        lastModified: respHeaders['last-modified'] || previous.lastModified
+      };
     }
 
-    // No cache available, re-throw the error
-    throw err;
-  }
+    return {
+      text: resp.data,
+      etag: respHeaders.etag || null,
+      lastModified: respHeaders['last-modified'] || null
+    };
+  });
+
+  return toCachedFeed(feed).text;
 }
 
 /**
@@ -157,7 +194,7 @@ async function fetchIcsWithCache(icsUrl) {
  * @param {string[]} teamNames     - Team names to match in event summary (case-insensitive).
  *                                   If empty or null, returns all events.
  * @param {number} daysAhead       - How many days ahead from now to include (default 1)
- * @returns {Promise<Array<{start: Date, summary: string, location: string, description: string, tvChannel: string|null}>>}
+ * @returns {Promise<Array<{start: Date, summary: string, location: string, description: string, categories: string[], uid: string|null, status: string|null, tvChannel: string|null}>>}
  */
 async function getFixturesFromIcs(
   icsUrl,
@@ -203,9 +240,19 @@ async function getFixturesFromIcs(
       if (!hit) continue;
     }
 
+    // CATEGORIES can name the sport in mixed-sport feeds (see lib/sports.js)
+    const categories = Array.isArray(ev.categories)
+      ? ev.categories.map(String)
+      : ev.categories ? [String(ev.categories)] : [];
+
+    // UID and STATUS (e.g. CANCELLED) let lib/fixture_changes.js follow an
+    // event across runs
+    const uid = ev.uid ? String(ev.uid) : null;
+    const status = ev.status ? String(ev.status).toUpperCase() : null;
+
     // tvChannel is optional and defaults to null. It can be enriched later
     // via the enrichFixtureWithTvChannel hook or via config overrides.
-    fixtures.push({ start, summary, location, description, tvChannel: null });
+    fixtures.push({ start, summary, location, description, categories, uid, status, tvChannel: null });
   }
 
   fixtures.sort((a, b) => a.start - b.start);
@@ -229,5 +276,7 @@ function enrichFixtureWithTvChannel(fixture, tvChannel) {
 
 module.exports = {
   getFixturesFromIcs,
-  enrichFixtureWithTvChannel
+  enrichFixtureWithTvChannel,
+  fetchIcsWithCache,
+  HOST_LIMITS
 };
@@ -16,6 +16,7 @@
  * - Each team object:
  *    { label, country, slug, league }
  *   e.g. league "Premier League", "Championship", etc.
+ * - Seeds the team registry (storage/team_registry.json) with the same teams.
  *
  * Called either via:
  *   - CLI: node import_uk_teams.js
@@ -30,6 +31,7 @@ const fs = require('fs');
 const path = require('path');
 const axios = require('axios');
 const cheerio = require('cheerio');
+const teamRegistry = require('./lib/team_registry');
 
 // --- paths -------------------------------------------------------------
 
@@ -259,6 +261,12 @@ async function main() {
   console.log(
     `Updated config.json – channel "${channel.label}" now has ${deduped.length} teams`
   );
+
+  // Seed the team registry with TheFishy's labels (see lib/team_registry.js)
+  const seeded = teamRegistry.seedTeams(deduped);
+  console.log(
+    `Team registry: ${seeded.added} teams added, ${seeded.updated} updated`
+  );
 }
 
 main().catch((err) => {
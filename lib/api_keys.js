@@ -0,0 +1,153 @@
+// lib/api_keys.js
+// Persistent store of API keys for the public JSON API.
+/**
+ * Telegram Sports TV Bot – API Keys
+ *
+ * Other tools read /api/v1/* with an API key instead of the admin password.
+ * Keys are created and revoked on /admin/api-keys. Only a SHA-256 hash of
+ * each key is stored; the key itself is shown once, when it is created.
+ *
+ * Storage format (storage/api_keys.json):
+ * {
+ *   "keys": {
+ *     "a1b2c3d4": {
+ *       id: string,            // short random id, also the object key
+ *       label: string,         // who/what the key is for
+ *       hash: string,          // sha256 of the key
+ *       prefix: string,        // first characters, to recognise a key on the admin page
+ *       createdAt: ISO string,
+ *       lastUsedAt: ISO string | null,
+ *       revokedAt: ISO string | null
+ *     }
+ *   }
+ * }
+ *
+ * lastUsedAt is written at most every LAST_USED_WRITE_INTERVAL_MS so busy
+ * clients don't rewrite the file on every request.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// ---------- Configuration ----------
+
+const API_KEYS_PATH = process.env.API_KEYS_PATH ||
+  path.join(__dirname, '..', 'storage', 'api_keys.json');
+
+const KEY_PREFIX = 'tl_';
+const LAST_USED_WRITE_INTERVAL_MS = 5 * 60 * 1000;
+
+// ---------- Persistence ----------
+
+/**
+ * Load the store from disk.
+ * @returns {{keys: Object}} Store (empty on error)
+ */
+function loadStore() {
+  try {
+    if (fs.existsSync(API_KEYS_PATH)) {
+      const parsed = JSON.parse(fs.readFileSync(API_KEYS_PATH, 'utf8'));
+      if (parsed && typeof parsed === 'object') {
+        return { keys: parsed.keys || {} };
+      }
+    }
+  } catch (err) {
+    // Ignore read/parse errors - treat as no keys
+  }
+  return { keys: {} };
+}
+
+function saveStore(store) {
+  const dir = path.dirname(API_KEYS_PATH);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  fs.writeFileSync(API_KEYS_PATH, JSON.stringify(store, null, 2), 'utf8');
+}
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+// ---------- Public API ----------
+
+/**
+ * Create a key.
+ * @param {string} label - Who/what the key is for
+ * @returns {{key: string, entry: Object}} The key (only returned here) and its record
+ */
+function createKey(label) {
+  const store = loadStore();
+  const key = KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+  const id = crypto.randomBytes(4).toString('hex');
+
+  const entry = {
+    id,
+    label: String(label || '').trim() || 'Unnamed',
+    hash: hashKey(key),
+    prefix: key.slice(0, KEY_PREFIX.length + 6),
+    createdAt: new Date().toISOString(),
+    lastUsedAt: null,
+    revokedAt: null
+  };
+  store.keys[id] = entry;
+  saveStore(store);
+  return { key, entry };
+}
+
+/**
+ * Check a key and record that it was used.
+ * @param {string} key - Key from the request
+ * @returns {Object|null} The key's record, or null if unknown or revoked
+ */
+function verifyKey(key) {
+  if (!key) return null;
+  const hash = hashKey(key);
+  const store = loadStore();
+  const entry = Object.values(store.keys).find((e) =>
+    !e.revokedAt &&
+    e.hash.length === hash.length &&
+    crypto.timingSafeEqual(Buffer.from(e.hash), Buffer.from(hash))
+  );
+  if (!entry) return null;
+
+  const lastUsed = entry.lastUsedAt ? new Date(entry.lastUsedAt).getTime() : 0;
+  if (Date.now() - lastUsed >= LAST_USED_WRITE_INTERVAL_MS) {
+    entry.lastUsedAt = new Date().toISOString();
+    saveStore(store);
+  }
+  return entry;
+}
+
+/**
+ * Revoke a key.
+ * @param {string} id - Key id
+ * @returns {boolean} true if an active key was revoked
+ */
+function revokeKey(id) {
+  const store = loadStore();
+  const entry = store.keys[id];
+  if (!entry || entry.revokedAt) return false;
+  entry.revokedAt = new Date().toISOString();
+  saveStore(store);
+  return true;
+}
+
+/**
+ * All keys (without hashes), newest first.
+ * @returns {Array<Object>}
+ */
+function listKeys() {
+  return Object.values(loadStore().keys)
+    .map(({ hash, ...entry }) => entry)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+module.exports = {
+  createKey,
+  verifyKey,
+  revokeKey,
+  listKeys,
+  API_KEYS_PATH
+};
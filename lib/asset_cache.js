@@ -0,0 +1,416 @@
+// lib/asset_cache.js
+// Local cache of team crests and broadcaster logos drawn on image posters.
+/**
+ * Telegram Sports TV Bot – Asset Cache
+ *
+ * Image posters can show team crests next to the team names and broadcaster
+ * logos next to the channels. The images are kept on disk so a run never
+ * depends on a remote image host; a missing asset just means the poster
+ * shows text there.
+ *
+ * Where an asset's image comes from, strongest first:
+ *   1. An upload on /admin/assets
+ *   2. A URL set on /admin/assets (urlSource "admin")
+ *   3. A URL a source reported: TheSportsDB badges and channel logos
+ *      (urlSource "tsdb"), or a logo URL in the TV channel dictionary
+ *   4. For crests, a lookup the caller supplies (autopost.js searches
+ *      TheSportsDB for the team's badge)
+ * Remote images are downloaded on first use. Failed downloads and lookups
+ * are not retried for RETRY_AFTER_MS.
+ *
+ * Crests are keyed by team (lib/team_registry.js), logos by canonical channel
+ * name (lib/channel_dictionary.js), so aliases share one image.
+ *
+ * Storage (storage/assets/, or ASSET_CACHE_DIR):
+ *   index.json - { "crest": { "<key>": entry }, "logo": { "<key>": entry } }
+ *     entry: { name, url, urlSource, file, fileUrl, uploaded, updatedAt, failedAt, failedUrl, error }
+ *   <kind>-<key>.<ext> - the images
+ */
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const teamRegistry = require('./team_registry');
+const channelDictionary = require('./channel_dictionary');
+
+// ---------- Configuration ----------
+
+const ASSET_DIR = process.env.ASSET_CACHE_DIR ||
+  path.join(__dirname, '..', 'storage', 'assets');
+const INDEX_PATH = path.join(ASSET_DIR, 'index.json');
+
+const KINDS = ['crest', 'logo'];
+
+// Image types the poster canvas can draw
+const IMAGE_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp'
+};
+
+const MAX_ASSET_BYTES = 1024 * 1024;
+const DOWNLOAD_TIMEOUT_MS = 10000;
+
+// Failed downloads / lookups wait this long before another try
+const RETRY_AFTER_MS = 24 * 60 * 60 * 1000;
+
+// ---------- Persistence ----------
+
+function loadIndex() {
+  try {
+    if (fs.existsSync(INDEX_PATH)) {
+      const parsed = JSON.parse(fs.readFileSync(INDEX_PATH, 'utf8'));
+      if (parsed && typeof parsed === 'object') {
+        return { crest: parsed.crest || {}, logo: parsed.logo || {} };
+      }
+    }
+  } catch (err) {
+    // Ignore read/parse errors - treat as an empty cache
+  }
+  return { crest: {}, logo: {} };
+}
+
+function saveIndex(index) {
+  if (!fs.existsSync(ASSET_DIR)) {
+    fs.mkdirSync(ASSET_DIR, { recursive: true });
+  }
+  fs.writeFileSync(INDEX_PATH, JSON.stringify(index, null, 2), 'utf8');
+}
+
+// ---------- Helpers ----------
+
+/**
+ * Cache key for an asset: the team key for crests, the canonical channel
+ * name for logos.
+ * @param {string} kind - 'crest' or 'logo'
+ * @param {string} name - Team or channel name
+ * @returns {string} Key ('' for an empty name)
+ */
+function getAssetKey(kind, name) {
+  if (!name) return '';
+  if (kind === 'logo') {
+    return channelDictionary.normalizeChannelKey(channelDictionary.getDisplayName(name));
+  }
+  return teamRegistry.getTeamKey(name);
+}
+
+/**
+ * Display name stored with an asset.
+ */
+function getAssetName(kind, name) {
+  return kind === 'logo' ? channelDictionary.getDisplayName(name) : teamRegistry.getCanonicalName(name);
+}
+
+function fileSlug(key) {
+  return key.replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60) || 'asset';
+}
+
+function getEntry(index, kind, name) {
+  const key = getAssetKey(kind, name);
+  return { key, entry: key && index[kind] ? index[kind][key] || null : null };
+}
+
+function ensureEntry(index, kind, name) {
+  const key = getAssetKey(kind, name);
+  if (!index[kind][key]) {
+    index[kind][key] = { name: getAssetName(kind, name), url: null, urlSource: null, file: null, uploaded: false };
+  }
+  return index[kind][key];
+}
+
+function filePath(entry) {
+  return entry && entry.file ? path.join(ASSET_DIR, entry.file) : null;
+}
+
+function existingFile(entry) {
+  const file = filePath(entry);
+  return file && fs.existsSync(file) ? file : null;
+}
+
+function deleteFile(entry) {
+  const file = existingFile(entry);
+  if (file) {
+    try {
+      fs.unlinkSync(file);
+    } catch (err) {
+      // Ignore cleanup errors
+    }
+  }
+}
+
+/**
+ * Write an image for an entry, replacing any earlier file.
+ */
+function writeImage(entry, kind, key, buffer, ext) {
+  deleteFile(entry);
+  if (!fs.existsSync(ASSET_DIR)) {
+    fs.mkdirSync(ASSET_DIR, { recursive: true });
+  }
+  entry.file = `${kind}-${fileSlug(key)}.${ext}`;
+  fs.writeFileSync(path.join(ASSET_DIR, entry.file), buffer);
+  entry.updatedAt = new Date().toISOString();
+  delete entry.failedAt;
+  delete entry.failedUrl;
+  delete entry.error;
+}
+
+function extensionForType(contentType) {
+  const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+  return Object.keys(IMAGE_TYPES).find((ext) => IMAGE_TYPES[ext] === type) || null;
+}
+
+function recentlyFailed(entry, url) {
+  return Boolean(entry && entry.failedAt && entry.failedUrl === (url || null) &&
+    Date.now() - new Date(entry.failedAt).getTime() < RETRY_AFTER_MS);
+}
+
+function markFailed(entry, url, error) {
+  entry.failedAt = new Date().toISOString();
+  entry.failedUrl = url || null;
+  entry.error = error;
+}
+
+// ---------- Lookup ----------
+
+/**
+ * Local path of a cached asset, or null. Never downloads.
+ * @param {string} kind - 'crest' or 'logo'
+ * @param {string} name - Team or channel name
+ * @returns {string|null}
+ */
+function getAssetPath(kind, name) {
+  return existingFile(getEntry(loadIndex(), kind, name).entry);
+}
+
+/**
+ * Record an image URL a source reported for a team or channel. Uploads and
+ * admin-set URLs are never replaced.
+ *
+ * @param {string} kind - 'crest' or 'logo'
+ * @param {string} name - Team or channel name
+ * @param {string} url - Image URL
+ * @param {string} [source='tsdb'] - Where the URL came from
+ * @returns {boolean} True if the URL was recorded
+ */
+function noteAssetUrl(kind, name, url, source = 'tsdb') {
+  if (!KINDS.includes(kind) || !name || !/^https?:\/\//i.test(url || '')) return false;
+  const index = loadIndex();
+  const { entry } = getEntry(index, kind, name);
+  if (entry && (entry.uploaded || entry.urlSource === 'admin' || entry.url === url)) return false;
+
+  const updated = ensureEntry(index, kind, name);
+  updated.url = url;
+  updated.urlSource = source;
+  saveIndex(index);
+  return true;
+}
+
+/**
+ * Get an asset, downloading it if only its URL is known. Missing or failed
+ * assets resolve to null (the poster shows text instead).
+ *
+ * @param {string} kind - 'crest' or 'logo'
+ * @param {string} name - Team or channel name
+ * @param {Object} [options]
+ * @param {Function} [options.lookup] - async () => URL, tried when no URL is known
+ * @returns {Promise<string|null>} Local path
+ */
+async function fetchAsset(kind, name, { lookup = null } = {}) {
+  if (!KINDS.includes(kind) || !getAssetKey(kind, name)) return null;
+
+  const index = loadIndex();
+  const { key, entry: current } = getEntry(index, kind, name);
+  const cached = existingFile(current);
+  if (cached && (current.uploaded || current.fileUrl === current.url)) {
+    return cached;
+  }
+
+  let url = (current && current.url) || null;
+  if (!url && kind === 'logo') {
+    const channel = channelDictionary.lookupChannel(name);
+    url = (channel && channel.logo) || null;
+  }
+  if (recentlyFailed(current, url)) {
+    return cached;
+  }
+
+  const entry = ensureEntry(index, kind, name);
+  if (!url && lookup) {
+    try {
+      url = (await lookup()) || null;
+    } catch (err) {
+      url = null;
+    }
+    if (url) {
+      entry.url = url;
+      entry.urlSource = 'tsdb';
+    }
+  }
+  if (!url) {
+    if (lookup) {
+      markFailed(entry, null, 'No image found');
+      saveIndex(index);
+    }
+    return cached;
+  }
+
+  try {
+    const response = await axios.get(url, {
+      responseType: 'arraybuffer',
+      timeout: DOWNLOAD_TIMEOUT_MS,
+      maxContentLength: MAX_ASSET_BYTES,
+      headers: { 'User-Agent': 'TelegramSportsBot/1.0 (https://telegram.defecttracker.uk/)' }
+    });
+    const ext = extensionForType(response.headers && response.headers['content-type']);
+    if (!ext) {
+      throw new Error(`Not an image (${(response.headers && response.headers['content-type']) || 'no content type'})`);
+    }
+    writeImage(entry, kind, key, Buffer.from(response.data), ext);
+    entry.fileUrl = url;
+    saveIndex(index);
+    return filePath(entry);
+  } catch (err) {
+    markFailed(entry, url, err.message || String(err));
+    saveIndex(index);
+    return cached;
+  }
+}
+
+/**
+ * All cached and known assets.
+ * @param {string} [kind] - Only this kind
+ * @returns {Array<Object>} Entries with kind, key and hasFile, sorted by name
+ */
+function listAssets(kind = null) {
+  const index = loadIndex();
+  return KINDS
+    .filter((k) => !kind || k === kind)
+    .flatMap((k) => Object.entries(index[k]).map(([key, entry]) => ({
+      kind: k,
+      key,
+      ...entry,
+      hasFile: Boolean(existingFile(entry))
+    })))
+    .sort((a, b) => a.kind.localeCompare(b.kind) || String(a.name).localeCompare(String(b.name)));
+}
+
+/**
+ * Path of an asset's file by kind and key (for serving thumbnails).
+ * @returns {string|null}
+ */
+function getAssetFileByKey(kind, key) {
+  const index = loadIndex();
+  return index[kind] ? existingFile(index[kind][key]) : null;
+}
+
+// ---------- Admin Edits ----------
+
+/**
+ * Store an uploaded image for a team or channel. Uploads win over any URL.
+ *
+ * @param {string} kind - 'crest' or 'logo'
+ * @param {string} name - Team or channel name
+ * @param {Buffer} buffer - Image data
+ * @param {string} ext - File extension (png, jpg, jpeg, gif, webp)
+ * @returns {{asset: Object}|{error: string}}
+ */
+function saveUpload(kind, name, buffer, ext) {
+  if (!KINDS.includes(kind)) return { error: `Unknown asset type "${kind}"` };
+  if (!String(name || '').trim()) return { error: 'Team or channel name is required' };
+  const extension = String(ext || '').replace(/^\./, '').toLowerCase();
+  if (!IMAGE_TYPES[extension]) return { error: `Images must be ${Object.keys(IMAGE_TYPES).join(', ')}` };
+  if (!buffer || buffer.length === 0) return { error: 'The file is empty' };
+  if (buffer.length > MAX_ASSET_BYTES) return { error: 'Images must be 1MB or smaller' };
+
+  const index = loadIndex();
+  const key = getAssetKey(kind, name.trim());
+  const entry = ensureEntry(index, kind, name.trim());
+  writeImage(entry, kind, key, buffer, extension);
+  entry.uploaded = true;
+  entry.fileUrl = null;
+  saveIndex(index);
+  return { asset: { kind, key, ...entry } };
+}
+
+/**
+ * Set the URL an asset is downloaded from, replacing any upload or
+ * source-reported URL. The image is fetched on next use.
+ *
+ * @param {string} kind - 'crest' or 'logo'
+ * @param {string} name - Team or channel name
+ * @param {string} url - Image URL
+ * @returns {{asset: Object}|{error: string}}
+ */
+function setAssetUrl(kind, name, url) {
+  if (!KINDS.includes(kind)) return { error: `Unknown asset type "${kind}"` };
+  if (!String(name || '').trim()) return { error: 'Team or channel name is required' };
+  if (!/^https?:\/\/\S+$/i.test(String(url || '').trim())) return { error: 'Enter an http(s) image URL' };
+
+  const index = loadIndex();
+  const key = getAssetKey(kind, name.trim());
+  const entry = ensureEntry(index, kind, name.trim());
+  if (entry.uploaded) {
+    deleteFile(entry);
+    entry.file = null;
+    entry.uploaded = false;
+  }
+  entry.url = url.trim();
+  entry.urlSource = 'admin';
+  delete entry.failedAt;
+  delete entry.failedUrl;
+  delete entry.error;
+  saveIndex(index);
+  return { asset: { kind, key, ...entry } };
+}
+
+/**
+ * Forget an asset and delete its file.
+ * @param {string} kind - 'crest' or 'logo'
+ * @param {string} key - Asset key (from listAssets)
+ * @returns {boolean} True if an asset was removed
+ */
+function removeAsset(kind, key) {
+  const index = loadIndex();
+  if (!index[kind] || !index[kind][key]) return false;
+  deleteFile(index[kind][key]);
+  delete index[kind][key];
+  saveIndex(index);
+  return true;
+}
+
+/**
+ * Clear an asset's failure so the next poster tries again.
+ * @param {string} kind - 'crest' or 'logo'
+ * @param {string} key - Asset key
+ * @returns {boolean}
+ */
+function retryAsset(kind, key) {
+  const index = loadIndex();
+  const entry = index[kind] && index[kind][key];
+  if (!entry || !entry.failedAt) return false;
+  delete entry.failedAt;
+  delete entry.failedUrl;
+  delete entry.error;
+  saveIndex(index);
+  return true;
+}
+
+module.exports = {
+  getAssetKey,
+  getAssetPath,
+  getAssetFileByKey,
+  noteAssetUrl,
+  fetchAsset,
+  listAssets,
+  saveUpload,
+  setAssetUrl,
+  removeAsset,
+  retryAsset,
+  KINDS,
+  IMAGE_TYPES,
+  MAX_ASSET_BYTES,
+  RETRY_AFTER_MS,
+  ASSET_DIR
+};
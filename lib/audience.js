@@ -0,0 +1,182 @@
+// lib/audience.js
+// Per-channel audience timezones for the kick-off times on posters.
+/**
+ * Telegram Sports TV Bot – Audience Timezones
+ *
+ * Posters show kick-off in the clocks a channel's audience uses. Channels
+ * set audienceTimezones (config.json channels[]), one to three entries:
+ *   [{ "zone": "Africa/Lagos", "label": "WAT" }, { "zone": "Europe/London" }]
+ * zone is an IANA timezone; label is optional (see ZONE_LABELS, else the
+ * city). Channels without them keep the UK and US Eastern times.
+ *
+ * The regions a channel's audience watches are set with regionPriority and
+ * regionsOnly (lib/regions.js).
+ */
+
+// ---------- Configuration ----------
+
+const MAX_TIMEZONES = 3;
+
+const DEFAULT_TIMEZONES = [
+  { zone: 'Europe/London', label: 'UK' },
+  { zone: 'America/New_York', label: 'ET' }
+];
+
+// Labels audiences know; Intl's short names are mostly "GMT+1"
+const ZONE_LABELS = {
+  'Europe/London': 'UK',
+  'Europe/Dublin': 'IE',
+  'Europe/Paris': 'CET',
+  'Europe/Berlin': 'CET',
+  'Europe/Madrid': 'CET',
+  'Europe/Rome': 'CET',
+  'Europe/Amsterdam': 'CET',
+  'America/New_York': 'ET',
+  'America/Toronto': 'ET',
+  'America/Chicago': 'CT',
+  'America/Denver': 'MT',
+  'America/Los_Angeles': 'PT',
+  'Africa/Lagos': 'WAT',
+  'Africa/Accra': 'GMT',
+  'Africa/Johannesburg': 'SAST',
+  'Africa/Nairobi': 'EAT',
+  'Asia/Kolkata': 'IST',
+  'Asia/Calcutta': 'IST',
+  'Asia/Dubai': 'GST',
+  'Asia/Singapore': 'SGT',
+  'Asia/Jakarta': 'WIB',
+  'Asia/Tokyo': 'JST',
+  'Australia/Sydney': 'AET',
+  'Australia/Melbourne': 'AET',
+  'Australia/Brisbane': 'AEST',
+  'Australia/Adelaide': 'ACT',
+  'Australia/Perth': 'AWST',
+  'Pacific/Auckland': 'NZT'
+};
+
+// ---------- Helpers ----------
+
+/**
+ * Whether a string is an IANA timezone this runtime knows.
+ * @param {string} zone - e.g. "Africa/Lagos"
+ * @returns {boolean}
+ */
+function isValidTimezone(zone) {
+  if (!zone || typeof zone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone: zone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Default label for a timezone: ZONE_LABELS, else the city ("Sao Paulo").
+ * @param {string} zone - IANA timezone
+ * @returns {string}
+ */
+function getZoneLabel(zone) {
+  return ZONE_LABELS[zone] || String(zone).split('/').pop().replace(/_/g, ' ');
+}
+
+// Calendar day of a date in a timezone, as YYYY-MM-DD
+function dayKey(date, zone) {
+  return date.toLocaleDateString('en-CA', { timeZone: zone });
+}
+
+// ---------- Public API ----------
+
+/**
+ * A channel's audience timezones (the UK and US Eastern by default).
+ * Invalid zones are skipped; at most MAX_TIMEZONES are used.
+ *
+ * @param {Object} [channel] - Channel config
+ * @returns {Array<{zone: string, label: string}>}
+ */
+function getAudienceTimezones(channel = {}) {
+  const list = (Array.isArray(channel && channel.audienceTimezones) ? channel.audienceTimezones : [])
+    .map((tz) => (typeof tz === 'string' ? { zone: tz } : tz || {}))
+    .filter((tz) => isValidTimezone(tz.zone))
+    .slice(0, MAX_TIMEZONES)
+    .map((tz) => ({ zone: tz.zone, label: String(tz.label || '').trim() || getZoneLabel(tz.zone) }));
+  return list.length > 0 ? list : DEFAULT_TIMEZONES.map((tz) => ({ ...tz }));
+}
+
+/**
+ * The timezone a channel's audience mainly uses: its first audience
+ * timezone when it sets any, else the fallback (config timezone).
+ *
+ * @param {Object} [channel] - Channel config
+ * @param {string} [fallback='Europe/London'] - Timezone without audience settings
+ * @returns {string}
+ */
+function getChannelTimezone(channel = {}, fallback = 'Europe/London') {
+  const configured = Array.isArray(channel && channel.audienceTimezones) && channel.audienceTimezones.length > 0;
+  return configured ? getAudienceTimezones(channel)[0].zone : fallback;
+}
+
+/**
+ * Parse the admin form's timezone lines ("Africa/Lagos" or "Africa/Lagos = WAT").
+ *
+ * @param {string} text - One timezone per line
+ * @returns {{timezones: Array<{zone: string, label?: string}>}|{error: string}}
+ *   An empty list means the defaults
+ */
+function parseAudienceTimezones(text) {
+  const timezones = [];
+  for (const line of String(text || '').split('\n').map((l) => l.trim()).filter(Boolean)) {
+    const [zone, label] = line.split('=').map((part) => part.trim());
+    if (!isValidTimezone(zone)) {
+      return { error: `Unknown timezone "${zone}" (use IANA names like Africa/Lagos)` };
+    }
+    timezones.push(label ? { zone, label } : { zone });
+  }
+  if (timezones.length > MAX_TIMEZONES) {
+    return { error: `At most ${MAX_TIMEZONES} audience timezones` };
+  }
+  return { timezones };
+}
+
+/**
+ * Kick-off in each audience timezone. Times on a different calendar day
+ * from the first timezone carry the weekday ("Sun").
+ *
+ * @param {Date|string} start - Kick-off
+ * @param {Array<{zone: string, label: string}>} timezones - From getAudienceTimezones()
+ * @param {Function} formatTime - (date, zone) => "3:00pm"
+ * @param {string} [intl='en-GB'] - Locale tag for the weekday (lib/i18n.js)
+ * @returns {Array<{zone: string, label: string, time: string, day: string}>}
+ */
+function getAudienceTimes(start, timezones, formatTime, intl = 'en-GB') {
+  const date = start instanceof Date ? start : new Date(start);
+  const firstDay = timezones.length > 0 ? dayKey(date, timezones[0].zone) : '';
+  return timezones.map(({ zone, label }) => ({
+    zone,
+    label,
+    time: formatTime(date, zone),
+    day: dayKey(date, zone) === firstDay ? '' : date.toLocaleDateString(intl, { weekday: 'short', timeZone: zone })
+  }));
+}
+
+/**
+ * "3:00pm UK", or "Sun 2:00am AET" for a time on another day.
+ * @param {{label: string, time: string, day: string}} t - From getAudienceTimes()
+ * @returns {string}
+ */
+function formatAudienceTime(t) {
+  return [t.day, t.time, t.label].filter(Boolean).join(' ');
+}
+
+module.exports = {
+  isValidTimezone,
+  getZoneLabel,
+  getAudienceTimezones,
+  getChannelTimezone,
+  parseAudienceTimezones,
+  getAudienceTimes,
+  formatAudienceTime,
+  DEFAULT_TIMEZONES,
+  MAX_TIMEZONES,
+  ZONE_LABELS
+};
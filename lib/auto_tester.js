@@ -8,7 +8,7 @@
  * and generates reports.
  *
  * Features:
- * - Auto-discover and test all scrapers
+ * - Test every scraper declared in lib/source_registry.js
  * - Run health checks for each scraper
  * - Run functional tests with real fixtures (today's listings)
  * - Store and persist results
@@ -24,6 +24,7 @@ const fs = require('fs');
 const path = require('path');
 const axios = require('axios');
 const scrapeStore = require('./scrape_store');
+const sourceRegistry = require('./source_registry');
 
 // ---------- VPS Configuration ----------
 
@@ -64,252 +65,26 @@ const VPS_TIMEOUTS = {
 
 // ---------- Scraper Registry ----------
 
-// Define all available scrapers with their test configurations
+// Test configuration for every source in lib/source_registry.js
 // VPS scrapers use 'isVps: true' and 'vpsEndpoint' instead of 'module'
-const SCRAPER_REGISTRY = {
-  lstv: {
-    id: 'lstv',
-    name: 'LiveSoccerTV',
-    description: 'TV channel information from LiveSoccerTV.com',
-    module: '../scrapers/lstv',
-    hasHealthCheck: true,
-    testMethod: 'fetchLSTVFixtures',
-    // Fetch all fixtures for UK region (today's listings)
-    testParams: { region: 'UK' },
-    requiresVPS: true,
-    isVps: false
-  },
-  tsdb: {
-    id: 'tsdb',
-    name: 'TheSportsDB',
-    description: 'Fixture data from TheSportsDB API',
-    module: '../scrapers/thesportsdb',
-    hasHealthCheck: true,
-    testMethod: 'fetchTSDBFixtures',
-    // Fetch all fixtures for today (today's listings)
-    testParams: { date: new Date(), region: 'UK' },
-    requiresVPS: false,
-    isVps: false
-  },
-  wiki: {
-    id: 'wiki',
-    name: 'Wikipedia Broadcasters',
-    description: 'League broadcasting info from Wikipedia',
-    module: '../scrapers/wiki_broadcasters',
-    hasHealthCheck: false,
-    testMethod: 'fetchWikiBroadcasters',
-    testParams: { leagueName: 'Premier League' },
-    requiresVPS: false,
-    isVps: false
-  },
-  bbc: {
-    id: 'bbc',
-    name: 'BBC Sport',
-    description: 'Fixture data from BBC Sport',
-    module: '../scrapers/bbc_fixtures',
-    hasHealthCheck: true,
-    testMethod: 'fetchBBCFixtures',
-    // Empty params fetches all fixtures from main football page (today's listings)
-    testParams: {},
-    requiresVPS: false,
-    isVps: false
-  },
-  sky: {
-    id: 'sky',
-    name: 'Sky Sports',
-    description: 'Sky Sports fixtures and channels',
-    module: '../scrapers/skysports',
-    hasHealthCheck: true,
-    testMethod: 'fetchSkyFixtures',
-    // Empty params fetches all fixtures (today's listings)
-    testParams: {},
-    requiresVPS: false,
-    isVps: false
-  },
-  tnt: {
-    id: 'tnt',
-    name: 'TNT Sports',
-    description: 'TNT Sports fixtures and channels',
-    module: '../scrapers/tnt',
-    hasHealthCheck: true,
-    testMethod: 'fetchTNTFixtures',
-    // Empty params fetches all fixtures (today's listings)
-    testParams: {},
-    requiresVPS: false,
-    isVps: false
-  },
-  lfotv: {
-    id: 'lfotv',
-    name: 'LiveFootballOnTV',
-    description: 'UK TV listings from LiveFootballOnTV',
-    module: '../scrapers/livefootballontv',
-    hasHealthCheck: true,
-    testMethod: 'fetchLFOTVFixtures',
-    // Empty params fetches all fixtures (today's listings)
-    testParams: {},
-    requiresVPS: false,
-    isVps: false
-  },
-  footballdata: {
-    id: 'footballdata',
-    name: 'FootballData.org',
-    description: 'Fixture data from FootballData.org API',
-    module: '../scrapers/footballdata',
-    hasHealthCheck: true,
-    testMethod: 'fetchFootballData',
-    // General fixtures (today's listings)
-    testParams: {},
-    requiresVPS: false,
-    isVps: false
-  },
-  // ---------- VPS Scrapers ----------
-  // These scrapers run on the VPS via HTTP endpoints (not local modules)
-  // They use 'isVps: true' and 'vpsEndpoint' instead of 'module'
-  'vps-bbc': {
-    id: 'vps-bbc',
-    name: 'VPS BBC Sport',
-    description: 'BBC Sport scraper using Puppeteer (VPS)',
-    vpsEndpoint: '/scrape/bbc',
-    healthEndpoint: '/health/bbc',
-    hasHealthCheck: true,
-    // Fetch today's listings (no team filter)
-    testParams: {},
-    requiresVPS: true,
-    isVps: true
-  },
-  'vps-livefootballontv': {
-    id: 'vps-livefootballontv',
-    name: 'VPS LiveFootballOnTV',
-    description: 'LiveFootballOnTV scraper using Puppeteer (VPS)',
-    vpsEndpoint: '/scrape/livefootballontv',
-    healthEndpoint: '/health/livefootballontv',
-    hasHealthCheck: true,
-    // Fetch today's listings (no team filter)
-    testParams: {},
-    requiresVPS: true,
-    isVps: true
-  },
-  'vps-liveonsat': {
-    id: 'vps-liveonsat',
-    name: 'VPS LiveOnSat',
-    description: 'LiveOnSat UK Football scraper using Puppeteer (VPS)',
-    vpsEndpoint: '/scrape/liveonsat',
-    healthEndpoint: '/health/liveonsat',
-    hasHealthCheck: true,
-    // Fetch today's listings (no team filter)
-    testParams: {},
-    requiresVPS: true,
-    isVps: true
-  },
-  'vps-lstv': {
-    id: 'vps-lstv',
-    name: 'VPS LiveSoccerTV',
-    description: 'LiveSoccerTV scraper using Puppeteer (VPS)',
-    vpsEndpoint: '/scrape/lstv',
-    healthEndpoint: '/health/lstv',
-    hasHealthCheck: true,
-    // Fetch today's listings for UK region
-    testParams: { region: 'UK' },
-    requiresVPS: true,
-    isVps: true
-  },
-  'vps-oddalerts': {
-    id: 'vps-oddalerts',
-    name: 'VPS OddAlerts',
-    description: 'OddAlerts TV Guide scraper using Puppeteer (VPS)',
-    vpsEndpoint: '/scrape/oddalerts',
-    healthEndpoint: '/health/oddalerts',
-    hasHealthCheck: true,
-    // Fetch today's listings
-    testParams: {},
-    requiresVPS: true,
-    isVps: true
-  },
-  'vps-prosoccertv': {
-    id: 'vps-prosoccertv',
-    name: 'VPS ProSoccer.TV',
-    description: 'ProSoccer.TV scraper using Puppeteer (VPS)',
-    vpsEndpoint: '/scrape/prosoccertv',
-    healthEndpoint: '/health/prosoccertv',
-    hasHealthCheck: true,
-    // Fetch today's listings
-    testParams: {},
-    requiresVPS: true,
-    isVps: true
-  },
-  'vps-skysports': {
-    id: 'vps-skysports',
-    name: 'VPS Sky Sports',
-    description: 'Sky Sports scraper using Puppeteer (VPS)',
-    vpsEndpoint: '/scrape/skysports',
-    healthEndpoint: '/health/skysports',
-    hasHealthCheck: true,
-    // Fetch today's listings (no team filter)
-    testParams: {},
-    requiresVPS: true,
-    isVps: true
-  },
-  'vps-sporteventz': {
-    id: 'vps-sporteventz',
-    name: 'VPS SportEventz',
-    description: 'SportEventz scraper using Puppeteer (VPS)',
-    vpsEndpoint: '/scrape/sporteventz',
-    healthEndpoint: '/health/sporteventz',
-    hasHealthCheck: true,
-    // Fetch today's listings
-    testParams: {},
-    requiresVPS: true,
-    isVps: true
-  },
-  'vps-tnt': {
-    id: 'vps-tnt',
-    name: 'VPS TNT Sports',
-    description: 'TNT Sports scraper using Puppeteer (VPS)',
-    vpsEndpoint: '/scrape/tnt',
-    healthEndpoint: '/health/tnt',
-    hasHealthCheck: true,
-    // Fetch today's listings (no team filter)
-    testParams: {},
-    requiresVPS: true,
-    isVps: true
-  },
-  'vps-wheresthematch': {
-    id: 'vps-wheresthematch',
-    name: 'VPS Where\'s The Match',
-    description: 'Where\'s The Match scraper using Puppeteer (VPS)',
-    vpsEndpoint: '/scrape/wheresthematch',
-    healthEndpoint: '/health/wheresthematch',
-    hasHealthCheck: true,
-    // Fetch today's listings
-    testParams: {},
-    requiresVPS: true,
-    isVps: true
-  },
-  'vps-sofascore': {
-    id: 'vps-sofascore',
-    name: 'VPS SofaScore',
-    description: 'SofaScore football fixtures + TV scraper (VPS)',
-    vpsEndpoint: '/scrape/sofascore',
-    healthEndpoint: '/health/sofascore',
-    hasHealthCheck: true,
-    // Fetch today's listings
-    testParams: {},
-    requiresVPS: true,
-    isVps: true
-  },
-  'vps-worldsoccertalk': {
-    id: 'vps-worldsoccertalk',
-    name: 'VPS World Soccer Talk',
-    description: 'World Soccer Talk scraper using Puppeteer (VPS)',
-    vpsEndpoint: '/scrape/worldsoccertalk',
-    healthEndpoint: '/health/worldsoccertalk',
-    hasHealthCheck: true,
-    // Fetch today's listings
-    testParams: {},
-    requiresVPS: true,
-    isVps: true
-  }
-};
+const SCRAPER_REGISTRY = Object.fromEntries(sourceRegistry.listSources().map(source => {
+  const { invocation, test = {} } = source;
+  const isVps = invocation.type === 'vps';
+  return [source.id, {
+    id: source.id,
+    name: source.name,
+    description: source.description,
+    ...(isVps
+      ? { vpsEndpoint: invocation.path, healthEndpoint: invocation.healthPath }
+      : { module: `../${invocation.module}` }),
+    hasHealthCheck: source.hasHealthCheck,
+    testMethod: test.method,
+    // Default params fetch today's listings
+    testParams: test.params || {},
+    requiresVPS: source.requiresVPS,
+    isVps
+  }];
+}));
 
 // ---------- Logging ----------
 
@@ -0,0 +1,431 @@
+// lib/cache.js
+// Persistent shared cache for scraper, feed and aggregator results.
+/**
+ * Telegram Sports TV Bot – Shared Cache
+ *
+ * One disk cache for every source, so results survive restarts. Entries
+ * are grouped by namespace: a source id from lib/source_registry.js
+ * ('lstv', 'sky', 'vps-sofascore', ...) or 'ics' for fixture feeds. Each
+ * namespace has a policy (POLICIES, DEFAULT_POLICY for the rest):
+ *   ttlMs         - Fresh for this long; served without fetching
+ *   staleMs       - Then stale for this long: served at once while a
+ *                   background fetch refreshes it (stale-while-revalidate)
+ *   negativeTtlMs - How long a "no match" result is kept (0 = not cached)
+ *   maxEntries    - Oldest-used entries are evicted beyond this...
+ *   maxBytes      - ...or beyond this many bytes on disk
+ *
+ * Expired entries (past the stale window) are only used when a fetch
+ * fails, e.g. on HTTP 429. Errors themselves are never cached.
+ *
+ * Storage: storage/cache/<namespace>/<sha256 of key>.json (directory
+ * overridable with CACHE_DIR), each file holding
+ *   { namespace, key, negative, storedAt, freshUntil, staleUntil, value }
+ * The file's mtime is its last use (for eviction).
+ *
+ * Concurrent wrap() calls for the same key share one fetch.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// ---------- Configuration ----------
+
+const CACHE_DIR = process.env.CACHE_DIR ||
+  path.join(__dirname, '..', 'storage', 'cache');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+const DEFAULT_POLICY = {
+  ttlMs: 30 * MINUTE_MS,
+  staleMs: 6 * HOUR_MS,
+  negativeTtlMs: 15 * MINUTE_MS,
+  maxEntries: 500,
+  maxBytes: 20 * 1024 * 1024
+};
+
+// Per-namespace overrides of DEFAULT_POLICY
+const POLICIES = {
+  // Fixture feeds: stale copies cover TheFishy rate limits
+  ics: { ttlMs: 30 * MINUTE_MS, staleMs: 0, negativeTtlMs: 0, maxEntries: 300, maxBytes: 50 * 1024 * 1024 },
+  tsdb: { ttlMs: HOUR_MS },
+  footballdata: { ttlMs: HOUR_MS },
+  // Listings rarely change once published
+  lstv: { ttlMs: 4 * HOUR_MS, staleMs: 12 * HOUR_MS, negativeTtlMs: 30 * MINUTE_MS },
+  livesoccertv: { ttlMs: 4 * HOUR_MS, staleMs: 12 * HOUR_MS, negativeTtlMs: 30 * MINUTE_MS },
+  bbc: { ttlMs: 2 * HOUR_MS },
+  sky: { ttlMs: 2 * HOUR_MS },
+  tnt: { ttlMs: 2 * HOUR_MS },
+  lfotv: { ttlMs: 2 * HOUR_MS },
+  // Season-wide broadcasters
+  wiki: { ttlMs: 12 * HOUR_MS, staleMs: 7 * DAY_MS, negativeTtlMs: 6 * HOUR_MS, maxEntries: 100 }
+};
+
+// ---------- Logging ----------
+
+function log(msg) {
+  console.log(`[${new Date().toISOString()}] [CACHE] ${msg}`);
+}
+
+// ---------- Helpers ----------
+
+/**
+ * Effective policy for a namespace.
+ * @param {string} namespace
+ * @param {Object} [overrides] - Per-call policy fields
+ * @returns {{ttlMs, staleMs, negativeTtlMs, maxEntries, maxBytes}}
+ */
+function getPolicy(namespace, overrides = {}) {
+  const policy = { ...DEFAULT_POLICY, ...(POLICIES[namespace] || {}) };
+  for (const field of Object.keys(DEFAULT_POLICY)) {
+    if (typeof overrides[field] === 'number' && overrides[field] >= 0) {
+      policy[field] = overrides[field];
+    }
+  }
+  return policy;
+}
+
+function formatDuration(ms) {
+  if (ms >= DAY_MS && ms % DAY_MS === 0) return `${ms / DAY_MS} day${ms === DAY_MS ? '' : 's'}`;
+  if (ms >= HOUR_MS && ms % HOUR_MS === 0) return `${ms / HOUR_MS} hour${ms === HOUR_MS ? '' : 's'}`;
+  return `${Math.round(ms / MINUTE_MS)} minutes`;
+}
+
+/**
+ * Human-readable policy, e.g. "4 hours (stale up to 12 hours)".
+ * @param {string} namespace
+ * @returns {string}
+ */
+function describePolicy(namespace) {
+  const { ttlMs, staleMs } = getPolicy(namespace);
+  return staleMs > 0 ? `${formatDuration(ttlMs)} (stale up to ${formatDuration(staleMs)})` : formatDuration(ttlMs);
+}
+
+/**
+ * Cache keys may be strings or plain objects (Dates become ISO strings).
+ * @param {string|Object} key
+ * @returns {string}
+ */
+function keyToString(key) {
+  return typeof key === 'string' ? key : JSON.stringify(key);
+}
+
+function safeNamespace(namespace) {
+  return String(namespace || 'default').replace(/[^a-z0-9_-]/gi, '_');
+}
+
+function entryPath(namespace, key) {
+  const hash = crypto.createHash('sha256').update(keyToString(key)).digest('hex');
+  return path.join(CACHE_DIR, safeNamespace(namespace), `${hash}.json`);
+}
+
+function readEntryFile(file) {
+  try {
+    const entry = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (entry && typeof entry.storedAt === 'number' && 'value' in entry) {
+      return entry;
+    }
+  } catch (err) {
+    // Missing or corrupt entry - treat as a miss
+  }
+  return null;
+}
+
+/**
+ * 'fresh', 'stale' or 'expired'.
+ * @param {Object} entry - Stored entry
+ * @param {number} [now]
+ * @returns {string}
+ */
+function getState(entry, now = Date.now()) {
+  if (now < entry.freshUntil) return 'fresh';
+  if (now < entry.staleUntil) return 'stale';
+  return 'expired';
+}
+
+// ---------- Read / Write ----------
+
+/**
+ * Look up an entry (in any state).
+ * @param {string} namespace
+ * @param {string|Object} key
+ * @returns {{value, state: string, negative: boolean, storedAt: number}|null}
+ */
+function get(namespace, key) {
+  const file = entryPath(namespace, key);
+  const entry = readEntryFile(file);
+  if (!entry) return null;
+
+  // Mark as recently used
+  try {
+    const now = new Date();
+    fs.utimesSync(file, now, now);
+  } catch (err) {
+    // Ignore
+  }
+  return { value: entry.value, state: getState(entry), negative: Boolean(entry.negative), storedAt: entry.storedAt };
+}
+
+/**
+ * Store a value, then evict beyond the namespace's size limits.
+ * @param {string} namespace
+ * @param {string|Object} key
+ * @param {*} value - JSON-serialisable
+ * @param {Object} [options]
+ * @param {boolean} [options.negative=false] - A "no match" result (negativeTtlMs, no stale window)
+ * @returns {boolean} Whether it was stored
+ */
+function set(namespace, key, value, options = {}) {
+  const policy = getPolicy(namespace, options);
+  const negative = Boolean(options.negative);
+  if (negative && policy.negativeTtlMs <= 0) return false;
+
+  const now = Date.now();
+  const freshUntil = now + (negative ? policy.negativeTtlMs : policy.ttlMs);
+  const entry = {
+    namespace,
+    key: keyToString(key),
+    negative,
+    storedAt: now,
+    freshUntil,
+    staleUntil: negative ? freshUntil : freshUntil + policy.staleMs,
+    value
+  };
+
+  try {
+    const file = entryPath(namespace, key);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(entry), 'utf8');
+    enforceLimits(namespace, policy);
+    return true;
+  } catch (err) {
+    log(`${namespace}: write failed: ${err.message}`);
+    return false;
+  }
+}
+
+/**
+ * Evict least recently used entries beyond maxEntries/maxBytes.
+ */
+function enforceLimits(namespace, policy) {
+  const files = listFiles(namespace).sort((a, b) => b.mtimeMs - a.mtimeMs);
+  let bytes = 0;
+  let evicted = 0;
+  files.forEach((f, i) => {
+    bytes += f.size;
+    if (i >= policy.maxEntries || bytes > policy.maxBytes) {
+      try {
+        fs.unlinkSync(f.file);
+        evicted++;
+      } catch (err) {
+        // Ignore
+      }
+    }
+  });
+  if (evicted > 0) log(`${namespace}: evicted ${evicted} entr${evicted === 1 ? 'y' : 'ies'}`);
+}
+
+function listNamespaces() {
+  try {
+    return fs.readdirSync(CACHE_DIR, { withFileTypes: true })
+      .filter((d) => d.isDirectory())
+      .map((d) => d.name)
+      .sort();
+  } catch (err) {
+    return [];
+  }
+}
+
+function listFiles(namespace) {
+  const dir = path.join(CACHE_DIR, safeNamespace(namespace));
+  try {
+    return fs.readdirSync(dir)
+      .filter((name) => name.endsWith('.json'))
+      .map((name) => {
+        const file = path.join(dir, name);
+        const stat = fs.statSync(file);
+        return { file, id: name.slice(0, -5), size: stat.size, mtimeMs: stat.mtimeMs };
+      });
+  } catch (err) {
+    return [];
+  }
+}
+
+// ---------- Wrap ----------
+
+// In-flight fetches by namespace|key
+const inFlight = new Map();
+
+function refresh(namespace, key, fetcher, options) {
+  const id = `${namespace}|${keyToString(key)}`;
+  if (inFlight.has(id)) return inFlight.get(id);
+
+  const { isNegative = (value) => value === null || value === undefined } = options;
+  const promise = Promise.resolve()
+    .then(fetcher)
+    .then((value) => {
+      const negative = Boolean(isNegative(value));
+      // Scrapers report most failures as empty results: a "no match" doesn't
+      // replace a match that is still within its stale window
+      const current = negative ? get(namespace, key) : null;
+      if (!current || current.negative || current.state === 'expired') {
+        set(namespace, key, value, { ...options, negative });
+      }
+      return value;
+    })
+    .finally(() => inFlight.delete(id));
+  inFlight.set(id, promise);
+  return promise;
+}
+
+/**
+ * Cached call: a fresh entry is returned as is; a stale one is returned at
+ * once and refreshed in the background; otherwise fetcher() is awaited and
+ * its result stored. If fetcher() throws, any stored entry (even expired)
+ * is returned instead, else the error is rethrown.
+ *
+ * @param {string} namespace - Source id or 'ics'
+ * @param {string|Object} key - Request identity (e.g. the scraper's params)
+ * @param {Function} fetcher - async () => value (JSON-serialisable)
+ * @param {Object} [options]
+ * @param {Function} [options.isNegative] - value => true for "no match" results (default: null/undefined)
+ * @param {boolean} [options.revalidate=true] - Refresh stale entries in the background
+ * @param {boolean} [options.bypass=false] - Skip the cache entirely
+ * @param {number} [options.ttlMs] - Policy overrides (also staleMs, negativeTtlMs, ...)
+ * @returns {Promise<*>}
+ */
+async function wrap(namespace, key, fetcher, options = {}) {
+  if (options.bypass) return fetcher();
+
+  const cached = get(namespace, key);
+  if (cached && cached.state === 'fresh') {
+    return cached.value;
+  }
+
+  if (cached && cached.state === 'stale' && options.revalidate !== false) {
+    refresh(namespace, key, fetcher, options).catch((err) => {
+      log(`${namespace}: background refresh failed: ${err.message}`);
+    });
+    return cached.value;
+  }
+
+  try {
+    return await refresh(namespace, key, fetcher, options);
+  } catch (err) {
+    if (cached) {
+      log(`${namespace}: fetch failed (${err.message}) – using ${cached.state} entry from ${new Date(cached.storedAt).toISOString()}`);
+      return cached.value;
+    }
+    throw err;
+  }
+}
+
+// ---------- Inspect / Purge ----------
+
+/**
+ * Entry summaries (no values), most recently stored first.
+ * @param {Object} [filter]
+ * @param {string} [filter.namespace]
+ * @returns {Array<{namespace, id, key, state, negative, storedAt, freshUntil, staleUntil, size}>}
+ */
+function listEntries({ namespace = null } = {}) {
+  const now = Date.now();
+  const entries = [];
+  for (const ns of namespace ? [safeNamespace(namespace)] : listNamespaces()) {
+    for (const f of listFiles(ns)) {
+      const entry = readEntryFile(f.file);
+      if (!entry) continue;
+      entries.push({
+        namespace: ns,
+        id: f.id,
+        key: entry.key,
+        state: getState(entry, now),
+        negative: Boolean(entry.negative),
+        storedAt: entry.storedAt,
+        freshUntil: entry.freshUntil,
+        staleUntil: entry.staleUntil,
+        size: f.size
+      });
+    }
+  }
+  return entries.sort((a, b) => b.storedAt - a.storedAt);
+}
+
+/**
+ * Per-namespace counts and sizes.
+ * @returns {Array<{namespace, entries, bytes, fresh, stale, expired, negative, policy}>}
+ */
+function getStats() {
+  const byNamespace = new Map();
+  for (const entry of listEntries()) {
+    const stats = byNamespace.get(entry.namespace) || {
+      namespace: entry.namespace, entries: 0, bytes: 0, fresh: 0, stale: 0, expired: 0, negative: 0,
+      policy: describePolicy(entry.namespace)
+    };
+    stats.entries++;
+    stats.bytes += entry.size;
+    stats[entry.state]++;
+    if (entry.negative) stats.negative++;
+    byNamespace.set(entry.namespace, stats);
+  }
+  return Array.from(byNamespace.values());
+}
+
+/**
+ * Read one stored entry by namespace and id (file name) for inspection.
+ * @param {string} namespace
+ * @param {string} id
+ * @returns {Object|null} Stored entry including value
+ */
+function getEntryById(namespace, id) {
+  if (!/^[a-f0-9]{64}$/.test(id || '')) return null;
+  const entry = readEntryFile(path.join(CACHE_DIR, safeNamespace(namespace), `${id}.json`));
+  return entry ? { ...entry, id, state: getState(entry) } : null;
+}
+
+/**
+ * Remove entries.
+ * @param {Object} [filter] - With no filter, everything is removed
+ * @param {string} [filter.namespace] - Only this namespace
+ * @param {string} [filter.id] - Only this entry (with namespace)
+ * @param {boolean} [filter.expiredOnly] - Only entries past their stale window
+ * @returns {number} Entries removed
+ */
+function purge({ namespace = null, id = null, expiredOnly = false } = {}) {
+  const now = Date.now();
+  let removed = 0;
+  for (const ns of namespace ? [safeNamespace(namespace)] : listNamespaces()) {
+    for (const f of listFiles(ns)) {
+      if (id && f.id !== id) continue;
+      if (expiredOnly) {
+        const entry = readEntryFile(f.file);
+        if (entry && getState(entry, now) !== 'expired') continue;
+      }
+      try {
+        fs.unlinkSync(f.file);
+        removed++;
+      } catch (err) {
+        // Ignore
+      }
+    }
+  }
+  if (removed > 0) log(`Purged ${removed} entr${removed === 1 ? 'y' : 'ies'}${namespace ? ` from ${namespace}` : ''}`);
+  return removed;
+}
+
+module.exports = {
+  wrap,
+  get,
+  set,
+  getPolicy,
+  describePolicy,
+  listEntries,
+  getStats,
+  getEntryById,
+  purge,
+  DEFAULT_POLICY,
+  POLICIES,
+  CACHE_DIR
+};
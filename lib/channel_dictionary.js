@@ -0,0 +1,433 @@
+// lib/channel_dictionary.js
+// Canonical TV channel catalogue: aliases → display name, network and country.
+/**
+ * Telegram Sports TV Bot – Channel Dictionary
+ *
+ * Sources spell the same channel many ways ("Sky Sports PL", "Sky Sports
+ * Premier League HD", "SS Premier League"). Every alias here maps to one
+ * canonical channel so the aggregator can merge votes for it and posts show
+ * one name.
+ *
+ * The built-in catalogue (CHANNELS) is extended from /admin/tv-channels.
+ * Admin entries with the same name as a built-in channel add aliases to it
+ * and may override its network/country.
+ *
+ * Raw names no entry matches are recorded so they can be mapped on the admin
+ * page. Entries may carry a logo URL for image posters (lib/asset_cache.js).
+ *
+ * Storage format (storage/channel_dictionary.json):
+ * {
+ *   "channels": [
+ *     { name: string, network: string | null, country: string | null, aliases: string[], logo?: string }
+ *   ],
+ *   "unmatched": {
+ *     "<key>": { raw: string, count: number, sources: string[], firstSeen: ISO string, lastSeen: ISO string }
+ *   }
+ * }
+ *
+ * Network ids are the ones aggregators/confidence.js uses for broadcaster
+ * exclusivity (sky, tnt, amazon, bbc, itv, premier, channel4); country uses
+ * the region names posts show (UK, USA, ...).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// ---------- Configuration ----------
+
+const STORE_PATH = process.env.CHANNEL_DICTIONARY_PATH ||
+  path.join(__dirname, '..', 'storage', 'channel_dictionary.json');
+
+// Oldest unmatched names are dropped past this many
+const MAX_UNMATCHED = 500;
+
+// Picture-quality suffixes that don't make a different channel
+const QUALITY_SUFFIX = /\s+(?:hd|uhd|sd|4k)$/;
+
+// ---------- Catalogue ----------
+
+const CHANNELS = [
+  // Sky (UK)
+  { name: 'Sky Sports Main Event', network: 'sky', country: 'UK', aliases: ['SS Main Event', 'Sky Main Event', 'Sky Sports 1', 'Sky Sports Main Evt'] },
+  { name: 'Sky Sports Premier League', network: 'sky', country: 'UK', aliases: ['Sky Sports PL', 'SS PL', 'SS Premier League', 'Sky PL', 'Sky Premier League'] },
+  { name: 'Sky Sports Football', network: 'sky', country: 'UK', aliases: ['SS Football', 'Sky Football'] },
+  { name: 'Sky Sports Ultra HDR', network: 'sky', country: 'UK', aliases: ['Sky Sports Ultra HD', 'Sky Ultra HDR', 'SS Ultra HDR'] },
+  { name: 'Sky Sports Arena', network: 'sky', country: 'UK', aliases: ['SS Arena'] },
+  { name: 'Sky Sports Action', network: 'sky', country: 'UK', aliases: ['SS Action'] },
+  { name: 'Sky Sports Mix', network: 'sky', country: 'UK', aliases: ['SS Mix'] },
+  { name: 'Sky Sports Cricket', network: 'sky', country: 'UK', aliases: ['SS Cricket'] },
+  { name: 'Sky Sports F1', network: 'sky', country: 'UK', aliases: ['SS F1', 'Sky F1', 'Sky Sports Formula 1'] },
+  { name: 'Sky Sports Golf', network: 'sky', country: 'UK', aliases: ['SS Golf'] },
+  { name: 'Sky Sports+', network: 'sky', country: 'UK', aliases: ['Sky Sports Plus', 'SS+'] },
+  { name: 'Sky Sports Box Office', network: 'sky', country: 'UK', aliases: ['Sky Box Office'] },
+  { name: 'Sky Sports News', network: 'sky', country: 'UK', aliases: ['SSN'] },
+  { name: 'NOW', network: 'sky', country: 'UK', aliases: ['NOW TV', 'Now Sports'] },
+
+  // TNT Sports (UK, formerly BT Sport)
+  { name: 'TNT Sports 1', network: 'tnt', country: 'UK', aliases: ['BT Sport 1', 'TNT 1', 'TNT Sports One'] },
+  { name: 'TNT Sports 2', network: 'tnt', country: 'UK', aliases: ['BT Sport 2', 'TNT 2', 'TNT Sports Two'] },
+  { name: 'TNT Sports 3', network: 'tnt', country: 'UK', aliases: ['BT Sport 3', 'TNT 3', 'TNT Sports Three'] },
+  { name: 'TNT Sports 4', network: 'tnt', country: 'UK', aliases: ['BT Sport 4', 'TNT 4', 'TNT Sports Four'] },
+  { name: 'TNT Sports Ultimate', network: 'tnt', country: 'UK', aliases: ['BT Sport Ultimate'] },
+  { name: 'TNT Sports Box Office', network: 'tnt', country: 'UK', aliases: ['BT Sport Box Office'] },
+  { name: 'discovery+', network: 'tnt', country: 'UK', aliases: ['Discovery Plus', 'discovery+ app'] },
+
+  // Free-to-air and others (UK)
+  { name: 'BBC One', network: 'bbc', country: 'UK', aliases: ['BBC 1', 'BBC1'] },
+  { name: 'BBC Two', network: 'bbc', country: 'UK', aliases: ['BBC 2', 'BBC2'] },
+  { name: 'BBC iPlayer', network: 'bbc', country: 'UK', aliases: ['iPlayer', 'BBC Sport website'] },
+  { name: 'ITV1', network: 'itv', country: 'UK', aliases: ['ITV', 'ITV 1', 'ITV One'] },
+  { name: 'ITV4', network: 'itv', country: 'UK', aliases: ['ITV 4'] },
+  { name: 'ITVX', network: 'itv', country: 'UK', aliases: ['ITV X', 'ITV Hub'] },
+  { name: 'STV', network: 'itv', country: 'UK', aliases: ['STV Player'] },
+  { name: 'Channel 4', network: 'channel4', country: 'UK', aliases: ['C4', 'Channel Four'] },
+  { name: 'Amazon Prime Video', network: 'amazon', country: 'UK', aliases: ['Prime Video', 'Amazon Prime', 'Amazon Prime Video UK'] },
+  { name: 'Premier Sports 1', network: 'premier', country: 'UK', aliases: ['Premier Sports One'] },
+  { name: 'Premier Sports 2', network: 'premier', country: 'UK', aliases: ['Premier Sports Two'] },
+  { name: 'Viaplay Sports 1', network: 'viaplay', country: 'UK', aliases: ['Viaplay Sports One'] },
+  { name: 'S4C', network: 's4c', country: 'UK', aliases: [] },
+
+  // USA
+  { name: 'Peacock', network: 'nbc', country: 'USA', aliases: ['Peacock Premium', 'NBC Peacock'] },
+  { name: 'NBC', network: 'nbc', country: 'USA', aliases: ['NBC Sports'] },
+  { name: 'USA Network', network: 'nbc', country: 'USA', aliases: [] },
+  { name: 'CBS', network: 'cbs', country: 'USA', aliases: ['CBS Sports'] },
+  { name: 'CBS Sports Network', network: 'cbs', country: 'USA', aliases: ['CBSSN', 'CBS Sports Net'] },
+  { name: 'Paramount+', network: 'cbs', country: 'USA', aliases: ['Paramount Plus'] },
+  { name: 'ESPN', network: 'espn', country: 'USA', aliases: [] },
+  { name: 'ESPN+', network: 'espn', country: 'USA', aliases: ['ESPN Plus'] },
+  { name: 'ESPN2', network: 'espn', country: 'USA', aliases: ['ESPN 2'] },
+  { name: 'FOX', network: 'fox', country: 'USA', aliases: ['Fox Sports'] },
+  { name: 'FS1', network: 'fox', country: 'USA', aliases: ['Fox Sports 1', 'FOX Sports 1'] },
+  { name: 'TUDN', network: 'univision', country: 'USA', aliases: ['TUDN USA'] },
+  { name: 'Universo', network: 'nbc', country: 'USA', aliases: ['NBC Universo'] },
+  { name: 'Telemundo', network: 'nbc', country: 'USA', aliases: [] },
+
+  // International
+  { name: 'DAZN', network: 'dazn', country: null, aliases: ['DAZN 1', 'DAZN1'] },
+  { name: 'beIN Sports', network: 'bein', country: null, aliases: ['beIN Sport', 'beIN SPORTS 1', 'beIN Sports 1'] },
+  { name: 'Sky Sport Germany', network: 'sky-de', country: 'Germany', aliases: ['Sky Deutschland', 'Sky Sport Bundesliga'] },
+  { name: 'Canal+', network: 'canal', country: 'France', aliases: ['Canal Plus', 'Canal+ Sport'] },
+  { name: 'RTÉ 2', network: 'rte', country: 'Ireland', aliases: ['RTE 2', 'RTE2', 'RTÉ2'] }
+];
+
+// ---------- Helpers ----------
+
+/**
+ * Matching key for a channel name: lowercase, no accents or punctuation,
+ * "+" spelled "plus", quality suffixes (HD, UHD, 4K) dropped.
+ * @param {string} name - Raw channel name
+ * @returns {string} Key ('' for blank names)
+ */
+function normalizeChannelKey(name) {
+  return String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\+/g, ' plus ')
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .replace(QUALITY_SUFFIX, '');
+}
+
+// ---------- Persistence ----------
+
+/**
+ * Load the admin additions and unmatched names from disk.
+ * @returns {{channels: Array, unmatched: Object}} Store (empty on error)
+ */
+function loadStore() {
+  try {
+    if (fs.existsSync(STORE_PATH)) {
+      const parsed = JSON.parse(fs.readFileSync(STORE_PATH, 'utf8'));
+      if (parsed && typeof parsed === 'object') {
+        return {
+          channels: Array.isArray(parsed.channels) ? parsed.channels : [],
+          unmatched: parsed.unmatched || {}
+        };
+      }
+    }
+  } catch (err) {
+    // Ignore read/parse errors - treat as no additions
+  }
+  return { channels: [], unmatched: {} };
+}
+
+/**
+ * Save the store to disk (keeping the MAX_UNMATCHED most recently seen names).
+ * @param {Object} store - Store object
+ */
+function saveStore(store) {
+  const keys = Object.keys(store.unmatched);
+  if (keys.length > MAX_UNMATCHED) {
+    keys
+      .sort((a, b) => new Date(store.unmatched[b].lastSeen) - new Date(store.unmatched[a].lastSeen))
+      .slice(MAX_UNMATCHED)
+      .forEach((key) => delete store.unmatched[key]);
+  }
+
+  const dir = path.dirname(STORE_PATH);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  fs.writeFileSync(STORE_PATH, JSON.stringify(store, null, 2), 'utf8');
+}
+
+// ---------- Catalogue ----------
+
+/**
+ * Built-in channels merged with the admin's additions.
+ * @param {Object} [store] - Store (loaded if omitted)
+ * @returns {Array<{name, network, country, aliases, logo?, builtIn, custom}>} logo only when set
+ */
+function listChannels(store = loadStore()) {
+  const byName = new Map();
+  for (const channel of CHANNELS) {
+    byName.set(normalizeChannelKey(channel.name), { ...channel, aliases: [...channel.aliases], builtIn: true, custom: false });
+  }
+  for (const channel of store.channels) {
+    const key = normalizeChannelKey(channel.name);
+    const existing = byName.get(key);
+    if (existing) {
+      existing.aliases.push(...(channel.aliases || []));
+      if (channel.network) existing.network = channel.network;
+      if (channel.country) existing.country = channel.country;
+      if (channel.logo) existing.logo = channel.logo;
+      existing.custom = true;
+    } else {
+      const added = {
+        name: channel.name,
+        network: channel.network || null,
+        country: channel.country || null,
+        aliases: [...(channel.aliases || [])],
+        builtIn: false,
+        custom: true
+      };
+      if (channel.logo) added.logo = channel.logo;
+      byName.set(key, added);
+    }
+  }
+  return Array.from(byName.values()).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Alias key → channel lookup table.
+ * @param {Object} [store] - Store (loaded if omitted)
+ * @returns {Map<string, Object>}
+ */
+function buildIndex(store) {
+  const index = new Map();
+  for (const channel of listChannels(store)) {
+    for (const alias of [channel.name, ...channel.aliases]) {
+      const key = normalizeChannelKey(alias);
+      // The first channel to claim an alias keeps it
+      if (key && !index.has(key)) index.set(key, channel);
+    }
+  }
+  return index;
+}
+
+/**
+ * Canonical channel for a raw name.
+ * @param {string} name - Raw channel name
+ * @param {Map} [index] - Lookup table (built if omitted)
+ * @returns {{name: string, network: string|null, country: string|null, logo?: string}|null} null when unknown
+ */
+function lookupChannel(name, index = buildIndex(loadStore())) {
+  const channel = index.get(normalizeChannelKey(name));
+  if (!channel) return null;
+  const found = { name: channel.name, network: channel.network, country: channel.country };
+  if (channel.logo) found.logo = channel.logo;
+  return found;
+}
+
+/**
+ * Display name for a raw channel name (the trimmed raw name when unknown).
+ * @param {string} name - Raw channel name
+ * @returns {string}
+ */
+function getDisplayName(name) {
+  const found = lookupChannel(name);
+  return found ? found.name : String(name || '').trim();
+}
+
+/**
+ * Replace each entry's channel with its canonical name.
+ *
+ * Known channels gain network and country (and rawChannel when the name
+ * changed). Unknown names are kept as they are.
+ *
+ * @param {Array<{channel: string, source?: string}>} entries - e.g. tvRegions
+ * @param {Object} [options={}] - Options
+ * @param {boolean} [options.recordUnmatched=false] - Remember unknown names for the admin page
+ * @param {boolean} [options.dedupe=false] - Drop repeats of the same region/channel
+ * @returns {Array<Object>} New entries, in the same order
+ */
+function canonicalizeEntries(entries, options = {}) {
+  const { recordUnmatched = false, dedupe = false } = options;
+  const store = loadStore();
+  const index = buildIndex(store);
+  const unmatched = [];
+  const seen = new Set();
+  const result = [];
+
+  for (const entry of entries || []) {
+    const raw = String(entry.channel || '').trim();
+    if (!raw) continue;
+
+    const found = lookupChannel(raw, index);
+    const canonical = found
+      ? { ...entry, channel: found.name, network: found.network, country: found.country }
+      : { ...entry, channel: raw };
+    if (found && found.name !== raw) canonical.rawChannel = raw;
+    if (!found) unmatched.push({ raw, source: entry.source });
+
+    if (dedupe) {
+      const key = `${normalizeChannelKey(canonical.region)}|${normalizeChannelKey(canonical.channel)}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+    }
+    result.push(canonical);
+  }
+
+  if (recordUnmatched && unmatched.length > 0) {
+    noteUnmatched(store, unmatched);
+    saveStore(store);
+  }
+  return result;
+}
+
+/**
+ * Canonical names for a flat list of channel names, de-duplicated.
+ * @param {string[]} names - Raw channel names
+ * @returns {string[]}
+ */
+function canonicalizeNames(names) {
+  return canonicalizeEntries((names || []).map((channel) => ({ channel })), { dedupe: true })
+    .map((entry) => entry.channel);
+}
+
+// ---------- Unmatched Names ----------
+
+function noteUnmatched(store, names) {
+  const now = new Date().toISOString();
+  for (const { raw, source } of names) {
+    const key = normalizeChannelKey(raw);
+    const record = store.unmatched[key] || { raw, count: 0, sources: [], firstSeen: now, lastSeen: now };
+    record.count++;
+    record.lastSeen = now;
+    if (source && !record.sources.includes(source)) record.sources.push(source);
+    store.unmatched[key] = record;
+  }
+}
+
+/**
+ * Raw names no channel matched, most often seen first.
+ * @returns {Array<{key, raw, count, sources, firstSeen, lastSeen}>}
+ */
+function listUnmatched() {
+  const { unmatched } = loadStore();
+  return Object.entries(unmatched)
+    .map(([key, record]) => ({ key, ...record }))
+    .sort((a, b) => b.count - a.count || a.raw.localeCompare(b.raw));
+}
+
+/**
+ * Forget an unmatched name (it is recorded again if seen again).
+ * @param {string} key - Unmatched key
+ * @returns {boolean} true if it was listed
+ */
+function dismissUnmatched(key) {
+  const store = loadStore();
+  if (!store.unmatched[key]) return false;
+  delete store.unmatched[key];
+  saveStore(store);
+  return true;
+}
+
+// ---------- Admin Edits ----------
+
+/**
+ * Add a channel, or aliases/network/country to an existing one.
+ * Unmatched names that now resolve are removed from the unmatched list.
+ *
+ * @param {Object} input - { name, network, country, logo (image URL), aliases (array or comma-separated) }
+ * @returns {{channel: Object}|{error: string}}
+ */
+function saveChannel(input = {}) {
+  const name = String(input.name || '').trim();
+  if (!name) return { error: 'Channel name is required' };
+  const logo = String(input.logo || '').trim();
+  if (logo && !/^https?:\/\/\S+$/i.test(logo)) return { error: 'Logo must be an http(s) image URL' };
+
+  const aliases = (Array.isArray(input.aliases) ? input.aliases : String(input.aliases || '').split(','))
+    .map((a) => String(a).trim())
+    .filter((a) => a && normalizeChannelKey(a) !== normalizeChannelKey(name));
+
+  // An alias can only point at one channel
+  const store = loadStore();
+  const index = buildIndex(store);
+  for (const alias of aliases) {
+    const owner = index.get(normalizeChannelKey(alias));
+    if (owner && normalizeChannelKey(owner.name) !== normalizeChannelKey(name)) {
+      return { error: `"${alias}" is already an alias of ${owner.name}` };
+    }
+  }
+
+  const key = normalizeChannelKey(name);
+  let entry = store.channels.find((c) => normalizeChannelKey(c.name) === key);
+  if (!entry) {
+    entry = { name, network: null, country: null, aliases: [] };
+    store.channels.push(entry);
+  }
+  const network = String(input.network || '').trim().toLowerCase();
+  const country = String(input.country || '').trim();
+  if (network) entry.network = network;
+  if (country) entry.country = country;
+  if (logo) entry.logo = logo;
+  for (const alias of aliases) {
+    if (!entry.aliases.some((a) => normalizeChannelKey(a) === normalizeChannelKey(alias))) {
+      entry.aliases.push(alias);
+    }
+  }
+
+  const resolved = buildIndex(store);
+  for (const unmatchedKey of Object.keys(store.unmatched)) {
+    if (resolved.has(unmatchedKey)) delete store.unmatched[unmatchedKey];
+  }
+
+  saveStore(store);
+  return { channel: listChannels(store).find((c) => normalizeChannelKey(c.name) === key) };
+}
+
+/**
+ * Remove the admin's additions for a channel (built-in channels revert to
+ * the catalogue).
+ * @param {string} name - Channel name
+ * @returns {boolean} true if there was something to remove
+ */
+function removeCustomChannel(name) {
+  const store = loadStore();
+  const key = normalizeChannelKey(name);
+  const before = store.channels.length;
+  store.channels = store.channels.filter((c) => normalizeChannelKey(c.name) !== key);
+  if (store.channels.length === before) return false;
+  saveStore(store);
+  return true;
+}
+
+module.exports = {
+  normalizeChannelKey,
+  listChannels,
+  lookupChannel,
+  getDisplayName,
+  canonicalizeEntries,
+  canonicalizeNames,
+  listUnmatched,
+  dismissUnmatched,
+  saveChannel,
+  removeCustomChannel,
+  CHANNELS,
+  STORE_PATH
+};
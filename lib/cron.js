@@ -0,0 +1,228 @@
+// lib/cron.js
+// Minimal 5-field cron expression parser and next-run calculator.
+/**
+ * Telegram Sports TV Bot – Cron Expressions
+ *
+ * Supports the standard five fields:
+ *   minute (0-59) hour (0-23) day-of-month (1-31) month (1-12) day-of-week (0-7, 0/7 = Sunday)
+ *
+ * Each field accepts "*", numbers, ranges ("1-5"), steps ("*\/15", "8-20/2"),
+ * lists ("0,30") and, for month/day-of-week, three-letter names ("jan", "mon").
+ * As in Vixie cron, when both day-of-month and day-of-week are restricted a
+ * time matches if EITHER matches.
+ *
+ * Times are evaluated in an IANA timezone (e.g. "0 8 * * *" in Europe/London
+ * is 08:00 UK time all year round).
+ *
+ * Usage:
+ *   const { getNextRun } = require('./lib/cron');
+ *   getNextRun('0 8 * * *', new Date(), 'Europe/London'); // next 08:00
+ */
+
+// ---------- Field definitions ----------
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'dayOfWeek', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+// Give up looking for a next run after this many days (e.g. "0 0 31 2 *")
+const MAX_LOOKAHEAD_DAYS = 366;
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// ---------- Parsing ----------
+
+function parseValue(token, field) {
+  const lower = token.toLowerCase();
+  if (field.names) {
+    const idx = field.names.indexOf(lower);
+    if (idx !== -1) {
+      return field.min === 1 ? idx + 1 : idx;
+    }
+  }
+  if (!/^\d+$/.test(token)) {
+    throw new Error(`Invalid ${field.name} value "${token}"`);
+  }
+  const value = parseInt(token, 10);
+  if (value < field.min || value > field.max) {
+    throw new Error(`${field.name} value ${value} out of range ${field.min}-${field.max}`);
+  }
+  return value;
+}
+
+/**
+ * Parse one cron field into the set of values it matches.
+ * @param {string} text - Field text, e.g. "*\/15" or "1-5"
+ * @param {Object} field - Field definition
+ * @returns {Set<number>}
+ */
+function parseField(text, field) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const [rangeText, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+    if (!Number.isInteger(step) || step < 1 || (stepText !== undefined && !/^\d+$/.test(stepText))) {
+      throw new Error(`Invalid step in ${field.name} "${part}"`);
+    }
+
+    let start;
+    let end;
+    if (rangeText === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (rangeText.includes('-')) {
+      const [a, b] = rangeText.split('-');
+      start = parseValue(a, field);
+      end = parseValue(b, field);
+      if (start > end) {
+        throw new Error(`Invalid range in ${field.name} "${rangeText}"`);
+      }
+    } else {
+      start = parseValue(rangeText, field);
+      end = stepText === undefined ? start : field.max;
+    }
+
+    for (let v = start; v <= end; v += step) {
+      values.add(v);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a 5-field cron expression.
+ *
+ * @param {string} expr - Cron expression, e.g. "0 8 * * *"
+ * @returns {{minute: Set, hour: Set, dayOfMonth: Set, month: Set, dayOfWeek: Set, domRestricted: boolean, dowRestricted: boolean}}
+ * @throws {Error} If the expression is invalid
+ */
+function parseCron(expr) {
+  const parts = String(expr || '').trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Cron expression must have 5 fields, got ${parts[0] === '' ? 0 : parts.length}`);
+  }
+
+  const parsed = {};
+  FIELDS.forEach((field, i) => {
+    parsed[field.name] = parseField(parts[i], field);
+  });
+
+  // 7 is an alias for Sunday
+  if (parsed.dayOfWeek.has(7)) {
+    parsed.dayOfWeek.delete(7);
+    parsed.dayOfWeek.add(0);
+  }
+
+  parsed.domRestricted = parts[2] !== '*';
+  parsed.dowRestricted = parts[4] !== '*';
+  return parsed;
+}
+
+/**
+ * Check whether a cron expression is valid.
+ * @param {string} expr - Cron expression
+ * @returns {boolean}
+ */
+function isValidCron(expr) {
+  try {
+    parseCron(expr);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// ---------- Next run ----------
+
+const formatters = new Map();
+
+/**
+ * Calendar fields of a date in a timezone.
+ * @param {Date} date - Date
+ * @param {string} timezone - IANA timezone
+ * @returns {{month: number, day: number, weekday: number, hour: number, minute: number}}
+ */
+function getZonedParts(date, timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-GB', {
+      timeZone: timezone,
+      month: 'numeric',
+      day: 'numeric',
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }));
+  }
+
+  const parts = {};
+  for (const p of formatters.get(timezone).formatToParts(date)) {
+    parts[p.type] = p.value;
+  }
+  return {
+    month: parseInt(parts.month, 10),
+    day: parseInt(parts.day, 10),
+    weekday: WEEKDAYS[parts.weekday],
+    hour: parseInt(parts.hour, 10),
+    minute: parseInt(parts.minute, 10)
+  };
+}
+
+function dayMatches(cron, parts) {
+  const domMatch = cron.dayOfMonth.has(parts.day);
+  const dowMatch = cron.dayOfWeek.has(parts.weekday);
+  if (cron.domRestricted && cron.dowRestricted) {
+    return domMatch || dowMatch;
+  }
+  return domMatch && dowMatch;
+}
+
+/**
+ * Work out the next time a cron expression fires, strictly after `from`.
+ *
+ * @param {string|Object} expr - Cron expression or parseCron() result
+ * @param {Date} [from=new Date()] - Start point
+ * @param {string} [timezone='Europe/London'] - IANA timezone the expression is in
+ * @returns {Date|null} Next run, or null if none within MAX_LOOKAHEAD_DAYS
+ */
+function getNextRun(expr, from = new Date(), timezone = 'Europe/London') {
+  const cron = typeof expr === 'string' ? parseCron(expr) : expr;
+
+  // Start at the next whole minute
+  let t = Math.floor(from.getTime() / 60000) * 60000 + 60000;
+  const limit = from.getTime() + MAX_LOOKAHEAD_DAYS * 24 * 60 * 60 * 1000;
+
+  while (t <= limit) {
+    const parts = getZonedParts(new Date(t), timezone);
+
+    if (!cron.month.has(parts.month) || !dayMatches(cron, parts)) {
+      // Skip to the next local midnight
+      t += ((23 - parts.hour) * 60 + (60 - parts.minute)) * 60000;
+      continue;
+    }
+    if (!cron.hour.has(parts.hour)) {
+      // Skip to the next hour
+      t += (60 - parts.minute) * 60000;
+      continue;
+    }
+    if (cron.minute.has(parts.minute)) {
+      return new Date(t);
+    }
+    t += 60000;
+  }
+
+  return null;
+}
+
+module.exports = {
+  parseCron,
+  isValidCron,
+  getNextRun,
+  getZonedParts
+};
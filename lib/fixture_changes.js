@@ -0,0 +1,339 @@
+// lib/fixture_changes.js
+// Detect postponed, removed and moved fixtures by comparing ICS snapshots across runs.
+/**
+ * Telegram Sports TV Bot – Fixture Changes
+ *
+ * ICS feeds don't announce changes: a postponed match gets STATUS:CANCELLED
+ * (or "Postponed" in its summary), or simply disappears, and a moved match
+ * just has a new DTSTART. Each run's fixtures for a channel are kept as a
+ * snapshot; detectChanges() compares the next run's fixtures with it and
+ * logs what changed:
+ *   cancelled - STATUS:CANCELLED, or "postponed" / "P-P" / "called off" in the summary
+ *   removed   - No longer in a feed that was fetched, but was due within the window
+ *   kickoff   - Same fixture (ICS UID, else same teams within
+ *               KICKOFF_MOVE_WINDOW_DAYS) with a new start time
+ *   venue     - Same fixture with a new location
+ *
+ * The same change seen again (e.g. in both teams' TheFishy feeds) is only
+ * logged once. autopost.js alerts channels that already posted the fixture
+ * and records what it did with each change (action).
+ *
+ * Storage format (storage/fixture_changes.json):
+ * {
+ *   snapshots: {
+ *     "@FootballOnTvUK": {
+ *       "uid:abc@thefishy": { uid, start, summary, homeTeam, awayTeam, location, status, teamLabel, icsProvider, sport, seenAt }
+ *     }
+ *   },
+ *   changes: [{
+ *     id, channelId, type, detectedAt,
+ *     summary, homeTeam, awayTeam, teamLabel, icsProvider, sport,
+ *     start, location,                      // current (last known for cancelled/removed)
+ *     previousStart, previousLocation,
+ *     action: null | 'posted' | 'edited' | 'logged' | 'failed',  // null = not handled yet
+ *     actionAt?, messageId?, error?
+ *   }]
+ * }
+ *
+ * Changes are kept for CHANGE_RETENTION_DAYS (at most MAX_CHANGES).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const teamRegistry = require('./team_registry');
+const { KICKOFF_MOVE_WINDOW_DAYS } = require('./posted_ledger');
+
+// ---------- Configuration ----------
+
+const STORE_PATH = process.env.FIXTURE_CHANGES_PATH ||
+  path.join(__dirname, '..', 'storage', 'fixture_changes.json');
+
+const CHANGE_RETENTION_DAYS = 30;
+const MAX_CHANGES = 500;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CHANGE_TYPES = ['cancelled', 'removed', 'kickoff', 'venue'];
+
+// Summary wording feeds use for called-off matches
+const CALLED_OFF_PATTERN = /\b(?:postponed|p-p|called off|cancelled|canceled|abandoned)\b/i;
+
+// ---------- Persistence ----------
+
+/**
+ * Load the store from disk.
+ * @returns {{snapshots: Object, changes: Array}} (empty on error)
+ */
+function loadStore() {
+  try {
+    if (fs.existsSync(STORE_PATH)) {
+      const parsed = JSON.parse(fs.readFileSync(STORE_PATH, 'utf8'));
+      if (parsed && typeof parsed === 'object') {
+        return { snapshots: parsed.snapshots || {}, changes: parsed.changes || [] };
+      }
+    }
+  } catch (err) {
+    // Ignore read/parse errors - treat as empty store
+  }
+  return { snapshots: {}, changes: [] };
+}
+
+/**
+ * Save the store to disk (after pruning old changes).
+ * @param {Object} store - Store object
+ */
+function saveStore(store) {
+  const cutoff = Date.now() - CHANGE_RETENTION_DAYS * DAY_MS;
+  store.changes = store.changes
+    .filter((c) => new Date(c.detectedAt).getTime() >= cutoff)
+    .slice(-MAX_CHANGES);
+
+  const dir = path.dirname(STORE_PATH);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  fs.writeFileSync(STORE_PATH, JSON.stringify(store, null, 2), 'utf8');
+}
+
+// ---------- Helpers ----------
+
+function minuteKey(start) {
+  const date = new Date(start);
+  return isNaN(date.getTime()) ? '' : date.toISOString().slice(0, 16);
+}
+
+function normalizeText(text) {
+  return String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function teamsKey(fixture) {
+  const home = teamRegistry.getTeamKey(fixture.homeTeam);
+  const away = teamRegistry.getTeamKey(fixture.awayTeam);
+  return home && away ? `${home}|${away}` : '';
+}
+
+/**
+ * Whether a fixture has been called off: STATUS:CANCELLED, or a summary
+ * saying so (e.g. "Arsenal v Chelsea - POSTPONED", "Chelsea (home) P-P").
+ * @param {Object} fixture - Fixture with status / summary
+ * @returns {boolean}
+ */
+function isCalledOff(fixture) {
+  if (!fixture) return false;
+  if (String(fixture.status || '').toUpperCase() === 'CANCELLED') return true;
+  return CALLED_OFF_PATTERN.test(fixture.summary || '');
+}
+
+function snapshotKey(fixture) {
+  if (fixture.uid) return `uid:${fixture.uid}`;
+  return `${normalizeText(fixture.teamLabel)}|${minuteKey(fixture.start)}|${teamsKey(fixture) || normalizeText(fixture.summary)}`;
+}
+
+function toSnapshot(fixture, seenAt) {
+  return {
+    uid: fixture.uid || null,
+    start: new Date(fixture.start).toISOString(),
+    summary: fixture.summary || '',
+    homeTeam: fixture.homeTeam || '',
+    awayTeam: fixture.awayTeam || '',
+    location: fixture.location || '',
+    status: isCalledOff(fixture) ? 'CANCELLED' : (fixture.status || null),
+    teamLabel: fixture.teamLabel || null,
+    icsProvider: fixture.icsProvider || null,
+    sport: fixture.sport || null,
+    seenAt
+  };
+}
+
+// Same fixture: same ICS UID, else same teams (or summary and feed) within the move window
+function isSameFixture(snapshot, fixture) {
+  if (snapshot.uid && fixture.uid) return snapshot.uid === fixture.uid;
+
+  const gap = Math.abs(new Date(snapshot.start).getTime() - new Date(fixture.start).getTime());
+  if (gap > KICKOFF_MOVE_WINDOW_DAYS * DAY_MS) return false;
+
+  const teams = teamsKey(fixture);
+  if (teams) return teamsKey(snapshot) === teams;
+  return normalizeText(snapshot.summary) === normalizeText(fixture.summary) &&
+    normalizeText(snapshot.teamLabel) === normalizeText(fixture.teamLabel);
+}
+
+// Identity of a change, so one seen again (another feed, a later run) is logged once
+function changeSignature(change) {
+  const group = change.type === 'removed' ? 'cancelled' : change.type;
+  const teams = teamsKey(change) || normalizeText(change.summary);
+  const now = change.type === 'kickoff' ? minuteKey(change.start)
+    : change.type === 'venue' ? normalizeText(change.location)
+      : '';
+  return [change.channelId, group, teams, minuteKey(change.previousStart), now].join('|');
+}
+
+function buildChange(channelId, type, snapshot, fixture, detectedAt) {
+  const current = fixture || snapshot;
+  return {
+    id: crypto.randomBytes(6).toString('hex'),
+    channelId,
+    type,
+    detectedAt,
+    summary: current.summary || '',
+    homeTeam: current.homeTeam || '',
+    awayTeam: current.awayTeam || '',
+    teamLabel: current.teamLabel || null,
+    icsProvider: current.icsProvider || null,
+    sport: current.sport || null,
+    start: new Date(current.start).toISOString(),
+    location: current.location || '',
+    previousStart: snapshot.start,
+    previousLocation: snapshot.location || '',
+    action: null
+  };
+}
+
+// ---------- Detection ----------
+
+/**
+ * Compare a channel's fixtures with its previous snapshot, log new changes
+ * and store the fixtures as the new snapshot.
+ *
+ * Removals are only reported for fixtures that were due between now and
+ * `until` (the fetched window) and whose feed was fetched: with
+ * `fetchedTeams`, only fixtures of those teams (TheFishy-style rotations,
+ * where other teams' fixtures come from older fetches). A removed fixture
+ * still listed in another feed (same teams, within the move window) is not
+ * reported.
+ *
+ * The first run for a channel only stores a snapshot.
+ *
+ * @param {string} channelId - Telegram channel ID
+ * @param {Array<Object>} fixtures - Current fixtures (homeTeam/awayTeam parsed; uid, status, location if known)
+ * @param {Object} [options={}]
+ * @param {Date} [options.now=new Date()] - Reference time
+ * @param {Date} [options.until] - End of the fetched window (default: no removal limit)
+ * @param {string[]} [options.fetchedTeams] - Team labels fetched this run (default: every feed)
+ * @returns {Array<Object>} Newly logged changes
+ */
+function detectChanges(channelId, fixtures, options = {}) {
+  const { now = new Date(), until = null, fetchedTeams = null } = options;
+  const store = loadStore();
+  const previous = store.snapshots[channelId];
+  const seenAt = now.toISOString();
+  const fetched = fetchedTeams ? new Set(fetchedTeams.map(normalizeText)) : null;
+
+  const snapshot = {};
+  for (const f of fixtures) {
+    snapshot[snapshotKey(f)] = toSnapshot(f, seenAt);
+  }
+
+  const found = [];
+  if (previous) {
+    const unmatched = new Set(Object.keys(previous));
+
+    for (const f of fixtures) {
+      const matchKey = [...unmatched].find((key) => isSameFixture(previous[key], f));
+      if (!matchKey) continue;
+      unmatched.delete(matchKey);
+      const before = previous[matchKey];
+      const after = snapshot[snapshotKey(f)];
+
+      if (after.status === 'CANCELLED') {
+        if (before.status !== 'CANCELLED') found.push(buildChange(channelId, 'cancelled', before, f, seenAt));
+        continue;
+      }
+      if (minuteKey(before.start) !== minuteKey(after.start)) {
+        found.push(buildChange(channelId, 'kickoff', before, f, seenAt));
+      }
+      if (before.location && after.location && normalizeText(before.location) !== normalizeText(after.location)) {
+        found.push(buildChange(channelId, 'venue', before, f, seenAt));
+      }
+    }
+
+    for (const key of unmatched) {
+      const before = previous[key];
+      const start = new Date(before.start).getTime();
+      if (start < now.getTime()) continue;
+
+      const checked = (!until || start <= until.getTime()) &&
+        (!fetched || fetched.has(normalizeText(before.teamLabel)));
+      if (!checked) {
+        // Not re-fetched (or outside this run's window): keep it for next time
+        snapshot[key] = before;
+        continue;
+      }
+
+      const listedElsewhere = teamsKey(before) && fixtures.some((f) => isSameFixture({ ...before, uid: null }, f));
+      if (before.status !== 'CANCELLED' && !listedElsewhere) {
+        found.push(buildChange(channelId, 'removed', before, null, seenAt));
+      }
+    }
+  }
+
+  const logged = new Set(store.changes.map(changeSignature));
+  const added = [];
+  for (const change of found) {
+    const signature = changeSignature(change);
+    if (logged.has(signature)) continue;
+    logged.add(signature);
+    added.push(change);
+  }
+
+  store.snapshots[channelId] = snapshot;
+  store.changes.push(...added);
+  saveStore(store);
+  return added;
+}
+
+// ---------- Change log ----------
+
+/**
+ * Logged changes, newest first.
+ * @param {Object} [filter]
+ * @param {string} [filter.channelId] - Only this channel's changes
+ * @param {boolean} [filter.pending] - Only changes not handled yet (action null)
+ * @returns {Array<Object>}
+ */
+function listChanges({ channelId = null, pending = false } = {}) {
+  return loadStore().changes
+    .filter((c) => (!channelId || c.channelId === channelId) && (!pending || !c.action))
+    .reverse()
+    .sort((a, b) => String(b.detectedAt).localeCompare(String(a.detectedAt)));
+}
+
+/**
+ * Record what was done about a change.
+ * @param {string} id - Change id
+ * @param {string} action - 'posted', 'edited', 'logged' or 'failed'
+ * @param {Object} [extra] - e.g. { messageId } or { error }
+ * @returns {Object|null} The updated change
+ */
+function markChange(id, action, extra = {}) {
+  const store = loadStore();
+  const change = store.changes.find((c) => c.id === id);
+  if (!change) return null;
+  Object.assign(change, extra, { action, actionAt: new Date().toISOString() });
+  saveStore(store);
+  return change;
+}
+
+/**
+ * Empty the change log (snapshots are kept).
+ * @returns {number} Number of changes removed
+ */
+function clearChanges() {
+  const store = loadStore();
+  const removed = store.changes.length;
+  store.changes = [];
+  saveStore(store);
+  return removed;
+}
+
+module.exports = {
+  detectChanges,
+  isCalledOff,
+  listChanges,
+  markChange,
+  clearChanges,
+  CHANGE_TYPES,
+  STORE_PATH,
+  CHANGE_RETENTION_DAYS
+};
@@ -0,0 +1,246 @@
+// lib/fixture_store.js
+// Persistent per-team fixture store and fetch rotation for multi-ICS channels.
+/**
+ * Telegram Sports TV Bot – Fixture Store
+ *
+ * Multi-ICS channels (per-team providers in lib/ics_providers.js, e.g.
+ * useTheFishyMulti) fetch one ICS feed per team, but only
+ * multiMaxTeams feeds per run (TheFishy rate-limits). Instead of always the
+ * first N teams, each run fetches the N teams whose last fetch attempt is
+ * oldest (never-fetched teams first), which walks the whole team list
+ * round-robin across successive runs. Fetched fixtures are kept here, so a
+ * run posts from every team's most recent fetch, not just this run's batch.
+ *
+ * Storage format (storage/fixture_store.json):
+ * {
+ *   "@FootballOnTvUK": {
+ *     "arsenal": {                    // normalizeTeamKey(label)
+ *       label: string,
+ *       attemptedAt: ISO string,      // last fetch attempt (orders the rotation)
+ *       fetchedAt: ISO string | null, // last successful fetch (freshness)
+ *       error: string | null,         // last attempt's error
+ *       fixtures: [{ start, summary, location, description, categories, uid, status, tvChannel, icsProvider }]
+ *     }
+ *   }
+ * }
+ *
+ * A team is stale once its last successful fetch is older than
+ * STALE_AFTER_HOURS. Fixtures from fetches older than FIXTURE_MAX_AGE_DAYS
+ * are no longer used, past fixtures are pruned, and teams not attempted for
+ * TEAM_RETENTION_DAYS (e.g. removed from the channel) are forgotten.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { normalizeTeamKey } = require('./posted_ledger');
+
+// ---------- Configuration ----------
+
+const STORE_PATH = process.env.FIXTURE_STORE_PATH ||
+  path.join(__dirname, '..', 'storage', 'fixture_store.json');
+
+const STALE_AFTER_HOURS = 24;
+const FIXTURE_MAX_AGE_DAYS = 7;
+const TEAM_RETENTION_DAYS = 30;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Fixture fields kept per team
+const FIXTURE_FIELDS = ['start', 'summary', 'location', 'description', 'categories', 'uid', 'status', 'tvChannel', 'icsProvider'];
+
+// ---------- Persistence ----------
+
+/**
+ * Load the store from disk.
+ * @returns {Object} Teams keyed by channel id, then team key (empty on error)
+ */
+function loadStore() {
+  try {
+    if (fs.existsSync(STORE_PATH)) {
+      const parsed = JSON.parse(fs.readFileSync(STORE_PATH, 'utf8'));
+      if (parsed && typeof parsed === 'object') {
+        return parsed;
+      }
+    }
+  } catch (err) {
+    // Ignore read/parse errors - treat as empty store
+  }
+  return {};
+}
+
+/**
+ * Save the store to disk (after pruning past fixtures and forgotten teams).
+ * @param {Object} store - Store object
+ */
+function saveStore(store) {
+  const now = Date.now();
+  for (const channelId of Object.keys(store)) {
+    const teams = store[channelId];
+    for (const key of Object.keys(teams)) {
+      const entry = teams[key];
+      if (now - new Date(entry.attemptedAt).getTime() > TEAM_RETENTION_DAYS * DAY_MS) {
+        delete teams[key];
+        continue;
+      }
+      entry.fixtures = (entry.fixtures || []).filter((f) => new Date(f.start).getTime() >= now);
+    }
+    if (!Object.keys(teams).length) {
+      delete store[channelId];
+    }
+  }
+
+  const dir = path.dirname(STORE_PATH);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  fs.writeFileSync(STORE_PATH, JSON.stringify(store, null, 2), 'utf8');
+}
+
+function getTeamLabel(team) {
+  return team.label || team.slug || '';
+}
+
+function pickFixture(fixture) {
+  const stored = {};
+  for (const field of FIXTURE_FIELDS) {
+    if (fixture[field] !== undefined && fixture[field] !== null && fixture[field] !== '') {
+      stored[field] = field === 'start' ? new Date(fixture.start).toISOString() : fixture[field];
+    }
+  }
+  return stored;
+}
+
+// ---------- Rotation ----------
+
+/**
+ * Teams to fetch this run: oldest attempt first, never-attempted teams
+ * before all others, config order breaking ties.
+ *
+ * @param {string} channelId - Telegram channel ID
+ * @param {Array<{label, slug}>} teams - The channel's teams
+ * @param {number} maxTeams - Teams per run
+ * @returns {Array<Object>} Up to maxTeams team entries
+ */
+function pickTeamsForRun(channelId, teams, maxTeams) {
+  const stored = loadStore()[channelId] || {};
+  return teams
+    .map((team, index) => {
+      const entry = stored[normalizeTeamKey(getTeamLabel(team))];
+      return { team, index, attemptedAt: entry ? new Date(entry.attemptedAt).getTime() : -1 };
+    })
+    .sort((a, b) => a.attemptedAt - b.attemptedAt || a.index - b.index)
+    .slice(0, Math.max(0, maxTeams))
+    .map(({ team }) => team);
+}
+
+/**
+ * Store a team's freshly fetched fixtures (replacing the previous fetch).
+ * @param {string} channelId - Telegram channel ID
+ * @param {string} teamLabel - Team label
+ * @param {Array<Object>} fixtures - Fixtures from the team's ICS feed
+ */
+function recordTeamFetch(channelId, teamLabel, fixtures) {
+  const store = loadStore();
+  const now = new Date().toISOString();
+  store[channelId] = store[channelId] || {};
+  store[channelId][normalizeTeamKey(teamLabel)] = {
+    label: teamLabel,
+    attemptedAt: now,
+    fetchedAt: now,
+    error: null,
+    fixtures: fixtures.map(pickFixture)
+  };
+  saveStore(store);
+}
+
+/**
+ * Record a failed fetch. Previously stored fixtures are kept.
+ * @param {string} channelId - Telegram channel ID
+ * @param {string} teamLabel - Team label
+ * @param {string} error - Error message
+ */
+function recordTeamError(channelId, teamLabel, error) {
+  const store = loadStore();
+  const key = normalizeTeamKey(teamLabel);
+  store[channelId] = store[channelId] || {};
+  store[channelId][key] = {
+    fetchedAt: null,
+    fixtures: [],
+    ...(store[channelId][key] || {}),
+    label: teamLabel,
+    attemptedAt: new Date().toISOString(),
+    error
+  };
+  saveStore(store);
+}
+
+// ---------- Reading ----------
+
+/**
+ * Stored fixtures for a channel's teams kicking off within daysAhead.
+ *
+ * @param {string} channelId - Telegram channel ID
+ * @param {Array<{label, slug}>} teams - The channel's teams
+ * @param {Object} [options={}] - Options
+ * @param {number} [options.daysAhead=7] - Window length
+ * @param {Date} [options.now=new Date()] - Reference time
+ * @returns {Array<Object>} Fixtures with start as a Date and teamLabel set
+ */
+function getStoredFixtures(channelId, teams, options = {}) {
+  const { daysAhead = 7, now = new Date() } = options;
+  const stored = loadStore()[channelId] || {};
+  const from = now.getTime();
+  const to = from + daysAhead * DAY_MS;
+
+  const fixtures = [];
+  for (const team of teams) {
+    const entry = stored[normalizeTeamKey(getTeamLabel(team))];
+    if (!entry || !entry.fetchedAt) continue;
+    if (from - new Date(entry.fetchedAt).getTime() > FIXTURE_MAX_AGE_DAYS * DAY_MS) continue;
+
+    for (const f of entry.fixtures || []) {
+      const start = new Date(f.start);
+      if (start.getTime() < from || start.getTime() > to) continue;
+      fixtures.push({ ...f, start, categories: f.categories || [], tvChannel: f.tvChannel || null, teamLabel: entry.label });
+    }
+  }
+  return fixtures;
+}
+
+/**
+ * Fetch status of each of a channel's teams, for the admin page.
+ *
+ * @param {string} channelId - Telegram channel ID
+ * @param {Array<{label, slug}>} teams - The channel's teams
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Array<{label, fetchedAt, attemptedAt, error, fixtureCount, stale}>} In config order;
+ *   stale is true for never-fetched teams too
+ */
+function getTeamFreshness(channelId, teams, now = new Date()) {
+  const stored = loadStore()[channelId] || {};
+  return teams.map((team) => {
+    const label = getTeamLabel(team);
+    const entry = stored[normalizeTeamKey(label)] || {};
+    const fetchedAt = entry.fetchedAt || null;
+    return {
+      label,
+      fetchedAt,
+      attemptedAt: entry.attemptedAt || null,
+      error: entry.error || null,
+      fixtureCount: (entry.fixtures || []).filter((f) => new Date(f.start) >= now).length,
+      stale: !fetchedAt || now.getTime() - new Date(fetchedAt).getTime() > STALE_AFTER_HOURS * HOUR_MS
+    };
+  });
+}
+
+module.exports = {
+  pickTeamsForRun,
+  recordTeamFetch,
+  recordTeamError,
+  getStoredFixtures,
+  getTeamFreshness,
+  STORE_PATH,
+  STALE_AFTER_HOURS,
+  FIXTURE_MAX_AGE_DAYS
+};
@@ -0,0 +1,506 @@
+// lib/i18n.js
+// Translation catalogues and locale formatting for posters, cards and digests.
+/**
+ * Telegram Sports TV Bot – Localisation
+ *
+ * Channels choose a locale (config.json channels[].locale, default "en").
+ * Each catalogue entry has:
+ *   strings      - The fixed labels (banner, "TV details TBC", card headings,
+ *                  digest header, fixture change alerts); missing keys fall
+ *                  back to English
+ *   competitions - Competition names in that language
+ *   areas        - Names for regions without an ISO code and region groups;
+ *                  countries are named by Intl.DisplayNames
+ *   intl         - Locale tag for Intl date and time formatting
+ *   dir          - 'rtl' for right-to-left scripts
+ *   fonts        - Font families tried before the template's, for scripts
+ *                  the template font has no glyphs for
+ *
+ * Channels can also rename competitions themselves with competitionNames:
+ *   { "Premier League": "البريميرليغ" }
+ *
+ * English output is exactly what posters showed before locales existed.
+ */
+
+const regions = require('./regions');
+
+// ---------- Catalogues ----------
+
+const EN_STRINGS = {
+  banner: 'SPORTS LISTINGS ON TV',
+  footer: 'Please support the listings by subscribing.',
+  versus: 'v',
+  tvTbc: 'TV details TBC',
+  cardTvTbc: 'TV TBC',
+  undercard: 'Undercard:',
+  mainEvent: 'Main event',
+  andMore: '... and {count} more',
+  continued: '(cont.)',
+  today: 'TODAY ON TV',
+  tomorrow: 'TOMORROW ON TV',
+  dayOnTv: '{day} ON TV',
+  digestHeader: 'Upcoming fixtures – {channel} (next {days} day(s))',
+  digestHeaderIcs: 'Upcoming fixtures from ICS – {channel} (next {days} day(s))',
+  tv: 'TV',
+  wikipedia: '(Wikipedia: {channels})',
+  ukBroadcasters: '(UK broadcasters: {channels})',
+  alertPostponed: '❌ POSTPONED',
+  alertKickoff: '⏰ KICK-OFF CHANGED',
+  alertVenue: '📍 VENUE CHANGED',
+  alertNow: 'Now: {when}',
+  alertWas: 'Was: {when}',
+  alertKickoffAt: 'Kick-off: {when}',
+  alertNowAt: 'Now at: {venue}',
+  alertWasAt: 'Was: {venue}',
+  alertWasDue: 'Was due: {when}',
+  alertNewDate: 'New date to be confirmed.'
+};
+
+const LOCALES = {
+  en: {
+    name: 'English',
+    intl: 'en-GB',
+    dir: 'ltr',
+    fonts: [],
+    strings: EN_STRINGS,
+    competitions: {},
+    areas: {}
+  },
+  es: {
+    name: 'Español',
+    intl: 'es-ES',
+    dir: 'ltr',
+    fonts: [],
+    strings: {
+      banner: 'DEPORTES EN TV',
+      footer: 'Apoya la programación suscribiéndote.',
+      versus: 'vs',
+      tvTbc: 'Emisión por confirmar',
+      cardTvTbc: 'TV por confirmar',
+      undercard: 'Combates previos:',
+      mainEvent: 'Combate estelar',
+      andMore: '... y {count} más',
+      continued: '(cont.)',
+      today: 'HOY EN TV',
+      tomorrow: 'MAÑANA EN TV',
+      dayOnTv: '{day} EN TV',
+      digestHeader: 'Próximos partidos – {channel} (próximos {days} días)',
+      digestHeaderIcs: 'Próximos partidos del ICS – {channel} (próximos {days} días)',
+      ukBroadcasters: '(Cadenas del Reino Unido: {channels})',
+      alertPostponed: '❌ APLAZADO',
+      alertKickoff: '⏰ CAMBIO DE HORARIO',
+      alertVenue: '📍 CAMBIO DE ESTADIO',
+      alertNow: 'Ahora: {when}',
+      alertWas: 'Antes: {when}',
+      alertKickoffAt: 'Inicio: {when}',
+      alertNowAt: 'Ahora en: {venue}',
+      alertWasAt: 'Antes en: {venue}',
+      alertWasDue: 'Previsto: {when}',
+      alertNewDate: 'Nueva fecha por confirmar.'
+    },
+    competitions: {
+      'Champions League': 'Liga de Campeones',
+      'World Cup': 'Copa del Mundo'
+    },
+    areas: {
+      CARIBBEAN: 'Caribe',
+      LATIN_AMERICA: 'Latinoamérica',
+      LATAM: 'Latinoamérica',
+      ASIA: 'Asia',
+      EUROPE: 'Europa',
+      INTERNATIONAL: 'Internacional',
+      NORDICS: 'Países nórdicos'
+    }
+  },
+  fr: {
+    name: 'Français',
+    intl: 'fr-FR',
+    dir: 'ltr',
+    fonts: [],
+    strings: {
+      banner: 'LE SPORT À LA TÉLÉ',
+      footer: 'Soutenez les programmes en vous abonnant.',
+      tvTbc: 'Diffusion à confirmer',
+      cardTvTbc: 'TV à confirmer',
+      undercard: 'Sous-carte :',
+      mainEvent: 'Combat principal',
+      andMore: '... et {count} de plus',
+      continued: '(suite)',
+      today: 'AUJOURD’HUI À LA TÉLÉ',
+      tomorrow: 'DEMAIN À LA TÉLÉ',
+      dayOnTv: '{day} À LA TÉLÉ',
+      digestHeader: 'Prochains matchs – {channel} ({days} prochains jours)',
+      digestHeaderIcs: 'Prochains matchs (ICS) – {channel} ({days} prochains jours)',
+      tv: 'TV',
+      ukBroadcasters: '(Diffuseurs au Royaume-Uni : {channels})',
+      alertPostponed: '❌ REPORTÉ',
+      alertKickoff: '⏰ HORAIRE MODIFIÉ',
+      alertVenue: '📍 CHANGEMENT DE STADE',
+      alertNow: 'Désormais : {when}',
+      alertWas: 'Avant : {when}',
+      alertKickoffAt: 'Coup d’envoi : {when}',
+      alertNowAt: 'Désormais à : {venue}',
+      alertWasAt: 'Avant : {venue}',
+      alertWasDue: 'Prévu : {when}',
+      alertNewDate: 'Nouvelle date à confirmer.'
+    },
+    competitions: {
+      'Champions League': 'Ligue des champions',
+      'Europa League': 'Ligue Europa',
+      'FA Cup': 'Coupe d’Angleterre',
+      'World Cup': 'Coupe du monde'
+    },
+    areas: {
+      CARIBBEAN: 'Caraïbes',
+      LATIN_AMERICA: 'Amérique latine',
+      LATAM: 'Amérique latine',
+      ASIA: 'Asie',
+      EUROPE: 'Europe',
+      INTERNATIONAL: 'International',
+      NORDICS: 'Pays nordiques'
+    }
+  },
+  de: {
+    name: 'Deutsch',
+    intl: 'de-DE',
+    dir: 'ltr',
+    fonts: [],
+    strings: {
+      banner: 'SPORT IM TV',
+      footer: 'Unterstütze die Programmübersicht mit einem Abo.',
+      versus: 'vs.',
+      tvTbc: 'Übertragung noch offen',
+      cardTvTbc: 'TV offen',
+      undercard: 'Vorprogramm:',
+      mainEvent: 'Hauptkampf',
+      andMore: '... und {count} weitere',
+      continued: '(Forts.)',
+      today: 'HEUTE IM TV',
+      tomorrow: 'MORGEN IM TV',
+      dayOnTv: '{day} IM TV',
+      digestHeader: 'Nächste Spiele – {channel} (nächste {days} Tage)',
+      digestHeaderIcs: 'Nächste Spiele aus ICS – {channel} (nächste {days} Tage)',
+      ukBroadcasters: '(Sender in Großbritannien: {channels})',
+      alertPostponed: '❌ VERSCHOBEN',
+      alertKickoff: '⏰ ANSTOSS GEÄNDERT',
+      alertVenue: '📍 SPIELORT GEÄNDERT',
+      alertNow: 'Neu: {when}',
+      alertWas: 'Bisher: {when}',
+      alertKickoffAt: 'Anstoß: {when}',
+      alertNowAt: 'Neuer Spielort: {venue}',
+      alertWasAt: 'Bisher: {venue}',
+      alertWasDue: 'Geplant war: {when}',
+      alertNewDate: 'Neuer Termin folgt.'
+    },
+    competitions: {
+      'World Cup': 'Weltmeisterschaft'
+    },
+    areas: {
+      CARIBBEAN: 'Karibik',
+      LATIN_AMERICA: 'Lateinamerika',
+      LATAM: 'Lateinamerika',
+      ASIA: 'Asien',
+      EUROPE: 'Europa',
+      INTERNATIONAL: 'International',
+      NORDICS: 'Skandinavien'
+    }
+  },
+  pt: {
+    name: 'Português',
+    intl: 'pt-BR',
+    dir: 'ltr',
+    fonts: [],
+    strings: {
+      banner: 'ESPORTES NA TV',
+      footer: 'Apoie a programação assinando o canal.',
+      versus: 'x',
+      tvTbc: 'Transmissão a confirmar',
+      cardTvTbc: 'TV a confirmar',
+      undercard: 'Card preliminar:',
+      mainEvent: 'Luta principal',
+      andMore: '... e mais {count}',
+      continued: '(cont.)',
+      today: 'HOJE NA TV',
+      tomorrow: 'AMANHÃ NA TV',
+      dayOnTv: '{day} NA TV',
+      digestHeader: 'Próximos jogos – {channel} (próximos {days} dias)',
+      digestHeaderIcs: 'Próximos jogos do ICS – {channel} (próximos {days} dias)',
+      ukBroadcasters: '(Emissoras no Reino Unido: {channels})',
+      alertPostponed: '❌ ADIADO',
+      alertKickoff: '⏰ HORÁRIO ALTERADO',
+      alertVenue: '📍 LOCAL ALTERADO',
+      alertNow: 'Agora: {when}',
+      alertWas: 'Antes: {when}',
+      alertKickoffAt: 'Início: {when}',
+      alertNowAt: 'Agora em: {venue}',
+      alertWasAt: 'Antes em: {venue}',
+      alertWasDue: 'Estava previsto: {when}',
+      alertNewDate: 'Nova data a confirmar.'
+    },
+    competitions: {
+      'Champions League': 'Liga dos Campeões',
+      'Europa League': 'Liga Europa',
+      'FA Cup': 'Copa da Inglaterra',
+      'World Cup': 'Copa do Mundo'
+    },
+    areas: {
+      CARIBBEAN: 'Caribe',
+      LATIN_AMERICA: 'América Latina',
+      LATAM: 'América Latina',
+      ASIA: 'Ásia',
+      EUROPE: 'Europa',
+      INTERNATIONAL: 'Internacional',
+      NORDICS: 'Países nórdicos'
+    }
+  },
+  ar: {
+    name: 'العربية',
+    intl: 'ar',
+    dir: 'rtl',
+    fonts: ['Noto Naskh Arabic', 'Noto Sans Arabic', 'DejaVu Sans'],
+    strings: {
+      banner: 'الرياضة على التلفاز',
+      footer: 'ادعموا جدول البث بالاشتراك في القناة.',
+      versus: 'ضد',
+      tvTbc: 'القنوات الناقلة لم تُحدَّد بعد',
+      cardTvTbc: 'لم تُحدَّد',
+      undercard: 'النزالات التمهيدية:',
+      mainEvent: 'النزال الرئيسي',
+      andMore: '... و{count} أخرى',
+      continued: '(تابع)',
+      today: 'اليوم على التلفاز',
+      tomorrow: 'غدًا على التلفاز',
+      dayOnTv: '{day} على التلفاز',
+      digestHeader: 'المباريات القادمة – {channel} (الأيام الـ{days} القادمة)',
+      digestHeaderIcs: 'المباريات القادمة من ICS – {channel} (الأيام الـ{days} القادمة)',
+      tv: 'القناة',
+      wikipedia: '(ويكيبيديا: {channels})',
+      ukBroadcasters: '(القنوات البريطانية: {channels})',
+      alertPostponed: '❌ تأجيل المباراة',
+      alertKickoff: '⏰ تغيير موعد الانطلاق',
+      alertVenue: '📍 تغيير الملعب',
+      alertNow: 'الموعد الجديد: {when}',
+      alertWas: 'الموعد السابق: {when}',
+      alertKickoffAt: 'الانطلاق: {when}',
+      alertNowAt: 'الملعب الجديد: {venue}',
+      alertWasAt: 'الملعب السابق: {venue}',
+      alertWasDue: 'كانت مقررة: {when}',
+      alertNewDate: 'سيُحدَّد الموعد الجديد لاحقًا.'
+    },
+    competitions: {
+      'Premier League': 'الدوري الإنجليزي الممتاز',
+      Championship: 'دوري البطولة الإنجليزية',
+      'Champions League': 'دوري أبطال أوروبا',
+      'Europa League': 'الدوري الأوروبي',
+      'FA Cup': 'كأس الاتحاد الإنجليزي',
+      'La Liga': 'الدوري الإسباني',
+      'Serie A': 'الدوري الإيطالي',
+      Bundesliga: 'الدوري الألماني',
+      'World Cup': 'كأس العالم'
+    },
+    areas: {
+      CARIBBEAN: 'الكاريبي',
+      LATIN_AMERICA: 'أمريكا اللاتينية',
+      LATAM: 'أمريكا اللاتينية',
+      MENA: 'الشرق الأوسط وشمال أفريقيا',
+      SUB_SAHARAN_AFRICA: 'أفريقيا جنوب الصحراء',
+      ASIA: 'آسيا',
+      EUROPE: 'أوروبا',
+      INTERNATIONAL: 'دولي',
+      NORDICS: 'دول الشمال',
+      BALKANS: 'البلقان'
+    }
+  },
+  hi: {
+    name: 'हिन्दी',
+    intl: 'hi-IN',
+    dir: 'ltr',
+    fonts: ['Noto Sans Devanagari', 'Mangal'],
+    strings: {
+      banner: 'टीवी पर खेल',
+      footer: 'सदस्यता लेकर लिस्टिंग का समर्थन करें।',
+      versus: 'बनाम',
+      tvTbc: 'प्रसारण की पुष्टि बाकी',
+      cardTvTbc: 'टीवी तय नहीं',
+      undercard: 'अंडरकार्ड:',
+      mainEvent: 'मुख्य मुकाबला',
+      andMore: '... और {count}',
+      continued: '(जारी)',
+      today: 'आज टीवी पर',
+      tomorrow: 'कल टीवी पर',
+      dayOnTv: '{day} टीवी पर',
+      digestHeader: 'आगामी मैच – {channel} (अगले {days} दिन)',
+      digestHeaderIcs: 'ICS से आगामी मैच – {channel} (अगले {days} दिन)',
+      tv: 'टीवी',
+      ukBroadcasters: '(यूके प्रसारक: {channels})',
+      alertPostponed: '❌ स्थगित',
+      alertKickoff: '⏰ किकऑफ़ का समय बदला',
+      alertVenue: '📍 स्थान बदला',
+      alertNow: 'अब: {when}',
+      alertWas: 'पहले: {when}',
+      alertKickoffAt: 'किकऑफ़: {when}',
+      alertNowAt: 'अब यहाँ: {venue}',
+      alertWasAt: 'पहले यहाँ: {venue}',
+      alertWasDue: 'पहले तय था: {when}',
+      alertNewDate: 'नई तारीख़ की पुष्टि बाकी।'
+    },
+    competitions: {
+      'Premier League': 'प्रीमियर लीग',
+      'Champions League': 'चैंपियंस लीग',
+      'Europa League': 'यूरोपा लीग',
+      'FA Cup': 'एफए कप',
+      'World Cup': 'विश्व कप'
+    },
+    areas: {
+      ASIA: 'एशिया',
+      EUROPE: 'यूरोप',
+      INTERNATIONAL: 'अंतरराष्ट्रीय'
+    }
+  }
+};
+
+const DEFAULT_LOCALE = 'en';
+
+// ---------- Helpers ----------
+
+const normalize = (s) => String(s || '').trim().toLowerCase();
+
+// Intl.DisplayNames per locale tag, built on first use
+const displayNames = new Map();
+
+function countryName(iso, intl) {
+  if (!displayNames.has(intl)) {
+    try {
+      displayNames.set(intl, new Intl.DisplayNames([intl], { type: 'region' }));
+    } catch (err) {
+      displayNames.set(intl, null);
+    }
+  }
+  const names = displayNames.get(intl);
+  try {
+    return names ? names.of(iso) : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// ---------- Public API ----------
+
+/**
+ * A locale from the catalogue (English for unknown ids).
+ * @param {string} [id] - Locale id, e.g. "ar"
+ * @returns {Object} Catalogue entry with its id
+ */
+function getLocale(id) {
+  const key = normalize(id);
+  return { id: LOCALES[key] ? key : DEFAULT_LOCALE, ...(LOCALES[key] || LOCALES[DEFAULT_LOCALE]) };
+}
+
+/**
+ * Locales for the admin form.
+ * @returns {Array<{id: string, name: string, dir: string}>}
+ */
+function listLocales() {
+  return Object.entries(LOCALES).map(([id, locale]) => ({ id, name: locale.name, dir: locale.dir }));
+}
+
+/**
+ * A fixed label in a locale, with {placeholders} filled in.
+ * @param {Object|string} locale - Locale or locale id
+ * @param {string} key - Key of EN_STRINGS
+ * @param {Object} [vars] - Placeholder values
+ * @returns {string}
+ */
+function t(locale, key, vars = {}) {
+  const { strings } = typeof locale === 'string' ? getLocale(locale) : locale || getLocale();
+  const text = (strings && strings[key]) || EN_STRINGS[key] || key;
+  return text.replace(/\{(\w+)\}/g, (match, name) => (vars[name] !== undefined ? String(vars[name]) : match));
+}
+
+/**
+ * Translate text that is one of the English fixed labels (template headers,
+ * the default footer). Anything else, such as custom template text, is
+ * returned as it is.
+ * @param {Object} locale - Locale from getLocale()
+ * @param {string} text - Text to translate
+ * @returns {string}
+ */
+function translateText(locale, text) {
+  if (!text || locale.id === DEFAULT_LOCALE) return text;
+  const key = Object.keys(EN_STRINGS).find((k) => EN_STRINGS[k] === text);
+  return key ? t(locale, key) : text;
+}
+
+/**
+ * Competition name for a channel: its competitionNames, else the locale's
+ * catalogue, else the name as given.
+ * @param {string} competition - Competition name from the source
+ * @param {Object} locale - Locale from getLocale()
+ * @param {Object} [channel] - Channel config (competitionNames)
+ * @returns {string}
+ */
+function translateCompetition(competition, locale, channel = {}) {
+  if (!competition) return competition;
+  const key = normalize(competition);
+  const find = (names) => Object.entries(names || {}).find(([name]) => normalize(name) === key);
+  const match = find(channel && channel.competitionNames) || find(locale.competitions);
+  return match ? match[1] : competition;
+}
+
+/**
+ * Region name in a locale. Merged lines ("UK, Ireland") are translated
+ * region by region. English names are kept as they are ("UK", "USA").
+ * @param {string} region - Region name from lib/regions.js
+ * @param {Object} locale - Locale from getLocale()
+ * @returns {string}
+ */
+function translateRegion(region, locale) {
+  if (!region || locale.id === DEFAULT_LOCALE) return region;
+  const separator = locale.dir === 'rtl' ? '، ' : ', ';
+  return String(region).split(/\s*,\s*/).map((part) => {
+    const id = regions.resolvePriorityId(part);
+    if (!id) return part;
+    if (locale.areas[id]) return locale.areas[id];
+    return (/^[A-Z]{2}$/.test(id) && countryName(id, locale.intl)) || part;
+  }).join(separator);
+}
+
+/**
+ * Wrap text in a right-to-left isolate, so mixed runs such as
+ * "ARSENAL ضد CHELSEA" or "6:00 م KSA" read in order inside RTL lines.
+ */
+function isolateRtl(text) {
+  return `\u2067${text}\u2069`;
+}
+
+/**
+ * Upper-case text in a locale (a no-op for scripts without case).
+ */
+function upperCase(text, locale) {
+  return String(text || '').toLocaleUpperCase(locale.intl);
+}
+
+/**
+ * Font family for a locale: its script fonts first, then the template's.
+ * @param {Object} locale - Locale from getLocale()
+ * @param {string} fontFamily - Template font family, e.g. "Arial, sans-serif"
+ * @returns {string}
+ */
+function getFontFamily(locale, fontFamily) {
+  const fonts = (locale.fonts || []).map((name) => `"${name}"`);
+  return [...fonts, fontFamily].filter(Boolean).join(', ');
+}
+
+module.exports = {
+  getLocale,
+  listLocales,
+  t,
+  translateText,
+  translateCompetition,
+  translateRegion,
+  isolateRtl,
+  upperCase,
+  getFontFamily,
+  LOCALES,
+  DEFAULT_LOCALE
+};
@@ -0,0 +1,358 @@
+// lib/ics_providers.js
+// ICS calendar providers: where a team's feed lives and how its summaries read.
+/**
+ * Telegram Sports TV Bot – ICS Providers
+ *
+ * Channels read fixtures from ICS calendars. A provider says where a
+ * team's feed lives and how to turn an event summary into home and away
+ * teams:
+ *   thefishy - https://thefishy.co.uk/calendar/<Team+Name>, one feed per
+ *              team; summaries name the opponent only: "West Ham (home)"
+ *   club     - A club's official calendar, one feed per team, set on the
+ *              team as icsUrl; summaries like "Premier League: Arsenal v Chelsea"
+ *   template - One feed per team from the channel's icsUrlTemplate, e.g.
+ *              https://fixturedownload.com/download/epl-2025-{slug}-GMTStandardTime.ics
+ *              ({label} = URL-encoded team label, {slug} = team slug)
+ *   single   - One feed for the whole channel (channel.icsUrl or cfg.icsUrl),
+ *              filtered by team names; summaries like "Arsenal v Chelsea"
+ *
+ * Channel settings (config.json channels[]):
+ *   icsProvider      - Provider id. Defaults to thefishy when the older
+ *                      useTheFishyMulti flag is set, otherwise single.
+ *   icsUrlTemplate   - URL template for the template provider
+ *   teams[].icsUrl   - A team's own calendar; that team is read with the
+ *                      club provider whatever the channel's provider is
+ *
+ * Fetched fixtures are tagged with icsProvider so they are parsed with the
+ * provider they came from.
+ */
+
+const sports = require('./sports');
+
+// ---------- Team parsing patterns ----------
+// Regex patterns for parsing "Home v Away" from fixture summaries
+// Each pattern captures home team (group 1) and away team (group 2)
+// Patterns are ordered by specificity (most specific first)
+const TEAM_SEPARATOR_PATTERNS = [
+  { name: 'vs_dot', pattern: /^(.+?)\s*vs\.\s*(.+)$/i },       // "vs." with optional spaces around dot
+  { name: 'vs_spaced', pattern: /^(.+?)\s+vs\s+(.+)$/i },      // "vs" with required spaces
+  { name: 'v_spaced', pattern: /^(.+?)\s+v\s+(.+)$/i },        // "v" with required spaces
+  { name: 'hyphen_left', pattern: /^(.+?)\s+-\s*(.+)$/ },      // hyphen with space on left
+  { name: 'hyphen_right', pattern: /^(.+?)\s*-\s+(.+)$/ },     // hyphen with space on right
+  { name: 'at_left', pattern: /^(.+?)\s+@\s*(.+)$/ },          // @ with space on left
+  { name: 'at_right', pattern: /^(.+?)\s*@\s+(.+)$/ }          // @ with space on right
+];
+
+// ---------- Summary parsers ----------
+
+/**
+ * Clean a team name by removing common annotations like (HOME), (AWAY), (H), (A), etc.
+ * @param {string} name - Team name that may have annotations
+ * @returns {string} Cleaned team name
+ */
+function cleanTeamName(name) {
+  if (!name) return '';
+  // Remove common annotations: (HOME), (AWAY), (H), (A), [HOME], [AWAY], [H], [A]
+  // Parentheses/brackets are required to avoid matching team names ending in these letters
+  return name
+    .replace(/\s*\(\s*HOME\s*\)\s*$/i, '')
+    .replace(/\s*\(\s*AWAY\s*\)\s*$/i, '')
+    .replace(/\s*\(\s*H\s*\)\s*$/i, '')
+    .replace(/\s*\(\s*A\s*\)\s*$/i, '')
+    .replace(/\s*\[\s*HOME\s*\]\s*$/i, '')
+    .replace(/\s*\[\s*AWAY\s*\]\s*$/i, '')
+    .replace(/\s*\[\s*H\s*\]\s*$/i, '')
+    .replace(/\s*\[\s*A\s*\]\s*$/i, '')
+    .trim();
+}
+
+/**
+ * Parse a TheFishy ICS summary to extract home and away teams.
+ * TheFishy summaries have formats like:
+ * - "Crystal Palace (away)" - our team is playing away at Crystal Palace
+ * - "West Ham (home)" - our team is playing at home against West Ham
+ *
+ * @param {string} summary - The ICS event summary (e.g., "Crystal Palace (away)")
+ * @param {string} ourTeam - The team label for this feed (e.g., "Man Utd")
+ * @returns {{ homeTeam: string, awayTeam: string }}
+ */
+function parseFishySummary(summary, ourTeam) {
+  const text = (summary || '').trim();
+  const team = (ourTeam || '').trim();
+
+  // Handle edge cases when summary or team is missing
+  if (!text) {
+    return { homeTeam: team, awayTeam: '' };
+  }
+  if (!team) {
+    // No team provided - just clean the summary text
+    return { homeTeam: cleanTeamName(text), awayTeam: '' };
+  }
+
+  // Check for "(away)" or "(a)" at the end - our team is away
+  const awayMatch = text.match(/^(.+?)\s*\(\s*(?:away|a)\s*\)\s*$/i);
+  if (awayMatch) {
+    const opponent = cleanTeamName(awayMatch[1]);
+    return {
+      homeTeam: opponent,
+      awayTeam: team
+    };
+  }
+
+  // Check for "(home)" or "(h)" at the end - our team is home
+  const homeMatch = text.match(/^(.+?)\s*\(\s*(?:home|h)\s*\)\s*$/i);
+  if (homeMatch) {
+    const opponent = cleanTeamName(homeMatch[1]);
+    return {
+      homeTeam: team,
+      awayTeam: opponent
+    };
+  }
+
+  // Fallback: doesn't match TheFishy format, treat summary as opponent with ourTeam as home
+  return {
+    homeTeam: team,
+    awayTeam: cleanTeamName(text)
+  };
+}
+
+/**
+ * Parse team names from a fixture summary.
+ * Handles various ICS summary formats:
+ * - "Team A v Team B"
+ * - "Team A vs Team B"
+ * - "Team A - Team B"
+ * - "Team A @ Team B"
+ * - "Team AvTeam B" (no spaces)
+ * - "Team A (HOME) v Team B (AWAY)"
+ * - "Team A vs.Team B"
+ *
+ * @param {string} summary - Fixture summary (e.g., "Arsenal v Chelsea")
+ * @returns {{ homeTeam: string, awayTeam: string }}
+ */
+function parseTeamsFromSummary(summary) {
+  const text = (summary || '').trim();
+
+  if (!text) {
+    return { homeTeam: '', awayTeam: '' };
+  }
+
+  // Try each separator pattern in order of specificity
+  for (const { pattern } of TEAM_SEPARATOR_PATTERNS) {
+    const match = text.match(pattern);
+    if (match && match[1] && match[2]) {
+      const homeRaw = match[1].trim();
+      const awayRaw = match[2].trim();
+
+      // Skip if either side is empty after trimming
+      if (!homeRaw || !awayRaw) continue;
+
+      // Clean team names to remove (HOME)/(AWAY) annotations
+      const homeTeam = cleanTeamName(homeRaw);
+      const awayTeam = cleanTeamName(awayRaw);
+
+      // Only return if we actually have two valid team names
+      if (homeTeam && awayTeam) {
+        return { homeTeam, awayTeam };
+      }
+    }
+  }
+
+  // Fallback: return the whole summary as homeTeam (after cleaning)
+  return {
+    homeTeam: cleanTeamName(text),
+    awayTeam: ''
+  };
+}
+
+/**
+ * Parse a club or fixture-download calendar summary. These name both sides,
+ * often with the competition first or details after:
+ * - "Premier League: Arsenal v Chelsea"  -> competition "Premier League"
+ * - "Arsenal v Chelsea (FA Cup)"         -> detail "FA Cup"
+ * Summaries naming only the opponent ("Chelsea (H)") are read like TheFishy's.
+ *
+ * @param {string} summary - ICS summary
+ * @param {string} [ourTeam] - The team label for this feed
+ * @returns {{ homeTeam: string, awayTeam: string, competition: string, detail: string }}
+ */
+function parseCalendarSummary(summary, ourTeam) {
+  const { text, competition, detail } = sports.splitEventSummary(summary);
+  let parsed = parseTeamsFromSummary(text);
+  if (!parsed.awayTeam && ourTeam) {
+    parsed = parseFishySummary(text, ourTeam);
+  }
+  return { ...parsed, competition, detail };
+}
+
+/**
+ * Parse a single-feed summary: "Home v Away", with the competition and
+ * details split off for sports other than football.
+ *
+ * @param {string} summary - ICS summary
+ * @param {string} [sport] - Fixture sport (lib/sports.js)
+ * @returns {{ homeTeam: string, awayTeam: string, competition?: string, detail?: string }}
+ */
+function parseFeedSummary(summary, sport) {
+  if (sports.getSport(sport).id === 'football') {
+    return parseTeamsFromSummary(summary);
+  }
+  const { text, competition, detail } = sports.splitEventSummary(summary);
+  return { ...parseTeamsFromSummary(text), competition, detail };
+}
+
+// ---------- Feed URLs ----------
+
+function getTeamLabel(team) {
+  return String((team && (team.label || team.slug)) || '').trim();
+}
+
+// Build a TheFishy ICS URL from a team label, e.g.
+//   "Man Utd"  -> https://thefishy.co.uk/calendar/Man+Utd
+function buildTheFishyIcsUrl(teamLabel) {
+  const trimmed = String(teamLabel || '').trim();
+  if (!trimmed) return null;
+
+  // Keep letters/numbers/spaces, drop other punctuation from the label.
+  const cleaned = trimmed.replace(/[^A-Za-z0-9\s]/g, '');
+  // Spaces => plus
+  const plus = cleaned.replace(/\s+/g, '+');
+
+  return `https://thefishy.co.uk/calendar/${plus}`;
+}
+
+// Fill {label} and {slug} in a channel's icsUrlTemplate
+function buildTemplateIcsUrl(template, team) {
+  const label = getTeamLabel(team);
+  if (!template || !label) return null;
+  const slug = (team.slug || label)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return template
+    .replace(/\{label\}/g, encodeURIComponent(label))
+    .replace(/\{slug\}/g, slug);
+}
+
+// ---------- Providers ----------
+
+// perTeam providers fetch one feed per team (the rotation in
+// lib/fixture_store.js); buildTeamUrl returns null when it can't.
+// parseSummary(summary, { teamLabel, sport }) -> { homeTeam, awayTeam, competition?, detail? }
+const PROVIDERS = {
+  thefishy: {
+    id: 'thefishy',
+    label: 'TheFishy',
+    perTeam: true,
+    buildTeamUrl: (team) => buildTheFishyIcsUrl(getTeamLabel(team)),
+    parseSummary: (summary, { teamLabel } = {}) => parseFishySummary(summary, teamLabel)
+  },
+  club: {
+    id: 'club',
+    label: 'Club calendars',
+    perTeam: true,
+    buildTeamUrl: (team) => String((team && team.icsUrl) || '').trim() || null,
+    parseSummary: (summary, { teamLabel } = {}) => parseCalendarSummary(summary, teamLabel)
+  },
+  template: {
+    id: 'template',
+    label: 'URL template',
+    perTeam: true,
+    buildTeamUrl: (team, channel) => buildTemplateIcsUrl(channel && channel.icsUrlTemplate, team),
+    parseSummary: (summary, { teamLabel } = {}) => parseCalendarSummary(summary, teamLabel)
+  },
+  single: {
+    id: 'single',
+    label: 'Single feed',
+    perTeam: false,
+    buildTeamUrl: () => null,
+    parseSummary: (summary, { sport } = {}) => parseFeedSummary(summary, sport)
+  }
+};
+
+/**
+ * Look up a provider.
+ * @param {string} id - Provider id
+ * @returns {Object|null}
+ */
+function getProvider(id) {
+  return PROVIDERS[String(id || '').trim().toLowerCase()] || null;
+}
+
+/**
+ * All providers, for the admin form.
+ * @returns {Array<{id, label, perTeam}>}
+ */
+function listProviders() {
+  return Object.values(PROVIDERS).map(({ id, label, perTeam }) => ({ id, label, perTeam }));
+}
+
+/**
+ * A channel's provider: icsProvider, else thefishy for the older
+ * useTheFishyMulti flag, else single.
+ * @param {Object} channel - Channel config
+ * @returns {Object} Provider
+ */
+function getChannelProvider(channel) {
+  const ch = channel || {};
+  return getProvider(ch.icsProvider) || (ch.useTheFishyMulti ? PROVIDERS.thefishy : PROVIDERS.single);
+}
+
+/**
+ * Whether a channel fetches one feed per team.
+ * @param {Object} channel - Channel config
+ * @returns {boolean}
+ */
+function usesTeamFeeds(channel) {
+  return getChannelProvider(channel).perTeam;
+}
+
+/**
+ * The provider a team's feed is read with: club for teams with their own
+ * icsUrl, otherwise the channel's.
+ * @param {Object} team - Team entry ({ label, slug, icsUrl })
+ * @param {Object} channel - Channel config
+ * @returns {Object} Provider
+ */
+function getTeamProvider(team, channel) {
+  if (team && team.icsUrl) return PROVIDERS.club;
+  return getChannelProvider(channel);
+}
+
+/**
+ * The provider a fixture came from: its icsProvider tag, else thefishy for
+ * per-team fixtures stored before the tag existed, else single.
+ * @param {Object} fixture - Fixture with icsProvider / teamLabel
+ * @returns {Object} Provider
+ */
+function getFixtureProvider(fixture) {
+  const f = fixture || {};
+  return getProvider(f.icsProvider) || (f.teamLabel ? PROVIDERS.thefishy : PROVIDERS.single);
+}
+
+/**
+ * Parse a fixture's summary with the provider it came from.
+ * @param {Object} fixture - Fixture with summary, and optionally icsProvider, teamLabel, sport
+ * @returns {{ homeTeam: string, awayTeam: string, competition?: string, detail?: string }}
+ */
+function parseFixtureSummary(fixture) {
+  const f = fixture || {};
+  return getFixtureProvider(f).parseSummary(f.summary, { teamLabel: f.teamLabel, sport: f.sport });
+}
+
+module.exports = {
+  getProvider,
+  listProviders,
+  getChannelProvider,
+  getTeamProvider,
+  getFixtureProvider,
+  usesTeamFeeds,
+  parseFixtureSummary,
+  parseTeamsFromSummary,
+  parseFishySummary,
+  parseCalendarSummary,
+  cleanTeamName,
+  buildTheFishyIcsUrl,
+  TEAM_SEPARATOR_PATTERNS,
+  PROVIDERS
+};
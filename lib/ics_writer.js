@@ -0,0 +1,236 @@
+// lib/ics_writer.js
+// Serialize enriched fixtures as an iCalendar (RFC 5545) feed.
+/**
+ * Telegram Sports TV Bot – ICS Writer
+ *
+ * The reverse of ics_source.js: turns our fixtures (after TV enrichment)
+ * into VEVENTs a calendar app can subscribe to.
+ *  - SUMMARY:     "Home v Away" (or "Event – Session" for F1)
+ *  - DESCRIPTION: TV channels grouped by region (tvByRegion), else tvChannel
+ *  - LOCATION:    venue from the aggregator, else the ICS location
+ *  - DTEND:       kickoff + the sport's typical duration (lib/sports.js)
+ *
+ * UIDs are built from the sport, the two sides (or event name and session)
+ * and the kickoff date, so a new kickoff time or new TV listings update the
+ * same event in place. A fixture moved to another day gets a new UID.
+ */
+
+const crypto = require('crypto');
+const sports = require('./sports');
+const { normalizeTeamKey } = require('./posted_ledger');
+
+// ---------- Constants ----------
+
+const PRODUCT_ID = '-//telelistings//Sports TV Listings//EN';
+const UID_DOMAIN = 'telelistings';
+
+// How often calendar apps are asked to refresh the feed
+const REFRESH_INTERVAL = 'PT1H';
+
+// RFC 5545 lines are folded at 75 octets
+const MAX_LINE_OCTETS = 75;
+
+// ---------- Formatting helpers ----------
+
+/**
+ * Escape a TEXT value (backslash, semicolon, comma, newline).
+ * @param {string} value - Raw text
+ * @returns {string}
+ */
+function escapeText(value) {
+  return String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line at 75 octets without splitting UTF-8 characters.
+ * @param {string} line - Unfolded line
+ * @returns {string} Folded line (CRLF + space continuation)
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char, 'utf8');
+    // Continuation lines start with a space, which counts towards the limit
+    const limit = parts.length ? MAX_LINE_OCTETS - 1 : MAX_LINE_OCTETS;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+/**
+ * Format a date as a UTC DATE-TIME, e.g. "20241215T150000Z".
+ * @param {Date|string} date - Date
+ * @returns {string}
+ */
+function formatUtc(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// ---------- Event fields ----------
+
+/**
+ * Calendar title for a fixture.
+ * @param {Object} fixture - Fixture object
+ * @returns {string}
+ */
+function getEventTitle(fixture) {
+  if (fixture.eventName) {
+    return fixture.session ? `${fixture.eventName} – ${fixture.session}` : fixture.eventName;
+  }
+  if (fixture.homeTeam && fixture.awayTeam) {
+    return `${fixture.homeTeam} v ${fixture.awayTeam}`;
+  }
+  return fixture.homeTeam || fixture.summary || 'Fixture';
+}
+
+/**
+ * Stable UID for a fixture (see the header comment).
+ * @param {Object} fixture - Fixture object
+ * @param {string} [timezone='Europe/London'] - Timezone used for the kickoff date
+ * @returns {string} e.g. "3f2a...@telelistings"
+ */
+function getEventUid(fixture, timezone = 'Europe/London') {
+  const day = new Date(fixture.start).toLocaleDateString('en-CA', { timeZone: timezone });
+  const identity = fixture.eventName
+    ? [fixture.eventName, fixture.session]
+    : fixture.homeTeam || fixture.awayTeam
+      ? [fixture.homeTeam, fixture.awayTeam]
+      : [fixture.summary];
+
+  const key = [sports.normalizeSport(fixture.sport), ...identity.map(normalizeTeamKey), day].join('|');
+  const hash = crypto.createHash('sha1').update(key).digest('hex').slice(0, 24);
+  return `${hash}@${UID_DOMAIN}`;
+}
+
+/**
+ * DESCRIPTION text: TV channels by region, then the competition.
+ * @param {Object} fixture - Fixture object
+ * @returns {string} Multi-line text (unescaped)
+ */
+function buildDescription(fixture) {
+  const lines = [];
+
+  const byRegion = new Map();
+  for (const { region, channel } of fixture.tvByRegion || []) {
+    if (!channel) continue;
+    const key = region || 'TV';
+    if (!byRegion.has(key)) byRegion.set(key, []);
+    if (!byRegion.get(key).includes(channel)) byRegion.get(key).push(channel);
+  }
+
+  if (byRegion.size > 0) {
+    lines.push('TV channels:');
+    for (const [region, channels] of byRegion) {
+      lines.push(`${region}: ${channels.join(', ')}`);
+    }
+  } else if (fixture.tvChannel) {
+    lines.push(`TV: ${fixture.tvChannel}`);
+  } else {
+    lines.push('TV details TBC');
+  }
+
+  const competition = fixture.competition || fixture.league;
+  if (competition) {
+    lines.push('', `Competition: ${competition}`);
+  }
+
+  return lines.join('\n');
+}
+
+// ---------- Calendar ----------
+
+/**
+ * Build a VEVENT block for one fixture.
+ *
+ * @param {Object} fixture - Enriched fixture (start, homeTeam, awayTeam, tvByRegion, venue...)
+ * @param {Object} [options={}] - Options
+ * @param {string} [options.timezone] - Timezone used for the UID's kickoff date
+ * @param {Date} [options.now] - DTSTAMP
+ * @returns {string[]} Unfolded content lines
+ */
+function buildEventLines(fixture, options = {}) {
+  const sport = sports.getSport(fixture.sport);
+  const start = new Date(fixture.start);
+  const end = new Date(start.getTime() + sport.durationMinutes * 60 * 1000);
+  const location = fixture.venue || fixture.location;
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${getEventUid(fixture, options.timezone)}`,
+    `DTSTAMP:${formatUtc(options.now || new Date())}`,
+    `DTSTART:${formatUtc(start)}`,
+    `DTEND:${formatUtc(end)}`,
+    `SUMMARY:${escapeText(getEventTitle(fixture))}`,
+    `DESCRIPTION:${escapeText(buildDescription(fixture))}`
+  ];
+  if (location) {
+    lines.push(`LOCATION:${escapeText(location)}`);
+  }
+  lines.push(`CATEGORIES:${escapeText(sport.label)}`, 'END:VEVENT');
+  return lines;
+}
+
+/**
+ * Build a complete VCALENDAR document.
+ *
+ * @param {Array<Object>} fixtures - Enriched fixtures
+ * @param {Object} [options={}] - Options
+ * @param {string} [options.name] - Calendar name (X-WR-CALNAME)
+ * @param {string} [options.timezone='Europe/London'] - X-WR-TIMEZONE and UID dates
+ * @param {Date} [options.now] - DTSTAMP for every event
+ * @returns {string} iCalendar text with CRLF line endings
+ */
+function buildCalendar(fixtures, options = {}) {
+  const timezone = options.timezone || 'Europe/London';
+  const now = options.now || new Date();
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(options.name || 'Sports TV Listings')}`,
+    `X-WR-TIMEZONE:${timezone}`,
+    `REFRESH-INTERVAL;VALUE=DURATION:${REFRESH_INTERVAL}`,
+    `X-PUBLISHED-TTL:${REFRESH_INTERVAL}`
+  ];
+
+  const seen = new Set();
+  for (const fixture of fixtures) {
+    if (isNaN(new Date(fixture.start).getTime())) continue;
+    const uid = getEventUid(fixture, timezone);
+    if (seen.has(uid)) continue;
+    seen.add(uid);
+    lines.push(...buildEventLines(fixture, { timezone, now }));
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  buildCalendar,
+  buildEventLines,
+  buildDescription,
+  getEventTitle,
+  getEventUid,
+  escapeText,
+  foldLine,
+  formatUtc
+};
@@ -0,0 +1,224 @@
+// lib/matchday_cards.js
+// Groups a day's fixtures into the pages of a composite "on TV" card.
+/**
+ * Telegram Sports TV Bot – Matchday Cards
+ *
+ * Poster-style channels normally send one photo per fixture. A matchday card
+ * lists a whole day's fixtures on one image instead: grouped by kickoff time
+ * and competition, one line per match with its main channel in the channel's
+ * first priority region (the UK by default). Busy days are split across
+ * several pages. Times and days follow the channel's first audience
+ * timezone (lib/audience.js), and headings its locale (lib/i18n.js).
+ *
+ * Channels choose with matchdayCard:
+ *   "off"     - per-fixture posters only (default)
+ *   "instead" - cards replace the per-fixture posters
+ *   "also"    - cards as well as the per-fixture posters
+ *
+ * This module only works out what goes on each page; autopost.js draws the
+ * pages with @napi-rs/canvas and sends them.
+ */
+
+const regions = require('./regions');
+const i18n = require('./i18n');
+
+// ---------- Configuration ----------
+
+const CARD_MODES = ['off', 'instead', 'also'];
+
+// Lines per page, counting group headings
+const DEFAULT_ROWS_PER_PAGE = 14;
+const MAX_ROWS_PER_PAGE = 30;
+
+// ---------- Helpers ----------
+
+/**
+ * A channel's matchday card mode ('off' unless set to 'instead' or 'also').
+ * Only poster-style channels send cards.
+ * @param {Object} channel - Channel config
+ * @returns {'off'|'instead'|'also'}
+ */
+function getCardMode(channel) {
+  if (!channel || !channel.posterStyle) return 'off';
+  return CARD_MODES.includes(channel.matchdayCard) ? channel.matchdayCard : 'off';
+}
+
+/**
+ * Lines per card page for a channel (matchdayCardRows, default 14).
+ * @param {Object} channel - Channel config
+ * @returns {number}
+ */
+function getRowsPerPage(channel) {
+  const rows = parseInt(channel && channel.matchdayCardRows, 10);
+  return rows >= 4 ? Math.min(rows, MAX_ROWS_PER_PAGE) : DEFAULT_ROWS_PER_PAGE;
+}
+
+/**
+ * Region whose channel a card lists: the channel's first priority region
+ * (region or group id), else the UK.
+ * @param {Object} channel - Channel config
+ * @returns {string}
+ */
+function getCardRegion(channel) {
+  return regions.getRegionOptions(channel || {}).priority.map(regions.resolvePriorityId).find(Boolean) || 'GB';
+}
+
+function isRegionEntry(entry, regionId) {
+  if (entry.regionId === regionId) return true;
+  // Merged lines ("UK, Ireland") list several regions
+  return String(entry.region || '').split(/\s*,\s*/).some((r) => regions.resolvePriorityId(r) === regionId);
+}
+
+/**
+ * First channel in a region for a poster fixture ('' when it has none).
+ * @param {Object} posterFixture - Fixture from adaptFixtureForPoster()
+ * @param {string} [regionId='GB'] - Region or group id
+ * @returns {string}
+ */
+function getMainChannel(posterFixture, regionId = 'GB') {
+  const entry = (posterFixture.tvByRegion || []).find((e) => e.channel && isRegionEntry(e, regionId));
+  return entry ? String(entry.channel).split(/\s*,\s*/)[0] : '';
+}
+
+// Calendar day of a date in a timezone, as YYYY-MM-DD
+function dayKey(date, timezone) {
+  return new Date(date).toLocaleDateString('en-CA', { timeZone: timezone });
+}
+
+function matchLine(posterFixture, locale = i18n.getLocale()) {
+  const { homeTeam, awayTeam } = posterFixture;
+  if (homeTeam && awayTeam) return `${homeTeam} ${i18n.t(locale, 'versus')} ${awayTeam}`;
+  return posterFixture.matchTitle || homeTeam || posterFixture.summary || '';
+}
+
+/**
+ * Card heading for a day: "TODAY ON TV", "TOMORROW ON TV" or "SATURDAY ON TV"
+ * (in the locale's words).
+ */
+function getCardHeading(date, timezone, now = new Date(), locale = i18n.getLocale()) {
+  const key = dayKey(date, timezone);
+  if (key === dayKey(now, timezone)) return i18n.t(locale, 'today');
+  if (key === dayKey(new Date(now.getTime() + 24 * 60 * 60 * 1000), timezone)) return i18n.t(locale, 'tomorrow');
+  const day = new Date(date).toLocaleDateString(locale.intl, { weekday: 'long', timeZone: timezone });
+  return i18n.t(locale, 'dayOnTv', { day: i18n.upperCase(day, locale) });
+}
+
+// ---------- Public API ----------
+
+/**
+ * Split poster fixtures into card pages: one set of pages per day, fixtures
+ * grouped by kickoff time and competition. A group that runs onto the next
+ * page repeats its heading there, and a heading is never left alone at the
+ * bottom of a page.
+ *
+ * @param {Array<Object>} posterFixtures - Fixtures from adaptFixtureForPoster()
+ * @param {Object} [options]
+ * @param {string} [options.timezone='Europe/London'] - Timezone for days
+ * @param {string} [options.region='GB'] - Region whose channel each match lists
+ * @param {string} [options.locale='en'] - Locale id for headings, dates and titles (lib/i18n.js)
+ * @param {number} [options.rowsPerPage=14] - Lines per page, headings included
+ * @param {Date} [options.now] - For "today"/"tomorrow" headings
+ * @returns {Array<{date: string, heading: string, dateLabel: string, locale: string, page: number,
+ *   pageCount: number, rows: Array<Object>, fixtures: Array<Object>}>} Rows are
+ *   { type: 'group', time, competition, continued } or { type: 'match', title, channel, fixture }
+ */
+function buildCardPages(posterFixtures, {
+  timezone = 'Europe/London', region = 'GB', locale: localeId = i18n.DEFAULT_LOCALE,
+  rowsPerPage = DEFAULT_ROWS_PER_PAGE, now = new Date()
+} = {}) {
+  const locale = i18n.getLocale(localeId);
+  const perPage = Math.max(4, rowsPerPage);
+  const sorted = [...posterFixtures].sort((a, b) =>
+    new Date(a.date || a.start) - new Date(b.date || b.start) ||
+    String(a.competition || '').localeCompare(String(b.competition || '')) ||
+    matchLine(a).localeCompare(matchLine(b)));
+
+  // Day → groups of fixtures with the same kickoff and competition
+  const days = new Map();
+  for (const fixture of sorted) {
+    const start = fixture.date || fixture.start;
+    const day = dayKey(start, timezone);
+    if (!days.has(day)) days.set(day, { start, groups: [] });
+    const groups = days.get(day).groups;
+    // First audience time (adaptFixtureForPoster), else UK time
+    const time = (fixture.times && fixture.times[0] && fixture.times[0].time) || fixture.timeUk || '';
+    const competition = fixture.competitionLabel || fixture.competition || '';
+    let group = groups[groups.length - 1];
+    if (!group || group.time !== time || group.competition !== competition) {
+      group = { time, competition, fixtures: [] };
+      groups.push(group);
+    }
+    group.fixtures.push(fixture);
+  }
+
+  const pages = [];
+  for (const [date, { start, groups }] of days) {
+    const dayPages = [];
+    let rows = [];
+    const newPage = () => {
+      if (rows.length) dayPages.push(rows);
+      rows = [];
+    };
+
+    for (const group of groups) {
+      // Heading plus at least one match must fit
+      if (rows.length + 2 > perPage) newPage();
+      rows.push({ type: 'group', time: group.time, competition: group.competition, continued: false });
+      for (const fixture of group.fixtures) {
+        if (rows.length >= perPage) {
+          newPage();
+          rows.push({ type: 'group', time: group.time, competition: group.competition, continued: true });
+        }
+        rows.push({ type: 'match', title: matchLine(fixture, locale), channel: getMainChannel(fixture, region), fixture });
+      }
+    }
+    newPage();
+
+    const heading = getCardHeading(start, timezone, now, locale);
+    const dateLabel = new Date(start).toLocaleDateString(locale.intl, {
+      weekday: 'long', day: 'numeric', month: 'long', timeZone: timezone
+    });
+    dayPages.forEach((pageRows, i) => pages.push({
+      date,
+      heading,
+      dateLabel,
+      locale: locale.id,
+      page: i + 1,
+      pageCount: dayPages.length,
+      rows: pageRows,
+      fixtures: pageRows.filter((r) => r.type === 'match').map((r) => r.fixture)
+    }));
+  }
+
+  return pages;
+}
+
+/**
+ * Plain-text version of a card page, sent when the image can't be drawn.
+ * @param {Object} page - Page from buildCardPages()
+ * @returns {string}
+ */
+function formatCardPageText(page) {
+  const locale = i18n.getLocale(page.locale);
+  const lines = [`📺 ${page.heading}${page.pageCount > 1 ? ` (${page.page}/${page.pageCount})` : ''}`, page.dateLabel];
+  for (const row of page.rows) {
+    if (row.type === 'group') {
+      lines.push('', [row.time, row.competition].filter(Boolean).join(' · '));
+    } else {
+      lines.push(`${row.title} – ${row.channel || i18n.t(locale, 'cardTvTbc')}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  getCardMode,
+  getRowsPerPage,
+  getCardRegion,
+  getMainChannel,
+  getCardHeading,
+  buildCardPages,
+  formatCardPageText,
+  CARD_MODES,
+  DEFAULT_ROWS_PER_PAGE
+};
@@ -0,0 +1,325 @@
+// lib/post_queue.js
+// Persistent queue of posters waiting to be sent a set time before kickoff.
+/**
+ * Telegram Sports TV Bot – Post Queue
+ *
+ * Channels with postMode "kickoff" don't post every fixture in the window at
+ * once. Each fixture is queued with sendAt = kickoff - lead time and sent by
+ * processPostQueue() in autopost.js once it is due. The queue is persisted so
+ * pending posts survive restarts.
+ *
+ * Storage format (storage/post_queue.json):
+ * {
+ *   "@FootballOnTvUK|2024-12-15T15:00|arsenal|chelsea": {
+ *     id: string,                 // same as the object key
+ *     channelId: string,
+ *     fixtureKey: string,         // posted ledger key (lib/posted_ledger.js)
+ *     fixture: { start, summary, homeTeam, awayTeam, teamLabel, competition, location, description, tvChannel, sport },
+ *     sendAt: ISO string,
+ *     leadTimeHours: number,
+ *     status: 'queued' | 'sent' | 'cancelled' | 'expired' | 'failed',
+ *     queuedAt: ISO string,
+ *     updatedAt: ISO string,
+ *     sentAt?: ISO string,
+ *     attempts: number,
+ *     error?: string
+ *   }
+ * }
+ *
+ * Re-queuing a fixture updates its send time; if the kickoff moved, the entry
+ * is found by teams (within KICKOFF_MOVE_WINDOW_DAYS, like the posted ledger)
+ * and re-keyed. Only queued entries are updated; sent, cancelled, expired
+ * and failed ones are left alone (use "Send now" to retry a failed post).
+ * Entries are pruned QUEUE_RETENTION_DAYS after kickoff.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  getFixtureKey,
+  normalizeTeamKey,
+  KICKOFF_MOVE_WINDOW_DAYS
+} = require('./posted_ledger');
+
+// ---------- Configuration ----------
+
+const QUEUE_PATH = process.env.POST_QUEUE_PATH ||
+  path.join(__dirname, '..', 'storage', 'post_queue.json');
+
+// Keep finished entries for this many days after kickoff
+const QUEUE_RETENTION_DAYS = 7;
+
+// Give up on a post after this many failed sends
+const MAX_SEND_ATTEMPTS = 3;
+
+// Fixture fields stored with a queued post
+const FIXTURE_FIELDS = [
+  'start', 'summary', 'homeTeam', 'awayTeam', 'teamLabel',
+  'competition', 'league', 'location', 'description', 'tvChannel',
+  'sport', 'eventName', 'session', 'icsProvider'
+];
+
+// ---------- Persistence ----------
+
+/**
+ * Load the queue from disk.
+ * @returns {Object} Entries keyed by id (empty on error)
+ */
+function loadQueue() {
+  try {
+    if (fs.existsSync(QUEUE_PATH)) {
+      const parsed = JSON.parse(fs.readFileSync(QUEUE_PATH, 'utf8'));
+      if (parsed && typeof parsed === 'object') {
+        return parsed;
+      }
+    }
+  } catch (err) {
+    // Ignore read/parse errors - treat as empty queue
+  }
+  return {};
+}
+
+/**
+ * Save the queue to disk (after pruning old entries).
+ * @param {Object} queue - Entries keyed by id
+ */
+function saveQueue(queue) {
+  const cutoff = Date.now() - QUEUE_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  for (const id of Object.keys(queue)) {
+    const start = new Date(queue[id].fixture && queue[id].fixture.start).getTime();
+    if (!isNaN(start) && start < cutoff) {
+      delete queue[id];
+    }
+  }
+
+  const dir = path.dirname(QUEUE_PATH);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  fs.writeFileSync(QUEUE_PATH, JSON.stringify(queue, null, 2), 'utf8');
+}
+
+// ---------- Helpers ----------
+
+function pickFixture(fixture) {
+  const stored = {};
+  for (const field of FIXTURE_FIELDS) {
+    if (fixture[field] !== undefined && fixture[field] !== null && fixture[field] !== '') {
+      stored[field] = field === 'start' ? new Date(fixture.start).toISOString() : fixture[field];
+    }
+  }
+  return stored;
+}
+
+/**
+ * Find the entry for a fixture: exact key, else same teams with a moved kickoff.
+ * @returns {Object|null} Entry
+ */
+function findEntry(queue, channelId, fixture) {
+  const exact = queue[`${channelId}|${getFixtureKey(fixture)}`];
+  if (exact) return exact;
+
+  const home = normalizeTeamKey(fixture.homeTeam);
+  const away = normalizeTeamKey(fixture.awayTeam);
+  if (!home || !away) return null;
+
+  const start = new Date(fixture.start).getTime();
+  const windowMs = KICKOFF_MOVE_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+  return Object.values(queue).find((e) =>
+    e.channelId === channelId &&
+    normalizeTeamKey(e.fixture.homeTeam) === home &&
+    normalizeTeamKey(e.fixture.awayTeam) === away &&
+    Math.abs(new Date(e.fixture.start).getTime() - start) <= windowMs
+  ) || null;
+}
+
+// ---------- Lead time ----------
+
+/**
+ * Lead time for a fixture in a channel.
+ * channel.leadTimeByCompetition entries win when the competition name is
+ * found in the fixture's competition, league, description or summary
+ * (case-insensitive); otherwise channel.leadTimeHours (default 3).
+ *
+ * @param {Object} channel - Channel config
+ * @param {Object} fixture - Fixture object
+ * @returns {number} Hours before kickoff
+ */
+function getLeadTimeHours(channel, fixture) {
+  const byCompetition = channel.leadTimeByCompetition || {};
+  const haystack = [fixture.competition, fixture.league, fixture.description, fixture.summary]
+    .filter(Boolean)
+    .join(' ')
+    .toLowerCase();
+
+  for (const [competition, hours] of Object.entries(byCompetition)) {
+    if (competition && Number(hours) > 0 && haystack.includes(competition.toLowerCase())) {
+      return Number(hours);
+    }
+  }
+
+  const hours = Number(channel.leadTimeHours);
+  return hours > 0 ? hours : 3;
+}
+
+// ---------- Public API ----------
+
+/**
+ * Queue (or re-time) a fixture for a channel.
+ *
+ * @param {string} channelId - Telegram channel ID
+ * @param {Object} fixture - Fixture with start and homeTeam/awayTeam
+ * @param {number} leadTimeHours - Hours before kickoff to send
+ * @returns {{entry: Object, action: 'queued'|'updated'|'unchanged'|'ignored'}}
+ *   ignored = already sent, cancelled, expired or failed
+ */
+function enqueue(channelId, fixture, leadTimeHours) {
+  const queue = loadQueue();
+  const now = new Date().toISOString();
+  const fixtureKey = getFixtureKey(fixture);
+  const id = `${channelId}|${fixtureKey}`;
+  const sendAt = new Date(new Date(fixture.start).getTime() - leadTimeHours * 60 * 60 * 1000).toISOString();
+
+  const existing = findEntry(queue, channelId, fixture);
+  if (existing && existing.status !== 'queued') {
+    return { entry: existing, action: 'ignored' };
+  }
+  if (existing && existing.id === id && existing.sendAt === sendAt) {
+    return { entry: existing, action: 'unchanged' };
+  }
+
+  const entry = {
+    ...(existing || { queuedAt: now, attempts: 0 }),
+    id,
+    channelId,
+    fixtureKey,
+    fixture: pickFixture(fixture),
+    sendAt,
+    leadTimeHours,
+    status: 'queued',
+    updatedAt: now
+  };
+  if (existing) {
+    delete queue[existing.id];
+  }
+  queue[id] = entry;
+  saveQueue(queue);
+  return { entry, action: existing ? 'updated' : 'queued' };
+}
+
+/**
+ * Queued entries whose send time has come.
+ *
+ * @param {Date} [now=new Date()] - Reference time
+ * @param {string[]} [channelIds] - Limit to these channels
+ * @returns {Array<Object>} Entries sorted by sendAt
+ */
+function getDue(now = new Date(), channelIds = null) {
+  return listQueue({ status: 'queued' })
+    .filter((e) => new Date(e.sendAt).getTime() <= now.getTime())
+    .filter((e) => !channelIds || channelIds.includes(e.channelId));
+}
+
+/**
+ * List queue entries.
+ *
+ * @param {Object} [filter={}] - Filter
+ * @param {string} [filter.channelId] - Only this channel
+ * @param {string} [filter.status] - Only this status
+ * @returns {Array<Object>} Entries sorted by sendAt
+ */
+function listQueue(filter = {}) {
+  return Object.values(loadQueue())
+    .filter((e) => !filter.channelId || e.channelId === filter.channelId)
+    .filter((e) => !filter.status || e.status === filter.status)
+    .sort((a, b) => new Date(a.sendAt) - new Date(b.sendAt));
+}
+
+/**
+ * Get one entry by id.
+ * @param {string} id - Entry id
+ * @returns {Object|null}
+ */
+function getEntry(id) {
+  return loadQueue()[id] || null;
+}
+
+/**
+ * Update an entry's status (and extra fields).
+ *
+ * @param {string} id - Entry id
+ * @param {string} status - New status
+ * @param {Object} [extra={}] - Extra fields (e.g. error, sentAt)
+ * @returns {Object|null} Updated entry
+ */
+function setStatus(id, status, extra = {}) {
+  const queue = loadQueue();
+  const entry = queue[id];
+  if (!entry) return null;
+  Object.assign(entry, extra, { status, updatedAt: new Date().toISOString() });
+  saveQueue(queue);
+  return entry;
+}
+
+/**
+ * Mark an entry as sent.
+ * @param {string} id - Entry id
+ * @param {number} [messageId] - Telegram message_id
+ */
+function markSent(id, messageId) {
+  return setStatus(id, 'sent', { sentAt: new Date().toISOString(), messageId: messageId || null, error: null });
+}
+
+/**
+ * Record a failed send. The entry stays queued (retried next time) until
+ * MAX_SEND_ATTEMPTS is reached.
+ *
+ * @param {string} id - Entry id
+ * @param {string} error - Error message
+ * @returns {Object|null} Updated entry
+ */
+function markFailed(id, error) {
+  const entry = getEntry(id);
+  if (!entry) return null;
+  const attempts = (entry.attempts || 0) + 1;
+  return setStatus(id, attempts >= MAX_SEND_ATTEMPTS ? 'failed' : 'queued', { attempts, error });
+}
+
+/**
+ * Cancel a queued post.
+ * @param {string} id - Entry id
+ * @returns {boolean} true if a queued entry was cancelled
+ */
+function cancel(id) {
+  const entry = getEntry(id);
+  if (!entry || (entry.status !== 'queued' && entry.status !== 'failed')) return false;
+  setStatus(id, 'cancelled');
+  return true;
+}
+
+/**
+ * Cancel the queued post for a fixture (e.g. when it is postponed).
+ * @param {string} channelId - Telegram channel ID
+ * @param {Object} fixture - Fixture (start, homeTeam/awayTeam or summary)
+ * @returns {boolean} true if a queued entry was cancelled
+ */
+function cancelFixture(channelId, fixture) {
+  const entry = findEntry(loadQueue(), channelId, fixture);
+  return entry ? cancel(entry.id) : false;
+}
+
+module.exports = {
+  enqueue,
+  getDue,
+  listQueue,
+  getEntry,
+  setStatus,
+  markSent,
+  markFailed,
+  cancel,
+  cancelFixture,
+  getLeadTimeHours,
+  QUEUE_PATH,
+  QUEUE_RETENTION_DAYS,
+  MAX_SEND_ATTEMPTS
+};
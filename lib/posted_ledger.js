@@ -0,0 +1,426 @@
+// lib/posted_ledger.js
+// Persistent ledger of fixtures already posted to each Telegram channel.
+/**
+ * Telegram Sports TV Bot – Posted Fixture Ledger
+ *
+ * Remembers which fixtures have been posted to which channel so that
+ * repeated runOnce() calls (e.g. several /cron/run hits per day) do not
+ * post the same match twice.
+ *
+ * Entries are keyed by channel ID and fixture identity, where the identity
+ * is the kickoff time (ISO, minute precision) plus the normalized home and
+ * away team names. Each entry records the Telegram message_id returned
+ * when the fixture was posted.
+ *
+ * Storage format (storage/posted_ledger.json):
+ * {
+ *   "@FootballOnTvUK": {
+ *     "2024-12-15T15:00|arsenal|chelsea": {
+ *       messageId: 1234,
+ *       kind: 'photo' | 'text' | 'digest' | 'card',
+ *       postedAt: ISO string,
+ *       start: ISO string,
+ *       homeTeam: string,
+ *       awayTeam: string,
+ *       summary: string,
+ *       tvByRegion: Array<{ region, channel }>,
+ *       tvChannel: string | null,
+ *       updatedAt?: ISO string,
+ *       editCount?: number
+ *     }
+ *   }
+ * }
+ *
+ * Entries also keep a snapshot of what was sent (tvByRegion, tvChannel) so
+ * later runs can detect stale posters and edit the original message. If a
+ * fixture's kickoff moves, findPostedEntry() still finds it by teams within
+ * KICKOFF_MOVE_WINDOW_DAYS and movePosted() re-keys the entry.
+ *
+ * Entries whose kickoff is older than LEDGER_RETENTION_DAYS are pruned on save.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// ---------- Configuration ----------
+
+const LEDGER_PATH = process.env.POSTED_LEDGER_PATH ||
+  path.join(__dirname, '..', 'storage', 'posted_ledger.json');
+
+// Keep entries for this many days after kickoff
+const LEDGER_RETENTION_DAYS = 14;
+
+// A fixture with the same teams within this many days of a posted one is
+// treated as the same match with a moved kickoff
+const KICKOFF_MOVE_WINDOW_DAYS = 7;
+
+// ---------- Helpers ----------
+
+/**
+ * Normalize a team name for use in a fixture key.
+ * Folds accents, lowercases, drops "FC"/"AFC" tokens and strips
+ * punctuation/whitespace. Letters in any script are kept.
+ * @param {string} name - Team name
+ * @returns {string} Normalized name (e.g., "Arsenal FC" -> "arsenal",
+ *   "Atlético Madrid" -> "atleticomadrid")
+ */
+function normalizeTeamKey(name) {
+  return String(name || '')
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/[.']/g, '')
+    .replace(/\b(a?fc)\b/g, '')
+    .replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+// normalizeTeamKey(), or the trimmed text when nothing is left of it
+// (e.g. a name made only of symbols), so a key part is never empty
+function keyPart(text) {
+  return normalizeTeamKey(text) || String(text || '').trim().toLowerCase();
+}
+
+/**
+ * Convert a fixture start to an ISO string with minute precision.
+ * @param {Date|string} start - Fixture start
+ * @returns {string} e.g., "2024-12-15T15:00", or '' if invalid
+ */
+function kickoffKey(start) {
+  const date = start instanceof Date ? start : new Date(start);
+  if (isNaN(date.getTime())) return '';
+  return date.toISOString().slice(0, 16);
+}
+
+/**
+ * Build the ledger identity for a fixture.
+ * Falls back to the summary text when home/away teams are not parsed, and
+ * to the UID when there is no summary either.
+ *
+ * @param {Object} fixture - Fixture with start and homeTeam/awayTeam or summary
+ * @returns {string} Fixture key (e.g., "2024-12-15T15:00|arsenal|chelsea")
+ */
+function getFixtureKey(fixture) {
+  const when = kickoffKey(fixture.start || fixture.date);
+  const home = keyPart(fixture.homeTeam);
+  const away = keyPart(fixture.awayTeam);
+
+  if (home || away) {
+    return `${when}|${home}|${away}`;
+  }
+  return `${when}|${keyPart(fixture.summary) || `uid:${fixture.uid || ''}`}`;
+}
+
+/**
+ * Reduce a tvByRegion list to a sorted, normalized signature for diffing.
+ * @param {Array<{region: string, channel: string}>} tvByRegion
+ * @returns {string[]} e.g., ["uk|sky sports main event", "usa|peacock"]
+ */
+function tvSignature(tvByRegion) {
+  return (tvByRegion || [])
+    .map((r) => `${String(r.region || '').toLowerCase().trim()}|${String(r.channel || '').toLowerCase().trim()}`)
+    .sort();
+}
+
+// ---------- Persistence ----------
+
+/**
+ * Load the ledger from disk.
+ * @returns {Object} Ledger object keyed by channel ID (empty on error)
+ */
+function loadLedger() {
+  try {
+    if (fs.existsSync(LEDGER_PATH)) {
+      const parsed = JSON.parse(fs.readFileSync(LEDGER_PATH, 'utf8'));
+      if (parsed && typeof parsed === 'object') {
+        return parsed;
+      }
+    }
+  } catch (err) {
+    // Ignore read/parse errors - treat as empty ledger
+  }
+  return {};
+}
+
+/**
+ * Drop entries whose kickoff is older than the retention window.
+ * @param {Object} ledger - Ledger object (mutated)
+ * @returns {Object} The same ledger object
+ */
+function pruneLedger(ledger) {
+  const cutoff = Date.now() - LEDGER_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+  for (const channelId of Object.keys(ledger)) {
+    const entries = ledger[channelId] || {};
+    for (const key of Object.keys(entries)) {
+      const start = new Date(entries[key].start).getTime();
+      if (!isNaN(start) && start < cutoff) {
+        delete entries[key];
+      }
+    }
+    if (Object.keys(entries).length === 0) {
+      delete ledger[channelId];
+    }
+  }
+
+  return ledger;
+}
+
+/**
+ * Save the ledger to disk (after pruning old entries).
+ * @param {Object} ledger - Ledger object
+ */
+function saveLedger(ledger) {
+  const dir = path.dirname(LEDGER_PATH);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  fs.writeFileSync(LEDGER_PATH, JSON.stringify(pruneLedger(ledger), null, 2), 'utf8');
+}
+
+// ---------- Public API ----------
+
+/**
+ * Get the ledger entry for a fixture in a channel.
+ *
+ * @param {string} channelId - Telegram channel ID
+ * @param {Object} fixture - Fixture object
+ * @returns {Object | null} Ledger entry or null if not posted
+ */
+function getPostedEntry(channelId, fixture) {
+  const ledger = loadLedger();
+  const entries = ledger[channelId] || {};
+  return entries[getFixtureKey(fixture)] || null;
+}
+
+/**
+ * Check whether a fixture has already been posted to a channel.
+ *
+ * @param {string} channelId - Telegram channel ID
+ * @param {Object} fixture - Fixture object
+ * @returns {boolean}
+ */
+function isPosted(channelId, fixture) {
+  return getPostedEntry(channelId, fixture) !== null;
+}
+
+/**
+ * Record that a fixture was posted to a channel.
+ *
+ * @param {string} channelId - Telegram channel ID
+ * @param {Object} fixture - Fixture object
+ * @param {Object} info - Post details
+ * @param {number|null} info.messageId - Telegram message_id
+ * @param {string} [info.kind='text'] - 'photo', 'text', 'digest' or 'card'
+ * @returns {Object} The stored entry
+ */
+function recordPosted(channelId, fixture, info = {}) {
+  const ledger = loadLedger();
+  if (!ledger[channelId]) {
+    ledger[channelId] = {};
+  }
+
+  const entry = buildEntry(fixture, info);
+  ledger[channelId][getFixtureKey(fixture)] = entry;
+  saveLedger(ledger);
+  return entry;
+}
+
+/**
+ * Build a ledger entry (with a snapshot of the sent TV data) for a fixture.
+ * @param {Object} fixture - Fixture object
+ * @param {Object} info - Post details (messageId, kind)
+ * @returns {Object} Ledger entry
+ */
+function buildEntry(fixture, info) {
+  const start = fixture.start || fixture.date;
+  return {
+    messageId: info.messageId || null,
+    kind: info.kind || 'text',
+    postedAt: new Date().toISOString(),
+    start: start ? new Date(start).toISOString() : null,
+    homeTeam: fixture.homeTeam || '',
+    awayTeam: fixture.awayTeam || '',
+    summary: fixture.summary || '',
+    tvByRegion: (fixture.tvByRegion || []).map((r) => ({ region: r.region, channel: r.channel })),
+    tvChannel: fixture.tvChannel || null
+  };
+}
+
+/**
+ * Find the ledger entry for a fixture, allowing for a moved kickoff.
+ * Tries the exact fixture key first, then any entry with the same
+ * normalized teams whose kickoff is within KICKOFF_MOVE_WINDOW_DAYS.
+ *
+ * @param {string} channelId - Telegram channel ID
+ * @param {Object} fixture - Fixture object (homeTeam/awayTeam parsed)
+ * @returns {{ key: string, entry: Object } | null}
+ */
+function findPostedEntry(channelId, fixture) {
+  const ledger = loadLedger();
+  const entries = ledger[channelId] || {};
+  const key = getFixtureKey(fixture);
+
+  if (entries[key]) {
+    return { key, entry: entries[key] };
+  }
+
+  const home = keyPart(fixture.homeTeam);
+  const away = keyPart(fixture.awayTeam);
+  if (!home || !away) {
+    return null;
+  }
+
+  const start = new Date(fixture.start || fixture.date).getTime();
+  const windowMs = KICKOFF_MOVE_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+
+  for (const candidateKey of Object.keys(entries)) {
+    const entry = entries[candidateKey];
+    if (keyPart(entry.homeTeam) !== home || keyPart(entry.awayTeam) !== away) {
+      continue;
+    }
+    const entryStart = new Date(entry.start).getTime();
+    if (!isNaN(start) && !isNaN(entryStart) && Math.abs(start - entryStart) <= windowMs) {
+      return { key: candidateKey, entry };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Compare a ledger entry with the current state of a fixture.
+ * TV data only counts as changed when the new list is non-empty, so a
+ * source outage never blanks out an existing poster.
+ *
+ * @param {Object} entry - Ledger entry
+ * @param {Object} fixture - Current fixture (adapted for poster)
+ * @returns {{ changed: boolean, kickoffChanged: boolean, tvChanged: boolean }}
+ */
+function diffPosted(entry, fixture) {
+  const previousStart = entry.start ? new Date(entry.start).getTime() : NaN;
+  const currentStart = new Date(fixture.start || fixture.date).getTime();
+  const kickoffChanged = !isNaN(previousStart) && !isNaN(currentStart) &&
+    Math.floor(previousStart / 60000) !== Math.floor(currentStart / 60000);
+
+  const previousTv = tvSignature(entry.tvByRegion);
+  const currentTv = tvSignature(fixture.tvByRegion);
+  const tvChanged = currentTv.length > 0 &&
+    (currentTv.length !== previousTv.length || currentTv.some((sig, i) => sig !== previousTv[i]));
+
+  return { changed: kickoffChanged || tvChanged, kickoffChanged, tvChanged };
+}
+
+/**
+ * Replace a ledger entry after the original message was edited (or the
+ * kickoff moved). The entry is re-keyed to the fixture's current identity
+ * and keeps its original message_id and postedAt.
+ *
+ * @param {string} channelId - Telegram channel ID
+ * @param {string} oldKey - Key of the existing entry
+ * @param {Object} fixture - Current fixture
+ * @param {Object} [info={}] - Overrides (e.g., kind)
+ * @returns {Object | null} The updated entry, or null if oldKey was not found
+ */
+function movePosted(channelId, oldKey, fixture, info = {}) {
+  const ledger = loadLedger();
+  const entries = ledger[channelId] || {};
+  const previous = entries[oldKey];
+  if (!previous) {
+    return null;
+  }
+
+  const entry = {
+    ...buildEntry(fixture, { messageId: previous.messageId, kind: info.kind || previous.kind }),
+    postedAt: previous.postedAt,
+    updatedAt: new Date().toISOString(),
+    editCount: (previous.editCount || 0) + 1
+  };
+
+  delete entries[oldKey];
+  entries[getFixtureKey(fixture)] = entry;
+  saveLedger(ledger);
+  return entry;
+}
+
+/**
+ * List ledger entries, newest kickoff first.
+ *
+ * @param {string} [channelId] - Only list entries for this channel
+ * @returns {Array<Object>} Entries with channelId and key added
+ */
+function listPosted(channelId = null) {
+  const ledger = loadLedger();
+  const channelIds = channelId ? [channelId] : Object.keys(ledger);
+  const list = [];
+
+  for (const id of channelIds) {
+    const entries = ledger[id] || {};
+    for (const key of Object.keys(entries)) {
+      list.push({ channelId: id, key, ...entries[key] });
+    }
+  }
+
+  return list.sort((a, b) => String(b.start).localeCompare(String(a.start)));
+}
+
+/**
+ * Remove a single entry from the ledger.
+ *
+ * @param {string} channelId - Telegram channel ID
+ * @param {string} key - Fixture key
+ * @returns {boolean} True if an entry was removed
+ */
+function removePosted(channelId, key) {
+  const ledger = loadLedger();
+  if (!ledger[channelId] || !ledger[channelId][key]) {
+    return false;
+  }
+  delete ledger[channelId][key];
+  saveLedger(ledger);
+  return true;
+}
+
+/**
+ * Reset the ledger for one channel, or for all channels.
+ *
+ * @param {string} [channelId] - Channel to reset (omit to reset everything)
+ * @returns {number} Number of entries removed
+ */
+function resetLedger(channelId = null) {
+  const ledger = loadLedger();
+  let removed = 0;
+
+  if (channelId) {
+    removed = Object.keys(ledger[channelId] || {}).length;
+    delete ledger[channelId];
+    saveLedger(ledger);
+  } else {
+    for (const id of Object.keys(ledger)) {
+      removed += Object.keys(ledger[id] || {}).length;
+    }
+    saveLedger({});
+  }
+
+  return removed;
+}
+
+// ---------- Module Exports ----------
+
+module.exports = {
+  getFixtureKey,
+  normalizeTeamKey,
+  tvSignature,
+  getPostedEntry,
+  findPostedEntry,
+  isPosted,
+  recordPosted,
+  diffPosted,
+  movePosted,
+  listPosted,
+  removePosted,
+  resetLedger,
+  loadLedger,
+  LEDGER_PATH,
+  LEDGER_RETENTION_DAYS,
+  KICKOFF_MOVE_WINDOW_DAYS
+};
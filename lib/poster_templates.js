@@ -0,0 +1,369 @@
+// lib/poster_templates.js
+// Declarative layouts for image posters, chosen per channel or competition.
+/**
+ * Telegram Sports TV Bot – Poster Templates
+ *
+ * A template describes an image poster as a list of elements drawn top to
+ * bottom over the uploaded background (autopost.js buildPosterImageForFixture
+ * does the drawing). Sizes are multiples of the base size (the shorter canvas
+ * side / 15); vertical spacing is in lines (base size × lineHeight).
+ *
+ * Template fields:
+ *   id, name, description
+ *   fontFamily  - CSS font family for every element
+ *   overlay     - Colour laid over the background for readability
+ *   padding     - Left/right margin as a fraction of the width
+ *   lineHeight  - Line height as a multiple of the base size
+ *   colors      - Named colours elements can refer to (text, accent, muted, footer)
+ *   elements    - Drawn in order:
+ *     { type: 'text', text }       - Fixed text (e.g. a header)
+ *     { type: 'times' }            - "3:00pm UK    10:00am ET"
+ *     { type: 'match', crests, crestSize } - Match title (HOME v AWAY); crests: true
+ *                                    draws the home/away crests either side of it
+ *     { type: 'subtitle' }         - Session / stage (non-football sports)
+ *     { type: 'competition' }, { type: 'venue' }
+ *     { type: 'footer' }           - Footer text from Settings
+ *     { type: 'rule', from, to, width } - Horizontal line (from/to are fractions of the width)
+ *     { type: 'regions', layout, maxRows, rowHeight, regionColor, channelColor, emptyText,
+ *       logos, logoRegions }
+ *       layout: 'table' (flag + region | channel columns), 'list' ("🇬🇧 UK – Sky Sports",
+ *       centred) or 'stacked' (region, with its channel underneath). logos: true draws
+ *       broadcaster logos beside the channels of logoRegions (default ["UK"])
+ *   Every element takes: y (absolute position, fraction of the height),
+ *   before / advance (lines moved before / after drawing), size, style
+ *   ('bold', 'italic', 'bold italic'), color (a colors key or a CSS colour),
+ *   align ('center', 'left', 'right') and uppercase. Elements with no text
+ *   for a fixture are skipped without advancing. Crests and logos come from
+ *   lib/asset_cache.js; without one the element is drawn as plain text.
+ *
+ * Built-in templates (TEMPLATES) can be copied and edited on
+ * /admin/poster-templates; custom templates are kept in
+ * storage/poster_templates.json as { "templates": [ ... ] }.
+ *
+ * Channels pick a template with channel.posterTemplate, and per competition
+ * with channel.posterTemplateByCompetition ({ "Champions League": "matchday" }),
+ * matched like leadTimeByCompetition.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// ---------- Configuration ----------
+
+const STORE_PATH = process.env.POSTER_TEMPLATES_PATH ||
+  path.join(__dirname, '..', 'storage', 'poster_templates.json');
+
+const DEFAULT_TEMPLATE_ID = 'classic';
+
+const ELEMENT_TYPES = ['text', 'times', 'match', 'subtitle', 'competition', 'venue', 'footer', 'rule', 'regions'];
+const REGION_LAYOUTS = ['table', 'list', 'stacked'];
+const FONT_STYLES = ['', 'bold', 'italic', 'bold italic'];
+const ALIGNMENTS = ['center', 'left', 'right'];
+
+// Most region rows any template may show
+const MAX_REGION_ROWS = 30;
+
+// ---------- Built-in Templates ----------
+
+const TEMPLATES = [
+  {
+    id: 'classic',
+    name: 'Classic',
+    description: 'Header, UK/ET times, title and competition, then a region | channel table.',
+    fontFamily: 'Arial, sans-serif',
+    overlay: 'rgba(18, 18, 18, 0.88)',
+    padding: 0.1,
+    lineHeight: 1.6,
+    colors: { text: '#ffffff', accent: '#80cbc4', muted: '#aaaaaa', footer: '#888888' },
+    elements: [
+      { type: 'text', text: 'SPORTS LISTINGS ON TV', y: 0.12, size: 1.2, style: 'bold', color: 'text', advance: 0.3 },
+      { type: 'rule', from: 0.2, to: 0.8, width: 3, color: 'accent', advance: 1.2 },
+      { type: 'times', size: 1.1, color: 'accent', advance: 1.3 },
+      { type: 'match', size: 1.5, style: 'bold', color: 'text', crests: true, advance: 1.1 },
+      { type: 'subtitle', size: 0.9, style: 'bold', color: 'accent', advance: 1 },
+      { type: 'competition', size: 0.9, style: 'italic', color: 'muted', advance: 1 },
+      { type: 'regions', before: 0.5, layout: 'table', maxRows: 10, size: 0.7, rowHeight: 0.85, regionColor: 'accent', channelColor: 'text', emptyText: 'TV details TBC', logos: true },
+      { type: 'footer', y: 0.95, size: 0.6, color: 'footer' }
+    ]
+  },
+  {
+    id: 'minimal',
+    name: 'Minimal',
+    description: 'No header: a large title and a short centred channel list over a lighter overlay.',
+    fontFamily: 'Arial, sans-serif',
+    overlay: 'rgba(0, 0, 0, 0.7)',
+    padding: 0.08,
+    lineHeight: 1.6,
+    colors: { text: '#ffffff', accent: '#80cbc4', muted: '#bbbbbb', footer: '#999999' },
+    elements: [
+      { type: 'times', y: 0.16, size: 1, color: 'accent', advance: 1.4 },
+      { type: 'match', size: 1.7, style: 'bold', color: 'text', crests: true, advance: 1.1 },
+      { type: 'subtitle', size: 0.8, color: 'accent', advance: 1 },
+      { type: 'competition', size: 0.8, color: 'muted', advance: 1 },
+      { type: 'regions', before: 0.6, layout: 'list', maxRows: 6, size: 0.75, rowHeight: 1, channelColor: 'text', emptyText: 'TV details TBC', logos: true },
+      { type: 'footer', y: 0.95, size: 0.55, color: 'footer' }
+    ]
+  },
+  {
+    id: 'matchday',
+    name: 'Matchday',
+    description: 'Competition banner, title and venue, big kick-off times and up to three broadcasters.',
+    fontFamily: 'Arial, sans-serif',
+    overlay: 'rgba(10, 14, 40, 0.85)',
+    padding: 0.08,
+    lineHeight: 1.6,
+    colors: { text: '#ffffff', accent: '#ffd54f', muted: '#b0bec5', footer: '#90a4ae' },
+    elements: [
+      { type: 'competition', y: 0.1, size: 0.9, style: 'bold', color: 'accent', uppercase: true, advance: 0.35 },
+      { type: 'rule', from: 0.3, to: 0.7, width: 4, color: 'accent', advance: 1.3 },
+      { type: 'match', size: 1.6, style: 'bold', color: 'text', crests: true, crestSize: 2.2, advance: 0.8 },
+      { type: 'subtitle', size: 0.8, style: 'bold', color: 'accent', advance: 0.8 },
+      { type: 'venue', size: 0.7, style: 'italic', color: 'muted', advance: 1 },
+      { type: 'times', size: 1.2, style: 'bold', color: 'text', advance: 0.9 },
+      { type: 'regions', layout: 'stacked', maxRows: 3, size: 0.65, rowHeight: 0.6, regionColor: 'accent', channelColor: 'text', emptyText: 'TV details TBC', logos: true },
+      { type: 'footer', y: 0.95, size: 0.55, color: 'footer' }
+    ]
+  }
+];
+
+// ---------- Persistence ----------
+
+/**
+ * Load custom templates.
+ * @returns {{templates: Array<Object>}}
+ */
+function loadStore() {
+  try {
+    if (fs.existsSync(STORE_PATH)) {
+      const parsed = JSON.parse(fs.readFileSync(STORE_PATH, 'utf8'));
+      if (parsed && Array.isArray(parsed.templates)) {
+        return { templates: parsed.templates };
+      }
+    }
+  } catch (err) {
+    // Ignore read/parse errors - treat as no custom templates
+  }
+  return { templates: [] };
+}
+
+function saveStore(store) {
+  const dir = path.dirname(STORE_PATH);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  fs.writeFileSync(STORE_PATH, JSON.stringify(store, null, 2), 'utf8');
+}
+
+// ---------- Validation ----------
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Check one element; returns an error message or null.
+ * @param {Object} el - Element
+ * @param {number} index - Position in the elements list (for messages)
+ * @returns {string|null}
+ */
+function validateElement(el, index) {
+  const where = `Element ${index + 1}`;
+  if (!el || typeof el !== 'object' || Array.isArray(el)) return `${where} must be an object`;
+  if (!ELEMENT_TYPES.includes(el.type)) {
+    return `${where} has an unknown type "${el.type}" (use ${ELEMENT_TYPES.join(', ')})`;
+  }
+  for (const field of ['size', 'before', 'advance', 'width', 'rowHeight', 'crestSize']) {
+    if (el[field] !== undefined && !(isNumber(el[field]) && el[field] >= 0)) {
+      return `${where}: ${field} must be a number of 0 or more`;
+    }
+  }
+  for (const field of ['y', 'from', 'to']) {
+    if (el[field] !== undefined && !(isNumber(el[field]) && el[field] >= 0 && el[field] <= 1)) {
+      return `${where}: ${field} must be between 0 and 1`;
+    }
+  }
+  if (el.style !== undefined && !FONT_STYLES.includes(el.style)) {
+    return `${where}: style must be one of "${FONT_STYLES.join('", "')}"`;
+  }
+  if (el.align !== undefined && !ALIGNMENTS.includes(el.align)) {
+    return `${where}: align must be ${ALIGNMENTS.join(', ')}`;
+  }
+  for (const field of ['text', 'color', 'regionColor', 'channelColor', 'emptyText']) {
+    if (el[field] !== undefined && typeof el[field] !== 'string') {
+      return `${where}: ${field} must be a string`;
+    }
+  }
+  for (const field of ['uppercase', 'crests', 'logos']) {
+    if (el[field] !== undefined && typeof el[field] !== 'boolean') {
+      return `${where}: ${field} must be true or false`;
+    }
+  }
+  if (el.logoRegions !== undefined && !(Array.isArray(el.logoRegions) && el.logoRegions.every((r) => typeof r === 'string'))) {
+    return `${where}: logoRegions must be a list of region names`;
+  }
+  if (el.type === 'text' && !el.text) return `${where}: text elements need "text"`;
+  if (el.type === 'regions') {
+    if (el.layout !== undefined && !REGION_LAYOUTS.includes(el.layout)) {
+      return `${where}: layout must be ${REGION_LAYOUTS.join(', ')}`;
+    }
+    if (el.maxRows !== undefined && !(Number.isInteger(el.maxRows) && el.maxRows >= 1 && el.maxRows <= MAX_REGION_ROWS)) {
+      return `${where}: maxRows must be a whole number from 1 to ${MAX_REGION_ROWS}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Validate a template and fill in defaults.
+ * @param {Object} input - Template object (e.g. parsed from the admin editor)
+ * @returns {{template: Object}|{error: string}}
+ */
+function validateTemplate(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'A template must be a JSON object' };
+  }
+  const id = String(input.id || '').trim();
+  if (!/^[a-z0-9][a-z0-9-]*$/.test(id)) {
+    return { error: 'Template id is required: lowercase letters, digits and dashes' };
+  }
+  if (!Array.isArray(input.elements) || input.elements.length === 0) {
+    return { error: 'A template needs a non-empty "elements" list' };
+  }
+  for (let i = 0; i < input.elements.length; i++) {
+    const error = validateElement(input.elements[i], i);
+    if (error) return { error };
+  }
+  if (input.padding !== undefined && !(isNumber(input.padding) && input.padding >= 0 && input.padding < 0.5)) {
+    return { error: 'padding must be a fraction below 0.5' };
+  }
+  if (input.lineHeight !== undefined && !(isNumber(input.lineHeight) && input.lineHeight > 0)) {
+    return { error: 'lineHeight must be a positive number' };
+  }
+  if (input.colors !== undefined && (typeof input.colors !== 'object' || Array.isArray(input.colors) ||
+      Object.values(input.colors).some((c) => typeof c !== 'string'))) {
+    return { error: 'colors must map names to colour strings' };
+  }
+  for (const field of ['name', 'description', 'fontFamily', 'overlay']) {
+    if (input[field] !== undefined && typeof input[field] !== 'string') {
+      return { error: `${field} must be a string` };
+    }
+  }
+
+  const base = TEMPLATES[0];
+  return {
+    template: {
+      id,
+      name: String(input.name || '').trim() || id,
+      description: String(input.description || '').trim(),
+      fontFamily: input.fontFamily || base.fontFamily,
+      overlay: input.overlay !== undefined ? input.overlay : base.overlay,
+      padding: input.padding !== undefined ? input.padding : base.padding,
+      lineHeight: input.lineHeight || base.lineHeight,
+      colors: { ...base.colors, ...(input.colors || {}) },
+      elements: input.elements.map((el) => ({ ...el }))
+    }
+  };
+}
+
+// ---------- Lookup ----------
+
+/**
+ * All templates, built-in first.
+ * @returns {Array<Object>} Templates with a builtIn flag
+ */
+function listTemplates() {
+  const custom = loadStore().templates
+    .map((t) => validateTemplate(t).template)
+    .filter(Boolean)
+    .filter((t) => !TEMPLATES.some((b) => b.id === t.id));
+  return [
+    ...TEMPLATES.map((t) => ({ ...t, builtIn: true })),
+    ...custom.map((t) => ({ ...t, builtIn: false }))
+  ];
+}
+
+/**
+ * Get a template by id, falling back to the classic layout.
+ * @param {string} [id] - Template id
+ * @returns {Object} Template
+ */
+function getTemplate(id) {
+  const templates = listTemplates();
+  return templates.find((t) => t.id === id) || templates.find((t) => t.id === DEFAULT_TEMPLATE_ID);
+}
+
+/**
+ * The template a channel uses for a fixture: the first
+ * posterTemplateByCompetition entry whose competition appears in the
+ * fixture's competition, league, description or summary, else
+ * channel.posterTemplate, else classic.
+ *
+ * @param {Object} channel - Channel config
+ * @param {Object} fixture - Fixture (poster-adapted or raw)
+ * @returns {Object} Template
+ */
+function getTemplateForFixture(channel, fixture) {
+  const byCompetition = (channel && channel.posterTemplateByCompetition) || {};
+  const haystack = [fixture.competition, fixture.league, fixture.description, fixture.summary]
+    .filter(Boolean)
+    .join(' ')
+    .toLowerCase();
+
+  for (const [competition, id] of Object.entries(byCompetition)) {
+    if (competition && id && haystack.includes(competition.toLowerCase())) {
+      return getTemplate(id);
+    }
+  }
+  return getTemplate(channel && channel.posterTemplate);
+}
+
+// ---------- Admin Edits ----------
+
+/**
+ * Add or replace a custom template. Built-in ids are reserved (copy a
+ * built-in template under a new id to change it).
+ *
+ * @param {Object} input - Template object
+ * @returns {{template: Object}|{error: string}}
+ */
+function saveTemplate(input) {
+  const result = validateTemplate(input);
+  if (result.error) return result;
+
+  const { template } = result;
+  if (TEMPLATES.some((t) => t.id === template.id)) {
+    return { error: `"${template.id}" is a built-in template; save your copy under a new id` };
+  }
+
+  const store = loadStore();
+  store.templates = store.templates.filter((t) => t && t.id !== template.id);
+  store.templates.push(template);
+  saveStore(store);
+  return { template };
+}
+
+/**
+ * Remove a custom template. Channels using it fall back to classic.
+ * @param {string} id - Template id
+ * @returns {boolean} True if a template was removed
+ */
+function removeTemplate(id) {
+  const store = loadStore();
+  const before = store.templates.length;
+  store.templates = store.templates.filter((t) => t && t.id !== id);
+  if (store.templates.length === before) return false;
+  saveStore(store);
+  return true;
+}
+
+module.exports = {
+  listTemplates,
+  getTemplate,
+  getTemplateForFixture,
+  validateTemplate,
+  saveTemplate,
+  removeTemplate,
+  TEMPLATES,
+  ELEMENT_TYPES,
+  REGION_LAYOUTS,
+  DEFAULT_TEMPLATE_ID,
+  STORE_PATH
+};
@@ -0,0 +1,329 @@
+// lib/regions.js
+// Region taxonomy: ISO codes, names, aliases, flag emoji and region groups.
+/**
+ * Telegram Sports TV Bot – Regions
+ *
+ * Scrapers label TV regions however their site does ("UK", "United
+ * Kingdom", "England", "Caribbean"). resolveRegion() maps a label to one
+ * region with an ISO 3166-1 code, a display name and a flag emoji.
+ * Multi-country areas that sources list as one region (Caribbean, MENA,
+ * International) have no ISO code and a globe/area emoji instead.
+ *
+ * arrangeTvByRegion() prepares a tvByRegion list for a poster, per channel
+ * settings (config.json channels[]):
+ *   regionPriority      - Regions listed first, in this order (labels, ISO codes
+ *                         or group ids), e.g. ["UK", "IE", "USA"]
+ *   maxRegions          - Show at most this many regions (after sorting)
+ *   regionGroups        - Group ids to collapse into one line, e.g. ["NORDICS"]
+ *   mergeRegionChannels - One line for a channel shown in several regions
+ *   regionsOnly         - Show only the regionPriority regions (when any match)
+ *
+ * Region names for the UK and the USA stay "UK" and "USA", the keys
+ * aggregators/confidence.js weights sources by.
+ */
+
+// ---------- Catalogue ----------
+
+// id = ISO 3166-1 alpha-2 code, or an upper-case name for multi-country areas
+const REGIONS = [
+  // British Isles
+  { id: 'GB', name: 'UK', aliases: ['United Kingdom', 'Great Britain', 'Britain', 'England', 'Scotland', 'Wales', 'Northern Ireland', 'GBR'] },
+  { id: 'IE', name: 'Ireland', aliases: ['Republic of Ireland', 'Eire', 'IRL'] },
+
+  // North America
+  { id: 'US', name: 'USA', aliases: ['United States', 'United States of America'] },
+  { id: 'CA', name: 'Canada', aliases: ['CAN'] },
+  { id: 'MX', name: 'Mexico', aliases: ['México'] },
+
+  // Western Europe
+  { id: 'DE', name: 'Germany', aliases: ['Deutschland'] },
+  { id: 'AT', name: 'Austria', aliases: ['Österreich'] },
+  { id: 'CH', name: 'Switzerland', aliases: ['Schweiz', 'Suisse'] },
+  { id: 'FR', name: 'France', aliases: [] },
+  { id: 'BE', name: 'Belgium', aliases: ['Belgique', 'België'] },
+  { id: 'NL', name: 'Netherlands', aliases: ['Holland', 'The Netherlands', 'Nederland'] },
+  { id: 'LU', name: 'Luxembourg', aliases: [] },
+  { id: 'ES', name: 'Spain', aliases: ['España'] },
+  { id: 'PT', name: 'Portugal', aliases: [] },
+  { id: 'IT', name: 'Italy', aliases: ['Italia'] },
+  { id: 'MT', name: 'Malta', aliases: [] },
+  { id: 'GR', name: 'Greece', aliases: [] },
+  { id: 'CY', name: 'Cyprus', aliases: [] },
+
+  // Nordics and Baltics
+  { id: 'SE', name: 'Sweden', aliases: ['Sverige'] },
+  { id: 'NO', name: 'Norway', aliases: ['Norge'] },
+  { id: 'DK', name: 'Denmark', aliases: ['Danmark'] },
+  { id: 'FI', name: 'Finland', aliases: ['Suomi'] },
+  { id: 'IS', name: 'Iceland', aliases: [] },
+  { id: 'EE', name: 'Estonia', aliases: [] },
+  { id: 'LV', name: 'Latvia', aliases: [] },
+  { id: 'LT', name: 'Lithuania', aliases: [] },
+
+  // Central and Eastern Europe
+  { id: 'PL', name: 'Poland', aliases: ['Polska'] },
+  { id: 'CZ', name: 'Czech Republic', aliases: ['Czechia'] },
+  { id: 'SK', name: 'Slovakia', aliases: [] },
+  { id: 'HU', name: 'Hungary', aliases: [] },
+  { id: 'RO', name: 'Romania', aliases: [] },
+  { id: 'BG', name: 'Bulgaria', aliases: [] },
+  { id: 'UA', name: 'Ukraine', aliases: [] },
+  { id: 'RU', name: 'Russia', aliases: ['Russian Federation'] },
+  { id: 'TR', name: 'Turkey', aliases: ['Türkiye', 'Turkiye'] },
+  { id: 'IL', name: 'Israel', aliases: [] },
+
+  // Balkans
+  { id: 'HR', name: 'Croatia', aliases: ['Hrvatska'] },
+  { id: 'RS', name: 'Serbia', aliases: [] },
+  { id: 'SI', name: 'Slovenia', aliases: [] },
+  { id: 'BA', name: 'Bosnia and Herzegovina', aliases: ['Bosnia', 'Bosnia & Herzegovina'] },
+  { id: 'ME', name: 'Montenegro', aliases: [] },
+  { id: 'MK', name: 'North Macedonia', aliases: ['Macedonia'] },
+  { id: 'AL', name: 'Albania', aliases: [] },
+
+  // Latin America
+  { id: 'BR', name: 'Brazil', aliases: ['Brasil'] },
+  { id: 'AR', name: 'Argentina', aliases: [] },
+  { id: 'CL', name: 'Chile', aliases: [] },
+  { id: 'CO', name: 'Colombia', aliases: [] },
+  { id: 'PE', name: 'Peru', aliases: ['Perú'] },
+  { id: 'EC', name: 'Ecuador', aliases: [] },
+  { id: 'UY', name: 'Uruguay', aliases: [] },
+  { id: 'VE', name: 'Venezuela', aliases: [] },
+
+  // Middle East and Africa
+  { id: 'AE', name: 'UAE', aliases: ['United Arab Emirates'] },
+  { id: 'SA', name: 'Saudi Arabia', aliases: ['KSA'] },
+  { id: 'QA', name: 'Qatar', aliases: [] },
+  { id: 'EG', name: 'Egypt', aliases: [] },
+  { id: 'MA', name: 'Morocco', aliases: [] },
+  { id: 'ZA', name: 'South Africa', aliases: ['RSA'] },
+  { id: 'NG', name: 'Nigeria', aliases: [] },
+  { id: 'KE', name: 'Kenya', aliases: [] },
+  { id: 'GH', name: 'Ghana', aliases: [] },
+
+  // Asia-Pacific
+  { id: 'AU', name: 'Australia', aliases: ['AUS'] },
+  { id: 'NZ', name: 'New Zealand', aliases: [] },
+  { id: 'IN', name: 'India', aliases: [] },
+  { id: 'PK', name: 'Pakistan', aliases: [] },
+  { id: 'JP', name: 'Japan', aliases: [] },
+  { id: 'CN', name: 'China', aliases: ['PRC'] },
+  { id: 'HK', name: 'Hong Kong', aliases: [] },
+  { id: 'KR', name: 'South Korea', aliases: ['Korea', 'Korea Republic'] },
+  { id: 'SG', name: 'Singapore', aliases: [] },
+  { id: 'MY', name: 'Malaysia', aliases: [] },
+  { id: 'ID', name: 'Indonesia', aliases: [] },
+  { id: 'TH', name: 'Thailand', aliases: [] },
+  { id: 'VN', name: 'Vietnam', aliases: ['Viet Nam'] },
+  { id: 'PH', name: 'Philippines', aliases: [] },
+
+  // Multi-country areas
+  { id: 'CARIBBEAN', name: 'Caribbean', flag: '🌴', aliases: ['The Caribbean', 'Caribbean Islands'] },
+  { id: 'LATIN_AMERICA', name: 'Latin America', flag: '🌎', aliases: ['LatAm', 'South America', 'Central America'] },
+  { id: 'MENA', name: 'MENA', flag: '🌍', aliases: ['Middle East', 'Middle East and North Africa', 'Middle East & North Africa', 'North Africa'] },
+  { id: 'SUB_SAHARAN_AFRICA', name: 'Sub-Saharan Africa', flag: '🌍', aliases: ['Africa', 'Sub Saharan Africa'] },
+  { id: 'ASIA', name: 'Asia', flag: '🌏', aliases: ['South East Asia', 'Southeast Asia', 'Asia Pacific'] },
+  { id: 'EUROPE', name: 'Europe', flag: '🇪🇺', aliases: ['European Union', 'EU'] },
+  { id: 'INTERNATIONAL', name: 'International', flag: '🌐', aliases: ['Worldwide', 'World', 'Global', 'Rest of World', 'Other'] }
+];
+
+// Regions that can be shown as one line (channel settings "regionGroups")
+const GROUPS = {
+  NORDICS: { name: 'Nordics', flag: '🌍', members: ['SE', 'NO', 'DK', 'FI', 'IS'] },
+  BALTICS: { name: 'Baltics', flag: '🌍', members: ['EE', 'LV', 'LT'] },
+  BENELUX: { name: 'Benelux', flag: '🌍', members: ['BE', 'NL', 'LU'] },
+  DACH: { name: 'DACH', flag: '🌍', members: ['DE', 'AT', 'CH'] },
+  BALKANS: { name: 'Balkans', flag: '🌍', members: ['HR', 'RS', 'SI', 'BA', 'ME', 'MK', 'AL'] },
+  LATAM: { name: 'Latin America', flag: '🌎', members: ['LATIN_AMERICA', 'MX', 'BR', 'AR', 'CL', 'CO', 'PE', 'EC', 'UY', 'VE'] },
+  MENA: { name: 'MENA', flag: '🌍', members: ['MENA', 'AE', 'SA', 'QA', 'EG', 'MA'] }
+};
+
+// Flag for labels no region matches
+const UNKNOWN_FLAG = '🌐';
+
+// ---------- Helpers ----------
+
+function normalize(str) {
+  return String(str || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Flag emoji for an ISO 3166-1 alpha-2 code ("GB" → "🇬🇧").
+ * @param {string} iso - Two-letter country code
+ * @returns {string} '' for anything that isn't a two-letter code
+ */
+function flagEmoji(iso) {
+  if (!/^[A-Za-z]{2}$/.test(iso || '')) return '';
+  return String.fromCodePoint(...iso.toUpperCase().split('').map((c) => 0x1F1E6 + c.charCodeAt(0) - 65));
+}
+
+// Label → region lookup (names, aliases and ISO codes)
+const INDEX = new Map();
+for (const region of REGIONS) {
+  for (const label of [region.name, region.id, ...region.aliases]) {
+    const key = normalize(label);
+    if (key && !INDEX.has(key)) INDEX.set(key, region);
+  }
+}
+
+// ---------- Public API ----------
+
+/**
+ * Region for a free-text label.
+ * @param {string} label - Region label from a source ("United Kingdom", "gb", ...)
+ * @returns {{id: string|null, iso: string|null, name: string, flag: string}}
+ *   id null (and the trimmed label as name) when unknown
+ */
+function resolveRegion(label) {
+  const region = INDEX.get(normalize(label));
+  if (!region) {
+    return { id: null, iso: null, name: String(label || '').trim(), flag: UNKNOWN_FLAG };
+  }
+  const iso = region.id.length === 2 ? region.id : null;
+  return { id: region.id, iso, name: region.name, flag: region.flag || flagEmoji(iso) };
+}
+
+/**
+ * Display name for a region label ("United Kingdom" → "UK").
+ * @param {string} label - Region label
+ * @returns {string}
+ */
+function getRegionName(label) {
+  return resolveRegion(label).name;
+}
+
+/**
+ * Region or group id for a label in channel settings ("UK", "gb", "Nordics").
+ * @param {string} label - Label, ISO code or group id/name
+ * @returns {string|null}
+ */
+function resolvePriorityId(label) {
+  const key = normalize(label);
+  const group = Object.entries(GROUPS).find(([id, g]) => normalize(id) === key || normalize(g.name) === key);
+  if (group) return group[0];
+  const region = INDEX.get(key);
+  return region ? region.id : null;
+}
+
+/**
+ * Region settings from a channel config (see the module comment).
+ * @param {Object} [channel] - Channel config object
+ * @returns {{priority: string[], maxRegions: number|null, groups: string[], mergeChannels: boolean,
+ *   only: boolean}}
+ */
+function getRegionOptions(channel = {}) {
+  const list = (value) => (Array.isArray(value) ? value : String(value || '').split(','))
+    .map((v) => String(v).trim())
+    .filter(Boolean);
+  const maxRegions = parseInt(channel && channel.maxRegions, 10);
+  return {
+    priority: list(channel && channel.regionPriority),
+    maxRegions: maxRegions > 0 ? maxRegions : null,
+    groups: list(channel && channel.regionGroups).map((g) => g.toUpperCase()).filter((g) => GROUPS[g]),
+    mergeChannels: Boolean(channel && channel.mergeRegionChannels),
+    only: Boolean(channel && channel.regionsOnly)
+  };
+}
+
+/**
+ * Normalize, group, sort and limit a tvByRegion list for a poster.
+ *
+ * Every entry gets the region's display name, flag and id (regionId).
+ * Duplicate region/channel lines (e.g. two Nordic countries on the same
+ * channel once grouped) are dropped.
+ *
+ * @param {Array<{region: string, channel: string}>} tvByRegion - Entries
+ * @param {Object} [options={}] - From getRegionOptions()
+ * @returns {Array<{region: string, channel: string, flag: string, regionId: string|null}>}
+ */
+function arrangeTvByRegion(tvByRegion, options = {}) {
+  const { priority = [], maxRegions = null, groups = [], mergeChannels = false, only = false } = options;
+
+  // Resolve, then collapse grouped regions
+  let entries = (tvByRegion || []).map((entry) => {
+    const region = resolveRegion(entry.region);
+    const groupId = groups.find((g) => GROUPS[g] && GROUPS[g].members.includes(region.id));
+    if (groupId) {
+      return { ...entry, region: GROUPS[groupId].name, flag: GROUPS[groupId].flag, regionId: groupId };
+    }
+    return { ...entry, region: region.name, flag: region.flag, regionId: region.id };
+  });
+
+  // One line per region/channel
+  const seen = new Set();
+  entries = entries.filter((entry) => {
+    const key = `${entry.regionId || normalize(entry.region)}|${normalize(entry.channel)}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+
+  // Priority regions first (in priority order), the rest in source order
+  const rank = priority.map(resolvePriorityId).filter(Boolean);
+  const rankOf = (entry) => {
+    const i = rank.indexOf(entry.regionId);
+    return i === -1 ? rank.length : i;
+  };
+  entries = entries
+    .map((entry, i) => ({ entry, i }))
+    .sort((a, b) => rankOf(a.entry) - rankOf(b.entry) || a.i - b.i)
+    .map(({ entry }) => entry);
+
+  // Only the priority regions, unless the fixture is shown in none of them
+  // (a poster without any TV lines would be worse than one for elsewhere)
+  if (only && rank.length > 0 && entries.some((entry) => rank.includes(entry.regionId))) {
+    entries = entries.filter((entry) => rank.includes(entry.regionId));
+  }
+
+  // Keep the first maxRegions regions
+  if (maxRegions) {
+    const kept = [];
+    entries = entries.filter((entry) => {
+      const key = entry.regionId || normalize(entry.region);
+      if (!kept.includes(key)) {
+        if (kept.length >= maxRegions) return false;
+        kept.push(key);
+      }
+      return true;
+    });
+  }
+
+  // One line for a channel shown in several regions ("UK, Ireland")
+  if (mergeChannels) {
+    const byChannel = new Map();
+    const merged = [];
+    for (const entry of entries) {
+      const key = normalize(entry.channel);
+      const existing = byChannel.get(key);
+      if (existing) {
+        existing.region = `${existing.region}, ${entry.region}`;
+        existing.flag = existing.flag === entry.flag ? existing.flag : `${existing.flag}${entry.flag}`;
+        continue;
+      }
+      const copy = { ...entry };
+      byChannel.set(key, copy);
+      merged.push(copy);
+    }
+    entries = merged;
+  }
+
+  return entries;
+}
+
+module.exports = {
+  resolveRegion,
+  resolvePriorityId,
+  getRegionName,
+  getRegionOptions,
+  arrangeTvByRegion,
+  flagEmoji,
+  REGIONS,
+  GROUPS
+};
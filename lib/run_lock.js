@@ -0,0 +1,173 @@
+// lib/run_lock.js
+// File-based lock so two autopost runs never overlap.
+/**
+ * Telegram Sports TV Bot – Run Lock
+ *
+ * runOnce() can be started by the built-in scheduler, /cron/run, the
+ * "Post now" button or `node autopost.js`, possibly from different
+ * processes. Two overlapping runs would post the same fixtures twice
+ * (neither has written the posted ledger yet), so runOnce() takes this lock
+ * first and skips the run if it is held.
+ *
+ * The lock is a JSON file (storage/run.lock) created atomically with the
+ * "wx" flag. Each acquire gets a random token, and only that token releases
+ * the lock: the scheduler, /cron/run and the admin pages share one process,
+ * so the pid alone can't tell one run from the next. While a run holds the
+ * lock it refreshes it every LOCK_REFRESH_MS; a lock not refreshed for
+ * LOCK_STALE_MS, or held by a process that no longer exists, is treated as
+ * stale and taken over.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// ---------- Configuration ----------
+
+const LOCK_PATH = process.env.RUN_LOCK_PATH ||
+  path.join(__dirname, '..', 'storage', 'run.lock');
+
+// A held lock is refreshed this often...
+const LOCK_REFRESH_MS = 5 * 60 * 1000;
+
+// ...so one not refreshed for this long belongs to a hung or crashed run
+const LOCK_STALE_MS = 30 * 60 * 1000;
+
+// Refresh timers of the locks this process holds, by token
+const refreshTimers = new Map();
+
+// ---------- Helpers ----------
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    // EPERM means it exists but belongs to another user
+    return err.code === 'EPERM';
+  }
+}
+
+/**
+ * Read the current lock holder.
+ * @returns {{pid: number, owner: string, token: string, acquiredAt: string, refreshedAt?: string}|null}
+ */
+function getRunLock() {
+  try {
+    return JSON.parse(fs.readFileSync(LOCK_PATH, 'utf8'));
+  } catch (err) {
+    return null;
+  }
+}
+
+function isStale(lock) {
+  if (!lock) return true;
+  const age = Date.now() - new Date(lock.refreshedAt || lock.acquiredAt).getTime();
+  if (!(age < LOCK_STALE_MS)) return true;
+  return !isProcessAlive(lock.pid);
+}
+
+// Bump refreshedAt if the lock is still ours
+function refreshRunLock(token) {
+  const lock = getRunLock();
+  if (!lock || lock.token !== token) return;
+  try {
+    fs.writeFileSync(LOCK_PATH, JSON.stringify({ ...lock, refreshedAt: new Date().toISOString() }));
+  } catch (err) {
+    // Try again on the next tick
+  }
+}
+
+// ---------- Public API ----------
+
+// Write the lock file; false if it already exists
+function writeLock(payload) {
+  try {
+    fs.writeFileSync(LOCK_PATH, payload, { flag: 'wx' });
+    return true;
+  } catch (err) {
+    if (err.code !== 'EEXIST') throw err;
+    return false;
+  }
+}
+
+/**
+ * Try to take the run lock. The lock is refreshed until it is released.
+ *
+ * @param {string} [owner='runOnce'] - Who is running (shown on the scheduler page)
+ * @returns {string|null} Token to pass to releaseRunLock(), or null if the lock is held
+ */
+function acquireRunLock(owner = 'runOnce') {
+  const dir = path.dirname(LOCK_PATH);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  const token = crypto.randomBytes(8).toString('hex');
+  const payload = JSON.stringify({
+    pid: process.pid,
+    owner,
+    token,
+    acquiredAt: new Date().toISOString()
+  });
+
+  let acquired = writeLock(payload);
+  if (!acquired) {
+    if (!isStale(getRunLock())) {
+      return null;
+    }
+
+    // Take over a stale lock
+    try {
+      fs.unlinkSync(LOCK_PATH);
+      acquired = writeLock(payload);
+    } catch (err) {
+      // Someone else took it over first
+    }
+  }
+  if (!acquired) return null;
+
+  const timer = setInterval(() => refreshRunLock(token), LOCK_REFRESH_MS);
+  timer.unref();
+  refreshTimers.set(token, timer);
+  return token;
+}
+
+/**
+ * Release the run lock taken with this token. A lock since taken over by
+ * another run is left alone.
+ *
+ * @param {string} token - Token returned by acquireRunLock()
+ */
+function releaseRunLock(token) {
+  clearInterval(refreshTimers.get(token));
+  refreshTimers.delete(token);
+
+  const lock = getRunLock();
+  if (token && lock && lock.token === token) {
+    try {
+      fs.unlinkSync(LOCK_PATH);
+    } catch (err) {
+      // Ignore - already gone
+    }
+  }
+}
+
+/**
+ * Whether a (non-stale) run is currently in progress.
+ * @returns {boolean}
+ */
+function isRunLocked() {
+  const lock = getRunLock();
+  return Boolean(lock) && !isStale(lock);
+}
+
+module.exports = {
+  acquireRunLock,
+  releaseRunLock,
+  getRunLock,
+  isRunLocked,
+  LOCK_PATH,
+  LOCK_REFRESH_MS,
+  LOCK_STALE_MS
+};
@@ -0,0 +1,573 @@
+// lib/source_registry.js
+// Single registry of every fixture/TV data source (local scrapers and VPS scrapers).
+/**
+ * Telegram Sports TV Bot – Source Registry
+ *
+ * Every data source is declared once here. The TV aggregator
+ * (aggregators/tv_channels.js), the auto-tester (lib/auto_tester.js
+ * SCRAPER_REGISTRY) and the admin scraper dashboard (app.js
+ * getScraperDefinitions()) all read this list, so adding a source means
+ * adding one entry (plus its scraper module or VPS endpoint).
+ *
+ * Each source declares:
+ *   id             - Unique id; also the key in the aggregator's sourcesUsed
+ *   name           - Display name
+ *   description    - One-line summary (auto-tester)
+ *   details        - Longer description (admin dashboard)
+ *   url            - Website or API the data comes from
+ *   capabilities   - { fixtures, tvByRegion, kickoff, league }
+ *   regions        - Regions the TV data covers (['*'] = worldwide)
+ *   sports         - Sports it knows about (['*'] = all, see lib/sports.js)
+ *   invocation     - { type: 'local', module, method } (method is the
+ *                    aggregator's per-fixture lookup) or
+ *                    { type: 'vps', source, path, healthPath, payload }
+ *                    (payload lists the fixture fields sent: teamName, date)
+ *   aggregator     - How getTvDataForFixture() uses it, or null if it doesn't:
+ *                    { adapter, tag, timeoutMs, dependsOn }. adapter names one
+ *                    of the aggregator's result parsers; dependsOn lists
+ *                    sources whose kickoff/league it needs first
+ *   enabledByDefault - Used by the aggregator unless config says otherwise
+ *   test           - { method, params } for local auto-tests
+ *   display        - { dataProvided, method, icon, color } (the dashboard's
+ *                    cache time comes from lib/cache.js POLICIES)
+ *
+ * config.json "sources" overrides per source id:
+ *   "sources": { "vps-sofascore": { "enabled": true, "timeoutMs": 20000 } }
+ */
+
+const path = require('path');
+
+// ---------- Sources ----------
+
+// Order matters: the aggregator merges results in this order (earlier
+// sources win for kickoff, league and venue).
+const SOURCES = [
+  {
+    id: 'tsdb',
+    name: 'TheSportsDB',
+    description: 'Fixture data from TheSportsDB API',
+    details: 'Uses the TheSportsDB API to fetch fixture information including kickoff times, venues, and sometimes TV stations. A reliable primary source for match data.',
+    url: 'https://www.thesportsdb.com',
+    capabilities: { fixtures: true, tvByRegion: false, kickoff: true, league: true },
+    regions: ['*'],
+    sports: ['*'],
+    invocation: { type: 'local', module: 'scrapers/thesportsdb', method: 'fetchTSDBFixture' },
+    aggregator: { adapter: 'fixtureInfo', tag: 'TSDB', timeoutMs: 10000, dependsOn: [] },
+    enabledByDefault: true,
+    hasHealthCheck: true,
+    requiresVPS: false,
+    // Fetch all fixtures for today (today's listings)
+    test: { method: 'fetchTSDBFixtures', params: { date: new Date(), region: 'UK' } },
+    display: {
+      dataProvided: ['Fixture details', 'League/competition', 'Venue', 'TV stations'],
+      method: 'REST API (no scraping)',
+      icon: '⚽',
+      color: '#3498db'
+    }
+  },
+  {
+    id: 'footballdata',
+    name: 'FootballData.org',
+    description: 'Fixture data from FootballData.org API',
+    details: 'Uses the FootballData.org API as a backup for kickoff times and competitions when a fixture carries a FootballData team id.',
+    url: 'https://www.football-data.org',
+    capabilities: { fixtures: true, tvByRegion: false, kickoff: true, league: true },
+    regions: ['*'],
+    sports: ['football'],
+    invocation: { type: 'local', module: 'scrapers/footballdata', method: 'fetchFootballData' },
+    aggregator: { adapter: 'footballData', tag: 'FBD', timeoutMs: 10000, dependsOn: [] },
+    enabledByDefault: true,
+    hasHealthCheck: true,
+    requiresVPS: false,
+    // General fixtures (today's listings)
+    test: { method: 'fetchFootballData', params: {} },
+    display: {
+      dataProvided: ['Fixture details', 'Competition', 'Kickoff times'],
+      method: 'REST API (no scraping)',
+      icon: '📊',
+      color: '#34495e'
+    }
+  },
+  {
+    id: 'lstv',
+    name: 'LiveSoccerTV',
+    description: 'TV channel information from LiveSoccerTV.com',
+    details: 'Scrapes TV channel information from LiveSoccerTV.com for worldwide football matches. Provides detailed region-by-region TV broadcaster data.',
+    url: 'https://www.livesoccertv.com',
+    capabilities: { fixtures: false, tvByRegion: true, kickoff: true, league: false },
+    regions: ['*'],
+    sports: ['football'],
+    invocation: { type: 'local', module: 'scrapers/lstv', method: 'fetchLSTV' },
+    // Searches better with TSDB's kickoff and league
+    aggregator: { adapter: 'regionChannels', tag: 'LSTV', timeoutMs: 30000, dependsOn: ['tsdb', 'footballdata'] },
+    enabledByDefault: true,
+    hasHealthCheck: true,
+    requiresVPS: true,
+    // Fetch all fixtures for UK region (today's listings)
+    test: { method: 'fetchLSTVFixtures', params: { region: 'UK' } },
+    display: {
+      dataProvided: ['TV channels by region', 'Match kickoff times', 'League information'],
+      method: 'Remote VPS scraper with Puppeteer',
+      icon: '📺',
+      color: '#e74c3c'
+    }
+  },
+  {
+    id: 'bbc',
+    name: 'BBC Sport',
+    description: 'Fixture data from BBC Sport',
+    details: 'Scrapes the BBC Sport website for fixture information and competition details. Useful for UK-based matches and FA Cup fixtures.',
+    url: 'https://www.bbc.co.uk/sport/football',
+    capabilities: { fixtures: true, tvByRegion: false, kickoff: true, league: true },
+    regions: ['UK'],
+    sports: ['football'],
+    invocation: { type: 'local', module: 'scrapers/bbc_fixtures', method: 'fetchBBCFixtures' },
+    aggregator: { adapter: 'competition', tag: 'BBC', timeoutMs: 15000, dependsOn: [] },
+    enabledByDefault: true,
+    hasHealthCheck: true,
+    requiresVPS: false,
+    // Empty params fetches all fixtures from main football page (today's listings)
+    test: { method: 'fetchBBCFixtures', params: {} },
+    display: {
+      dataProvided: ['Fixture list', 'Competition names', 'Kickoff times'],
+      method: 'HTTP + Cheerio HTML parsing',
+      icon: '🇬🇧',
+      color: '#2ecc71'
+    }
+  },
+  {
+    id: 'sky',
+    name: 'Sky Sports',
+    description: 'Sky Sports fixtures and channels',
+    details: 'Scrapes Sky Sports website for fixture listings with Sky Sports channel information. Primary source for Sky Sports branded channels.',
+    url: 'https://www.skysports.com',
+    capabilities: { fixtures: true, tvByRegion: true, kickoff: true, league: false },
+    regions: ['UK'],
+    sports: ['football'],
+    invocation: { type: 'local', module: 'scrapers/skysports', method: 'fetchSkyFixtures' },
+    aggregator: { adapter: 'teamListing', tag: 'SKY', timeoutMs: 15000, dependsOn: [] },
+    enabledByDefault: true,
+    hasHealthCheck: true,
+    requiresVPS: false,
+    // Empty params fetches all fixtures (today's listings)
+    test: { method: 'fetchSkyFixtures', params: {} },
+    display: {
+      dataProvided: ['Sky Sports fixtures', 'Sky channel assignments'],
+      method: 'HTTP + Cheerio HTML parsing',
+      icon: '📡',
+      color: '#e67e22'
+    }
+  },
+  {
+    id: 'tnt',
+    name: 'TNT Sports',
+    description: 'TNT Sports fixtures and channels',
+    details: 'Scrapes TNT Sports (formerly BT Sport) website for their schedule. Provides TNT Sports channel information for Champions League and other competitions.',
+    url: 'https://www.tntsports.co.uk',
+    capabilities: { fixtures: true, tvByRegion: true, kickoff: true, league: false },
+    regions: ['UK'],
+    sports: ['football'],
+    invocation: { type: 'local', module: 'scrapers/tnt', method: 'fetchTNTFixtures' },
+    aggregator: { adapter: 'teamListing', tag: 'TNT', timeoutMs: 15000, dependsOn: [] },
+    enabledByDefault: true,
+    hasHealthCheck: true,
+    requiresVPS: false,
+    // Empty params fetches all fixtures (today's listings)
+    test: { method: 'fetchTNTFixtures', params: {} },
+    display: {
+      dataProvided: ['TNT Sports fixtures', 'TNT channel assignments'],
+      method: 'HTTP + Cheerio HTML parsing',
+      icon: '🏆',
+      color: '#1abc9c'
+    }
+  },
+  {
+    id: 'lfotv',
+    name: 'LiveFootballOnTV',
+    description: 'UK TV listings from LiveFootballOnTV',
+    details: 'Scrapes the LiveFootballOnTV website for UK TV listings. Aggregates information from multiple UK broadcasters in one place.',
+    url: 'https://www.live-footballontv.com',
+    capabilities: { fixtures: true, tvByRegion: true, kickoff: true, league: false },
+    regions: ['UK'],
+    sports: ['football'],
+    invocation: { type: 'local', module: 'scrapers/livefootballontv', method: 'fetchLFOTVFixtures' },
+    aggregator: { adapter: 'teamListing', tag: 'LFOTV', timeoutMs: 15000, dependsOn: [] },
+    enabledByDefault: true,
+    hasHealthCheck: true,
+    requiresVPS: false,
+    // Empty params fetches all fixtures (today's listings)
+    test: { method: 'fetchLFOTVFixtures', params: {} },
+    display: {
+      dataProvided: ['UK TV channels', 'Match schedule'],
+      method: 'HTTP + Cheerio HTML parsing',
+      icon: '📺',
+      color: '#f39c12'
+    }
+  },
+  {
+    id: 'wiki',
+    name: 'Wikipedia Broadcasters',
+    description: 'League broadcasting info from Wikipedia',
+    details: 'Parses Wikipedia articles for football leagues to extract broadcasting rights information. Provides league-wide broadcaster data by region/country.',
+    url: 'https://en.wikipedia.org',
+    capabilities: { fixtures: false, tvByRegion: true, kickoff: false, league: false },
+    regions: ['*'],
+    sports: ['*'],
+    invocation: { type: 'local', module: 'scrapers/wiki_broadcasters', method: 'fetchWikiBroadcasters' },
+    // Needs the league name
+    aggregator: { adapter: 'broadcasters', tag: 'WIKI', timeoutMs: 15000, dependsOn: ['tsdb', 'footballdata', 'bbc'] },
+    enabledByDefault: true,
+    hasHealthCheck: false,
+    requiresVPS: false,
+    test: { method: 'fetchWikiBroadcasters', params: { leagueName: 'Premier League' } },
+    display: {
+      dataProvided: ['League broadcasters by region', 'Broadcasting rights'],
+      method: 'HTTP + Cheerio HTML parsing',
+      icon: '📖',
+      color: '#9b59b6'
+    }
+  },
+
+  // ---------- VPS Scrapers ----------
+  // Puppeteer scrapers on the remote VPS (vps-scrapers/), called over HTTP.
+  // Off in the aggregator unless enabled in config "sources".
+
+  {
+    id: 'vps-bbc',
+    name: 'VPS BBC Sport',
+    description: 'BBC Sport scraper using Puppeteer (VPS)',
+    details: 'VPS-hosted BBC Sport scraper using Puppeteer for dynamic content. Provides fixture information and competition details.',
+    url: 'https://www.bbc.co.uk/sport/football',
+    capabilities: { fixtures: true, tvByRegion: true, kickoff: true, league: true },
+    regions: ['UK'],
+    sports: ['football'],
+    invocation: { type: 'vps', source: 'bbc', path: '/scrape/bbc', healthPath: '/health/bbc', payload: ['teamName'] },
+    aggregator: { adapter: 'remote', timeoutMs: 30000, dependsOn: [] },
+    enabledByDefault: false,
+    hasHealthCheck: true,
+    requiresVPS: true,
+    display: {
+      dataProvided: ['Fixture list', 'Competition names', 'Kickoff times'],
+      method: 'VPS Puppeteer scraper',
+      icon: '🖥️',
+      color: '#2ecc71'
+    }
+  },
+  {
+    id: 'vps-livefootballontv',
+    name: 'VPS LiveFootballOnTV',
+    description: 'LiveFootballOnTV scraper using Puppeteer (VPS)',
+    details: 'VPS-hosted LiveFootballOnTV scraper. Aggregates UK TV listings from multiple broadcasters.',
+    url: 'https://www.live-footballontv.com',
+    capabilities: { fixtures: true, tvByRegion: true, kickoff: true, league: false },
+    regions: ['UK'],
+    sports: ['football'],
+    invocation: { type: 'vps', source: 'livefootballontv', path: '/scrape/livefootballontv', healthPath: '/health/livefootballontv', payload: ['teamName'] },
+    aggregator: { adapter: 'remote', timeoutMs: 30000, dependsOn: [] },
+    enabledByDefault: false,
+    hasHealthCheck: true,
+    requiresVPS: true,
+    display: {
+      dataProvided: ['UK TV channels', 'Match schedule'],
+      method: 'VPS Puppeteer scraper',
+      icon: '🖥️',
+      color: '#f39c12'
+    }
+  },
+  {
+    id: 'vps-liveonsat',
+    name: 'VPS LiveOnSat',
+    description: 'LiveOnSat UK Football scraper using Puppeteer (VPS)',
+    details: 'VPS-hosted LiveOnSat UK Football scraper. Provides daily TV listings for UK/England football matches.',
+    url: 'https://liveonsat.com',
+    capabilities: { fixtures: true, tvByRegion: true, kickoff: true, league: true },
+    regions: ['UK'],
+    sports: ['football'],
+    invocation: { type: 'vps', source: 'liveonsat', path: '/scrape/liveonsat', healthPath: '/health/liveonsat', payload: [] },
+    aggregator: { adapter: 'remote', timeoutMs: 30000, dependsOn: [] },
+    enabledByDefault: false,
+    hasHealthCheck: true,
+    requiresVPS: true,
+    display: {
+      dataProvided: ['UK TV channels', 'Match schedule', 'Competition info'],
+      method: 'VPS Puppeteer scraper',
+      icon: '🖥️',
+      color: '#16a085'
+    }
+  },
+  {
+    id: 'vps-lstv',
+    name: 'VPS LiveSoccerTV',
+    description: 'LiveSoccerTV scraper using Puppeteer (VPS)',
+    details: 'VPS-hosted LiveSoccerTV scraper with Puppeteer. Provides worldwide TV channel data by region.',
+    url: 'https://www.livesoccertv.com',
+    capabilities: { fixtures: true, tvByRegion: true, kickoff: true, league: true },
+    regions: ['*'],
+    sports: ['football'],
+    invocation: { type: 'vps', source: 'lstv', path: '/scrape/lstv', healthPath: '/health/lstv', payload: [] },
+    // The aggregator reaches this endpoint through the lstv source
+    aggregator: null,
+    enabledByDefault: false,
+    hasHealthCheck: true,
+    requiresVPS: true,
+    // Fetch today's listings for UK region
+    test: { params: { region: 'UK' } },
+    display: {
+      dataProvided: ['TV channels by region', 'Match kickoff times', 'League information'],
+      method: 'VPS Puppeteer scraper',
+      icon: '🖥️',
+      color: '#e74c3c'
+    }
+  },
+  {
+    id: 'vps-oddalerts',
+    name: 'VPS OddAlerts',
+    description: 'OddAlerts TV Guide scraper using Puppeteer (VPS)',
+    details: 'VPS-hosted OddAlerts TV Guide scraper. Provides betting odds and TV channel information.',
+    url: 'https://oddalerts.com',
+    capabilities: { fixtures: true, tvByRegion: true, kickoff: true, league: true },
+    regions: ['UK'],
+    sports: ['football'],
+    invocation: { type: 'vps', source: 'oddalerts', path: '/scrape/oddalerts', healthPath: '/health/oddalerts', payload: ['date'] },
+    aggregator: { adapter: 'remote', timeoutMs: 30000, dependsOn: [] },
+    enabledByDefault: false,
+    hasHealthCheck: true,
+    requiresVPS: true,
+    display: {
+      dataProvided: ['TV channels', 'Betting odds', 'Match schedule'],
+      method: 'VPS Puppeteer scraper',
+      icon: '🖥️',
+      color: '#9b59b6'
+    }
+  },
+  {
+    id: 'vps-prosoccertv',
+    name: 'VPS ProSoccer.TV',
+    description: 'ProSoccer.TV scraper using Puppeteer (VPS)',
+    details: 'VPS-hosted ProSoccer.TV scraper. Provides international TV channel listings.',
+    url: 'https://prosoccer.tv',
+    capabilities: { fixtures: true, tvByRegion: true, kickoff: true, league: true },
+    regions: ['*'],
+    sports: ['football'],
+    invocation: { type: 'vps', source: 'prosoccertv', path: '/scrape/prosoccertv', healthPath: '/health/prosoccertv', payload: [] },
+    aggregator: { adapter: 'remote', timeoutMs: 30000, dependsOn: [] },
+    enabledByDefault: false,
+    hasHealthCheck: true,
+    requiresVPS: true,
+    display: {
+      dataProvided: ['International TV channels', 'League schedules'],
+      method: 'VPS Puppeteer scraper',
+      icon: '🖥️',
+      color: '#3498db'
+    }
+  },
+  {
+    id: 'vps-skysports',
+    name: 'VPS Sky Sports',
+    description: 'Sky Sports scraper using Puppeteer (VPS)',
+    details: 'VPS-hosted Sky Sports scraper using Puppeteer. Provides Sky Sports channel assignments.',
+    url: 'https://www.skysports.com',
+    capabilities: { fixtures: true, tvByRegion: true, kickoff: true, league: false },
+    regions: ['UK'],
+    sports: ['football'],
+    invocation: { type: 'vps', source: 'skysports', path: '/scrape/skysports', healthPath: '/health/skysports', payload: ['teamName'] },
+    aggregator: { adapter: 'remote', timeoutMs: 30000, dependsOn: [] },
+    enabledByDefault: false,
+    hasHealthCheck: true,
+    requiresVPS: true,
+    display: {
+      dataProvided: ['Sky Sports fixtures', 'Sky channel assignments'],
+      method: 'VPS Puppeteer scraper',
+      icon: '🖥️',
+      color: '#e67e22'
+    }
+  },
+  {
+    id: 'vps-sporteventz',
+    name: 'VPS SportEventz',
+    description: 'SportEventz scraper using Puppeteer (VPS)',
+    details: 'VPS-hosted SportEventz scraper. Provides sports event schedules and TV information.',
+    url: 'https://sporteventz.com',
+    capabilities: { fixtures: true, tvByRegion: true, kickoff: true, league: false },
+    regions: ['*'],
+    sports: ['football'],
+    invocation: { type: 'vps', source: 'sporteventz', path: '/scrape/sporteventz', healthPath: '/health/sporteventz', payload: ['date'] },
+    aggregator: { adapter: 'remote', timeoutMs: 30000, dependsOn: [] },
+    enabledByDefault: false,
+    hasHealthCheck: true,
+    requiresVPS: true,
+    display: {
+      dataProvided: ['Event schedules', 'TV channels'],
+      method: 'VPS Puppeteer scraper',
+      icon: '🖥️',
+      color: '#1abc9c'
+    }
+  },
+  {
+    id: 'vps-tnt',
+    name: 'VPS TNT Sports',
+    description: 'TNT Sports scraper using Puppeteer (VPS)',
+    details: 'VPS-hosted TNT Sports scraper. Provides TNT Sports channel information for Champions League and other competitions.',
+    url: 'https://www.tntsports.co.uk',
+    capabilities: { fixtures: true, tvByRegion: true, kickoff: true, league: false },
+    regions: ['UK'],
+    sports: ['football'],
+    invocation: { type: 'vps', source: 'tnt', path: '/scrape/tnt', healthPath: '/health/tnt', payload: ['teamName'] },
+    aggregator: { adapter: 'remote', timeoutMs: 30000, dependsOn: [] },
+    enabledByDefault: false,
+    hasHealthCheck: true,
+    requiresVPS: true,
+    display: {
+      dataProvided: ['TNT Sports fixtures', 'TNT channel assignments'],
+      method: 'VPS Puppeteer scraper',
+      icon: '🖥️',
+      color: '#1abc9c'
+    }
+  },
+  {
+    id: 'vps-wheresthematch',
+    name: 'VPS Where\'s The Match',
+    description: 'Where\'s The Match scraper using Puppeteer (VPS)',
+    details: 'VPS-hosted Where\'s The Match UK scraper. Provides comprehensive UK TV listings.',
+    url: 'https://www.wheresthematch.com',
+    capabilities: { fixtures: true, tvByRegion: true, kickoff: true, league: false },
+    regions: ['UK'],
+    sports: ['football'],
+    invocation: { type: 'vps', source: 'wheresthematch', path: '/scrape/wheresthematch', healthPath: '/health/wheresthematch', payload: ['date'] },
+    aggregator: { adapter: 'remote', timeoutMs: 30000, dependsOn: [] },
+    enabledByDefault: false,
+    hasHealthCheck: true,
+    requiresVPS: true,
+    display: {
+      dataProvided: ['UK TV channels', 'Match schedule', 'Streaming options'],
+      method: 'VPS Puppeteer scraper',
+      icon: '🖥️',
+      color: '#e74c3c'
+    }
+  },
+  {
+    id: 'vps-worldsoccertalk',
+    name: 'VPS World Soccer Talk',
+    description: 'World Soccer Talk scraper using Puppeteer (VPS)',
+    details: 'VPS-hosted World Soccer Talk scraper. Provides US and international TV schedules.',
+    url: 'https://worldsoccertalk.com',
+    capabilities: { fixtures: true, tvByRegion: true, kickoff: true, league: false },
+    regions: ['USA'],
+    sports: ['football'],
+    invocation: { type: 'vps', source: 'worldsoccertalk', path: '/scrape/worldsoccertalk', healthPath: '/health/worldsoccertalk', payload: [] },
+    aggregator: { adapter: 'remote', timeoutMs: 30000, dependsOn: [] },
+    enabledByDefault: false,
+    hasHealthCheck: true,
+    requiresVPS: true,
+    display: {
+      dataProvided: ['US TV channels', 'International schedules', 'Streaming platforms'],
+      method: 'VPS Puppeteer scraper',
+      icon: '🖥️',
+      color: '#3498db'
+    }
+  },
+  {
+    id: 'vps-sofascore',
+    name: 'VPS SofaScore',
+    description: 'SofaScore football fixtures + TV scraper (VPS)',
+    details: 'VPS-hosted SofaScore scraper (API-based). Provides fixtures with TV channels by country.',
+    url: 'https://www.sofascore.com',
+    capabilities: { fixtures: true, tvByRegion: true, kickoff: true, league: true },
+    regions: ['*'],
+    sports: ['football'],
+    invocation: { type: 'vps', source: 'sofascore', path: '/scrape/sofascore', healthPath: '/health/sofascore', payload: ['date', 'teamName'] },
+    aggregator: { adapter: 'remote', timeoutMs: 30000, dependsOn: [] },
+    enabledByDefault: false,
+    hasHealthCheck: true,
+    requiresVPS: true,
+    display: {
+      dataProvided: ['Fixtures', 'TV channels by country'],
+      method: 'VPS API scraper',
+      icon: '🖥️',
+      color: '#2980b9'
+    }
+  }
+];
+
+// ---------- Lookup ----------
+
+/**
+ * All registered sources, in aggregator merge order.
+ * @returns {Array<Object>}
+ */
+function listSources() {
+  return SOURCES;
+}
+
+/**
+ * Source by id.
+ * @param {string} id - Source id
+ * @returns {Object|null}
+ */
+function getSource(id) {
+  return SOURCES.find((s) => s.id === id) || null;
+}
+
+/**
+ * Does the source cover this sport?
+ * @param {Object} source - Registry entry
+ * @param {string} sport - Sport id (lib/sports.js)
+ * @returns {boolean}
+ */
+function supportsSport(source, sport) {
+  return source.sports.includes('*') || source.sports.includes(sport);
+}
+
+/**
+ * Load a local source's scraper module.
+ * @param {Object} source - Registry entry
+ * @returns {Object|null} Module, or null for VPS sources and missing modules
+ */
+function loadSourceModule(source) {
+  if (source.invocation.type !== 'local') return null;
+  try {
+    return require(path.join(__dirname, '..', source.invocation.module));
+  } catch (err) {
+    return null;
+  }
+}
+
+// ---------- Config ----------
+
+/**
+ * A source's effective settings from config.json "sources".
+ * @param {Object} source - Registry entry
+ * @param {Object} [settings={}] - cfg.sources
+ * @returns {{enabled: boolean, timeoutMs: number|null}}
+ */
+function getSourceSettings(source, settings = {}) {
+  const override = (settings && settings[source.id]) || {};
+  const timeoutMs = Number(override.timeoutMs);
+  return {
+    enabled: typeof override.enabled === 'boolean' ? override.enabled : source.enabledByDefault,
+    timeoutMs: timeoutMs > 0 ? timeoutMs : (source.aggregator ? source.aggregator.timeoutMs : null)
+  };
+}
+
+/**
+ * Sources getTvDataForFixture() should query, in merge order.
+ * @param {Object} [settings={}] - cfg.sources
+ * @param {string} [sport='football'] - Sport id
+ * @returns {Array<Object>} Registry entries with settings attached
+ */
+function getAggregatorSources(settings = {}, sport = 'football') {
+  return SOURCES
+    .filter((s) => s.aggregator && supportsSport(s, sport))
+    .map((s) => ({ ...s, settings: getSourceSettings(s, settings) }))
+    .filter((s) => s.settings.enabled);
+}
+
+module.exports = {
+  listSources,
+  getSource,
+  supportsSport,
+  loadSourceModule,
+  getSourceSettings,
+  getAggregatorSources,
+  SOURCES
+};
@@ -0,0 +1,229 @@
+// lib/sports.js
+// Sport registry and sport-specific summary parsers.
+/**
+ * Telegram Sports TV Bot – Sports
+ *
+ * The pipeline started out football-only ("Home v Away" summaries). Channels
+ * (and fixtures) can now carry a `sport`, which decides:
+ *  - how an ICS summary is parsed (teams, F1 sessions, fight cards)
+ *  - the poster layout (title / subtitle lines)
+ *  - how TheSportsDB is searched (by team or by event name) and which
+ *    football-only TV sources the aggregator skips
+ *
+ * Layouts:
+ *  - match:   two sides, "Home v Away" (football, rugby, cricket, darts)
+ *  - session: no home/away; a Grand Prix weekend split into sessions (F1)
+ *  - card:    a main event "A v B" plus optional undercard bouts (boxing)
+ *
+ * Unknown or missing sports are treated as football, so existing configs
+ * behave exactly as before.
+ */
+
+// ---------- Registry ----------
+
+/**
+ * Supported sports.
+ *  tsdbSport  - strSport value used by TheSportsDB
+ *  tsdbLookup - "team": search the home team's upcoming events;
+ *               "event": search events by name (players / Grands Prix aren't teams)
+ *  durationMinutes - typical length, used for calendar event end times
+ */
+const SPORTS = {
+  football: { id: 'football', label: 'Football', layout: 'match', tsdbSport: 'Soccer', tsdbLookup: 'team', durationMinutes: 120 },
+  rugby: { id: 'rugby', label: 'Rugby', layout: 'match', tsdbSport: 'Rugby', tsdbLookup: 'team', durationMinutes: 120 },
+  cricket: { id: 'cricket', label: 'Cricket', layout: 'match', tsdbSport: 'Cricket', tsdbLookup: 'team', durationMinutes: 420 },
+  f1: { id: 'f1', label: 'Formula 1', layout: 'session', tsdbSport: 'Motorsport', tsdbLookup: 'event', durationMinutes: 120 },
+  darts: { id: 'darts', label: 'Darts', layout: 'match', tsdbSport: 'Darts', tsdbLookup: 'event', durationMinutes: 240 },
+  boxing: { id: 'boxing', label: 'Boxing', layout: 'card', tsdbSport: 'Fighting', tsdbLookup: 'event', durationMinutes: 240 }
+};
+
+const DEFAULT_SPORT = 'football';
+
+// Alternative names accepted in config.json and ICS CATEGORIES
+const SPORT_ALIASES = {
+  soccer: 'football',
+  'rugby union': 'rugby',
+  'rugby league': 'rugby',
+  'formula 1': 'f1',
+  'formula one': 'f1',
+  formula1: 'f1',
+  'grand prix': 'f1',
+  fighting: 'boxing'
+};
+
+// F1 session names, most specific first
+const SESSION_PATTERNS = [
+  { pattern: /\bsprint\s+(?:qualifying|shootout)\b/i, name: 'Sprint Qualifying' },
+  { pattern: /\b(?:free\s+)?practice\s*([123])\b|\bfp\s*([123])\b/i, name: 'Practice' },
+  { pattern: /\bsprint(?:\s+race)?\b/i, name: 'Sprint' },
+  { pattern: /\bqualifying\b|\bquali\b/i, name: 'Qualifying' },
+  { pattern: /\brace\b/i, name: 'Race' }
+];
+
+// Matches a "v" / "vs" / "vs." separator between two sides
+const SIDES_SEPARATOR = /\s(?:v|vs\.?)\s/i;
+
+// ---------- Lookup ----------
+
+/**
+ * Normalize a sport name to a registry id.
+ * @param {string} value - e.g. "Soccer", "Formula 1", "rugby"
+ * @returns {string} Registry id (football if unknown or empty)
+ */
+function normalizeSport(value) {
+  const key = String(value || '').trim().toLowerCase();
+  if (SPORTS[key]) return key;
+  if (SPORT_ALIASES[key]) return SPORT_ALIASES[key];
+  return DEFAULT_SPORT;
+}
+
+/**
+ * Get a sport's registry entry.
+ * @param {string} value - Sport name or id
+ * @returns {Object} Registry entry
+ */
+function getSport(value) {
+  return SPORTS[normalizeSport(value)];
+}
+
+/**
+ * @param {string} value - Sport name or id
+ * @returns {boolean} Whether the sport is football (the default)
+ */
+function isFootball(value) {
+  return normalizeSport(value) === 'football';
+}
+
+/**
+ * Find a known sport in ICS CATEGORIES values.
+ * @param {string|string[]} categories - Event categories
+ * @returns {string|null} Registry id, or null if none is recognised
+ */
+function detectSportFromCategories(categories) {
+  const list = Array.isArray(categories) ? categories : [categories];
+  for (const category of list) {
+    const key = String(category || '').trim().toLowerCase();
+    if (SPORTS[key]) return key;
+    if (SPORT_ALIASES[key]) return SPORT_ALIASES[key];
+  }
+  return null;
+}
+
+/**
+ * Sport of a fixture: its own sport, else the channel's, else football.
+ * @param {Object} fixture - Fixture object
+ * @param {Object} [channel] - Channel config object
+ * @returns {string} Registry id
+ */
+function getFixtureSport(fixture, channel) {
+  return normalizeSport((fixture && fixture.sport) || (channel && channel.sport));
+}
+
+// ---------- Summary parsing ----------
+
+/**
+ * Split "Competition: rest" and trailing details off a non-football summary.
+ *
+ * "Six Nations: England v France"          -> competition "Six Nations"
+ * "England v India, 2nd Test, Day 3"        -> detail "2nd Test, Day 3"
+ * "Joshua v Dubois (Heavyweight)"           -> detail "Heavyweight"
+ * "Leinster v Munster - URC"                -> detail "URC"
+ *
+ * @param {string} summary - ICS summary
+ * @returns {{ text: string, competition: string, detail: string }}
+ */
+function splitEventSummary(summary) {
+  let text = String(summary || '').trim();
+  let competition = '';
+  let detail = '';
+
+  // "Competition: ..." prefix (only if the prefix isn't itself "A v B")
+  const prefix = text.match(/^([^:]{2,60}):\s+(.+)$/);
+  if (prefix && !SIDES_SEPARATOR.test(` ${prefix[1]} `)) {
+    competition = prefix[1].trim();
+    text = prefix[2].trim();
+  }
+
+  // Details only after the two sides, so hyphenated names are left alone
+  const separator = text.match(SIDES_SEPARATOR);
+  if (separator) {
+    const splitAt = separator.index + separator[0].length;
+    const head = text.slice(0, splitAt);
+    let tail = text.slice(splitAt);
+
+    const bracket = tail.match(/^(.*?)\s*\(([^)]+)\)\s*$/);
+    if (bracket && !/^(?:home|away|h|a)$/i.test(bracket[2].trim())) {
+      detail = bracket[2].trim();
+      tail = bracket[1];
+    } else {
+      const suffix = tail.match(/^(.+?)(?:,\s+|\s+[-–]\s+)(.+)$/);
+      if (suffix) {
+        detail = suffix[2].trim();
+        tail = suffix[1];
+      }
+    }
+    text = `${head}${tail}`.trim();
+  }
+
+  return { text, competition, detail };
+}
+
+/**
+ * Parse a session-based summary (F1).
+ *
+ * "Formula 1: British Grand Prix - Qualifying" -> { eventName: "British Grand Prix", session: "Qualifying" }
+ * "F1 Monaco GP FP2"                           -> { eventName: "Monaco GP", session: "Practice 2" }
+ *
+ * @param {string} summary - ICS summary
+ * @returns {{ eventName: string, session: string }}
+ */
+function parseSessionSummary(summary) {
+  let text = String(summary || '').trim()
+    .replace(/^(?:formula\s*(?:1|one)|f1)\b\s*[:\-–]?\s*/i, '');
+
+  let session = '';
+  for (const { pattern, name } of SESSION_PATTERNS) {
+    const match = text.match(pattern);
+    if (match) {
+      const number = match[1] || match[2];
+      session = number ? `${name} ${number}` : name;
+      text = (text.slice(0, match.index) + text.slice(match.index + match[0].length));
+      break;
+    }
+  }
+
+  const eventName = text
+    .replace(/\s*[:\-–,()]+\s*$/g, '')
+    .replace(/^\s*[:\-–,()]+\s*/g, '')
+    .replace(/\s{2,}/g, ' ')
+    .trim();
+
+  return { eventName, session };
+}
+
+/**
+ * Undercard bouts listed in a fight card's description, one per line.
+ * @param {string} description - ICS description
+ * @param {number} [limit=4] - Maximum bouts returned
+ * @returns {string[]} e.g. ["Smith v Jones"]
+ */
+function parseUndercard(description, limit = 4) {
+  return String(description || '')
+    .split(/\r?\n|\\n/)
+    .map((line) => line.replace(/^[\s\-•*]+/, '').trim())
+    .filter((line) => SIDES_SEPARATOR.test(` ${line} `))
+    .slice(0, limit);
+}
+
+module.exports = {
+  SPORTS,
+  DEFAULT_SPORT,
+  normalizeSport,
+  getSport,
+  isFootball,
+  detectSportFromCategories,
+  getFixtureSport,
+  splitEventSummary,
+  parseSessionSummary,
+  parseUndercard
+};
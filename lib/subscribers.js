@@ -0,0 +1,289 @@
+// lib/subscribers.js
+// Persistent store of Telegram chats following teams for private kickoff alerts.
+/**
+ * Telegram Sports TV Bot – Subscriber Store
+ *
+ * People DM the bot "/follow Leeds" to get a private reminder shortly before
+ * each Leeds kickoff. This module keeps who follows what, and which
+ * reminders have already been sent so a restart doesn't send them twice.
+ *
+ * Storage format (storage/subscribers.json):
+ * {
+ *   "subscribers": {
+ *     "123456789": {
+ *       chatId: 123456789,
+ *       name: string,               // @username or first name, for the admin page
+ *       teams: ['Leeds United'],    // as typed by the user
+ *       createdAt: ISO string,
+ *       updatedAt: ISO string
+ *     }
+ *   },
+ *   "reminders": {
+ *     "123456789|2024-12-15T15:00|leedsunited|hullcity": ISO string (sentAt)
+ *   }
+ * }
+ *
+ * Team matching uses normalizeTeamKey() from the posted ledger, and a follow
+ * matches a fixture when the followed name is contained in the home or away
+ * team ("Leeds" matches "Leeds United"). Sent reminders are pruned after
+ * REMINDER_RETENTION_DAYS.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { normalizeTeamKey, getFixtureKey } = require('./posted_ledger');
+
+// ---------- Configuration ----------
+
+const SUBSCRIBERS_PATH = process.env.SUBSCRIBERS_PATH ||
+  path.join(__dirname, '..', 'storage', 'subscribers.json');
+
+// Forget sent reminders this many days after they were sent
+const REMINDER_RETENTION_DAYS = 14;
+
+// Max teams one chat can follow
+const MAX_FOLLOWS_PER_CHAT = 20;
+
+// ---------- Persistence ----------
+
+/**
+ * Load the store from disk.
+ * @returns {{subscribers: Object, reminders: Object}} Store (empty on error)
+ */
+function loadStore() {
+  try {
+    if (fs.existsSync(SUBSCRIBERS_PATH)) {
+      const parsed = JSON.parse(fs.readFileSync(SUBSCRIBERS_PATH, 'utf8'));
+      if (parsed && typeof parsed === 'object') {
+        return {
+          subscribers: parsed.subscribers || {},
+          reminders: parsed.reminders || {}
+        };
+      }
+    }
+  } catch (err) {
+    // Ignore read/parse errors - treat as empty store
+  }
+  return { subscribers: {}, reminders: {} };
+}
+
+/**
+ * Save the store to disk (after pruning old reminders).
+ * @param {{subscribers: Object, reminders: Object}} store
+ */
+function saveStore(store) {
+  const cutoff = Date.now() - REMINDER_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  for (const key of Object.keys(store.reminders)) {
+    if (new Date(store.reminders[key]).getTime() < cutoff) {
+      delete store.reminders[key];
+    }
+  }
+
+  const dir = path.dirname(SUBSCRIBERS_PATH);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  fs.writeFileSync(SUBSCRIBERS_PATH, JSON.stringify(store, null, 2), 'utf8');
+}
+
+// ---------- Follows ----------
+
+/**
+ * Follow a team from a chat.
+ *
+ * @param {number|string} chatId - Telegram chat id
+ * @param {string} team - Team name as typed
+ * @param {Object} [info={}] - Extra details
+ * @param {string} [info.name] - Display name for the admin page
+ * @returns {{added: boolean, reason?: string, teams: string[]}}
+ */
+function followTeam(chatId, team, info = {}) {
+  const teamName = String(team || '').trim();
+  const teamKey = normalizeTeamKey(teamName);
+  if (!teamKey) {
+    return { added: false, reason: 'invalid', teams: listFollows(chatId) };
+  }
+
+  const store = loadStore();
+  const now = new Date().toISOString();
+  const sub = store.subscribers[chatId] || {
+    chatId,
+    name: '',
+    teams: [],
+    createdAt: now
+  };
+  if (info.name) sub.name = info.name;
+
+  if (sub.teams.some(t => normalizeTeamKey(t) === teamKey)) {
+    return { added: false, reason: 'exists', teams: sub.teams };
+  }
+  if (sub.teams.length >= MAX_FOLLOWS_PER_CHAT) {
+    return { added: false, reason: 'limit', teams: sub.teams };
+  }
+
+  sub.teams.push(teamName);
+  sub.updatedAt = now;
+  store.subscribers[chatId] = sub;
+  saveStore(store);
+  return { added: true, teams: sub.teams };
+}
+
+/**
+ * Stop following a team. Removes the subscriber once no teams are left.
+ *
+ * @param {number|string} chatId - Telegram chat id
+ * @param {string} team - Team name as typed
+ * @returns {{removed: boolean, teams: string[]}}
+ */
+function unfollowTeam(chatId, team) {
+  const teamKey = normalizeTeamKey(team);
+  const store = loadStore();
+  const sub = store.subscribers[chatId];
+  if (!sub || !teamKey) {
+    return { removed: false, teams: sub ? sub.teams : [] };
+  }
+
+  const remaining = sub.teams.filter(t => normalizeTeamKey(t) !== teamKey);
+  if (remaining.length === sub.teams.length) {
+    return { removed: false, teams: sub.teams };
+  }
+
+  if (remaining.length === 0) {
+    delete store.subscribers[chatId];
+  } else {
+    sub.teams = remaining;
+    sub.updatedAt = new Date().toISOString();
+  }
+  saveStore(store);
+  return { removed: true, teams: remaining };
+}
+
+/**
+ * Teams a chat follows.
+ * @param {number|string} chatId - Telegram chat id
+ * @returns {string[]}
+ */
+function listFollows(chatId) {
+  const sub = loadStore().subscribers[chatId];
+  return sub ? sub.teams.slice() : [];
+}
+
+/**
+ * Remove a chat and all its follows (e.g. the user blocked the bot).
+ * @param {number|string} chatId - Telegram chat id
+ * @returns {boolean} true if the chat was subscribed
+ */
+function removeSubscriber(chatId) {
+  const store = loadStore();
+  if (!store.subscribers[chatId]) return false;
+  delete store.subscribers[chatId];
+  saveStore(store);
+  return true;
+}
+
+/**
+ * All subscribers.
+ * @returns {Array<Object>} Subscriber records
+ */
+function listSubscribers() {
+  return Object.values(loadStore().subscribers);
+}
+
+/**
+ * Followers grouped by team, for the admin page.
+ * Follows that normalize to the same key are grouped together.
+ *
+ * @returns {Array<{team: string, key: string, followers: Array<{chatId, name}>}>}
+ *   Sorted by follower count, then team name
+ */
+function listFollowersByTeam() {
+  const byKey = new Map();
+  for (const sub of listSubscribers()) {
+    for (const team of sub.teams) {
+      const key = normalizeTeamKey(team);
+      if (!byKey.has(key)) {
+        byKey.set(key, { team, key, followers: [] });
+      }
+      byKey.get(key).followers.push({ chatId: sub.chatId, name: sub.name || '' });
+    }
+  }
+  return Array.from(byKey.values()).sort((a, b) =>
+    b.followers.length - a.followers.length || a.team.localeCompare(b.team)
+  );
+}
+
+/**
+ * Subscribers following either team in a fixture.
+ *
+ * @param {Object} fixture - Fixture with homeTeam/awayTeam
+ * @returns {Array<{chatId, name, teams: string[]}>} teams = the matching follows
+ */
+function getFollowersForFixture(fixture) {
+  const sides = [fixture.homeTeam, fixture.awayTeam]
+    .map(normalizeTeamKey)
+    .filter(Boolean);
+  if (sides.length === 0) return [];
+
+  const result = [];
+  for (const sub of listSubscribers()) {
+    const teams = sub.teams.filter(t => {
+      const key = normalizeTeamKey(t);
+      return key && sides.some(side => side.includes(key));
+    });
+    if (teams.length > 0) {
+      result.push({ chatId: sub.chatId, name: sub.name || '', teams });
+    }
+  }
+  return result;
+}
+
+// ---------- Reminders ----------
+
+function reminderKey(chatId, fixture) {
+  return `${chatId}|${getFixtureKey(fixture)}`;
+}
+
+/**
+ * Whether a chat has already been reminded about a fixture.
+ * @param {number|string} chatId - Telegram chat id
+ * @param {Object} fixture - Fixture object
+ * @returns {boolean}
+ */
+function wasReminded(chatId, fixture) {
+  return Boolean(loadStore().reminders[reminderKey(chatId, fixture)]);
+}
+
+/**
+ * Record that a chat was reminded about a fixture.
+ * @param {number|string} chatId - Telegram chat id
+ * @param {Object} fixture - Fixture object
+ */
+function markReminded(chatId, fixture) {
+  const store = loadStore();
+  store.reminders[reminderKey(chatId, fixture)] = new Date().toISOString();
+  saveStore(store);
+}
+
+/**
+ * Number of reminders sent within the retention window.
+ * @returns {number}
+ */
+function countReminders() {
+  return Object.keys(loadStore().reminders).length;
+}
+
+module.exports = {
+  followTeam,
+  unfollowTeam,
+  listFollows,
+  removeSubscriber,
+  listSubscribers,
+  listFollowersByTeam,
+  getFollowersForFixture,
+  wasReminded,
+  markReminded,
+  countReminders,
+  SUBSCRIBERS_PATH,
+  REMINDER_RETENTION_DAYS,
+  MAX_FOLLOWS_PER_CHAT
+};
@@ -0,0 +1,687 @@
+// lib/team_registry.js
+// Team identity registry: canonical names, aliases and per-provider IDs.
+/**
+ * Telegram Sports TV Bot – Team Registry
+ *
+ * Sources spell the same club many ways ("Man Utd", "Man United",
+ * "Manchester United FC"). Every alias here maps to one canonical team, so
+ * the scrapers, the aggregator and the fixture merger all agree on which
+ * names are the same club - and that two known clubs ("Manchester City",
+ * "Manchester United") are different ones.
+ *
+ * Each team also carries its IDs at the providers that key on something
+ * other than the name:
+ *   tsdb         - TheSportsDB team id (learned from searches)
+ *   footballdata - football-data.org team id
+ *   bbc          - BBC Sport team slug
+ *   thefishy     - TheFishy label (the name in the ICS feed)
+ *   lstv         - LiveSoccerTV spelling
+ *
+ * The built-in catalogue (TEAMS) is extended by import_uk_teams.js (seedTeams)
+ * and from /admin/team-names. Admin entries with the same name as a built-in
+ * team add aliases to it and may override its other fields.
+ *
+ * Names no team matches are recorded (with a suggested team) so they can be
+ * reviewed on the admin page. Names of two unknown teams are still compared
+ * with the fuzzy rules the scrapers used before.
+ *
+ * Storage format (storage/team_registry.json):
+ * {
+ *   "teams": [
+ *     { name, shortName, country, league, aliases: string[], ids: { <provider>: string } }
+ *   ],
+ *   "unmatched": {
+ *     "<key>": { raw, count, sources: string[], suggestion: string|null, firstSeen, lastSeen }
+ *   }
+ * }
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// ---------- Configuration ----------
+
+const STORE_PATH = process.env.TEAM_REGISTRY_PATH ||
+  path.join(__dirname, '..', 'storage', 'team_registry.json');
+
+// Oldest unmatched names are dropped past this many
+const MAX_UNMATCHED = 500;
+
+// Suggestions for unmatched names need at least this similarity (0-100)
+const SUGGESTION_THRESHOLD = 50;
+
+// Club-type words that don't make a different team
+const CLUB_WORDS = /\b(?:fc|afc|cf|sc|ac|as|ss|rc|rfc)\b/g;
+
+const PROVIDERS = [
+  { id: 'tsdb', label: 'TheSportsDB ID' },
+  { id: 'footballdata', label: 'football-data.org ID' },
+  { id: 'bbc', label: 'BBC slug' },
+  { id: 'thefishy', label: 'TheFishy label' },
+  { id: 'lstv', label: 'LiveSoccerTV name' }
+];
+
+const PROVIDER_IDS = PROVIDERS.map((p) => p.id);
+
+// Provider IDs that are spellings of the team name (and so resolve like aliases)
+const NAME_PROVIDERS = ['thefishy', 'lstv'];
+
+// ---------- Catalogue ----------
+
+const PL = 'Premier League';
+const EFL = 'Championship';
+const SPL = 'Scottish Premiership';
+
+const TEAMS = [
+  // Premier League
+  { name: 'Arsenal', shortName: 'Arsenal', country: 'England', league: PL, aliases: ['Arsenal FC'], ids: { footballdata: '57', bbc: 'arsenal' } },
+  { name: 'Aston Villa', shortName: 'Villa', country: 'England', league: PL, aliases: [], ids: { footballdata: '58', bbc: 'aston-villa' } },
+  { name: 'Bournemouth', shortName: 'Bournemouth', country: 'England', league: PL, aliases: ['AFC Bournemouth'], ids: { footballdata: '1044', bbc: 'bournemouth' } },
+  { name: 'Brentford', shortName: 'Brentford', country: 'England', league: PL, aliases: [], ids: { footballdata: '402', bbc: 'brentford' } },
+  { name: 'Brighton & Hove Albion', shortName: 'Brighton', country: 'England', league: PL, aliases: ['Brighton', 'Brighton & Hove'], ids: { footballdata: '397', bbc: 'brighton-and-hove-albion' } },
+  { name: 'Burnley', shortName: 'Burnley', country: 'England', league: PL, aliases: [], ids: { footballdata: '328', bbc: 'burnley' } },
+  { name: 'Chelsea', shortName: 'Chelsea', country: 'England', league: PL, aliases: [], ids: { footballdata: '61', bbc: 'chelsea' } },
+  { name: 'Crystal Palace', shortName: 'Palace', country: 'England', league: PL, aliases: [], ids: { footballdata: '354', bbc: 'crystal-palace' } },
+  { name: 'Everton', shortName: 'Everton', country: 'England', league: PL, aliases: [], ids: { footballdata: '62', bbc: 'everton' } },
+  { name: 'Fulham', shortName: 'Fulham', country: 'England', league: PL, aliases: [], ids: { footballdata: '63', bbc: 'fulham' } },
+  { name: 'Leeds United', shortName: 'Leeds', country: 'England', league: PL, aliases: ['Leeds'], ids: { footballdata: '341', bbc: 'leeds-united' } },
+  { name: 'Liverpool', shortName: 'Liverpool', country: 'England', league: PL, aliases: [], ids: { footballdata: '64', bbc: 'liverpool' } },
+  { name: 'Manchester City', shortName: 'Man City', country: 'England', league: PL, aliases: ['Man City', 'Manchester C'], ids: { footballdata: '65', bbc: 'manchester-city' } },
+  { name: 'Manchester United', shortName: 'Man Utd', country: 'England', league: PL, aliases: ['Man Utd', 'Man United', 'Man U', 'MUFC'], ids: { footballdata: '66', bbc: 'manchester-united' } },
+  { name: 'Newcastle United', shortName: 'Newcastle', country: 'England', league: PL, aliases: ['Newcastle'], ids: { footballdata: '67', bbc: 'newcastle-united' } },
+  { name: 'Nottingham Forest', shortName: "Nott'm Forest", country: 'England', league: PL, aliases: ['Notts Forest', 'Nottm Forest'], ids: { footballdata: '351', bbc: 'nottingham-forest' } },
+  { name: 'Sunderland', shortName: 'Sunderland', country: 'England', league: PL, aliases: [], ids: { footballdata: '71', bbc: 'sunderland' } },
+  { name: 'Tottenham Hotspur', shortName: 'Spurs', country: 'England', league: PL, aliases: ['Tottenham'], ids: { footballdata: '73', bbc: 'tottenham-hotspur' } },
+  { name: 'West Ham United', shortName: 'West Ham', country: 'England', league: PL, aliases: ['West Ham'], ids: { footballdata: '563', bbc: 'west-ham-united' } },
+  { name: 'Wolverhampton Wanderers', shortName: 'Wolves', country: 'England', league: PL, aliases: ['Wolverhampton'], ids: { footballdata: '76', bbc: 'wolverhampton-wanderers' } },
+
+  // Championship
+  { name: 'Birmingham City', shortName: 'Birmingham', country: 'England', league: EFL, aliases: ['Birmingham'], ids: { bbc: 'birmingham-city' } },
+  { name: 'Blackburn Rovers', shortName: 'Blackburn', country: 'England', league: EFL, aliases: ['Blackburn'], ids: { bbc: 'blackburn-rovers' } },
+  { name: 'Bristol City', shortName: 'Bristol City', country: 'England', league: EFL, aliases: [], ids: { bbc: 'bristol-city' } },
+  { name: 'Cardiff City', shortName: 'Cardiff', country: 'Wales', league: EFL, aliases: ['Cardiff'], ids: { bbc: 'cardiff-city' } },
+  { name: 'Coventry City', shortName: 'Coventry', country: 'England', league: EFL, aliases: ['Coventry'], ids: { bbc: 'coventry-city' } },
+  { name: 'Derby County', shortName: 'Derby', country: 'England', league: EFL, aliases: ['Derby'], ids: { bbc: 'derby-county' } },
+  { name: 'Hull City', shortName: 'Hull', country: 'England', league: EFL, aliases: ['Hull'], ids: { bbc: 'hull-city' } },
+  { name: 'Ipswich Town', shortName: 'Ipswich', country: 'England', league: EFL, aliases: ['Ipswich'], ids: { footballdata: '349', bbc: 'ipswich-town' } },
+  { name: 'Leicester City', shortName: 'Leicester', country: 'England', league: EFL, aliases: ['Leicester'], ids: { footballdata: '338', bbc: 'leicester-city' } },
+  { name: 'Luton Town', shortName: 'Luton', country: 'England', league: EFL, aliases: ['Luton'], ids: { bbc: 'luton-town' } },
+  { name: 'Middlesbrough', shortName: 'Boro', country: 'England', league: EFL, aliases: [], ids: { bbc: 'middlesbrough' } },
+  { name: 'Millwall', shortName: 'Millwall', country: 'England', league: EFL, aliases: [], ids: { bbc: 'millwall' } },
+  { name: 'Norwich City', shortName: 'Norwich', country: 'England', league: EFL, aliases: ['Norwich'], ids: { bbc: 'norwich-city' } },
+  { name: 'Plymouth Argyle', shortName: 'Plymouth', country: 'England', league: EFL, aliases: ['Plymouth'], ids: { bbc: 'plymouth-argyle' } },
+  { name: 'Portsmouth', shortName: 'Pompey', country: 'England', league: EFL, aliases: [], ids: { bbc: 'portsmouth' } },
+  { name: 'Preston North End', shortName: 'Preston', country: 'England', league: EFL, aliases: ['Preston', 'PNE'], ids: { bbc: 'preston-north-end' } },
+  { name: 'Queens Park Rangers', shortName: 'QPR', country: 'England', league: EFL, aliases: [], ids: { bbc: 'queens-park-rangers' } },
+  { name: 'Sheffield United', shortName: 'Sheff Utd', country: 'England', league: EFL, aliases: [], ids: { bbc: 'sheffield-united' } },
+  { name: 'Sheffield Wednesday', shortName: 'Sheff Wed', country: 'England', league: EFL, aliases: [], ids: { bbc: 'sheffield-wednesday' } },
+  { name: 'Southampton', shortName: 'Southampton', country: 'England', league: EFL, aliases: [], ids: { footballdata: '340', bbc: 'southampton' } },
+  { name: 'Stoke City', shortName: 'Stoke', country: 'England', league: EFL, aliases: ['Stoke'], ids: { bbc: 'stoke-city' } },
+  { name: 'Swansea City', shortName: 'Swansea', country: 'Wales', league: EFL, aliases: ['Swansea'], ids: { bbc: 'swansea-city' } },
+  { name: 'Watford', shortName: 'Watford', country: 'England', league: EFL, aliases: [], ids: { bbc: 'watford' } },
+  { name: 'West Bromwich Albion', shortName: 'West Brom', country: 'England', league: EFL, aliases: ['WBA'], ids: { bbc: 'west-bromwich-albion' } },
+
+  // Scottish Premiership
+  { name: 'Aberdeen', shortName: 'Aberdeen', country: 'Scotland', league: SPL, aliases: [], ids: { bbc: 'aberdeen' } },
+  { name: 'Celtic', shortName: 'Celtic', country: 'Scotland', league: SPL, aliases: [], ids: { bbc: 'celtic' } },
+  { name: 'Heart of Midlothian', shortName: 'Hearts', country: 'Scotland', league: SPL, aliases: [], ids: { bbc: 'heart-of-midlothian' } },
+  { name: 'Hibernian', shortName: 'Hibs', country: 'Scotland', league: SPL, aliases: [], ids: { bbc: 'hibernian' } },
+  { name: 'Rangers', shortName: 'Rangers', country: 'Scotland', league: SPL, aliases: [], ids: { bbc: 'rangers' } }
+];
+
+// ---------- Helpers ----------
+
+/**
+ * Matching key for a team name: lowercase, no accents or punctuation,
+ * "&" spelled "and", "Utd" spelled "United", club-type words (FC, AFC, ...)
+ * dropped. Words like City, United and Town are kept - they tell teams apart.
+ * @param {string} name - Raw team name
+ * @returns {string} Key ('' for blank names)
+ */
+function normalizeTeamKey(name) {
+  return String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[.'’]/g, '')
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .replace(CLUB_WORDS, ' ')
+    .replace(/\butd\b/g, 'united')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Similarity of two names by spelling alone (0-100): 100 for the same key,
+ * up to 90 when one contains the other, up to 80 for shared words.
+ * @param {string} name1 - First name
+ * @param {string} name2 - Second name
+ * @returns {number}
+ */
+function nameSimilarity(name1, name2) {
+  const norm1 = normalizeTeamKey(name1);
+  const norm2 = normalizeTeamKey(name2);
+
+  if (!norm1 || !norm2) return 0;
+  if (norm1 === norm2) return 100;
+
+  if (norm1.includes(norm2) || norm2.includes(norm1)) {
+    const longer = Math.max(norm1.length, norm2.length);
+    const shorter = Math.min(norm1.length, norm2.length);
+    return Math.round((shorter / longer) * 90);
+  }
+
+  const words1 = norm1.split(' ').filter(w => w.length > 2);
+  const words2 = norm2.split(' ').filter(w => w.length > 2);
+  if (words1.length === 0 || words2.length === 0) return 0;
+
+  let matchingWords = 0;
+  for (const w1 of words1) {
+    if (words2.some(w2 => w1 === w2 || w1.includes(w2) || w2.includes(w1))) {
+      matchingWords++;
+    }
+  }
+  const totalWords = Math.max(words1.length, words2.length);
+  return Math.round((matchingWords / totalWords) * 80);
+}
+
+/**
+ * Do two names loosely match by spelling alone? Same key, one containing
+ * the other, or a shared word longer than three letters.
+ * @param {string} name1 - First name
+ * @param {string} name2 - Second name
+ * @param {Object} [options={}] - Options
+ * @param {boolean} [options.wholeWords=false] - Containment must be of whole words
+ *   (so a short name like "Villa" doesn't match "Villarreal")
+ * @returns {boolean}
+ */
+function namesMatch(name1, name2, options = {}) {
+  const norm1 = normalizeTeamKey(name1);
+  const norm2 = normalizeTeamKey(name2);
+
+  if (!norm1 || !norm2) return false;
+  if (norm1 === norm2) return true;
+
+  const [padded1, padded2] = options.wholeWords ? [` ${norm1} `, ` ${norm2} `] : [norm1, norm2];
+  if (padded1.includes(padded2) || padded2.includes(padded1)) return true;
+
+  const words2 = norm2.split(' ').filter(w => w.length > 3);
+  return norm1.split(' ').filter(w => w.length > 3).some(w => words2.includes(w));
+}
+
+function cleanIds(ids) {
+  const result = {};
+  for (const provider of PROVIDER_IDS) {
+    const value = ids && ids[provider] != null ? String(ids[provider]).trim() : '';
+    if (value) result[provider] = value;
+  }
+  return result;
+}
+
+// ---------- Persistence ----------
+
+/**
+ * Load the admin additions and unmatched names from disk.
+ * @returns {{teams: Array, unmatched: Object}} Store (empty on error)
+ */
+function loadStore() {
+  try {
+    if (fs.existsSync(STORE_PATH)) {
+      const parsed = JSON.parse(fs.readFileSync(STORE_PATH, 'utf8'));
+      if (parsed && typeof parsed === 'object') {
+        return {
+          teams: Array.isArray(parsed.teams) ? parsed.teams : [],
+          unmatched: parsed.unmatched || {}
+        };
+      }
+    }
+  } catch (err) {
+    // Ignore read/parse errors - treat as no additions
+  }
+  return { teams: [], unmatched: {} };
+}
+
+/**
+ * Save the store to disk (keeping the MAX_UNMATCHED most recently seen names).
+ * @param {Object} store - Store object
+ */
+function saveStore(store) {
+  const keys = Object.keys(store.unmatched);
+  if (keys.length > MAX_UNMATCHED) {
+    keys
+      .sort((a, b) => new Date(store.unmatched[b].lastSeen) - new Date(store.unmatched[a].lastSeen))
+      .slice(MAX_UNMATCHED)
+      .forEach((key) => delete store.unmatched[key]);
+  }
+
+  const dir = path.dirname(STORE_PATH);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  fs.writeFileSync(STORE_PATH, JSON.stringify(store, null, 2), 'utf8');
+  cachedIndex = null;
+}
+
+// ---------- Catalogue ----------
+
+/**
+ * Built-in teams merged with the admin's additions.
+ * @param {Object} [store] - Store (loaded if omitted)
+ * @returns {Array<{name, shortName, country, league, aliases, ids, builtIn, custom}>}
+ */
+function listTeams(store = loadStore()) {
+  const byName = new Map();
+  for (const team of TEAMS) {
+    byName.set(normalizeTeamKey(team.name), { ...team, aliases: [...team.aliases], ids: { ...team.ids }, builtIn: true, custom: false });
+  }
+  for (const team of store.teams) {
+    const key = normalizeTeamKey(team.name);
+    const existing = byName.get(key);
+    if (existing) {
+      existing.aliases.push(...(team.aliases || []));
+      if (team.shortName) existing.shortName = team.shortName;
+      if (team.country) existing.country = team.country;
+      if (team.league) existing.league = team.league;
+      Object.assign(existing.ids, cleanIds(team.ids));
+      existing.custom = true;
+    } else {
+      byName.set(key, {
+        name: team.name,
+        shortName: team.shortName || null,
+        country: team.country || null,
+        league: team.league || null,
+        aliases: [...(team.aliases || [])],
+        ids: cleanIds(team.ids),
+        builtIn: false,
+        custom: true
+      });
+    }
+  }
+  return Array.from(byName.values()).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Alias key → team lookup table.
+ * @param {Object} store - Store
+ * @returns {Map<string, Object>}
+ */
+function buildIndex(store) {
+  const index = new Map();
+  for (const team of listTeams(store)) {
+    const names = [team.name, team.shortName, ...team.aliases, ...NAME_PROVIDERS.map((p) => team.ids[p])];
+    for (const name of names) {
+      const key = normalizeTeamKey(name);
+      // The first team to claim an alias keeps it
+      if (key && !index.has(key)) index.set(key, team);
+    }
+  }
+  return index;
+}
+
+// Matchers run once per scraped row, so the index is rebuilt only when the
+// store file changes
+let cachedIndex = null;
+let cachedMtime = null;
+
+function getIndex() {
+  let mtime = 0;
+  try {
+    mtime = fs.statSync(STORE_PATH).mtimeMs;
+  } catch (err) {
+    // No store yet - built-in catalogue only
+  }
+  if (!cachedIndex || cachedMtime !== mtime) {
+    cachedIndex = buildIndex(loadStore());
+    cachedMtime = mtime;
+  }
+  return cachedIndex;
+}
+
+// ---------- Lookup ----------
+
+/**
+ * Registry team for a raw name.
+ * @param {string} name - Raw team name
+ * @returns {{name, shortName, country, league, aliases, ids}|null} null when unknown
+ */
+function resolveTeam(name) {
+  const team = getIndex().get(normalizeTeamKey(name));
+  return team
+    ? { name: team.name, shortName: team.shortName, country: team.country, league: team.league, aliases: [...team.aliases], ids: { ...team.ids } }
+    : null;
+}
+
+/**
+ * Canonical name for a raw team name (the trimmed raw name when unknown).
+ * @param {string} name - Raw team name
+ * @returns {string}
+ */
+function getCanonicalName(name) {
+  const team = resolveTeam(name);
+  return team ? team.name : String(name || '').trim();
+}
+
+/**
+ * Stable key for a team: its canonical name's key when known, otherwise
+ * the raw name's key. Use it to de-duplicate fixtures across sources.
+ * @param {string} name - Raw team name
+ * @returns {string}
+ */
+function getTeamKey(name) {
+  return normalizeTeamKey(getCanonicalName(name));
+}
+
+/**
+ * A team's ID at a provider.
+ * @param {string} name - Raw team name
+ * @param {string} provider - One of PROVIDERS (tsdb, footballdata, bbc, thefishy, lstv)
+ * @returns {string|null}
+ */
+function getProviderId(name, provider) {
+  const team = resolveTeam(name);
+  return (team && team.ids[provider]) || null;
+}
+
+function namesOf(team) {
+  return [team.name, team.shortName, ...team.aliases].filter(Boolean);
+}
+
+/**
+ * Are two names the same team?
+ *
+ * Two known teams match only if they are the same registry team. A known
+ * and an unknown name match if the unknown one loosely matches any of the
+ * known team's names. Two unknown names fall back to namesMatch().
+ *
+ * @param {string} name1 - First team name
+ * @param {string} name2 - Second team name
+ * @returns {boolean}
+ */
+function teamsMatch(name1, name2) {
+  if (!normalizeTeamKey(name1) || !normalizeTeamKey(name2)) return false;
+
+  const team1 = getIndex().get(normalizeTeamKey(name1));
+  const team2 = getIndex().get(normalizeTeamKey(name2));
+  if (team1 && team2) return team1 === team2;
+
+  const known = team1 || team2;
+  if (known) {
+    const other = team1 ? name2 : name1;
+    return namesOf(known).some((alias) => namesMatch(alias, other, { wholeWords: true }));
+  }
+  return namesMatch(name1, name2);
+}
+
+/**
+ * How alike are two team names (0-100)? 100 for the same registry team and
+ * 0 for two different ones; otherwise nameSimilarity() against the known
+ * team's best-matching name.
+ * @param {string} name1 - First team name
+ * @param {string} name2 - Second team name
+ * @returns {number}
+ */
+function teamNameSimilarity(name1, name2) {
+  const team1 = getIndex().get(normalizeTeamKey(name1));
+  const team2 = getIndex().get(normalizeTeamKey(name2));
+  if (team1 && team2) return team1 === team2 ? 100 : 0;
+
+  const known = team1 || team2;
+  if (known) {
+    const other = team1 ? name2 : name1;
+    return Math.max(...namesOf(known).map((alias) => nameSimilarity(alias, other)));
+  }
+  return nameSimilarity(name1, name2);
+}
+
+/**
+ * Best-guess registry team for an unknown name: teams one of whose names it
+ * contains (or shares a word with) first, then the most similar spelling.
+ * @param {string} name - Raw team name
+ * @returns {string|null} Canonical name, or null if nothing is close
+ */
+function suggestTeam(name) {
+  let best = null;
+  let bestScore = SUGGESTION_THRESHOLD - 1;
+  for (const team of new Set(getIndex().values())) {
+    const score = Math.max(...namesOf(team).map((alias) =>
+      (namesMatch(alias, name, { wholeWords: true }) ? 100 : 0) + nameSimilarity(alias, name)));
+    if (score > bestScore) {
+      best = team.name;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+// ---------- Learning ----------
+
+/**
+ * Record names no team matches, for review on the admin page.
+ *
+ * @param {Array<{name: string, source?: string, suggestion?: string}>} entries - Names as seen
+ *   (suggestion: a name the caller believes is the same team)
+ * @returns {number} How many unknown names were recorded
+ */
+function learnTeamNames(entries) {
+  const now = new Date().toISOString();
+  const store = loadStore();
+  let recorded = 0;
+
+  for (const entry of entries || []) {
+    const raw = String(entry.name || '').trim();
+    const key = normalizeTeamKey(raw);
+    if (!key || getIndex().has(key)) continue;
+
+    const suggested = entry.suggestion ? resolveTeam(entry.suggestion) : null;
+    const record = store.unmatched[key] || { raw, count: 0, sources: [], suggestion: null, firstSeen: now, lastSeen: now };
+    record.count++;
+    record.lastSeen = now;
+    record.suggestion = suggested ? suggested.name : (record.suggestion || suggestTeam(raw));
+    if (entry.source && !record.sources.includes(entry.source)) record.sources.push(entry.source);
+    store.unmatched[key] = record;
+    recorded++;
+  }
+
+  if (recorded > 0) saveStore(store);
+  return recorded;
+}
+
+function findOrAddStoreTeam(store, name) {
+  const key = normalizeTeamKey(name);
+  let entry = store.teams.find((t) => normalizeTeamKey(t.name) === key);
+  if (!entry) {
+    entry = { name, shortName: null, country: null, league: null, aliases: [], ids: {} };
+    store.teams.push(entry);
+  }
+  entry.aliases = entry.aliases || [];
+  entry.ids = entry.ids || {};
+  return entry;
+}
+
+/**
+ * Remember a known team's ID at a provider, if it has none yet (e.g. the
+ * TheSportsDB id found by a name search).
+ * @param {string} name - Raw team name
+ * @param {string} provider - Provider id
+ * @param {string|number} id - Provider's id for the team
+ * @returns {boolean} true if it was stored
+ */
+function learnProviderId(name, provider, id) {
+  const value = id != null ? String(id).trim() : '';
+  const team = resolveTeam(name);
+  if (!team || !value || !PROVIDER_IDS.includes(provider) || team.ids[provider]) return false;
+
+  const store = loadStore();
+  findOrAddStoreTeam(store, team.name).ids[provider] = value;
+  saveStore(store);
+  return true;
+}
+
+/**
+ * Add teams from a TheFishy import. Known teams get their TheFishy label
+ * (and league/country if missing); unknown ones are added as new teams.
+ * @param {Array<{label: string, country?: string, league?: string}>} teams - import_uk_teams.js entries
+ * @returns {{added: number, updated: number}}
+ */
+function seedTeams(teams) {
+  const store = loadStore();
+  const index = buildIndex(store);
+  let added = 0;
+  let updated = 0;
+
+  for (const t of teams || []) {
+    const label = String(t.label || '').trim();
+    const key = normalizeTeamKey(label);
+    if (!key) continue;
+
+    const known = index.get(key);
+    if (!known) {
+      const entry = { name: label, shortName: null, country: t.country || null, league: t.league || null, aliases: [], ids: { thefishy: label } };
+      store.teams.push(entry);
+      index.set(key, { ...entry, ids: { ...entry.ids } });
+      added++;
+      continue;
+    }
+
+    // Only fill gaps - the catalogue and admin edits win
+    const fill = {};
+    if (!known.ids.thefishy) fill.thefishy = label;
+    if (!known.league && t.league) fill.league = t.league;
+    if (!known.country && t.country) fill.country = t.country;
+    if (Object.keys(fill).length === 0) continue;
+
+    const entry = findOrAddStoreTeam(store, known.name);
+    if (fill.thefishy) entry.ids.thefishy = known.ids.thefishy = fill.thefishy;
+    if (fill.league) entry.league = known.league = fill.league;
+    if (fill.country) entry.country = known.country = fill.country;
+    updated++;
+  }
+
+  if (added || updated) {
+    const resolved = buildIndex(store);
+    for (const key of Object.keys(store.unmatched)) {
+      if (resolved.has(key)) delete store.unmatched[key];
+    }
+    saveStore(store);
+  }
+  return { added, updated };
+}
+
+// ---------- Unmatched Names ----------
+
+/**
+ * Names no team matched, most often seen first.
+ * @returns {Array<{key, raw, count, sources, suggestion, firstSeen, lastSeen}>}
+ */
+function listUnmatched() {
+  const { unmatched } = loadStore();
+  return Object.entries(unmatched)
+    .map(([key, record]) => ({ key, ...record }))
+    .sort((a, b) => b.count - a.count || a.raw.localeCompare(b.raw));
+}
+
+/**
+ * Forget an unmatched name (it is recorded again if seen again).
+ * @param {string} key - Unmatched key
+ * @returns {boolean} true if it was listed
+ */
+function dismissUnmatched(key) {
+  const store = loadStore();
+  if (!store.unmatched[key]) return false;
+  delete store.unmatched[key];
+  saveStore(store);
+  return true;
+}
+
+// ---------- Admin Edits ----------
+
+/**
+ * Add a team, or aliases/details/IDs to an existing one. Blank fields leave
+ * the current value. Unmatched names that now resolve are removed from the
+ * unmatched list.
+ *
+ * @param {Object} input - { name, shortName, country, league, aliases (array or comma-separated), ids: { <provider>: id } }
+ * @returns {{team: Object}|{error: string}}
+ */
+function saveTeam(input = {}) {
+  const name = String(input.name || '').trim();
+  if (!name) return { error: 'Team name is required' };
+
+  const key = normalizeTeamKey(name);
+  const aliases = (Array.isArray(input.aliases) ? input.aliases : String(input.aliases || '').split(','))
+    .map((a) => String(a).trim())
+    .filter((a) => a && normalizeTeamKey(a) !== key);
+  const ids = cleanIds(input.ids);
+
+  // A name can only point at one team
+  const store = loadStore();
+  const index = buildIndex(store);
+  const claimed = [...aliases, input.shortName, ...NAME_PROVIDERS.map((p) => ids[p])].filter(Boolean);
+  for (const alias of claimed) {
+    const owner = index.get(normalizeTeamKey(alias));
+    if (owner && normalizeTeamKey(owner.name) !== key) {
+      return { error: `"${alias}" is already a name of ${owner.name}` };
+    }
+  }
+
+  const entry = findOrAddStoreTeam(store, name);
+  for (const field of ['shortName', 'country', 'league']) {
+    const value = String(input[field] || '').trim();
+    if (value) entry[field] = value;
+  }
+  Object.assign(entry.ids, ids);
+  for (const alias of aliases) {
+    if (!entry.aliases.some((a) => normalizeTeamKey(a) === normalizeTeamKey(alias))) {
+      entry.aliases.push(alias);
+    }
+  }
+
+  const resolved = buildIndex(store);
+  for (const unmatchedKey of Object.keys(store.unmatched)) {
+    if (resolved.has(unmatchedKey)) delete store.unmatched[unmatchedKey];
+  }
+
+  saveStore(store);
+  return { team: listTeams(store).find((t) => normalizeTeamKey(t.name) === key) };
+}
+
+/**
+ * Remove the admin's additions for a team (built-in teams revert to the
+ * catalogue).
+ * @param {string} name - Team name
+ * @returns {boolean} true if there was something to remove
+ */
+function removeCustomTeam(name) {
+  const store = loadStore();
+  const key = normalizeTeamKey(name);
+  const before = store.teams.length;
+  store.teams = store.teams.filter((t) => normalizeTeamKey(t.name) !== key);
+  if (store.teams.length === before) return false;
+  saveStore(store);
+  return true;
+}
+
+module.exports = {
+  normalizeTeamKey,
+  nameSimilarity,
+  namesMatch,
+  listTeams,
+  resolveTeam,
+  getCanonicalName,
+  getTeamKey,
+  getProviderId,
+  teamsMatch,
+  teamNameSimilarity,
+  suggestTeam,
+  learnTeamNames,
+  learnProviderId,
+  seedTeams,
+  listUnmatched,
+  dismissUnmatched,
+  saveTeam,
+  removeCustomTeam,
+  PROVIDERS,
+  TEAMS,
+  STORE_PATH
+};
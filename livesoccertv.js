@@ -27,18 +27,16 @@
 
 const axios = require('axios');
 const cheerio = require('cheerio');
-const crypto = require('crypto');
-const fs = require('fs');
-const path = require('path');
+const cache = require('./lib/cache');
 
 // ---------- Configuration ----------
 
 const BASE_URL = 'https://www.livesoccertv.com';
 const DEFAULT_TIMEOUT = 30000;
 
-// Cache configuration
-const CACHE_DIR = path.join(__dirname, 'cache', 'livesoccertv');
-const CACHE_TTL_MS = 4 * 60 * 60 * 1000; // 4 hours - matches don't change frequently
+// Cache configuration (TTL in lib/cache.js POLICIES)
+const CACHE_NAMESPACE = 'livesoccertv';
+const CACHE_TTL_MS = cache.getPolicy(CACHE_NAMESPACE).ttlMs; // 4 hours - matches don't change frequently
 
 // Realistic browser headers to help bypass basic bot detection
 const BROWSER_HEADERS = {
@@ -61,46 +59,13 @@ const BROWSER_HEADERS = {
 // ---------- Cache Helpers ----------
 
 /**
- * Generate a safe cache filename from a URL or key.
- * @param {string} key
- * @returns {string}
- */
-function getCacheKey(key) {
-  return crypto.createHash('sha256').update(key).digest('hex') + '.json';
-}
-
-/**
- * Ensure the cache directory exists.
- */
-function ensureCacheDir() {
-  if (!fs.existsSync(CACHE_DIR)) {
-    fs.mkdirSync(CACHE_DIR, { recursive: true });
-  }
-}
-
-/**
- * Read cached data if it exists and is fresh.
+ * Read cached data if it exists and is fresh (shared cache, lib/cache.js).
  * @param {string} key
  * @returns {Object | null}
  */
 function readCache(key) {
-  try {
-    const cacheFile = path.join(CACHE_DIR, getCacheKey(key));
-    if (!fs.existsSync(cacheFile)) {
-      return null;
-    }
-    const raw = fs.readFileSync(cacheFile, 'utf8');
-    const entry = JSON.parse(raw);
-    if (entry && entry.data && typeof entry.timestamp === 'number') {
-      // Check if cache is still fresh
-      if (Date.now() - entry.timestamp < CACHE_TTL_MS) {
-        return entry.data;
-      }
-    }
-  } catch (err) {
-    // Ignore cache read errors
-  }
-  return null;
+  const cached = cache.get(CACHE_NAMESPACE, key);
+  return cached && cached.state === 'fresh' ? cached.value : null;
 }
 
 /**
@@ -109,17 +74,7 @@ function readCache(key) {
  * @param {Object} data
  */
 function writeCache(key, data) {
-  try {
-    ensureCacheDir();
-    const cacheFile = path.join(CACHE_DIR, getCacheKey(key));
-    const entry = {
-      data,
-      timestamp: Date.now()
-    };
-    fs.writeFileSync(cacheFile, JSON.stringify(entry), 'utf8');
-  } catch (err) {
-    // Ignore cache write errors
-  }
+  cache.set(CACHE_NAMESPACE, key, data);
 }
 
 /**
@@ -489,16 +444,7 @@ async function searchTeamMatches(teamName) {
  * Clear the LiveSoccerTV cache.
  */
 function clearCache() {
-  try {
-    if (fs.existsSync(CACHE_DIR)) {
-      const files = fs.readdirSync(CACHE_DIR);
-      for (const file of files) {
-        fs.unlinkSync(path.join(CACHE_DIR, file));
-      }
-    }
-  } catch (err) {
-    // Ignore errors
-  }
+  cache.purge({ namespace: CACHE_NAMESPACE });
 }
 
 // ---------- Module Exports ----------
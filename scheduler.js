@@ -0,0 +1,367 @@
+// scheduler.js
+// In-process scheduler that runs per-channel cron jobs through runOnce().
+/**
+ * Telegram Sports TV Bot – Scheduler
+ *
+ * Replaces the external Plesk task hitting /cron/run. Each channel can list
+ * cron jobs in config.json:
+ *
+ *   "schedules": [
+ *     { "cron": "0 8 * * *", "label": "Morning digest" },
+ *     { "cron": "*\/15 * * * *", "withinHours": 3, "label": "Posters 3h before kickoff" }
+ *   ]
+ *
+ * A due job calls runOnce({ channelIds: [channel.id], withinHours }), the same
+ * logic as /cron/run. withinHours limits a run to fixtures kicking off soon,
+ * and the posted ledger makes sure each fixture is still only posted once, so
+ * a frequent job with withinHours: 3 posts each poster about 3 hours before
+ * kickoff. Cron times are evaluated in cfg.timezone (lib/cron.js).
+ *
+ * Jobs run one at a time, and runOnce() holds a file lock so a scheduled run
+ * never overlaps a /cron/run or "Post now" run; a job that finds the lock
+ * held is retried on the next tick. Last/next run times and pause flags are
+ * persisted in storage/scheduler_state.json. Runs missed by more than
+ * MISSED_RUN_GRACE_MS (e.g. the app was down) are skipped, not caught up.
+ *
+ * Every tick also sends due posters from the kickoff post queue
+ * (postMode "kickoff" channels, see lib/post_queue.js), so they go out
+ * within TICK_INTERVAL_MS of their send time.
+ *
+ * Runs inside app.js when schedulerEnabled is true in config.json, or as a
+ * separate worker:  node scheduler.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { runOnce, loadConfig, processPostQueue } = require('./autopost');
+const cron = require('./lib/cron');
+
+// ---------- Constants ----------
+
+const LOG_PATH = path.join(__dirname, 'autopost.log');
+const LOG_PREFIX = '[SCHED]';
+
+const STATE_PATH = process.env.SCHEDULER_STATE_PATH ||
+  path.join(__dirname, 'storage', 'scheduler_state.json');
+
+// How often due jobs are checked
+const TICK_INTERVAL_MS = 30 * 1000;
+
+// A run this late is considered missed and skipped
+const MISSED_RUN_GRACE_MS = 10 * 60 * 1000;
+
+// ---------- Logging ----------
+
+function log(msg) {
+  const line = `[${new Date().toISOString()}] ${LOG_PREFIX} ${msg}`;
+  console.log(line);
+  try {
+    fs.appendFileSync(LOG_PATH, line + '\n', 'utf8');
+  } catch (err) {
+    // Ignore file errors
+  }
+}
+
+// ---------- State persistence ----------
+
+/**
+ * Load scheduler state.
+ * @returns {{paused: boolean, jobs: Object}} State (empty on error)
+ */
+function loadState() {
+  try {
+    if (fs.existsSync(STATE_PATH)) {
+      const parsed = JSON.parse(fs.readFileSync(STATE_PATH, 'utf8'));
+      if (parsed && typeof parsed === 'object') {
+        return { paused: Boolean(parsed.paused), jobs: parsed.jobs || {} };
+      }
+    }
+  } catch (err) {
+    // Ignore read/parse errors - start fresh
+  }
+  return { paused: false, jobs: {} };
+}
+
+function saveState(state) {
+  const dir = path.dirname(STATE_PATH);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  fs.writeFileSync(STATE_PATH, JSON.stringify(state, null, 2), 'utf8');
+}
+
+// ---------- Jobs ----------
+
+/**
+ * Stable job id from channel and schedule (editing the cron makes a new job).
+ * @param {string} channelId - Telegram channel ID
+ * @param {Object} schedule - Schedule entry
+ * @returns {string}
+ */
+function getJobId(channelId, schedule) {
+  return `${channelId}|${schedule.cron}|${schedule.withinHours || ''}`;
+}
+
+/**
+ * Jobs defined in config.json (channel.schedules[]).
+ *
+ * @param {Object} cfg - Config object
+ * @returns {Array<{id, channelId, channelLabel, cron, withinHours, label, error}>}
+ *   error is set for invalid cron expressions
+ */
+function getConfiguredJobs(cfg) {
+  const jobs = [];
+  for (const channel of cfg.channels || []) {
+    for (const schedule of channel.schedules || []) {
+      let error = null;
+      try {
+        cron.parseCron(schedule.cron);
+      } catch (err) {
+        error = err.message;
+      }
+      jobs.push({
+        id: getJobId(channel.id, schedule),
+        channelId: channel.id,
+        channelLabel: channel.label || channel.id,
+        cron: schedule.cron,
+        withinHours: Number(schedule.withinHours) > 0 ? Number(schedule.withinHours) : null,
+        label: schedule.label || '',
+        error
+      });
+    }
+  }
+  return jobs;
+}
+
+/**
+ * Configured jobs merged with their persisted state, for the admin page.
+ *
+ * @param {Object} [cfg] - Config object (loaded if omitted)
+ * @returns {Array<Object>} Jobs with nextRunAt, lastRunAt, lastStatus, lastSummary, paused
+ */
+function listJobs(cfg = loadConfig()) {
+  const state = loadState();
+  const timezone = cfg.timezone || 'Europe/London';
+
+  return getConfiguredJobs(cfg).map((job) => {
+    const jobState = state.jobs[job.id] || {};
+    let nextRunAt = jobState.nextRunAt || null;
+    if (!nextRunAt && !job.error) {
+      const next = cron.getNextRun(job.cron, new Date(), timezone);
+      nextRunAt = next ? next.toISOString() : null;
+    }
+    return {
+      ...job,
+      nextRunAt,
+      lastRunAt: jobState.lastRunAt || null,
+      lastStatus: jobState.lastStatus || null,
+      lastSummary: jobState.lastSummary || '',
+      paused: Boolean(jobState.paused)
+    };
+  });
+}
+
+/**
+ * Run one job now via runOnce() and record the outcome.
+ *
+ * @param {Object} job - Job from getConfiguredJobs()
+ * @returns {Promise<{status: string, summary: string}>} status: ok | skipped | error
+ */
+async function runJob(job) {
+  log(`Running ${job.channelLabel} "${job.label || job.cron}"`);
+
+  let status;
+  let summary;
+  try {
+    const result = await runOnce({
+      channelIds: [job.channelId],
+      withinHours: job.withinHours,
+      trigger: `scheduler ${job.channelId} ${job.cron}`
+    });
+    status = result.skipped ? 'skipped' : 'ok';
+    summary = result.summary || '';
+  } catch (err) {
+    status = 'error';
+    summary = err.message || String(err);
+    log(`Job ${job.id} failed: ${summary}`);
+  }
+
+  const state = loadState();
+  state.jobs[job.id] = {
+    ...(state.jobs[job.id] || {}),
+    lastRunAt: new Date().toISOString(),
+    lastStatus: status,
+    lastSummary: summary
+  };
+  saveState(state);
+
+  return { status, summary };
+}
+
+// ---------- Tick ----------
+
+let tickRunning = false;
+
+/**
+ * Run every due job once (sequentially) and work out the next run times.
+ *
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Promise<number>} Number of jobs run
+ */
+async function tick(now = new Date()) {
+  if (tickRunning) return 0;
+  tickRunning = true;
+
+  let ran = 0;
+  try {
+    const cfg = loadConfig();
+    const timezone = cfg.timezone || 'Europe/London';
+    const jobs = getConfiguredJobs(cfg);
+    const state = loadState();
+
+    // Forget state for jobs that were removed from config.json
+    const ids = new Set(jobs.map((j) => j.id));
+    for (const id of Object.keys(state.jobs)) {
+      if (!ids.has(id)) delete state.jobs[id];
+    }
+
+    const due = [];
+    for (const job of jobs) {
+      if (job.error) continue;
+      const jobState = state.jobs[job.id] || (state.jobs[job.id] = {});
+
+      if (!jobState.nextRunAt) {
+        const next = cron.getNextRun(job.cron, now, timezone);
+        jobState.nextRunAt = next ? next.toISOString() : null;
+        continue;
+      }
+
+      const nextRun = new Date(jobState.nextRunAt).getTime();
+      if (nextRun > now.getTime()) continue;
+
+      if (state.paused || jobState.paused || now.getTime() - nextRun > MISSED_RUN_GRACE_MS) {
+        if (!state.paused && !jobState.paused) {
+          log(`Missed run of ${job.id} at ${jobState.nextRunAt}, skipping`);
+        }
+        const next = cron.getNextRun(job.cron, now, timezone);
+        jobState.nextRunAt = next ? next.toISOString() : null;
+        continue;
+      }
+
+      due.push(job);
+    }
+    saveState(state);
+
+    for (const job of due) {
+      const { status } = await runJob(job);
+      ran++;
+
+      // A run skipped because of the lock is retried on the next tick
+      if (status !== 'skipped') {
+        const latest = loadState();
+        const next = cron.getNextRun(job.cron, new Date(Math.max(now.getTime(), Date.now())), timezone);
+        latest.jobs[job.id] = { ...(latest.jobs[job.id] || {}), nextRunAt: next ? next.toISOString() : null };
+        saveState(latest);
+      }
+    }
+
+    const queueResult = await processPostQueue({ now, trigger: 'scheduler queue' });
+    if (queueResult.skipped) {
+      log('Queued posters are due but another run is in progress, retrying next tick');
+    }
+  } catch (err) {
+    log(`Tick failed: ${err.message}`);
+  } finally {
+    tickRunning = false;
+  }
+
+  return ran;
+}
+
+// ---------- Pause / resume ----------
+
+/**
+ * Pause or resume a single job.
+ * @param {string} jobId - Job id
+ * @param {boolean} paused - New state
+ */
+function setJobPaused(jobId, paused) {
+  const state = loadState();
+  state.jobs[jobId] = { ...(state.jobs[jobId] || {}), paused };
+  saveState(state);
+  log(`${paused ? 'Paused' : 'Resumed'} ${jobId}`);
+}
+
+/**
+ * Pause or resume every job.
+ * @param {boolean} paused - New state
+ */
+function setAllPaused(paused) {
+  const state = loadState();
+  state.paused = paused;
+  saveState(state);
+  log(paused ? 'Paused all jobs' : 'Resumed all jobs');
+}
+
+/**
+ * @returns {boolean} Whether all jobs are paused
+ */
+function isAllPaused() {
+  return loadState().paused;
+}
+
+// ---------- Start / stop ----------
+
+let timer = null;
+
+/**
+ * Start checking for due jobs. No-op if already running.
+ */
+function startScheduler() {
+  if (timer) return;
+  timer = setInterval(() => tick(), TICK_INTERVAL_MS);
+  log('Scheduler started');
+  tick();
+}
+
+/**
+ * Stop checking for due jobs (a job already running is allowed to finish).
+ */
+function stopScheduler() {
+  if (!timer) return;
+  clearInterval(timer);
+  timer = null;
+  log('Scheduler stopped');
+}
+
+/**
+ * @returns {boolean} Whether the scheduler is running in this process
+ */
+function isSchedulerRunning() {
+  return timer !== null;
+}
+
+// Run as a standalone worker: node scheduler.js
+if (require.main === module) {
+  startScheduler();
+  process.on('SIGINT', () => {
+    stopScheduler();
+    process.exit(0);
+  });
+}
+
+module.exports = {
+  startScheduler,
+  stopScheduler,
+  isSchedulerRunning,
+  tick,
+  runJob,
+  listJobs,
+  getConfiguredJobs,
+  getJobId,
+  setJobPaused,
+  setAllPaused,
+  isAllPaused,
+  STATE_PATH,
+  MISSED_RUN_GRACE_MS
+};
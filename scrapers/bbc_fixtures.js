@@ -29,6 +29,7 @@ const axios = require('axios');
 const cheerio = require('cheerio');
 const fs = require('fs');
 const path = require('path');
+const teamRegistry = require('../lib/team_registry');
 
 // ---------- Configuration ----------
 
@@ -43,7 +44,7 @@ const MIN_TEAM_NAME_LENGTH = 3; // Minimum length for a valid team name
 // Captures: Team name optionally followed by common suffixes (FC, AFC, City, United, Town, Rovers)
 const TEAM_VS_TEAM_PATTERN = /([A-Z][a-zA-Z\s]+(?:FC|AFC|City|United|Town|Rovers)?)\s+(?:v|vs|versus)\s+([A-Z][a-zA-Z\s]+(?:FC|AFC|City|United|Town|Rovers)?)/gi;
 
-// Team name to BBC slug mapping
+// Team name to BBC slug mapping (fallback when the team registry has no slug)
 const TEAM_SLUGS = {
   'arsenal': 'arsenal',
   'aston villa': 'aston-villa',
@@ -129,6 +130,12 @@ function log(msg) {
 function getTeamSlug(teamName) {
   if (!teamName) return null;
   
+  // Team registry first (covers aliases like "Man Utd" and admin additions)
+  const registrySlug = teamRegistry.getProviderId(teamName, 'bbc');
+  if (registrySlug) {
+    return registrySlug;
+  }
+  
   const normalized = teamName.toLowerCase().trim();
   
   // Direct lookup
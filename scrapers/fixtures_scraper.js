@@ -43,6 +43,8 @@
 const fs = require('fs');
 const path = require('path');
 
+const teamRegistry = require('../lib/team_registry');
+
 // Import scrapers
 const tsdb = require('./thesportsdb');
 const bbcFixtures = require('./bbc_fixtures');
@@ -99,44 +101,27 @@ function normalizeTeamName(name) {
 }
 
 /**
- * Check if two team names match (fuzzy).
+ * Check if two team names are the same team (via the team registry).
  * @param {string} name1 - First team name
  * @param {string} name2 - Second team name
  * @returns {boolean}
  */
 function teamsMatch(name1, name2) {
-  const norm1 = normalizeTeamName(name1);
-  const norm2 = normalizeTeamName(name2);
-  
-  if (!norm1 || !norm2) return false;
-  
-  // Exact match after normalization
-  if (norm1 === norm2) return true;
-  
-  // One contains the other
-  if (norm1.includes(norm2) || norm2.includes(norm1)) return true;
-  
-  // Check if main word matches
-  const words1 = norm1.split(' ').filter(w => w.length > 3);
-  const words2 = norm2.split(' ').filter(w => w.length > 3);
-  
-  for (const w1 of words1) {
-    if (words2.includes(w1)) return true;
-  }
-  
-  return false;
+  return teamRegistry.teamsMatch(name1, name2);
 }
 
 // ---------- Fixture Normalization ----------
 
 /**
  * Create a unique key for a fixture (for deduplication).
+ * Teams are keyed by their registry identity, so "Man Utd" from one source
+ * and "Manchester United" from another give the same key.
  * @param {Object} fixture - Fixture object
  * @returns {string} Unique key
  */
 function getFixtureKey(fixture) {
-  const home = normalizeTeamName(fixture.homeTeam);
-  const away = normalizeTeamName(fixture.awayTeam);
+  const home = teamRegistry.getTeamKey(fixture.homeTeam);
+  const away = teamRegistry.getTeamKey(fixture.awayTeam);
   const date = fixture.start instanceof Date 
     ? fixture.start.toISOString().slice(0, 10)
     : '';
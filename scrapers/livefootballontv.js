@@ -30,6 +30,7 @@ const axios = require('axios');
 const cheerio = require('cheerio');
 const fs = require('fs');
 const path = require('path');
+const teamRegistry = require('../lib/team_registry');
 
 // ---------- Configuration ----------
 
@@ -212,17 +213,9 @@ async function fetchLFOTVFixtures({ teamName, competition }) {
           if (!homeTeam || !awayTeam) return;
           
           // Filter by team if specified
-          if (teamName) {
-            const teamNormalized = normalizeTeamName(teamName);
-            const homeNormalized = normalizeTeamName(homeTeam);
-            const awayNormalized = normalizeTeamName(awayTeam);
-            
-            const matchesTeam = homeNormalized.includes(teamNormalized) ||
-                               awayNormalized.includes(teamNormalized) ||
-                               teamNormalized.includes(homeNormalized) ||
-                               teamNormalized.includes(awayNormalized);
-            
-            if (!matchesTeam) return;
+          if (teamName && !teamRegistry.teamsMatch(teamName, homeTeam) &&
+              !teamRegistry.teamsMatch(teamName, awayTeam)) {
+            return;
           }
           
           // Extract kickoff time
@@ -30,6 +30,7 @@
 const fs = require('fs');
 const path = require('path');
 const axios = require('axios');
+const teamRegistry = require('../lib/team_registry');
 
 // ---------- Configuration ----------
 
@@ -104,45 +105,15 @@ function normalizeForComparison(name) {
 
 /**
  * Calculate similarity score between two team names.
- * Returns a score from 0 (no match) to 100 (exact match).
+ * Returns a score from 0 (no match) to 100 (exact match). Names are resolved
+ * through the team registry, so "Man Utd" and "Manchester United" score 100
+ * and two different known teams score 0.
  * @param {string} name1 - First team name
  * @param {string} name2 - Second team name
  * @returns {number} Similarity score 0-100
  */
 function teamNameSimilarity(name1, name2) {
-  const norm1 = normalizeForComparison(name1);
-  const norm2 = normalizeForComparison(name2);
-  
-  if (!norm1 || !norm2) return 0;
-  
-  // Exact match after normalization
-  if (norm1 === norm2) return 100;
-  
-  // One contains the other
-  if (norm1.includes(norm2) || norm2.includes(norm1)) {
-    const longer = Math.max(norm1.length, norm2.length);
-    const shorter = Math.min(norm1.length, norm2.length);
-    return Math.round((shorter / longer) * 90);
-  }
-  
-  // Word-level matching
-  const words1 = norm1.split(' ').filter(w => w.length > 2);
-  const words2 = norm2.split(' ').filter(w => w.length > 2);
-  
-  if (words1.length === 0 || words2.length === 0) return 0;
-  
-  let matchingWords = 0;
-  for (const w1 of words1) {
-    for (const w2 of words2) {
-      if (w1 === w2 || w1.includes(w2) || w2.includes(w1)) {
-        matchingWords++;
-        break;
-      }
-    }
-  }
-  
-  const totalWords = Math.max(words1.length, words2.length);
-  return Math.round((matchingWords / totalWords) * 80);
+  return teamRegistry.teamNameSimilarity(name1, name2);
 }
 
 // ---------- Match Scoring System ----------
@@ -211,7 +182,7 @@ function scoreCandidate(candidate, requested) {
   
   // League matching (10% of total score) - bonus if we know the league
   if (requested.league && candidate.league) {
-    const leagueSim = teamNameSimilarity(candidate.league, requested.league);
+    const leagueSim = teamRegistry.nameSimilarity(candidate.league, requested.league);
     score += leagueSim * 0.1;
   }
   
@@ -479,8 +450,9 @@ async function fetchLSTV({ home, away, date, kickoffUtc = null, league = null })
     const response = await axios.post(
       `${LSTV_SCRAPER_URL}/scrape/lstv`,
       {
-        home,
-        away,
+        // LiveSoccerTV's own spelling when the registry knows it
+        home: teamRegistry.getProviderId(home, 'lstv') || home,
+        away: teamRegistry.getProviderId(away, 'lstv') || away,
         dateUtc,
         leagueHint: league
       },
@@ -7,8 +7,11 @@
  * This is a lightweight API client that can run directly on Plesk.
  * No browser automation required – uses axios for API calls.
  *
- * Exports fetchTSDBFixture({ home, away, date }) which:
+ * Exports fetchTSDBFixture({ home, away, date, sport, eventName }) which:
  * - Queries TheSportsDB API for the specific fixture
+ * - Routes the search by sport (lib/sports.js): team sports search the home
+ *   team's upcoming events (teams of other sports are ignored); F1, darts
+ *   and boxing search events by name ("A vs B" or the Grand Prix name)
  * - Returns normalized fixture data with kickoff time, league, venue
  * - Optionally includes TV stations if available from API
  *
@@ -28,6 +31,9 @@
 const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
+const sports = require('../lib/sports');
+const teamRegistry = require('../lib/team_registry');
+const assetCache = require('../lib/asset_cache');
 
 // ---------- Configuration ----------
 
@@ -61,6 +67,10 @@ function getApiKey() {
 // Alternative API keys to try if default fails
 const FALLBACK_API_KEYS = ['123', '3', '2', '1'];
 
+// How far an event-search result's date may be from the fixture's
+// (an F1 ICS entry may be a practice session two days before the race)
+const EVENT_DATE_WINDOW_DAYS = { session: 3, default: 1 };
+
 // ---------- Logging ----------
 
 /**
@@ -104,32 +114,13 @@ function normalizeTeamName(name) {
 }
 
 /**
- * Check if two team names match (fuzzy).
+ * Check if two team names are the same team (via the team registry).
  * @param {string} name1 - First team name
  * @param {string} name2 - Second team name
  * @returns {boolean}
  */
 function teamsMatch(name1, name2) {
-  const norm1 = normalizeTeamName(name1);
-  const norm2 = normalizeTeamName(name2);
-  
-  if (!norm1 || !norm2) return false;
-  
-  // Exact match after normalization
-  if (norm1 === norm2) return true;
-  
-  // One contains the other
-  if (norm1.includes(norm2) || norm2.includes(norm1)) return true;
-  
-  // Check if main word matches (e.g., "Arsenal" in "Arsenal FC")
-  const words1 = norm1.split(' ').filter(w => w.length > 3);
-  const words2 = norm2.split(' ').filter(w => w.length > 3);
-  
-  for (const w1 of words1) {
-    if (words2.includes(w1)) return true;
-  }
-  
-  return false;
+  return teamRegistry.teamsMatch(name1, name2);
 }
 
 // ---------- API Helpers ----------
@@ -158,9 +149,10 @@ async function apiRequest(apiKey, endpoint) {
  * Search for a team by name.
  * @param {string} apiKey - API key
  * @param {string} teamName - Team name to search
+ * @param {string} [tsdbSport] - Only accept teams of this strSport (e.g. "Rugby")
  * @returns {Promise<Object|null>} Team object or null
  */
-async function searchTeam(apiKey, teamName) {
+async function searchTeam(apiKey, teamName, tsdbSport = null) {
   const encoded = encodeURIComponent(teamName.trim());
   const data = await apiRequest(apiKey, `/searchteams.php?t=${encoded}`);
   
@@ -168,10 +160,34 @@ async function searchTeam(apiKey, teamName) {
     return null;
   }
   
+  if (tsdbSport) {
+    const sameSport = data.teams.find((t) => t.strSport === tsdbSport);
+    // Football keeps the old "first match" behaviour; other sports must match
+    // (e.g. "England" would otherwise find the football team)
+    return sameSport || (tsdbSport === 'Soccer' ? data.teams[0] : null);
+  }
+  
   // Return first match
   return data.teams[0];
 }
 
+/**
+ * Search events by name (e.g. "Joshua vs Dubois", "British Grand Prix").
+ * @param {string} apiKey - API key
+ * @param {string} query - Event name
+ * @returns {Promise<Array>} Array of events
+ */
+async function searchEvents(apiKey, query) {
+  const encoded = encodeURIComponent(query.trim().replace(/\s+/g, '_'));
+  const data = await apiRequest(apiKey, `/searchevents.php?e=${encoded}`);
+  
+  if (!data || !data.event || !Array.isArray(data.event)) {
+    return [];
+  }
+  
+  return data.event;
+}
+
 /**
  * Get upcoming events for a team.
  * @param {string} apiKey - API key
@@ -209,6 +225,24 @@ async function getTvListings(apiKey, eventId) {
   }
 }
 
+/**
+ * Remember the team badge and channel logo URLs an event came with, for
+ * image posters (lib/asset_cache.js downloads them on first use).
+ * @param {Object} event - TheSportsDB event
+ * @param {Array} [tvListings] - Its TV listings
+ */
+function noteEventAssets(event, tvListings = []) {
+  try {
+    assetCache.noteAssetUrl('crest', event.strHomeTeam, event.strHomeTeamBadge);
+    assetCache.noteAssetUrl('crest', event.strAwayTeam, event.strAwayTeamBadge);
+    for (const tv of tvListings) {
+      assetCache.noteAssetUrl('logo', tv.strChannel, tv.strLogo);
+    }
+  } catch (err) {
+    // Asset URLs are optional - never fail a lookup over them
+  }
+}
+
 // ---------- Main Fixture Lookup ----------
 
 /**
@@ -218,9 +252,11 @@ async function getTvListings(apiKey, eventId) {
  * @param {string} params.home - Home team name
  * @param {string} params.away - Away team name
  * @param {Date|string} params.date - Match date
+ * @param {string} [params.sport] - Sport (lib/sports.js), default football
+ * @param {string} [params.eventName] - Event name for session sports (F1)
  * @returns {Promise<{matched: boolean, kickoffUtc: string|null, league: string|null, venue: string|null, tvStations: string[], eventId: string|null}>}
  */
-async function fetchTSDBFixture({ home, away, date }) {
+async function fetchTSDBFixture({ home, away, date, sport = null, eventName = null }) {
   const emptyResult = {
     matched: false,
     kickoffUtc: null,
@@ -230,6 +266,11 @@ async function fetchTSDBFixture({ home, away, date }) {
     eventId: null
   };
   
+  const sportInfo = sports.getSport(sport);
+  if (sportInfo.tsdbLookup === 'event') {
+    return fetchTSDBEvent({ home, away, date, eventName, sportInfo });
+  }
+  
   if (!home || !away) {
     log(`Missing team names: home="${home}", away="${away}"`);
     return emptyResult;
@@ -241,6 +282,9 @@ async function fetchTSDBFixture({ home, away, date }) {
   const matchDate = date instanceof Date ? date : new Date(date || Date.now());
   const matchDateStr = matchDate.toISOString().slice(0, 10);
   
+  // The team registry holds football clubs only
+  const football = sportInfo.tsdbSport === 'Soccer';
+  
   log(`Searching for ${home} vs ${away} on ${matchDateStr}`);
   
   // Build list of API keys to try using Set for O(1) deduplication
@@ -249,8 +293,11 @@ async function fetchTSDBFixture({ home, away, date }) {
   
   for (const tryKey of keysToTry) {
     try {
-      // Search for home team first
-      const homeTeam = await searchTeam(tryKey, home);
+      // Home team's id from the team registry, else search for it
+      const knownId = football ? teamRegistry.getProviderId(home, 'tsdb') : null;
+      const homeTeam = knownId
+        ? { idTeam: knownId, strTeam: teamRegistry.getCanonicalName(home) }
+        : await searchTeam(tryKey, home, sportInfo.tsdbSport);
       
       if (!homeTeam) {
         log(`Could not find team: ${home}`);
@@ -258,6 +305,9 @@ async function fetchTSDBFixture({ home, away, date }) {
       }
     
       log(`Found team: ${homeTeam.strTeam} (ID: ${homeTeam.idTeam})`);
+      if (football && !knownId && teamsMatch(homeTeam.strTeam, home)) {
+        teamRegistry.learnProviderId(home, 'tsdb', homeTeam.idTeam);
+      }
     
       // Get upcoming events
       const events = await getUpcomingEvents(tryKey, homeTeam.idTeam);
@@ -309,6 +359,7 @@ async function fetchTSDBFixture({ home, away, date }) {
       if (bestMatch.idEvent) {
         const tvListings = await getTvListings(tryKey, bestMatch.idEvent);
         tvStations = tvListings.map(tv => tv.strChannel).filter(Boolean);
+        noteEventAssets(bestMatch, tvListings);
       
         // Remove duplicates
         tvStations = [...new Set(tvStations)];
@@ -342,6 +393,105 @@ async function fetchTSDBFixture({ home, away, date }) {
   return emptyResult;
 }
 
+/**
+ * Fetch an event found by name rather than by team (F1, darts, boxing).
+ * Picks the closest event of the same sport within EVENT_DATE_WINDOW_DAYS.
+ *
+ * @param {Object} params - Parameters
+ * @param {string} params.home - First side (player / fighter), may be empty
+ * @param {string} params.away - Second side, may be empty
+ * @param {Date|string} params.date - Event date
+ * @param {string} params.eventName - Event name for session sports (e.g. "British Grand Prix")
+ * @param {Object} params.sportInfo - Registry entry from lib/sports.js
+ * @returns {Promise<{matched: boolean, kickoffUtc: string|null, league: string|null, venue: string|null, tvStations: string[], eventId: string|null}>}
+ */
+async function fetchTSDBEvent({ home, away, date, eventName, sportInfo }) {
+  const emptyResult = {
+    matched: false,
+    kickoffUtc: null,
+    league: null,
+    venue: null,
+    tvStations: [],
+    eventId: null
+  };
+  
+  const query = home && away ? `${home} vs ${away}` : (eventName || home || '');
+  if (!query) {
+    log(`Missing event name for ${sportInfo.label} lookup`);
+    return emptyResult;
+  }
+  
+  const matchDate = date instanceof Date ? date : new Date(date || Date.now());
+  const matchDateStr = matchDate.toISOString().slice(0, 10);
+  const windowDays = EVENT_DATE_WINDOW_DAYS[sportInfo.layout] || EVENT_DATE_WINDOW_DAYS.default;
+  
+  log(`Searching ${sportInfo.label} events for "${query}" around ${matchDateStr}`);
+  
+  const keysToTry = Array.from(new Set([getApiKey(), ...FALLBACK_API_KEYS]));
+  
+  for (const tryKey of keysToTry) {
+    try {
+      const events = await searchEvents(tryKey, query);
+      
+      let bestMatch = null;
+      let bestDistance = Infinity;
+      for (const event of events) {
+        if (event.strSport && event.strSport !== sportInfo.tsdbSport) continue;
+        if (!event.dateEvent) continue;
+        
+        const distance = Math.abs(new Date(`${event.dateEvent}T00:00:00Z`) - new Date(`${matchDateStr}T00:00:00Z`)) / 86400000;
+        if (distance <= windowDays && distance < bestDistance) {
+          bestMatch = event;
+          bestDistance = distance;
+        }
+      }
+      
+      if (!bestMatch) {
+        log(`No ${sportInfo.label} event found for "${query}" around ${matchDateStr}`);
+        return emptyResult;
+      }
+      
+      log(`Found event: ${bestMatch.strEvent} (ID: ${bestMatch.idEvent})`);
+      
+      // Only trust the kickoff if it's the same day (the race, not a practice session)
+      let kickoffUtc = null;
+      if (bestMatch.dateEvent === matchDateStr) {
+        if (bestMatch.strTimestamp) {
+          kickoffUtc = bestMatch.strTimestamp;
+        } else if (bestMatch.strTime) {
+          kickoffUtc = `${bestMatch.dateEvent}T${bestMatch.strTime}`;
+        }
+      }
+      
+      let tvStations = [];
+      if (bestMatch.idEvent) {
+        const tvListings = await getTvListings(tryKey, bestMatch.idEvent);
+        tvStations = [...new Set(tvListings.map(tv => tv.strChannel).filter(Boolean))];
+        noteEventAssets(bestMatch, tvListings);
+      }
+      
+      return {
+        matched: true,
+        kickoffUtc,
+        league: bestMatch.strLeague || null,
+        venue: bestMatch.strVenue || null,
+        tvStations,
+        eventId: bestMatch.idEvent || null
+      };
+    } catch (err) {
+      // If it's a 404, try the next API key
+      if (err.response && err.response.status === 404) {
+        continue;
+      }
+      log(`Error: ${err.message}`);
+      return emptyResult;
+    }
+  }
+  
+  log(`All API keys failed for "${query}"`);
+  return emptyResult;
+}
+
 /**
  * Fetch all fixtures for a given date from TheSportsDB.
  * This is used for general fixture listing without team-specific filtering.
@@ -515,6 +665,7 @@ module.exports = {
   healthCheck,
   // Export helpers for testing
   searchTeam,
+  searchEvents,
   getUpcomingEvents,
   getTvListings,
   normalizeTeamName,
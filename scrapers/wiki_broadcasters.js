@@ -7,7 +7,7 @@
  * This is a lightweight HTTP scraper that can run directly on Plesk.
  * No browser automation required – uses axios + cheerio for HTML parsing.
  *
- * Exports fetchWikiBroadcasters({ leagueName, season, country }) which:
+ * Exports fetchWikiBroadcasters({ leagueName, season, country, sport }) which:
  * - Fetches Wikipedia pages for league broadcasting info
  * - Parses "Broadcasting" or "Television broadcasters" tables
  * - Returns region/channel pairs
@@ -24,6 +24,7 @@
 
 const axios = require('axios');
 const cheerio = require('cheerio');
+const cache = require('../lib/cache');
 const fs = require('fs');
 const path = require('path');
 
@@ -32,10 +33,9 @@ const path = require('path');
 const WIKI_BASE_URL = 'https://en.wikipedia.org';
 const DEFAULT_TIMEOUT = 15000;
 
-// In-memory cache to avoid refetching within the same process
-// Key: "leagueName:season" -> { data, timestamp }
-const cache = new Map();
-const CACHE_TTL_MS = 60 * 60 * 1000; // 1 hour cache
+// Parsed pages are kept in the shared cache (lib/cache.js, namespace 'wiki')
+// keyed "sport:leagueName:season"; country filtering happens after
+const CACHE_NAMESPACE = 'wiki';
 
 // User agent for Wikipedia requests (be polite)
 const USER_AGENT = 'TelegramSportsBot/1.0 (https://telegram.defecttracker.uk/; contact@defecttracker.uk) axios/1.x';
@@ -99,6 +99,41 @@ const LEAGUE_PATTERNS = {
   'ligue 1': '{season} Ligue 1'
 };
 
+// Article patterns for other sports (lib/sports.js ids). {year} is the
+// calendar year, for competitions that don't span two years.
+const SPORT_LEAGUE_PATTERNS = {
+  rugby: {
+    'six nations': '{year} Six Nations Championship',
+    'premiership rugby': '{season} Premiership Rugby',
+    'gallagher premiership': '{season} Premiership Rugby',
+    'united rugby championship': '{season} United Rugby Championship',
+    'urc': '{season} United Rugby Championship',
+    'champions cup': '{season} European Rugby Champions Cup',
+    'super league': '{year} Super League season',
+    'rugby world cup': '{year} Rugby World Cup'
+  },
+  cricket: {
+    'county championship': '{year} County Championship',
+    'the hundred': '{year} The Hundred season',
+    'vitality blast': '{year} T20 Blast',
+    't20 blast': '{year} T20 Blast',
+    'indian premier league': '{year} Indian Premier League',
+    'ipl': '{year} Indian Premier League'
+  },
+  f1: {
+    'formula 1': '{year} Formula One World Championship',
+    'formula one': '{year} Formula One World Championship',
+    'f1': '{year} Formula One World Championship'
+  },
+  darts: {
+    'premier league': '{year} Premier League Darts',
+    'world darts championship': '{season} PDC World Darts Championship',
+    'world matchplay': '{year} World Matchplay (darts)',
+    'grand slam': '{year} Grand Slam of Darts'
+  },
+  boxing: {}
+};
+
 /**
  * Get the current football season string (e.g., "2024–25").
  * Football seasons typically run Aug-May, so:
@@ -124,20 +159,29 @@ function getCurrentSeason(date = new Date()) {
  * Build Wikipedia article title for a league/season.
  * @param {string} leagueName - League name
  * @param {string} season - Season string (e.g., "2024–25")
+ * @param {string} [sport='football'] - Sport id (lib/sports.js)
+ * @param {number} [year] - Calendar year for {year} patterns (default: current year)
  * @returns {string|null} Wikipedia article title or null
  */
-function buildWikiTitle(leagueName, season) {
+function buildWikiTitle(leagueName, season, sport = 'football', year = null) {
   if (!leagueName) return null;
   
   const normalized = leagueName.toLowerCase().trim();
+  const patterns = sport === 'football' ? LEAGUE_PATTERNS : (SPORT_LEAGUE_PATTERNS[sport] || {});
+  const effectiveYear = year || new Date().getFullYear();
   
   // Check if we have a pattern for this league
-  for (const [key, pattern] of Object.entries(LEAGUE_PATTERNS)) {
+  for (const [key, pattern] of Object.entries(patterns)) {
     if (normalized.includes(key) || key.includes(normalized)) {
-      return pattern.replace('{season}', season);
+      return pattern.replace('{season}', season).replace('{year}', effectiveYear);
     }
   }
   
+  // No generic guess for other sports - their article names vary too much
+  if (sport !== 'football') {
+    return null;
+  }
+  
   // Fallback: try "{season} {LeagueName}" format
   // Capitalize each word
   const titleCase = leagueName
@@ -390,9 +434,10 @@ function cleanChannelName(channel) {
  * @param {string} params.leagueName - League name (e.g., "Premier League")
  * @param {string} [params.season] - Season string (e.g., "2024–25"), defaults to current
  * @param {string} [params.country] - Country filter (optional)
+ * @param {string} [params.sport='football'] - Sport id (lib/sports.js), picks the article patterns
  * @returns {Promise<{sourceUrl: string|null, broadcasters: Array<{region: string, channel: string}>}>}
  */
-async function fetchWikiBroadcasters({ leagueName, season = null, country = null }) {
+async function fetchWikiBroadcasters({ leagueName, season = null, country = null, sport = 'football' }) {
   const emptyResult = {
     sourceUrl: null,
     broadcasters: []
@@ -406,73 +451,69 @@ async function fetchWikiBroadcasters({ leagueName, season = null, country = null
   // Determine season
   const effectiveSeason = season || getCurrentSeason();
   
-  // Check cache
-  const cacheKey = `${leagueName.toLowerCase()}:${effectiveSeason}`;
-  const cached = cache.get(cacheKey);
-  if (cached && (Date.now() - cached.timestamp) < CACHE_TTL_MS) {
-    log(`Using cached data for ${leagueName} ${effectiveSeason}`);
-    return cached.data;
-  }
-  
   // Build Wikipedia title and URL
-  const wikiTitle = buildWikiTitle(leagueName, effectiveSeason);
+  const wikiTitle = buildWikiTitle(leagueName, effectiveSeason, sport);
   if (!wikiTitle) {
     log(`Could not build Wikipedia title for: ${leagueName}`);
     return emptyResult;
   }
   
   const wikiUrl = buildWikiUrl(wikiTitle);
-  log(`Fetching: ${wikiTitle}`);
+  const cacheKey = `${sport}:${leagueName.toLowerCase()}:${effectiveSeason}`;
   
+  let page;
   try {
-    const html = await fetchPage(wikiUrl);
-    let broadcasters = parseBroadcasters(html);
-    
-    // Filter by country if specified
-    if (country && broadcasters.length > 0) {
-      const countryLower = country.toLowerCase();
-      const filtered = broadcasters.filter(b => {
-        const regionLower = b.region.toLowerCase();
-        // Match country or common variations
-        return regionLower.includes(countryLower) ||
-               (countryLower === 'uk' && (regionLower.includes('united kingdom') || regionLower.includes('britain'))) ||
-               (countryLower === 'usa' && (regionLower.includes('united states') || regionLower.includes('america')));
-      });
-      
-      // Only use filtered if it has results, otherwise return all
-      if (filtered.length > 0) {
-        broadcasters = filtered;
+    page = await cache.wrap(CACHE_NAMESPACE, cacheKey, async () => {
+      log(`Fetching: ${wikiTitle}`);
+      try {
+        const html = await fetchPage(wikiUrl);
+        return { sourceUrl: wikiUrl, broadcasters: parseBroadcasters(html) };
+      } catch (err) {
+        // A missing article is a "no match" (cached briefly), not an error
+        if (err.response && err.response.status === 404) {
+          log(`Article not found: ${wikiTitle}`);
+          return { sourceUrl: null, broadcasters: [] };
+        }
+        throw err;
       }
-    }
-    
-    // Log summary
-    if (broadcasters.length > 0) {
-      const channelList = [...new Set(broadcasters.map(b => b.channel))].slice(0, 5).join(', ');
-      const more = broadcasters.length > 5 ? ', ...' : '';
-      log(`${leagueName} ${effectiveSeason}: broadcasters=${broadcasters.length} (${channelList}${more})`);
-    } else {
-      log(`${leagueName} ${effectiveSeason}: no broadcasters found`);
-    }
-    
-    const result = {
-      sourceUrl: wikiUrl,
-      broadcasters
-    };
-    
-    // Cache the result
-    cache.set(cacheKey, { data: result, timestamp: Date.now() });
-    
-    return result;
-    
+    }, { isNegative: (result) => result.broadcasters.length === 0 });
   } catch (err) {
-    // Handle 404 (article not found) gracefully
-    if (err.response && err.response.status === 404) {
-      log(`Article not found: ${wikiTitle}`);
-    } else {
-      log(`Error fetching ${wikiTitle}: ${err.message}`);
-    }
+    log(`Error fetching ${wikiTitle}: ${err.message}`);
     return emptyResult;
   }
+  
+  let broadcasters = page.broadcasters;
+  
+  // Filter by country if specified
+  if (country && broadcasters.length > 0) {
+    const countryLower = country.toLowerCase();
+    const filtered = broadcasters.filter(b => {
+      const regionLower = b.region.toLowerCase();
+      // Match country or common variations
+      return regionLower.includes(countryLower) ||
+             (countryLower === 'uk' && (regionLower.includes('united kingdom') || regionLower.includes('britain'))) ||
+             (countryLower === 'usa' && (regionLower.includes('united states') || regionLower.includes('america')));
+    });
+    
+    // Only use filtered if it has results, otherwise return all
+    if (filtered.length > 0) {
+      broadcasters = filtered;
+    }
+  }
+  
+  // Log summary
+  if (broadcasters.length > 0) {
+    const channelList = [...new Set(broadcasters.map(b => b.channel))].slice(0, 5).join(', ');
+    const more = broadcasters.length > 5 ? ', ...' : '';
+    log(`${leagueName} ${effectiveSeason}: broadcasters=${broadcasters.length} (${channelList}${more})`);
+  } else {
+    log(`${leagueName} ${effectiveSeason}: no broadcasters found`);
+  }
+  
+  return {
+    sourceUrl: page.sourceUrl,
+    broadcasters
+  };
 }
 
 /**
@@ -499,10 +540,10 @@ function getUniqueChannels(broadcasters, region = null) {
 }
 
 /**
- * Clear the in-memory cache.
+ * Clear cached Wikipedia pages.
  */
 function clearCache() {
-  cache.clear();
+  cache.purge({ namespace: CACHE_NAMESPACE });
 }
 
 // ---------- Module Exports ----------
@@ -518,5 +559,6 @@ module.exports = {
   parseBroadcasters,
   cleanChannelName,
   cleanRegionName,
-  LEAGUE_PATTERNS
+  LEAGUE_PATTERNS,
+  SPORT_LEAGUE_PATTERNS
 };
@@ -0,0 +1,215 @@
+// tests/api.test.js
+// Test suite for the JSON API helpers and the API key store.
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Point the key store at a throwaway path before loading the module
+const TEST_KEYS_PATH = path.join(os.tmpdir(), `api_keys_test_${process.pid}.json`);
+process.env.API_KEYS_PATH = TEST_KEYS_PATH;
+
+// Stub the scrapers so no network calls are made
+const fixturesScraper = require('../scrapers/fixtures_scraper');
+const tvAggregator = require('../aggregators/tv_channels');
+let scraperCalls = 0;
+fixturesScraper.getFixturesForTeams = async () => {
+  scraperCalls++;
+  return [
+    {
+      start: new Date('2025-03-15T15:00:00Z'),
+      homeTeam: 'Arsenal',
+      awayTeam: 'Chelsea',
+      competition: 'Premier League',
+      location: 'Emirates Stadium',
+      tvChannels: ['Sky Sports Main Event', 'Peacock'],
+      tvByRegion: [
+        { region: 'UK', channel: 'Sky Sports Main Event', source: 'LFOTV' },
+        { region: 'USA', channel: 'Peacock', source: 'TSDB' }
+      ],
+      source: 'TSDB'
+    },
+    {
+      start: new Date('2025-03-18T19:45:00Z'),
+      homeTeam: 'Arsenal',
+      awayTeam: 'PSV',
+      tvChannels: [],
+      tvByRegion: [{ region: 'UK', channel: 'TNT Sports 1' }],
+      source: 'BBC'
+    }
+  ];
+};
+let tvCalls = 0;
+tvAggregator.getTvDataForFixture = async (fixture) => {
+  tvCalls++;
+  return {
+    homeTeam: fixture.homeTeam,
+    awayTeam: fixture.awayTeam,
+    league: 'Premier League',
+    kickoffUtc: fixture.dateUtc.toISOString(),
+    tvRegions: [
+      { region: 'UK', channel: 'Sky Sports Main Event', source: 'lstv' },
+      { region: 'USA', channel: 'Peacock', source: 'tsdb' }
+    ],
+    tvStationsFlat: ['Sky Sports Main Event', 'Peacock'],
+    sourcesUsed: { lstv: true, tsdb: true }
+  };
+};
+
+const api = require('../api');
+const apiKeys = require('../lib/api_keys');
+
+// Test counters
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (err) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${err.message}`);
+    failed++;
+  }
+}
+
+async function asyncTest(name, fn) {
+  try {
+    await fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (err) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${err.message}`);
+    failed++;
+  }
+}
+
+console.log('API Tests\n=========\n');
+
+const now = new Date('2025-03-14T12:00:00Z');
+
+(async () => {
+  // ---------- Query Tests ----------
+
+  console.log('--- Query Tests ---\n');
+
+  test('parseFixtureQuery: defaults and comma-separated teams', () => {
+    const { options } = api.parseFixtureQuery({ team: 'Arsenal, Chelsea' }, now);
+    assert.deepStrictEqual(options.teams, ['Arsenal', 'Chelsea']);
+    assert.strictEqual(options.from.toISOString(), now.toISOString());
+    assert.strictEqual(options.to.toISOString(), '2025-03-21T12:00:00.000Z');
+    assert.strictEqual(options.page, 1);
+    assert.strictEqual(options.pageSize, 20);
+  });
+
+  test('parseFixtureQuery: a "to" date includes the whole day', () => {
+    const { options } = api.parseFixtureQuery({ team: 'Arsenal', from: '2025-03-15', to: '2025-03-15' }, now);
+    assert.strictEqual(options.to.toISOString(), '2025-03-15T23:59:59.999Z');
+  });
+
+  test('parseFixtureQuery: rejects bad input', () => {
+    assert.ok(api.parseFixtureQuery({}, now).error);
+    assert.ok(api.parseFixtureQuery({ team: 'Arsenal', from: 'soon' }, now).error);
+    assert.ok(api.parseFixtureQuery({ team: 'Arsenal', from: '2025-03-20', to: '2025-03-16' }, now).error);
+    assert.ok(api.parseFixtureQuery({ team: 'Arsenal', to: '2025-06-01' }, now).error);
+    assert.ok(api.parseFixtureQuery({ team: 'Arsenal', pageSize: '500' }, now).error);
+    assert.ok(api.parseFixtureQuery({ team: 'Arsenal', page: '0' }, now).error);
+  });
+
+  test('encodeFixtureId / decodeFixtureId: round trip', () => {
+    const id = api.encodeFixtureId({ start: new Date('2025-03-15T15:00:00Z'), homeTeam: 'Brighton & Hove Albion', awayTeam: 'Spurs' });
+    assert.ok(/^[A-Za-z0-9_-]+$/.test(id));
+    const decoded = api.decodeFixtureId(id);
+    assert.strictEqual(decoded.start.toISOString(), '2025-03-15T15:00:00.000Z');
+    assert.strictEqual(decoded.homeTeam, 'Brighton & Hove Albion');
+    assert.strictEqual(api.decodeFixtureId('not-an-id'), null);
+  });
+
+  test('paginate: slices and counts pages', () => {
+    const result = api.paginate([1, 2, 3, 4, 5], 2, 2);
+    assert.deepStrictEqual(result.data, [3, 4]);
+    assert.deepStrictEqual(result.meta, { page: 2, pageSize: 2, total: 5, totalPages: 3 });
+  });
+
+  test('getEtag: same body, same ETag', () => {
+    assert.strictEqual(api.getEtag({ a: 1 }), api.getEtag({ a: 1 }));
+    assert.notStrictEqual(api.getEtag({ a: 1 }), api.getEtag({ a: 2 }));
+  });
+
+  // ---------- Endpoint Tests ----------
+
+  console.log('\n--- Endpoint Tests ---\n');
+
+  await asyncTest('listFixtures: date range, region filter and caching', async () => {
+    const { options } = api.parseFixtureQuery({ team: 'Arsenal', region: 'usa' }, now);
+    const result = await api.listFixtures(options, now);
+    assert.strictEqual(result.meta.total, 1);
+    assert.strictEqual(result.data[0].homeTeam, 'Arsenal');
+    assert.deepStrictEqual(result.data[0].tvChannels, ['Peacock']);
+    assert.strictEqual(result.data[0].venue, 'Emirates Stadium');
+
+    const all = await api.listFixtures(api.parseFixtureQuery({ team: 'arsenal' }, now).options, now);
+    assert.strictEqual(all.meta.total, 2);
+    assert.strictEqual(scraperCalls, 1);
+  });
+
+  await asyncTest('getFixtureTv: decodes the id and filters by region', async () => {
+    const id = api.encodeFixtureId({ start: new Date('2025-03-15T15:00:00Z'), homeTeam: 'Arsenal', awayTeam: 'Chelsea' });
+    const tv = await api.getFixtureTv(id, { region: 'UK' });
+    assert.strictEqual(tv.awayTeam, 'Chelsea');
+    assert.deepStrictEqual(tv.tvStationsFlat, ['Sky Sports Main Event']);
+    assert.strictEqual(await api.getFixtureTv('bad'), null);
+  });
+
+  await asyncTest('getFixtureTv: the cache keeps only the most recently used entries', async () => {
+    api.clearApiCache();
+    const idFor = (n) => api.encodeFixtureId({ start: new Date('2025-03-15T15:00:00Z'), homeTeam: `Team ${n}`, awayTeam: 'Chelsea' });
+    const before = tvCalls;
+    for (let n = 0; n <= api.MAX_CACHE_ENTRIES; n++) {
+      await api.getFixtureTv(idFor(n));
+    }
+    assert.strictEqual(tvCalls - before, api.MAX_CACHE_ENTRIES + 1);
+
+    // The newest is still cached; the oldest was evicted and is looked up again
+    await api.getFixtureTv(idFor(api.MAX_CACHE_ENTRIES));
+    assert.strictEqual(tvCalls - before, api.MAX_CACHE_ENTRIES + 1);
+    await api.getFixtureTv(idFor(0));
+    assert.strictEqual(tvCalls - before, api.MAX_CACHE_ENTRIES + 2);
+  });
+
+  // ---------- API Key Tests ----------
+
+  console.log('\n--- API Key Tests ---\n');
+
+  test('createKey / verifyKey / revokeKey', () => {
+    const { key, entry } = apiKeys.createKey('Dashboard');
+    assert.ok(key.startsWith(entry.prefix));
+    assert.strictEqual(apiKeys.verifyKey(key).id, entry.id);
+    assert.strictEqual(apiKeys.verifyKey(key + 'x'), null);
+    assert.strictEqual(apiKeys.verifyKey(''), null);
+    assert.ok(!fs.readFileSync(TEST_KEYS_PATH, 'utf8').includes(key));
+
+    assert.strictEqual(apiKeys.revokeKey(entry.id), true);
+    assert.strictEqual(apiKeys.verifyKey(key), null);
+    assert.strictEqual(apiKeys.revokeKey(entry.id), false);
+    assert.ok(apiKeys.listKeys()[0].revokedAt);
+    assert.strictEqual(apiKeys.listKeys()[0].hash, undefined);
+  });
+
+  // ---------- Cleanup & Summary ----------
+
+  try {
+    fs.unlinkSync(TEST_KEYS_PATH);
+  } catch (err) {
+    // Ignore cleanup errors
+  }
+
+  console.log('\n=========');
+  console.log(`Total: ${passed + failed} | Passed: ${passed} | Failed: ${failed}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+})();
@@ -0,0 +1,200 @@
+// tests/asset_cache.test.js
+// Test suite for the crest/logo asset cache and drawing assets on posters.
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const canvas = require('@napi-rs/canvas');
+
+// Point the stores at throwaway paths before loading the modules
+const TEST_ASSET_DIR = path.join(os.tmpdir(), `asset_cache_test_${process.pid}`);
+const TEST_PATHS = {
+  TEAM_REGISTRY_PATH: path.join(os.tmpdir(), `asset_cache_registry_test_${process.pid}.json`),
+  CHANNEL_DICTIONARY_PATH: path.join(os.tmpdir(), `asset_cache_channels_test_${process.pid}.json`)
+};
+process.env.ASSET_CACHE_DIR = TEST_ASSET_DIR;
+Object.assign(process.env, TEST_PATHS);
+
+const assetCache = require('../lib/asset_cache');
+const channelDictionary = require('../lib/channel_dictionary');
+const posterTemplates = require('../lib/poster_templates');
+const autopost = require('../autopost');
+
+// Test counters
+let passed = 0;
+let failed = 0;
+
+async function asyncTest(name, fn) {
+  resetStores();
+  try {
+    await fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (err) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${err.message}`);
+    failed++;
+  }
+}
+
+function resetStores() {
+  fs.rmSync(TEST_ASSET_DIR, { recursive: true, force: true });
+  for (const file of Object.values(TEST_PATHS)) {
+    try {
+      fs.unlinkSync(file);
+    } catch (err) {
+      // Ignore missing file
+    }
+  }
+}
+
+function makePng(color) {
+  const cvs = canvas.createCanvas(16, 16);
+  const ctx = cvs.getContext('2d');
+  ctx.fillStyle = color;
+  ctx.fillRect(0, 0, 16, 16);
+  return cvs.toBuffer('image/png');
+}
+
+// Serve images instead of downloading them
+const realGet = axios.get;
+let downloads = [];
+let responses = {};
+axios.get = async (url) => {
+  downloads.push(url);
+  const response = responses[url];
+  if (!response) throw new Error('Request failed with status code 404');
+  return response;
+};
+const pngResponse = (color) => ({ data: makePng(color), headers: { 'content-type': 'image/png' } });
+
+console.log('Asset Cache Tests\n=================\n');
+
+(async () => {
+  // ---------- Cache Tests ----------
+
+  console.log('--- Cache Tests ---\n');
+
+  await asyncTest('fetchAsset: noted URL is downloaded once, aliases share it', async () => {
+    downloads = [];
+    responses = { 'https://img.example/arsenal.png': pngResponse('#f00') };
+    assert.strictEqual(assetCache.noteAssetUrl('crest', 'Arsenal', 'https://img.example/arsenal.png'), true);
+
+    const file = await assetCache.fetchAsset('crest', 'Arsenal');
+    assert.ok(file && fs.existsSync(file));
+    assert.strictEqual(await assetCache.fetchAsset('crest', 'Arsenal FC'), file);
+    assert.deepStrictEqual(downloads, ['https://img.example/arsenal.png']);
+
+    const [entry] = assetCache.listAssets('crest');
+    assert.strictEqual(entry.name, 'Arsenal');
+    assert.strictEqual(entry.urlSource, 'tsdb');
+    assert.strictEqual(entry.hasFile, true);
+  });
+
+  await asyncTest('fetchAsset: failures and non-images are negative-cached', async () => {
+    downloads = [];
+    responses = { 'https://img.example/page.html': { data: Buffer.from('<html>'), headers: { 'content-type': 'text/html' } } };
+    assetCache.noteAssetUrl('crest', 'Chelsea', 'https://img.example/missing.png');
+    assetCache.noteAssetUrl('logo', 'Sky Sports Main Event', 'https://img.example/page.html');
+
+    assert.strictEqual(await assetCache.fetchAsset('crest', 'Chelsea'), null);
+    assert.strictEqual(await assetCache.fetchAsset('logo', 'Sky Sports Main Event'), null);
+    assert.strictEqual(await assetCache.fetchAsset('crest', 'Chelsea'), null);
+    assert.strictEqual(downloads.length, 2, 'no second download inside the retry window');
+
+    const logo = assetCache.listAssets('logo')[0];
+    assert.ok(/Not an image \(text\/html\)/.test(logo.error));
+
+    // A lookup that finds nothing is remembered too
+    let lookups = 0;
+    const lookup = async () => { lookups++; return null; };
+    await assetCache.fetchAsset('crest', 'Leeds', { lookup });
+    await assetCache.fetchAsset('crest', 'Leeds', { lookup });
+    assert.strictEqual(lookups, 1);
+
+    // Retry clears the failure
+    responses['https://img.example/missing.png'] = pngResponse('#00f');
+    assert.strictEqual(assetCache.retryAsset('crest', assetCache.getAssetKey('crest', 'Chelsea')), true);
+    assert.ok(await assetCache.fetchAsset('crest', 'Chelsea'));
+  });
+
+  await asyncTest('uploads and admin URLs win over source URLs', async () => {
+    downloads = [];
+    responses = { 'https://img.example/admin.png': pngResponse('#0f0') };
+
+    assert.ok(assetCache.saveUpload('crest', 'Arsenal', makePng('#fff'), 'png').asset);
+    assert.strictEqual(assetCache.noteAssetUrl('crest', 'Arsenal', 'https://img.example/tsdb.png'), false);
+    assert.ok(await assetCache.fetchAsset('crest', 'Arsenal'));
+    assert.deepStrictEqual(downloads, []);
+
+    // An admin URL replaces the upload and isn't overwritten by sources
+    assert.ok(assetCache.setAssetUrl('crest', 'Arsenal', 'https://img.example/admin.png').asset);
+    assert.strictEqual(assetCache.noteAssetUrl('crest', 'Arsenal', 'https://img.example/tsdb.png'), false);
+    assert.ok(await assetCache.fetchAsset('crest', 'Arsenal'));
+    assert.deepStrictEqual(downloads, ['https://img.example/admin.png']);
+
+    assert.ok(assetCache.saveUpload('crest', 'Arsenal', Buffer.from('x'), 'svg').error);
+    assert.ok(assetCache.setAssetUrl('logo', 'BBC One', 'ftp://example').error);
+    assert.strictEqual(assetCache.removeAsset('crest', assetCache.getAssetKey('crest', 'Arsenal')), true);
+    assert.strictEqual(assetCache.getAssetPath('crest', 'Arsenal'), null);
+  });
+
+  await asyncTest('fetchAsset: logos fall back to the channel dictionary logo URL', async () => {
+    downloads = [];
+    responses = { 'https://img.example/tnt1.png': pngResponse('#000') };
+    assert.ok(channelDictionary.saveChannel({ name: 'TNT Sports 1', logo: 'https://img.example/tnt1.png' }).channel);
+    assert.ok(channelDictionary.saveChannel({ name: 'TNT Sports 2', logo: 'not a url' }).error);
+
+    assert.ok(await assetCache.fetchAsset('logo', 'TNT Sports 1 HD'));
+    assert.deepStrictEqual(downloads, ['https://img.example/tnt1.png']);
+  });
+
+  // ---------- Rendering Tests ----------
+
+  console.log('\n--- Rendering Tests ---\n');
+
+  await asyncTest('posters draw cached crests and logos, and fall back to text without them', async () => {
+    const fixture = {
+      start: new Date(),
+      homeTeam: 'Arsenal',
+      awayTeam: 'Chelsea',
+      timeUk: '5:30pm',
+      tvByRegion: [{ region: 'UK', channel: 'Sky Sports Main Event' }]
+    };
+    const options = { posterFooterText: '', showFooter: false, plainBackground: true };
+    const template = posterTemplates.getTemplate('classic');
+
+    const plain = await autopost.renderPosterPreview(fixture, options, template);
+    assert.ok(plain.image);
+
+    assetCache.saveUpload('crest', 'Arsenal', makePng('#f00'), 'png');
+    assetCache.saveUpload('crest', 'Chelsea', makePng('#00f'), 'png');
+    const withCrests = await autopost.renderPosterPreview(fixture, options, template);
+    assetCache.saveUpload('logo', 'Sky Sports Main Event', makePng('#0f0'), 'png');
+    const withLogo = await autopost.renderPosterPreview(fixture, options, template);
+
+    assert.strictEqual(new Set([plain.image, withCrests.image, withLogo.image]).size, 3);
+
+    // Templates without crests or logos ignore the cache
+    const { template: textOnly } = posterTemplates.validateTemplate({
+      id: 'text-only',
+      elements: [{ type: 'match', y: 0.4 }, { type: 'regions', layout: 'list' }]
+    });
+    const after = await autopost.renderPosterPreview(fixture, options, textOnly);
+    resetStores();
+    const before = await autopost.renderPosterPreview(fixture, options, textOnly);
+    assert.strictEqual(before.image, after.image);
+  });
+
+  axios.get = realGet;
+  resetStores();
+
+  // ---------- Summary ----------
+
+  console.log('\n=================');
+  console.log(`Total: ${passed + failed} | Passed: ${passed} | Failed: ${failed}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+})();
@@ -0,0 +1,122 @@
+// tests/audience.test.js
+// Test suite for per-channel audience timezones and regions on posters.
+
+const assert = require('assert');
+const os = require('os');
+const path = require('path');
+
+// Point the stores at throwaway paths before loading the modules
+process.env.TEAM_REGISTRY_PATH = path.join(os.tmpdir(), `audience_registry_test_${process.pid}.json`);
+
+const audience = require('../lib/audience');
+const matchdayCards = require('../lib/matchday_cards');
+const autopost = require('../autopost');
+
+// Test counters
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (err) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${err.message}`);
+    failed++;
+  }
+}
+
+// Saturday 16 March 2030, 3pm in the UK
+const FIXTURE = {
+  start: new Date('2030-03-16T15:00:00Z'),
+  summary: 'Arsenal v Chelsea',
+  homeTeam: 'Arsenal',
+  awayTeam: 'Chelsea',
+  competition: 'Premier League',
+  tvByRegion: [
+    { region: 'UK', channel: 'Sky Sports Main Event' },
+    { region: 'USA', channel: 'Peacock' },
+    { region: 'Nigeria', channel: 'SuperSport Premier League' },
+    { region: 'Australia', channel: 'Stan Sport' }
+  ]
+};
+
+const timesLine = (text) => text.split('\n')[4];
+
+console.log('Audience Tests\n==============\n');
+
+// ---------- Timezone Tests ----------
+
+console.log('--- Timezone Tests ---\n');
+
+test('getAudienceTimezones: UK and ET by default, labels filled in, bad zones skipped', () => {
+  assert.deepStrictEqual(audience.getAudienceTimezones({}), audience.DEFAULT_TIMEZONES);
+  assert.deepStrictEqual(audience.getAudienceTimezones({ audienceTimezones: [{ zone: 'Mars/Olympus' }] }), audience.DEFAULT_TIMEZONES);
+  assert.deepStrictEqual(audience.getAudienceTimezones({
+    audienceTimezones: ['Asia/Kolkata', { zone: 'America/Sao_Paulo' }, { zone: 'Africa/Lagos', label: 'Lagos' }, { zone: 'Europe/London' }]
+  }), [
+    { zone: 'Asia/Kolkata', label: 'IST' },
+    { zone: 'America/Sao_Paulo', label: 'Sao Paulo' },
+    { zone: 'Africa/Lagos', label: 'Lagos' }
+  ]);
+});
+
+test('parseAudienceTimezones: "Timezone = label" lines, errors for unknown zones or too many', () => {
+  assert.deepStrictEqual(audience.parseAudienceTimezones('Africa/Lagos = WAT\n\n Europe/London \n'), {
+    timezones: [{ zone: 'Africa/Lagos', label: 'WAT' }, { zone: 'Europe/London' }]
+  });
+  assert.deepStrictEqual(audience.parseAudienceTimezones(''), { timezones: [] });
+  assert.ok(/Lagos\/Nigeria/.test(audience.parseAudienceTimezones('Lagos/Nigeria').error));
+  assert.ok(audience.parseAudienceTimezones('UTC\nEurope/London\nAsia/Tokyo\nAsia/Dubai').error);
+});
+
+test('getChannelTimezone: first audience timezone, else the fallback', () => {
+  assert.strictEqual(audience.getChannelTimezone({}, 'Europe/Dublin'), 'Europe/Dublin');
+  assert.strictEqual(audience.getChannelTimezone({ audienceTimezones: [{ zone: 'Asia/Kolkata' }] }), 'Asia/Kolkata');
+});
+
+// ---------- Poster Tests ----------
+
+console.log('\n--- Poster Tests ---\n');
+
+test('posters keep UK and ET times without audience settings', () => {
+  const posterFixture = autopost.adaptFixtureForPoster(FIXTURE);
+  assert.strictEqual(timesLine(autopost.formatFixturePoster(posterFixture)), '3:00pm UK    11:00am ET');
+  assert.strictEqual(posterFixture.tvByRegion.length, 4);
+});
+
+test('posters show the audience clocks, with the weekday for another day', () => {
+  const channel = { audienceTimezones: [{ zone: 'Africa/Lagos', label: 'WAT' }, { zone: 'Asia/Kolkata' }, { zone: 'Australia/Sydney' }] };
+  const posterFixture = autopost.adaptFixtureForPoster(FIXTURE, channel);
+  assert.strictEqual(timesLine(autopost.formatFixturePoster(posterFixture)), '4:00pm WAT    8:30pm IST    Sun 2:00am AET');
+  assert.strictEqual(posterFixture.timeUk, '3:00pm');
+});
+
+test('regionsOnly: posters list only the audience regions', () => {
+  const channel = { regionPriority: ['Nigeria', 'UK'], regionsOnly: true };
+  const posterFixture = autopost.adaptFixtureForPoster(FIXTURE, channel);
+  assert.deepStrictEqual(posterFixture.tvByRegion.map((e) => e.region), ['Nigeria', 'UK']);
+  assert.ok(/🇳🇬 Nigeria/.test(autopost.formatFixturePoster(posterFixture)));
+  assert.ok(!/Peacock/.test(autopost.formatFixturePoster(posterFixture)));
+});
+
+test('matchday cards use the first audience clock and region', () => {
+  const channel = { audienceTimezones: [{ zone: 'Australia/Sydney' }], regionPriority: ['Australia'] };
+  const [page] = matchdayCards.buildCardPages([autopost.adaptFixtureForPoster(FIXTURE, channel)], {
+    timezone: audience.getChannelTimezone(channel),
+    region: matchdayCards.getCardRegion(channel),
+    now: new Date('2030-03-16T09:00:00Z')
+  });
+  assert.strictEqual(page.dateLabel, 'Sunday 17 March');
+  assert.strictEqual(page.heading, 'TOMORROW ON TV');
+  assert.deepStrictEqual(page.rows.map((r) => (r.type === 'group' ? r.time : r.channel)), ['2:00am', 'Stan Sport']);
+});
+
+// ---------- Summary ----------
+
+console.log('\n==============');
+console.log(`Total: ${passed + failed} | Passed: ${passed} | Failed: ${failed}`);
+
+process.exit(failed > 0 ? 1 : 0);
@@ -98,8 +98,8 @@ test('VPS scrapers: all marked as requiresVPS and isVps', () => {
   const registry = autoTester.SCRAPER_REGISTRY;
   const vpsScrapers = Object.values(registry).filter(s => s.id.startsWith('vps-'));
   
-  // Verify we have the expected number of VPS scrapers (11 including liveonsat)
-  assert(vpsScrapers.length === 11, `Expected 11 VPS scrapers, got ${vpsScrapers.length}`);
+  // Verify we have the expected number of VPS scrapers (12 including liveonsat and sofascore)
+  assert(vpsScrapers.length === 12, `Expected 12 VPS scrapers, got ${vpsScrapers.length}`);
   
   // Verify all VPS scrapers have correct flags and endpoint config
   for (const scraper of vpsScrapers) {
@@ -124,7 +124,7 @@ test('getScraperConfig: returns config for VPS scraper', () => {
 test('listScrapers: includes VPS scrapers', () => {
   const scrapers = autoTester.listScrapers();
   const vpsScrapers = scrapers.filter(s => s.id.startsWith('vps-'));
-  assert(vpsScrapers.length === 11, `Expected 11 VPS scrapers in list, got ${vpsScrapers.length}`);
+  assert(vpsScrapers.length === 12, `Expected 12 VPS scrapers in list, got ${vpsScrapers.length}`);
 });
 
 // ---------- Scrape Store Tests ----------
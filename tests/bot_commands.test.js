@@ -0,0 +1,205 @@
+// tests/bot_commands.test.js
+// Test suite for the bot commands (parsing, fixture filtering, follows and reminders).
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Point the follower store at a throwaway file before loading the modules
+const TEST_STORE_PATH = path.join(os.tmpdir(), `bot_subscribers_test_${process.pid}.json`);
+process.env.SUBSCRIBERS_PATH = TEST_STORE_PATH;
+
+// TV lookups cache into a throwaway directory
+const TEST_CACHE_DIR = path.join(os.tmpdir(), `bot_cache_test_${process.pid}`);
+process.env.CACHE_DIR = TEST_CACHE_DIR;
+
+// ... and learn unknown team names into a throwaway registry
+const TEST_REGISTRY_PATH = path.join(os.tmpdir(), `bot_team_registry_test_${process.pid}.json`);
+process.env.TEAM_REGISTRY_PATH = TEST_REGISTRY_PATH;
+
+const autopost = require('../autopost');
+const subscribers = require('../lib/subscribers');
+const botCommands = require('../bot_commands');
+
+// Test counters
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (err) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${err.message}`);
+    failed++;
+  }
+}
+
+async function asyncTest(name, fn) {
+  try {
+    await fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (err) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${err.message}`);
+    failed++;
+  }
+}
+
+console.log('Bot Commands Tests\n==================\n');
+
+// ---------- Command Parsing Tests ----------
+
+console.log('--- Command Parsing Tests ---\n');
+
+test('parseCommand: command with arguments', () => {
+  assert.deepStrictEqual(botCommands.parseCommand('/team  Arsenal '), { command: 'team', args: 'Arsenal' });
+});
+
+test('parseCommand: strips @BotName suffix and lowercases', () => {
+  assert.deepStrictEqual(botCommands.parseCommand('/Today@SportsTvBot'), { command: 'today', args: '' });
+});
+
+test('parseCommand: ignores plain text', () => {
+  assert.strictEqual(botCommands.parseCommand('what is on today?'), null);
+  assert.strictEqual(botCommands.parseCommand(''), null);
+});
+
+test('parseMatchArgs: accepts v, vs and dash separators', () => {
+  const expected = { homeTeam: 'Arsenal', awayTeam: 'Chelsea' };
+  assert.deepStrictEqual(botCommands.parseMatchArgs('Arsenal v Chelsea'), expected);
+  assert.deepStrictEqual(botCommands.parseMatchArgs('Arsenal vs. Chelsea'), expected);
+  assert.deepStrictEqual(botCommands.parseMatchArgs('Arsenal - Chelsea'), expected);
+});
+
+test('parseMatchArgs: keeps multi-word team names', () => {
+  assert.deepStrictEqual(
+    botCommands.parseMatchArgs('West Ham United v Nottingham Forest'),
+    { homeTeam: 'West Ham United', awayTeam: 'Nottingham Forest' }
+  );
+});
+
+test('parseMatchArgs: null without two teams', () => {
+  assert.strictEqual(botCommands.parseMatchArgs('Arsenal'), null);
+  assert.strictEqual(botCommands.parseMatchArgs(''), null);
+});
+
+// ---------- Fixture Filter Tests ----------
+
+console.log('\n--- Fixture Filter Tests ---\n');
+
+const now = new Date('2025-03-01T09:00:00Z');
+const fixtures = [
+  { start: new Date('2025-03-01T15:00:00Z'), homeTeam: 'Arsenal', awayTeam: 'Chelsea', tvChannel: 'Sky Sports' },
+  { start: new Date('2025-03-01T23:30:00Z'), homeTeam: 'Leeds United', awayTeam: 'Hull City' },
+  { start: new Date('2025-03-02T14:00:00Z'), homeTeam: 'Everton', awayTeam: 'Arsenal FC' },
+  { start: new Date('2025-02-28T20:00:00Z'), homeTeam: 'Arsenal', awayTeam: 'Spurs' }
+];
+
+test('filterFixturesForDay: today and tomorrow in the configured timezone', () => {
+  assert.strictEqual(botCommands.filterFixturesForDay(fixtures, 0, 'Europe/London', now).length, 2);
+  assert.strictEqual(botCommands.filterFixturesForDay(fixtures, 1, 'Europe/London', now).length, 1);
+});
+
+test('filterFixturesForDay: late kickoff moves to the next day in a later timezone', () => {
+  const today = botCommands.filterFixturesForDay(fixtures, 0, 'Europe/Berlin', now);
+  assert.deepStrictEqual(today.map(f => f.homeTeam), ['Arsenal']);
+});
+
+test('findTeamFixtures: matches home or away, ignoring FC and case', () => {
+  const found = botCommands.findTeamFixtures(fixtures, 'arsenal', now);
+  assert.deepStrictEqual(found.map(f => f.awayTeam), ['Chelsea', 'Arsenal FC']);
+});
+
+test('findTeamFixtures: partial names match', () => {
+  assert.strictEqual(botCommands.findTeamFixtures(fixtures, 'Leeds', now).length, 1);
+  assert.strictEqual(botCommands.findTeamFixtures(fixtures, '', now).length, 0);
+});
+
+test('findMatchFixture: finds the fixture either way round', () => {
+  assert.strictEqual(botCommands.findMatchFixture(fixtures, 'Chelsea', 'Arsenal'), fixtures[0]);
+  assert.strictEqual(botCommands.findMatchFixture(fixtures, 'Leeds', 'Chelsea'), null);
+});
+
+test('formatFixtureLine: time, teams and TV channel', () => {
+  assert.strictEqual(
+    botCommands.formatFixtureLine(fixtures[0], 'Europe/London'),
+    '15:00  Arsenal v Chelsea (Sky Sports)'
+  );
+  assert.ok(botCommands.formatFixtureLine(fixtures[2], 'Europe/London', true).startsWith('Sun 2 Mar 14:00'));
+});
+
+// ---------- Command Handler Tests ----------
+
+(async () => {
+  console.log('\n--- Command Handler Tests ---\n');
+
+  await asyncTest('handleCommand: /help returns the command list', async () => {
+    const reply = await botCommands.handleCommand({}, 1, { command: 'help', args: '' });
+    assert.strictEqual(reply, botCommands.HELP_TEXT);
+  });
+
+  await asyncTest('handleCommand: unknown commands are ignored', async () => {
+    assert.strictEqual(await botCommands.handleCommand({}, 1, { command: 'weather', args: '' }), null);
+  });
+
+  await asyncTest('handleCommand: /tv without two teams replies with usage', async () => {
+    const reply = await botCommands.handleCommand({}, 1, { command: 'tv', args: 'Arsenal' });
+    assert.ok(reply.startsWith('Usage: /tv'));
+  });
+
+  await asyncTest('handleCommand: /follow and /unfollow update the store', async () => {
+    const reply = await botCommands.handleCommand({}, 500, { command: 'follow', args: 'Leeds' }, { username: 'fan' });
+    assert.ok(reply.startsWith('Following Leeds.'));
+    assert.deepStrictEqual(subscribers.listFollows(500), ['Leeds']);
+    const following = await botCommands.handleCommand({}, 500, { command: 'following', args: '' });
+    assert.ok(following.includes('- Leeds'));
+    await botCommands.handleCommand({}, 500, { command: 'unfollow', args: 'leeds' });
+    assert.deepStrictEqual(subscribers.listFollows(500), []);
+  });
+
+  // ---------- Reminder Tests ----------
+
+  console.log('\n--- Reminder Tests ---\n');
+
+  const sentTo = [];
+  autopost.buildChannelMessage = async () => ({
+    fixtures: [
+      { start: new Date(Date.now() + 20 * 60 * 1000), summary: 'Leeds United v Hull City', homeTeam: 'Leeds United', awayTeam: 'Hull City', competition: 'Championship' },
+      { start: new Date(Date.now() + 3 * 60 * 60 * 1000), summary: 'Leeds United v Burnley', homeTeam: 'Leeds United', awayTeam: 'Burnley' }
+    ]
+  });
+  autopost.sendTelegramMessage = async (token, chatId, text) => {
+    sentTo.push({ chatId, text });
+    return { message_id: sentTo.length };
+  };
+  botCommands.clearFixtureCache();
+  subscribers.followTeam(600, 'Leeds');
+
+  await asyncTest('sendDueReminders: reminds followers once, only inside the lead window', async () => {
+    const cfg = { channels: [{ id: '@x' }], alertLeadMinutes: 30 };
+    const sent = await botCommands.sendDueReminders('token', cfg);
+    assert.strictEqual(sent, 1);
+    assert.strictEqual(sentTo[0].chatId, 600);
+    assert.ok(sentTo[0].text.startsWith('Reminder: kick-off in 20 min'));
+    assert.ok(sentTo[0].text.includes('LEEDS UNITED v HULL CITY'));
+    assert.strictEqual(await botCommands.sendDueReminders('token', cfg), 0);
+  });
+
+  try {
+    fs.unlinkSync(TEST_STORE_PATH);
+  } catch (err) {
+    // Ignore cleanup errors
+  }
+  fs.rmSync(TEST_CACHE_DIR, { recursive: true, force: true });
+  fs.rmSync(TEST_REGISTRY_PATH, { force: true });
+
+  console.log('\n==================');
+  console.log(`Total: ${passed + failed} | Passed: ${passed} | Failed: ${failed}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+})();
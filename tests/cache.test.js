@@ -0,0 +1,167 @@
+// tests/cache.test.js
+// Test suite for the persistent shared cache.
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Point the cache at a throwaway directory before loading the module
+const TEST_CACHE_DIR = path.join(os.tmpdir(), `cache_test_${process.pid}`);
+process.env.CACHE_DIR = TEST_CACHE_DIR;
+
+const cache = require('../lib/cache');
+
+// Test counters
+let passed = 0;
+let failed = 0;
+
+async function asyncTest(name, fn) {
+  cache.purge();
+  try {
+    await fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (err) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${err.message}`);
+    failed++;
+  }
+}
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// A fetcher that counts its calls
+function counter(value) {
+  const fetcher = async () => {
+    fetcher.calls++;
+    if (value instanceof Error) throw value;
+    return typeof value === 'function' ? value(fetcher.calls) : value;
+  };
+  fetcher.calls = 0;
+  return fetcher;
+}
+
+console.log('Cache Tests\n===========\n');
+
+(async () => {
+  // ---------- Wrap Tests ----------
+
+  console.log('--- Wrap Tests ---\n');
+
+  await asyncTest('wrap: fresh entries are served without fetching, per key', async () => {
+    const fetcher = counter((n) => ({ n }));
+    assert.deepStrictEqual(await cache.wrap('sky', { teamName: 'Arsenal' }, fetcher), { n: 1 });
+    assert.deepStrictEqual(await cache.wrap('sky', { teamName: 'Arsenal' }, fetcher), { n: 1 });
+    assert.deepStrictEqual(await cache.wrap('sky', { teamName: 'Chelsea' }, fetcher), { n: 2 });
+    assert.deepStrictEqual(await cache.wrap('sky', { teamName: 'Arsenal' }, fetcher, { bypass: true }), { n: 3 });
+    assert.strictEqual(cache.get('sky', { teamName: 'Arsenal' }).state, 'fresh');
+  });
+
+  await asyncTest('wrap: concurrent calls share one fetch', async () => {
+    const fetcher = counter(async () => {
+      await delay(20);
+      return 'ok';
+    });
+    const results = await Promise.all([1, 2, 3].map(() => cache.wrap('tsdb', 'same', fetcher)));
+    assert.deepStrictEqual(results, ['ok', 'ok', 'ok']);
+    assert.strictEqual(fetcher.calls, 1);
+  });
+
+  await asyncTest('wrap: stale entries are returned and refreshed in the background', async () => {
+    cache.set('lstv', 'match', 'old', { ttlMs: 0 });
+    assert.strictEqual(cache.get('lstv', 'match').state, 'stale');
+
+    const fetcher = counter('new');
+    assert.strictEqual(await cache.wrap('lstv', 'match', fetcher), 'old');
+    await delay(10);
+    assert.strictEqual(fetcher.calls, 1);
+    assert.strictEqual(cache.get('lstv', 'match').value, 'new');
+    assert.strictEqual(cache.get('lstv', 'match').state, 'fresh');
+  });
+
+  await asyncTest('wrap: errors are not cached; an expired entry covers a failed fetch', async () => {
+    await assert.rejects(cache.wrap('ics', 'url', counter(new Error('HTTP 429'))), /HTTP 429/);
+    assert.strictEqual(cache.get('ics', 'url'), null);
+
+    cache.set('ics', 'url', 'BEGIN:VCALENDAR', { ttlMs: 0, staleMs: 0 });
+    assert.strictEqual(cache.get('ics', 'url').state, 'expired');
+    assert.strictEqual(await cache.wrap('ics', 'url', counter(new Error('HTTP 429'))), 'BEGIN:VCALENDAR');
+  });
+
+  // ---------- Negative Caching Tests ----------
+
+  console.log('\n--- Negative Caching Tests ---\n');
+
+  await asyncTest('wrap: "no match" results are cached for negativeTtlMs', async () => {
+    const isNegative = (r) => r.fixtures.length === 0;
+    const fetcher = counter({ fixtures: [] });
+    await cache.wrap('tnt', 'Arsenal', fetcher, { isNegative });
+    await cache.wrap('tnt', 'Arsenal', fetcher, { isNegative });
+    assert.strictEqual(fetcher.calls, 1);
+    assert.strictEqual(cache.get('tnt', 'Arsenal').negative, true);
+
+    // Not cached at all when the namespace's negativeTtlMs is 0
+    await cache.wrap('ics', 'empty', counter(null));
+    assert.strictEqual(cache.get('ics', 'empty'), null);
+  });
+
+  await asyncTest('wrap: a "no match" does not replace a stale match', async () => {
+    const isNegative = (r) => r.fixtures.length === 0;
+    cache.set('tnt', 'Arsenal', { fixtures: ['Arsenal v Chelsea'] }, { ttlMs: 0 });
+    await cache.wrap('tnt', 'Arsenal', counter({ fixtures: [] }), { isNegative });
+    await delay(10);
+    const cached = cache.get('tnt', 'Arsenal');
+    assert.deepStrictEqual(cached.value, { fixtures: ['Arsenal v Chelsea'] });
+    assert.strictEqual(cached.negative, false);
+  });
+
+  // ---------- Limits / Inspect / Purge Tests ----------
+
+  console.log('\n--- Limits / Inspect / Purge Tests ---\n');
+
+  await asyncTest('set: least recently used entries are evicted beyond maxEntries', async () => {
+    cache.set('bbc', 'a', 1, { maxEntries: 2 });
+    await delay(20);
+    cache.set('bbc', 'b', 2, { maxEntries: 2 });
+    await delay(20);
+    cache.get('bbc', 'a'); // a is now more recently used than b
+    await delay(20);
+    cache.set('bbc', 'c', 3, { maxEntries: 2 });
+    assert.strictEqual(cache.get('bbc', 'b'), null);
+    assert.strictEqual(cache.get('bbc', 'a').value, 1);
+    assert.strictEqual(cache.get('bbc', 'c').value, 3);
+  });
+
+  await asyncTest('listEntries, getStats and purge', async () => {
+    cache.set('sky', 'fresh', 1);
+    cache.set('sky', 'old', 2, { ttlMs: 0, staleMs: 0 });
+    cache.set('wiki', { league: 'Premier League' }, 3);
+
+    const stats = cache.getStats();
+    const sky = stats.find((s) => s.namespace === 'sky');
+    assert.strictEqual(sky.entries, 2);
+    assert.strictEqual(sky.fresh, 1);
+    assert.strictEqual(sky.expired, 1);
+    assert.strictEqual(sky.policy, '2 hours (stale up to 6 hours)');
+
+    const [wikiEntry] = cache.listEntries({ namespace: 'wiki' });
+    assert.strictEqual(wikiEntry.key, '{"league":"Premier League"}');
+    assert.strictEqual(cache.getEntryById('wiki', wikiEntry.id).value, 3);
+    assert.strictEqual(cache.getEntryById('wiki', '../config'), null);
+
+    assert.strictEqual(cache.purge({ expiredOnly: true }), 1);
+    assert.strictEqual(cache.purge({ namespace: 'wiki', id: wikiEntry.id }), 1);
+    assert.strictEqual(cache.purge(), 1);
+    assert.strictEqual(cache.listEntries().length, 0);
+  });
+
+  fs.rmSync(TEST_CACHE_DIR, { recursive: true, force: true });
+
+  // ---------- Summary ----------
+
+  console.log('\n===========');
+  console.log(`Total: ${passed + failed} | Passed: ${passed} | Failed: ${failed}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+})();
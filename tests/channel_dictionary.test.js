@@ -0,0 +1,153 @@
+// tests/channel_dictionary.test.js
+// Test suite for the canonical TV channel dictionary.
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Point the store at a throwaway path before loading the module
+const TEST_STORE_PATH = path.join(os.tmpdir(), `channel_dictionary_test_${process.pid}.json`);
+process.env.CHANNEL_DICTIONARY_PATH = TEST_STORE_PATH;
+
+const channelDictionary = require('../lib/channel_dictionary');
+
+// Test counters
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  resetStore();
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (err) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${err.message}`);
+    failed++;
+  }
+}
+
+function resetStore() {
+  try {
+    fs.unlinkSync(TEST_STORE_PATH);
+  } catch (err) {
+    // Ignore missing file
+  }
+}
+
+const channels = (list) => list.map((e) => e.channel);
+
+console.log('Channel Dictionary Tests\n========================\n');
+
+// ---------- Lookup Tests ----------
+
+console.log('--- Lookup Tests ---\n');
+
+test('normalizeChannelKey: punctuation, accents, plus and quality suffixes', () => {
+  assert.strictEqual(channelDictionary.normalizeChannelKey('Sky Sports Premier League HD'), 'sky sports premier league');
+  assert.strictEqual(channelDictionary.normalizeChannelKey('RTÉ 2'), 'rte 2');
+  assert.strictEqual(channelDictionary.normalizeChannelKey('ESPN+'), 'espn plus');
+  assert.strictEqual(channelDictionary.normalizeChannelKey('  TNT Sports-1 (UHD) '), 'tnt sports 1');
+});
+
+test('lookupChannel: aliases map to one channel with network and country', () => {
+  for (const raw of ['Sky Sports PL', 'Sky Sports Premier League HD', 'SS Premier League', 'sky sports premier league']) {
+    assert.deepStrictEqual(channelDictionary.lookupChannel(raw), {
+      name: 'Sky Sports Premier League',
+      network: 'sky',
+      country: 'UK'
+    }, raw);
+  }
+  assert.strictEqual(channelDictionary.lookupChannel('BT Sport 1').name, 'TNT Sports 1');
+  assert.strictEqual(channelDictionary.lookupChannel('Some Local TV'), null);
+});
+
+test('getDisplayName: canonical name, raw name when unknown', () => {
+  assert.strictEqual(channelDictionary.getDisplayName('SS Main Event'), 'Sky Sports Main Event');
+  assert.strictEqual(channelDictionary.getDisplayName(' Some Local TV '), 'Some Local TV');
+});
+
+// ---------- Canonicalization Tests ----------
+
+console.log('\n--- Canonicalization Tests ---\n');
+
+test('canonicalizeEntries: renames known channels and keeps the raw name', () => {
+  const entries = channelDictionary.canonicalizeEntries([
+    { region: 'UK', channel: 'Sky Sports PL', source: 'LSTV' },
+    { region: 'UK', channel: 'Some Local TV', source: 'LSTV' }
+  ]);
+  assert.deepStrictEqual(entries[0], {
+    region: 'UK',
+    channel: 'Sky Sports Premier League',
+    source: 'LSTV',
+    network: 'sky',
+    country: 'UK',
+    rawChannel: 'Sky Sports PL'
+  });
+  assert.deepStrictEqual(entries[1], { region: 'UK', channel: 'Some Local TV', source: 'LSTV' });
+  // Unmatched names are only recorded when asked
+  assert.strictEqual(channelDictionary.listUnmatched().length, 0);
+});
+
+test('canonicalizeEntries: dedupe after renaming', () => {
+  const entries = channelDictionary.canonicalizeEntries([
+    { region: 'UK', channel: 'Sky Sports PL' },
+    { region: 'UK', channel: 'Sky Sports Premier League HD' },
+    { region: 'USA', channel: 'Peacock' },
+    { region: 'UK', channel: '' }
+  ], { dedupe: true });
+  assert.deepStrictEqual(channels(entries), ['Sky Sports Premier League', 'Peacock']);
+  assert.deepStrictEqual(channelDictionary.canonicalizeNames(['BBC1', 'BBC One', 'ITV']), ['BBC One', 'ITV1']);
+});
+
+test('canonicalizeEntries: records unmatched names with their sources', () => {
+  const unknown = [
+    { region: 'UK', channel: 'Some Local TV', source: 'LSTV' },
+    { region: 'UK', channel: 'some local tv', source: 'SOFASCORE' }
+  ];
+  channelDictionary.canonicalizeEntries(unknown, { recordUnmatched: true });
+  channelDictionary.canonicalizeEntries(unknown.slice(0, 1), { recordUnmatched: true });
+  const [record] = channelDictionary.listUnmatched();
+  assert.strictEqual(record.raw, 'Some Local TV');
+  assert.strictEqual(record.count, 3);
+  assert.deepStrictEqual(record.sources, ['LSTV', 'SOFASCORE']);
+  assert.strictEqual(channelDictionary.dismissUnmatched(record.key), true);
+  assert.strictEqual(channelDictionary.listUnmatched().length, 0);
+});
+
+// ---------- Admin Edit Tests ----------
+
+console.log('\n--- Admin Edit Tests ---\n');
+
+test('saveChannel: mapping an unmatched name adds an alias and clears it', () => {
+  channelDictionary.canonicalizeEntries([{ region: 'UK', channel: 'Sky PL HD', source: 'LSTV' }], { recordUnmatched: true });
+  const result = channelDictionary.saveChannel({ name: 'Sky Sports Premier League', aliases: 'Sky PL HD' });
+  assert.ok(result.channel.aliases.includes('Sky PL HD'));
+  assert.strictEqual(result.channel.builtIn, true);
+  assert.strictEqual(channelDictionary.listUnmatched().length, 0);
+  assert.strictEqual(channelDictionary.getDisplayName('Sky PL HD'), 'Sky Sports Premier League');
+});
+
+test('saveChannel: new channels, validation and removal', () => {
+  assert.deepStrictEqual(channelDictionary.saveChannel({ name: ' ' }), { error: 'Channel name is required' });
+  assert.ok(channelDictionary.saveChannel({ name: 'Local One', aliases: ['SS PL'] }).error.includes('Sky Sports Premier League'));
+
+  const { channel } = channelDictionary.saveChannel({ name: 'Local One', network: 'Local', country: 'UK', aliases: ['L1', 'Local 1'] });
+  assert.deepStrictEqual(channel, { name: 'Local One', network: 'local', country: 'UK', aliases: ['L1', 'Local 1'], builtIn: false, custom: true });
+  assert.strictEqual(channelDictionary.getDisplayName('local 1 hd'), 'Local One');
+
+  assert.strictEqual(channelDictionary.removeCustomChannel('Local One'), true);
+  assert.strictEqual(channelDictionary.lookupChannel('L1'), null);
+  assert.strictEqual(channelDictionary.removeCustomChannel('Sky Sports Main Event'), false);
+});
+
+resetStore();
+
+// ---------- Summary ----------
+
+console.log('\n========================');
+console.log(`Total: ${passed + failed} | Passed: ${passed} | Failed: ${failed}`);
+
+process.exit(failed > 0 ? 1 : 0);
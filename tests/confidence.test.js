@@ -0,0 +1,119 @@
+// tests/confidence.test.js
+// Test suite for cross-source TV listing confidence scoring.
+
+const assert = require('assert');
+const confidence = require('../aggregators/confidence');
+
+// Test counters
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (err) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${err.message}`);
+    failed++;
+  }
+}
+
+const channels = (list) => list.map((e) => e.channel);
+
+console.log('Confidence Tests\n================\n');
+
+// ---------- Helper Tests ----------
+
+console.log('--- Helper Tests ---\n');
+
+test('getRegionKey: folds UK and US aliases', () => {
+  assert.strictEqual(confidence.getRegionKey('United Kingdom'), 'UK');
+  assert.strictEqual(confidence.getRegionKey('england'), 'UK');
+  assert.strictEqual(confidence.getRegionKey('United States'), 'USA');
+  assert.strictEqual(confidence.getRegionKey('Germany'), 'Germany');
+});
+
+test('getChannelNetwork: known and unknown networks', () => {
+  assert.strictEqual(confidence.getChannelNetwork('Sky Sports Main Event'), 'sky');
+  assert.strictEqual(confidence.getChannelNetwork('TNT Sports 1'), 'tnt');
+  assert.strictEqual(confidence.getChannelNetwork('Amazon Prime Video'), 'amazon');
+  assert.strictEqual(confidence.getChannelNetwork('DAZN'), null);
+});
+
+test('getSourceWeight: per-region weights with defaults', () => {
+  assert.strictEqual(confidence.getSourceWeight('SKY', 'UK'), 0.95);
+  assert.strictEqual(confidence.getSourceWeight('SKY', 'Germany'), 0.5);
+  assert.strictEqual(confidence.getSourceWeight('lstv', 'UK'), 0.6);
+  assert.strictEqual(confidence.getSourceWeight('SOMETHING', 'UK'), 0.5);
+});
+
+// ---------- Scoring Tests ----------
+
+console.log('\n--- Scoring Tests ---\n');
+
+test('scoreTvRegions: agreement merges entries and raises confidence', () => {
+  const { kept, suppressed } = confidence.scoreTvRegions([
+    { region: 'United Kingdom', channel: 'Sky Sports Main Event', source: 'LSTV' },
+    { region: 'UK', channel: 'sky sports main event', source: 'LFOTV' },
+    { region: 'UK', channel: 'Sky Sports Main Event', source: 'LFOTV' }
+  ]);
+  assert.strictEqual(kept.length, 1);
+  assert.strictEqual(suppressed.length, 0);
+  assert.deepStrictEqual(kept[0].sources, ['LSTV', 'LFOTV']);
+  assert.strictEqual(kept[0].region, 'United Kingdom');
+  assert.strictEqual(kept[0].confidence, 0.92);
+  assert.ok(kept[0].reasons.includes('2 sources agree'));
+});
+
+test('scoreTvRegions: broadcaster listing suppresses a rival network in the UK', () => {
+  const { kept, suppressed } = confidence.scoreTvRegions([
+    { region: 'United Kingdom', channel: 'Sky Sports', source: 'LSTV' },
+    { region: 'UK', channel: 'TNT Sports 1', source: 'TNT' },
+    { region: 'USA', channel: 'Peacock', source: 'LSTV' }
+  ], { matchedSources: ['LSTV', 'TNT'] });
+  assert.deepStrictEqual(channels(kept), ['TNT Sports 1', 'Peacock']);
+  assert.deepStrictEqual(channels(suppressed), ['Sky Sports']);
+  assert.strictEqual(suppressed[0].confidence, 0.15);
+  assert.ok(suppressed[0].reasons.some((r) => r.includes('TNT confirms TNT Sports 1')));
+});
+
+test('scoreTvRegions: broadcaster listing denies its own other channels', () => {
+  const { kept, suppressed } = confidence.scoreTvRegions([
+    { region: 'UK', channel: 'Sky Sports Premier League', source: 'SKY' },
+    { region: 'UK', channel: 'Sky Sports', source: 'LFOTV' },
+    { region: 'UK', channel: 'Sky Sports Football', source: 'LSTV' }
+  ], { matchedSources: ['SKY', 'LFOTV', 'LSTV'] });
+  // "Sky Sports" is a vaguer name for the listed channel, not a contradiction
+  assert.deepStrictEqual(channels(kept), ['Sky Sports Premier League', 'Sky Sports']);
+  assert.deepStrictEqual(channels(suppressed), ['Sky Sports Football']);
+  assert.ok(suppressed[0].suppressedReason.startsWith('contradicted'));
+});
+
+test('scoreTvRegions: weak listings dropped only when the region has better', () => {
+  const { kept, suppressed } = confidence.scoreTvRegions([
+    { region: 'UK', channel: 'Sky Sports Main Event', source: 'SKY' },
+    { region: 'UK', channel: 'BBC One', source: 'WIKI' },
+    { region: 'Germany', channel: 'Sky Deutschland', source: 'WIKI' }
+  ]);
+  assert.deepStrictEqual(channels(kept), ['Sky Sports Main Event', 'Sky Deutschland']);
+  assert.deepStrictEqual(channels(suppressed), ['BBC One']);
+  assert.ok(kept[1].reasons.some((r) => r.startsWith('kept: best available')));
+});
+
+test('scoreTvRegions: minConfidence option', () => {
+  const entries = [
+    { region: 'UK', channel: 'Sky Sports Main Event', source: 'SKY' },
+    { region: 'UK', channel: 'DAZN', source: 'LSTV' }
+  ];
+  assert.strictEqual(confidence.scoreTvRegions(entries).kept.length, 2);
+  assert.strictEqual(confidence.scoreTvRegions(entries, { minConfidence: 0.7 }).kept.length, 1);
+});
+
+// ---------- Summary ----------
+
+console.log('\n================');
+console.log(`Total: ${passed + failed} | Passed: ${passed} | Failed: ${failed}`);
+
+process.exit(failed > 0 ? 1 : 0);
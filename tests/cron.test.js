@@ -0,0 +1,88 @@
+// tests/cron.test.js
+// Test suite for the cron expression parser.
+
+const assert = require('assert');
+const cron = require('../lib/cron');
+
+// Test counters
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (err) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${err.message}`);
+    failed++;
+  }
+}
+
+console.log('Cron Tests\n==========\n');
+
+// ---------- Parsing Tests ----------
+
+console.log('--- Parsing Tests ---\n');
+
+test('parseCron: wildcards, steps, ranges and lists', () => {
+  const parsed = cron.parseCron('*/15 8-10 1,15 * *');
+  assert.deepStrictEqual([...parsed.minute], [0, 15, 30, 45]);
+  assert.deepStrictEqual([...parsed.hour], [8, 9, 10]);
+  assert.deepStrictEqual([...parsed.dayOfMonth], [1, 15]);
+  assert.strictEqual(parsed.month.size, 12);
+});
+
+test('parseCron: month and weekday names, 7 = Sunday', () => {
+  const parsed = cron.parseCron('0 12 * jan-mar sat,7');
+  assert.deepStrictEqual([...parsed.month], [1, 2, 3]);
+  assert.deepStrictEqual([...parsed.dayOfWeek].sort(), [0, 6]);
+});
+
+test('isValidCron: rejects bad expressions', () => {
+  assert.strictEqual(cron.isValidCron('0 8 * * *'), true);
+  assert.strictEqual(cron.isValidCron('60 * * * *'), false);
+  assert.strictEqual(cron.isValidCron('*/0 * * * *'), false);
+  assert.strictEqual(cron.isValidCron('0 8 * *'), false);
+  assert.strictEqual(cron.isValidCron('5-1 * * * *'), false);
+  assert.strictEqual(cron.isValidCron(''), false);
+});
+
+// ---------- Next Run Tests ----------
+
+console.log('\n--- Next Run Tests ---\n');
+
+const from = new Date('2025-03-29T12:34:00Z'); // Saturday, GMT (BST starts 30 March)
+
+test('getNextRun: daily job in the configured timezone', () => {
+  assert.strictEqual(cron.getNextRun('0 8 * * *', from, 'Europe/London').toISOString(), '2025-03-30T07:00:00.000Z');
+  assert.strictEqual(cron.getNextRun('0 8 * * *', from, 'America/New_York').toISOString(), '2025-03-30T12:00:00.000Z');
+});
+
+test('getNextRun: strictly after the start time', () => {
+  const exact = new Date('2025-03-29T12:45:00Z');
+  assert.strictEqual(cron.getNextRun('*/15 * * * *', exact, 'UTC').toISOString(), '2025-03-29T13:00:00.000Z');
+});
+
+test('getNextRun: weekday ranges skip the weekend', () => {
+  assert.strictEqual(cron.getNextRun('0 9 * * mon-fri', from, 'Europe/London').toISOString(), '2025-03-31T08:00:00.000Z');
+});
+
+test('getNextRun: day-of-month OR day-of-week when both are set', () => {
+  // 1st of the month or any Saturday - today's 12:00 has passed and 1 April comes
+  // before Saturday 5 April; today's 13:00 is still to come
+  assert.strictEqual(cron.getNextRun('0 12 1 * 6', from, 'UTC').toISOString(), '2025-04-01T12:00:00.000Z');
+  assert.strictEqual(cron.getNextRun('0 13 1 * 6', from, 'UTC').toISOString(), '2025-03-29T13:00:00.000Z');
+});
+
+test('getNextRun: null when nothing matches within a year', () => {
+  assert.strictEqual(cron.getNextRun('0 0 30 2 *', from, 'UTC'), null);
+});
+
+// ---------- Summary ----------
+
+console.log('\n==========');
+console.log(`Total: ${passed + failed} | Passed: ${passed} | Failed: ${failed}`);
+
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,128 @@
+// tests/feeds.test.js
+// Test suite for the ICS writer and the public calendar feeds.
+
+const assert = require('assert');
+const icsWriter = require('../lib/ics_writer');
+const feeds = require('../feeds');
+
+// Test counters
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (err) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${err.message}`);
+    failed++;
+  }
+}
+
+console.log('Feeds Tests\n===========\n');
+
+const fixture = {
+  start: new Date('2025-03-15T15:00:00Z'),
+  summary: 'Arsenal v Chelsea',
+  homeTeam: 'Arsenal',
+  awayTeam: 'Chelsea',
+  competition: 'Premier League',
+  venue: 'Emirates Stadium, London',
+  tvByRegion: [
+    { region: 'UK', channel: 'Sky Sports Main Event' },
+    { region: 'UK', channel: 'Sky Sports Premier League' },
+    { region: 'USA', channel: 'Peacock' }
+  ]
+};
+
+// ---------- ICS Writer Tests ----------
+
+console.log('--- ICS Writer Tests ---\n');
+
+test('escapeText: escapes backslashes, separators and newlines', () => {
+  assert.strictEqual(icsWriter.escapeText('a;b,c\\d\ne'), 'a\\;b\\,c\\\\d\\ne');
+});
+
+test('foldLine: lines longer than 75 octets are folded', () => {
+  const folded = icsWriter.foldLine(`DESCRIPTION:${'é'.repeat(80)}`);
+  const lines = folded.split('\r\n');
+  assert.ok(lines.length > 1);
+  assert.ok(lines.every((l) => Buffer.byteLength(l, 'utf8') <= 75));
+  assert.ok(lines.slice(1).every((l) => l.startsWith(' ')));
+  assert.strictEqual(lines.map((l, i) => (i ? l.slice(1) : l)).join(''), `DESCRIPTION:${'é'.repeat(80)}`);
+});
+
+test('getEventUid: stable across kickoff time and TV changes, new for another day', () => {
+  const uid = icsWriter.getEventUid(fixture);
+  const moved = { ...fixture, start: new Date('2025-03-15T17:30:00Z'), tvByRegion: [] };
+  const renamed = { ...fixture, homeTeam: 'Arsenal FC' };
+  const nextDay = { ...fixture, start: new Date('2025-03-16T14:00:00Z') };
+  assert.ok(uid.endsWith('@telelistings'));
+  assert.strictEqual(icsWriter.getEventUid(moved), uid);
+  assert.strictEqual(icsWriter.getEventUid(renamed), uid);
+  assert.notStrictEqual(icsWriter.getEventUid(nextDay), uid);
+});
+
+test('buildDescription: TV channels grouped by region', () => {
+  const description = icsWriter.buildDescription(fixture);
+  assert.ok(description.includes('UK: Sky Sports Main Event, Sky Sports Premier League'));
+  assert.ok(description.includes('USA: Peacock'));
+  assert.ok(description.includes('Competition: Premier League'));
+  assert.strictEqual(icsWriter.buildDescription({ tvChannel: 'BBC One' }), 'TV: BBC One');
+});
+
+test('buildCalendar: VEVENT with venue, sport duration and CRLF lines', () => {
+  const ics = icsWriter.buildCalendar([fixture, fixture], { name: 'Test', now: new Date('2025-03-01T00:00:00Z') });
+  assert.ok(ics.startsWith('BEGIN:VCALENDAR\r\n'));
+  assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+  assert.strictEqual(ics.split('BEGIN:VEVENT').length - 1, 1);
+  assert.ok(ics.includes('DTSTART:20250315T150000Z'));
+  assert.ok(ics.includes('DTEND:20250315T170000Z'));
+  assert.ok(ics.includes('SUMMARY:Arsenal v Chelsea'));
+  assert.ok(ics.includes('LOCATION:Emirates Stadium\\, London'));
+});
+
+test('buildCalendar: F1 sessions use the event name and session', () => {
+  const session = { start: new Date('2025-07-05T14:00:00Z'), sport: 'f1', eventName: 'British Grand Prix', session: 'Qualifying' };
+  const ics = icsWriter.buildCalendar([session]);
+  assert.ok(ics.includes('SUMMARY:British Grand Prix – Qualifying'));
+  assert.ok(ics.includes('CATEGORIES:Formula 1'));
+});
+
+// ---------- Feed Lookup Tests ----------
+
+console.log('\n--- Feed Lookup Tests ---\n');
+
+const cfg = {
+  channels: [
+    { id: '@FootballOnTvUK', teams: [{ label: 'Aston Villa', slug: 'aston-villa' }, { label: 'Man Utd' }] },
+    { id: '@Private', publicFeed: false, teams: [{ label: 'Arsenal', slug: 'arsenal' }] }
+  ]
+};
+
+test('findFeedChannel: "@" optional, publicFeed false hidden', () => {
+  assert.strictEqual(feeds.findFeedChannel(cfg, 'footballontvuk').id, '@FootballOnTvUK');
+  assert.strictEqual(feeds.findFeedChannel(cfg, '@FootballOnTvUK').id, '@FootballOnTvUK');
+  assert.strictEqual(feeds.findFeedChannel(cfg, 'Private'), null);
+});
+
+test('findFeedTeam: by slug, or slug derived from the label', () => {
+  assert.strictEqual(feeds.findFeedTeam(cfg, 'aston-villa').label, 'Aston Villa');
+  assert.strictEqual(feeds.findFeedTeam(cfg, 'man-utd').channels.length, 1);
+  assert.strictEqual(feeds.findFeedTeam(cfg, 'arsenal'), null);
+});
+
+test('fixtureInvolvesTeam: matches home, away or feed team', () => {
+  assert.strictEqual(feeds.fixtureInvolvesTeam(fixture, 'Chelsea FC'), true);
+  assert.strictEqual(feeds.fixtureInvolvesTeam({ teamLabel: 'Everton' }, 'Everton'), true);
+  assert.strictEqual(feeds.fixtureInvolvesTeam(fixture, 'Everton'), false);
+});
+
+// ---------- Summary ----------
+
+console.log('\n===========');
+console.log(`Total: ${passed + failed} | Passed: ${passed} | Failed: ${failed}`);
+
+process.exit(failed > 0 ? 1 : 0);
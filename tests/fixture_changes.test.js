@@ -0,0 +1,291 @@
+// tests/fixture_changes.test.js
+// Test suite for fixture change detection and channel alerts.
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+
+// Point the stores at throwaway paths before loading the modules
+const TEST_PATHS = {
+  FIXTURE_CHANGES_PATH: path.join(os.tmpdir(), `fixture_changes_test_${process.pid}.json`),
+  POSTED_LEDGER_PATH: path.join(os.tmpdir(), `fixture_changes_ledger_test_${process.pid}.json`),
+  POST_QUEUE_PATH: path.join(os.tmpdir(), `fixture_changes_queue_test_${process.pid}.json`),
+  TEAM_REGISTRY_PATH: path.join(os.tmpdir(), `fixture_changes_registry_test_${process.pid}.json`)
+};
+Object.assign(process.env, TEST_PATHS);
+
+const fixtureChanges = require('../lib/fixture_changes');
+const postedLedger = require('../lib/posted_ledger');
+const postQueue = require('../lib/post_queue');
+const autopost = require('../autopost');
+
+// Test counters
+let passed = 0;
+let failed = 0;
+
+async function asyncTest(name, fn) {
+  resetStores();
+  try {
+    await fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (err) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${err.message}`);
+    failed++;
+  }
+}
+
+function resetStores() {
+  for (const file of Object.values(TEST_PATHS)) {
+    try {
+      fs.unlinkSync(file);
+    } catch (err) {
+      // Ignore missing file
+    }
+  }
+}
+
+// Capture Telegram API calls instead of sending them
+const realPost = axios.post;
+let telegramCalls = [];
+axios.post = async (url, payload) => {
+  telegramCalls.push({ method: url.split('/').pop(), payload });
+  return { data: { ok: true, result: { message_id: 900 + telegramCalls.length } } };
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+const NOW = new Date();
+const at = (hours) => new Date(NOW.getTime() + hours * HOUR_MS);
+const UNTIL = at(7 * 24);
+
+const fixture = (overrides) => ({
+  start: at(24),
+  summary: 'Arsenal v Chelsea',
+  homeTeam: 'Arsenal',
+  awayTeam: 'Chelsea',
+  location: 'Emirates Stadium',
+  ...overrides
+});
+
+console.log('Fixture Changes Tests\n=====================\n');
+
+(async () => {
+  // ---------- Detection Tests ----------
+
+  console.log('--- Detection Tests ---\n');
+
+  await asyncTest('detectChanges: first run only stores a snapshot', async () => {
+    assert.deepStrictEqual(fixtureChanges.detectChanges('@c', [fixture({ uid: 'a' })], { now: NOW, until: UNTIL }), []);
+    assert.deepStrictEqual(fixtureChanges.detectChanges('@c', [], { now: NOW, until: UNTIL }).map((c) => c.type), ['removed']);
+  });
+
+  await asyncTest('detectChanges: cancelled, kickoff, venue and removed fixtures', async () => {
+    fixtureChanges.detectChanges('@c', [
+      fixture({ uid: 'a' }),
+      fixture({ uid: 'b', summary: 'Everton v Fulham', homeTeam: 'Everton', awayTeam: 'Fulham', location: 'Goodison Park' }),
+      fixture({ uid: 'c', summary: 'Leeds v Burnley', homeTeam: 'Leeds', awayTeam: 'Burnley' }),
+      fixture({ summary: 'Spurs v Wolves', homeTeam: 'Spurs', awayTeam: 'Wolves', start: at(30) })
+    ], { now: NOW, until: UNTIL });
+
+    const changes = fixtureChanges.detectChanges('@c', [
+      fixture({ uid: 'a', status: 'CANCELLED' }),
+      fixture({ uid: 'b', summary: 'Everton v Fulham', homeTeam: 'Everton', awayTeam: 'Fulham', location: 'Hill Dickinson Stadium', start: at(26) }),
+      // No UID: the same teams two hours later
+      fixture({ summary: 'Tottenham Hotspur v Wolves', homeTeam: 'Tottenham Hotspur', awayTeam: 'Wolves', start: at(32) })
+    ], { now: NOW, until: UNTIL });
+
+    assert.deepStrictEqual(
+      changes.map((c) => `${c.type}:${c.homeTeam}`),
+      ['cancelled:Arsenal', 'kickoff:Everton', 'venue:Everton', 'kickoff:Tottenham Hotspur', 'removed:Leeds']
+    );
+    const kickoff = changes[1];
+    assert.strictEqual(kickoff.previousStart, at(24).toISOString());
+    assert.strictEqual(kickoff.start, at(26).toISOString());
+    assert.strictEqual(changes[2].previousLocation, 'Goodison Park');
+    assert.strictEqual(fixtureChanges.listChanges({ pending: true }).length, 5);
+
+    // Nothing new on the next run
+    assert.deepStrictEqual(fixtureChanges.detectChanges('@c', [
+      fixture({ uid: 'a', status: 'CANCELLED' }),
+      fixture({ uid: 'b', summary: 'Everton v Fulham', homeTeam: 'Everton', awayTeam: 'Fulham', location: 'Hill Dickinson Stadium', start: at(26) }),
+      fixture({ summary: 'Tottenham Hotspur v Wolves', homeTeam: 'Tottenham Hotspur', awayTeam: 'Wolves', start: at(32) })
+    ], { now: NOW, until: UNTIL }), []);
+  });
+
+  await asyncTest('detectChanges: removals only for fetched feeds and the fetched window', async () => {
+    fixtureChanges.detectChanges('@m', [
+      fixture({ teamLabel: 'Arsenal', summary: 'Chelsea (home)' }),
+      fixture({ teamLabel: 'Chelsea', summary: 'Arsenal (away)' }),
+      fixture({ teamLabel: 'Leeds', summary: 'Burnley (home)', homeTeam: 'Leeds', awayTeam: 'Burnley' }),
+      fixture({ teamLabel: 'Everton', summary: 'Fulham (home)', homeTeam: 'Everton', awayTeam: 'Fulham', start: at(200) })
+    ], { now: NOW, until: UNTIL });
+
+    // Arsenal's feed dropped the match but Chelsea's (not fetched) still has it;
+    // Leeds wasn't fetched; Everton's match is beyond this run's window
+    const changes = fixtureChanges.detectChanges('@m', [
+      fixture({ teamLabel: 'Chelsea', summary: 'Arsenal (away)' })
+    ], { now: NOW, until: at(48), fetchedTeams: ['Arsenal', 'Everton'] });
+    assert.deepStrictEqual(changes, []);
+
+    // Leeds fetched without its match: removed
+    const removed = fixtureChanges.detectChanges('@m', [
+      fixture({ teamLabel: 'Chelsea', summary: 'Arsenal (away)' })
+    ], { now: NOW, until: at(48), fetchedTeams: ['Leeds'] });
+    assert.deepStrictEqual(removed.map((c) => `${c.type}:${c.homeTeam}`), ['removed:Leeds']);
+  });
+
+  await asyncTest('isCalledOff: STATUS:CANCELLED or the summary says so', async () => {
+    assert.strictEqual(fixtureChanges.isCalledOff({ status: 'CANCELLED', summary: 'Arsenal v Chelsea' }), true);
+    assert.strictEqual(fixtureChanges.isCalledOff({ summary: 'Arsenal v Chelsea - POSTPONED' }), true);
+    assert.strictEqual(fixtureChanges.isCalledOff({ summary: 'Chelsea (home) P-P' }), true);
+    assert.strictEqual(fixtureChanges.isCalledOff({ status: 'CONFIRMED', summary: 'Arsenal v Chelsea' }), false);
+  });
+
+  // ---------- Alert Tests ----------
+
+  console.log('\n--- Alert Tests ---\n');
+
+  await asyncTest('alertFixtureChanges: edits posters, posts alerts for digests, logs the rest', async () => {
+    telegramCalls = [];
+    const channel = { id: '@alerts', posterStyle: true };
+    const cfg = { timezone: 'Europe/London', channels: [channel] };
+
+    const arsenal = fixture({ uid: 'a' });
+    const everton = fixture({ uid: 'b', summary: 'Everton v Fulham', homeTeam: 'Everton', awayTeam: 'Fulham' });
+    const leeds = fixture({ uid: 'c', summary: 'Leeds v Burnley', homeTeam: 'Leeds', awayTeam: 'Burnley' });
+    postedLedger.recordPosted('@alerts', arsenal, { messageId: 11, kind: 'text' });
+    postedLedger.recordPosted('@alerts', everton, { messageId: 12, kind: 'digest' });
+    postQueue.enqueue('@alerts', leeds, 3);
+
+    fixtureChanges.detectChanges('@alerts', [arsenal, everton, leeds], { now: NOW, until: UNTIL });
+    fixtureChanges.detectChanges('@alerts', [
+      { ...arsenal, status: 'CANCELLED' },
+      { ...everton, start: at(28) }
+    ], { now: NOW, until: UNTIL });
+
+    const alerted = await autopost.alertFixtureChanges(cfg, 'TOKEN', channel);
+    assert.strictEqual(alerted, 2);
+
+    assert.deepStrictEqual(telegramCalls.map((c) => c.method), ['editMessageText', 'sendMessage']);
+    assert.strictEqual(telegramCalls[0].payload.message_id, 11);
+    assert.ok(telegramCalls[0].payload.text.startsWith('❌ POSTPONED\n\n'));
+    assert.ok(telegramCalls[1].payload.text.startsWith('⏰ KICK-OFF CHANGED\n\nEverton v Fulham\nNow: '));
+
+    // Leeds was never posted: its queued poster is cancelled and the change only logged
+    assert.strictEqual(postQueue.listQueue({ status: 'cancelled' }).length, 1);
+    const actions = Object.fromEntries(fixtureChanges.listChanges().map((c) => [c.homeTeam, c.action]));
+    assert.deepStrictEqual(actions, { Arsenal: 'edited', Everton: 'posted', Leeds: 'logged' });
+    assert.strictEqual(fixtureChanges.listChanges({ pending: true }).length, 0);
+  });
+
+  await asyncTest('alertFixtureChanges: kickoff changes re-time the poster; "off" only logs', async () => {
+    telegramCalls = [];
+    const arsenal = fixture({ uid: 'a' });
+    postedLedger.recordPosted('@edit', { ...arsenal, tvByRegion: [{ region: 'UK', channel: 'Sky Sports Main Event' }] }, { messageId: 21, kind: 'text' });
+    postedLedger.recordPosted('@off', arsenal, { messageId: 31, kind: 'text' });
+
+    for (const channelId of ['@edit', '@off']) {
+      fixtureChanges.detectChanges(channelId, [arsenal], { now: NOW, until: UNTIL });
+      fixtureChanges.detectChanges(channelId, [{ ...arsenal, start: at(25) }], { now: NOW, until: UNTIL });
+    }
+
+    await autopost.alertFixtureChanges({}, 'TOKEN', { id: '@edit' });
+    await autopost.alertFixtureChanges({}, 'TOKEN', { id: '@off', changeAlerts: 'off' });
+
+    assert.deepStrictEqual(telegramCalls.map((c) => c.method), ['editMessageText']);
+    assert.ok(telegramCalls[0].payload.text.includes('Sky Sports Main Event'));
+    const [entry] = postedLedger.listPosted('@edit');
+    assert.strictEqual(entry.start, at(25).toISOString());
+    assert.strictEqual(entry.messageId, 21);
+    assert.strictEqual(fixtureChanges.listChanges({ channelId: '@off' })[0].action, 'logged');
+  });
+
+  await asyncTest('alertFixtureChanges: a poster already edited for the new kickoff is only logged', async () => {
+    telegramCalls = [];
+    const arsenal = fixture({ uid: 'a' });
+    const moved = { ...arsenal, start: at(25) };
+    postedLedger.recordPosted('@done', arsenal, { messageId: 51, kind: 'text' });
+    fixtureChanges.detectChanges('@done', [arsenal], { now: NOW, until: UNTIL });
+    fixtureChanges.detectChanges('@done', [moved], { now: NOW, until: UNTIL });
+
+    // The run's poster loop got there first
+    postedLedger.movePosted('@done', postedLedger.findPostedEntry('@done', arsenal).key, moved);
+
+    assert.strictEqual(await autopost.alertFixtureChanges({}, 'TOKEN', { id: '@done' }), 0);
+    assert.deepStrictEqual(telegramCalls, []);
+    assert.strictEqual(fixtureChanges.listChanges({ channelId: '@done' })[0].action, 'logged');
+  });
+
+  await asyncTest('alertFixtureChanges: alerts and postponed edits use the channel locale', async () => {
+    telegramCalls = [];
+    const channel = { id: '@de', posterStyle: true, locale: 'de', changeAlerts: 'post' };
+    const arsenal = fixture({ uid: 'a', start: new Date('2099-03-14T15:00:00Z') });
+    postedLedger.recordPosted('@de', arsenal, { messageId: 61, kind: 'text' });
+    fixtureChanges.detectChanges('@de', [arsenal], { now: NOW, until: new Date('2099-04-01T00:00:00Z') });
+    fixtureChanges.detectChanges('@de', [{ ...arsenal, start: new Date('2099-03-14T17:30:00Z') }], {
+      now: NOW,
+      until: new Date('2099-04-01T00:00:00Z')
+    });
+
+    await autopost.alertFixtureChanges({ timezone: 'Europe/London' }, 'TOKEN', channel);
+    const [alert] = telegramCalls.map((c) => c.payload.text);
+    assert.ok(alert.startsWith('⏰ ANSTOSS GEÄNDERT\n\nArsenal vs. Chelsea\nNeu: '), alert);
+    assert.ok(alert.includes('Sa., 14. März'), alert);
+    assert.ok(alert.includes('\nBisher: '), alert);
+
+    telegramCalls = [];
+    const everton = fixture({ uid: 'b', summary: 'Everton v Fulham', homeTeam: 'Everton', awayTeam: 'Fulham' });
+    postedLedger.recordPosted('@de', everton, { messageId: 62, kind: 'text' });
+    fixtureChanges.detectChanges('@de', [everton], { now: NOW, until: UNTIL });
+    fixtureChanges.detectChanges('@de', [{ ...everton, status: 'CANCELLED' }], { now: NOW, until: UNTIL });
+
+    await autopost.alertFixtureChanges({}, 'TOKEN', { ...channel, changeAlerts: 'edit' });
+    assert.deepStrictEqual(telegramCalls.map((c) => c.method), ['editMessageText']);
+    assert.ok(telegramCalls[0].payload.text.startsWith('❌ VERSCHOBEN\n\n'));
+  });
+
+  // ---------- Kickoff Mode Tests ----------
+
+  console.log('\n--- Kickoff Mode Tests ---\n');
+
+  await asyncTest('postKickoffChannel: queues new fixtures and edits posted posters whose TV changed', async () => {
+    telegramCalls = [];
+    const channel = { id: '@kickoff', posterStyle: true, postMode: 'kickoff' };
+    const arsenal = fixture({ uid: 'a', tvByRegion: [{ region: 'UK', channel: 'Sky Sports Main Event' }] });
+    const everton = fixture({ uid: 'b', summary: 'Everton v Fulham', homeTeam: 'Everton', awayTeam: 'Fulham' });
+    postedLedger.recordPosted('@kickoff', arsenal, { messageId: 41, kind: 'text' });
+
+    const run = () => {
+      const { fixtures } = autopost.filterAlreadyPosted(channel, [
+        { ...arsenal, tvByRegion: [{ region: 'UK', channel: 'TNT Sports 1' }] },
+        { ...everton }
+      ], { keepPosted: true });
+      return autopost.postKickoffChannel({}, 'TOKEN', channel, { fixtures, matchCount: fixtures.length });
+    };
+
+    const result = await run();
+    assert.strictEqual(result.queuedCount, 1);
+    assert.strictEqual(result.editedCount, 1);
+    assert.deepStrictEqual(telegramCalls.map((c) => c.method), ['editMessageText']);
+    assert.strictEqual(telegramCalls[0].payload.message_id, 41);
+    assert.ok(telegramCalls[0].payload.text.includes('TNT Sports 1'));
+    assert.deepStrictEqual(postQueue.listQueue({ status: 'queued' }).map((e) => e.fixture.homeTeam), ['Everton']);
+
+    // The ledger now has the new listings, so the next run leaves it alone
+    assert.strictEqual((await run()).editedCount, 0);
+    assert.strictEqual(telegramCalls.length, 1);
+  });
+
+  axios.post = realPost;
+  resetStores();
+
+  // ---------- Summary ----------
+
+  console.log('\n=====================');
+  console.log(`Total: ${passed + failed} | Passed: ${passed} | Failed: ${failed}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+})();
@@ -0,0 +1,211 @@
+// tests/fixture_store.test.js
+// Test suite for the per-team fixture store and the multi-ICS team rotation.
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Point the store at a throwaway path before loading the modules
+const TEST_STORE_PATH = path.join(os.tmpdir(), `fixture_store_test_${process.pid}.json`);
+process.env.FIXTURE_STORE_PATH = TEST_STORE_PATH;
+
+// Stub the ICS fetch before autopost.js picks it up: one fixture per team feed
+const icsSource = require('../ics_source');
+const fetchedUrls = [];
+icsSource.getFixturesFromIcs = async (url) => {
+  fetchedUrls.push(url);
+  const team = decodeURIComponent(url.split('/').pop()).replace(/\+/g, ' ');
+  if (team === 'Broken') {
+    throw new Error('HTTP 500');
+  }
+  return [{ start: new Date(Date.now() + 24 * 60 * 60 * 1000), summary: `${team} v Opponents`, location: '', description: '', categories: [], tvChannel: null }];
+};
+
+const fixtureStore = require('../lib/fixture_store');
+const autopost = require('../autopost');
+const feeds = require('../feeds');
+const botCommands = require('../bot_commands');
+
+// Test counters
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (err) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${err.message}`);
+    failed++;
+  }
+}
+
+async function asyncTest(name, fn) {
+  try {
+    await fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (err) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${err.message}`);
+    failed++;
+  }
+}
+
+function resetStore() {
+  try {
+    fs.unlinkSync(TEST_STORE_PATH);
+  } catch (err) {
+    // Ignore missing file
+  }
+}
+
+const teams = ['Arsenal', 'Chelsea', 'Everton', 'Fulham', 'Leeds'].map((label) => ({ label }));
+const labels = (list) => list.map((t) => t.label);
+const inHours = (hours) => new Date(Date.now() + hours * 60 * 60 * 1000);
+
+console.log('Fixture Store Tests\n===================\n');
+
+(async () => {
+  // ---------- Rotation Tests ----------
+
+  console.log('--- Rotation Tests ---\n');
+
+  test('pickTeamsForRun: never-fetched teams first, then oldest attempt', () => {
+    resetStore();
+    assert.deepStrictEqual(labels(fixtureStore.pickTeamsForRun('@c', teams, 2)), ['Arsenal', 'Chelsea']);
+    fixtureStore.recordTeamFetch('@c', 'Arsenal', []);
+    fixtureStore.recordTeamFetch('@c', 'Chelsea', []);
+    assert.deepStrictEqual(labels(fixtureStore.pickTeamsForRun('@c', teams, 2)), ['Everton', 'Fulham']);
+    fixtureStore.recordTeamFetch('@c', 'Everton', []);
+    fixtureStore.recordTeamError('@c', 'Fulham', 'HTTP 429');
+    assert.deepStrictEqual(labels(fixtureStore.pickTeamsForRun('@c', teams, 2)), ['Leeds', 'Arsenal']);
+  });
+
+  test('recordTeamError: keeps the previous fetch', () => {
+    resetStore();
+    fixtureStore.recordTeamFetch('@c', 'Arsenal', [{ start: inHours(5), summary: 'Arsenal v Spurs' }]);
+    fixtureStore.recordTeamError('@c', 'Arsenal', 'HTTP 500');
+    const [arsenal] = fixtureStore.getTeamFreshness('@c', teams);
+    assert.strictEqual(arsenal.error, 'HTTP 500');
+    assert.strictEqual(arsenal.fixtureCount, 1);
+    assert.strictEqual(fixtureStore.getStoredFixtures('@c', teams).length, 1);
+  });
+
+  // ---------- Store Tests ----------
+
+  console.log('\n--- Store Tests ---\n');
+
+  test('getStoredFixtures: window, team label and Date starts', () => {
+    resetStore();
+    fixtureStore.recordTeamFetch('@c', 'Chelsea', [
+      { start: inHours(2), summary: 'Chelsea v Spurs' },
+      { start: inHours(24 * 10), summary: 'Chelsea v Leeds' }
+    ]);
+    const fixtures = fixtureStore.getStoredFixtures('@c', teams, { daysAhead: 7 });
+    assert.strictEqual(fixtures.length, 1);
+    assert.ok(fixtures[0].start instanceof Date);
+    assert.strictEqual(fixtures[0].teamLabel, 'Chelsea');
+  });
+
+  test('getStoredFixtures: ignores removed teams and old fetches', () => {
+    assert.strictEqual(fixtureStore.getStoredFixtures('@c', [{ label: 'Arsenal' }]).length, 0);
+
+    const store = JSON.parse(fs.readFileSync(TEST_STORE_PATH, 'utf8'));
+    const old = new Date(Date.now() - (fixtureStore.FIXTURE_MAX_AGE_DAYS + 1) * 24 * 60 * 60 * 1000).toISOString();
+    store['@c'].chelsea.fetchedAt = old;
+    store['@c'].chelsea.attemptedAt = old;
+    fs.writeFileSync(TEST_STORE_PATH, JSON.stringify(store));
+    assert.strictEqual(fixtureStore.getStoredFixtures('@c', teams).length, 0);
+  });
+
+  test('getTeamFreshness: stale when never or not recently fetched', () => {
+    const freshness = fixtureStore.getTeamFreshness('@c', teams);
+    assert.strictEqual(freshness.length, 5);
+    assert.ok(freshness.every((f) => f.stale));
+    fixtureStore.recordTeamFetch('@c', 'Leeds', []);
+    assert.strictEqual(fixtureStore.getTeamFreshness('@c', teams)[4].stale, false);
+  });
+
+  // ---------- Multi-ICS Channel Tests ----------
+
+  console.log('\n--- Multi-ICS Channel Tests ---\n');
+
+  await asyncTest('buildChannelMessage: rotates teams and merges stored fixtures', async () => {
+    resetStore();
+    const channel = {
+      id: '@multi',
+      useTheFishyMulti: true,
+      multiMaxTeams: 2,
+      multiIcsDelayMs: 0,
+      teams: [{ label: 'Arsenal' }, { label: 'Broken' }, { label: 'Chelsea' }]
+    };
+    const cfg = { timezone: 'Europe/London', channels: [channel] };
+
+    const first = await autopost.buildChannelMessage(cfg, channel, { includePosted: true });
+    assert.strictEqual(fetchedUrls.length, 2);
+    assert.strictEqual(first.matchCount, 1);
+
+    const second = await autopost.buildChannelMessage(cfg, channel, { includePosted: true });
+    assert.ok(fetchedUrls[2].endsWith('/Chelsea'));
+    assert.strictEqual(second.matchCount, 2);
+    assert.ok(second.text.includes('Arsenal v Opponents'));
+    assert.ok(second.text.includes('Chelsea v Opponents'));
+  });
+
+  await asyncTest('previewChannels: uses stored fixtures without fetching or updating the store', async () => {
+    const channel = {
+      id: '@multi',
+      useTheFishyMulti: true,
+      multiMaxTeams: 2,
+      multiIcsDelayMs: 0,
+      teams: [{ label: 'Arsenal' }, { label: 'Broken' }, { label: 'Chelsea' }]
+    };
+    const fetchCount = fetchedUrls.length;
+    const stored = fs.readFileSync(TEST_STORE_PATH, 'utf8');
+
+    const { results: [result] } = await autopost.previewChannels({ timezone: 'Europe/London', channels: [channel] }, [channel]);
+    assert.strictEqual(result.matchCount, 2);
+    assert.strictEqual(fetchedUrls.length, fetchCount);
+    assert.strictEqual(fs.readFileSync(TEST_STORE_PATH, 'utf8'), stored);
+  });
+
+  await asyncTest('feeds and bot commands: read stored fixtures without moving the rotation', async () => {
+    const channel = {
+      id: '@multi',
+      useTheFishyMulti: true,
+      multiMaxTeams: 2,
+      multiIcsDelayMs: 0,
+      posterStyle: false,
+      teams: [{ label: 'Arsenal' }, { label: 'Broken' }, { label: 'Chelsea' }]
+    };
+    const cfg = { timezone: 'Europe/London', channels: [channel] };
+    const fetchCount = fetchedUrls.length;
+    const stored = fs.readFileSync(TEST_STORE_PATH, 'utf8');
+    const nextTeams = fixtureStore.pickTeamsForRun(channel.id, channel.teams, 2);
+
+    feeds.clearFeedCache();
+    const feedFixtures = await feeds.getChannelFixtures(cfg, channel);
+    assert.strictEqual(feedFixtures.length, 2);
+
+    botCommands.clearFixtureCache();
+    const reply = await botCommands.handleCommand(cfg, 1, { command: 'team', args: 'Chelsea' });
+    assert.ok(reply.includes('Chelsea v Opponents'), reply);
+
+    assert.strictEqual(fetchedUrls.length, fetchCount);
+    assert.strictEqual(fs.readFileSync(TEST_STORE_PATH, 'utf8'), stored);
+    assert.deepStrictEqual(fixtureStore.pickTeamsForRun(channel.id, channel.teams, 2), nextTeams);
+  });
+
+  // ---------- Cleanup & Summary ----------
+
+  resetStore();
+
+  console.log('\n===================');
+  console.log(`Total: ${passed + failed} | Passed: ${passed} | Failed: ${failed}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+})();
@@ -0,0 +1,180 @@
+// tests/i18n.test.js
+// Test suite for localised posters, matchday cards and digests.
+
+const assert = require('assert');
+const os = require('os');
+const path = require('path');
+
+// Point the stores at throwaway paths before loading the modules
+process.env.TEAM_REGISTRY_PATH = path.join(os.tmpdir(), `i18n_registry_test_${process.pid}.json`);
+
+const i18n = require('../lib/i18n');
+const matchdayCards = require('../lib/matchday_cards');
+const posterTemplates = require('../lib/poster_templates');
+const autopost = require('../autopost');
+
+// Test counters
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (err) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${err.message}`);
+    failed++;
+  }
+}
+
+async function asyncTest(name, fn) {
+  try {
+    await fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (err) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${err.message}`);
+    failed++;
+  }
+}
+
+// Saturday 16 March 2030, 3pm in the UK
+const FIXTURE = {
+  start: new Date('2030-03-16T15:00:00Z'),
+  summary: 'Arsenal v Chelsea',
+  homeTeam: 'Arsenal',
+  awayTeam: 'Chelsea',
+  competition: 'Premier League',
+  tvByRegion: [
+    { region: 'UK', channel: 'Sky Sports Main Event' },
+    { region: 'Ireland', channel: 'Sky Sports Main Event' },
+    { region: 'Caribbean', channel: 'ESPN' }
+  ]
+};
+
+console.log('Localisation Tests\n==================\n');
+
+(async () => {
+  // ---------- Catalogue Tests ----------
+
+  console.log('--- Catalogue Tests ---\n');
+
+  test('t: placeholders, English fallback for unknown locales and missing keys', () => {
+    assert.strictEqual(i18n.getLocale('klingon').id, 'en');
+    assert.strictEqual(i18n.getLocale('AR').dir, 'rtl');
+    assert.strictEqual(i18n.t('fr', 'andMore', { count: 3 }), '... et 3 de plus');
+    assert.strictEqual(i18n.t('es', 'tv'), 'TV');
+    assert.strictEqual(i18n.t(i18n.getLocale('de'), 'dayOnTv', { day: 'SAMSTAG' }), 'SAMSTAG IM TV');
+  });
+
+  test('translateText: only the built-in English labels are translated', () => {
+    const fr = i18n.getLocale('fr');
+    assert.strictEqual(i18n.translateText(fr, 'SPORTS LISTINGS ON TV'), 'LE SPORT À LA TÉLÉ');
+    assert.strictEqual(i18n.translateText(fr, autopost.DEFAULT_FOOTER_TEXT), 'Soutenez les programmes en vous abonnant.');
+    assert.strictEqual(i18n.translateText(fr, 'Join @MyChannel'), 'Join @MyChannel');
+    assert.strictEqual(i18n.translateText(i18n.getLocale('en'), 'TV details TBC'), 'TV details TBC');
+  });
+
+  test('translateCompetition / translateRegion: channel names, catalogue, then Intl', () => {
+    const ar = i18n.getLocale('ar');
+    assert.strictEqual(i18n.translateCompetition('premier league', ar), 'الدوري الإنجليزي الممتاز');
+    assert.strictEqual(i18n.translateCompetition('Premier League', ar, { competitionNames: { 'Premier League': 'البريميرليغ' } }), 'البريميرليغ');
+    assert.strictEqual(i18n.translateCompetition('Eredivisie', ar), 'Eredivisie');
+
+    assert.strictEqual(i18n.translateRegion('UK', i18n.getLocale('en')), 'UK');
+    assert.strictEqual(i18n.translateRegion('UK', i18n.getLocale('fr')), 'Royaume-Uni');
+    assert.strictEqual(i18n.translateRegion('Caribbean', i18n.getLocale('es')), 'Caribe');
+    assert.strictEqual(i18n.translateRegion('UK, Ireland', ar), 'المملكة المتحدة، أيرلندا');
+    assert.strictEqual(i18n.getFontFamily(ar, 'Arial, sans-serif'), '"Noto Naskh Arabic", "Noto Sans Arabic", "DejaVu Sans", Arial, sans-serif');
+  });
+
+  // ---------- Poster Tests ----------
+
+  console.log('\n--- Poster Tests ---\n');
+
+  test('formatFixturePoster: English posters are unchanged', () => {
+    const text = autopost.formatFixturePoster(autopost.adaptFixtureForPoster(FIXTURE));
+    assert.deepStrictEqual(text.split('\n').slice(0, 8), [
+      '═══════════════════════════',
+      '   SPORTS LISTINGS ON TV   ',
+      '═══════════════════════════',
+      '',
+      '3:00pm UK    11:00am ET',
+      '',
+      'ARSENAL v CHELSEA',
+      'Premier League'
+    ]);
+    assert.ok(text.includes('🇬🇧 UK         Sky Sports Main Event\n🇮🇪 Ireland    Sky Sports Main Event'));
+    assert.ok(text.endsWith(autopost.DEFAULT_FOOTER_TEXT));
+  });
+
+  test('formatFixturePoster: labels, times, competition and regions in the channel language', () => {
+    const channel = { locale: 'ar', audienceTimezones: [{ zone: 'Asia/Dubai', label: 'GST' }] };
+    const posterFixture = autopost.adaptFixtureForPoster(FIXTURE, channel);
+    assert.strictEqual(posterFixture.competition, 'Premier League');
+    assert.strictEqual(posterFixture.tvByRegion[0].region, 'UK');
+
+    const lines = autopost.formatFixturePoster(posterFixture).split('\n');
+    assert.strictEqual(lines[1].trim(), 'الرياضة على التلفاز');
+    assert.strictEqual(lines[4], i18n.isolateRtl('7:00 م GST'));
+    assert.strictEqual(lines[6], 'ARSENAL ضد CHELSEA');
+    assert.strictEqual(lines[7], 'الدوري الإنجليزي الممتاز');
+    assert.ok(lines.some((l) => l.startsWith('🇬🇧 المملكة المتحدة')));
+    assert.strictEqual(lines[lines.length - 1], 'ادعموا جدول البث بالاشتراك في القناة.');
+
+    const empty = autopost.formatFixturePoster(autopost.adaptFixtureForPoster({ ...FIXTURE, tvByRegion: [] }, { locale: 'de' }));
+    assert.ok(empty.includes('Übertragung noch offen'));
+    assert.ok(empty.includes('15:00 UK'));
+  });
+
+  test('matchday cards: headings, dates and titles in the channel language', () => {
+    const channel = { locale: 'fr' };
+    const [page] = matchdayCards.buildCardPages([autopost.adaptFixtureForPoster(FIXTURE, channel)], {
+      locale: channel.locale,
+      now: new Date('2030-03-10T09:00:00Z')
+    });
+    assert.strictEqual(page.heading, 'SAMEDI À LA TÉLÉ');
+    assert.strictEqual(page.dateLabel, 'samedi 16 mars');
+    assert.strictEqual(matchdayCards.formatCardPageText({ ...page, rows: [...page.rows, { type: 'match', title: 'A v B', channel: '' }] }),
+      '📺 SAMEDI À LA TÉLÉ\nsamedi 16 mars\n\n15:00 · Premier League\nArsenal v Chelsea – Sky Sports Main Event\nA v B – TV à confirmer');
+  });
+
+  test('formatDigest: header, dates and TV label in the channel language', () => {
+    const channel = { id: '@de', label: 'Fußball', locale: 'de' };
+    const text = autopost.formatDigest(channel, [{ ...FIXTURE, tvChannel: 'Sky Sports Main Event' }], {
+      timezone: 'Europe/Berlin', daysAhead: 7, header: 'digestHeader'
+    });
+    assert.strictEqual(text, 'Nächste Spiele – Fußball (nächste 7 Tage)\n\nSa., 16. März, 16:00 – Arsenal v Chelsea (TV: Sky Sports Main Event)');
+
+    const english = autopost.formatDigest({ id: '@en' }, [FIXTURE], { timezone: 'Europe/London', daysAhead: 2, header: 'digestHeaderIcs' });
+    assert.strictEqual(english.split('\n')[0], 'Upcoming fixtures from ICS – @en (next 2 day(s))');
+  });
+
+  // ---------- Rendering Tests ----------
+
+  console.log('\n--- Rendering Tests ---\n');
+
+  await asyncTest('image posters and cards render right-to-left locales', async () => {
+    const options = { posterFooterText: autopost.DEFAULT_FOOTER_TEXT, plainBackground: true };
+    const template = posterTemplates.getTemplate('classic');
+    const english = await autopost.renderPosterPreview(autopost.adaptFixtureForPoster(FIXTURE), options, template);
+    const arabic = await autopost.renderPosterPreview(autopost.adaptFixtureForPoster(FIXTURE, { locale: 'ar' }), options, template);
+    assert.ok(english.image && arabic.image);
+    assert.notStrictEqual(english.image, arabic.image);
+
+    const [page] = matchdayCards.buildCardPages([autopost.adaptFixtureForPoster(FIXTURE, { locale: 'ar' })], { locale: 'ar' });
+    const card = await autopost.buildMatchdayCardImage(page, { backgroundPath: null, footerText: '' });
+    assert.ok(card);
+    require('fs').unlinkSync(card);
+  });
+
+  // ---------- Summary ----------
+
+  console.log('\n==================');
+  console.log(`Total: ${passed + failed} | Passed: ${passed} | Failed: ${failed}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+})();
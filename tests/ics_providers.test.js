@@ -0,0 +1,94 @@
+// tests/ics_providers.test.js
+// Test suite for ICS calendar providers and their summary parsers.
+
+const assert = require('assert');
+const icsProviders = require('../lib/ics_providers');
+
+// Test counters
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (err) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${err.message}`);
+    failed++;
+  }
+}
+
+console.log('ICS Providers Tests\n===================\n');
+
+// ---------- Provider Selection Tests ----------
+
+console.log('--- Provider Selection Tests ---\n');
+
+test('getChannelProvider: icsProvider, then useTheFishyMulti, then single', () => {
+  assert.strictEqual(icsProviders.getChannelProvider({ icsProvider: 'club' }).id, 'club');
+  assert.strictEqual(icsProviders.getChannelProvider({ useTheFishyMulti: true }).id, 'thefishy');
+  assert.strictEqual(icsProviders.getChannelProvider({ icsProvider: 'nope' }).id, 'single');
+  assert.strictEqual(icsProviders.usesTeamFeeds({}), false);
+  assert.strictEqual(icsProviders.usesTeamFeeds({ icsProvider: 'template' }), true);
+});
+
+test('getTeamProvider and buildTeamUrl: per-team feed URLs', () => {
+  const channel = { icsProvider: 'template', icsUrlTemplate: 'https://fixtures.test/{slug}.ics?team={label}' };
+  const provider = icsProviders.getTeamProvider({ label: "Nott'm Forest" }, channel);
+  assert.strictEqual(provider.buildTeamUrl({ label: "Nott'm Forest" }, channel), 'https://fixtures.test/nott-m-forest.ics?team=Nott\'m%20Forest');
+  assert.strictEqual(provider.buildTeamUrl({ label: 'Spurs', slug: 'tottenham' }, channel), 'https://fixtures.test/tottenham.ics?team=Spurs');
+
+  const fishy = icsProviders.getTeamProvider({ label: 'Man Utd' }, { useTheFishyMulti: true });
+  assert.strictEqual(fishy.buildTeamUrl({ label: 'Man Utd' }), 'https://thefishy.co.uk/calendar/Man+Utd');
+
+  // A team's own calendar wins over the channel's provider
+  const club = icsProviders.getTeamProvider({ label: 'Arsenal', icsUrl: 'https://arsenal.test/fixtures.ics' }, { useTheFishyMulti: true });
+  assert.strictEqual(club.id, 'club');
+  assert.strictEqual(club.buildTeamUrl({ label: 'Arsenal', icsUrl: 'https://arsenal.test/fixtures.ics' }), 'https://arsenal.test/fixtures.ics');
+});
+
+// ---------- Summary Parser Tests ----------
+
+console.log('\n--- Summary Parser Tests ---\n');
+
+test('parseFixtureSummary: TheFishy team feeds (tagged or older untagged fixtures)', () => {
+  const expected = { homeTeam: 'West Ham', awayTeam: 'Man Utd' };
+  assert.deepStrictEqual(icsProviders.parseFixtureSummary({ summary: 'West Ham (away)', teamLabel: 'Man Utd', icsProvider: 'thefishy' }), expected);
+  assert.deepStrictEqual(icsProviders.parseFixtureSummary({ summary: 'West Ham (away)', teamLabel: 'Man Utd' }), expected);
+});
+
+test('parseFixtureSummary: club calendars split off competition and detail', () => {
+  assert.deepStrictEqual(
+    icsProviders.parseFixtureSummary({ summary: 'Premier League: Arsenal v Chelsea', teamLabel: 'Arsenal', icsProvider: 'club' }),
+    { homeTeam: 'Arsenal', awayTeam: 'Chelsea', competition: 'Premier League', detail: '' }
+  );
+  assert.deepStrictEqual(
+    icsProviders.parseFixtureSummary({ summary: 'Arsenal v Chelsea (FA Cup)', icsProvider: 'template' }),
+    { homeTeam: 'Arsenal', awayTeam: 'Chelsea', competition: '', detail: 'FA Cup' }
+  );
+  // Opponent-only summaries read like TheFishy's
+  assert.deepStrictEqual(
+    icsProviders.parseFixtureSummary({ summary: 'Chelsea (A)', teamLabel: 'Arsenal', icsProvider: 'club' }),
+    { homeTeam: 'Chelsea', awayTeam: 'Arsenal', competition: '', detail: '' }
+  );
+});
+
+test('parseFixtureSummary: single feeds, football and other sports', () => {
+  assert.deepStrictEqual(
+    icsProviders.parseFixtureSummary({ summary: 'Arsenal vs. Chelsea' }),
+    { homeTeam: 'Arsenal', awayTeam: 'Chelsea' }
+  );
+  assert.deepStrictEqual(
+    icsProviders.parseFixtureSummary({ summary: 'Six Nations: England v France', sport: 'rugby', icsProvider: 'single' }),
+    { homeTeam: 'England', awayTeam: 'France', competition: 'Six Nations', detail: '' }
+  );
+});
+
+// ---------- Summary ----------
+
+console.log('\n===================');
+console.log(`Total: ${passed + failed} | Passed: ${passed} | Failed: ${failed}`);
+
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,147 @@
+// tests/ics_source.test.js
+// Test suite for ICS fetching: conditional requests and per-host politeness.
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+
+// Point the cache at a throwaway directory before loading the module
+const TEST_CACHE_DIR = path.join(os.tmpdir(), `ics_source_test_${process.pid}`);
+process.env.CACHE_DIR = TEST_CACHE_DIR;
+
+const cache = require('../lib/cache');
+const icsSource = require('../ics_source');
+
+// Test counters
+let passed = 0;
+let failed = 0;
+
+async function asyncTest(name, fn) {
+  cache.purge();
+  try {
+    await fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (err) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${err.message}`);
+    failed++;
+  }
+}
+
+// Replace axios.get with canned responses, recording each request
+const realGet = axios.get;
+let requests = [];
+function stubResponses(...responses) {
+  requests = [];
+  axios.get = async (url, options) => {
+    requests.push({ url, headers: { ...options.headers }, at: Date.now() });
+    const resp = responses.shift();
+    if (resp.status >= 400) {
+      const err = new Error(`Request failed with status code ${resp.status}`);
+      err.response = resp;
+      throw err;
+    }
+    return resp;
+  };
+}
+
+const ICS = 'BEGIN:VCALENDAR\nEND:VCALENDAR';
+
+console.log('ICS Source Tests\n================\n');
+
+(async () => {
+  // ---------- Conditional GET Tests ----------
+
+  console.log('--- Conditional GET Tests ---\n');
+
+  icsSource.HOST_LIMITS['conditional.test'] = { minIntervalMs: 0 };
+
+  await asyncTest('fetchIcsWithCache: revalidates with ETag/Last-Modified and reuses the copy on 304', async () => {
+    const url = 'https://conditional.test/team.ics';
+    stubResponses(
+      { status: 200, data: ICS, headers: { etag: '"v1"', 'last-modified': 'Mon, 19 Oct 2026 08:00:00 GMT' } },
+      { status: 304, data: '', headers: {} }
+    );
+
+    assert.strictEqual(await icsSource.fetchIcsWithCache(url), ICS);
+    assert.strictEqual(requests[0].headers['If-None-Match'], undefined);
+
+    // Fresh copies are used without a request
+    assert.strictEqual(await icsSource.fetchIcsWithCache(url), ICS);
+    assert.strictEqual(requests.length, 1);
+
+    cache.set('ics', url, cache.get('ics', url).value, { ttlMs: 0, staleMs: 0 });
+    assert.strictEqual(await icsSource.fetchIcsWithCache(url), ICS);
+    assert.strictEqual(requests.length, 2);
+    assert.strictEqual(requests[1].headers['If-None-Match'], '"v1"');
+    assert.strictEqual(requests[1].headers['If-Modified-Since'], 'Mon, 19 Oct 2026 08:00:00 GMT');
+
+    // The 304 refreshed the entry and kept the validators
+    const cached = cache.get('ics', url);
+    assert.strictEqual(cached.state, 'fresh');
+    assert.strictEqual(cached.value.etag, '"v1"');
+  });
+
+  await asyncTest('fetchIcsWithCache: plain-text entries from older versions still work', async () => {
+    const url = 'https://conditional.test/old.ics';
+    cache.set('ics', url, ICS);
+    stubResponses();
+    assert.strictEqual(await icsSource.fetchIcsWithCache(url), ICS);
+
+    cache.set('ics', url, ICS, { ttlMs: 0, staleMs: 0 });
+    stubResponses({ status: 200, data: `${ICS}\n`, headers: {} });
+    assert.strictEqual(await icsSource.fetchIcsWithCache(url), `${ICS}\n`);
+    assert.strictEqual(requests[0].headers['If-None-Match'], undefined);
+  });
+
+  // ---------- Politeness Tests ----------
+
+  console.log('\n--- Politeness Tests ---\n');
+
+  await asyncTest('requests to one host are spaced by minIntervalMs', async () => {
+    icsSource.HOST_LIMITS['slow.test'] = { minIntervalMs: 150 };
+    stubResponses(
+      { status: 200, data: ICS, headers: {} },
+      { status: 200, data: ICS, headers: {} }
+    );
+    await Promise.all([
+      icsSource.fetchIcsWithCache('https://slow.test/a.ics'),
+      icsSource.fetchIcsWithCache('https://www.slow.test/b.ics')
+    ]);
+    assert.strictEqual(requests.length, 2);
+    const gap = requests[1].at - requests[0].at;
+    assert(gap >= 140, `Expected at least 150ms between requests, got ${gap}ms`);
+  });
+
+  await asyncTest('HTTP 429 blocks the host until Retry-After; an older copy covers it', async () => {
+    icsSource.HOST_LIMITS['busy.test'] = { minIntervalMs: 0, backoffMs: 60000 };
+    stubResponses({ status: 429, data: '', headers: { 'retry-after': '120' } });
+    await assert.rejects(icsSource.fetchIcsWithCache('https://busy.test/a.ics'), (err) => err.response.status === 429);
+    assert.strictEqual(requests.length, 1);
+
+    // Other feeds on the host fail straight away, without a request
+    stubResponses();
+    await assert.rejects(
+      icsSource.fetchIcsWithCache('https://busy.test/b.ics'),
+      (err) => err.response.status === 429 && /back off/.test(err.message)
+    );
+    assert.strictEqual(requests.length, 0);
+
+    cache.set('ics', 'https://busy.test/c.ics', { text: ICS, etag: null, lastModified: null }, { ttlMs: 0, staleMs: 0 });
+    assert.strictEqual(await icsSource.fetchIcsWithCache('https://busy.test/c.ics'), ICS);
+    assert.strictEqual(requests.length, 0);
+  });
+
+  axios.get = realGet;
+  fs.rmSync(TEST_CACHE_DIR, { recursive: true, force: true });
+
+  // ---------- Summary ----------
+
+  console.log('\n================');
+  console.log(`Total: ${passed + failed} | Passed: ${passed} | Failed: ${failed}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+})();
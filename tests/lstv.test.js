@@ -161,11 +161,14 @@ test('TSDB teamsMatch: exact match', () => {
   assert.strictEqual(tsdb.teamsMatch('Arsenal FC', 'Arsenal'), true);
 });
 
-test('TSDB teamsMatch: city teams share main word', () => {
+test('TSDB teamsMatch: registry teams, main word for unknown names', () => {
   assert.strictEqual(tsdb.teamsMatch('Manchester City', 'Manchester City FC'), true);
-  // Note: Both Manchester teams share "manchester" - the word matching finds this
-  // This is by design - more specific matching happens at the fixture level
-  assert.strictEqual(tsdb.teamsMatch('Manchester City', 'Manchester United'), true);
+  assert.strictEqual(tsdb.teamsMatch('Man Utd', 'Manchester United'), true);
+  // Both Manchester teams share "manchester", but the team registry knows
+  // they are different clubs
+  assert.strictEqual(tsdb.teamsMatch('Manchester City', 'Manchester United'), false);
+  // Teams the registry doesn't know still match on their main word
+  assert.strictEqual(tsdb.teamsMatch('Inter Milan', 'Internazionale Milan'), true);
   // But completely different teams don't match
   assert.strictEqual(tsdb.teamsMatch('Manchester City', 'Liverpool'), false);
 });
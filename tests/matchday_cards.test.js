@@ -0,0 +1,206 @@
+// tests/matchday_cards.test.js
+// Test suite for matchday cards: grouping, pagination and sending.
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+
+// Point the stores at throwaway paths before loading the modules
+const TEST_PATHS = {
+  POSTED_LEDGER_PATH: path.join(os.tmpdir(), `matchday_cards_ledger_test_${process.pid}.json`),
+  TEAM_REGISTRY_PATH: path.join(os.tmpdir(), `matchday_cards_registry_test_${process.pid}.json`)
+};
+Object.assign(process.env, TEST_PATHS);
+
+const matchdayCards = require('../lib/matchday_cards');
+const postedLedger = require('../lib/posted_ledger');
+const autopost = require('../autopost');
+
+// Test counters
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (err) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${err.message}`);
+    failed++;
+  }
+}
+
+async function asyncTest(name, fn) {
+  resetStores();
+  try {
+    await fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (err) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${err.message}`);
+    failed++;
+  }
+}
+
+function resetStores() {
+  for (const file of Object.values(TEST_PATHS)) {
+    try {
+      fs.unlinkSync(file);
+    } catch (err) {
+      // Ignore missing file
+    }
+  }
+}
+
+// Capture Telegram API calls instead of sending them
+const realPost = axios.post;
+let telegramCalls = [];
+axios.post = async (url) => {
+  telegramCalls.push(url.split('/').pop());
+  return { data: { ok: true, result: { message_id: 500 + telegramCalls.length } } };
+};
+
+// Saturday 16 March 2030 (GMT) and the day after
+const poster = (time, home, away, competition, tvByRegion = [{ region: 'UK', channel: 'Sky Sports Main Event' }], day = 16) => ({
+  start: new Date(`2030-03-${day}T${time}:00Z`),
+  date: new Date(`2030-03-${day}T${time}:00Z`),
+  timeUk: autopost.formatTimeInZone(new Date(`2030-03-${day}T${time}:00Z`), 'Europe/London'),
+  homeTeam: home,
+  awayTeam: away,
+  competition,
+  tvByRegion
+});
+
+console.log('Matchday Cards Tests\n====================\n');
+
+(async () => {
+  // ---------- Grouping Tests ----------
+
+  console.log('--- Grouping Tests ---\n');
+
+  test('getCardMode / getRowsPerPage: poster channels only, sane limits', () => {
+    assert.strictEqual(matchdayCards.getCardMode({ posterStyle: true, matchdayCard: 'instead' }), 'instead');
+    assert.strictEqual(matchdayCards.getCardMode({ posterStyle: false, matchdayCard: 'also' }), 'off');
+    assert.strictEqual(matchdayCards.getCardMode({ posterStyle: true, matchdayCard: 'sometimes' }), 'off');
+    assert.strictEqual(matchdayCards.getRowsPerPage({}), 14);
+    assert.strictEqual(matchdayCards.getRowsPerPage({ matchdayCardRows: '2' }), 14);
+    assert.strictEqual(matchdayCards.getRowsPerPage({ matchdayCardRows: 99 }), 30);
+  });
+
+  test('getMainChannel: first channel in the region, including merged region lines', () => {
+    const tvByRegion = [{ region: 'USA', channel: 'Peacock' }, { region: 'UK', channel: 'TNT Sports 1, discovery+' }];
+    assert.strictEqual(matchdayCards.getMainChannel({ tvByRegion }), 'TNT Sports 1');
+    assert.strictEqual(matchdayCards.getMainChannel({ tvByRegion }, 'US'), 'Peacock');
+    assert.strictEqual(matchdayCards.getMainChannel({ tvByRegion: [{ region: 'Ireland, UK', channel: 'Sky Sports Football' }] }), 'Sky Sports Football');
+    assert.strictEqual(matchdayCards.getMainChannel({ tvByRegion: [{ region: 'USA', channel: 'Peacock' }] }), '');
+
+    assert.strictEqual(matchdayCards.getCardRegion({}), 'GB');
+    assert.strictEqual(matchdayCards.getCardRegion({ regionPriority: ['Nigeria', 'UK'] }), 'NG');
+  });
+
+  test('buildCardPages: one set of pages per day, grouped by kickoff and competition', () => {
+    const pages = matchdayCards.buildCardPages([
+      poster('15:00', 'Everton', 'Fulham', 'Premier League'),
+      poster('12:30', 'Arsenal', 'Chelsea', 'Premier League', [{ region: 'UK', channel: 'TNT Sports 1' }]),
+      poster('15:00', 'Leeds', 'Burnley', 'Championship', [{ region: 'USA', channel: 'CBS' }]),
+      poster('15:00', 'Brentford', 'Wolves', 'Premier League'),
+      poster('16:30', 'Celtic', 'Rangers', 'Premiership', undefined, 17)
+    ], { now: new Date('2030-03-16T09:00:00Z') });
+
+    assert.deepStrictEqual(pages.map((p) => `${p.date} ${p.heading} ${p.page}/${p.pageCount}`), [
+      '2030-03-16 TODAY ON TV 1/1',
+      '2030-03-17 TOMORROW ON TV 1/1'
+    ]);
+    assert.strictEqual(pages[0].dateLabel, 'Saturday 16 March');
+    assert.deepStrictEqual(pages[0].rows.map((r) => (r.type === 'group' ? `# ${r.time} ${r.competition}` : `${r.title} | ${r.channel}`)), [
+      '# 12:30pm Premier League',
+      'Arsenal v Chelsea | TNT Sports 1',
+      '# 3:00pm Championship',
+      'Leeds v Burnley | ',
+      '# 3:00pm Premier League',
+      'Brentford v Wolves | Sky Sports Main Event',
+      'Everton v Fulham | Sky Sports Main Event'
+    ]);
+    assert.strictEqual(pages[0].fixtures.length, 4);
+  });
+
+  test('buildCardPages: paginates, repeats a continued heading, never leaves one alone', () => {
+    const teams = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'I', 'J'];
+    const fixtures = [
+      ...teams.slice(0, 4).map((t) => poster('12:30', `${t} Town`, `${t} City`, 'League One')),
+      ...teams.map((t) => poster('15:00', `${t} Rovers`, `${t} United`, 'League Two'))
+    ];
+    const pages = matchdayCards.buildCardPages(fixtures, { rowsPerPage: 6, now: new Date('2030-01-01T00:00:00Z') });
+
+    // Page 1: League One heading + 4 matches; the League Two heading would be alone on line 6
+    assert.deepStrictEqual(pages.map((p) => p.rows.length), [5, 6, 6]);
+    assert.strictEqual(pages[0].heading, 'SATURDAY ON TV');
+    assert.deepStrictEqual(pages.map((p) => `${p.page}/${p.pageCount}`), ['1/3', '2/3', '3/3']);
+    assert.deepStrictEqual(pages[0].rows.map((r) => r.type), ['group', 'match', 'match', 'match', 'match']);
+    assert.deepStrictEqual(pages[1].rows[0], { type: 'group', time: '3:00pm', competition: 'League Two', continued: false });
+    assert.strictEqual(pages[2].rows[0].continued, true);
+    assert.strictEqual(pages.reduce((n, p) => n + p.fixtures.length, 0), fixtures.length);
+  });
+
+  test('formatCardPageText: heading, page number and TBC channels', () => {
+    const [page] = matchdayCards.buildCardPages([
+      poster('15:00', 'Leeds', 'Burnley', 'Championship', [])
+    ], { now: new Date('2030-03-16T09:00:00Z') });
+    assert.strictEqual(matchdayCards.formatCardPageText(page), '📺 TODAY ON TV\nSaturday 16 March\n\n3:00pm · Championship\nLeeds v Burnley – TV TBC');
+  });
+
+  // ---------- Sending Tests ----------
+
+  console.log('\n--- Sending Tests ---\n');
+
+  await asyncTest('sendMatchdayCards: one photo per page; "instead" records each page in the ledger', async () => {
+    telegramCalls = [];
+    const channel = { id: '@cards', posterStyle: true, matchdayCard: 'instead', matchdayCardRows: 4 };
+    const fixtures = ['Arsenal v Chelsea', 'Everton v Fulham', 'Leeds v Burnley', 'Spurs v Wolves'].map((summary) => {
+      const [homeTeam, awayTeam] = summary.split(' v ');
+      return { start: new Date('2030-03-16T15:00:00Z'), summary, homeTeam, awayTeam, competition: 'Premier League', tvChannel: 'Sky Sports Main Event' };
+    });
+
+    const sent = await autopost.sendMatchdayCards({ timezone: 'Europe/London' }, 'TOKEN', channel, fixtures,
+      { backgroundPath: null, posterFooterText: 'Footer' }, { record: true });
+    assert.strictEqual(sent, 2);
+    assert.deepStrictEqual(telegramCalls, ['sendPhoto', 'sendPhoto']);
+
+    const posted = postedLedger.listPosted('@cards');
+    assert.strictEqual(posted.length, 4);
+    assert.ok(posted.every((e) => e.kind === 'card'));
+    assert.deepStrictEqual([...new Set(posted.map((e) => e.messageId))].sort(), [501, 502]);
+
+    // Without record (matchdayCard "also") the per-fixture posters are recorded instead
+    await autopost.sendMatchdayCards({}, 'TOKEN', { id: '@also', posterStyle: true }, fixtures,
+      { backgroundPath: null, posterFooterText: '' });
+    assert.strictEqual(postedLedger.listPosted('@also').length, 0);
+  });
+
+  await asyncTest('updatePostedPoster: fixtures posted on a card are not edited', async () => {
+    telegramCalls = [];
+    const fixture = { start: new Date('2030-03-16T15:00:00Z'), summary: 'Arsenal v Chelsea', homeTeam: 'Arsenal', awayTeam: 'Chelsea', tvChannel: 'Sky Sports Main Event' };
+    postedLedger.recordPosted('@cards', autopost.adaptFixtureForPoster(fixture), { messageId: 77, kind: 'card' });
+    const postedRef = postedLedger.findPostedEntry('@cards', fixture);
+
+    const posterFixture = autopost.adaptFixtureForPoster({ ...fixture, tvChannel: 'TNT Sports 1' });
+    const edited = await autopost.updatePostedPoster('TOKEN', { id: '@cards' }, posterFixture, postedRef, autopost.getPosterOptions({}));
+    assert.strictEqual(edited, false);
+    assert.deepStrictEqual(telegramCalls, []);
+  });
+
+  axios.post = realPost;
+  resetStores();
+
+  // ---------- Summary ----------
+
+  console.log('\n====================');
+  console.log(`Total: ${passed + failed} | Passed: ${passed} | Failed: ${failed}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+})();
@@ -0,0 +1,134 @@
+// tests/post_queue.test.js
+// Test suite for the kickoff post queue.
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Point the queue at a throwaway file before loading the module
+const TEST_QUEUE_PATH = path.join(os.tmpdir(), `post_queue_test_${process.pid}.json`);
+process.env.POST_QUEUE_PATH = TEST_QUEUE_PATH;
+
+const postQueue = require('../lib/post_queue');
+
+// Test counters
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (err) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${err.message}`);
+    failed++;
+  }
+}
+
+console.log('Post Queue Tests\n================\n');
+
+// Kickoffs relative to now so entries are not pruned
+const HOUR = 60 * 60 * 1000;
+const kickoff = new Date(Math.floor((Date.now() + 48 * HOUR) / 60000) * 60000);
+
+const fixture = {
+  start: kickoff,
+  homeTeam: 'Arsenal',
+  awayTeam: 'Chelsea',
+  summary: 'Arsenal v Chelsea',
+  competition: 'Premier League'
+};
+
+// ---------- Enqueue Tests ----------
+
+console.log('--- Enqueue Tests ---\n');
+
+test('enqueue: queues with sendAt = kickoff - lead time', () => {
+  const { entry, action } = postQueue.enqueue('@test', fixture, 3);
+  assert.strictEqual(action, 'queued');
+  assert.strictEqual(entry.status, 'queued');
+  assert.strictEqual(entry.sendAt, new Date(kickoff.getTime() - 3 * HOUR).toISOString());
+  assert.strictEqual(entry.fixture.homeTeam, 'Arsenal');
+});
+
+test('enqueue: same fixture and lead time is unchanged', () => {
+  assert.strictEqual(postQueue.enqueue('@test', fixture, 3).action, 'unchanged');
+  assert.strictEqual(postQueue.listQueue().length, 1);
+});
+
+test('enqueue: moved kickoff re-times the existing entry', () => {
+  const moved = { ...fixture, start: new Date(kickoff.getTime() + 2 * HOUR) };
+  const { entry, action } = postQueue.enqueue('@test', moved, 3);
+  assert.strictEqual(action, 'updated');
+  assert.strictEqual(entry.sendAt, new Date(kickoff.getTime() - HOUR).toISOString());
+  const all = postQueue.listQueue();
+  assert.strictEqual(all.length, 1);
+  assert.strictEqual(all[0].id, entry.id);
+});
+
+test('enqueue: sent and cancelled entries are ignored', () => {
+  const [entry] = postQueue.listQueue();
+  postQueue.markSent(entry.id, 42);
+  const moved = { ...fixture, start: new Date(kickoff.getTime() + 2 * HOUR) };
+  assert.strictEqual(postQueue.enqueue('@test', moved, 3).action, 'ignored');
+  assert.strictEqual(postQueue.getEntry(entry.id).messageId, 42);
+
+  const other = { ...fixture, homeTeam: 'Spurs', summary: 'Spurs v Chelsea' };
+  const queued = postQueue.enqueue('@test', other, 3).entry;
+  assert.strictEqual(postQueue.cancel(queued.id), true);
+  assert.strictEqual(postQueue.cancel(queued.id), false);
+  assert.strictEqual(postQueue.enqueue('@test', other, 3).action, 'ignored');
+});
+
+// ---------- Due / Failure Tests ----------
+
+console.log('\n--- Due / Failure Tests ---\n');
+
+test('getDue: only queued entries past their send time, per channel', () => {
+  const soon = { ...fixture, homeTeam: 'Everton', summary: 'Everton v Chelsea', start: new Date(Date.now() + HOUR) };
+  const { entry } = postQueue.enqueue('@test', soon, 2);
+  postQueue.enqueue('@other', soon, 2);
+
+  const due = postQueue.getDue(new Date(), ['@test']);
+  assert.deepStrictEqual(due.map((e) => e.id), [entry.id]);
+  assert.strictEqual(postQueue.getDue(new Date(Date.now() - 2 * HOUR)).length, 0);
+});
+
+test('markFailed: stays queued until MAX_SEND_ATTEMPTS, then failed', () => {
+  const [entry] = postQueue.getDue(new Date(), ['@other']);
+  for (let i = 1; i < postQueue.MAX_SEND_ATTEMPTS; i++) {
+    assert.strictEqual(postQueue.markFailed(entry.id, 'boom').status, 'queued');
+  }
+  const last = postQueue.markFailed(entry.id, 'boom');
+  assert.strictEqual(last.status, 'failed');
+  assert.strictEqual(last.attempts, postQueue.MAX_SEND_ATTEMPTS);
+  assert.strictEqual(postQueue.getDue(new Date(), ['@other']).length, 0);
+});
+
+// ---------- Lead Time Tests ----------
+
+console.log('\n--- Lead Time Tests ---\n');
+
+test('getLeadTimeHours: competition match, channel default, fallback', () => {
+  const channel = { leadTimeHours: 2, leadTimeByCompetition: { 'champions league': 4 } };
+  assert.strictEqual(postQueue.getLeadTimeHours(channel, { competition: 'UEFA Champions League' }), 4);
+  assert.strictEqual(postQueue.getLeadTimeHours(channel, { description: 'Champions League group stage' }), 4);
+  assert.strictEqual(postQueue.getLeadTimeHours(channel, fixture), 2);
+  assert.strictEqual(postQueue.getLeadTimeHours({}, fixture), 3);
+});
+
+// ---------- Cleanup & Summary ----------
+
+try {
+  fs.unlinkSync(TEST_QUEUE_PATH);
+} catch (err) {
+  // Ignore cleanup errors
+}
+
+console.log('\n================');
+console.log(`Total: ${passed + failed} | Passed: ${passed} | Failed: ${failed}`);
+
+process.exit(failed > 0 ? 1 : 0);
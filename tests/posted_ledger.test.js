@@ -0,0 +1,210 @@
+// tests/posted_ledger.test.js
+// Test suite for the posted fixture ledger.
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Point the ledger at a throwaway file before loading the module
+const TEST_LEDGER_PATH = path.join(os.tmpdir(), `posted_ledger_test_${process.pid}.json`);
+process.env.POSTED_LEDGER_PATH = TEST_LEDGER_PATH;
+
+const postedLedger = require('../lib/posted_ledger');
+
+// Test counters
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (err) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${err.message}`);
+    failed++;
+  }
+}
+
+console.log('Posted Ledger Tests\n===================\n');
+
+const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000);
+tomorrow.setUTCHours(15, 0, 0, 0);
+
+const fixture = {
+  start: tomorrow,
+  summary: 'Arsenal v Chelsea',
+  homeTeam: 'Arsenal',
+  awayTeam: 'Chelsea'
+};
+
+// ---------- Fixture Key Tests ----------
+
+console.log('--- Fixture Key Tests ---\n');
+
+test('getFixtureKey: combines kickoff and normalized teams', () => {
+  const key = postedLedger.getFixtureKey(fixture);
+  assert.strictEqual(key, `${tomorrow.toISOString().slice(0, 16)}|arsenal|chelsea`);
+});
+
+test('getFixtureKey: ignores FC suffixes, case and punctuation', () => {
+  const a = postedLedger.getFixtureKey(fixture);
+  const b = postedLedger.getFixtureKey({ ...fixture, homeTeam: 'ARSENAL FC', awayTeam: 'Chelsea F.C.' });
+  assert.strictEqual(a, b);
+  assert.strictEqual(postedLedger.normalizeTeamKey('AFC Bournemouth'), 'bournemouth');
+});
+
+test('getFixtureKey: folds accents and keeps non-Latin names', () => {
+  const when = tomorrow.toISOString().slice(0, 16);
+  assert.strictEqual(
+    postedLedger.getFixtureKey({ ...fixture, homeTeam: 'Atlético Madrid', awayTeam: 'Málaga' }),
+    postedLedger.getFixtureKey({ ...fixture, homeTeam: 'Atletico Madrid', awayTeam: 'Malaga' })
+  );
+  assert.strictEqual(postedLedger.getFixtureKey({ ...fixture, homeTeam: 'الهلال', awayTeam: 'النصر' }), `${when}|الهلال|النصر`);
+  assert.notStrictEqual(
+    postedLedger.getFixtureKey({ start: tomorrow, summary: 'الهلال ضد النصر' }),
+    postedLedger.getFixtureKey({ start: tomorrow, summary: 'الاتحاد ضد الأهلي' })
+  );
+});
+
+test('getFixtureKey: never an empty identity', () => {
+  const when = tomorrow.toISOString().slice(0, 16);
+  assert.strictEqual(postedLedger.getFixtureKey({ start: tomorrow, summary: '⚽ ⚽' }), `${when}|⚽ ⚽`);
+  assert.strictEqual(postedLedger.getFixtureKey({ start: tomorrow, summary: '', uid: 'abc@ics' }), `${when}|uid:abc@ics`);
+});
+
+test('getFixtureKey: different kickoff gives a different key', () => {
+  const later = new Date(tomorrow.getTime() + 2 * 60 * 60 * 1000);
+  assert.notStrictEqual(
+    postedLedger.getFixtureKey(fixture),
+    postedLedger.getFixtureKey({ ...fixture, start: later })
+  );
+});
+
+test('getFixtureKey: falls back to summary without parsed teams', () => {
+  const key = postedLedger.getFixtureKey({ start: tomorrow, summary: 'West Ham (home)' });
+  assert.ok(key.endsWith('|westhamhome'));
+});
+
+// ---------- Ledger Persistence Tests ----------
+
+console.log('\n--- Ledger Persistence Tests ---\n');
+
+test('isPosted: false for a fresh ledger', () => {
+  postedLedger.resetLedger();
+  assert.strictEqual(postedLedger.isPosted('@test', fixture), false);
+});
+
+test('recordPosted: stores message id and marks fixture as posted', () => {
+  postedLedger.recordPosted('@test', fixture, { messageId: 42, kind: 'photo' });
+  assert.strictEqual(postedLedger.isPosted('@test', fixture), true);
+  const entry = postedLedger.getPostedEntry('@test', fixture);
+  assert.strictEqual(entry.messageId, 42);
+  assert.strictEqual(entry.kind, 'photo');
+  assert.ok(fs.existsSync(TEST_LEDGER_PATH));
+});
+
+test('isPosted: ledger is per channel', () => {
+  assert.strictEqual(postedLedger.isPosted('@other', fixture), false);
+});
+
+test('listPosted: returns entries with channel and key', () => {
+  postedLedger.recordPosted('@other', { ...fixture, homeTeam: 'Leeds', awayTeam: 'Hull' }, { messageId: 7 });
+  assert.strictEqual(postedLedger.listPosted().length, 2);
+  const list = postedLedger.listPosted('@test');
+  assert.strictEqual(list.length, 1);
+  assert.strictEqual(list[0].channelId, '@test');
+  assert.strictEqual(list[0].key, postedLedger.getFixtureKey(fixture));
+});
+
+test('removePosted: forgets a single entry', () => {
+  const key = postedLedger.getFixtureKey(fixture);
+  assert.strictEqual(postedLedger.removePosted('@test', key), true);
+  assert.strictEqual(postedLedger.isPosted('@test', fixture), false);
+  assert.strictEqual(postedLedger.removePosted('@test', key), false);
+});
+
+test('recordPosted: prunes entries older than the retention window', () => {
+  const old = new Date(Date.now() - (postedLedger.LEDGER_RETENTION_DAYS + 1) * 24 * 60 * 60 * 1000);
+  postedLedger.recordPosted('@test', { ...fixture, start: old }, { messageId: 1 });
+  postedLedger.recordPosted('@test', fixture, { messageId: 2 });
+  assert.strictEqual(postedLedger.isPosted('@test', { ...fixture, start: old }), false);
+  assert.strictEqual(postedLedger.isPosted('@test', fixture), true);
+});
+
+test('resetLedger: clears one channel or everything', () => {
+  assert.strictEqual(postedLedger.resetLedger('@other'), 1);
+  assert.strictEqual(postedLedger.listPosted('@other').length, 0);
+  assert.strictEqual(postedLedger.listPosted('@test').length, 1);
+  postedLedger.resetLedger();
+  assert.strictEqual(postedLedger.listPosted().length, 0);
+});
+
+// ---------- Change Detection Tests ----------
+
+console.log('\n--- Change Detection Tests ---\n');
+
+const tvFixture = {
+  ...fixture,
+  tvByRegion: [{ region: 'UK', channel: 'Sky Sports' }]
+};
+
+test('findPostedEntry: finds a fixture whose kickoff moved', () => {
+  postedLedger.recordPosted('@test', tvFixture, { messageId: 99, kind: 'text' });
+  const moved = { ...tvFixture, start: new Date(tomorrow.getTime() + 3 * 60 * 60 * 1000) };
+  const found = postedLedger.findPostedEntry('@test', moved);
+  assert.ok(found);
+  assert.strictEqual(found.entry.messageId, 99);
+  assert.strictEqual(found.key, postedLedger.getFixtureKey(tvFixture));
+});
+
+test('findPostedEntry: ignores reversed fixtures and other teams', () => {
+  assert.strictEqual(postedLedger.findPostedEntry('@test', { ...tvFixture, homeTeam: 'Chelsea', awayTeam: 'Arsenal' }), null);
+  assert.strictEqual(postedLedger.findPostedEntry('@test', { ...tvFixture, awayTeam: 'Everton' }), null);
+});
+
+test('diffPosted: unchanged when kickoff and TV match (order/case insensitive)', () => {
+  const entry = postedLedger.getPostedEntry('@test', tvFixture);
+  const same = { ...tvFixture, tvByRegion: [{ region: 'uk', channel: 'SKY SPORTS' }] };
+  assert.strictEqual(postedLedger.diffPosted(entry, same).changed, false);
+});
+
+test('diffPosted: detects new TV channels and moved kickoff', () => {
+  const entry = postedLedger.getPostedEntry('@test', tvFixture);
+  const moreTv = { ...tvFixture, tvByRegion: [...tvFixture.tvByRegion, { region: 'USA', channel: 'Peacock' }] };
+  assert.strictEqual(postedLedger.diffPosted(entry, moreTv).tvChanged, true);
+  const moved = { ...tvFixture, start: new Date(tomorrow.getTime() + 60 * 60 * 1000) };
+  const diff = postedLedger.diffPosted(entry, moved);
+  assert.strictEqual(diff.kickoffChanged, true);
+  assert.strictEqual(diff.tvChanged, false);
+});
+
+test('diffPosted: empty TV result does not count as a change', () => {
+  const entry = postedLedger.getPostedEntry('@test', tvFixture);
+  assert.strictEqual(postedLedger.diffPosted(entry, { ...tvFixture, tvByRegion: [] }).changed, false);
+});
+
+test('movePosted: re-keys the entry and keeps the message id', () => {
+  const moved = { ...tvFixture, start: new Date(tomorrow.getTime() + 60 * 60 * 1000) };
+  const entry = postedLedger.movePosted('@test', postedLedger.getFixtureKey(tvFixture), moved);
+  assert.strictEqual(entry.messageId, 99);
+  assert.strictEqual(entry.editCount, 1);
+  assert.strictEqual(postedLedger.isPosted('@test', tvFixture), false);
+  assert.strictEqual(postedLedger.isPosted('@test', moved), true);
+  postedLedger.resetLedger();
+});
+
+// ---------- Cleanup & Summary ----------
+
+try {
+  fs.unlinkSync(TEST_LEDGER_PATH);
+} catch (err) {
+  // Ignore cleanup errors
+}
+
+console.log('\n===================');
+console.log(`Total: ${passed + failed} | Passed: ${passed} | Failed: ${failed}`);
+
+process.exit(failed > 0 ? 1 : 0);
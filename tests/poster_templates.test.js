@@ -0,0 +1,149 @@
+// tests/poster_templates.test.js
+// Test suite for poster templates: validation, per-channel selection and rendering.
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Point the store at a throwaway file before loading the module
+const TEST_STORE_PATH = path.join(os.tmpdir(), `poster_templates_test_${process.pid}.json`);
+process.env.POSTER_TEMPLATES_PATH = TEST_STORE_PATH;
+
+const posterTemplates = require('../lib/poster_templates');
+const autopost = require('../autopost');
+
+// Test counters
+let passed = 0;
+let failed = 0;
+
+async function asyncTest(name, fn) {
+  resetStore();
+  try {
+    await fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (err) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${err.message}`);
+    failed++;
+  }
+}
+
+function resetStore() {
+  try {
+    fs.unlinkSync(TEST_STORE_PATH);
+  } catch (err) {
+    // Ignore missing file
+  }
+}
+
+const customTemplate = (overrides = {}) => ({
+  id: 'derby',
+  name: 'Derby day',
+  elements: [
+    { type: 'match', y: 0.3, size: 1.8, style: 'bold' },
+    { type: 'regions', layout: 'list', maxRows: 2 }
+  ],
+  ...overrides
+});
+
+console.log('Poster Templates Tests\n======================\n');
+
+(async () => {
+  // ---------- Validation Tests ----------
+
+  console.log('--- Validation Tests ---\n');
+
+  await asyncTest('built-in templates are valid', async () => {
+    for (const template of posterTemplates.TEMPLATES) {
+      assert.deepStrictEqual(posterTemplates.validateTemplate(template).error, undefined, template.id);
+    }
+  });
+
+  await asyncTest('validateTemplate: fills defaults and rejects bad fields', async () => {
+    const { template } = posterTemplates.validateTemplate(customTemplate());
+    assert.strictEqual(template.fontFamily, 'Arial, sans-serif');
+    assert.strictEqual(template.colors.accent, '#80cbc4');
+    assert.strictEqual(template.lineHeight, 1.6);
+
+    const errors = [
+      customTemplate({ id: 'Derby Day' }),
+      customTemplate({ elements: [] }),
+      customTemplate({ elements: [{ type: 'logo' }] }),
+      customTemplate({ elements: [{ type: 'match', y: 1.5 }] }),
+      customTemplate({ elements: [{ type: 'regions', layout: 'grid' }] }),
+      customTemplate({ elements: [{ type: 'regions', maxRows: 0 }] }),
+      customTemplate({ elements: [{ type: 'text' }] }),
+      customTemplate({ colors: { accent: 3 } })
+    ].map((input) => posterTemplates.validateTemplate(input).error);
+    errors.forEach((error, i) => assert.ok(error, `case ${i + 1} should fail`));
+    assert.ok(/unknown type "logo"/.test(errors[2]));
+  });
+
+  // ---------- Selection Tests ----------
+
+  console.log('\n--- Selection Tests ---\n');
+
+  await asyncTest('saveTemplate/removeTemplate: custom templates, built-in ids reserved', async () => {
+    assert.ok(posterTemplates.saveTemplate(customTemplate({ id: 'classic' })).error);
+    assert.strictEqual(posterTemplates.saveTemplate(customTemplate()).template.id, 'derby');
+    assert.deepStrictEqual(
+      posterTemplates.listTemplates().map((t) => `${t.id}:${t.builtIn}`),
+      ['classic:true', 'minimal:true', 'matchday:true', 'derby:false']
+    );
+    assert.strictEqual(posterTemplates.removeTemplate('derby'), true);
+    assert.strictEqual(posterTemplates.getTemplate('derby').id, 'classic');
+  });
+
+  await asyncTest('getTemplateForFixture: competition, then channel, then classic', async () => {
+    posterTemplates.saveTemplate(customTemplate());
+    const channel = {
+      posterTemplate: 'minimal',
+      posterTemplateByCompetition: { 'Champions League': 'matchday', 'North London Derby': 'derby' }
+    };
+    assert.strictEqual(posterTemplates.getTemplateForFixture(channel, { competition: 'UEFA Champions League' }).id, 'matchday');
+    assert.strictEqual(posterTemplates.getTemplateForFixture(channel, { summary: 'Arsenal v Spurs (North London Derby)' }).id, 'derby');
+    assert.strictEqual(posterTemplates.getTemplateForFixture(channel, { competition: 'Premier League' }).id, 'minimal');
+    assert.strictEqual(posterTemplates.getTemplateForFixture({}, { competition: 'Premier League' }).id, 'classic');
+  });
+
+  // ---------- Rendering Tests ----------
+
+  console.log('\n--- Rendering Tests ---\n');
+
+  await asyncTest('renderPosterPreview: every template renders through the poster canvas code', async () => {
+    posterTemplates.saveTemplate(customTemplate());
+    const fixture = {
+      start: new Date(),
+      homeTeam: 'Arsenal',
+      awayTeam: 'Chelsea',
+      timeUk: '5:30pm',
+      competition: 'Premier League',
+      tvByRegion: [{ region: 'UK', channel: 'Sky Sports Main Event' }, { region: 'USA', channel: 'NBC' }, { region: 'Ireland', channel: 'Sky' }]
+    };
+    const options = { posterFooterText: 'Footer', showFooter: true, plainBackground: true };
+
+    const images = new Set();
+    for (const template of posterTemplates.listTemplates()) {
+      const { image, text } = await autopost.renderPosterPreview(fixture, options, template);
+      assert.ok(/^data:image\/png;base64,/.test(image), template.id);
+      assert.ok(text.includes('Sky Sports Main Event'));
+      images.add(image);
+    }
+    assert.strictEqual(images.size, 4, 'each template draws a different poster');
+
+    // Without a background (or plainBackground) there is no image, as before
+    const { image } = await autopost.renderPosterPreview(fixture, { posterFooterText: '', showFooter: false });
+    assert.strictEqual(image, null);
+  });
+
+  resetStore();
+
+  // ---------- Summary ----------
+
+  console.log('\n======================');
+  console.log(`Total: ${passed + failed} | Passed: ${passed} | Failed: ${failed}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+})();
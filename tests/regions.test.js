@@ -0,0 +1,125 @@
+// tests/regions.test.js
+// Test suite for the region taxonomy and poster region arrangement.
+
+const assert = require('assert');
+const regions = require('../lib/regions');
+
+// Test counters
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (err) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${err.message}`);
+    failed++;
+  }
+}
+
+const lines = (list) => list.map((e) => `${e.flag} ${e.region}: ${e.channel}`);
+
+console.log('Regions Tests\n=============\n');
+
+// ---------- Resolve Tests ----------
+
+console.log('--- Resolve Tests ---\n');
+
+test('resolveRegion: aliases and ISO codes map to one region', () => {
+  for (const label of ['UK', 'United Kingdom', 'england', 'GB', 'Great Britain']) {
+    assert.deepStrictEqual(regions.resolveRegion(label), { id: 'GB', iso: 'GB', name: 'UK', flag: '🇬🇧' }, label);
+  }
+  assert.strictEqual(regions.resolveRegion('United States').name, 'USA');
+  assert.strictEqual(regions.resolveRegion('us').flag, '🇺🇸');
+  assert.strictEqual(regions.resolveRegion('Österreich').name, 'Austria');
+  assert.strictEqual(regions.resolveRegion('Osterreich').name, 'Austria');
+});
+
+test('resolveRegion: multi-country areas have no ISO code', () => {
+  assert.deepStrictEqual(regions.resolveRegion('Caribbean'), { id: 'CARIBBEAN', iso: null, name: 'Caribbean', flag: '🌴' });
+  assert.strictEqual(regions.resolveRegion('Worldwide').name, 'International');
+});
+
+test('resolveRegion: unknown labels keep their text', () => {
+  assert.deepStrictEqual(regions.resolveRegion(' Atlantis '), { id: null, iso: null, name: 'Atlantis', flag: '🌐' });
+  assert.strictEqual(regions.getRegionName('United Kingdom'), 'UK');
+  assert.strictEqual(regions.flagEmoji('IE'), '🇮🇪');
+});
+
+// ---------- Arrange Tests ----------
+
+console.log('\n--- Arrange Tests ---\n');
+
+const TV = [
+  { region: 'United States', channel: 'Peacock' },
+  { region: 'Sweden', channel: 'Viaplay' },
+  { region: 'England', channel: 'Sky Sports Main Event' },
+  { region: 'Norway', channel: 'Viaplay' },
+  { region: 'Ireland', channel: 'Sky Sports Main Event' },
+  { region: 'UK', channel: 'Sky Sports Main Event' }
+];
+
+test('arrangeTvByRegion: consistent names and flags, duplicates dropped', () => {
+  assert.deepStrictEqual(lines(regions.arrangeTvByRegion(TV)), [
+    '🇺🇸 USA: Peacock',
+    '🇸🇪 Sweden: Viaplay',
+    '🇬🇧 UK: Sky Sports Main Event',
+    '🇳🇴 Norway: Viaplay',
+    '🇮🇪 Ireland: Sky Sports Main Event'
+  ]);
+});
+
+test('arrangeTvByRegion: groups, priority and max regions', () => {
+  const arranged = regions.arrangeTvByRegion(TV, regions.getRegionOptions({
+    regionGroups: ['nordics'],
+    regionPriority: 'IE, United Kingdom',
+    maxRegions: 3
+  }));
+  assert.deepStrictEqual(lines(arranged), [
+    '🇮🇪 Ireland: Sky Sports Main Event',
+    '🇬🇧 UK: Sky Sports Main Event',
+    '🇺🇸 USA: Peacock'
+  ]);
+
+  const grouped = regions.arrangeTvByRegion(TV, regions.getRegionOptions({ regionGroups: ['NORDICS'], regionPriority: ['NORDICS'] }));
+  assert.strictEqual(lines(grouped)[0], '🌍 Nordics: Viaplay');
+  assert.strictEqual(grouped.length, 4);
+});
+
+test('arrangeTvByRegion: merge identical channels across regions', () => {
+  const arranged = regions.arrangeTvByRegion(TV, { mergeChannels: true, priority: ['UK'] });
+  assert.deepStrictEqual(lines(arranged), [
+    '🇬🇧🇮🇪 UK, Ireland: Sky Sports Main Event',
+    '🇺🇸 USA: Peacock',
+    '🇸🇪🇳🇴 Sweden, Norway: Viaplay'
+  ]);
+});
+
+test('arrangeTvByRegion: only the priority regions, unless none are listed', () => {
+  const only = regions.getRegionOptions({ regionPriority: ['Ireland', 'USA'], regionsOnly: true });
+  assert.deepStrictEqual(lines(regions.arrangeTvByRegion(TV, only)), [
+    '🇮🇪 Ireland: Sky Sports Main Event',
+    '🇺🇸 USA: Peacock'
+  ]);
+
+  const elsewhere = [{ region: 'Australia', channel: 'Stan Sport' }];
+  assert.deepStrictEqual(lines(regions.arrangeTvByRegion(elsewhere, only)), ['🇦🇺 Australia: Stan Sport']);
+});
+
+test('getRegionOptions: defaults and bad values', () => {
+  assert.deepStrictEqual(regions.getRegionOptions(), { priority: [], maxRegions: null, groups: [], mergeChannels: false, only: false });
+  assert.deepStrictEqual(
+    regions.getRegionOptions({ regionPriority: ['UK', ' '], maxRegions: '0', regionGroups: ['DACH', 'NOPE'], mergeRegionChannels: true, regionsOnly: 'true' }),
+    { priority: ['UK'], maxRegions: null, groups: ['DACH'], mergeChannels: true, only: true }
+  );
+});
+
+// ---------- Summary ----------
+
+console.log('\n=============');
+console.log(`Total: ${passed + failed} | Passed: ${passed} | Failed: ${failed}`);
+
+process.exit(failed > 0 ? 1 : 0);
@@ -10,7 +10,32 @@ const fs = require('fs');
 const testFiles = [
   'lstv.test.js',
   'fixtures_scraper.test.js',
-  'auto_tester.test.js'
+  'auto_tester.test.js',
+  'posted_ledger.test.js',
+  'bot_commands.test.js',
+  'subscribers.test.js',
+  'cron.test.js',
+  'scheduler.test.js',
+  'post_queue.test.js',
+  'sports.test.js',
+  'feeds.test.js',
+  'api.test.js',
+  'fixture_store.test.js',
+  'confidence.test.js',
+  'tv_aggregator.test.js',
+  'source_registry.test.js',
+  'channel_dictionary.test.js',
+  'regions.test.js',
+  'cache.test.js',
+  'team_registry.test.js',
+  'ics_providers.test.js',
+  'ics_source.test.js',
+  'fixture_changes.test.js',
+  'poster_templates.test.js',
+  'asset_cache.test.js',
+  'matchday_cards.test.js',
+  'audience.test.js',
+  'i18n.test.js'
 ];
 
 const testsDir = __dirname;
@@ -0,0 +1,194 @@
+// tests/scheduler.test.js
+// Test suite for the built-in scheduler and the run lock.
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Point state and lock files at throwaway paths before loading the modules
+const TEST_STATE_PATH = path.join(os.tmpdir(), `scheduler_state_test_${process.pid}.json`);
+const TEST_LOCK_PATH = path.join(os.tmpdir(), `run_lock_test_${process.pid}.lock`);
+process.env.SCHEDULER_STATE_PATH = TEST_STATE_PATH;
+process.env.RUN_LOCK_PATH = TEST_LOCK_PATH;
+
+// Stub runOnce/loadConfig before scheduler.js picks them up
+const autopost = require('../autopost');
+const runs = [];
+let testConfig = {};
+autopost.loadConfig = () => testConfig;
+autopost.runOnce = async (options) => {
+  runs.push(options);
+  return { summary: 'Channels=1, sent=1, totalMatches=2', results: [] };
+};
+let queueChecks = 0;
+autopost.processPostQueue = async () => {
+  queueChecks++;
+  return { sent: 0, expired: 0, failed: 0 };
+};
+
+const runLock = require('../lib/run_lock');
+const scheduler = require('../scheduler');
+
+// Test counters
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (err) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${err.message}`);
+    failed++;
+  }
+}
+
+async function asyncTest(name, fn) {
+  try {
+    await fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (err) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${err.message}`);
+    failed++;
+  }
+}
+
+console.log('Scheduler Tests\n===============\n');
+
+// ---------- Run Lock Tests ----------
+
+console.log('--- Run Lock Tests ---\n');
+
+test('acquireRunLock: second acquire fails until released', () => {
+  const token = runLock.acquireRunLock('test');
+  assert.ok(token);
+  assert.strictEqual(runLock.isRunLocked(), true);
+  assert.strictEqual(runLock.acquireRunLock('other'), null);
+  assert.strictEqual(runLock.getRunLock().owner, 'test');
+  runLock.releaseRunLock(token);
+  assert.strictEqual(runLock.isRunLocked(), false);
+});
+
+test('acquireRunLock: takes over a stale lock', () => {
+  const old = new Date(Date.now() - runLock.LOCK_STALE_MS - 1000).toISOString();
+  fs.writeFileSync(TEST_LOCK_PATH, JSON.stringify({ pid: process.pid, owner: 'crashed', token: 'old', acquiredAt: old }));
+  const token = runLock.acquireRunLock('test');
+  assert.ok(token);
+  assert.strictEqual(runLock.getRunLock().owner, 'test');
+  runLock.releaseRunLock(token);
+});
+
+test('releaseRunLock: only the token that took the lock releases it', () => {
+  // A long run whose lock was refreshed is still held...
+  const acquiredAt = new Date(Date.now() - runLock.LOCK_STALE_MS - 1000).toISOString();
+  fs.writeFileSync(TEST_LOCK_PATH, JSON.stringify({
+    pid: process.pid, owner: 'long run', token: 'long', acquiredAt, refreshedAt: new Date().toISOString()
+  }));
+  assert.strictEqual(runLock.acquireRunLock('test'), null);
+
+  // ...and once it has been taken over, the old run can't release the new one
+  fs.unlinkSync(TEST_LOCK_PATH);
+  const token = runLock.acquireRunLock('next');
+  runLock.releaseRunLock('long');
+  assert.strictEqual(runLock.getRunLock().owner, 'next');
+  runLock.releaseRunLock(token);
+  assert.strictEqual(runLock.getRunLock(), null);
+});
+
+// ---------- Job Tests ----------
+
+testConfig = {
+  timezone: 'UTC',
+  channels: [
+    {
+      id: '@test',
+      label: 'Test',
+      schedules: [
+        { cron: '0 8 * * *', label: 'Morning digest' },
+        { cron: '*/15 * * * *', withinHours: 3 },
+        { cron: 'not a cron' }
+      ]
+    }
+  ]
+};
+
+(async () => {
+  console.log('\n--- Job Tests ---\n');
+
+  test('getConfiguredJobs: one job per schedule, invalid cron flagged', () => {
+    const jobs = scheduler.getConfiguredJobs(testConfig);
+    assert.strictEqual(jobs.length, 3);
+    assert.strictEqual(jobs[1].withinHours, 3);
+    assert.strictEqual(jobs[0].error, null);
+    assert.ok(jobs[2].error);
+  });
+
+  await asyncTest('tick: first tick only schedules, due jobs run on later ticks', async () => {
+    const t0 = new Date('2025-03-01T07:50:00Z');
+    assert.strictEqual(await scheduler.tick(t0), 0);
+    const jobs = scheduler.listJobs(testConfig);
+    assert.strictEqual(jobs[0].nextRunAt, '2025-03-01T08:00:00.000Z');
+    assert.strictEqual(jobs[1].nextRunAt, '2025-03-01T08:00:00.000Z');
+
+    assert.strictEqual(await scheduler.tick(new Date('2025-03-01T08:00:10Z')), 2);
+    assert.deepStrictEqual(runs.map((r) => r.withinHours), [null, 3]);
+    assert.deepStrictEqual(runs[0].channelIds, ['@test']);
+    assert.strictEqual(queueChecks, 2);
+  });
+
+  await asyncTest('tick: records last run and moves next run forward', async () => {
+    const job = scheduler.listJobs(testConfig)[1];
+    assert.strictEqual(job.lastStatus, 'ok');
+    assert.ok(new Date(job.nextRunAt) > new Date('2025-03-01T08:00:10Z'));
+  });
+
+  await asyncTest('setJobPaused / setAllPaused: paused jobs do not run', async () => {
+    runs.length = 0;
+    const [digest, posters] = scheduler.listJobs(testConfig);
+    scheduler.setJobPaused(posters.id, true);
+    const state = JSON.parse(fs.readFileSync(TEST_STATE_PATH, 'utf8'));
+    state.jobs[digest.id].nextRunAt = '2025-03-02T08:00:00.000Z';
+    state.jobs[posters.id].nextRunAt = '2025-03-02T08:00:00.000Z';
+    fs.writeFileSync(TEST_STATE_PATH, JSON.stringify(state));
+
+    assert.strictEqual(await scheduler.tick(new Date('2025-03-02T08:00:05Z')), 1);
+    assert.strictEqual(runs[0].withinHours, null);
+
+    scheduler.setAllPaused(true);
+    assert.strictEqual(scheduler.isAllPaused(), true);
+    assert.strictEqual(await scheduler.tick(new Date('2025-03-03T08:00:05Z')), 0);
+    scheduler.setAllPaused(false);
+  });
+
+  await asyncTest('tick: runs missed by more than the grace period are skipped', async () => {
+    runs.length = 0;
+    scheduler.setJobPaused(scheduler.listJobs(testConfig)[1].id, false);
+    const late = new Date(new Date('2025-03-04T08:00:00Z').getTime() + scheduler.MISSED_RUN_GRACE_MS + 60000);
+    const state = JSON.parse(fs.readFileSync(TEST_STATE_PATH, 'utf8'));
+    for (const id of Object.keys(state.jobs)) state.jobs[id].nextRunAt = '2025-03-04T08:00:00.000Z';
+    fs.writeFileSync(TEST_STATE_PATH, JSON.stringify(state));
+
+    assert.strictEqual(await scheduler.tick(late), 0);
+    assert.ok(new Date(scheduler.listJobs(testConfig)[0].nextRunAt) > late);
+  });
+
+  // ---------- Cleanup & Summary ----------
+
+  for (const file of [TEST_STATE_PATH, TEST_LOCK_PATH]) {
+    try {
+      fs.unlinkSync(file);
+    } catch (err) {
+      // Ignore cleanup errors
+    }
+  }
+
+  console.log('\n===============');
+  console.log(`Total: ${passed + failed} | Passed: ${passed} | Failed: ${failed}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+})();
@@ -0,0 +1,104 @@
+// tests/source_registry.test.js
+// Test suite for the fixture/TV source registry.
+
+const assert = require('assert');
+const sourceRegistry = require('../lib/source_registry');
+
+// Test counters
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (err) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${err.message}`);
+    failed++;
+  }
+}
+
+const ids = (list) => list.map((s) => s.id);
+
+console.log('Source Registry Tests\n=====================\n');
+
+// ---------- Declaration Tests ----------
+
+console.log('--- Declaration Tests ---\n');
+
+test('listSources: ids are unique', () => {
+  const all = ids(sourceRegistry.listSources());
+  assert.strictEqual(new Set(all).size, all.length);
+});
+
+test('listSources: every source declares how it is invoked', () => {
+  for (const source of sourceRegistry.listSources()) {
+    const { invocation } = source;
+    if (invocation.type === 'local') {
+      const mod = sourceRegistry.loadSourceModule(source);
+      assert.ok(mod, `${source.id}: module ${invocation.module} not found`);
+      assert.strictEqual(typeof mod[invocation.method], 'function', `${source.id}: ${invocation.method} missing`);
+    } else {
+      assert.strictEqual(invocation.type, 'vps', `${source.id}: unknown invocation type`);
+      assert.ok(invocation.path.startsWith('/scrape/'), `${source.id}: bad path`);
+      assert.ok(invocation.healthPath.startsWith('/health/'), `${source.id}: bad health path`);
+    }
+    assert.ok(source.capabilities && source.regions.length > 0 && source.sports.length > 0, source.id);
+  }
+});
+
+test('getSource: by id, null when unknown', () => {
+  assert.strictEqual(sourceRegistry.getSource('lstv').name, 'LiveSoccerTV');
+  assert.strictEqual(sourceRegistry.getSource('nope'), null);
+});
+
+// ---------- Config Tests ----------
+
+console.log('\n--- Config Tests ---\n');
+
+test('getSourceSettings: defaults and config overrides', () => {
+  const sky = sourceRegistry.getSource('sky');
+  const sofascore = sourceRegistry.getSource('vps-sofascore');
+  assert.deepStrictEqual(sourceRegistry.getSourceSettings(sky), { enabled: true, timeoutMs: 15000 });
+  assert.deepStrictEqual(sourceRegistry.getSourceSettings(sofascore), { enabled: false, timeoutMs: 30000 });
+  assert.deepStrictEqual(
+    sourceRegistry.getSourceSettings(sofascore, { 'vps-sofascore': { enabled: true, timeoutMs: 5000 } }),
+    { enabled: true, timeoutMs: 5000 }
+  );
+  // Bad values fall back to the registry
+  assert.deepStrictEqual(
+    sourceRegistry.getSourceSettings(sky, { sky: { enabled: 'yes', timeoutMs: -1 } }),
+    { enabled: true, timeoutMs: 15000 }
+  );
+});
+
+test('getAggregatorSources: VPS scrapers off unless enabled', () => {
+  const defaults = ids(sourceRegistry.getAggregatorSources());
+  assert.deepStrictEqual(defaults, ['tsdb', 'footballdata', 'lstv', 'bbc', 'sky', 'tnt', 'lfotv', 'wiki']);
+
+  const configured = ids(sourceRegistry.getAggregatorSources({
+    'vps-sofascore': { enabled: true },
+    'vps-lstv': { enabled: true },
+    tnt: { enabled: false }
+  }));
+  // vps-lstv has no aggregator adapter
+  assert.ok(configured.includes('vps-sofascore'));
+  assert.ok(!configured.includes('vps-lstv'));
+  assert.ok(!configured.includes('tnt'));
+});
+
+test('getAggregatorSources: filters by sport', () => {
+  const rugby = ids(sourceRegistry.getAggregatorSources({}, 'rugby'));
+  assert.ok(rugby.includes('tsdb'));
+  assert.ok(!rugby.includes('lstv'));
+  assert.ok(!rugby.includes('sky'));
+});
+
+// ---------- Summary ----------
+
+console.log('\n=====================');
+console.log(`Total: ${passed + failed} | Passed: ${passed} | Failed: ${failed}`);
+
+process.exit(failed > 0 ? 1 : 0);
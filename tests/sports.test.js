@@ -0,0 +1,133 @@
+// tests/sports.test.js
+// Test suite for the sport registry, sport-specific parsers and poster layouts.
+
+const assert = require('assert');
+const sports = require('../lib/sports');
+const { parseFixtureTeams, adaptFixtureForPoster, formatFixturePoster } = require('../autopost');
+const { buildWikiTitle } = require('../scrapers/wiki_broadcasters');
+
+// Test counters
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (err) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${err.message}`);
+    failed++;
+  }
+}
+
+console.log('Sports Tests\n============\n');
+
+// ---------- Registry Tests ----------
+
+console.log('--- Registry Tests ---\n');
+
+test('normalizeSport: ids, aliases and football default', () => {
+  assert.strictEqual(sports.normalizeSport('Rugby'), 'rugby');
+  assert.strictEqual(sports.normalizeSport('Formula 1'), 'f1');
+  assert.strictEqual(sports.normalizeSport('Soccer'), 'football');
+  assert.strictEqual(sports.normalizeSport(''), 'football');
+  assert.strictEqual(sports.normalizeSport('curling'), 'football');
+});
+
+test('detectSportFromCategories: first known category wins', () => {
+  assert.strictEqual(sports.detectSportFromCategories(['Sport', 'Rugby Union']), 'rugby');
+  assert.strictEqual(sports.detectSportFromCategories('Grand Prix'), 'f1');
+  assert.strictEqual(sports.detectSportFromCategories(['Holiday']), null);
+});
+
+test('getFixtureSport: fixture sport overrides channel sport', () => {
+  assert.strictEqual(sports.getFixtureSport({ sport: 'boxing' }, { sport: 'f1' }), 'boxing');
+  assert.strictEqual(sports.getFixtureSport({}, { sport: 'f1' }), 'f1');
+  assert.strictEqual(sports.getFixtureSport({}, {}), 'football');
+});
+
+// ---------- Summary Parsing Tests ----------
+
+console.log('\n--- Summary Parsing Tests ---\n');
+
+test('splitEventSummary: competition prefix', () => {
+  assert.deepStrictEqual(sports.splitEventSummary('Six Nations: England v France'),
+    { text: 'England v France', competition: 'Six Nations', detail: '' });
+});
+
+test('splitEventSummary: trailing details after the sides', () => {
+  assert.strictEqual(sports.splitEventSummary('England v India, 2nd Test, Day 3').detail, '2nd Test, Day 3');
+  assert.strictEqual(sports.splitEventSummary('Joshua v Dubois (Heavyweight)').detail, 'Heavyweight');
+  assert.strictEqual(sports.splitEventSummary('Leinster v Munster - URC').detail, 'URC');
+});
+
+test('splitEventSummary: home/away markers and hyphenated names are kept', () => {
+  assert.strictEqual(sports.splitEventSummary('Saints v Bath (H)').detail, '');
+  assert.strictEqual(sports.splitEventSummary('Stade Toulousain v Clermont-Auvergne').text, 'Stade Toulousain v Clermont-Auvergne');
+});
+
+test('parseSessionSummary: event name and session', () => {
+  assert.deepStrictEqual(sports.parseSessionSummary('Formula 1: British Grand Prix - Qualifying'),
+    { eventName: 'British Grand Prix', session: 'Qualifying' });
+  assert.deepStrictEqual(sports.parseSessionSummary('F1 Monaco GP FP2'),
+    { eventName: 'Monaco GP', session: 'Practice 2' });
+  assert.strictEqual(sports.parseSessionSummary('Miami Grand Prix - Sprint Qualifying').session, 'Sprint Qualifying');
+});
+
+test('parseUndercard: bouts from description lines', () => {
+  const bouts = sports.parseUndercard('Undercard:\n- Smith v Jones\n• Taylor vs Serrano\nDoors 6pm');
+  assert.deepStrictEqual(bouts, ['Smith v Jones', 'Taylor vs Serrano']);
+});
+
+// ---------- Poster Tests ----------
+
+console.log('\n--- Poster Tests ---\n');
+
+const start = new Date('2025-07-05T14:00:00Z');
+
+test('F1 session poster: event name as title, session as subtitle', () => {
+  const fixture = parseFixtureTeams({ start, summary: 'Formula 1: British Grand Prix - Qualifying', sport: 'f1' });
+  const poster = adaptFixtureForPoster(fixture);
+  assert.strictEqual(poster.matchTitle, 'BRITISH GRAND PRIX');
+  assert.strictEqual(poster.subtitle, 'Qualifying');
+  assert.strictEqual(poster.competition, 'Formula 1');
+});
+
+test('Boxing card poster: main event and undercard', () => {
+  const fixture = parseFixtureTeams({
+    start,
+    summary: 'Joshua v Dubois (Heavyweight)',
+    description: 'Smith v Jones\nTaylor v Serrano',
+    sport: 'boxing'
+  });
+  const text = formatFixturePoster(adaptFixtureForPoster(fixture));
+  assert.ok(text.includes('JOSHUA v DUBOIS'));
+  assert.ok(text.includes('Main event · Heavyweight'));
+  assert.ok(text.includes('Smith v Jones'));
+});
+
+test('Football fixtures are parsed as before', () => {
+  const fixture = parseFixtureTeams({ start, summary: 'Arsenal v Chelsea' });
+  const poster = adaptFixtureForPoster(fixture);
+  assert.strictEqual(poster.matchTitle, 'ARSENAL v CHELSEA');
+  assert.ok(!poster.subtitle);
+});
+
+// ---------- Wikipedia Title Tests ----------
+
+console.log('\n--- Wikipedia Title Tests ---\n');
+
+test('buildWikiTitle: per-sport patterns', () => {
+  assert.strictEqual(buildWikiTitle('Six Nations', '2024-25', 'rugby', 2025), '2025 Six Nations Championship');
+  assert.strictEqual(buildWikiTitle('Formula 1', '2024-25', 'f1', 2025), '2025 Formula One World Championship');
+  assert.strictEqual(buildWikiTitle('Fight Night', '2024-25', 'boxing', 2025), null);
+});
+
+// ---------- Summary ----------
+
+console.log('\n============');
+console.log(`Total: ${passed + failed} | Passed: ${passed} | Failed: ${failed}`);
+
+process.exit(failed > 0 ? 1 : 0);
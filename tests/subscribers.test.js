@@ -0,0 +1,113 @@
+// tests/subscribers.test.js
+// Test suite for the team follower store.
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Point the store at a throwaway file before loading the module
+const TEST_STORE_PATH = path.join(os.tmpdir(), `subscribers_test_${process.pid}.json`);
+process.env.SUBSCRIBERS_PATH = TEST_STORE_PATH;
+
+const subscribers = require('../lib/subscribers');
+
+// Test counters
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (err) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${err.message}`);
+    failed++;
+  }
+}
+
+console.log('Subscriber Store Tests\n======================\n');
+
+const fixture = {
+  start: new Date('2025-03-01T15:00:00Z'),
+  homeTeam: 'Leeds United',
+  awayTeam: 'Hull City'
+};
+
+// ---------- Follow Tests ----------
+
+console.log('--- Follow Tests ---\n');
+
+test('followTeam: adds a team and stores the display name', () => {
+  const result = subscribers.followTeam(111, 'Leeds', { name: '@leedsfan' });
+  assert.strictEqual(result.added, true);
+  assert.deepStrictEqual(subscribers.listFollows(111), ['Leeds']);
+  assert.strictEqual(subscribers.listSubscribers()[0].name, '@leedsfan');
+  assert.ok(fs.existsSync(TEST_STORE_PATH));
+});
+
+test('followTeam: rejects duplicates (case/FC insensitive) and blank names', () => {
+  assert.strictEqual(subscribers.followTeam(111, 'LEEDS fc').reason, 'exists');
+  assert.strictEqual(subscribers.followTeam(111, '  ').reason, 'invalid');
+  assert.strictEqual(subscribers.listFollows(111).length, 1);
+});
+
+test('followTeam: enforces the per-chat limit', () => {
+  for (let i = 0; i < subscribers.MAX_FOLLOWS_PER_CHAT; i++) {
+    subscribers.followTeam(999, `Team ${i}`);
+  }
+  assert.strictEqual(subscribers.followTeam(999, 'One Too Many').reason, 'limit');
+  assert.strictEqual(subscribers.removeSubscriber(999), true);
+});
+
+test('listFollowersByTeam: groups chats by normalized team', () => {
+  subscribers.followTeam(222, 'leeds');
+  subscribers.followTeam(222, 'Chelsea');
+  const teams = subscribers.listFollowersByTeam();
+  assert.strictEqual(teams[0].key, 'leeds');
+  assert.strictEqual(teams[0].followers.length, 2);
+  assert.strictEqual(teams.length, 2);
+});
+
+test('getFollowersForFixture: partial names match either side', () => {
+  const followers = subscribers.getFollowersForFixture(fixture);
+  assert.deepStrictEqual(followers.map(f => f.chatId).sort(), [111, 222]);
+  assert.deepStrictEqual(followers[0].teams, ['Leeds']);
+  assert.strictEqual(subscribers.getFollowersForFixture({ ...fixture, homeTeam: 'Everton' }).length, 0);
+});
+
+test('unfollowTeam: removes a team and drops empty subscribers', () => {
+  assert.strictEqual(subscribers.unfollowTeam(222, 'Arsenal').removed, false);
+  assert.strictEqual(subscribers.unfollowTeam(222, 'Chelsea').removed, true);
+  assert.strictEqual(subscribers.unfollowTeam(222, 'Leeds').removed, true);
+  assert.deepStrictEqual(subscribers.listFollows(222), []);
+  assert.strictEqual(subscribers.listSubscribers().length, 1);
+});
+
+// ---------- Reminder Tests ----------
+
+console.log('\n--- Reminder Tests ---\n');
+
+test('markReminded: records a reminder per chat and fixture', () => {
+  assert.strictEqual(subscribers.wasReminded(111, fixture), false);
+  subscribers.markReminded(111, fixture);
+  assert.strictEqual(subscribers.wasReminded(111, fixture), true);
+  assert.strictEqual(subscribers.wasReminded(222, fixture), false);
+  assert.strictEqual(subscribers.wasReminded(111, { ...fixture, awayTeam: 'Burnley' }), false);
+  assert.strictEqual(subscribers.countReminders(), 1);
+});
+
+// ---------- Cleanup & Summary ----------
+
+try {
+  fs.unlinkSync(TEST_STORE_PATH);
+} catch (err) {
+  // Ignore cleanup errors
+}
+
+console.log('\n======================');
+console.log(`Total: ${passed + failed} | Passed: ${passed} | Failed: ${failed}`);
+
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,194 @@
+// tests/team_registry.test.js
+// Test suite for the team identity registry.
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Point the store at a throwaway path before loading the module
+const TEST_STORE_PATH = path.join(os.tmpdir(), `team_registry_test_${process.pid}.json`);
+process.env.TEAM_REGISTRY_PATH = TEST_STORE_PATH;
+
+const teamRegistry = require('../lib/team_registry');
+
+// Test counters
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  resetStore();
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (err) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${err.message}`);
+    failed++;
+  }
+}
+
+function resetStore() {
+  try {
+    fs.unlinkSync(TEST_STORE_PATH);
+  } catch (err) {
+    // Ignore missing file
+  }
+}
+
+console.log('Team Registry Tests\n===================\n');
+
+// ---------- Lookup Tests ----------
+
+console.log('--- Lookup Tests ---\n');
+
+test('normalizeTeamKey: club words, punctuation, accents and "Utd"', () => {
+  assert.strictEqual(teamRegistry.normalizeTeamKey('Chelsea F.C.'), 'chelsea');
+  assert.strictEqual(teamRegistry.normalizeTeamKey('AFC Bournemouth'), 'bournemouth');
+  assert.strictEqual(teamRegistry.normalizeTeamKey("Nott'm Forest"), 'nottm forest');
+  assert.strictEqual(teamRegistry.normalizeTeamKey('Brighton & Hove Albion'), 'brighton and hove albion');
+  assert.strictEqual(teamRegistry.normalizeTeamKey('Man Utd'), 'man united');
+  assert.strictEqual(teamRegistry.normalizeTeamKey('Atlético Madrid'), 'atletico madrid');
+});
+
+test('resolveTeam: aliases map to one team with its provider IDs', () => {
+  for (const raw of ['Man Utd', 'Man United', 'Manchester United FC', 'manchester utd']) {
+    assert.strictEqual(teamRegistry.getCanonicalName(raw), 'Manchester United', raw);
+  }
+  assert.strictEqual(teamRegistry.getProviderId('Spurs', 'footballdata'), '73');
+  assert.strictEqual(teamRegistry.getProviderId('Wolves', 'bbc'), 'wolverhampton-wanderers');
+  assert.strictEqual(teamRegistry.resolveTeam('Some Town'), null);
+  assert.strictEqual(teamRegistry.getCanonicalName(' Some Town '), 'Some Town');
+  assert.strictEqual(teamRegistry.getTeamKey('Man Utd'), teamRegistry.getTeamKey('Manchester United'));
+});
+
+// ---------- Matching Tests ----------
+
+console.log('\n--- Matching Tests ---\n');
+
+test('teamsMatch: known teams match only themselves', () => {
+  assert.strictEqual(teamRegistry.teamsMatch('Man Utd', 'Manchester United'), true);
+  assert.strictEqual(teamRegistry.teamsMatch('Manchester City', 'Manchester United'), false);
+  assert.strictEqual(teamRegistry.teamsMatch('Newcastle', 'Newcastle United'), true);
+});
+
+test('teamsMatch: known vs unknown and unknown vs unknown names', () => {
+  // Unknown name containing one of a known team's names
+  assert.strictEqual(teamRegistry.teamsMatch('Manchester United Women', 'Man Utd'), true);
+  // ...as whole words only
+  assert.strictEqual(teamRegistry.teamsMatch('Aston Villa', 'Villarreal'), false);
+  // Two unknown names fall back to spelling
+  assert.strictEqual(teamRegistry.teamsMatch('Forfar Athletic', 'Forfar'), true);
+  assert.strictEqual(teamRegistry.teamsMatch('Forfar Athletic', 'Montrose'), false);
+  assert.strictEqual(teamRegistry.teamsMatch('', 'Arsenal'), false);
+});
+
+test('teamNameSimilarity: 100 for one team, 0 for two known teams', () => {
+  assert.strictEqual(teamRegistry.teamNameSimilarity('Manchester City', 'Man City'), 100);
+  assert.strictEqual(teamRegistry.teamNameSimilarity('Manchester City', 'Manchester United'), 0);
+  const partial = teamRegistry.teamNameSimilarity('Arsenal', 'Arsenal Women');
+  assert(partial > 0 && partial < 100, `Expected a partial score, got ${partial}`);
+});
+
+// ---------- Learning Tests ----------
+
+console.log('\n--- Learning Tests ---\n');
+
+test('learnTeamNames: records unknown names with sources and a suggestion', () => {
+  const recorded = teamRegistry.learnTeamNames([
+    { name: 'Man Utd', source: 'FIXTURE' },
+    { name: 'Wolves Women', source: 'FIXTURE' },
+    { name: 'wolves women', source: 'SKY' },
+    { name: 'Atlantis Rovers', source: 'SKY', suggestion: 'Blackburn' }
+  ]);
+  assert.strictEqual(recorded, 3);
+
+  const [wolves, atlantis] = teamRegistry.listUnmatched();
+  assert.strictEqual(wolves.raw, 'Wolves Women');
+  assert.strictEqual(wolves.count, 2);
+  assert.deepStrictEqual(wolves.sources, ['FIXTURE', 'SKY']);
+  assert.strictEqual(wolves.suggestion, 'Wolverhampton Wanderers');
+  assert.strictEqual(atlantis.suggestion, 'Blackburn Rovers');
+
+  assert.strictEqual(teamRegistry.dismissUnmatched(wolves.key), true);
+  assert.strictEqual(teamRegistry.listUnmatched().length, 1);
+});
+
+test('learnProviderId: fills gaps for known teams only', () => {
+  assert.strictEqual(teamRegistry.learnProviderId('Man Utd', 'tsdb', 133612), true);
+  assert.strictEqual(teamRegistry.getProviderId('Manchester United', 'tsdb'), '133612');
+  // Existing IDs are kept; unknown teams and providers are ignored
+  assert.strictEqual(teamRegistry.learnProviderId('Man Utd', 'tsdb', 1), false);
+  assert.strictEqual(teamRegistry.learnProviderId('Man Utd', 'footballdata', 1), false);
+  assert.strictEqual(teamRegistry.learnProviderId('Some Town', 'tsdb', 1), false);
+  assert.strictEqual(teamRegistry.learnProviderId('Man Utd', 'nope', 1), false);
+});
+
+test('seedTeams: TheFishy labels for known teams, new teams for the rest', () => {
+  teamRegistry.learnTeamNames([{ name: 'Forfar Athletic', source: 'FIXTURE' }]);
+  const result = teamRegistry.seedTeams([
+    { label: 'Man Utd', country: 'england', league: 'Premier League' },
+    { label: 'Forfar Athletic', country: 'scotland', league: 'League Two' },
+    { label: 'Forfar Athletic', country: 'scotland', league: 'League Two' }
+  ]);
+  assert.deepStrictEqual(result, { added: 1, updated: 1 });
+  assert.strictEqual(teamRegistry.getProviderId('Manchester United', 'thefishy'), 'Man Utd');
+  // The catalogue's league and country win
+  assert.strictEqual(teamRegistry.resolveTeam('Man Utd').country, 'England');
+
+  const forfar = teamRegistry.resolveTeam('Forfar Athletic');
+  assert.strictEqual(forfar.league, 'League Two');
+  assert.strictEqual(forfar.ids.thefishy, 'Forfar Athletic');
+  assert.strictEqual(teamRegistry.listUnmatched().length, 0);
+
+  // Seeding again changes nothing
+  assert.deepStrictEqual(teamRegistry.seedTeams([{ label: 'Man Utd' }, { label: 'Forfar Athletic' }]), { added: 0, updated: 0 });
+});
+
+// ---------- Admin Edit Tests ----------
+
+console.log('\n--- Admin Edit Tests ---\n');
+
+test('saveTeam: mapping an unmatched name adds an alias and clears it', () => {
+  teamRegistry.learnTeamNames([{ name: 'Utd', source: 'LSTV' }]);
+  const result = teamRegistry.saveTeam({ name: 'Manchester United', aliases: 'Utd', ids: { lstv: 'Manchester United FC', tsdb: ' ' } });
+  assert.ok(result.team.aliases.includes('Utd'));
+  assert.strictEqual(result.team.builtIn, true);
+  assert.strictEqual(result.team.ids.lstv, 'Manchester United FC');
+  assert.strictEqual(result.team.ids.tsdb, undefined);
+  assert.strictEqual(teamRegistry.listUnmatched().length, 0);
+  assert.strictEqual(teamRegistry.getCanonicalName('Utd'), 'Manchester United');
+});
+
+test('saveTeam: new teams, validation and removal', () => {
+  assert.deepStrictEqual(teamRegistry.saveTeam({ name: ' ' }), { error: 'Team name is required' });
+  assert.ok(teamRegistry.saveTeam({ name: 'Forfar Athletic', aliases: ['Man City'] }).error.includes('Manchester City'));
+  assert.ok(teamRegistry.saveTeam({ name: 'Forfar Athletic', shortName: 'Spurs' }).error.includes('Tottenham Hotspur'));
+
+  const { team } = teamRegistry.saveTeam({ name: 'Forfar Athletic', shortName: 'Forfar', league: 'League Two', aliases: ['The Loons'] });
+  assert.deepStrictEqual(team, {
+    name: 'Forfar Athletic',
+    shortName: 'Forfar',
+    country: null,
+    league: 'League Two',
+    aliases: ['The Loons'],
+    ids: {},
+    builtIn: false,
+    custom: true
+  });
+  assert.strictEqual(teamRegistry.getCanonicalName('the loons'), 'Forfar Athletic');
+
+  assert.strictEqual(teamRegistry.removeCustomTeam('Forfar Athletic'), true);
+  assert.strictEqual(teamRegistry.resolveTeam('The Loons'), null);
+  assert.strictEqual(teamRegistry.removeCustomTeam('Arsenal'), false);
+});
+
+resetStore();
+
+// ---------- Summary ----------
+
+console.log('\n===================');
+console.log(`Total: ${passed + failed} | Passed: ${passed} | Failed: ${failed}`);
+
+process.exit(failed > 0 ? 1 : 0);
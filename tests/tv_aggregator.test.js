@@ -0,0 +1,275 @@
+// tests/tv_aggregator.test.js
+// Test suite for the TV aggregator's concurrent source fan-out and time budgets.
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Unmatched channel names go to a throwaway dictionary store
+const TEST_DICTIONARY_PATH = path.join(os.tmpdir(), `channel_dictionary_agg_${process.pid}.json`);
+process.env.CHANNEL_DICTIONARY_PATH = TEST_DICTIONARY_PATH;
+
+// Source responses are cached in a throwaway directory, emptied per test
+const TEST_CACHE_DIR = path.join(os.tmpdir(), `cache_agg_${process.pid}`);
+process.env.CACHE_DIR = TEST_CACHE_DIR;
+const cache = require('../lib/cache');
+
+// Unknown team names go to a throwaway team registry store
+const TEST_REGISTRY_PATH = path.join(os.tmpdir(), `team_registry_agg_${process.pid}.json`);
+process.env.TEAM_REGISTRY_PATH = TEST_REGISTRY_PATH;
+const teamRegistry = require('../lib/team_registry');
+
+// Stub every source so no network calls are made
+const tsdb = require('../scrapers/thesportsdb');
+const footballdata = require('../scrapers/footballdata');
+const lstv = require('../scrapers/lstv');
+const wiki = require('../scrapers/wiki_broadcasters');
+const bbcFixtures = require('../scrapers/bbc_fixtures');
+const skysports = require('../scrapers/skysports');
+const tnt = require('../scrapers/tnt');
+const livefootballontv = require('../scrapers/livefootballontv');
+const tvAggregator = require('../aggregators/tv_channels');
+
+const delay = (ms, value) => new Promise((resolve) => setTimeout(() => resolve(value), ms));
+
+// Per-test source delays (ms) and the arguments LSTV / Wikipedia were called with
+let delays = {};
+let lstvArgs = null;
+let wikiArgs = null;
+let skyCalls = 0;
+
+const arsenalChelsea = { home: 'Arsenal', away: 'Chelsea' };
+
+tsdb.fetchTSDBFixture = () => delay(delays.tsdb || 0, {
+  matched: true,
+  league: 'English Premier League',
+  kickoffUtc: '2025-03-15T17:30:00.000Z',
+  venue: 'Emirates Stadium',
+  tvStations: []
+});
+let footballdataArgs = null;
+footballdata.fetchFootballData = (args) => {
+  footballdataArgs = args;
+  return Promise.resolve(null);
+};
+lstv.fetchLSTV = (args) => {
+  lstvArgs = args;
+  return delay(delays.lstv || 0, { regionChannels: [{ region: 'USA', channel: 'Peacock' }] });
+};
+wiki.fetchWikiBroadcasters = (args) => {
+  wikiArgs = args;
+  return delay(delays.wiki || 0, { broadcasters: [] });
+};
+bbcFixtures.fetchBBCFixtures = () => delay(delays.bbc || 0, { matches: [] });
+skysports.fetchSkyFixtures = () => (skyCalls++, delay(delays.sky || 0, {
+  fixtures: [{ ...arsenalChelsea, channels: ['Sky Sports Main Event'] }]
+}));
+tnt.fetchTNTFixtures = () => delay(delays.tnt || 0, { fixtures: [] });
+livefootballontv.fetchLFOTVFixtures = () => delay(delays.lfotv || 0, {
+  fixtures: [{ ...arsenalChelsea, channels: ['Sky Sports Main Event'] }]
+});
+let remoteArgs = null;
+lstv.callRemoteScraper = (args) => {
+  remoteArgs = args;
+  return Promise.resolve({
+    source: 'sofascore',
+    fixtures: [{ homeTeam: 'Arsenal', awayTeam: 'Chelsea', regionChannels: [{ region: 'Germany', channel: 'Sky Deutschland' }] }]
+  });
+};
+
+// Test counters
+let passed = 0;
+let failed = 0;
+
+async function asyncTest(name, fn) {
+  delays = {};
+  lstvArgs = null;
+  wikiArgs = null;
+  remoteArgs = null;
+  footballdataArgs = null;
+  skyCalls = 0;
+  cache.purge();
+  try {
+    await fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (err) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${err.message}`);
+    failed++;
+  }
+}
+
+const fixture = { homeTeam: 'Arsenal', awayTeam: 'Chelsea', dateUtc: new Date('2025-03-15T12:00:00Z') };
+const channels = (result) => result.tvRegions.map((r) => r.channel);
+
+console.log('TV Aggregator Tests\n===================\n');
+
+(async () => {
+  // ---------- Fan-out Tests ----------
+
+  console.log('--- Fan-out Tests ---\n');
+
+  await asyncTest('getTvDataForFixture: sources run concurrently', async () => {
+    delays = { tsdb: 100, bbc: 100, sky: 100, tnt: 100, lfotv: 100 };
+    const startedAt = Date.now();
+    const result = await tvAggregator.getTvDataForFixture(fixture);
+    const elapsed = Date.now() - startedAt;
+    // TSDB then LSTV/Wiki is the longest chain; sequential would be 500ms+
+    assert.ok(elapsed < 350, `took ${elapsed}ms`);
+    assert.strictEqual(result.sourcesUsed.sky, true);
+    assert.strictEqual(result.sourcesUsed.lfotv, true);
+  });
+
+  await asyncTest('getTvDataForFixture: LSTV and Wikipedia get the league from TSDB', async () => {
+    delays = { tsdb: 50 };
+    const result = await tvAggregator.getTvDataForFixture(fixture);
+    assert.strictEqual(lstvArgs.league, 'English Premier League');
+    assert.strictEqual(lstvArgs.kickoffUtc, '2025-03-15T17:30:00.000Z');
+    assert.strictEqual(wikiArgs.leagueName, 'English Premier League');
+    assert.strictEqual(result.venue, 'Emirates Stadium');
+  });
+
+  await asyncTest('getTvDataForFixture: merge order does not depend on arrival order', async () => {
+    delays = { sky: 80, lfotv: 0 };
+    const result = await tvAggregator.getTvDataForFixture(fixture);
+    assert.deepStrictEqual(channels(result), ['Peacock', 'Sky Sports Main Event']);
+    assert.deepStrictEqual(result.tvRegions[1].sources, ['SKY', 'LFOTV']);
+  });
+
+  await asyncTest('getTvDataForFixture: config sources enable VPS scrapers and disable local ones', async () => {
+    const result = await tvAggregator.getTvDataForFixture(fixture, {
+      sources: { 'vps-sofascore': { enabled: true }, sky: { enabled: false } }
+    });
+    assert.deepStrictEqual(remoteArgs.payload, { teamName: 'Arsenal', date: '2025-03-15' });
+    assert.strictEqual(result.sourcesUsed['vps-sofascore'], true);
+    assert.strictEqual(result.sourcesUsed.sky, undefined);
+    assert.deepStrictEqual(channels(result), ['Peacock', 'Sky Sports Main Event', 'Sky Sport Germany']);
+    assert.deepStrictEqual(result.tvRegions[1].sources, ['LFOTV']);
+    assert.deepStrictEqual(result.tvRegions[2].sources, ['SOFASCORE']);
+  });
+
+  await asyncTest('getTvDataForFixture: VPS scrapers are off by default', async () => {
+    const result = await tvAggregator.getTvDataForFixture(fixture);
+    assert.strictEqual(remoteArgs, null);
+    assert.strictEqual(result.sourcesUsed['vps-sofascore'], undefined);
+  });
+
+  // ---------- Time Budget Tests ----------
+
+  console.log('\n--- Time Budget Tests ---\n');
+
+  await asyncTest('getTvDataForFixture: a slow source times out, the rest is returned', async () => {
+    delays = { sky: 1000 };
+    const startedAt = Date.now();
+    const result = await tvAggregator.getTvDataForFixture(fixture, { sourceTimeouts: { sky: 50 } });
+    assert.ok(Date.now() - startedAt < 500);
+    assert.strictEqual(result.sourcesUsed.sky, 'timeout');
+    assert.strictEqual(result.sourcesUsed.lfotv, true);
+    assert.deepStrictEqual(channels(result), ['Peacock', 'Sky Sports Main Event']);
+    assert.deepStrictEqual(result.tvRegions[1].sources, ['LFOTV']);
+  });
+
+  await asyncTest('getTvDataForFixture: the fixture budget caps dependent lookups', async () => {
+    delays = { tsdb: 60, lstv: 1000 };
+    const startedAt = Date.now();
+    const result = await tvAggregator.getTvDataForFixture(fixture, { budgetMs: 150 });
+    const elapsed = Date.now() - startedAt;
+    assert.ok(elapsed >= 140 && elapsed < 450, `took ${elapsed}ms`);
+    assert.strictEqual(result.sourcesUsed.tsdb, true);
+    assert.strictEqual(result.sourcesUsed.lstv, 'timeout');
+    assert.strictEqual(result.league, 'English Premier League');
+  });
+
+  await asyncTest('getTvDataForFixture: TSDB timing out falls back to the hints', async () => {
+    delays = { tsdb: 1000 };
+    const result = await tvAggregator.getTvDataForFixture(
+      { ...fixture, leagueHint: 'Premier League' },
+      { sourceTimeouts: { tsdb: 30 } }
+    );
+    assert.strictEqual(result.sourcesUsed.tsdb, 'timeout');
+    assert.strictEqual(lstvArgs.league, 'Premier League');
+    assert.strictEqual(result.league, 'Premier League');
+    assert.strictEqual(result.kickoffUtc, fixture.dateUtc.toISOString());
+  });
+
+  // ---------- Cache Tests ----------
+
+  console.log('\n--- Cache Tests ---\n');
+
+  await asyncTest('getTvDataForFixture: source responses are cached per source and params', async () => {
+    // Another date than earlier tests, whose timed-out lookups may still be cached
+    const later = { ...fixture, dateUtc: new Date('2025-04-05T12:00:00Z') };
+    await tvAggregator.getTvDataForFixture(later);
+    lstvArgs = null;
+    const second = await tvAggregator.getTvDataForFixture(later);
+    assert.strictEqual(skyCalls, 1);
+    assert.strictEqual(lstvArgs, null);
+    assert.deepStrictEqual(channels(second), ['Peacock', 'Sky Sports Main Event']);
+    assert.strictEqual(cache.listEntries({ namespace: 'lstv' }).length, 1);
+
+    // Another team is another key; cache: false always calls the source
+    await tvAggregator.getTvDataForFixture({ ...later, homeTeam: 'Spurs' });
+    await tvAggregator.getTvDataForFixture(later, { cache: false });
+    assert.strictEqual(skyCalls, 3);
+  });
+
+  // ---------- Team Registry Tests ----------
+
+  console.log('\n--- Team Registry Tests ---\n');
+
+  await asyncTest('getTvDataForFixture: teams resolve through the team registry', async () => {
+    const day = { dateUtc: new Date('2025-04-12T12:00:00Z') };
+    const result = await tvAggregator.getTvDataForFixture({ ...day, homeTeam: 'Arsenal FC', awayTeam: 'Chelsea F.C.' });
+    assert.strictEqual(result.sourcesUsed.lfotv, true);
+    assert.strictEqual(footballdataArgs.teamId, '57');
+    assert.strictEqual(teamRegistry.listUnmatched().length, 0);
+
+    // Unknown spellings are recorded for review, with a suggested team
+    await tvAggregator.getTvDataForFixture({ ...day, homeTeam: 'Arsenal', awayTeam: 'Chelsea Reserves' });
+    const [record] = teamRegistry.listUnmatched();
+    assert.strictEqual(record.raw, 'Chelsea Reserves');
+    assert.deepStrictEqual(record.sources, ['FIXTURE']);
+    assert.strictEqual(record.suggestion, 'Chelsea');
+  });
+
+  await asyncTest('getTvDataForFixture: storage errors keep the merged listings', async () => {
+    const channelDictionary = require('../lib/channel_dictionary');
+    const { learnTeamNames } = teamRegistry;
+    const { canonicalizeEntries } = channelDictionary;
+    const diskFull = () => {
+      throw new Error('ENOSPC: no space left on device');
+    };
+    teamRegistry.learnTeamNames = diskFull;
+    channelDictionary.canonicalizeEntries = diskFull;
+    try {
+      const result = await tvAggregator.getTvDataForFixture({ ...fixture, dateUtc: new Date('2025-04-19T12:00:00Z') });
+      assert.deepStrictEqual(channels(result).sort(), ['Peacock', 'Sky Sports Main Event', 'Sky Sports Main Event']);
+      assert.deepStrictEqual(result.suppressedTvRegions, []);
+    } finally {
+      teamRegistry.learnTeamNames = learnTeamNames;
+      channelDictionary.canonicalizeEntries = canonicalizeEntries;
+    }
+  });
+
+  await asyncTest('withDeadline: value before the deadline, TIMED_OUT marker after', async () => {
+    assert.strictEqual(await tvAggregator.withDeadline(delay(5, 'ok'), 100), 'ok');
+    assert.notStrictEqual(await tvAggregator.withDeadline(delay(100, 'late'), 5), 'late');
+  });
+
+  try {
+    fs.unlinkSync(TEST_DICTIONARY_PATH);
+  } catch (err) {
+    // Ignore missing file
+  }
+  fs.rmSync(TEST_CACHE_DIR, { recursive: true, force: true });
+  fs.rmSync(TEST_REGISTRY_PATH, { force: true });
+
+  // ---------- Summary ----------
+
+  console.log('\n===================');
+  console.log(`Total: ${passed + failed} | Passed: ${passed} | Failed: ${failed}`);
+
+  process.exit(failed > 0 ? 1 : 0);
+})();
@@ -22,6 +22,7 @@
  */
 
 const axios = require('axios');
+const sports = require('./lib/sports');
 
 // ---------- Configuration ----------
 
@@ -110,15 +111,21 @@ async function searchTeams(apiKey, teamName) {
  * Find a team ID by name (returns first match).
  * @param {string} apiKey - TheSportsDB API key
  * @param {string} teamName - Team name to search for
+ * @param {string} [tsdbSport] - Only accept teams of this strSport (e.g. "Rugby")
  * @returns {Promise<string|null>} Team ID or null if not found
  */
-async function findTeamId(apiKey, teamName) {
+async function findTeamId(apiKey, teamName, tsdbSport = null) {
   const teams = await searchTeams(apiKey, teamName);
   
   if (!teams.length) {
     return null;
   }
   
+  if (tsdbSport) {
+    const sameSport = teams.find((t) => t.strSport === tsdbSport);
+    return sameSport ? sameSport.idTeam || null : null;
+  }
+  
   // Return the first match's ID
   return teams[0].idTeam || null;
 }
@@ -163,10 +170,11 @@ async function getUpcomingEvents(apiKey, teamId) {
  * Get upcoming events for a team by name (combines search + events).
  * @param {string} apiKey - TheSportsDB API key
  * @param {string} teamName - Team name
+ * @param {string} [tsdbSport] - Only accept teams of this strSport
  * @returns {Promise<Array<Object>>} Array of event objects
  */
-async function getUpcomingEventsForTeam(apiKey, teamName) {
-  const teamId = await findTeamId(apiKey, teamName);
+async function getUpcomingEventsForTeam(apiKey, teamName, tsdbSport = null) {
+  const teamId = await findTeamId(apiKey, teamName, tsdbSport);
   
   if (!teamId) {
     return [];
@@ -288,7 +296,9 @@ async function findMatchingEvent(apiKey, fixture, teamName) {
     return null;
   }
   
-  const events = await getUpcomingEventsForTeam(apiKey, teamName);
+  // Non-football fixtures only match teams of their own sport
+  const sport = sports.getSport(fixture.sport);
+  const events = await getUpcomingEventsForTeam(apiKey, teamName, sport.id === 'football' ? null : sport.tsdbSport);
   
   if (!events.length) {
     return null;